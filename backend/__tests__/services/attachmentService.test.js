@@ -0,0 +1,64 @@
+const db = require('../../src/models');
+const documentService = require('../../src/services/documentService');
+const attachmentService = require('../../src/services/attachmentService');
+
+describe('Attachment Service', () => {
+  const pdf = Buffer.from('%PDF-1.4\n%test\n');
+
+  describe('checkFile', () => {
+    it('should accept files whose content matches the extension', () => {
+      expect(attachmentService.checkFile('packing-list.pdf', pdf)).toBe('application/pdf');
+      expect(attachmentService.checkFile('lines.csv', Buffer.from('sku,qty\nA1,2\n'))).toBe('text/csv');
+    });
+
+    it('should reject unsupported, mismatched, empty and oversized files', () => {
+      expect(() => attachmentService.checkFile('setup.exe', pdf)).toThrow(expect.objectContaining({ status: 415 }));
+      expect(() => attachmentService.checkFile('scan.png', pdf)).toThrow(expect.objectContaining({ status: 422 }));
+      expect(() => attachmentService.checkFile('bl.pdf', pdf, 'image/png')).toThrow(expect.objectContaining({ status: 422 }));
+      expect(() => attachmentService.checkFile('empty.pdf', Buffer.alloc(0))).toThrow(expect.objectContaining({ status: 422 }));
+      expect(() => attachmentService.checkFile('big.pdf', Buffer.alloc(attachmentService.ATTACHMENT_MAX_BYTES + 1)))
+        .toThrow(expect.objectContaining({ status: 413 }));
+    });
+  });
+
+  describe('uploadAttachment', () => {
+    beforeEach(() => {
+      jest.spyOn(db.Invoice, 'findOne').mockResolvedValue({ id: 5, status: 'Draft' });
+      jest.spyOn(documentService, 'storeDocument').mockResolvedValue('/storage/attachments/invoice_5/1_bl.pdf');
+      jest.spyOn(documentService, 'removeDocument').mockResolvedValue(true);
+      jest.spyOn(db.InvoiceAttachment, 'create').mockImplementation(async data => ({ id: 1, ...data }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should store the file and record it as not scanned when no scanner is registered', async () => {
+      const attachment = await attachmentService.uploadAttachment(5, 2, {
+        file: { name: 'bl.pdf', content: pdf.toString('base64') },
+        category: 'BillOfLading'
+      });
+
+      expect(attachment).toMatchObject({
+        invoice_id: 5,
+        category: 'BillOfLading',
+        mime_type: 'application/pdf',
+        size_bytes: pdf.length,
+        scan_status: 'NotScanned',
+        storage_path: '/storage/attachments/invoice_5/1_bl.pdf'
+      });
+    });
+
+    it('should reject and remove files that fail a registered virus scanner', async () => {
+      attachmentService.registerVirusScanner(async ({ filename }) => ({ clean: filename !== 'eicar.pdf', engine: 'test' }));
+
+      await expect(attachmentService.uploadAttachment(5, 2, {
+        file: { name: 'eicar.pdf', content: pdf.toString('base64') },
+        category: 'Other'
+      })).rejects.toMatchObject({ status: 422 });
+
+      expect(documentService.removeDocument).toHaveBeenCalledWith('/storage/attachments/invoice_5/1_bl.pdf');
+      expect(db.InvoiceAttachment.create).not.toHaveBeenCalled();
+    });
+  });
+});
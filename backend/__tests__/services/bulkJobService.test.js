@@ -0,0 +1,212 @@
+jest.mock('../../src/services/classificationService', () => ({
+  bulkClassify: jest.fn(),
+  saveClassifications: jest.fn()
+}));
+jest.mock('../../src/services/submissionService', () => ({
+  assertSubmittable: jest.fn(),
+  submitDocuments: jest.fn()
+}));
+jest.mock('../../src/services/restrictionService', () => ({
+  assertNoBlockingRestrictions: jest.fn()
+}));
+
+const db = require('../../src/models');
+const classificationService = require('../../src/services/classificationService');
+const documentService = require('../../src/services/documentService');
+const submissionService = require('../../src/services/submissionService');
+const bulkJobService = require('../../src/services/bulkJobService');
+
+// In-memory stand-in for a BulkJob row
+const fakeJob = (fields) => {
+  const job = { id: 1, user_id: 2, started_at: null, ...fields };
+  job.update = jest.fn(async (changes) => Object.assign(job, changes));
+  return job;
+};
+
+const pendingItems = (ids) => ids.map(id => ({ invoice_id: id, status: 'Pending', error: null, result: null, attempts: 0 }));
+
+const pendingDescriptions = (count) => Array.from({ length: count }, (_, index) => ({
+  input: { id: null, description: `Item ${index}` },
+  status: 'Pending',
+  error: null,
+  result: null,
+  attempts: 0
+}));
+
+describe('Bulk Job Service', () => {
+  beforeEach(() => {
+    // Jobs queued by a test are not run in the background
+    jest.spyOn(db.BulkJob, 'findByPk').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('createBulkJob', () => {
+    it('should queue one pending item per distinct invoice', async () => {
+      jest.spyOn(db.Invoice, 'findAll').mockResolvedValue([{ id: 3 }, { id: 4 }]);
+      jest.spyOn(db.BulkJob, 'create').mockImplementation(async data => ({ id: 9, ...data }));
+
+      const job = await bulkJobService.createBulkJob(2, 'generate', [3, 4, 3]);
+
+      expect(job).toMatchObject({ action: 'generate', status: 'Queued', total: 2, processed: 0 });
+      expect(job.items.map(item => [item.invoice_id, item.status])).toEqual([[3, 'Pending'], [4, 'Pending']]);
+    });
+
+    it('should reject invoices the user does not own', async () => {
+      jest.spyOn(db.Invoice, 'findAll').mockResolvedValue([{ id: 3 }]);
+      jest.spyOn(db.BulkJob, 'create');
+
+      await expect(bulkJobService.createBulkJob(2, 'submit', [3, 7])).rejects.toMatchObject({
+        status: 404,
+        message: expect.stringContaining('7')
+      });
+      expect(db.BulkJob.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runJob', () => {
+    it('should record each invoice and keep going after a failure', async () => {
+      const job = fakeJob({ action: 'submit', status: 'Queued', items: pendingItems([3, 4]) });
+      db.BulkJob.findByPk.mockResolvedValue(job);
+      jest.spyOn(db.Invoice, 'findOne').mockImplementation(async ({ where }) => ({ id: where.id, status: 'Ready' }));
+      jest.spyOn(documentService, 'generateDocuments').mockResolvedValue({ xmlPath: '/x.xml', pdfPath: '/x.pdf' });
+      submissionService.submitDocuments
+        .mockRejectedValueOnce(new Error('Document submission failed: SFTP unavailable'))
+        .mockResolvedValueOnce({ submission: { id: 11 }, method: 'sftp', snapshotVersion: 1 });
+
+      await bulkJobService.runJob(1);
+
+      expect(job).toMatchObject({ status: 'CompletedWithErrors', processed: 2, succeeded: 1, failed: 1 });
+      expect(job.items[0]).toMatchObject({ status: 'Failed', error: 'Document submission failed: SFTP unavailable', attempts: 1 });
+      expect(job.items[1]).toMatchObject({ status: 'Succeeded', result: { submissionId: 11, method: 'sftp', snapshotVersion: 1 } });
+      expect(submissionService.submitDocuments).toHaveBeenCalledWith(4, { xmlPath: '/x.xml', pdfPath: '/x.pdf' }, 2);
+    });
+
+    it('should classify only lines that were not classified by hand, under the owner\'s threshold rules', async () => {
+      const job = fakeJob({ action: 'classify', status: 'Queued', items: pendingItems([3]) });
+      db.BulkJob.findByPk.mockResolvedValue(job);
+      jest.spyOn(db.Invoice, 'findOne').mockResolvedValue({ id: 3, user_id: 2, status: 'Draft', total_amount_base: '1250.00' });
+      jest.spyOn(db.User, 'findByPk').mockResolvedValue({ id: 2, organization_id: 5 });
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([
+        { id: 1, description: 'Cotton shirts', classification_method: null },
+        { id: 2, description: 'Steel bolts', classification_method: 'manual' }
+      ]);
+      jest.spyOn(db.sequelize, 'transaction').mockImplementation(async callback => callback({}));
+      classificationService.bulkClassify.mockImplementation(async items => items.map(item => ({ ...item, hs_code: '6205.20', flagged: false })));
+      classificationService.saveClassifications.mockResolvedValue(1);
+
+      await bulkJobService.runJob(1);
+
+      expect(classificationService.bulkClassify).toHaveBeenCalledWith(
+        [{ id: 1, description: 'Cotton shirts', invoice_value: '1250.00' }],
+        { organizationId: 5 }
+      );
+      expect(job.status).toBe('Completed');
+      expect(job.items[0].result).toEqual({ lines: 2, classified: 1, flagged: 0, unclassified: 0 });
+    });
+  });
+
+  describe('classify_lines jobs', () => {
+    beforeEach(() => {
+      jest.spyOn(db.User, 'findByPk').mockResolvedValue({ id: 2, organization_id: null });
+      jest.spyOn(db.sequelize, 'transaction').mockImplementation(async callback => callback({}));
+      classificationService.saveClassifications.mockResolvedValue(0);
+    });
+
+    it('should reject invoice lines of other users', async () => {
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([{ id: 1 }]);
+      jest.spyOn(db.BulkJob, 'create');
+
+      await expect(bulkJobService.createClassificationJob(2, [{ id: 1, description: 'a' }, { id: 8, description: 'b' }]))
+        .rejects.toMatchObject({ status: 404, message: expect.stringContaining('8') });
+      expect(db.BulkJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject lines of invoices that can no longer be edited', async () => {
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([{ id: 1, invoice: { id: 3, status: 'Submitted' } }]);
+      jest.spyOn(db.BulkJob, 'create');
+
+      await expect(bulkJobService.createClassificationJob(2, [{ id: 1, description: 'a' }]))
+        .rejects.toMatchObject({ status: 409, message: expect.stringContaining('1') });
+      expect(db.BulkJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should classify in batches of 10 and report each batch', async () => {
+      const job = fakeJob({ action: 'classify_lines', status: 'Queued', items: pendingDescriptions(12) });
+      db.BulkJob.findByPk.mockResolvedValue(job);
+      classificationService.bulkClassify.mockImplementation(async items => items.map((item, index) => (
+        item.description === 'Item 11'
+          ? { ...item, hs_code: null, error: 'Provider unavailable' }
+          : { ...item, hs_code: '6109.10', flagged: index === 0, raw_response: '{}' }
+      )));
+      const progress = jest.fn();
+      bulkJobService.jobEvents.on('progress', progress);
+
+      await bulkJobService.runJob(1);
+      bulkJobService.jobEvents.off('progress', progress);
+
+      expect(classificationService.bulkClassify.mock.calls.map(call => call[0].length)).toEqual([10, 2]);
+      expect(job).toMatchObject({ status: 'CompletedWithErrors', processed: 12, succeeded: 11, failed: 1 });
+      expect(job.items[11]).toMatchObject({ status: 'Failed', error: 'Provider unavailable' });
+      expect(job.items[0].result).not.toHaveProperty('raw_response');
+      expect(progress).toHaveBeenCalledTimes(2);
+      expect(progress.mock.calls[1][0]).toMatchObject({
+        jobId: 1,
+        counts: { total: 12, processed: 12, failed: 1, flagged: 2 },
+        items: [{ index: 10 }, { index: 11 }]
+      });
+    });
+
+    it('should stop a running job after its current batch when cancelled', async () => {
+      const job = fakeJob({ action: 'classify_lines', status: 'Queued', items: pendingDescriptions(25) });
+      db.BulkJob.findByPk.mockResolvedValue(job);
+      jest.spyOn(db.BulkJob, 'findOne').mockResolvedValue(job);
+      classificationService.bulkClassify.mockImplementation(async (items) => {
+        await bulkJobService.cancelBulkJob(1, 2);
+        return items.map(item => ({ ...item, hs_code: '6109.10' }));
+      });
+
+      await bulkJobService.runJob(1);
+
+      expect(classificationService.bulkClassify).toHaveBeenCalledTimes(1);
+      expect(job).toMatchObject({ status: 'Cancelled', processed: 10, succeeded: 10 });
+      expect(job.items[10].status).toBe('Pending');
+    });
+  });
+
+  describe('cancelBulkJob', () => {
+    it('should refuse to cancel a job that has finished', async () => {
+      jest.spyOn(db.BulkJob, 'findOne').mockResolvedValue(fakeJob({ status: 'Completed', items: [] }));
+
+      await expect(bulkJobService.cancelBulkJob(1, 2)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('resumeBulkJob', () => {
+    it('should re-queue failed invoices and leave succeeded ones alone', async () => {
+      const job = fakeJob({
+        action: 'generate',
+        status: 'CompletedWithErrors',
+        items: [
+          { invoice_id: 3, status: 'Succeeded', error: null, attempts: 1 },
+          { invoice_id: 4, status: 'Failed', error: 'Browser crashed', attempts: 1 }
+        ]
+      });
+      jest.spyOn(db.BulkJob, 'findOne').mockResolvedValue(job);
+
+      await bulkJobService.resumeBulkJob(1, 2);
+
+      expect(job).toMatchObject({ status: 'Queued', processed: 1, succeeded: 1, failed: 0 });
+      expect(job.items.map(item => item.status)).toEqual(['Succeeded', 'Pending']);
+    });
+
+    it('should refuse to resume a job that is still running', async () => {
+      jest.spyOn(db.BulkJob, 'findOne').mockResolvedValue(fakeJob({ status: 'Running', items: pendingItems([3]) }));
+
+      await expect(bulkJobService.resumeBulkJob(1, 2)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+process.env.CLASSIFICATION_CACHE_BACKEND = 'memory';
+
+const classificationCache = require('../../src/services/classificationCache');
+const { createMemoryStore } = require('../../src/services/classificationCache/memoryStore');
+
+describe('Classification Cache', () => {
+  describe('normalizeDescription', () => {
+    it('should ignore case, whitespace, punctuation and HTML escapes', () => {
+      expect(classificationCache.normalizeDescription('  Cotton T-Shirt,\tRED &amp; blue ')).toBe('cotton t shirt red blue');
+      expect(classificationCache.normalizeDescription('cotton t shirt red & blue')).toBe('cotton t shirt red blue');
+    });
+  });
+
+  describe('memory store', () => {
+    it('should evict the least recently used entry once full', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+      await store.set('a', '1', 60);
+      await store.set('b', '2', 60);
+      await store.get('a');
+      await store.set('c', '3', 60);
+
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('a')).toBe('1');
+      expect(await store.stats()).toEqual({ entries: 2, max_entries: 2, evictions: 1 });
+    });
+
+    it('should drop entries after their TTL', async () => {
+      let now = 0;
+      const store = createMemoryStore({ maxEntries: 10, now: () => now });
+      await store.set('a', '1', 60);
+
+      now = 59999;
+      expect(await store.get('a')).toBe('1');
+      now = 60000;
+      expect(await store.get('a')).toBeNull();
+    });
+  });
+
+  describe('get, set and invalidate', () => {
+    it('should share entries between descriptions that normalize alike and count hits and misses', async () => {
+      const before = await classificationCache.getStats();
+      await classificationCache.set('Steel Bolts, M8', { hs_code: '7318.15', confidence: 0.9 });
+
+      await expect(classificationCache.get('steel bolts m8')).resolves.toEqual({ hs_code: '7318.15', confidence: 0.9 });
+      await expect(classificationCache.get('Copper wire')).resolves.toBeNull();
+
+      const stats = await classificationCache.getStats();
+      expect(stats.backend).toBe('memory');
+      expect(stats.hits - before.hits).toBe(1);
+      expect(stats.misses - before.misses).toBe(1);
+    });
+
+    it('should remove every description starting with a normalized prefix', async () => {
+      await classificationCache.set('Cotton T-Shirt red', { hs_code: '6109.10' });
+      await classificationCache.set('cotton t-shirt blue', { hs_code: '6109.10' });
+      await classificationCache.set('Cotton trousers', { hs_code: '6203.42' });
+
+      await expect(classificationCache.invalidate('COTTON T-')).resolves.toBe(2);
+      await expect(classificationCache.get('Cotton trousers')).resolves.toEqual({ hs_code: '6203.42' });
+    });
+  });
+});
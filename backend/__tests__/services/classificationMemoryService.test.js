@@ -0,0 +1,124 @@
+const db = require('../../src/models');
+const classificationMemoryService = require('../../src/services/classificationMemoryService');
+
+// Memory entry as the database would return it
+const memoryEntry = (fields) => ({
+  id: 1,
+  supplier_key: 'acme textiles',
+  description_key: 'red cotton t shirt size l',
+  sku: '',
+  hs_code: '6109.10',
+  confirmations: 1,
+  contradictions: 0,
+  source: 'adjusted',
+  invoice_line_id: 10,
+  decided_at: new Date('2024-03-01T00:00:00Z'),
+  reviewer: { id: 3, full_name: 'Dana Reviewer' },
+  ...fields
+});
+
+describe('Classification Memory Service', () => {
+  describe('normalizeDescription', () => {
+    it('should ignore case, punctuation and HTML escapes', () => {
+      expect(classificationMemoryService.normalizeDescription('Red Cotton T-Shirt, Size &quot;L&quot;'))
+        .toBe('red cotton t shirt size l');
+    });
+  });
+
+  describe('memoryConfidence', () => {
+    it('should grow with confirmations and drop when reviewers disagreed', () => {
+      expect(classificationMemoryService.memoryConfidence({ confirmations: 1, contradictions: 0 })).toBe(0.9);
+      expect(classificationMemoryService.memoryConfidence({ confirmations: 3, contradictions: 0 })).toBe(0.94);
+      expect(classificationMemoryService.memoryConfidence({ confirmations: 1, contradictions: 1 })).toBe(0.45);
+    });
+  });
+
+  describe('recordDecision', () => {
+    const decision = {
+      supplier: 'ACME Textiles Ltd.',
+      description: 'Red Cotton T-Shirt, Size L',
+      sku: ' ts-100 ',
+      source: 'adjusted',
+      invoiceLineId: 12,
+      userId: 3
+    };
+
+    it('should key new entries on the normalized supplier, description and SKU', async () => {
+      jest.spyOn(db.ClassificationMemory, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(db.ClassificationMemory, 'create').mockImplementation(async values => values);
+
+      await classificationMemoryService.recordDecision({ ...decision, hsCode: '6109.10' });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        supplier_key: 'acme textiles',
+        description_key: 'red cotton t shirt size l',
+        sku: 'TS-100',
+        hs_code: '6109.10',
+        confirmations: 1,
+        contradictions: 0,
+        decided_by: 3
+      }), expect.anything());
+    });
+
+    it('should count the same code as a confirmation and another code as a contradiction', async () => {
+      const entry = memoryEntry({ confirmations: 2 });
+      entry.update = jest.fn(async values => ({ ...entry, ...values }));
+      jest.spyOn(db.ClassificationMemory, 'findOne').mockResolvedValue(entry);
+
+      await classificationMemoryService.recordDecision({ ...decision, hsCode: '6109.10' });
+      expect(entry.update).toHaveBeenLastCalledWith(
+        expect.objectContaining({ hs_code: '6109.10', confirmations: 3, contradictions: 0 }),
+        expect.anything()
+      );
+
+      await classificationMemoryService.recordDecision({ ...decision, hsCode: '6109.90' });
+      expect(entry.update).toHaveBeenLastCalledWith(
+        expect.objectContaining({ hs_code: '6109.90', confirmations: 1, contradictions: 1 }),
+        expect.anything()
+      );
+    });
+
+    it('should skip lines without a supplier', async () => {
+      const findOne = jest.spyOn(db.ClassificationMemory, 'findOne');
+
+      await expect(classificationMemoryService.recordDecision({ ...decision, supplier: null, hsCode: '6109.10' }))
+        .resolves.toBeNull();
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findSuggestion', () => {
+    it('should prefer a SKU match and report where the suggestion came from', async () => {
+      const findOne = jest.spyOn(db.ClassificationMemory, 'findOne')
+        .mockResolvedValueOnce(memoryEntry({ sku: 'TS-100', confirmations: 2 }));
+
+      const suggestion = await classificationMemoryService.findSuggestion({
+        supplier: 'Acme Textiles Inc',
+        description: 'Shirt',
+        sku: 'TS-100'
+      });
+
+      expect(findOne.mock.calls[0][0].where).toEqual({ supplier_key: 'acme textiles', sku: 'TS-100' });
+      expect(suggestion).toMatchObject({
+        hs_code: '6109.10',
+        confidence: 0.92,
+        memory: { matched_on: 'sku', source: 'adjusted', decided_by: { id: 3, full_name: 'Dana Reviewer' } }
+      });
+    });
+
+    it('should fall back to the normalized description when the SKU is unknown', async () => {
+      const findOne = jest.spyOn(db.ClassificationMemory, 'findOne')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(memoryEntry());
+
+      const suggestion = await classificationMemoryService.findSuggestion({
+        supplier: 'Acme Textiles',
+        description: 'RED cotton t-shirt, size L',
+        sku: 'TS-200'
+      });
+
+      expect(findOne.mock.calls[1][0].where).toEqual({ supplier_key: 'acme textiles', description_key: 'red cotton t shirt size l' });
+      expect(suggestion.memory.matched_on).toBe('description');
+    });
+  });
+});
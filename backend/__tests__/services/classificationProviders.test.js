@@ -0,0 +1,130 @@
+const classificationProviders = require('../../src/services/classificationProviders');
+const keywordProvider = require('../../src/services/classificationProviders/keywordProvider');
+const llmProvider = require('../../src/services/classificationProviders/llmProvider');
+const classificationService = require('../../src/services/classificationService');
+const hsNomenclatureService = require('../../src/services/hsNomenclatureService');
+
+// Provider stand-in with a fixed answer or error
+const fakeProvider = (name, classify, fields = {}) => ({
+  name,
+  cacheable: true,
+  timeoutMs: 50,
+  isConfigured: () => true,
+  classify,
+  ...fields
+});
+
+describe('Classification Providers', () => {
+  describe('getProviderChain', () => {
+    it('should follow CLASSIFICATION_PROVIDERS and per-provider timeouts', () => {
+      const chain = classificationProviders.getProviderChain({
+        CLASSIFICATION_PROVIDERS: 'keyword, contextgem, unknown, keyword',
+        CLASSIFICATION_CONTEXTGEM_TIMEOUT_MS: '2500'
+      });
+
+      expect(chain.map(provider => provider.name)).toEqual(['keyword', 'contextgem']);
+      expect(chain[1].timeoutMs).toBe(2500);
+    });
+
+    it('should default to ContextGem, then the LLM, then keyword rules', () => {
+      expect(classificationProviders.getProviderChain({}).map(provider => provider.name))
+        .toEqual(['contextgem', 'llm', 'keyword']);
+    });
+  });
+
+  describe('keywordProvider', () => {
+    it('should match the most specific rule whose keyword words all appear', async () => {
+      await expect(keywordProvider.classify('Cotton T-Shirt, red, size L')).resolves.toMatchObject({
+        hs_code: '6109.10',
+        matched_keyword: 't-shirt cotton'
+      });
+      await expect(keywordProvider.classify('Polyester t-shirt')).resolves.toMatchObject({ hs_code: '6109.90' });
+    });
+
+    it('should explain the match and offer the other matching rules as candidates', async () => {
+      const result = await keywordProvider.classify('Cotton T-Shirt, red, size L');
+
+      expect(result.rationale).toContain('"t-shirt cotton"');
+      expect(result.candidates.map(candidate => candidate.hs_code)).toContain('6109.90');
+    });
+
+    it('should fail when no rule matches', async () => {
+      await expect(keywordProvider.classify('Assorted items')).rejects.toThrow('No keyword rule');
+    });
+  });
+
+  describe('llmProvider.parseAnswer', () => {
+    it('should read the JSON answer from the model output', () => {
+      expect(llmProvider.parseAnswer('Here you go: {"hs_code": "8517.13", "confidence": 1.4}')).toEqual({
+        hs_code: '8517.13',
+        confidence: 1,
+        description: null,
+        rationale: null,
+        candidates: []
+      });
+    });
+
+    it('should reject answers without a valid HS code', () => {
+      expect(() => llmProvider.parseAnswer('{"hs_code": "phones"}')).toThrow('invalid HS code');
+      expect(() => llmProvider.parseAnswer('I cannot classify this')).toThrow('JSON answer');
+    });
+  });
+
+  describe('classifyWithProviders', () => {
+    beforeEach(() => {
+      jest.spyOn(hsNomenclatureService, 'validateHsCode').mockImplementation(async code => ({ code, description: null }));
+    });
+
+    it('should fall back past failing, slow and unconfigured providers and record the one that answered', async () => {
+      const chain = [
+        fakeProvider('contextgem', async () => { throw new Error('503 Service Unavailable'); }),
+        fakeProvider('llm', () => new Promise(() => {})),
+        fakeProvider('custom', jest.fn(), { isConfigured: () => false }),
+        fakeProvider('keyword', async () => ({ hs_code: '9503.00', confidence: 0.45 }), { cacheable: false })
+      ];
+
+      const result = await classificationService.classifyWithProviders('Plastic toy car', chain);
+
+      expect(result).toMatchObject({
+        hs_code: '9503.00',
+        provider: 'keyword',
+        classification_method: 'auto:keyword',
+        flagged: true,
+        cacheable: false
+      });
+      expect(chain[2].classify).not.toHaveBeenCalled();
+    });
+
+    it('should keep the rationale and the best distinct alternative codes', async () => {
+      const result = await classificationService.classifyWithProviders('Cotton T-shirt', [
+        fakeProvider('llm', async () => ({
+          hs_code: '6109.10',
+          confidence: 0.82,
+          rationale: 'GRI 1: knitted T-shirt of cotton',
+          candidates: [
+            { hs_code: '6109.90', confidence: 0.1 },
+            { hs_code: '6109 10', confidence: 0.8 },
+            { hs_code: '6205.20', confidence: 0.3, description: 'Men\'s shirts of cotton' },
+            { hs_code: 'shirts' }
+          ]
+        }))
+      ]);
+
+      expect(result.rationale).toBe('GRI 1: knitted T-shirt of cotton');
+      expect(result.candidates).toEqual([
+        { hs_code: '6205.20', confidence: 0.3, description: 'Men\'s shirts of cotton' },
+        { hs_code: '6109.90', confidence: 0.1, description: null }
+      ]);
+    });
+
+    it('should report every provider error when none can classify', async () => {
+      const result = await classificationService.classifyWithProviders('Assorted items', [
+        fakeProvider('contextgem', async () => ({ hs_code: null })),
+        fakeProvider('keyword', async () => { throw new Error('No keyword rule matches the description'); })
+      ]);
+
+      expect(result).toMatchObject({ hs_code: null, classification_method: 'failed', flagged: true });
+      expect(result.error).toBe('contextgem: no HS code returned; keyword: No keyword rule matches the description');
+    });
+  });
+});
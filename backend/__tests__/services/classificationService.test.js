@@ -1,115 +1,144 @@
+const db = require('../../src/models');
 const classificationService = require('../../src/services/classificationService');
-const db = require('../../src/config/database');
-
-// Mock the database
-jest.mock('../../src/config/database', () => ({
-  query: jest.fn(),
-}));
+const hsNomenclatureService = require('../../src/services/hsNomenclatureService');
+const thresholdRuleService = require('../../src/services/thresholdRuleService');
+const rulingService = require('../../src/services/rulingService');
+const restrictionService = require('../../src/services/restrictionService');
+const classificationMemoryService = require('../../src/services/classificationMemoryService');
+const tariffService = require('../../src/services/tariffService');
 
 describe('Classification Service', () => {
-  beforeEach(() => {
-    // Clear all mocks before each test
-    jest.clearAllMocks();
-  });
+  describe('classifyProduct', () => {
+    beforeEach(() => {
+      jest.spyOn(hsNomenclatureService, 'validateHsCode').mockImplementation(async code => ({ code, description: null }));
+      jest.spyOn(thresholdRuleService, 'resolveThreshold').mockResolvedValue({ threshold: 0.7, rule_id: null });
+      jest.spyOn(rulingService, 'findMatchingRulings').mockResolvedValue([]);
+    });
 
-  describe('getClassificationByHsCode', () => {
-    it('should return classification data when HS code exists', async () => {
-      // Mock data
-      const mockHsCode = '8471.30.01';
-      const mockClassificationData = {
-        id: 1,
-        hs_code: mockHsCode,
-        description: 'Portable automatic data processing machines',
-        duty_rate: 0,
-        created_at: new Date(),
-        updated_at: new Date(),
-      };
-
-      // Setup mock response
-      db.query.mockResolvedValue({
-        rows: [mockClassificationData],
-        rowCount: 1,
-      });
+    it('should require a product description', async () => {
+      await expect(classificationService.classifyProduct('')).rejects.toThrow('Product description is required');
+    });
+
+    it('should classify with the first provider that answers', async () => {
+      const result = await classificationService.classifyProduct(
+        'Cotton T-Shirt, red, size L',
+        {},
+        { providers: ['keyword'], useCache: false }
+      );
 
-      // Execute the function
-      const result = await classificationService.getClassificationByHsCode(mockHsCode);
+      expect(result).toMatchObject({
+        hs_code: '6109.10',
+        provider: 'keyword',
+        classification_method: 'auto:keyword',
+        threshold: 0.7,
+        threshold_rule_id: null
+      });
+    });
 
-      // Assertions
-      expect(db.query).toHaveBeenCalledTimes(1);
-      expect(db.query).toHaveBeenCalledWith(
-        expect.stringContaining('SELECT * FROM classifications'),
-        [mockHsCode]
+    it('should return a failed result when no provider answers', async () => {
+      const result = await classificationService.classifyProduct(
+        'Unlisted widget',
+        {},
+        { providers: ['keyword'], useCache: false }
       );
-      expect(result).toEqual(mockClassificationData);
+
+      expect(result).toMatchObject({ hs_code: null, flagged: true, classification_method: 'failed' });
+      expect(thresholdRuleService.resolveThreshold).not.toHaveBeenCalled();
     });
+  });
 
-    it('should return null when HS code does not exist', async () => {
-      // Mock data
-      const mockHsCode = '9999.99.99';
+  describe('saveClassifications', () => {
+    const editableLine = (fields) => ({ id: 3, classification_method: null, invoice: { id: 9, status: 'Classified' }, ...fields });
 
-      // Setup mock response
-      db.query.mockResolvedValue({
-        rows: [],
-        rowCount: 0,
-      });
+    beforeEach(() => {
+      jest.spyOn(tariffService, 'refreshStoredEstimates').mockResolvedValue(0);
+    });
+
+    it('should validate and save a 10-digit tariff line', async () => {
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([editableLine()]);
+      jest.spyOn(db.HsCode, 'findByPk').mockResolvedValue({ code: '8471.30.10.00', description: 'Laptops' });
+      const update = jest.spyOn(db.InvoiceLine, 'update').mockResolvedValue([1]);
+      const upsert = jest.spyOn(db.ClassificationDetail, 'upsert').mockResolvedValue([{}, true]);
+      jest.spyOn(restrictionService, 'screenLineIds').mockResolvedValue([]);
 
-      // Execute the function
-      const result = await classificationService.getClassificationByHsCode(mockHsCode);
+      await expect(classificationService.saveClassifications([{ id: 3, hs_code: '8471301000', confidence: 0.9 }]))
+        .resolves.toBe(1);
 
-      // Assertions
-      expect(db.query).toHaveBeenCalledTimes(1);
-      expect(result).toBeNull();
+      expect(db.HsCode.findByPk).toHaveBeenCalledWith('8471.30.10.00');
+      expect(update.mock.calls[0][0]).toMatchObject({ hs_code: '8471.30.10.00' });
+      expect(upsert.mock.calls[0][0]).toMatchObject({ hs_code: '8471.30.10.00' });
     });
 
-    it('should throw an error when database query fails', async () => {
-      // Mock data
-      const mockHsCode = '8471.30.01';
-      const mockError = new Error('Database connection error');
+    it('should estimate again the duties of invoices whose codes changed', async () => {
+      const transaction = {};
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([
+        editableLine({ id: 3, hs_code: '6109.90' }),
+        editableLine({ id: 4, hs_code: '6109.10', invoice: { id: 10, status: 'Classified' } })
+      ]);
+      jest.spyOn(hsNomenclatureService, 'validateHsCode').mockResolvedValue({ code: '6109.10', description: null });
+      jest.spyOn(db.InvoiceLine, 'update').mockResolvedValue([1]);
+      jest.spyOn(db.ClassificationDetail, 'upsert').mockResolvedValue([{}, true]);
+      jest.spyOn(restrictionService, 'screenLineIds').mockResolvedValue([]);
 
-      // Setup mock response
-      db.query.mockRejectedValue(mockError);
+      await classificationService.saveClassifications([{ id: 3, hs_code: '6109.10' }, { id: 4, hs_code: '6109.10' }], { transaction });
 
-      // Execute and assert
-      await expect(classificationService.getClassificationByHsCode(mockHsCode))
-        .rejects
-        .toThrow('Error fetching classification data');
+      expect(tariffService.refreshStoredEstimates).toHaveBeenCalledWith([9], { transaction });
+    });
+
+    it('should leave lines of submitted invoices and manual classifications unchanged', async () => {
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([
+        editableLine({ id: 3, invoice: { id: 9, status: 'Submitted' } }),
+        editableLine({ id: 4, classification_method: 'manual' })
+      ]);
+      const update = jest.spyOn(db.InvoiceLine, 'update');
+      const upsert = jest.spyOn(db.ClassificationDetail, 'upsert');
+      jest.spyOn(restrictionService, 'screenLineIds').mockResolvedValue([]);
+
+      await expect(classificationService.saveClassifications([
+        { id: 3, hs_code: '6109.10', flagged: false, classification_method: 'auto:keyword' },
+        { id: 4, hs_code: '6109.10', flagged: false, classification_method: 'auto:keyword' }
+      ])).resolves.toBe(0);
+
+      expect(update).not.toHaveBeenCalled();
+      expect(upsert).not.toHaveBeenCalled();
     });
   });
 
-  describe('classifyProduct', () => {
-    it('should classify a product based on description', async () => {
-      // Mock data
-      const mockProductDescription = 'Laptop computer with Intel i7 processor';
-      const mockClassificationResult = {
-        hs_code: '8471.30.01',
-        confidence: 0.95,
-        description: 'Portable automatic data processing machines',
-      };
-
-      // Setup mock response for AI classification
-      jest.spyOn(classificationService, 'callClassificationAPI').mockResolvedValue(mockClassificationResult);
-
-      // Execute the function
-      const result = await classificationService.classifyProduct(mockProductDescription);
-
-      // Assertions
-      expect(classificationService.callClassificationAPI).toHaveBeenCalledTimes(1);
-      expect(classificationService.callClassificationAPI).toHaveBeenCalledWith(mockProductDescription);
-      expect(result).toEqual(mockClassificationResult);
+  describe('manualClassify', () => {
+    const transaction = {};
+
+    beforeEach(() => {
+      jest.spyOn(hsNomenclatureService, 'validateHsCode').mockResolvedValue({ code: '6109.10', description: 'Of cotton' });
+      jest.spyOn(db.sequelize, 'transaction').mockImplementation(async callback => callback(transaction));
+      jest.spyOn(tariffService, 'refreshStoredEstimates').mockResolvedValue(0);
     });
 
-    it('should handle errors during classification', async () => {
-      // Mock data
-      const mockProductDescription = 'Invalid product description';
-      const mockError = new Error('Classification API error');
+    it('should write the line, history and memory in one transaction', async () => {
+      const line = { id: 4, invoice_id: 9, hs_code: '6109.90', description: 'Cotton tee', sku: null, update: jest.fn() };
+      jest.spyOn(db.InvoiceLine, 'findByPk').mockResolvedValue(line);
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue({ id: 9, supplier: 'Acme Textiles', status: 'InReview' });
+      jest.spyOn(restrictionService, 'screenLines').mockResolvedValue([line]);
+      const create = jest.spyOn(db.ClassificationHistory, 'create').mockResolvedValue({ id: 1 });
+      const recordDecision = jest.spyOn(classificationMemoryService, 'recordDecision').mockResolvedValue(null);
+
+      await classificationService.manualClassify(4, '610910', 7);
+
+      expect(line.update).toHaveBeenCalledWith(expect.objectContaining({ hs_code: '6109.10', classification_method: 'manual' }), { transaction });
+      expect(restrictionService.screenLines).toHaveBeenCalledWith([line], { transaction });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ previous_hs_code: '6109.90', new_hs_code: '6109.10' }), { transaction });
+      expect(recordDecision).toHaveBeenCalledWith(expect.objectContaining({ supplier: 'Acme Textiles', source: 'manual' }), { transaction });
+      expect(tariffService.refreshStoredEstimates).toHaveBeenCalledWith([9], { transaction });
+    });
 
-      // Setup mock response
-      jest.spyOn(classificationService, 'callClassificationAPI').mockRejectedValue(mockError);
+    it('should not change lines of a submitted invoice', async () => {
+      const line = { id: 4, invoice_id: 9, hs_code: '6109.90', update: jest.fn() };
+      jest.spyOn(db.InvoiceLine, 'findByPk').mockResolvedValue(line);
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue({ id: 9, supplier: 'Acme Textiles', status: 'Submitted' });
+      const create = jest.spyOn(db.ClassificationHistory, 'create');
 
-      // Execute and assert
-      await expect(classificationService.classifyProduct(mockProductDescription))
-        .rejects
-        .toThrow('Error classifying product');
+      await expect(classificationService.manualClassify(4, '610910', 7)).rejects.toMatchObject({ status: 409 });
+      expect(line.update).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,53 @@
+const db = require('../../src/models');
+const currencyService = require('../../src/services/currencyService');
+
+// Stored rates as the database would return them (newest first, DECIMAL as string)
+const storedRates = [
+  { from_currency: 'EUR', to_currency: 'USD', rate: '1.10000000', effective_date: '2024-01-01' },
+  { from_currency: 'USD', to_currency: 'CNY', rate: '7.00000000', effective_date: '2024-01-01' }
+];
+
+describe('Currency Service', () => {
+  beforeEach(() => {
+    jest.spyOn(db.ExchangeRate, 'findAll').mockImplementation(async ({ where }) => {
+      const pairs = where[Object.getOwnPropertySymbols(where)[0]];
+      return storedRates.filter(rate => pairs.some(pair =>
+        pair.from_currency === rate.from_currency && pair.to_currency === rate.to_currency));
+    });
+  });
+
+  describe('getExchangeRate', () => {
+    it('should use the stored pair, its inverse or a cross rate through the base currency', async () => {
+      expect((await currencyService.getExchangeRate('EUR', 'USD', '2024-02-01')).rate).toBeCloseTo(1.1);
+      expect((await currencyService.getExchangeRate('USD', 'EUR', '2024-02-01')).rate).toBeCloseTo(1 / 1.1);
+      expect((await currencyService.getExchangeRate('EUR', 'CNY', '2024-02-01')).rate).toBeCloseTo(7.7);
+    });
+
+    it('should reject pairs without a rate with a 422 error', async () => {
+      await expect(currencyService.getExchangeRate('GBP', 'USD', '2024-02-01'))
+        .rejects
+        .toMatchObject({ status: 422 });
+    });
+  });
+
+  describe('convertAmount', () => {
+    it('should round converted amounts to cents', async () => {
+      const result = await currencyService.convertAmount('100.05', 'EUR', 'USD', '2024-02-01');
+
+      expect(result.amount).toBe(110.06);
+      expect(result.effectiveDate).toBe('2024-01-01');
+    });
+  });
+
+  describe('parseRateRows', () => {
+    it('should accept common column spellings and report invalid rows', () => {
+      const { rates, errors } = currencyService.parseRateRows([
+        { rowNumber: 2, values: { From: 'eur', To: 'usd', Rate: '1.085', Date: '2024-01-15' } },
+        { rowNumber: 3, values: { From: 'EUR', To: 'EUR', Rate: '0', Date: 'soon' } }
+      ]);
+
+      expect(rates).toEqual([{ from_currency: 'EUR', to_currency: 'USD', rate: 1.085, effective_date: '2024-01-15' }]);
+      expect(errors).toEqual([{ row: 3, errors: expect.arrayContaining(['rate must be a positive number']) }]);
+    });
+  });
+});
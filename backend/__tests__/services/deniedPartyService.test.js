@@ -0,0 +1,175 @@
+const db = require('../../src/models');
+const deniedPartyService = require('../../src/services/deniedPartyService');
+
+const file = (filename, content) => ({ filename, buffer: Buffer.from(content, 'utf8') });
+
+const invoiceRecord = (fields) => {
+  const invoice = { id: 5, denied_party_matches: [], ...fields };
+  invoice.update = jest.fn(async (changes) => Object.assign(invoice, changes));
+  return invoice;
+};
+
+const similarity = (a, b) => deniedPartyService.nameSimilarity(deniedPartyService.prepareName(a), deniedPartyService.prepareName(b));
+
+describe('Denied Party Service', () => {
+  describe('nameSimilarity', () => {
+    it('should match names across scripts, spellings and legal forms', () => {
+      expect(similarity('Rosneft LLC', 'Роснефть ООО')).toBe(1);
+      expect(similarity('Mohammed Al Rashid', 'MUHAMMAD AL-RASHID')).toBeGreaterThan(0.9);
+      expect(similarity('Rashid Al Mohammed', 'MUHAMMAD AL-RASHID')).toBeGreaterThan(0.9);
+    });
+
+    it('should not match a long name on one shared word', () => {
+      expect(similarity('Ali Baba Trading', 'ALI')).toBeLessThan(deniedPartyService.DENIED_PARTY_MATCH_THRESHOLD);
+      expect(similarity('Acme Industrial Supplies', 'Akme Shipping')).toBeLessThan(deniedPartyService.DENIED_PARTY_MATCH_THRESHOLD);
+    });
+  });
+
+  describe('parseListFile', () => {
+    it('should read the OFAC CSV with aliases from ALT.CSV and the remarks', () => {
+      const sdn = '36,"AEROCARIBBEAN AIRLINES",-0- ,"CUBA",-0- ,-0- ,-0- ,-0- ,-0- ,-0- ,-0- ,"a.k.a. \'AERO-CARIBBEAN\'."\n'
+        + '173,"ANGLO-CARIBBEAN CO., LTD.",-0- ,"CUBA",-0- ,-0- ,-0- ,-0- ,-0- ,-0- ,-0- ,-0- \n';
+      const alt = '173,1,"fka","ANGLO CARIBBEAN",-0- \n';
+
+      const { list, entries, errors } = deniedPartyService.parseListFile(file('SDN.CSV', sdn), file('ALT.CSV', alt));
+
+      expect(list).toBe('ofac_sdn');
+      expect(errors).toEqual([]);
+      expect(entries).toEqual([
+        expect.objectContaining({ list_entry_id: '36', name: 'AEROCARIBBEAN AIRLINES', aliases: ['AERO-CARIBBEAN'], entity_type: 'entity', programs: ['CUBA'] }),
+        expect.objectContaining({ list_entry_id: '173', name: 'ANGLO-CARIBBEAN CO., LTD.', aliases: ['ANGLO CARIBBEAN'] })
+      ]);
+    });
+
+    it('should read the OFAC XML list', () => {
+      const xml = `<?xml version="1.0" standalone="yes"?>
+        <sdnList xmlns="http://tempuri.org/sdnList.xsd">
+          <publshInformation><Publish_Date>10/15/2026</Publish_Date></publshInformation>
+          <sdnEntry>
+            <uid>7157</uid><firstName>Ahmad</firstName><lastName>SHAH</lastName><sdnType>Individual</sdnType>
+            <programList><program>SDGT</program></programList>
+            <akaList><aka><uid>1</uid><lastName>SHAH, Ahmed</lastName></aka></akaList>
+            <nationalityList><nationality><country>Afghanistan</country></nationality></nationalityList>
+          </sdnEntry>
+          <sdnEntry><uid>7158</uid><lastName>BARAKAT &amp; CO</lastName><sdnType>Entity</sdnType></sdnEntry>
+        </sdnList>`;
+
+      const { list, entries, errors, published } = deniedPartyService.parseListFile(file('sdn.xml', xml));
+
+      expect(list).toBe('ofac_sdn');
+      expect(errors).toEqual([]);
+      expect(published).toBe('10/15/2026');
+      expect(entries[0]).toMatchObject({
+        list_entry_id: '7157',
+        name: 'Ahmad SHAH',
+        aliases: ['SHAH, Ahmed'],
+        entity_type: 'individual',
+        programs: ['SDGT'],
+        countries: ['Afghanistan']
+      });
+      expect(entries[1]).toMatchObject({ list_entry_id: '7158', name: 'BARAKAT & CO', aliases: [] });
+    });
+
+    it('should read the UN consolidated list and report entries without an ID', () => {
+      const xml = `<CONSOLIDATED_LIST dateGenerated="2026-10-14T00:00:00">
+          <INDIVIDUALS>
+            <INDIVIDUAL>
+              <DATAID>6908555</DATAID><FIRST_NAME>RI</FIRST_NAME><SECOND_NAME>WON HO</SECOND_NAME>
+              <UN_LIST_TYPE>DPRK</UN_LIST_TYPE><NAME_ORIGINAL_SCRIPT>리원호</NAME_ORIGINAL_SCRIPT>
+              <NATIONALITY><VALUE>Democratic People's Republic of Korea</VALUE></NATIONALITY>
+              <INDIVIDUAL_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Ri Won-ho</ALIAS_NAME></INDIVIDUAL_ALIAS>
+            </INDIVIDUAL>
+          </INDIVIDUALS>
+          <ENTITIES>
+            <ENTITY><FIRST_NAME>KOREA MINING DEVELOPMENT TRADING CORPORATION</FIRST_NAME><UN_LIST_TYPE>DPRK</UN_LIST_TYPE></ENTITY>
+          </ENTITIES>
+        </CONSOLIDATED_LIST>`;
+
+      const { list, entries, errors } = deniedPartyService.parseListFile(file('consolidated.xml', xml));
+
+      expect(list).toBe('un_consolidated');
+      expect(entries).toEqual([expect.objectContaining({
+        list_entry_id: '6908555',
+        name: 'RI WON HO',
+        aliases: ['Ri Won-ho', '리원호'],
+        entity_type: 'individual',
+        programs: ['DPRK']
+      })]);
+      expect(errors).toEqual([{ row: 2, errors: ['DATAID is required'] }]);
+    });
+
+    it('should reject other files', () => {
+      expect(() => deniedPartyService.parseListFile(file('list.xml', '<parties/>'))).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => deniedPartyService.parseListFile(file('list.pdf', ''))).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('screenInvoice', () => {
+    const owner = { id: 2, full_name: 'Jane Importer', organization: { id: 1, name: 'Harbour Imports Ltd' } };
+
+    beforeEach(() => {
+      jest.spyOn(db.DeniedParty, 'findAll').mockResolvedValue([
+        { id: 40, list: 'ofac_sdn', list_entry_id: '8312', name: 'ROSOBORONEXPORT', aliases: ['ROSOBORON EXPORT'], entity_type: 'entity', programs: ['RUSSIA-EO14024'] },
+        { id: 41, list: 'un_consolidated', list_entry_id: '6908555', name: 'RI WON HO', aliases: [], entity_type: 'individual', programs: ['DPRK'] }
+      ]);
+    });
+
+    it('should store matches for the supplier and keep cleared decisions when screened again', async () => {
+      const invoice = invoiceRecord({ supplier: 'Rosoboron Export LLC', user: owner });
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue(invoice);
+
+      const first = await deniedPartyService.screenInvoice(5);
+
+      expect(first.status).toBe('PotentialMatch');
+      expect(first.matches).toEqual([expect.objectContaining({
+        role: 'supplier',
+        screened_name: 'Rosoboron Export LLC',
+        party_id: 40,
+        listed_name: 'ROSOBORONEXPORT',
+        status: 'open'
+      })]);
+
+      invoice.denied_party_matches = first.matches.map(match => ({ ...match, status: 'cleared', reviewed_by: 3, review_reason: 'Different company' }));
+      const second = await deniedPartyService.screenInvoice(5);
+
+      expect(second.status).toBe('Clear');
+      expect(second.matches[0]).toMatchObject({ status: 'cleared', reviewed_by: 3, review_reason: 'Different company' });
+      expect(invoice.update).toHaveBeenLastCalledWith(expect.objectContaining({ denied_party_status: 'Clear' }), { transaction: undefined });
+    });
+
+    it('should block submission while a match is open', async () => {
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue(invoiceRecord({ supplier: 'Acme Industrial Supplies', user: { ...owner, organization: { id: 9, name: 'Ri Won-Ho' } } }));
+
+      await expect(deniedPartyService.assertNoDeniedParties(5)).rejects.toMatchObject({
+        status: 409,
+        message: expect.stringContaining("consignee 'Ri Won-Ho' ~ 'RI WON HO'")
+      });
+    });
+
+    it('should screen the supplier name without the request escapes', async () => {
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue(invoiceRecord({ supplier: 'Rosoboron Export &amp; Co', user: owner }));
+
+      const { status, matches } = await deniedPartyService.screenInvoice(5);
+
+      expect(status).toBe('PotentialMatch');
+      expect(matches[0].screened_name).toBe('Rosoboron Export & Co');
+    });
+
+    it('should let clean invoices through', async () => {
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue(invoiceRecord({ supplier: 'Acme Industrial Supplies', user: owner }));
+
+      await expect(deniedPartyService.assertNoDeniedParties(5)).resolves.toBeUndefined();
+    });
+
+    it('should block submission while no list is loaded', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 60 * 1000);
+      jest.spyOn(db.DeniedParty, 'findAll').mockResolvedValue([]);
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue(invoiceRecord({ supplier: 'Acme Industrial Supplies', user: owner }));
+
+      await expect(deniedPartyService.assertNoDeniedParties(5)).rejects.toMatchObject({
+        status: 409,
+        message: expect.stringContaining('no denied-party list is loaded')
+      });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const documentService = require('../../src/services/documentService');
+
+describe('Document Service', () => {
+  describe('generateXmlDocument', () => {
+    const invoice = {
+      id: 1,
+      invoice_date: '2024-01-15',
+      supplier: 'Example Supplier Inc.',
+      currency: 'EUR',
+      total_amount: 45,
+      invoice_lines: [
+        {
+          description: 'Cotton T-Shirt',
+          hs_code: '610910',
+          quantity: 10,
+          unit_price: 4.5,
+          origin_country: 'CN',
+          uom: 'NAR',
+          package_count: 2,
+          package_type: 'CT',
+          gross_weight: '3.500',
+          net_weight: '3.100'
+        },
+        { description: 'Sample', quantity: 1, unit_price: 0 }
+      ]
+    };
+
+    it('should emit origin, unit of measure, packages and weights for each item', async () => {
+      const xml = await documentService.generateXmlDocument(invoice);
+
+      expect(xml).toContain('<Description>Cotton T-Shirt</Description>');
+      expect(xml).toContain('<OriginCountry>CN</OriginCountry>');
+      expect(xml).toContain('<Quantity unit="NAR">10</Quantity>');
+      expect(xml).toMatch(/<Packages>\s*<Number>2<\/Number>\s*<KindCode>CT<\/KindCode>\s*<\/Packages>/);
+      expect(xml).toContain('<GrossWeight unit="KG">3.500</GrossWeight>');
+      expect(xml).toContain('<NetWeight unit="KG">3.100</NetWeight>');
+    });
+
+    it('should total packages and weights over the lines that have them', async () => {
+      const xml = await documentService.generateXmlDocument(invoice);
+
+      expect(xml).toContain('<TotalPackages>2</TotalPackages>');
+      expect(xml).toContain('<TotalGrossWeight unit="KG">3.500</TotalGrossWeight>');
+      expect(xml).toContain('<Quantity>1</Quantity>');
+    });
+  });
+});
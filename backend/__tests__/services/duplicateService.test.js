@@ -0,0 +1,73 @@
+const duplicateService = require('../../src/services/duplicateService');
+
+describe('Duplicate Service', () => {
+  describe('textSimilarity', () => {
+    it('should ignore case, punctuation and spacing', () => {
+      expect(duplicateService.textSimilarity('Cotton T-Shirt', 'cotton tshirt')).toBe(1);
+      expect(duplicateService.textSimilarity('Cotton T-Shirt', 'Steel bolts')).toBeLessThan(0.3);
+      expect(duplicateService.textSimilarity('', 'Steel bolts')).toBe(0);
+    });
+  });
+
+  describe('scoreDuplicate', () => {
+    const original = {
+      supplier: 'Acme Textiles Ltd.',
+      invoice_date: '2024-03-01',
+      total_amount: '1250.00',
+      currency: 'EUR',
+      descriptions: ['Cotton T-Shirt, white', 'Denim jeans']
+    };
+
+    it('should score a re-entered invoice as a likely duplicate', () => {
+      const match = duplicateService.scoreDuplicate({
+        supplier: 'ACME TEXTILES',
+        invoice_date: '2024-03-02',
+        total_amount: '1250.00',
+        currency: 'EUR',
+        descriptions: ['Denim Jeans', 'Cotton T-shirt white']
+      }, original);
+
+      expect(match.score).toBeGreaterThanOrEqual(duplicateService.DUPLICATE_THRESHOLD);
+      expect(match.signals.supplier).toBe(1);
+      expect(match.signals.total_amount).toBe(1);
+    });
+
+    it('should not flag a different invoice from the same supplier', () => {
+      const match = duplicateService.scoreDuplicate({
+        supplier: 'Acme Textiles',
+        invoice_date: '2024-03-01',
+        total_amount: '310.00',
+        currency: 'EUR',
+        descriptions: ['Wool scarf']
+      }, original);
+
+      expect(match.score).toBeLessThan(duplicateService.DUPLICATE_THRESHOLD);
+    });
+
+    it('should not compare totals in different currencies', () => {
+      const match = duplicateService.scoreDuplicate({ ...original, currency: 'USD' }, original);
+
+      expect(match.signals.total_amount).toBeUndefined();
+    });
+
+    it('should not flag on supplier and date alone', () => {
+      const match = duplicateService.scoreDuplicate(
+        { ...original, total_amount: 0, descriptions: [] },
+        original
+      );
+
+      expect(match.score).toBe(0);
+    });
+  });
+
+  describe('assertNotDuplicate', () => {
+    it('should block suspected and confirmed duplicates with a 409 error', () => {
+      expect(() => duplicateService.assertNotDuplicate({ id: 2, duplicate_status: 'Suspected', duplicate_of_id: 1 }))
+        .toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => duplicateService.assertNotDuplicate({ id: 2, duplicate_status: 'Confirmed', duplicate_of_id: 1 }))
+        .toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => duplicateService.assertNotDuplicate({ id: 2, duplicate_status: 'Dismissed', duplicate_of_id: 1 }))
+        .not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock('../../src/services/classificationService', () => ({
+  classifyProduct: jest.fn()
+}));
+jest.mock('../../src/services/classificationProviders', () => ({
+  getProviderChain: jest.fn()
+}));
+
+const db = require('../../src/models');
+const classificationService = require('../../src/services/classificationService');
+const classificationProviders = require('../../src/services/classificationProviders');
+const evaluationService = require('../../src/services/evaluationService');
+
+// In-memory stand-in for a ClassificationEvaluation row
+const fakeEvaluation = (fields) => {
+  const evaluation = { id: 1, providers: ['llm'], confidence_threshold: '0.700', status: 'Running', ...fields };
+  evaluation.update = jest.fn(async (changes) => Object.assign(evaluation, changes));
+  return evaluation;
+};
+
+const result = (expected, hsCode, confidence, fields = {}) => ({
+  description: `Item ${expected}`,
+  expected,
+  status: hsCode ? 'Done' : 'Failed',
+  hs_code: hsCode,
+  confidence,
+  flagged: confidence < 0.7,
+  match: evaluationService.matchLevel(expected, hsCode),
+  ...fields
+});
+
+describe('Evaluation Service', () => {
+  beforeEach(() => {
+    const known = ['contextgem', 'llm', 'keyword'];
+    classificationProviders.getProviderChain.mockImplementation((env = process.env) => (
+      (env.CLASSIFICATION_PROVIDERS || 'llm,keyword').split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(name => known.includes(name))
+        .map(name => ({ name }))
+    ));
+  });
+
+  describe('parseDatasetRows', () => {
+    it('should read description and HS code columns and report invalid rows', () => {
+      const { items, errors } = evaluationService.parseDatasetRows([
+        { rowNumber: 2, values: { Description: 'Laptop computer', 'HS Code': '8471.30' } },
+        { rowNumber: 3, values: { Description: 'Live horses', 'HS Code': '01012100' } },
+        { rowNumber: 4, values: { Description: 'Cotton shirts', 'HS Code': '6205' } },
+        { rowNumber: 5, values: { Description: ' ', 'HS Code': '620520' } }
+      ]);
+
+      expect(items).toEqual([
+        { description: 'Laptop computer', hs_code: '8471.30' },
+        { description: 'Live horses', hs_code: '0101.21.00' }
+      ]);
+      expect(errors).toEqual([
+        { row: 4, errors: ['hs_code must be an HS code of 6, 8 or 10 digits'] },
+        { row: 5, errors: ['description is required'] }
+      ]);
+    });
+  });
+
+  describe('matchLevel', () => {
+    it('should grade a prediction by the leading digits it shares with the label', () => {
+      expect(evaluationService.matchLevel('8471.30', '8471.30.10')).toBe('exact');
+      expect(evaluationService.matchLevel('8471.30.10', '8471.30.90')).toBe('hs6');
+      expect(evaluationService.matchLevel('8471.30', '8471.41')).toBe('hs4');
+      expect(evaluationService.matchLevel('8471.30', '8473.30')).toBe('chapter');
+      expect(evaluationService.matchLevel('8471.30', '8517.62')).toBeNull();
+      expect(evaluationService.matchLevel('8471.30', null)).toBeNull();
+    });
+  });
+
+  describe('computeMetrics', () => {
+    const results = [
+      result('8471.30', '8471.30', 0.95),
+      result('8517.62', '8517.62', 0.85),
+      result('6205.20', '6205.30', 0.75),
+      result('0901.21', '0902.10', 0.4),
+      result('9503.00', null, 0, { error: 'llm: timed out' })
+    ];
+
+    it('should report cumulative accuracy per level', () => {
+      const metrics = evaluationService.computeMetrics(results, 0.7);
+
+      expect(metrics).toMatchObject({ total: 5, classified: 4, failed: 1, flag_rate: 0.4 });
+      expect(metrics.accuracy).toEqual({ exact: 0.4, hs6: 0.4, hs4: 0.6, chapter: 0.8 });
+    });
+
+    it('should compare confidence with accuracy per confidence range', () => {
+      const { calibration } = evaluationService.computeMetrics(results, 0.7);
+
+      expect(calibration.bins[9]).toEqual({ from: 0.9, to: 1, count: 1, mean_confidence: 0.95, accuracy: 1 });
+      expect(calibration.bins[7]).toEqual({ from: 0.7, to: 0.8, count: 1, mean_confidence: 0.75, accuracy: 0 });
+      expect(calibration.bins[0]).toMatchObject({ count: 1, accuracy: 0 });
+      // (0.05 + 0.15 + 0.75 + 0.4) / 5
+      expect(calibration.expected_calibration_error).toBe(0.27);
+      // (0.0025 + 0.0225 + 0.5625 + 0.16 + 0) / 5
+      expect(calibration.brier_score).toBe(0.1495);
+    });
+
+    it('should report what each threshold would flag, including the configured one', () => {
+      const { thresholds } = evaluationService.computeMetrics(results, 0.72);
+
+      expect(thresholds.map(row => row.threshold)).toContain(0.72);
+      expect(thresholds.find(row => row.threshold === 0.8)).toEqual({
+        threshold: 0.8,
+        flag_rate: 0.6,
+        accepted_accuracy: 1,
+        errors_flagged: 1
+      });
+      expect(thresholds.find(row => row.threshold === 0.5)).toMatchObject({ flag_rate: 0.4, accepted_accuracy: 0.6667, errors_flagged: 0.6667 });
+    });
+  });
+
+  describe('createEvaluation', () => {
+    it('should reject unknown providers', async () => {
+      await expect(evaluationService.createEvaluation({
+        dataset: 'golden.csv',
+        items: [{ description: 'Laptop', hs_code: '8471.30' }],
+        providers: ['llm', 'oracle']
+      }, 2)).rejects.toMatchObject({ status: 422, message: 'Unknown classification provider(s): oracle' });
+    });
+
+    it('should not start a run while another is running', async () => {
+      jest.spyOn(db.ClassificationEvaluation, 'count').mockResolvedValue(1);
+      const create = jest.spyOn(db.ClassificationEvaluation, 'create');
+
+      await expect(evaluationService.createEvaluation({
+        dataset: 'golden.csv',
+        items: [{ description: 'Laptop', hs_code: '8471.30' }]
+      }, 2)).rejects.toMatchObject({ status: 409 });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runEvaluation', () => {
+    it('should classify pending items with the run providers and no cache, then store the metrics', async () => {
+      const evaluation = fakeEvaluation({
+        providers: ['keyword'],
+        results: [
+          result('8471.30', '8471.30', 0.9),
+          { description: 'Mobile phone', expected: '8517.13', status: 'Pending' },
+          { description: 'Mystery item', expected: '9503.00', status: 'Pending' }
+        ]
+      });
+      jest.spyOn(db.ClassificationEvaluation, 'findByPk').mockResolvedValue(evaluation);
+      classificationService.classifyProduct.mockImplementation(async (description) => (description === 'Mobile phone'
+        ? { hs_code: '8517.13.00', confidence: 0.8, provider: 'keyword', flagged: false }
+        : { hs_code: null, error: 'keyword: no HS code returned' }));
+
+      await evaluationService.runEvaluation(1);
+
+      expect(classificationService.classifyProduct).toHaveBeenCalledTimes(2);
+      expect(classificationService.classifyProduct).toHaveBeenCalledWith('Mobile phone', {}, { providers: ['keyword'], useCache: false });
+      expect(evaluation.results[1]).toMatchObject({ status: 'Done', hs_code: '8517.13.00', match: 'exact' });
+      expect(evaluation.results[2]).toMatchObject({ status: 'Failed', match: null, error: 'keyword: no HS code returned' });
+      expect(evaluation).toMatchObject({ status: 'Completed', processed: 3 });
+      expect(evaluation.metrics.accuracy.exact).toBe(0.6667);
+    });
+  });
+
+  describe('compareEvaluations', () => {
+    it('should list the items whose match improved or regressed', async () => {
+      const runs = {
+        1: fakeEvaluation({
+          id: 1,
+          status: 'Completed',
+          results: [result('8471.30', '8471.41', 0.6), result('8517.62', '8517.62', 0.9), result('6205.20', '6205.20', 0.8)]
+        }),
+        2: fakeEvaluation({
+          id: 2,
+          status: 'Completed',
+          results: [result('8471.30', '8471.30', 0.9), result('8517.62', '8543.70', 0.5), result('6205.20', '6205.20', 0.85)]
+        })
+      };
+      runs[1].metrics = evaluationService.computeMetrics(runs[1].results, 0.7);
+      runs[2].metrics = evaluationService.computeMetrics(runs[2].results, 0.7);
+      jest.spyOn(db.ClassificationEvaluation, 'findByPk').mockImplementation(async id => runs[id]);
+
+      const comparison = await evaluationService.compareEvaluations(1, 2);
+
+      expect(comparison.items_compared).toBe(3);
+      expect(comparison.improved).toEqual([expect.objectContaining({ expected: '8471.30', before: expect.objectContaining({ match: 'hs4' }) })]);
+      expect(comparison.regressed).toEqual([expect.objectContaining({ expected: '8517.62', after: expect.objectContaining({ match: 'chapter' }) })]);
+      expect(comparison.accuracy_change).toEqual({ exact: 0, hs6: 0, hs4: -0.3333, chapter: 0 });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const db = require('../../src/models');
+const invoiceStatusService = require('../../src/services/invoiceStatusService');
+const restrictionService = require('../../src/services/restrictionService');
+const tariffService = require('../../src/services/tariffService');
+const classificationCache = require('../../src/services/classificationCache');
+const hsMigrationService = require('../../src/services/hsMigrationService');
+
+const versions = { fromVersion: 'HS2022', toVersion: 'HS2027' };
+
+// In-memory stand-in for a model instance
+const record = (fields) => {
+  const instance = { ...fields };
+  instance.update = jest.fn(async (changes) => Object.assign(instance, changes));
+  instance.destroy = jest.fn(async () => undefined);
+  return instance;
+};
+
+const correlations = [
+  { from_code: '8471.30', to_code: '8471.31' },
+  { from_code: '8517.62', to_code: '8517.63' },
+  { from_code: '8517.62', to_code: '8517.64' },
+  { from_code: '0101.21', to_code: '0101.21' }
+];
+
+describe('HS Migration Service', () => {
+  describe('parseCorrelationRows', () => {
+    it('should read edition-named columns, repeat a blank from_code and report invalid rows', () => {
+      const { correlations: parsed, errors } = hsMigrationService.parseCorrelationRows([
+        { rowNumber: 2, values: { 'HS 2022': '8517.62', 'HS 2027': '8517.63', Remarks: 'Split' } },
+        { rowNumber: 3, values: { 'HS 2022': '', 'HS 2027': '851764' } },
+        { rowNumber: 4, values: { 'HS 2022': '8471.30', 'HS 2027': 'n/a' } },
+        { rowNumber: 5, values: { 'HS 2022': '8517.62', 'HS 2027': '8517.63' } }
+      ], versions);
+
+      expect(parsed).toEqual([
+        { from_code: '8517.62', to_code: '8517.63', note: 'Split' },
+        { from_code: '8517.62', to_code: '8517.64', note: null }
+      ]);
+      expect(errors).toEqual([
+        { row: 4, errors: ['to_code must be an HS code of 2 to 10 digits'] },
+        { row: 5, errors: ['8517.62 to 8517.63 is listed twice'] }
+      ]);
+    });
+
+    it('should reject a table between the same editions', async () => {
+      await expect(hsMigrationService.loadCorrelations([], { fromVersion: 'HS2022', toVersion: 'hs 2022' }))
+        .rejects.toMatchObject({ status: 422 });
+    });
+  });
+
+  describe('remapCode', () => {
+    const index = hsMigrationService.buildCorrelationIndex(correlations);
+
+    it('should remap one-to-one changes and keep the national digits', () => {
+      expect(hsMigrationService.remapCode('8471.30.10', index)).toEqual({
+        action: 'remap', from_code: '8471.30', to_code: '8471.31', suffix: '10'
+      });
+    });
+
+    it('should report splits and leave codes the table keeps or omits alone', () => {
+      expect(hsMigrationService.remapCode('8517.62', index)).toEqual({
+        action: 'split', from_code: '8517.62', targets: ['8517.63', '8517.64']
+      });
+      expect(hsMigrationService.remapCode('0101.21.00', index)).toEqual({ action: 'unchanged' });
+      expect(hsMigrationService.remapCode('6205.20', index)).toEqual({ action: 'unchanged' });
+    });
+  });
+
+  describe('runMigration', () => {
+    let migration;
+    let lines;
+
+    beforeEach(() => {
+      migration = record({ id: 7, from_version: 'HS2022', to_version: 'HS2027', dry_run: false, status: 'Running', summary: {} });
+      lines = [
+        record({ id: 1, invoice_id: 10, hs_code: '8471.30.10', invoice: { id: 10, status: 'Classified' } }),
+        record({ id: 2, invoice_id: 11, hs_code: '8517.62', invoice: { id: 11, status: 'Ready' } }),
+        record({ id: 3, invoice_id: 11, hs_code: '6205.20', invoice: { id: 11, status: 'Ready' } })
+      ];
+
+      jest.spyOn(db.HsMigration, 'findByPk').mockResolvedValue(migration);
+      jest.spyOn(db.HsCorrelation, 'findAll').mockResolvedValue(correlations);
+      jest.spyOn(db.ClassificationHistory, 'findAll').mockResolvedValue([]);
+      jest.spyOn(db.ClassificationHistory, 'create').mockResolvedValue({});
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValueOnce(lines).mockResolvedValue([]);
+      jest.spyOn(db.ClassificationMemory, 'findAll').mockResolvedValue([]);
+      jest.spyOn(db.HsCode, 'findByPk').mockResolvedValue(null);
+      jest.spyOn(db.sequelize, 'transaction').mockImplementation(async callback => callback({}));
+      jest.spyOn(restrictionService, 'screenLines').mockResolvedValue([]);
+      jest.spyOn(tariffService, 'refreshStoredEstimates').mockResolvedValue(0);
+      jest.spyOn(invoiceStatusService, 'transitionInvoice').mockResolvedValue({});
+      jest.spyOn(classificationCache, 'invalidate').mockResolvedValue(0);
+    });
+
+    it('should apply one-to-one changes and record them with the migration as the actor', async () => {
+      await hsMigrationService.runMigration(7);
+
+      expect(lines[0].update).toHaveBeenCalledWith({ hs_code: '8471.31' }, { transaction: {} });
+      expect(db.ClassificationHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+        invoice_line_id: 1,
+        previous_hs_code: '8471.30.10',
+        new_hs_code: '8471.31',
+        changed_by: null,
+        hs_migration_id: 7
+      }), { transaction: {} });
+      expect(restrictionService.screenLines).toHaveBeenCalledWith([lines[0]], { transaction: {} });
+      expect(tariffService.refreshStoredEstimates).toHaveBeenCalledWith([10], { transaction: {} });
+      expect(lines[2].update).not.toHaveBeenCalled();
+      expect(classificationCache.invalidate).toHaveBeenCalledWith('');
+      expect(migration).toMatchObject({
+        status: 'Completed',
+        summary: { lines_checked: 3, lines_remapped: 1, lines_split: 1, invoices_sent_to_review: 1 }
+      });
+    });
+
+    it('should flag split lines for review and send their Ready invoice back', async () => {
+      await hsMigrationService.runMigration(7);
+
+      expect(lines[1].update).toHaveBeenCalledWith({ flagged: true }, { transaction: {} });
+      expect(db.ClassificationHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+        invoice_line_id: 2,
+        previous_hs_code: '8517.62',
+        new_hs_code: '8517.62',
+        hs_migration_id: 7,
+        comment: expect.stringContaining('split into 8517.63, 8517.64')
+      }), { transaction: {} });
+      expect(invoiceStatusService.transitionInvoice).toHaveBeenCalledWith(11, 'InReview', expect.objectContaining({ actor: null }));
+    });
+
+    it('should remap the reviewer memory and drop entries whose code was split', async () => {
+      const memories = [record({ id: 1, hs_code: '8471.30' }), record({ id: 2, hs_code: '8517.62' })];
+      db.ClassificationMemory.findAll.mockResolvedValueOnce(memories);
+
+      await hsMigrationService.runMigration(7);
+
+      expect(memories[0].update).toHaveBeenCalledWith({ hs_code: '8471.31' }, { transaction: {} });
+      expect(memories[1].destroy).toHaveBeenCalled();
+      expect(migration.summary).toMatchObject({ memories_remapped: 1, memories_removed: 1 });
+    });
+
+    it('should only count changes on a dry run', async () => {
+      migration.dry_run = true;
+
+      await hsMigrationService.runMigration(7);
+
+      lines.forEach(line => expect(line.update).not.toHaveBeenCalled());
+      expect(db.ClassificationHistory.create).not.toHaveBeenCalled();
+      expect(invoiceStatusService.transitionInvoice).not.toHaveBeenCalled();
+      expect(migration).toMatchObject({ status: 'Completed', summary: { lines_remapped: 1, lines_split: 1 } });
+    });
+
+    it('should skip lines already changed when resumed', async () => {
+      db.ClassificationHistory.findAll.mockResolvedValue([
+        { invoice_line_id: 1, previous_hs_code: '8471.30.10', new_hs_code: '8471.31' }
+      ]);
+      lines[0].hs_code = '8471.31';
+
+      await hsMigrationService.runMigration(7);
+
+      expect(lines[0].update).not.toHaveBeenCalled();
+      expect(migration.summary).toMatchObject({ lines_remapped: 1, lines_split: 1 });
+    });
+  });
+
+  describe('createMigration', () => {
+    it('should require a loaded correlation table', async () => {
+      jest.spyOn(db.HsCorrelation, 'count').mockResolvedValue(0);
+
+      await expect(hsMigrationService.createMigration(versions, 1)).rejects.toMatchObject({
+        status: 422,
+        message: 'No correlation table is loaded for HS2022 to HS2027'
+      });
+    });
+
+    it('should not migrate the same editions twice', async () => {
+      jest.spyOn(db.HsCorrelation, 'count').mockResolvedValue(4);
+      jest.spyOn(db.HsMigration, 'count').mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+      const create = jest.spyOn(db.HsMigration, 'create');
+
+      await expect(hsMigrationService.createMigration(versions, 1)).rejects.toMatchObject({ status: 409 });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
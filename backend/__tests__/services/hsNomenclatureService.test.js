@@ -0,0 +1,90 @@
+const db = require('../../src/models');
+const hsNomenclatureService = require('../../src/services/hsNomenclatureService');
+
+// Stored nomenclature entries as the database would return them
+const storedCodes = [
+  { code: 'XI', level: 'section', parent_code: null, section: 'XI', description: 'Textiles and textile articles' },
+  { code: '61', level: 'chapter', parent_code: 'XI', section: 'XI', description: 'Articles of apparel, knitted or crocheted' },
+  { code: '6109', level: 'heading', parent_code: '61', section: 'XI', description: 'T-shirts, singlets and other vests, knitted' },
+  { code: '6109.10', level: 'subheading', parent_code: '6109', section: 'XI', description: 'Of cotton' }
+];
+
+describe('HS Nomenclature Service', () => {
+  beforeEach(() => {
+    jest.spyOn(db.HsCode, 'findByPk').mockImplementation(async code => storedCodes.find(entry => entry.code === code) || null);
+    jest.spyOn(db.HsCode, 'count').mockResolvedValue(storedCodes.length);
+  });
+
+  describe('normalizeHsCode', () => {
+    it('should group digits in the stored dotted form and ignore separators', () => {
+      expect(hsNomenclatureService.normalizeHsCode('610910')).toBe('6109.10');
+      expect(hsNomenclatureService.normalizeHsCode('8471 30-10.00')).toBe('8471.30.10.00');
+      expect(hsNomenclatureService.normalizeHsCode(61)).toBe('61');
+      expect(hsNomenclatureService.normalizeHsCode('xvi')).toBe('XVI');
+    });
+
+    it('should return null for codes of the wrong length or with letters', () => {
+      expect(hsNomenclatureService.normalizeHsCode('61091')).toBeNull();
+      expect(hsNomenclatureService.normalizeHsCode('6109.1A')).toBeNull();
+      expect(hsNomenclatureService.normalizeHsCode('')).toBeNull();
+    });
+  });
+
+  describe('loadNomenclature', () => {
+    it('should resolve parents from the file and the stored nomenclature', async () => {
+      jest.spyOn(db.HsCode, 'findAll').mockResolvedValue(storedCodes);
+      const bulkCreate = jest.spyOn(db.HsCode, 'bulkCreate').mockResolvedValue([]);
+      jest.spyOn(db.sequelize, 'transaction').mockImplementation(async callback => callback({}));
+
+      const result = await hsNomenclatureService.loadNomenclature([
+        { rowNumber: 2, values: { 'HS Code': '6109.90.20', Description: 'Of man-made fibres' } },
+        { rowNumber: 3, values: { 'HS Code': '610990', Description: 'Of other textile materials' } }
+      ], { source: 'hs-2022.csv' });
+
+      expect(result).toEqual({ loaded: 2, errors: [] });
+      expect(bulkCreate.mock.calls.map(([records]) => records[0])).toEqual([
+        expect.objectContaining({ code: '6109.90', level: 'subheading', parent_code: '6109', section: 'XI', source: 'hs-2022.csv' }),
+        expect.objectContaining({ code: '6109.90.20', level: 'tariff_line', parent_code: '6109.90', section: 'XI' })
+      ]);
+    });
+
+    it('should reject the whole file when any row is invalid or has no parent', async () => {
+      jest.spyOn(db.HsCode, 'findAll').mockResolvedValue([]);
+      const bulkCreate = jest.spyOn(db.HsCode, 'bulkCreate');
+
+      const result = await hsNomenclatureService.loadNomenclature([
+        { rowNumber: 2, values: { Code: 'XI', Description: 'Textiles and textile articles' } },
+        { rowNumber: 3, values: { Code: '61', Description: 'Articles of apparel' } },
+        { rowNumber: 4, values: { Code: '8471', Description: 'Computers' } }
+      ]);
+
+      expect(result.loaded).toBe(0);
+      expect(result.errors).toEqual([
+        { row: 3, errors: ['chapters need the Roman numeral of their section'] },
+        { row: 4, errors: ['no parent entry found for 8471'] }
+      ]);
+      expect(bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateHsCode', () => {
+    it('should return the normalized code and its official description', async () => {
+      await expect(hsNomenclatureService.validateHsCode('610910')).resolves.toEqual({
+        code: '6109.10',
+        description: 'Of cotton'
+      });
+    });
+
+    it('should reject malformed codes, codes above subheading level and unknown codes with a 422 error', async () => {
+      await expect(hsNomenclatureService.validateHsCode('61091')).rejects.toMatchObject({ status: 422 });
+      await expect(hsNomenclatureService.validateHsCode('6109')).rejects.toThrow('classify at subheading');
+      await expect(hsNomenclatureService.validateHsCode('6109.20')).rejects.toThrow('not in the nomenclature');
+    });
+
+    it('should accept well-formed codes when no nomenclature is loaded', async () => {
+      db.HsCode.count.mockResolvedValue(0);
+
+      await expect(hsNomenclatureService.validateHsCode('8471.30')).resolves.toEqual({ code: '8471.30', description: null });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const db = require('../../src/models');
+const importService = require('../../src/services/importService');
+
+describe('Import Service', () => {
+  const csv = [
+    'Item Description,Qty,Unit Cost,HS,COO',
+    'Cotton T-Shirt,10,4.50,610910,cn',
+    'Broken row,-1,abc,,XX',
+    ',,,,'
+  ].join('\n');
+
+  describe('parseSpreadsheet', () => {
+    it('should read headers and non-empty rows from a CSV file', async () => {
+      const { headers, rows } = await importService.parseSpreadsheet(Buffer.from(csv), 'invoice.csv');
+
+      expect(headers).toEqual(['Item Description', 'Qty', 'Unit Cost', 'HS', 'COO']);
+      expect(rows).toHaveLength(2);
+      expect(rows[0].rowNumber).toBe(2);
+      expect(rows[0].values['Item Description']).toBe('Cotton T-Shirt');
+    });
+
+    it('should reject unsupported file types', async () => {
+      await expect(importService.parseSpreadsheet(Buffer.from(csv), 'invoice.pdf'))
+        .rejects
+        .toThrow('Unsupported file type');
+    });
+  });
+
+  describe('suggestMapping', () => {
+    it('should match common header spellings to invoice line fields', () => {
+      const mapping = importService.suggestMapping(['Item Description', 'Qty', 'Unit Cost', 'HS', 'COO']);
+
+      expect(mapping).toEqual({
+        description: 'Item Description',
+        quantity: 'Qty',
+        unit_price: 'Unit Cost',
+        hs_code: 'HS',
+        origin_country: 'COO'
+      });
+    });
+  });
+
+  describe('validateRows', () => {
+    beforeEach(() => {
+      jest.spyOn(db.HsCode, 'findByPk').mockImplementation(async code => (
+        code === '6109.10' ? { code, description: 'T-shirts, singlets and other vests, knitted, of cotton' } : null
+      ));
+    });
+
+    it('should report per-row errors using the invoice line validation rules', async () => {
+      const { headers, rows } = await importService.parseSpreadsheet(Buffer.from(csv), 'invoice.csv');
+      const { lines, report } = await importService.validateRows(rows, importService.suggestMapping(headers));
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toMatchObject({
+        description: 'Cotton T-Shirt',
+        quantity: 10,
+        unit_price: 4.5,
+        hs_code: '6109.10',
+        origin_country: 'CN'
+      });
+
+      expect(report).toHaveLength(2);
+      expect(report[1].valid).toBe(false);
+      expect(report[1].errors.map(err => err.field)).toEqual(['quantity', 'unit_price', 'origin_country']);
+    });
+  });
+});
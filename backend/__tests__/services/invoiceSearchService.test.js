@@ -0,0 +1,52 @@
+const db = require('../../src/models');
+const invoiceSearchService = require('../../src/services/invoiceSearchService');
+
+describe('Invoice Search Service', () => {
+  const invoice = (id, invoiceDate) => ({ id, get: field => (field === 'invoice_date' ? invoiceDate : id) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return one page with the total and a cursor for the next page', async () => {
+    jest.spyOn(db.Invoice, 'count').mockResolvedValue(3);
+    jest.spyOn(db.Invoice, 'findAll').mockResolvedValue([
+      invoice(9, '2024-03-01'),
+      invoice(7, '2024-02-01'),
+      invoice(4, '2024-01-01')
+    ]);
+
+    const result = await invoiceSearchService.searchInvoices(1, { sortBy: 'invoice_date', limit: 2 });
+
+    expect(result.invoices.map(item => item.id)).toEqual([9, 7]);
+    expect(result.pagination).toMatchObject({ total: 3, limit: 2, hasMore: true });
+    expect(db.Invoice.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      order: [['invoice_date', 'DESC NULLS LAST'], ['id', 'DESC']],
+      limit: 3
+    }));
+
+    // The cursor continues after the last invoice of the page
+    db.Invoice.findAll.mockResolvedValue([invoice(4, '2024-01-01')]);
+    const next = await invoiceSearchService.searchInvoices(1, {
+      sortBy: 'invoice_date',
+      limit: 2,
+      cursor: result.pagination.nextCursor
+    });
+
+    expect(next.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it('should reject a cursor made for another sort order with a 422 error', async () => {
+    jest.spyOn(db.Invoice, 'count').mockResolvedValue(3);
+    jest.spyOn(db.Invoice, 'findAll').mockResolvedValue([invoice(9, '2024-03-01'), invoice(7, '2024-02-01')]);
+
+    const { pagination } = await invoiceSearchService.searchInvoices(1, { sortBy: 'invoice_date', limit: 1 });
+
+    await expect(invoiceSearchService.searchInvoices(1, { sortBy: 'total_amount', cursor: pagination.nextCursor }))
+      .rejects
+      .toMatchObject({ status: 422 });
+    await expect(invoiceSearchService.searchInvoices(1, { cursor: 'not-a-cursor' }))
+      .rejects
+      .toMatchObject({ status: 422 });
+  });
+});
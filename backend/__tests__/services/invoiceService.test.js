@@ -0,0 +1,42 @@
+const db = require('../../src/models');
+const currencyService = require('../../src/services/currencyService');
+const tariffService = require('../../src/services/tariffService');
+const { updateInvoiceTotal } = require('../../src/services/invoiceService');
+const { httpError } = require('../../src/utils/httpError');
+
+describe('Invoice Service', () => {
+  describe('updateInvoiceTotal', () => {
+    beforeEach(() => {
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue({ id: 3, currency: 'USD', invoice_date: '2024-06-01' });
+      jest.spyOn(tariffService, 'refreshStoredEstimates').mockResolvedValue(0);
+      jest.spyOn(currencyService, 'convertAmount').mockImplementation(async (amount, from, to) => {
+        if (from === 'XAF') {
+          throw httpError(`No exchange rate from XAF to ${to} effective on or before 2024-06-01`, 422);
+        }
+        return { amount: parseFloat(amount), rate: 1, effectiveDate: '2024-06-01' };
+      });
+    });
+
+    it('should convert the line totals into the invoice and base currencies', async () => {
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([{ line_currency: 'USD', total: '100.50' }, { line_currency: 'EUR', total: '20' }]);
+      const update = jest.spyOn(db.Invoice, 'update').mockResolvedValue([1]);
+
+      await expect(updateInvoiceTotal(3)).resolves.toBe(120.5);
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ total_amount: 120.5, total_amount_base: 120.5 }),
+        { where: { id: 3 }, transaction: undefined }
+      );
+    });
+
+    it('should leave the total unknown rather than fail when a line currency has no rate', async () => {
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([{ line_currency: 'USD', total: '100' }, { line_currency: 'XAF', total: '5000' }]);
+      const update = jest.spyOn(db.Invoice, 'update').mockResolvedValue([1]);
+
+      await expect(updateInvoiceTotal(3)).resolves.toBeNull();
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ total_amount: null, total_amount_base: null, exchange_rate: null }),
+        { where: { id: 3 }, transaction: undefined }
+      );
+    });
+  });
+});
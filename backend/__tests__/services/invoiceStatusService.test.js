@@ -0,0 +1,67 @@
+const db = require('../../src/models');
+const invoiceStatusService = require('../../src/services/invoiceStatusService');
+
+describe('Invoice Status Service', () => {
+  describe('canTransition', () => {
+    it('should follow the invoice lifecycle', () => {
+      expect(invoiceStatusService.canTransition('Draft', 'Classified')).toBe(true);
+      expect(invoiceStatusService.canTransition('Ready', 'Submitted')).toBe(true);
+      expect(invoiceStatusService.canTransition('Rejected', 'Amended')).toBe(true);
+
+      expect(invoiceStatusService.canTransition('Draft', 'Submitted')).toBe(false);
+      expect(invoiceStatusService.canTransition('Submitted', 'Draft')).toBe(false);
+      expect(invoiceStatusService.canTransition('Rejected', 'Submitted')).toBe(false);
+      expect(invoiceStatusService.canTransition('Approved', 'Amended')).toBe(false);
+    });
+
+    it('should not let users request statuses set by the submission workflow', () => {
+      expect(invoiceStatusService.USER_STATUSES).not.toContain('Submitted');
+      expect(invoiceStatusService.USER_STATUSES).not.toContain('Accepted');
+      expect(invoiceStatusService.USER_STATUSES).not.toContain('Rejected');
+    });
+  });
+
+  describe('transitionInvoice', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    let invoice;
+
+    beforeEach(() => {
+      invoice = { id: 7, status: 'Draft', update: jest.fn(async function (data) { Object.assign(this, data); }) };
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue(invoice);
+      jest.spyOn(db.InvoiceStatusHistory, 'create').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should update the status and record the transition with actor and reason', async () => {
+      jest.spyOn(db.InvoiceLine, 'count').mockResolvedValue(0).mockResolvedValueOnce(2);
+
+      await invoiceStatusService.transitionInvoice(7, 'Classified', { actor: 3, reason: 'All lines coded', transaction });
+
+      expect(invoice.status).toBe('Classified');
+      expect(db.InvoiceStatusHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({ invoice_id: 7, from_status: 'Draft', to_status: 'Classified', changed_by: 3, reason: 'All lines coded' }),
+        { transaction }
+      );
+    });
+
+    it('should reject transitions outside the lifecycle with a 409 error', async () => {
+      await expect(invoiceStatusService.transitionInvoice(7, 'Ready', { transaction }))
+        .rejects
+        .toMatchObject({ status: 409 });
+
+      expect(invoice.update).not.toHaveBeenCalled();
+      expect(db.InvoiceStatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject Classified while lines lack an HS code', async () => {
+      jest.spyOn(db.InvoiceLine, 'count').mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+
+      await expect(invoiceStatusService.transitionInvoice(7, 'Classified', { transaction }))
+        .rejects
+        .toMatchObject({ status: 409, message: expect.stringContaining('without an HS code') });
+    });
+  });
+});
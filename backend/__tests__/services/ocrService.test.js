@@ -0,0 +1,63 @@
+const ocrService = require('../../src/services/ocrService');
+
+// Build Tesseract TSV output with one word row per token
+const toTsv = (lines) => {
+  const header = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+  const rows = [];
+  lines.forEach(([text, conf], lineNum) => {
+    text.split(' ').forEach((word, wordNum) => {
+      rows.push(['5', '1', '1', '1', lineNum, wordNum, '0', '0', '0', '0', conf, word].join('\t'));
+    });
+  });
+  return [header, ...rows].join('\n');
+};
+
+describe('OCR Service', () => {
+  describe('parseAmount', () => {
+    it('should handle thousands separators and decimal commas', () => {
+      expect(ocrService.parseAmount('$1,234.50')).toBe(1234.5);
+      expect(ocrService.parseAmount('1.234,50')).toBe(1234.5);
+      expect(ocrService.parseAmount('12,50')).toBe(12.5);
+      expect(ocrService.parseAmount('abc')).toBeNull();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read common invoice date formats', () => {
+      expect(ocrService.parseDate('Date: 2024-03-14').value).toBe('2024-03-14');
+      expect(ocrService.parseDate('14 March 2024').value).toBe('2024-03-14');
+      expect(ocrService.parseDate('Mar 14, 2024').value).toBe('2024-03-14');
+      expect(ocrService.parseDate('14/03/2024')).toEqual({ value: '2024-03-14', ambiguous: false });
+      expect(ocrService.parseDate('31/02/2024')).toBeNull();
+    });
+  });
+
+  describe('extractInvoiceFields', () => {
+    it('should extract header fields and line items with confidences', () => {
+      const lines = ocrService.parseTsv(toTsv([
+        ['Supplier: Acme Trading Co.', 95],
+        ['Invoice Date: 14/03/2024', 90],
+        ['Description Qty Unit Price Amount', 92],
+        ['1 Cotton T-Shirt 10 4.50 45.00', 91],
+        ['2 Denim Jeans 5 20.00 90.00', 70],
+        ['Grand Total EUR 150.00', 88]
+      ]), 1);
+
+      const result = ocrService.extractInvoiceFields(lines);
+
+      expect(result.supplier).toEqual({ value: 'Acme Trading Co.', confidence: 0.95 });
+      expect(result.invoice_date.value).toBe('2024-03-14');
+      expect(result.currency).toEqual({ value: 'EUR', confidence: 0.88 });
+      expect(result.lines).toHaveLength(2);
+      expect(result.lines[0]).toMatchObject({ description: 'Cotton T-Shirt', quantity: 10, unit_price: 4.5 });
+
+      // Second line does not multiply out, so its numeric fields are marked down
+      expect(result.lines[1].confidence.quantity).toBeLessThan(result.lines[1].confidence.description);
+
+      // Printed total disagrees with the lines (45 + 5 x 20), so it is flagged as well
+      expect(result.total_amount.value).toBe(150);
+      expect(result.total_amount.confidence).toBeLessThan(0.88);
+      expect(result.warnings).toHaveLength(1);
+    });
+  });
+});
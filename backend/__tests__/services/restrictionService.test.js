@@ -0,0 +1,129 @@
+const db = require('../../src/models');
+const restrictionService = require('../../src/services/restrictionService');
+
+const rule = (fields) => ({
+  hs_from: null,
+  hs_to: null,
+  keywords: [],
+  restriction: 'licence',
+  licence_type: null,
+  authority: null,
+  active: true,
+  ...fields
+});
+
+const lineRecord = (fields) => {
+  const line = { restriction_hits: [], ...fields };
+  line.update = jest.fn(async (changes) => Object.assign(line, changes));
+  return line;
+};
+
+describe('Restriction Service', () => {
+  describe('screenLine', () => {
+    const rules = [
+      rule({ id: 1, hs_from: '3001', hs_to: '3006', licence_type: 'Pharmaceutical import licence' }),
+      rule({ id: 2, hs_from: '9301', hs_to: '930320', licence_type: 'Firearms permit' }),
+      rule({ id: 3, keywords: ['ivory'], restriction: 'prohibited' }),
+      rule({ id: 4, hs_from: '06', keywords: ['seedlings', 'live plants'], licence_type: 'Phytosanitary certificate' })
+    ];
+
+    it('should match HS ranges on the digits of each end', () => {
+      expect(restrictionService.screenLine({ hs_code: '3004.90', description: 'Tablets' }, rules).map(hit => hit.rule_id)).toEqual([1]);
+      expect(restrictionService.screenLine({ hs_code: '9302.00', description: 'Revolvers' }, rules).map(hit => hit.rule_id)).toEqual([2]);
+      expect(restrictionService.screenLine({ hs_code: '9303.90', description: 'Flare guns' }, rules)).toEqual([]);
+    });
+
+    it('should match keywords as whole words, with the HS range when the rule has both', () => {
+      expect(restrictionService.screenLine({ hs_code: '9601.10', description: 'Carved IVORY figurine' }, rules)[0])
+        .toMatchObject({ rule_id: 3, restriction: 'prohibited', reason: "Description mentions 'ivory'" });
+      expect(restrictionService.screenLine({ hs_code: '9601.10', description: 'Ivorycoloured buttons' }, rules)).toEqual([]);
+      expect(restrictionService.screenLine({ hs_code: '0602.90', description: 'Live plants, potted' }, rules).map(hit => hit.rule_id)).toEqual([4]);
+      expect(restrictionService.screenLine({ hs_code: '0602.90', description: 'Cut flowers' }, rules)).toEqual([]);
+    });
+
+    it('should match keywords in descriptions stored with HTML escapes', () => {
+      const escapedRules = [rule({ id: 5, keywords: ["men's razors", 'bows & arrows'] })];
+
+      expect(restrictionService.screenLine({ hs_code: '8212.10', description: 'Men&#x27;s razors, pack of 5' }, escapedRules)[0])
+        .toMatchObject({ rule_id: 5, reason: "Description mentions 'men s razors'" });
+      expect(restrictionService.screenLine({ hs_code: '9506.99', description: 'Bows &amp; arrows set' }, escapedRules).map(hit => hit.rule_id))
+        .toEqual([5]);
+    });
+
+    it('should keep the permit reference of a rule the line still matches', () => {
+      const line = {
+        hs_code: '3004.90',
+        description: 'Tablets',
+        restriction_hits: [
+          { rule_id: 1, permit_reference: 'PH-2024-118' },
+          { rule_id: 2, permit_reference: 'FP-77' }
+        ]
+      };
+
+      expect(restrictionService.screenLine(line, rules)).toEqual([expect.objectContaining({ rule_id: 1, permit_reference: 'PH-2024-118' })]);
+    });
+  });
+
+  describe('assertNoBlockingRestrictions', () => {
+    it('should block lines without their permit and prohibited goods, and pass once permits are attached', async () => {
+      jest.spyOn(db.RestrictionRule, 'findAll').mockResolvedValue([
+        rule({ id: 1, hs_from: '3004', licence_type: 'Pharmaceutical import licence' }),
+        rule({ id: 3, keywords: ['ivory'], restriction: 'prohibited' })
+      ]);
+      const tablets = lineRecord({ id: 11, hs_code: '3004.90', description: 'Tablets' });
+      const ivory = lineRecord({ id: 12, hs_code: '9601.10', description: 'Ivory figurine' });
+      jest.spyOn(db.InvoiceLine, 'findAll').mockResolvedValue([tablets, ivory]);
+
+      await expect(restrictionService.assertNoBlockingRestrictions(5)).rejects.toMatchObject({
+        status: 409,
+        message: expect.stringMatching(/line 11 needs a Pharmaceutical import licence reference.*line 12 holds prohibited goods/)
+      });
+      expect(tablets.update).not.toHaveBeenCalled();
+      expect(ivory.update).not.toHaveBeenCalled();
+
+      tablets.restriction_hits = [{ rule_id: 1, permit_reference: 'PH-2024-118' }];
+      ivory.description = 'Bone figurine';
+      await expect(restrictionService.assertNoBlockingRestrictions(5)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('screenLines', () => {
+    it('should store hits only on lines whose hits changed', async () => {
+      jest.spyOn(db.RestrictionRule, 'findAll').mockResolvedValue([rule({ id: 3, keywords: ['ivory'], restriction: 'prohibited' })]);
+      const ivory = lineRecord({ id: 12, hs_code: '9601.10', description: 'Ivory figurine' });
+      const bone = lineRecord({ id: 13, hs_code: '9601.10', description: 'Bone figurine' });
+
+      await restrictionService.screenLines([ivory, bone], { transaction: {} });
+
+      expect(ivory.update).toHaveBeenCalledWith({ restriction_hits: [expect.objectContaining({ rule_id: 3 })] }, { transaction: {} });
+      expect(bone.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attachPermit', () => {
+    it('should not clear prohibited goods with a permit', async () => {
+      jest.spyOn(db.Invoice, 'findOne').mockResolvedValue({ id: 5, status: 'Ready' });
+      const line = lineRecord({ id: 12, restriction_hits: [{ rule_id: 3, restriction: 'prohibited', permit_reference: null }] });
+      jest.spyOn(db.InvoiceLine, 'findOne').mockResolvedValue(line);
+
+      await expect(restrictionService.attachPermit(5, 12, 3, 'X-1', 2)).rejects.toMatchObject({ status: 409 });
+      expect(line.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createRule', () => {
+    it('should store HS range ends as digits', async () => {
+      const create = jest.spyOn(db.RestrictionRule, 'create').mockImplementation(async data => ({ id: 1, ...data }));
+
+      await restrictionService.createRule({ hs_from: '93.01', hs_to: '93.06', restriction: 'licence' }, 2);
+
+      expect(create).toHaveBeenCalledWith({ hs_from: '9301', hs_to: '9306', restriction: 'licence', created_by: 2 });
+    });
+
+    it('should reject a rule without an HS range or keywords', async () => {
+      await expect(restrictionService.createRule({ restriction: 'prohibited', keywords: [' '] }, 2))
+        .rejects
+        .toMatchObject({ status: 422 });
+    });
+  });
+});
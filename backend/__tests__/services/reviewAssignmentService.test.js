@@ -0,0 +1,107 @@
+const db = require('../../src/models');
+const reviewAssignmentService = require('../../src/services/reviewAssignmentService');
+
+const reviewer = (fields) => ({ hs_chapters: [], open: 0, turn: 0, ...fields });
+
+describe('Review Assignment Service', () => {
+  describe('pickReviewer', () => {
+    it('should take turns with round robin', () => {
+      const reviewers = [reviewer({ id: 1, turn: 200 }), reviewer({ id: 2, turn: 100 }), reviewer({ id: 3, turn: 300 })];
+
+      expect(reviewAssignmentService.pickReviewer(reviewers, '6109.10', 'round_robin').id).toBe(2);
+    });
+
+    it('should prefer the least loaded reviewer of the chapter with expertise', () => {
+      const reviewers = [
+        reviewer({ id: 1, hs_chapters: ['61'], open: 4 }),
+        reviewer({ id: 2, hs_chapters: ['61', '62'], open: 2 }),
+        reviewer({ id: 3, hs_chapters: ['84'], open: 0 })
+      ];
+
+      expect(reviewAssignmentService.pickReviewer(reviewers, '6109.10', 'expertise').id).toBe(2);
+      expect(reviewAssignmentService.pickReviewer(reviewers, '9403.20', 'expertise').id).toBe(3);
+    });
+
+    it('should pass over reviewers at capacity', () => {
+      const reviewers = [reviewer({ id: 1, hs_chapters: ['61'], open: 25 }), reviewer({ id: 2, open: 3 })];
+
+      expect(reviewAssignmentService.pickReviewer(reviewers, '6109.10', 'expertise').id).toBe(2);
+      expect(reviewAssignmentService.pickReviewer([reviewers[0]], '6109.10', 'expertise')).toBeNull();
+    });
+  });
+
+  describe('assignPendingItems', () => {
+    it('should release expired items and hand out unassigned ones in turn', async () => {
+      jest.spyOn(db.User, 'findAll').mockResolvedValue([
+        { id: 1, reviewer_profile: { hs_chapters: [], available: true, last_assigned_at: '2026-01-02T00:00:00Z' } },
+        { id: 2, reviewer_profile: null },
+        { id: 3, reviewer_profile: { hs_chapters: [], available: false, last_assigned_at: null } }
+      ]);
+      jest.spyOn(db.InvoiceLine, 'findAll')
+        .mockResolvedValueOnce([{ assigned_to: 1, open: '3', claimed: '1' }])
+        .mockResolvedValueOnce([{ id: 10, hs_code: '6109.10' }, { id: 11, hs_code: '8471.30' }, { id: 12, hs_code: null }]);
+      const update = jest.spyOn(db.InvoiceLine, 'update')
+        .mockResolvedValueOnce([2])
+        .mockImplementation(async (fields, { where }) => [where.id.length]);
+      const upsert = jest.spyOn(db.ReviewerProfile, 'upsert').mockResolvedValue([{}, false]);
+
+      const result = await reviewAssignmentService.assignPendingItems();
+
+      expect(result).toEqual({ released: 2, assigned: 3, unassigned: 0 });
+      expect(update.mock.calls[0][0]).toEqual({ assigned_to: null, assigned_at: null, claimed_at: null });
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ assigned_to: 2 }),
+        { where: { id: [10, 12], flagged: true, assigned_to: null } }
+      );
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ assigned_to: 1 }),
+        { where: { id: [11], flagged: true, assigned_to: null } }
+      );
+      expect(upsert).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('claimItem', () => {
+    it('should claim an unassigned item', async () => {
+      jest.spyOn(db.InvoiceLine, 'findOne').mockResolvedValue({ id: 5, assigned_to: null });
+      jest.spyOn(db.InvoiceLine, 'update').mockResolvedValue([1]);
+
+      await expect(reviewAssignmentService.claimItem(5, 7)).resolves.toMatchObject({ id: 5, assigned_to: 7 });
+    });
+
+    it('should not take an item from another reviewer', async () => {
+      jest.spyOn(db.InvoiceLine, 'findOne').mockResolvedValue({ id: 5, assigned_to: 8 });
+      const update = jest.spyOn(db.InvoiceLine, 'update');
+
+      await expect(reviewAssignmentService.claimItem(5, 7)).rejects.toMatchObject({ status: 409 });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should report a lost race for the same item', async () => {
+      jest.spyOn(db.InvoiceLine, 'findOne').mockResolvedValue({ id: 5, assigned_to: null });
+      jest.spyOn(db.InvoiceLine, 'update').mockResolvedValue([0]);
+
+      await expect(reviewAssignmentService.claimItem(5, 7)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('releaseItem', () => {
+    it('should only release items assigned to the reviewer', async () => {
+      jest.spyOn(db.InvoiceLine, 'update').mockResolvedValue([0]);
+      jest.spyOn(db.InvoiceLine, 'count').mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+      await expect(reviewAssignmentService.releaseItem(5, 7)).rejects.toMatchObject({ status: 409 });
+      await expect(reviewAssignmentService.releaseItem(5, 7)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('reassignItems', () => {
+    it('should only assign items to reviewers', async () => {
+      jest.spyOn(db.User, 'findAll').mockResolvedValue([]);
+      const update = jest.spyOn(db.InvoiceLine, 'update');
+
+      await expect(reviewAssignmentService.reassignItems([1, 2], 9, 1)).rejects.toMatchObject({ status: 422 });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
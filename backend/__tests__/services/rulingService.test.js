@@ -0,0 +1,118 @@
+const db = require('../../src/models');
+const hsNomenclatureService = require('../../src/services/hsNomenclatureService');
+const documentService = require('../../src/services/documentService');
+const rulingService = require('../../src/services/rulingService');
+
+const ruling = (fields) => ({
+  id: 1,
+  ruling_number: 'NL-2025-001',
+  issuing_authority: 'Douane',
+  supplier_key: '',
+  sku: '',
+  product_description: 'Cotton t-shirt, knitted, for men',
+  hs_code: '6109.10',
+  valid_from: '2025-01-01',
+  valid_until: null,
+  document_path: null,
+  ...fields
+});
+
+describe('Ruling Service', () => {
+  describe('codesConflict', () => {
+    it('should accept codes under or above the ruling code', () => {
+      expect(rulingService.codesConflict('6109.10', '6109.10.00')).toBe(false);
+      expect(rulingService.codesConflict('6109.10.00', '6109')).toBe(false);
+      expect(rulingService.codesConflict('6109.10', '')).toBe(false);
+    });
+
+    it('should report codes in another subheading', () => {
+      expect(rulingService.codesConflict('6109.10', '6109.90')).toBe(true);
+    });
+  });
+
+  describe('findMatchingRulings', () => {
+    it('should match on SKU first, then on a similar description', async () => {
+      const findAll = jest.spyOn(db.BindingRuling, 'findAll').mockResolvedValue([
+        ruling({ id: 1, ruling_number: 'NL-2025-001' }),
+        ruling({ id: 2, ruling_number: 'NL-2025-002', sku: 'TS-100', product_description: 'Garment', hs_code: '6109.90' }),
+        ruling({ id: 3, ruling_number: 'NL-2025-003', product_description: 'Steel screws' })
+      ]);
+
+      const matches = await rulingService.findMatchingRulings({
+        supplier: 'Acme Textiles Ltd.',
+        description: 'Cotton t-shirt knitted for men',
+        sku: 'ts-100',
+        organizationId: 4,
+        date: '2025-06-01'
+      });
+
+      expect(matches.map(match => [match.ruling_number, match.matched_on])).toEqual([
+        ['NL-2025-002', 'sku'],
+        ['NL-2025-001', 'description']
+      ]);
+      expect(findAll.mock.calls[0][0].where).toMatchObject({
+        valid_from: expect.anything(),
+        supplier_key: expect.anything()
+      });
+    });
+
+    it('should list rulings the chosen code contradicts', async () => {
+      jest.spyOn(db.BindingRuling, 'findAll').mockResolvedValue([ruling({ document_path: '/docs/rulings/1.pdf' })]);
+
+      const matches = await rulingService.findMatchingRulings({ description: 'Cotton t-shirt, knitted, for men' });
+
+      expect(matches[0]).toMatchObject({ ruling_id: 1, has_document: true, score: 1 });
+      expect(rulingService.findConflicts(matches, '6109.90.00')).toHaveLength(1);
+      expect(rulingService.findConflicts(matches, '6109.10.00')).toHaveLength(0);
+    });
+  });
+
+  describe('createRuling', () => {
+    const data = {
+      ruling_number: 'NL-2025-001',
+      supplier: 'Acme Textiles Ltd.',
+      sku: ' ts-100 ',
+      product_description: 'Cotton t-shirt',
+      hs_code: '6109.10',
+      valid_from: '2025-01-01'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(hsNomenclatureService, 'validateHsCode').mockResolvedValue({ code: '6109.10', description: 'Of cotton' });
+    });
+
+    it('should store the supplier key and upper-cased SKU', async () => {
+      jest.spyOn(db.BindingRuling, 'count').mockResolvedValue(0);
+      const create = jest.spyOn(db.BindingRuling, 'create').mockImplementation(async fields => ({
+        ...fields, id: 1, toJSON: () => ({ id: 1, ...fields })
+      }));
+
+      const created = await rulingService.createRuling(data, null, 3);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ sku: 'TS-100', supplier_key: 'acme textiles', created_by: 3 }));
+      expect(created).toMatchObject({ id: 1, has_document: false });
+    });
+
+    it('should reject a ruling number already in the library', async () => {
+      jest.spyOn(db.BindingRuling, 'count').mockResolvedValue(1);
+      const create = jest.spyOn(db.BindingRuling, 'create');
+
+      await expect(rulingService.createRuling(data, null, 3)).rejects.toMatchObject({ status: 409 });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should only accept a PDF as the ruling document', async () => {
+      jest.spyOn(db.BindingRuling, 'count').mockResolvedValue(0);
+      const store = jest.spyOn(documentService, 'storeDocument');
+
+      await expect(rulingService.createRuling(data, { name: 'ruling.docx', content: 'UEsDBA==' }, 3))
+        .rejects.toMatchObject({ status: 415 });
+      expect(store).not.toHaveBeenCalled();
+    });
+
+    it('should reject a validity period that ends before it starts', async () => {
+      await expect(rulingService.createRuling({ ...data, valid_until: '2024-12-31' }, null, 3))
+        .rejects.toMatchObject({ status: 422 });
+    });
+  });
+});
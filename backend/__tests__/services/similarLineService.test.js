@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const db = require('../../src/models');
+const embeddingService = require('../../src/services/embeddingService');
+const hsNomenclatureService = require('../../src/services/hsNomenclatureService');
+const similarLineService = require('../../src/services/similarLineService');
+
+jest.mock('../../src/services/embeddingService', () => ({
+  EMBEDDING_MODEL: 'test-embedding',
+  isConfigured: jest.fn(),
+  generateEmbeddings: jest.fn(),
+  generateEmbedding: jest.fn()
+}));
+
+const md5 = text => crypto.createHash('md5').update(text).digest('hex');
+
+describe('Similar Line Service', () => {
+  beforeEach(() => {
+    embeddingService.isConfigured.mockReturnValue(true);
+    jest.spyOn(hsNomenclatureService, 'lookupHsCodes').mockResolvedValue({
+      '6109.10': { code: '6109.10', level: 'subheading', description: 'Of cotton', declarable: true }
+    });
+  });
+
+  describe('indexPendingLines', () => {
+    it('should embed pending lines without HTML escapes and store pgvector literals', async () => {
+      jest.spyOn(db.sequelize, 'query').mockResolvedValue([{ id: 7, description: 'T-shirt &amp; socks' }]);
+      embeddingService.generateEmbeddings.mockResolvedValue([[0.1, 0.2]]);
+      const bulkCreate = jest.spyOn(db.LineEmbedding, 'bulkCreate').mockResolvedValue([]);
+
+      await expect(similarLineService.indexPendingLines()).resolves.toBe(1);
+
+      expect(embeddingService.generateEmbeddings).toHaveBeenCalledWith(['T-shirt & socks']);
+      expect(bulkCreate.mock.calls[0][0]).toEqual([{
+        invoice_line_id: 7,
+        embedding: '[0.1,0.2]',
+        model: 'test-embedding',
+        description_hash: md5('T-shirt &amp; socks')
+      }]);
+    });
+  });
+
+  describe('findSimilarLines', () => {
+    const neighbour = {
+      invoice_line_id: 3,
+      description: 'Cotton T-shirt',
+      hs_code: '6109.10',
+      similarity: '0.93456'
+    };
+
+    it('should search with the stored embedding of an unchanged line and leave the line out', async () => {
+      jest.spyOn(db.InvoiceLine, 'findByPk').mockResolvedValue({ id: 9, description: 'Red T-shirt' });
+      jest.spyOn(db.LineEmbedding, 'findByPk').mockResolvedValue({
+        model: 'test-embedding',
+        description_hash: md5('Red T-shirt'),
+        embedding: '[0.5,0.5]'
+      });
+      const query = jest.spyOn(db.sequelize, 'query').mockResolvedValue([neighbour]);
+
+      const lines = await similarLineService.findSimilarLines({ invoiceLineId: 9, limit: 5 });
+
+      expect(embeddingService.generateEmbedding).not.toHaveBeenCalled();
+      expect(query.mock.calls[0][1].replacements).toMatchObject({ embedding: '[0.5,0.5]', excludeId: 9, limit: 5 });
+      expect(lines).toEqual([{ ...neighbour, hs_description: 'Of cotton', similarity: 0.935 }]);
+    });
+
+    it('should embed the description again when the line was edited since it was indexed', async () => {
+      jest.spyOn(db.InvoiceLine, 'findByPk').mockResolvedValue({ id: 9, description: 'Blue T-shirt' });
+      jest.spyOn(db.LineEmbedding, 'findByPk').mockResolvedValue({
+        model: 'test-embedding',
+        description_hash: md5('Red T-shirt'),
+        embedding: '[0.5,0.5]'
+      });
+      embeddingService.generateEmbedding.mockResolvedValue([0.4, 0.6]);
+      const query = jest.spyOn(db.sequelize, 'query').mockResolvedValue([]);
+
+      await similarLineService.findSimilarLines({ invoiceLineId: 9 });
+
+      expect(embeddingService.generateEmbedding).toHaveBeenCalledWith('Blue T-shirt');
+      expect(query.mock.calls[0][1].replacements.embedding).toBe('[0.4,0.6]');
+    });
+
+    it('should fail with a 503 error when embeddings are not configured', async () => {
+      embeddingService.isConfigured.mockReturnValue(false);
+
+      await expect(similarLineService.findSimilarLines({ description: 'Cotton socks' }))
+        .rejects
+        .toMatchObject({ status: 503 });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const snapshotService = require('../../src/services/snapshotService');
+
+describe('Snapshot Service', () => {
+  describe('diffSnapshots', () => {
+    const v1 = {
+      version: 1,
+      submission_id: 10,
+      invoice_data: { id: 1, supplier: 'Acme', currency: 'EUR', total_amount: '45.00' },
+      lines: [
+        { id: 1, description: 'Cotton T-Shirt', quantity: 10, unit_price: '4.50', hs_code: '610910' },
+        { id: 2, description: 'Sample', quantity: 1, unit_price: '1.00', hs_code: '620520' }
+      ],
+      documents: { xmlSha256: 'aaa', pdfSha256: 'bbb' }
+    };
+
+    const v2 = {
+      version: 2,
+      submission_id: 12,
+      invoice_data: { id: 1, supplier: 'Acme', currency: 'EUR', total_amount: '47.00' },
+      lines: [
+        { id: 1, description: 'Cotton T-Shirt', quantity: 10, unit_price: '4.50', hs_code: '610990' },
+        { id: 3, description: 'Label', quantity: 2, unit_price: '1.00', hs_code: '482110' }
+      ],
+      documents: { xmlSha256: 'ccc', pdfSha256: 'ddd' }
+    };
+
+    it('should report header changes and line changes matched by line ID', () => {
+      const diff = snapshotService.diffSnapshots(v1, v2);
+
+      expect(diff.invoice).toEqual([{ field: 'total_amount', from: '45.00', to: '47.00' }]);
+      expect(diff.lines.added.map(line => line.id)).toEqual([3]);
+      expect(diff.lines.removed.map(line => line.id)).toEqual([2]);
+      expect(diff.lines.changed).toEqual([
+        { id: 1, description: 'Cotton T-Shirt', changes: [{ field: 'hs_code', from: '610910', to: '610990' }] }
+      ]);
+      expect(diff.documents.xmlChanged).toBe(true);
+    });
+
+    it('should report no differences between identical snapshots', () => {
+      const diff = snapshotService.diffSnapshots(v1, { ...v1, version: 2 });
+
+      expect(diff.invoice).toEqual([]);
+      expect(diff.lines).toEqual({ added: [], removed: [], changed: [] });
+      expect(diff.documents.xmlChanged).toBe(false);
+    });
+  });
+});
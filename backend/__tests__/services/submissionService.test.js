@@ -0,0 +1,51 @@
+process.env.ASYCUDA_API_KEY = 'test-key';
+
+const fs = require('fs').promises;
+const axios = require('axios');
+const db = require('../../src/models');
+const submissionService = require('../../src/services/submissionService');
+const deniedPartyService = require('../../src/services/deniedPartyService');
+const attachmentService = require('../../src/services/attachmentService');
+const snapshotService = require('../../src/services/snapshotService');
+const invoiceStatusService = require('../../src/services/invoiceStatusService');
+const { httpError } = require('../../src/utils/httpError');
+
+describe('Submission Service', () => {
+  describe('submitDocuments', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+    beforeEach(() => {
+      jest.spyOn(deniedPartyService, 'assertNoDeniedParties').mockResolvedValue(undefined);
+      jest.spyOn(attachmentService, 'getSubmissionAttachments').mockResolvedValue([]);
+      jest.spyOn(db.sequelize, 'transaction').mockImplementation(async callback => callback(transaction));
+      jest.spyOn(fs, 'readFile').mockResolvedValue('<declaration/>');
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: { declarationId: 'D-100' } });
+      jest.spyOn(db.Submission, 'create').mockImplementation(async data => ({ id: 7, ...data }));
+      jest.spyOn(snapshotService, 'createSnapshot').mockResolvedValue({ version: 1 });
+    });
+
+    it('should not file an invoice that can no longer move to Submitted', async () => {
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue({ id: 4, status: 'Submitted' });
+
+      await expect(submissionService.submitDocuments(4, { xmlPath: '/x.xml' }, 2)).rejects.toMatchObject({ status: 409 });
+      expect(db.Invoice.findByPk).toHaveBeenCalledWith(4, expect.objectContaining({ lock: 'UPDATE', transaction }));
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(db.Submission.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep a filed declaration for reconciliation when the invoice cannot be marked Submitted', async () => {
+      jest.spyOn(db.Invoice, 'findByPk').mockResolvedValue({ id: 4, status: 'Ready' });
+      jest.spyOn(invoiceStatusService, 'transitionInvoice').mockRejectedValue(httpError("Invoice 4 cannot move from 'InReview' to 'Submitted'", 409));
+
+      await expect(submissionService.submitDocuments(4, { xmlPath: '/x.xml' }, 2)).rejects.toMatchObject({ status: 409 });
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(db.Submission.create).toHaveBeenLastCalledWith(
+        expect.objectContaining({ method: 'api', status: 'PendingReconciliation' }),
+        { transaction: undefined }
+      );
+      expect(db.Submission.create).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'Failed' }), expect.anything());
+      expect(JSON.parse(db.Submission.create.mock.calls[1][0].response_message)).toMatchObject({ declarationId: 'D-100' });
+    });
+  });
+});
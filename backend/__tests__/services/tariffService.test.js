@@ -0,0 +1,150 @@
+const { Op } = require('sequelize');
+const db = require('../../src/models');
+const currencyService = require('../../src/services/currencyService');
+const tariffService = require('../../src/services/tariffService');
+
+const rate = (fields) => ({
+  origin_country: null,
+  duty_rate: '0.0000',
+  vat_rate: '0.0000',
+  excise_rate: '0.0000',
+  environmental_levy_rate: '0.0000',
+  effective_date: '2024-01-01',
+  ...fields
+});
+
+describe('Tariff Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseTariffRows', () => {
+    it('should read rate columns as percentages and blank origins as the general rate', () => {
+      const { rates, errors } = tariffService.parseTariffRows([
+        { rowNumber: 2, values: { 'HS Code': '8471 30 10', Origin: '', 'Duty %': '5', ABST: '15%', 'Effective Date': '2024-01-01' } },
+        { rowNumber: 3, values: { 'HS Code': '8471.30.10', Origin: 'tt', 'Duty %': '0', ABST: '15', 'Effective Date': '2024-01-01' } }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(rates[0]).toEqual({
+        tariff_line: '8471.30.10',
+        origin_country: null,
+        duty_rate: 5,
+        excise_rate: 0,
+        environmental_levy_rate: 0,
+        vat_rate: 15,
+        effective_date: '2024-01-01'
+      });
+      expect(rates[1].origin_country).toBe('TT');
+    });
+
+    it('should report invalid codes, rates and repeated rows', () => {
+      const { errors } = tariffService.parseTariffRows([
+        { rowNumber: 2, values: { code: '847', duty: 'abc', date: '2024-01-01' } },
+        { rowNumber: 3, values: { code: '8471.30', duty: '5', date: '2024-01-01' } },
+        { rowNumber: 4, values: { code: '847130', duty: '7', date: '2024-01-01' } }
+      ]);
+
+      expect(errors).toEqual([
+        { row: 2, errors: [expect.stringContaining('tariff_line'), expect.stringContaining('duty_rate')] },
+        { row: 4, errors: [expect.stringContaining('already has a rate')] }
+      ]);
+    });
+  });
+
+  describe('calculateDuties', () => {
+    it('should charge VAT on the customs value plus duty, excise and levy', () => {
+      const duties = tariffService.calculateDuties(
+        rate({ duty_rate: '10', excise_rate: '5', environmental_levy_rate: '1', vat_rate: '15' }),
+        1000
+      );
+
+      // duty 100, excise 5% of 1100, levy 1% of 1000, VAT 15% of 1165
+      expect(duties).toEqual({ duty: 100, excise: 55, environmental_levy: 10, vat: 174.75, total: 339.75 });
+    });
+  });
+
+  describe('findTariffRate', () => {
+    it('should prefer the most specific line, then the origin\'s preferential rate', async () => {
+      jest.spyOn(db.TariffRate, 'findAll').mockResolvedValue([
+        rate({ id: 1, tariff_line: '8471', origin_country: 'TT' }),
+        rate({ id: 2, tariff_line: '8471.30' }),
+        rate({ id: 3, tariff_line: '8471.30', origin_country: 'TT' })
+      ]);
+
+      await expect(tariffService.findTariffRate('8471.30.10', 'tt', '2024-06-01')).resolves.toMatchObject({ id: 3 });
+    });
+  });
+
+  describe('estimateDuties', () => {
+    it('should total the lines with a rate and report the others', async () => {
+      jest.spyOn(db.TariffRate, 'findAll').mockImplementation(async ({ where }) => (
+        where.tariff_line[Op.in].includes('6109.10')
+          ? [rate({ id: 4, tariff_line: '6109.10', duty_rate: '20', vat_rate: '12.5' })]
+          : []
+      ));
+
+      const estimate = await tariffService.estimateDuties([
+        { id: 1, hs_code: '6109.10.00', customs_value: 200, origin_country: 'CN' },
+        { id: 2, hs_code: '9503.00', customs_value: 50 },
+        { id: 3, hs_code: null, customs_value: 10 }
+      ], { date: '2024-06-01' });
+
+      expect(estimate.lines[0]).toMatchObject({ tariff_rate_id: 4, duty: 40, vat: 30, total: 70 });
+      expect(estimate.lines[1].error).toContain('No tariff rate for 9503.00');
+      expect(estimate.lines[2].error).toBe('The line has no HS code');
+      expect(estimate.totals).toMatchObject({ customs_value: 200, duty: 40, vat: 30, total: 70 });
+      expect(estimate.lines_without_rate).toBe(2);
+    });
+  });
+
+  describe('estimateInvoiceDuties', () => {
+    const invoiceRecord = (status) => ({
+      id: 7,
+      status,
+      currency: 'USD',
+      invoice_date: '2024-06-01',
+      invoice_lines: [{ id: 1, hs_code: '6109.10.00', quantity: 2, unit_price: 50 }],
+      update: jest.fn()
+    });
+
+    beforeEach(() => {
+      jest.spyOn(currencyService, 'convertAmount').mockImplementation(async amount => ({ amount }));
+      jest.spyOn(db.TariffRate, 'findAll').mockResolvedValue([rate({ id: 4, tariff_line: '6109.10', duty_rate: '20' })]);
+    });
+
+    it('should only store the estimate when asked to', async () => {
+      const invoice = invoiceRecord('Draft');
+
+      await expect(tariffService.estimateInvoiceDuties(invoice)).resolves.toMatchObject({ totals: { duty: 20 } });
+      expect(invoice.update).not.toHaveBeenCalled();
+
+      await tariffService.estimateInvoiceDuties(invoice, { save: true });
+      expect(invoice.update).toHaveBeenCalledWith({ duty_estimate: expect.objectContaining({ duty: 20 }) }, { transaction: undefined });
+    });
+
+    it('should keep the estimate of a submitted invoice as declared', async () => {
+      const invoice = invoiceRecord('Submitted');
+
+      await tariffService.estimateInvoiceDuties(invoice, { save: true });
+
+      expect(invoice.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshStoredEstimates', () => {
+    it('should only estimate again editable invoices with a stored estimate', async () => {
+      const invoice = { id: 7, status: 'Classified', currency: 'USD', invoice_date: '2024-06-01', invoice_lines: [], update: jest.fn() };
+      const findAll = jest.spyOn(db.Invoice, 'findAll').mockResolvedValue([invoice]);
+
+      await expect(tariffService.refreshStoredEstimates([7, 7, 8])).resolves.toBe(1);
+
+      expect(findAll.mock.calls[0][0].where).toEqual({
+        id: { [Op.in]: [7, 8] },
+        status: { [Op.in]: expect.arrayContaining(['Draft', 'Classified']) },
+        duty_estimate: { [Op.ne]: null }
+      });
+      expect(invoice.update).toHaveBeenCalledWith({ duty_estimate: expect.objectContaining({ total: 0 }) }, { transaction: undefined });
+    });
+  });
+});
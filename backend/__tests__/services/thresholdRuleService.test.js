@@ -0,0 +1,74 @@
+const db = require('../../src/models');
+const thresholdRuleService = require('../../src/services/thresholdRuleService');
+
+const rule = (fields) => ({
+  organization_id: null,
+  hs_prefix: null,
+  min_invoice_value: null,
+  max_invoice_value: null,
+  active: true,
+  ...fields
+});
+
+describe('Threshold Rule Service', () => {
+  describe('pickRule', () => {
+    const rules = [
+      rule({ id: 1, threshold: '0.800', hs_prefix: '84' }),
+      rule({ id: 2, threshold: '0.850', hs_prefix: '8471' }),
+      rule({ id: 3, threshold: '0.900', organization_id: 5, hs_prefix: '84' }),
+      rule({ id: 4, threshold: '0.950', hs_prefix: '84', min_invoice_value: '10000.00' }),
+      rule({ id: 5, threshold: '0.600', hs_prefix: '61' })
+    ];
+
+    it('should prefer the organization\'s own rule over a more specific global one', () => {
+      expect(thresholdRuleService.pickRule(rules, { hsCode: '8471.30', invoiceValue: 500 }).id).toBe(3);
+    });
+
+    it('should prefer the longest HS prefix, then a matching value band', () => {
+      expect(thresholdRuleService.pickRule(rules.filter(r => r.id !== 3), { hsCode: '8471.30', invoiceValue: 500 }).id).toBe(2);
+      expect(thresholdRuleService.pickRule(rules.filter(r => r.id !== 3), { hsCode: '8419.10', invoiceValue: 25000 }).id).toBe(4);
+      expect(thresholdRuleService.pickRule(rules.filter(r => r.id !== 3), { hsCode: '8419.10', invoiceValue: 500 }).id).toBe(1);
+    });
+
+    it('should skip value-band rules when the invoice value is unknown', () => {
+      expect(thresholdRuleService.pickRule(rules.filter(r => r.id !== 3), { hsCode: '8419.10', invoiceValue: null }).id).toBe(1);
+    });
+
+    it('should return null when no rule matches', () => {
+      expect(thresholdRuleService.pickRule(rules, { hsCode: '9503.00' })).toBeNull();
+    });
+  });
+
+  describe('resolveThreshold', () => {
+    it('should use the matching rule and record it', async () => {
+      jest.spyOn(db.ThresholdRule, 'findAll').mockResolvedValue([rule({ id: 7, threshold: '0.900', organization_id: 5, hs_prefix: '85' })]);
+
+      await expect(thresholdRuleService.resolveThreshold({ organizationId: 5, hsCode: '8517.13' }))
+        .resolves.toEqual({ threshold: 0.9, rule_id: 7 });
+    });
+
+    it('should fall back to CONFIDENCE_THRESHOLD without reloading preloaded rules', async () => {
+      const findAll = jest.spyOn(db.ThresholdRule, 'findAll');
+
+      await expect(thresholdRuleService.resolveThreshold({ hsCode: '6109.10', rules: [] }))
+        .resolves.toEqual({ threshold: thresholdRuleService.CONFIDENCE_THRESHOLD, rule_id: null });
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createRule', () => {
+    it('should store the HS prefix as digits', async () => {
+      const create = jest.spyOn(db.ThresholdRule, 'create').mockImplementation(async data => ({ id: 1, ...data }));
+
+      await thresholdRuleService.createRule({ hs_prefix: '84.71', threshold: 0.9 }, 2);
+
+      expect(create).toHaveBeenCalledWith({ hs_prefix: '8471', threshold: 0.9, created_by: 2 });
+    });
+
+    it('should reject an empty value band', async () => {
+      await expect(thresholdRuleService.createRule({ threshold: 0.9, min_invoice_value: 500, max_invoice_value: 100 }, 2))
+        .rejects
+        .toMatchObject({ status: 422 });
+    });
+  });
+});
@@ -1,5 +1,18 @@
 -- Database Schema for Automated Customs Documentation Platform
 
+-- pgvector, for the similar-lines index (line_embeddings)
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Organizations (customers whose users share settings such as review thresholds)
+DROP TABLE IF EXISTS organizations CASCADE;
+
+CREATE TABLE organizations (
+  id          SERIAL PRIMARY KEY,
+  name        VARCHAR(255) UNIQUE NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Users and Roles
 DROP TABLE IF EXISTS user_roles CASCADE;
 DROP TABLE IF EXISTS roles CASCADE;
@@ -10,6 +23,7 @@ CREATE TABLE users (
   email          VARCHAR(255) UNIQUE NOT NULL,
   password_hash  VARCHAR(255) NOT NULL,
   full_name      VARCHAR(255),
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL,
   created_at     TIMESTAMPTZ DEFAULT NOW(),
   updated_at     TIMESTAMPTZ DEFAULT NOW()
 );
@@ -35,7 +49,23 @@ CREATE TABLE invoices (
   supplier        VARCHAR(255),
   invoice_date    DATE,
   total_amount    NUMERIC(12,2),
-  status          VARCHAR(50) DEFAULT 'Draft',  -- Draft, Submitted, Approved
+  currency        VARCHAR(3) NOT NULL DEFAULT 'USD', -- ISO 4217, as billed
+  base_currency   VARCHAR(3),    -- currency of total_amount_base
+  total_amount_base NUMERIC(14,2), -- customs value in the base currency
+  exchange_rate   NUMERIC(18,8), -- rate applied to total_amount
+  exchange_rate_date DATE,       -- effective date of that rate
+  status          VARCHAR(50) DEFAULT 'Draft',  -- Draft, Classified, InReview, Ready, Submitted, Accepted, Rejected, Amended
+  duplicate_status VARCHAR(20),  -- NULL, Suspected, Confirmed, Dismissed
+  duplicate_of_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+  duplicate_score NUMERIC(4,3),  -- 0-1 similarity to duplicate_of_id
+  source_document_path VARCHAR(500), -- original uploaded file (scanned PDF)
+  source_document_name VARCHAR(255),
+  extracted_data  JSONB,         -- raw OCR header values
+  field_confidence JSONB,        -- per-field OCR confidence (0-1)
+  duty_estimate   JSONB,         -- latest duty and tax totals in the base currency (tariffService)
+  denied_party_status VARCHAR(20), -- Clear, PotentialMatch, Confirmed, Unscreened; NULL = not screened yet
+  denied_party_matches JSONB NOT NULL DEFAULT '[]', -- matches of the latest screening with review decisions
+  denied_party_screened_at TIMESTAMPTZ,
   created_at      TIMESTAMPTZ DEFAULT NOW(),
   updated_at      TIMESTAMPTZ DEFAULT NOW()
 );
@@ -44,27 +74,290 @@ CREATE TABLE invoice_lines (
   id                  SERIAL PRIMARY KEY,
   invoice_id          INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
   description         TEXT,
+  sku                 VARCHAR(100), -- supplier article number
   quantity            INTEGER,
   unit_price          NUMERIC(12,2),
-  hs_code             VARCHAR(10),
-  classification_method VARCHAR(50), -- Auto, Manual
+  currency            VARCHAR(3),  -- ISO 4217, NULL = invoice currency
+  hs_code             VARCHAR(20),
+  origin_country      VARCHAR(2),  -- ISO 3166-1 alpha-2
+  gross_weight        NUMERIC(12,3), -- kg, whole line
+  net_weight          NUMERIC(12,3), -- kg, whole line
+  uom                 VARCHAR(3),  -- statistical unit, UN/ECE Rec 20 (NAR, KGM, ...)
+  package_count       INTEGER,
+  package_type        VARCHAR(2),  -- UN/ECE Rec 21 (CT, PX, ...)
+  classification_method VARCHAR(50), -- auto:<provider>, manual, failed
   flagged             BOOLEAN DEFAULT FALSE,
+  field_confidence    JSONB,       -- per-field OCR confidence (0-1)
+  restriction_hits    JSONB NOT NULL DEFAULT '[]', -- [{ rule_id, restriction, licence_type, authority, reason, permit_reference }]
+  assigned_to         INTEGER REFERENCES users(id) ON DELETE SET NULL, -- reviewer of the flagged line, NULL = unassigned
+  assigned_at         TIMESTAMPTZ, -- assignment or latest claim, for the auto-release timeout
+  claimed_at          TIMESTAMPTZ,
   created_at          TIMESTAMPTZ DEFAULT NOW(),
   updated_at          TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Invoice Status Transitions (timeline)
+DROP TABLE IF EXISTS invoice_status_history CASCADE;
+
+CREATE TABLE invoice_status_history (
+  id          SERIAL PRIMARY KEY,
+  invoice_id  INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),  -- NULL for the initial Draft entry
+  to_status   VARCHAR(50) NOT NULL,
+  changed_by  INTEGER REFERENCES users(id), -- NULL = system
+  reason      TEXT,
+  changed_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Spreadsheet Import Column Mappings (one per user and supplier)
+DROP TABLE IF EXISTS import_mappings CASCADE;
+
+CREATE TABLE import_mappings (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  supplier    VARCHAR(255) NOT NULL,
+  mapping     JSONB NOT NULL DEFAULT '{}', -- invoice line field -> column header
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, supplier)
+);
+
+-- Exchange Rates (1 from_currency = rate to_currency, effective from effective_date)
+DROP TABLE IF EXISTS exchange_rates CASCADE;
+
+CREATE TABLE exchange_rates (
+  id              SERIAL PRIMARY KEY,
+  from_currency   VARCHAR(3) NOT NULL,
+  to_currency     VARCHAR(3) NOT NULL,
+  rate            NUMERIC(18,8) NOT NULL,
+  effective_date  DATE NOT NULL,
+  source          VARCHAR(100), -- e.g. file name or publisher
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (from_currency, to_currency, effective_date)
+);
+
+-- Tariff Rates (duty and tax percentages per national tariff line, effective from effective_date)
+DROP TABLE IF EXISTS tariff_rates CASCADE;
+
+CREATE TABLE tariff_rates (
+  id                      SERIAL PRIMARY KEY,
+  tariff_line             VARCHAR(20) NOT NULL, -- 8471.30.10.00; shorter codes cover every line under them
+  origin_country          VARCHAR(2),           -- preferential rate for this origin; NULL = general rate
+  duty_rate               NUMERIC(7,4) NOT NULL DEFAULT 0, -- import duty %
+  vat_rate                NUMERIC(7,4) NOT NULL DEFAULT 0, -- VAT / ABST %
+  excise_rate             NUMERIC(7,4) NOT NULL DEFAULT 0,
+  environmental_levy_rate NUMERIC(7,4) NOT NULL DEFAULT 0,
+  effective_date          DATE NOT NULL,
+  source                  VARCHAR(100),         -- e.g. file name or tariff edition
+  created_at              TIMESTAMPTZ DEFAULT NOW(),
+  updated_at              TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Denied Parties (entries of locally loaded sanctions lists; loading a list replaces all of its entries)
+DROP TABLE IF EXISTS denied_parties CASCADE;
+
+CREATE TABLE denied_parties (
+  id              SERIAL PRIMARY KEY,
+  list            VARCHAR(30) NOT NULL,  -- ofac_sdn, un_consolidated
+  list_entry_id   VARCHAR(50) NOT NULL,  -- ID in the published list (OFAC uid, UN DATAID)
+  name            TEXT NOT NULL,
+  aliases         JSONB NOT NULL DEFAULT '[]',
+  entity_type     VARCHAR(20),           -- individual, entity, vessel, aircraft
+  programs        JSONB NOT NULL DEFAULT '[]', -- sanctions programmes / UN list types
+  countries       JSONB NOT NULL DEFAULT '[]',
+  remarks         TEXT,
+  source          VARCHAR(100),          -- e.g. file name and publication date
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (list, list_entry_id)
+);
+
 -- Tariff Classification History
+-- HS nomenclature (sections, chapters, headings, subheadings and national tariff lines)
+DROP TABLE IF EXISTS hs_codes CASCADE;
+
+CREATE TABLE hs_codes (
+  code         VARCHAR(20) PRIMARY KEY, -- XVI, 84, 8471, 8471.30, 8471.30.10
+  level        VARCHAR(20) NOT NULL,    -- section, chapter, heading, subheading, tariff_line
+  parent_code  VARCHAR(20) REFERENCES hs_codes(code),
+  section      VARCHAR(10),             -- section the entry falls under
+  description  TEXT NOT NULL,
+  source       VARCHAR(100),            -- e.g. file name or tariff edition
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- HS Correlation Tables (WCO correlation between two HS editions; a code listed with several new codes was split)
+DROP TABLE IF EXISTS hs_correlations CASCADE;
+
+CREATE TABLE hs_correlations (
+  id            SERIAL PRIMARY KEY,
+  from_version  VARCHAR(20) NOT NULL, -- e.g. HS2022
+  to_version    VARCHAR(20) NOT NULL, -- e.g. HS2027
+  from_code     VARCHAR(20) NOT NULL,
+  to_code       VARCHAR(20) NOT NULL,
+  note          TEXT,
+  source        VARCHAR(100),
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (from_version, to_version, from_code, to_code)
+);
+
+-- HS Edition Migrations (stored codes remapped with a correlation table)
+DROP TABLE IF EXISTS hs_migrations CASCADE;
+
+CREATE TABLE hs_migrations (
+  id            SERIAL PRIMARY KEY,
+  from_version  VARCHAR(20) NOT NULL,
+  to_version    VARCHAR(20) NOT NULL,
+  dry_run       BOOLEAN NOT NULL DEFAULT FALSE, -- counts what would change without changing anything
+  status        VARCHAR(20) NOT NULL DEFAULT 'Running', -- Running, Completed, Failed, Interrupted
+  summary       JSONB NOT NULL DEFAULT '{}', -- lines remapped, split and sent to review; memory entries remapped and removed
+  error         TEXT,
+  created_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at    TIMESTAMPTZ,
+  finished_at   TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
 DROP TABLE IF EXISTS classification_history CASCADE;
 
 CREATE TABLE classification_history (
   id                SERIAL PRIMARY KEY,
   invoice_line_id   INTEGER REFERENCES invoice_lines(id) ON DELETE CASCADE,
-  previous_hs_code  VARCHAR(10),
-  new_hs_code       VARCHAR(10),
-  changed_by        INTEGER REFERENCES users(id),
+  previous_hs_code  VARCHAR(20),
+  new_hs_code       VARCHAR(20),
+  changed_by        INTEGER REFERENCES users(id), -- NULL for changes not made by a user
+  hs_migration_id   INTEGER REFERENCES hs_migrations(id) ON DELETE SET NULL, -- migration that made the change
+  comment           TEXT,
   changed_at        TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Review Threshold Rules (confidence below which a classification is flagged; the most specific matching rule applies)
+DROP TABLE IF EXISTS threshold_rules CASCADE;
+
+CREATE TABLE threshold_rules (
+  id                SERIAL PRIMARY KEY,
+  organization_id   INTEGER REFERENCES organizations(id) ON DELETE CASCADE, -- NULL: every organization
+  hs_prefix         VARCHAR(6),     -- chapter (84), heading (8471) or subheading digits; NULL: every code
+  min_invoice_value NUMERIC(14,2),  -- invoice customs value band in the base currency, lower bound inclusive
+  max_invoice_value NUMERIC(14,2),  -- upper bound exclusive
+  threshold         NUMERIC(4,3) NOT NULL,
+  description       VARCHAR(255),
+  active            BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by        INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at        TIMESTAMPTZ DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Reviewer Profiles (how flagged lines are assigned to each tariff reviewer)
+DROP TABLE IF EXISTS reviewer_profiles CASCADE;
+
+CREATE TABLE reviewer_profiles (
+  user_id          INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  hs_chapters      JSONB NOT NULL DEFAULT '[]', -- two-digit chapters the reviewer is preferred for
+  available        BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE: no new assignments
+  last_assigned_at TIMESTAMPTZ, -- round-robin order
+  created_at       TIMESTAMPTZ DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Restricted and Prohibited Goods Rules (lines matching a rule need a permit reference, or cannot be submitted)
+DROP TABLE IF EXISTS restriction_rules CASCADE;
+
+CREATE TABLE restriction_rules (
+  id            SERIAL PRIMARY KEY,
+  hs_from       VARCHAR(20),    -- HS code range as leading digits, both ends inclusive; NULL: every code
+  hs_to         VARCHAR(20),    -- NULL: only codes under hs_from
+  keywords      JSONB NOT NULL DEFAULT '[]', -- any of these in the line description; empty: any description
+  restriction   VARCHAR(20) NOT NULL, -- licence, prohibited
+  licence_type  VARCHAR(100),   -- e.g. Import licence, Firearms permit
+  authority     VARCHAR(255),   -- agency issuing the licence
+  description   VARCHAR(255),
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Classification Details (rationale, runner-up codes and raw response of a line's latest automatic classification)
+DROP TABLE IF EXISTS classification_details CASCADE;
+
+CREATE TABLE classification_details (
+  invoice_line_id   INTEGER PRIMARY KEY REFERENCES invoice_lines(id) ON DELETE CASCADE,
+  provider          VARCHAR(50),
+  hs_code           VARCHAR(20),  -- code the provider chose
+  confidence        NUMERIC(4,3),
+  rationale         TEXT,
+  candidates        JSONB NOT NULL DEFAULT '[]', -- [{ hs_code, confidence, description }], best first
+  raw_response      JSONB,
+  threshold         NUMERIC(4,3), -- confidence the line needed to skip review
+  threshold_rule_id INTEGER REFERENCES threshold_rules(id) ON DELETE SET NULL, -- NULL: CONFIDENCE_THRESHOLD applied
+  rulings           JSONB NOT NULL DEFAULT '[]', -- binding rulings matching the line when it was classified
+  classified_at     TIMESTAMPTZ DEFAULT NOW(),
+  created_at        TIMESTAMPTZ DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Classification Memory (HS code reviewers settled on per supplier product; checked before any provider)
+DROP TABLE IF EXISTS classification_memory CASCADE;
+
+CREATE TABLE classification_memory (
+  id                SERIAL PRIMARY KEY,
+  supplier_key      VARCHAR(255) NOT NULL, -- normalized supplier name
+  description_key   TEXT NOT NULL,         -- normalized line description
+  sku               VARCHAR(100) NOT NULL DEFAULT '', -- normalized article number, '' if none
+  hs_code           VARCHAR(20) NOT NULL,
+  confirmations     INTEGER NOT NULL DEFAULT 1, -- decisions for hs_code since it last changed
+  contradictions    INTEGER NOT NULL DEFAULT 0, -- times a reviewer replaced the code
+  source            VARCHAR(20) NOT NULL,  -- approved, adjusted, manual
+  invoice_line_id   INTEGER REFERENCES invoice_lines(id) ON DELETE SET NULL,
+  decided_by        INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  decided_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at        TIMESTAMPTZ DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (supplier_key, description_key, sku)
+);
+
+-- Binding Rulings (advance classification rulings held for supplier products; the PDF lives in document storage)
+DROP TABLE IF EXISTS binding_rulings CASCADE;
+
+CREATE TABLE binding_rulings (
+  id                  SERIAL PRIMARY KEY,
+  ruling_number       VARCHAR(50) NOT NULL UNIQUE,
+  issuing_authority   VARCHAR(100),
+  organization_id     INTEGER REFERENCES organizations(id) ON DELETE CASCADE, -- NULL: any organization
+  supplier            VARCHAR(255),
+  supplier_key        VARCHAR(255) NOT NULL DEFAULT '', -- normalized supplier name, '' for any supplier
+  sku                 VARCHAR(100) NOT NULL DEFAULT '', -- normalized article number, '' if none
+  product_description TEXT NOT NULL,
+  hs_code             VARCHAR(20) NOT NULL,
+  valid_from          DATE NOT NULL,
+  valid_until         DATE, -- NULL: until revoked
+  notes               TEXT,
+  document_filename   VARCHAR(255),
+  document_size_bytes INTEGER,
+  document_sha256     VARCHAR(64),
+  document_path       VARCHAR(500),
+  created_by          INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at          TIMESTAMPTZ DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Line Embeddings (description vectors of classified lines, for finding how similar goods were classified)
+DROP TABLE IF EXISTS line_embeddings CASCADE;
+
+CREATE TABLE line_embeddings (
+  invoice_line_id   INTEGER PRIMARY KEY REFERENCES invoice_lines(id) ON DELETE CASCADE,
+  embedding         VECTOR(1536) NOT NULL,
+  model             VARCHAR(100) NOT NULL, -- embedding model that produced the vector
+  description_hash  VARCHAR(32) NOT NULL,  -- md5 of the embedded description
+  created_at        TIMESTAMPTZ DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Submissions
 DROP TABLE IF EXISTS submissions CASCADE;
 
@@ -72,11 +365,90 @@ CREATE TABLE submissions (
   id                SERIAL PRIMARY KEY,
   invoice_id        INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
   method            VARCHAR(20), -- API, EDI-SFTP
-  status            VARCHAR(50), -- Pending, Success, Failed
+  status            VARCHAR(50), -- Submitted, Failed, PendingReconciliation (filed, invoice not updated), then the customs status
   response_message  TEXT,
   submitted_at      TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Invoice Snapshots (frozen copy of what was submitted; never updated)
+DROP TABLE IF EXISTS invoice_snapshots CASCADE;
+
+CREATE TABLE invoice_snapshots (
+  id            SERIAL PRIMARY KEY,
+  invoice_id    INTEGER NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+  submission_id INTEGER REFERENCES submissions(id) ON DELETE SET NULL,
+  version       INTEGER NOT NULL,  -- 1, 2, ... per invoice
+  invoice_data  JSONB NOT NULL,    -- header fields as declared
+  lines         JSONB NOT NULL DEFAULT '[]',
+  documents     JSONB NOT NULL DEFAULT '{}', -- XML content, file paths, SHA-256 hashes
+  created_by    INTEGER REFERENCES users(id),
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (invoice_id, version)
+);
+
+-- Supporting documents attached to invoices (files live in document storage)
+DROP TABLE IF EXISTS invoice_attachments CASCADE;
+
+CREATE TABLE invoice_attachments (
+  id            SERIAL PRIMARY KEY,
+  invoice_id    INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  category      VARCHAR(30) NOT NULL,  -- PackingList, BillOfLading, CertificateOfOrigin, ...
+  filename      VARCHAR(255) NOT NULL, -- original filename
+  mime_type     VARCHAR(100) NOT NULL,
+  size_bytes    INTEGER NOT NULL,
+  sha256        VARCHAR(64) NOT NULL,
+  storage_path  VARCHAR(500) NOT NULL,
+  description   TEXT,
+  include_in_submission BOOLEAN NOT NULL DEFAULT FALSE, -- sent with the declaration via SFTP
+  scan_status   VARCHAR(20) NOT NULL DEFAULT 'NotScanned', -- Clean, NotScanned
+  scan_details  JSONB,
+  uploaded_by   INTEGER REFERENCES users(id),
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bulk pipeline jobs (classify, generate documents, submit) over many invoices, and bulk description classification
+DROP TABLE IF EXISTS bulk_jobs CASCADE;
+
+CREATE TABLE bulk_jobs (
+  id           SERIAL PRIMARY KEY,
+  user_id      INTEGER NOT NULL REFERENCES users(id),
+  action       VARCHAR(20) NOT NULL, -- classify, generate, submit, classify_lines
+  status       VARCHAR(30) NOT NULL DEFAULT 'Queued', -- Queued, Running, Completed, CompletedWithErrors, Failed, Interrupted, Cancelled
+  total        INTEGER NOT NULL DEFAULT 0,
+  processed    INTEGER NOT NULL DEFAULT 0,
+  succeeded    INTEGER NOT NULL DEFAULT 0,
+  failed       INTEGER NOT NULL DEFAULT 0,
+  items        JSONB NOT NULL DEFAULT '[]', -- per-invoice or per-description status, error and result
+  error        TEXT,
+  started_at   TIMESTAMPTZ,
+  finished_at  TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Classifier Evaluation Runs (classifyProduct over a labelled dataset)
+DROP TABLE IF EXISTS classification_evaluations CASCADE;
+
+CREATE TABLE classification_evaluations (
+  id                    SERIAL PRIMARY KEY,
+  name                  VARCHAR(100),
+  dataset               VARCHAR(255) NOT NULL, -- dataset file name or label
+  providers             JSONB NOT NULL DEFAULT '[]', -- provider chain used, in order
+  confidence_threshold  NUMERIC(4,3) NOT NULL, -- CONFIDENCE_THRESHOLD when the run started
+  status                VARCHAR(20) NOT NULL DEFAULT 'Running', -- Running, Completed, Failed, Interrupted
+  total                 INTEGER NOT NULL DEFAULT 0,
+  processed             INTEGER NOT NULL DEFAULT 0,
+  results               JSONB NOT NULL DEFAULT '[]', -- per-item expected and predicted code, confidence and match level
+  metrics               JSONB, -- accuracy, calibration and threshold figures once Completed
+  error                 TEXT,
+  created_by            INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at            TIMESTAMPTZ,
+  finished_at           TIMESTAMPTZ,
+  created_at            TIMESTAMPTZ DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Notifications
 DROP TABLE IF EXISTS notifications CASCADE;
 
@@ -105,11 +477,29 @@ CREATE TABLE subscriptions (
 -- Indexes for performance
 CREATE INDEX idx_invoices_user_id ON invoices(user_id);
 CREATE INDEX idx_invoices_status ON invoices(status);
+CREATE INDEX idx_invoices_duplicate_lookup ON invoices(user_id, invoice_date);
+CREATE INDEX idx_invoices_denied_party_status ON invoices(denied_party_status);
 CREATE INDEX idx_invoice_lines_invoice_id ON invoice_lines(invoice_id);
 CREATE INDEX idx_invoice_lines_hs_code ON invoice_lines(hs_code);
 CREATE INDEX idx_invoice_lines_flagged ON invoice_lines(flagged);
+CREATE INDEX idx_invoice_lines_description_fts ON invoice_lines USING GIN (to_tsvector('english', coalesce(description, '')));
+CREATE INDEX idx_invoice_status_history_invoice_id ON invoice_status_history(invoice_id);
+CREATE UNIQUE INDEX idx_tariff_rates_line_origin_date ON tariff_rates(tariff_line, COALESCE(origin_country, ''), effective_date);
+CREATE INDEX idx_hs_codes_parent_code ON hs_codes(parent_code);
+CREATE INDEX idx_hs_codes_description_fts ON hs_codes USING GIN (to_tsvector('english', description));
 CREATE INDEX idx_classification_history_line_id ON classification_history(invoice_line_id);
+CREATE INDEX idx_classification_history_hs_migration_id ON classification_history(hs_migration_id);
+CREATE INDEX idx_threshold_rules_organization_id ON threshold_rules(organization_id);
+CREATE INDEX idx_users_organization_id ON users(organization_id);
+CREATE INDEX idx_classification_memory_supplier_sku ON classification_memory(supplier_key, sku);
+CREATE INDEX idx_invoice_lines_assigned_to ON invoice_lines(assigned_to) WHERE flagged;
+CREATE INDEX idx_binding_rulings_supplier_key ON binding_rulings(supplier_key, valid_from);
+CREATE INDEX idx_line_embeddings_embedding ON line_embeddings USING hnsw (embedding vector_cosine_ops);
 CREATE INDEX idx_submissions_invoice_id ON submissions(invoice_id);
+CREATE INDEX idx_invoice_snapshots_submission_id ON invoice_snapshots(submission_id);
+CREATE INDEX idx_invoice_attachments_invoice_id ON invoice_attachments(invoice_id);
+CREATE INDEX idx_bulk_jobs_user_id ON bulk_jobs(user_id, created_at);
+CREATE INDEX idx_classification_evaluations_dataset ON classification_evaluations(dataset, created_at);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_read ON notifications(read);
 CREATE INDEX idx_subscriptions_user_id ON subscriptions(user_id);
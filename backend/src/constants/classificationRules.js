@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Keyword rules used by the local classification provider when no remote provider answers.
+ * A rule matches when every word of one of its keywords appears in the description; the first
+ * matching rule wins, so more specific rules come before general ones. Confidences stay below
+ * CONFIDENCE_THRESHOLD so keyword matches are always flagged for review.
+ */
+const KEYWORD_RULES = [
+  { hs_code: '6109.10', keywords: ['t-shirt cotton', 'tshirt cotton', 'tee cotton'], description: 'T-shirts, singlets and other vests, knitted, of cotton', confidence: 0.6 },
+  { hs_code: '6109.90', keywords: ['t-shirt', 'tshirt', 'singlet'], description: 'T-shirts, singlets and other vests, knitted, of other textile materials', confidence: 0.5 },
+  { hs_code: '6205.20', keywords: ['shirt cotton', 'shirts cotton'], description: "Men's or boys' shirts, of cotton", confidence: 0.55 },
+  { hs_code: '6203.42', keywords: ['jeans', 'trousers cotton', 'denim trousers'], description: "Men's or boys' trousers and shorts, of cotton", confidence: 0.5 },
+  { hs_code: '6403.99', keywords: ['leather shoes', 'leather boots'], description: 'Footwear with uppers of leather', confidence: 0.5 },
+  { hs_code: '6404.11', keywords: ['sneakers', 'trainers', 'sports shoes', 'running shoes'], description: 'Sports footwear with uppers of textile materials', confidence: 0.5 },
+  { hs_code: '8471.30', keywords: ['laptop', 'notebook computer', 'tablet computer'], description: 'Portable automatic data processing machines, weighing not more than 10 kg', confidence: 0.65 },
+  { hs_code: '8471.60', keywords: ['keyboard', 'computer mouse'], description: 'Input or output units for automatic data processing machines', confidence: 0.55 },
+  { hs_code: '8517.13', keywords: ['smartphone', 'mobile phone', 'cell phone'], description: 'Smartphones', confidence: 0.65 },
+  { hs_code: '8528.72', keywords: ['television', 'tv set'], description: 'Reception apparatus for television, colour', confidence: 0.55 },
+  { hs_code: '8504.40', keywords: ['power adapter', 'charger', 'power supply'], description: 'Static converters', confidence: 0.5 },
+  { hs_code: '8544.42', keywords: ['usb cable', 'charging cable', 'hdmi cable'], description: 'Electric conductors fitted with connectors, for a voltage not exceeding 1,000 V', confidence: 0.5 },
+  { hs_code: '8507.60', keywords: ['lithium battery', 'lithium-ion battery', 'li-ion battery'], description: 'Lithium-ion accumulators', confidence: 0.6 },
+  { hs_code: '9403.60', keywords: ['wooden furniture', 'wooden table', 'wooden chair'], description: 'Other wooden furniture', confidence: 0.5 },
+  { hs_code: '7318.15', keywords: ['bolts steel', 'screws steel', 'bolt', 'screw'], description: 'Threaded screws and bolts, of iron or steel', confidence: 0.5 },
+  { hs_code: '4011.10', keywords: ['car tyre', 'car tire', 'passenger tyre'], description: 'New pneumatic tyres, of rubber, of a kind used on motor cars', confidence: 0.55 },
+  { hs_code: '3004.90', keywords: ['medicine', 'tablets pharmaceutical', 'medicament'], description: 'Medicaments put up in measured doses or for retail sale', confidence: 0.4 },
+  { hs_code: '3304.99', keywords: ['cosmetic', 'skin cream', 'moisturiser', 'moisturizer'], description: 'Beauty or make-up preparations and preparations for the care of the skin', confidence: 0.5 },
+  { hs_code: '0901.21', keywords: ['roasted coffee', 'coffee beans roasted', 'ground coffee'], description: 'Coffee, roasted, not decaffeinated', confidence: 0.6 },
+  { hs_code: '2204.21', keywords: ['wine bottle', 'red wine', 'white wine'], description: 'Wine of fresh grapes, in containers holding 2 l or less', confidence: 0.55 },
+  { hs_code: '3923.21', keywords: ['plastic bags', 'polyethylene bags'], description: 'Sacks and bags, of polymers of ethylene', confidence: 0.5 },
+  { hs_code: '4819.10', keywords: ['cardboard boxes', 'corrugated boxes', 'carton boxes'], description: 'Cartons, boxes and cases, of corrugated paper or paperboard', confidence: 0.5 },
+  { hs_code: '9503.00', keywords: ['toy', 'toys'], description: 'Toys, scale models and puzzles', confidence: 0.45 }
+];
+
+module.exports = {
+  KEYWORD_RULES
+};
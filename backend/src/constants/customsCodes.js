@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Statistical units of measure accepted on invoice lines (UN/ECE Recommendation 20 codes,
+ * the ones used as WCO standard units of quantity in ASYCUDA declarations).
+ */
+const UNITS_OF_MEASURE = {
+  NAR: 'Number of articles',
+  NPR: 'Number of pairs',
+  DZN: 'Dozen',
+  SET: 'Set',
+  KGM: 'Kilogram',
+  GRM: 'Gram',
+  TNE: 'Tonne',
+  CTM: 'Carat',
+  LTR: 'Litre',
+  MLT: 'Millilitre',
+  MTR: 'Metre',
+  MTK: 'Square metre',
+  MTQ: 'Cubic metre',
+  KWH: 'Kilowatt hour',
+  TPR: 'Ten pairs',
+  CEN: 'Hundred'
+};
+
+/**
+ * Package kind codes accepted on invoice lines (UN/ECE Recommendation 21)
+ */
+const PACKAGE_TYPES = {
+  BX: 'Box',
+  CT: 'Carton',
+  CS: 'Case',
+  CR: 'Crate',
+  PK: 'Package',
+  PX: 'Pallet',
+  BG: 'Bag',
+  SA: 'Sack',
+  BL: 'Bale',
+  BE: 'Bundle',
+  RO: 'Roll',
+  DR: 'Drum',
+  BA: 'Barrel',
+  CN: 'Container',
+  EN: 'Envelope',
+  TU: 'Tube',
+  NE: 'Unpacked or unpackaged'
+};
+
+module.exports = {
+  UNITS_OF_MEASURE,
+  PACKAGE_TYPES
+};
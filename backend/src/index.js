@@ -11,6 +11,11 @@ require('dotenv').config();
 
 // Database models
 const db = require('./models');
+const bulkJobService = require('./services/bulkJobService');
+const evaluationService = require('./services/evaluationService');
+const hsMigrationService = require('./services/hsMigrationService');
+const similarLineService = require('./services/similarLineService');
+const reviewAssignmentService = require('./services/reviewAssignmentService');
 
 // --- Logger Setup ---
 const logger = winston.createLogger({
@@ -160,14 +165,26 @@ app.get('/', (req, res) => {
 
 // Import route modules
 app.use('/api/v1/auth', require('./routes/auth'));
+app.use('/api/v1/invoices/:invoiceId/attachments', require('./routes/attachments'));
 app.use('/api/v1/invoices', require('./routes/invoices'));
+app.use('/api/v1/classification/evaluations', require('./routes/classificationEvaluations'));
 app.use('/api/v1/classification', require('./routes/classification'));
 app.use('/api/v1/documents', require('./routes/documents'));
 app.use('/api/v1/submissions', require('./routes/submissions'));
+app.use('/api/v1/bulk-jobs', require('./routes/bulkJobs'));
 app.use('/api/v1/reviews', require('./routes/reviews'));
 app.use('/api/v1/notifications', require('./routes/notifications'));
 app.use('/api/v1/integrations', require('./routes/integrations'));
 app.use('/api/v1/reports', require('./routes/reports'));
+app.use('/api/v1/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/v1/hs-codes', require('./routes/hsCodes'));
+app.use('/api/v1/hs-migrations', require('./routes/hsMigrations'));
+app.use('/api/v1/tariff-rates', require('./routes/tariffRates'));
+app.use('/api/v1/organizations', require('./routes/organizations'));
+app.use('/api/v1/threshold-rules', require('./routes/thresholdRules'));
+app.use('/api/v1/restriction-rules', require('./routes/restrictionRules'));
+app.use('/api/v1/denied-parties', require('./routes/deniedParties'));
+app.use('/api/v1/rulings', require('./routes/rulings'));
 
 // --- Centralized Error Handling Middleware ---
 // eslint-disable-next-line no-unused-vars
@@ -200,9 +217,21 @@ const PORT = process.env.PORT || 5000;
 db.sequelize.sync({ force: process.env.DB_FORCE_SYNC === 'true' }) // Control sync force via env var
   .then(() => {
     logger.info('Database connected successfully');
+    // Jobs, evaluation runs and HS migrations that were running when the server stopped are left for the user to resume
+    return Promise.all([
+      bulkJobService.recoverInterruptedJobs(),
+      evaluationService.recoverInterruptedEvaluations(),
+      hsMigrationService.recoverInterruptedMigrations()
+    ]);
+  })
+  .then(() => {
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
     });
+    // Newly classified lines are embedded for the similar-lines search
+    similarLineService.startIndexing();
+    // Flagged lines are handed out to reviewers and expired claims released
+    reviewAssignmentService.startAssignment();
   })
   .catch(err => {
     logger.error('Failed to connect to the database:', { error: err });
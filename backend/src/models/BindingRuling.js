@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Advance (binding) classification ruling held for a product, with its PDF in document storage.
+ * See src/services/rulingService.js for how rulings are matched to invoice lines.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BindingRuling = sequelize.define('BindingRuling', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Reference given by the customs authority
+    ruling_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    issuing_authority: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    // Null: every organization
+    organization_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    supplier: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Supplier name without case, punctuation or company suffixes; empty when the ruling holds for any supplier
+    supplier_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      defaultValue: ''
+    },
+    // Supplier article number, upper-cased; empty when the ruling names none
+    sku: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: ''
+    },
+    product_description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    hs_code: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    valid_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Null: until revoked
+    valid_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    document_filename: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    document_size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    document_sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    document_path: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'binding_rulings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  BindingRuling.associate = (models) => {
+    // BindingRuling belongs to Organization
+    BindingRuling.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    // BindingRuling was created by a User
+    BindingRuling.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return BindingRuling;
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Background job running one pipeline action (classify, generate, submit) over a list of invoices, or
+ * classifying a list of product descriptions (classify_lines).
+ * Per-item progress is kept in `items` so a partly failed, interrupted or cancelled job can be resumed.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BulkJob = sequelize.define('BulkJob', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // One of bulkJobService.BULK_ACTIONS, or classify_lines
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // Queued, Running, Completed, CompletedWithErrors, Failed, Interrupted or Cancelled
+    status: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'Queued'
+    },
+    total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    processed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    succeeded: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // One entry per invoice: { invoice_id, status, error, result, attempts, finished_at },
+    // or per description for classify_lines, with `input` instead of invoice_id
+    items: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'bulk_jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  BulkJob.associate = (models) => {
+    // BulkJob belongs to User (who started it)
+    BulkJob.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return BulkJob;
+};
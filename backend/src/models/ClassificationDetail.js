@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Why the latest automatic classification of an invoice line chose its code: the provider's rationale,
+ * the runner-up codes and the raw provider response. One row per line, replaced on each reclassification.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ClassificationDetail = sequelize.define('ClassificationDetail', {
+    invoice_line_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'invoice_lines',
+        key: 'id'
+      }
+    },
+    // Provider that answered (contextgem, llm, keyword, memory)
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    // Code the provider chose, which a reviewer may since have changed on the line
+    hs_code: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    confidence: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true
+    },
+    // Provider's reasoning, e.g. the General Interpretative Rules applied or the keyword matched
+    rationale: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Alternative codes, best first: [{ hs_code, confidence, description }]
+    candidates: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Provider response as received, for audits and troubleshooting
+    raw_response: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Confidence the line needed to skip review, and the threshold rule it came from (null: CONFIDENCE_THRESHOLD)
+    threshold: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true
+    },
+    threshold_rule_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'threshold_rules',
+        key: 'id'
+      }
+    },
+    // Binding rulings matching the line when it was classified (see rulingService.findMatchingRulings)
+    rulings: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    classified_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'classification_details',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  ClassificationDetail.associate = (models) => {
+    // ClassificationDetail belongs to InvoiceLine
+    ClassificationDetail.belongsTo(models.InvoiceLine, {
+      foreignKey: 'invoice_line_id',
+      as: 'invoice_line',
+      onDelete: 'CASCADE'
+    });
+
+    // ClassificationDetail belongs to the ThresholdRule that decided the flag
+    ClassificationDetail.belongsTo(models.ThresholdRule, {
+      foreignKey: 'threshold_rule_id',
+      as: 'threshold_rule'
+    });
+  };
+
+  return ClassificationDetail;
+};
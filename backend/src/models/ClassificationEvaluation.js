@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Run of the classifier over a labelled dataset of descriptions and their HS codes.
+ * Each item's answer is kept in `results` so runs can be compared item by item; `metrics` holds the
+ * accuracy, calibration and threshold figures once the run has finished.
+ * See src/services/evaluationService.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ClassificationEvaluation = sequelize.define('ClassificationEvaluation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    // Dataset file name or label, so runs over the same dataset can be found
+    dataset: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Provider chain the run used, in order
+    providers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // CONFIDENCE_THRESHOLD when the run started
+    confidence_threshold: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: false
+    },
+    // Running, Completed, Failed or Interrupted
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'Running'
+    },
+    total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    processed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // One entry per dataset item: { description, expected, status, hs_code, confidence, provider, match, error }
+    results: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // { accuracy, calibration, thresholds } once Completed
+    metrics: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'classification_evaluations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  ClassificationEvaluation.associate = (models) => {
+    ClassificationEvaluation.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return ClassificationEvaluation;
+};
@@ -16,13 +16,14 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     previous_hs_code: {
-      type: DataTypes.STRING(10),
+      type: DataTypes.STRING(20),
       allowNull: true
     },
     new_hs_code: {
-      type: DataTypes.STRING(10),
+      type: DataTypes.STRING(20),
       allowNull: true
     },
+    // Null for changes not made by a user
     changed_by: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -31,6 +32,19 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // HS edition migration that made the change, when it was not a user
+    hs_migration_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'hs_migrations',
+        key: 'id'
+      }
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     changed_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -52,6 +66,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'changed_by',
       as: 'user'
     });
+
+    // ClassificationHistory belongs to HsMigration (the migration that made the change)
+    ClassificationHistory.belongsTo(models.HsMigration, {
+      foreignKey: 'hs_migration_id',
+      as: 'hs_migration'
+    });
   };
 
   return ClassificationHistory;
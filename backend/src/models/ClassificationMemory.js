@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * HS code a reviewer settled on for a supplier's product, reused before asking any classification provider.
+ * Kept up to date by approvals, adjustments and manual overrides; rebuilt from classification_history with
+ * src/scripts/rebuildClassificationMemory.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ClassificationMemory = sequelize.define('ClassificationMemory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Supplier name without case, punctuation or company suffixes
+    supplier_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Description without case, punctuation or HTML escapes
+    description_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Supplier article number, upper-cased; empty when the line had none
+    sku: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: ''
+    },
+    hs_code: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // Reviewer decisions for hs_code since it was last changed
+    confirmations: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    // Times a reviewer replaced the remembered code with another one
+    contradictions: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // How the latest decision was made: approved, adjusted or manual
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    invoice_line_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'invoice_lines',
+        key: 'id'
+      }
+    },
+    decided_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'classification_memory',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['supplier_key', 'description_key', 'sku']
+      }
+    ]
+  });
+
+  ClassificationMemory.associate = (models) => {
+    // ClassificationMemory belongs to the invoice line of the latest decision
+    ClassificationMemory.belongsTo(models.InvoiceLine, {
+      foreignKey: 'invoice_line_id',
+      as: 'invoice_line'
+    });
+
+    // ClassificationMemory belongs to User (the reviewer of the latest decision)
+    ClassificationMemory.belongsTo(models.User, {
+      foreignKey: 'decided_by',
+      as: 'reviewer'
+    });
+  };
+
+  return ClassificationMemory;
+};
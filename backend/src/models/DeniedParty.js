@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * Entry of a denied-party (sanctions) list loaded from a local file, e.g. the OFAC SDN list or the
+ * UN Security Council consolidated list. Loading a list replaces every entry of that list.
+ * See src/services/deniedPartyService.js for how invoice parties are matched against the entries.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const DeniedParty = sequelize.define('DeniedParty', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // ofac_sdn or un_consolidated
+    list: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    // ID of the entry in the published list (OFAC ent_num / uid, UN DATAID)
+    list_entry_id: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // Other names the party is known by (a.k.a., f.k.a., original script)
+    aliases: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // individual, entity, vessel or aircraft
+    entity_type: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    // Sanctions programmes or UN list types, e.g. ["SDGT", "IRGC"]
+    programs: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Countries from the addresses and nationalities of the entry, as published
+    countries: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    remarks: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // e.g. file name and publication date
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'denied_parties',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return DeniedParty;
+};
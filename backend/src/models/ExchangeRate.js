@@ -0,0 +1,53 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ExchangeRate = sequelize.define('ExchangeRate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // 1 unit of from_currency = rate units of to_currency
+    from_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    to_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false
+    },
+    effective_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'exchange_rates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['from_currency', 'to_currency', 'effective_date']
+      }
+    ]
+  });
+
+  return ExchangeRate;
+};
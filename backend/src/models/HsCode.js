@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Entry of the local HS nomenclature: a section, chapter, heading, subheading or national tariff line.
+ * Loaded from the published tariff with src/scripts/loadHsNomenclature.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const HsCode = sequelize.define('HsCode', {
+    // Roman numeral for sections (XVI), otherwise the dotted code (84, 8471, 8471.30, 8471.30.10)
+    code: {
+      type: DataTypes.STRING(20),
+      primaryKey: true
+    },
+    // section, chapter, heading, subheading or tariff_line
+    level: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    parent_code: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      references: {
+        model: 'hs_codes',
+        key: 'code'
+      }
+    },
+    // Section the entry falls under, for every level
+    section: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'hs_codes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  HsCode.associate = (models) => {
+    // HsCode belongs to its parent entry (chapter to section, heading to chapter, ...)
+    HsCode.belongsTo(models.HsCode, {
+      foreignKey: 'parent_code',
+      as: 'parent'
+    });
+
+    // HsCode has many child entries
+    HsCode.hasMany(models.HsCode, {
+      foreignKey: 'parent_code',
+      as: 'children'
+    });
+  };
+
+  return HsCode;
+};
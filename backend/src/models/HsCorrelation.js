@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Row of a WCO correlation table between two HS editions: a code of the old edition and one code it
+ * became in the new one. A code listed with several new codes was split.
+ * Loaded with src/scripts/loadHsCorrelations.js; applied by src/services/hsMigrationService.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const HsCorrelation = sequelize.define('HsCorrelation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Edition names as given when loading, e.g. HS2022 and HS2027
+    from_version: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    to_version: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // Dotted codes (8471.30); usually subheadings
+    from_code: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    to_code: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // Remark of the table, e.g. which goods moved to to_code in a split
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'hs_correlations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return HsCorrelation;
+};
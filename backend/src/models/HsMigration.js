@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Run remapping stored HS codes from one edition to the next with the loaded correlation table.
+ * Line changes are recorded in classification_history with the run as the actor (hs_migration_id).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const HsMigration = sequelize.define('HsMigration', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    from_version: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    to_version: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // A dry run counts what would change without changing anything
+    dry_run: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Running, Completed, Failed or Interrupted
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'Running'
+    },
+    // Counts: lines_checked, lines_remapped, lines_split, invoices_sent_to_review, memories_remapped, memories_removed
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'hs_migrations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  HsMigration.associate = (models) => {
+    HsMigration.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    // Line changes the run made
+    HsMigration.hasMany(models.ClassificationHistory, {
+      foreignKey: 'hs_migration_id',
+      as: 'classification_history'
+    });
+  };
+
+  return HsMigration;
+};
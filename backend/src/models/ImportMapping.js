@@ -0,0 +1,58 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ImportMapping = sequelize.define('ImportMapping', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    supplier: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Maps invoice line fields to spreadsheet column headers, e.g. { quantity: 'Qty' }
+    mapping: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'import_mappings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'supplier']
+      }
+    ]
+  });
+
+  ImportMapping.associate = (models) => {
+    // ImportMapping belongs to User
+    ImportMapping.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return ImportMapping;
+};
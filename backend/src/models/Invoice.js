@@ -27,11 +27,92 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: true
     },
+    // ISO 4217 currency the supplier billed in
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    },
+    // Customs value: total_amount converted into the base currency at the invoice date
+    base_currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+    total_amount_base: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true
+    },
+    exchange_rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: true
+    },
+    exchange_rate_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // Lifecycle state; only change it through invoiceStatusService.transitionInvoice
     status: {
       type: DataTypes.STRING(50),
       allowNull: false,
       defaultValue: 'Draft'
     },
+    // Duplicate detection: Suspected until the user confirms or dismisses the match
+    duplicate_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    duplicate_of_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    duplicate_score: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true
+    },
+    // Original uploaded file (e.g. a scanned PDF) kept for side-by-side review
+    source_document_path: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    source_document_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Header values as extracted by OCR, e.g. { total_amount: '1,250.00' }
+    extracted_data: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Per-field extraction confidence (0-1), e.g. { supplier: 0.91 }
+    field_confidence: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Latest duty and tax estimate totals in the base currency, from tariffService.estimateInvoiceDuties
+    duty_estimate: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Denied-party screening of the supplier and consignee: Clear, PotentialMatch (until compliance reviews
+    // every match), Confirmed, or Unscreened while no list is loaded. Null until the invoice is first screened
+    denied_party_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    // Matches of the latest screening with their review decisions, see deniedPartyService.screenInvoice
+    denied_party_matches: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    denied_party_screened_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -54,6 +135,12 @@ module.exports = (sequelize, DataTypes) => {
       as: 'user'
     });
 
+    // Invoice may be a duplicate of an earlier invoice
+    Invoice.belongsTo(models.Invoice, {
+      foreignKey: 'duplicate_of_id',
+      as: 'duplicate_of'
+    });
+
     // Invoice has many InvoiceLines
     Invoice.hasMany(models.InvoiceLine, {
       foreignKey: 'invoice_id',
@@ -65,6 +152,24 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'invoice_id',
       as: 'submissions'
     });
+
+    // Invoice has many status transitions
+    Invoice.hasMany(models.InvoiceStatusHistory, {
+      foreignKey: 'invoice_id',
+      as: 'status_history'
+    });
+
+    // Invoice has many InvoiceSnapshots (one per submission)
+    Invoice.hasMany(models.InvoiceSnapshot, {
+      foreignKey: 'invoice_id',
+      as: 'snapshots'
+    });
+
+    // Invoice has many InvoiceAttachments (supporting documents)
+    Invoice.hasMany(models.InvoiceAttachment, {
+      foreignKey: 'invoice_id',
+      as: 'attachments'
+    });
   };
 
   return Invoice;
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Supporting document attached to an invoice (packing list, bill of lading, certificate of origin, ...).
+ * The file itself lives in document storage; this row holds its metadata and virus-scan result.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const InvoiceAttachment = sequelize.define('InvoiceAttachment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    // One of attachmentService.ATTACHMENT_CATEGORIES
+    category: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    filename: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    storage_path: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Sent along with the declaration when the invoice is submitted via SFTP
+    include_in_submission: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Clean or NotScanned (infected uploads are rejected and never stored)
+    scan_status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'NotScanned'
+    },
+    scan_details: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'invoice_attachments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  InvoiceAttachment.associate = (models) => {
+    // InvoiceAttachment belongs to Invoice
+    InvoiceAttachment.belongsTo(models.Invoice, {
+      foreignKey: 'invoice_id',
+      as: 'invoice'
+    });
+
+    // InvoiceAttachment belongs to User (who uploaded it)
+    InvoiceAttachment.belongsTo(models.User, {
+      foreignKey: 'uploaded_by',
+      as: 'user'
+    });
+  };
+
+  return InvoiceAttachment;
+};
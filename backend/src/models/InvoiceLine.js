@@ -19,6 +19,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Supplier article number (SKU), used to recall past classifications
+    sku: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
     quantity: {
       type: DataTypes.INTEGER,
       allowNull: true
@@ -27,8 +32,39 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: true
     },
+    // ISO 4217 currency of unit_price; null means the invoice currency
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
     hs_code: {
-      type: DataTypes.STRING(10),
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    origin_country: {
+      type: DataTypes.STRING(2),
+      allowNull: true
+    },
+    // Weights are in kilograms for the whole line, not per unit
+    gross_weight: {
+      type: DataTypes.DECIMAL(12, 3),
+      allowNull: true
+    },
+    net_weight: {
+      type: DataTypes.DECIMAL(12, 3),
+      allowNull: true
+    },
+    // Statistical unit of quantity (see src/constants/customsCodes.js)
+    uom: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+    package_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    package_type: {
+      type: DataTypes.STRING(2),
       allowNull: true
     },
     classification_method: {
@@ -39,6 +75,37 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
+    // Per-field extraction confidence (0-1) for lines created from OCR
+    field_confidence: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Restriction rules the line matched at its last screening, with the permit reference attached for each
+    // ([{ rule_id, restriction, licence_type, authority, reason, permit_reference }])
+    restriction_hits: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Reviewer the flagged line is assigned to or claimed by; null while in the unassigned pool
+    assigned_to: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Start of the assignment or latest claim; the line returns to the pool REVIEW_CLAIM_TIMEOUT_MINUTES later
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Set when the reviewer claimed the line rather than being assigned it
+    claimed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -61,11 +128,23 @@ module.exports = (sequelize, DataTypes) => {
       as: 'invoice'
     });
 
+    // InvoiceLine is assigned to a reviewer while flagged
+    InvoiceLine.belongsTo(models.User, {
+      foreignKey: 'assigned_to',
+      as: 'assignee'
+    });
+
     // InvoiceLine has many ClassificationHistory
     InvoiceLine.hasMany(models.ClassificationHistory, {
       foreignKey: 'invoice_line_id',
       as: 'classification_history'
     });
+
+    // InvoiceLine has one ClassificationDetail (rationale and candidates of the latest automatic classification)
+    InvoiceLine.hasOne(models.ClassificationDetail, {
+      foreignKey: 'invoice_line_id',
+      as: 'classification_detail'
+    });
   };
 
   return InvoiceLine;
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Frozen copy of an invoice, its lines and the generated documents as submitted.
+ * Snapshots are write-once: updates and deletes through the model are refused.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const refuseChange = () => {
+    const error = new Error('Invoice snapshots are immutable');
+    error.status = 409;
+    throw error;
+  };
+
+  const InvoiceSnapshot = sequelize.define('InvoiceSnapshot', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    submission_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'submissions',
+        key: 'id'
+      }
+    },
+    // 1 for the first submission of the invoice, incremented for each amendment
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // Invoice header fields as declared
+    invoice_data: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    // Invoice lines as declared, ordered by line ID
+    lines: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Declared XML content plus stored file paths and SHA-256 hashes of the XML and PDF
+    documents: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'invoice_snapshots',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['invoice_id', 'version']
+      }
+    ],
+    hooks: {
+      beforeUpdate: refuseChange,
+      beforeBulkUpdate: refuseChange,
+      beforeDestroy: refuseChange,
+      beforeBulkDestroy: refuseChange
+    }
+  });
+
+  InvoiceSnapshot.associate = (models) => {
+    // InvoiceSnapshot belongs to Invoice
+    InvoiceSnapshot.belongsTo(models.Invoice, {
+      foreignKey: 'invoice_id',
+      as: 'invoice'
+    });
+
+    // InvoiceSnapshot belongs to the Submission it was taken for
+    InvoiceSnapshot.belongsTo(models.Submission, {
+      foreignKey: 'submission_id',
+      as: 'submission'
+    });
+
+    // InvoiceSnapshot belongs to User (who submitted)
+    InvoiceSnapshot.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'user'
+    });
+  };
+
+  return InvoiceSnapshot;
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const InvoiceStatusHistory = sequelize.define('InvoiceStatusHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    // Null for the initial Draft entry
+    from_status: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    to_status: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // Null when the change came from the system (e.g. a customs response)
+    changed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    changed_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'invoice_status_history',
+    timestamps: false
+  });
+
+  InvoiceStatusHistory.associate = (models) => {
+    // InvoiceStatusHistory belongs to Invoice
+    InvoiceStatusHistory.belongsTo(models.Invoice, {
+      foreignKey: 'invoice_id',
+      as: 'invoice'
+    });
+
+    // InvoiceStatusHistory belongs to User (who made the change)
+    InvoiceStatusHistory.belongsTo(models.User, {
+      foreignKey: 'changed_by',
+      as: 'user'
+    });
+  };
+
+  return InvoiceStatusHistory;
+};
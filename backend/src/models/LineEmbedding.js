@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Embedding of a classified invoice line's description, used to find how similar goods were classified.
+ * The vector column needs the pgvector extension; see src/services/similarLineService.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LineEmbedding = sequelize.define('LineEmbedding', {
+    invoice_line_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'invoice_lines',
+        key: 'id'
+      }
+    },
+    // pgvector column; Sequelize has no vector type, so values are read and written as '[0.1,0.2,...]'
+    embedding: {
+      type: 'VECTOR(1536)',
+      allowNull: false
+    },
+    // Embedding model that produced the vector
+    model: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // md5 of the description embedded, to spot lines edited since
+    description_hash: {
+      type: DataTypes.STRING(32),
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'line_embeddings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  LineEmbedding.associate = (models) => {
+    // LineEmbedding belongs to InvoiceLine
+    LineEmbedding.belongsTo(models.InvoiceLine, {
+      foreignKey: 'invoice_line_id',
+      as: 'invoice_line',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return LineEmbedding;
+};
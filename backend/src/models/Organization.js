@@ -0,0 +1,45 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Organization = sequelize.define('Organization', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'organizations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  Organization.associate = (models) => {
+    // Organization has many Users
+    Organization.hasMany(models.User, {
+      foreignKey: 'organization_id',
+      as: 'users'
+    });
+
+    // Organization has its own review threshold rules
+    Organization.hasMany(models.ThresholdRule, {
+      foreignKey: 'organization_id',
+      as: 'threshold_rules'
+    });
+  };
+
+  return Organization;
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Goods that need an import permit or may not be imported at all, by HS code range and/or description keywords.
+ * See src/services/restrictionService.js for how lines are screened against the rules.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const RestrictionRule = sequelize.define('RestrictionRule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // HS code range as leading digits, both ends inclusive: 3001 to 3006 covers every code under headings 3001-3006.
+    // hs_to null: only codes under hs_from. Both null: every code
+    hs_from: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    hs_to: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    // Words or phrases of which at least one must appear in the line description. Empty: any description
+    keywords: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // licence: submission needs a permit reference on the line; prohibited: the goods cannot be declared
+    restriction: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // e.g. Import licence, Firearms permit, Phytosanitary certificate
+    licence_type: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    // Agency issuing the licence
+    authority: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'restriction_rules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  RestrictionRule.associate = (models) => {
+    // RestrictionRule was created by a User
+    RestrictionRule.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return RestrictionRule;
+};
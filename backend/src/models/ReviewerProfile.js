@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * How flagged items are assigned to a tariff reviewer: HS chapters they know best and whether they take new
+ * items. Reviewers without a profile take items of any chapter. See src/services/reviewAssignmentService.js.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ReviewerProfile = sequelize.define('ReviewerProfile', {
+    user_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Two-digit HS chapters, e.g. ["61", "62"]; preferred for items of these chapters
+    hs_chapters: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // False while away: no new items are assigned, claims are still allowed
+    available: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Last automatic assignment, for round-robin order
+    last_assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'reviewer_profiles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  ReviewerProfile.associate = (models) => {
+    // ReviewerProfile belongs to User
+    ReviewerProfile.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return ReviewerProfile;
+};
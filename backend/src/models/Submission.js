@@ -42,6 +42,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'invoice_id',
       as: 'invoice'
     });
+
+    // Submission has one InvoiceSnapshot (only successful submissions)
+    Submission.hasOne(models.InvoiceSnapshot, {
+      foreignKey: 'submission_id',
+      as: 'snapshot'
+    });
   };
 
   return Submission;
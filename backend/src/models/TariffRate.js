@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Duty and tax rates of a national tariff line, effective from effective_date until a newer row for the
+ * same line and origin. Rates are percentages of the customs value (see tariffService for the bases).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const TariffRate = sequelize.define('TariffRate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Normalized HS code (8471.30.10.00); a shorter code covers every line under it
+    tariff_line: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    // ISO 3166 alpha-2 origin a preferential rate applies to; null for the general rate
+    origin_country: {
+      type: DataTypes.STRING(2),
+      allowNull: true
+    },
+    duty_rate: {
+      type: DataTypes.DECIMAL(7, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
+    // VAT, or ABST where that applies
+    vat_rate: {
+      type: DataTypes.DECIMAL(7, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
+    excise_rate: {
+      type: DataTypes.DECIMAL(7, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
+    environmental_levy_rate: {
+      type: DataTypes.DECIMAL(7, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
+    effective_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'tariff_rates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return TariffRate;
+};
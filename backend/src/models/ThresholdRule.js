@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Confidence below which a classification is flagged for review, for an organization, an HS chapter or heading
+ * and an invoice value band. Empty scopes match everything; see src/services/thresholdRuleService.js for which
+ * rule applies when several match.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ThresholdRule = sequelize.define('ThresholdRule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Null: every organization
+    organization_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    // Leading digits of the HS code: chapter (84), heading (8471) or subheading (847130). Null: every code
+    hs_prefix: {
+      type: DataTypes.STRING(6),
+      allowNull: true
+    },
+    // Invoice customs value band (total_amount_base); lower bound inclusive, upper bound exclusive
+    min_invoice_value: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true
+    },
+    max_invoice_value: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: true
+    },
+    threshold: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'threshold_rules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  ThresholdRule.associate = (models) => {
+    // ThresholdRule belongs to Organization
+    ThresholdRule.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    // ThresholdRule was created by a User
+    ThresholdRule.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return ThresholdRule;
+};
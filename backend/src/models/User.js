@@ -23,6 +23,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: true
     },
+    // Organization whose settings (e.g. review thresholds) apply to the user's invoices
+    organization_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -39,6 +48,12 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   User.associate = (models) => {
+    // User belongs to an Organization
+    User.belongsTo(models.Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
     // User has many Invoices
     User.hasMany(models.Invoice, {
       foreignKey: 'user_id',
@@ -57,6 +72,12 @@ module.exports = (sequelize, DataTypes) => {
       as: 'subscriptions'
     });
 
+    // User has one ReviewerProfile (review assignment settings)
+    User.hasOne(models.ReviewerProfile, {
+      foreignKey: 'user_id',
+      as: 'reviewer_profile'
+    });
+
     // User belongs to many Roles (through UserRole)
     User.belongsToMany(models.Role, {
       through: 'user_roles',
@@ -65,6 +86,12 @@ module.exports = (sequelize, DataTypes) => {
       as: 'roles'
     });
 
+    // User has saved many spreadsheet import mappings
+    User.hasMany(models.ImportMapping, {
+      foreignKey: 'user_id',
+      as: 'import_mappings'
+    });
+
     // User has made many classification changes
     User.hasMany(models.ClassificationHistory, {
       foreignKey: 'changed_by',
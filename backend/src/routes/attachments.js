@@ -0,0 +1,312 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // invoiceId comes from the mount path
+const fs = require('fs');
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const attachmentService = require('../services/attachmentService');
+
+// Statuses the attachment service reports for rejected uploads
+const CLIENT_ERROR_STATUSES = [404, 409, 413, 415, 422, 503];
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InvoiceAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         invoice_id:
+ *           type: integer
+ *         category:
+ *           type: string
+ *           enum: [PackingList, BillOfLading, AirWaybill, CertificateOfOrigin, ImportLicence, InsuranceCertificate, Other]
+ *         filename:
+ *           type: string
+ *         mime_type:
+ *           type: string
+ *         size_bytes:
+ *           type: integer
+ *         sha256:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         include_in_submission:
+ *           type: boolean
+ *           description: Sent with the declaration when the invoice is submitted via SFTP.
+ *         scan_status:
+ *           type: string
+ *           enum: [Clean, NotScanned]
+ *           description: NotScanned when no virus scanner is configured. Infected uploads are rejected.
+ *         uploaded_by:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     attachmentInvoiceId:
+ *       in: path
+ *       name: invoiceId
+ *       schema:
+ *         type: integer
+ *       required: true
+ *       description: Numeric ID of the invoice.
+ *     attachmentId:
+ *       in: path
+ *       name: attachmentId
+ *       schema:
+ *         type: integer
+ *       required: true
+ *       description: Numeric ID of the attachment.
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}/attachments:
+ *   get:
+ *     summary: List the supporting documents attached to an invoice
+ *     tags: [Invoice Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/attachmentInvoiceId'
+ *     responses:
+ *       200:
+ *         description: Attachments, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InvoiceAttachment'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  param('invoiceId').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const attachments = await attachmentService.listAttachments(req.params.invoiceId, req.user.id); // Use sanitized ID
+    return res.json(attachments);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}/attachments:
+ *   post:
+ *     summary: Attach a supporting document to an invoice
+ *     description: >
+ *       Accepts PDF, PNG, JPEG, TIFF, XLSX, DOCX, CSV, TXT and XML files up to ATTACHMENT_MAX_BYTES.
+ *       The content must match the file extension, and the file is virus-scanned when a scanner is configured.
+ *     tags: [Invoice Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/attachmentInvoiceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - file
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [PackingList, BillOfLading, AirWaybill, CertificateOfOrigin, ImportLicence, InsuranceCertificate, Other]
+ *               description:
+ *                 type: string
+ *               include_in_submission:
+ *                 type: boolean
+ *                 description: Send the file with the declaration when the invoice is submitted via SFTP.
+ *               file:
+ *                 type: object
+ *                 required:
+ *                   - name
+ *                   - content
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     description: Original filename, including the extension.
+ *                   content:
+ *                     type: string
+ *                     format: byte
+ *                     description: Base64-encoded file content.
+ *                   mimeType:
+ *                     type: string
+ *                     description: Optional MIME type; must match the extension when given.
+ *     responses:
+ *       201:
+ *         description: Attachment stored.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvoiceAttachment'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       413:
+ *         description: File is larger than the maximum attachment size
+ *       415:
+ *         description: Unsupported file type
+ *       422:
+ *         description: Validation Error, content not matching the extension, or file failed the virus scan
+ *       500:
+ *         description: Server Error
+ *       503:
+ *         description: Virus scanner unavailable
+ */
+router.post('/', [
+  auth,
+  param('invoiceId').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  body('category').trim().isIn(attachmentService.ATTACHMENT_CATEGORIES).withMessage('Invalid attachment category'),
+  body('description').optional({ values: 'null' }).trim().escape().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+  body('include_in_submission').optional().isBoolean().withMessage('include_in_submission must be a boolean').toBoolean(),
+  body('file.name').trim().notEmpty().withMessage('File name is required')
+    .isLength({ max: 255 }).withMessage('File name must be at most 255 characters'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  body('file.mimeType').optional().trim().isMimeType().withMessage('Invalid MIME type'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const attachment = await attachmentService.uploadAttachment(req.params.invoiceId, req.user.id, {
+      file: req.body.file,
+      category: req.body.category,
+      description: req.body.description,
+      includeInSubmission: req.body.include_in_submission
+    });
+
+    const { storage_path: storagePath, ...result } = attachment.toJSON(); // Server paths stay internal
+    return res.status(201).json(result);
+  } catch (error) {
+    if (CLIENT_ERROR_STATUSES.includes(error.status)) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Invoice Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/attachmentInvoiceId'
+ *       - $ref: '#/components/parameters/attachmentId'
+ *     responses:
+ *       200:
+ *         description: The attachment file, with its stored MIME type.
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice or attachment not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:attachmentId', [
+  auth,
+  param('invoiceId').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  param('attachmentId').isInt({ gt: 0 }).withMessage('Attachment ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { invoiceId, attachmentId } = req.params; // Use sanitized IDs
+    const { filePath, filename, mimeType } = await attachmentService.getAttachmentFile(invoiceId, attachmentId, req.user.id);
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/"/g, '')}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    const fileStream = fs.createReadStream(filePath);
+    fileStream.on('error', (streamError) => {
+      if (!res.headersSent) {
+        next(streamError);
+      }
+    });
+    fileStream.pipe(res);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     tags: [Invoice Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/attachmentInvoiceId'
+ *       - $ref: '#/components/parameters/attachmentId'
+ *     responses:
+ *       200:
+ *         description: Attachment deleted.
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice or attachment not found
+ *       409:
+ *         description: Attachment was sent to customs with the invoice
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.delete('/:attachmentId', [
+  auth,
+  param('invoiceId').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  param('attachmentId').isInt({ gt: 0 }).withMessage('Attachment ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { invoiceId, attachmentId } = req.params; // Use sanitized IDs
+    await attachmentService.deleteAttachment(invoiceId, attachmentId, req.user.id);
+
+    return res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
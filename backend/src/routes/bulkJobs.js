@@ -0,0 +1,454 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const bulkJobService = require('../services/bulkJobService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkJobItem:
+ *       type: object
+ *       properties:
+ *         invoice_id:
+ *           type: integer
+ *           description: Invoice processed by this item. Absent for classify_lines jobs.
+ *         input:
+ *           type: object
+ *           description: Description to classify, for classify_lines jobs (id, description, supplier, sku, invoice_value).
+ *         status:
+ *           type: string
+ *           enum: [Pending, Succeeded, Failed]
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the action failed for this item.
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             Action outcome. classify: line counts (lines, classified, flagged, unclassified);
+ *             generate: document file names (xml, pdf); submit: submissionId, method and snapshotVersion;
+ *             classify_lines: the ClassificationResult without its raw provider response.
+ *         attempts:
+ *           type: integer
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     BulkJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [classify, generate, submit, classify_lines]
+ *           description: classify_lines jobs are started by POST /classification/bulk.
+ *         status:
+ *           type: string
+ *           enum: [Queued, Running, Completed, CompletedWithErrors, Failed, Interrupted, Cancelled]
+ *           description: Interrupted jobs were stopped by a server restart and Cancelled jobs by their owner; both can be resumed.
+ *         total:
+ *           type: integer
+ *         processed:
+ *           type: integer
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         items:
+ *           type: array
+ *           description: Per-item progress, in the order the invoices or descriptions were given. Omitted from the job list.
+ *           items:
+ *             $ref: '#/components/schemas/BulkJobItem'
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     bulkJobIdParam:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: integer
+ *       required: true
+ *       description: Numeric ID of the bulk job.
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /bulk-jobs:
+ *   post:
+ *     summary: Start a background job that classifies, generates documents for or submits many invoices
+ *     description: >
+ *       The job is queued and runs in the background; poll GET /bulk-jobs/{id} for per-invoice progress.
+ *       classify re-classifies every line that was not classified by hand and needs an editable invoice;
+ *       generate builds the customs XML and PDF; submit generates and submits Ready invoices.
+ *       An invoice that fails does not stop the job.
+ *     tags: [Bulk Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - invoice_ids
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [classify, generate, submit]
+ *               invoice_ids:
+ *                 type: array
+ *                 description: Invoices to process, in order. Duplicates are ignored. At most BULK_JOB_MAX_INVOICES.
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       202:
+ *         description: Job queued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkJob'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: One or more invoices not found or access denied
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  body('action').trim().isIn(bulkJobService.BULK_ACTIONS).withMessage(`Action must be one of: ${bulkJobService.BULK_ACTIONS.join(', ')}`),
+  body('invoice_ids').isArray({ min: 1, max: bulkJobService.BULK_JOB_MAX_INVOICES })
+    .withMessage(`invoice_ids must be an array of 1 to ${bulkJobService.BULK_JOB_MAX_INVOICES} invoice IDs`),
+  body('invoice_ids.*').isInt({ gt: 0 }).withMessage('Invoice IDs must be positive integers').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const job = await bulkJobService.createBulkJob(req.user.id, req.body.action, req.body.invoice_ids);
+    return res.status(202).json(job);
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /bulk-jobs:
+ *   get:
+ *     summary: List the user's bulk jobs, newest first
+ *     tags: [Bulk Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Jobs without their per-invoice items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BulkJob'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const result = await bulkJobService.listBulkJobs(req.user.id, { limit, offset });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /bulk-jobs/{id}:
+ *   get:
+ *     summary: Get a bulk job with per-invoice progress
+ *     tags: [Bulk Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/bulkJobIdParam'
+ *     responses:
+ *       200:
+ *         description: The job and its items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkJob'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bulk job not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Job ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const job = await bulkJobService.getBulkJob(req.params.id, req.user.id); // Use sanitized ID
+    return res.json(job);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /bulk-jobs/{id}/resume:
+ *   post:
+ *     summary: Resume a bulk job
+ *     description: >
+ *       Re-queues the job to retry its failed invoices and process any it did not reach,
+ *       for example after a server restart. Invoices that succeeded are not run again.
+ *     tags: [Bulk Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/bulkJobIdParam'
+ *     responses:
+ *       202:
+ *         description: Job queued again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkJob'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bulk job not found
+ *       409:
+ *         description: Job is still queued or running, or has nothing left to retry
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.post('/:id/resume', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Job ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const job = await bulkJobService.resumeBulkJob(req.params.id, req.user.id); // Use sanitized ID
+    return res.status(202).json(job);
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /bulk-jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a bulk job
+ *     description: >
+ *       A queued job is cancelled at once. A running job stops after the invoice or batch in progress and is then
+ *       Cancelled; the items it did not reach stay Pending and run if the job is resumed.
+ *     tags: [Bulk Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/bulkJobIdParam'
+ *     responses:
+ *       202:
+ *         description: Cancellation accepted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkJob'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bulk job not found
+ *       409:
+ *         description: Job is no longer queued or running
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.post('/:id/cancel', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Job ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const job = await bulkJobService.cancelBulkJob(req.params.id, req.user.id); // Use sanitized ID
+    return res.status(202).json(job);
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /bulk-jobs/{id}/events:
+ *   get:
+ *     summary: Stream the progress of a bulk job as Server-Sent Events
+ *     description: >
+ *       Starts with a `snapshot` event holding the job. Each invoice or batch the job finishes sends a `progress`
+ *       event with the counts (total, processed, succeeded, failed, flagged) and the changed items, each with its
+ *       index in the job items. A `finished` event with the final status and counts ends the stream; the stream
+ *       also ends after the snapshot when the job is not queued or running.
+ *     tags: [Bulk Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/bulkJobIdParam'
+ *     responses:
+ *       200:
+ *         description: Event stream.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Bulk job not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id/events', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Job ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  let job;
+  try {
+    job = await bulkJobService.getBulkJob(req.params.id, req.user.id); // Use sanitized ID
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Responses are compressed, so each event is flushed through the compression stream
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  send('snapshot', job);
+  if (!bulkJobService.ACTIVE_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  const onProgress = (progress) => {
+    if (progress.jobId === job.id) send('progress', progress);
+  };
+  const onFinished = (finished) => {
+    if (finished.jobId !== job.id) return;
+    send('finished', finished);
+    res.end();
+  };
+  // A comment line every 15 seconds keeps idle connections from being closed
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (typeof res.flush === 'function') res.flush();
+  }, 15000);
+
+  bulkJobService.jobEvents.on('progress', onProgress);
+  bulkJobService.jobEvents.on('finished', onFinished);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    bulkJobService.jobEvents.off('progress', onProgress);
+    bulkJobService.jobEvents.off('finished', onFinished);
+  });
+});
+
+module.exports = router;
@@ -2,13 +2,18 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const auth = require('../middleware/auth');
 const roleAuth = require('../middleware/roleAuth');
 const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
 const classificationService = require('../services/classificationService');
+const classificationCache = require('../services/classificationCache');
+const classificationMemoryService = require('../services/classificationMemoryService');
+const similarLineService = require('../services/similarLineService');
+const organizationService = require('../services/organizationService');
+const bulkJobService = require('../services/bulkJobService');
 const db = require('../models');
-const { InvoiceLine, ClassificationHistory, User } = db; // Include ClassificationHistory and User
+const { InvoiceLine, ClassificationHistory, HsMigration, User } = db; // Include ClassificationHistory and User
 
 // --- Swagger Definitions ---
 
@@ -27,6 +32,16 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  *         description:
  *           type: string
  *           description: Product description to classify.
+ *         supplier:
+ *           type: string
+ *           description: Invoice supplier. Needed to reuse past reviewer decisions for the product.
+ *         sku:
+ *           type: string
+ *           description: Supplier article number. Matched before the description in the reviewer memory.
+ *         invoice_value:
+ *           type: number
+ *           format: float
+ *           description: Invoice customs value in the base currency, for threshold rules scoped to a value band.
  *       example:
  *         id: 15
  *         description: "Red Cotton T-Shirt, Size L"
@@ -57,27 +72,211 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  *           description: Confidence score of the classification (0-1).
  *         classification_method:
  *           type: string
- *           enum: [AI, Manual, Rule]
- *           description: Method used for classification.
+ *           description: >
+ *             auto:<provider> naming the provider that answered (auto:contextgem, auto:llm, auto:keyword),
+ *             auto:memory when a reviewer classified the same supplier product before,
+ *             or failed when no provider in CLASSIFICATION_PROVIDERS could classify the description.
+ *         provider:
+ *           type: string
+ *           nullable: true
+ *           description: Classification provider that answered.
+ *         error:
+ *           type: string
+ *           description: Why each provider failed, when classification_method is failed.
  *         flagged:
  *           type: boolean
- *           description: Whether the classification needs review.
+ *           description: Whether the classification needs review (confidence below threshold, or a conflicting binding ruling).
+ *         threshold:
+ *           type: number
+ *           format: float
+ *           description: Confidence needed to skip review, from the most specific matching threshold rule.
+ *         threshold_rule_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Threshold rule that decided flagged; null when CONFIDENCE_THRESHOLD applied.
+ *         rationale:
+ *           type: string
+ *           nullable: true
+ *           description: Why the provider chose the code (GRI reasoning, matched keyword, past reviewer decision).
+ *         candidates:
+ *           type: array
+ *           description: Runner-up codes, best first.
+ *           items:
+ *             $ref: '#/components/schemas/ClassificationCandidate'
+ *         raw_response:
+ *           type: object
+ *           nullable: true
+ *           description: Provider response as received.
+ *         memory:
+ *           $ref: '#/components/schemas/ClassificationMemoryProvenance'
+ *         rulings:
+ *           type: array
+ *           description: Valid binding rulings covering the supplier's product, when any.
+ *           items:
+ *             $ref: '#/components/schemas/RulingMatch'
+ *         ruling_conflict:
+ *           type: boolean
+ *           description: The code contradicts one of the rulings; the line is flagged for review.
  *       example:
  *         id: 15
  *         description: "Red Cotton T-Shirt, Size L"
- *         hs_code: "610910"
+ *         hs_code: "6109.10"
  *         confidence: 0.85
- *         classification_method: "AI"
+ *         classification_method: "auto:contextgem"
+ *         provider: "contextgem"
  *         flagged: false
- *     BulkClassificationResponse:
+ *     ClassificationCandidate:
  *       type: object
  *       properties:
- *         success:
- *           type: boolean
- *         results:
+ *         hs_code:
+ *           type: string
+ *         confidence:
+ *           type: number
+ *           format: float
+ *         description:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         hs_code: "6109.90"
+ *         confidence: 0.21
+ *         description: "T-shirts, knitted, of other textile materials"
+ *     ClassificationDetail:
+ *       type: object
+ *       description: Rationale and runner-up codes of a line's latest automatic classification.
+ *       properties:
+ *         provider:
+ *           type: string
+ *         hs_code:
+ *           type: string
+ *           description: Code the provider chose. A reviewer may since have changed the line's code.
+ *         confidence:
+ *           type: number
+ *           format: float
+ *         rationale:
+ *           type: string
+ *           nullable: true
+ *         candidates:
  *           type: array
  *           items:
- *             $ref: '#/components/schemas/ClassificationResult'
+ *             $ref: '#/components/schemas/ClassificationCandidate'
+ *         raw_response:
+ *           type: object
+ *           nullable: true
+ *         threshold:
+ *           type: number
+ *           format: float
+ *           description: Confidence the line needed to skip review.
+ *         threshold_rule_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Threshold rule that decided the flag; null when CONFIDENCE_THRESHOLD applied.
+ *         rulings:
+ *           type: array
+ *           description: Binding rulings that covered the product when it was classified.
+ *           items:
+ *             $ref: '#/components/schemas/RulingMatch'
+ *         classified_at:
+ *           type: string
+ *           format: date-time
+ *     ClassificationMemoryProvenance:
+ *       type: object
+ *       description: Only on suggestions from the reviewer memory. Which past human decision the code comes from.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         matched_on:
+ *           type: string
+ *           enum: [sku, description]
+ *         source:
+ *           type: string
+ *           enum: [approved, adjusted, manual]
+ *           description: How the latest decision was made.
+ *         confirmations:
+ *           type: integer
+ *           description: Reviewer decisions for this code since it was last changed.
+ *         contradictions:
+ *           type: integer
+ *           description: Times a reviewer replaced the remembered code.
+ *         invoice_line_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Line the latest decision was made on.
+ *         decided_at:
+ *           type: string
+ *           format: date-time
+ *         decided_by:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             full_name:
+ *               type: string
+ *     ClassificationMemorySuggestion:
+ *       type: object
+ *       properties:
+ *         hs_code:
+ *           type: string
+ *         confidence:
+ *           type: number
+ *           format: float
+ *           description: Grows with each reviewer confirmation and drops when reviewers disagreed.
+ *         memory:
+ *           $ref: '#/components/schemas/ClassificationMemoryProvenance'
+ *       example:
+ *         hs_code: "6109.10"
+ *         confidence: 0.92
+ *         memory:
+ *           id: 4
+ *           matched_on: "sku"
+ *           source: "adjusted"
+ *           confirmations: 2
+ *           contradictions: 0
+ *           invoice_line_id: 118
+ *           decided_at: "2024-03-02T09:14:00.000Z"
+ *           decided_by:
+ *             id: 3
+ *             full_name: "Dana Reviewer"
+ *     SimilarLine:
+ *       type: object
+ *       properties:
+ *         invoice_line_id:
+ *           type: integer
+ *         description:
+ *           type: string
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *         hs_code:
+ *           type: string
+ *         hs_description:
+ *           type: string
+ *           nullable: true
+ *           description: Official description of hs_code from the nomenclature.
+ *         classification_method:
+ *           type: string
+ *         invoice_id:
+ *           type: integer
+ *         supplier:
+ *           type: string
+ *         invoice_date:
+ *           type: string
+ *           format: date
+ *         similarity:
+ *           type: number
+ *           format: float
+ *           description: Cosine similarity of the descriptions (0-1).
+ *       example:
+ *         invoice_line_id: 87
+ *         description: "Men's cotton T-shirt, crew neck"
+ *         sku: "TS-100"
+ *         hs_code: "6109.10"
+ *         hs_description: "Of cotton"
+ *         classification_method: "manual"
+ *         invoice_id: 12
+ *         supplier: "Acme Textiles"
+ *         invoice_date: "2024-02-10"
+ *         similarity: 0.934
  *     SingleClassificationInput:
  *       type: object
  *       required:
@@ -86,6 +285,16 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  *         description:
  *           type: string
  *           description: Product description to classify.
+ *         supplier:
+ *           type: string
+ *           description: Invoice supplier. Needed to reuse past reviewer decisions for the product.
+ *         sku:
+ *           type: string
+ *           description: Supplier article number.
+ *         invoice_value:
+ *           type: number
+ *           format: float
+ *           description: Invoice customs value in the base currency, for threshold rules scoped to a value band.
  *       example:
  *         description: "Blue Denim Jeans, 32x34"
  *     SingleClassificationResponse:
@@ -115,6 +324,45 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  *           description: The description whose cache entry should be cleared.
  *       example:
  *         description: "Red Cotton T-Shirt, Size L"
+ *     ClassificationCacheStats:
+ *       type: object
+ *       properties:
+ *         backend:
+ *           type: string
+ *           enum: [redis, memory]
+ *           description: Store in use; memory while a configured Redis is unreachable.
+ *         configured_backend:
+ *           type: string
+ *           description: CLASSIFICATION_CACHE_BACKEND.
+ *         ttl_seconds:
+ *           type: integer
+ *         hits:
+ *           type: integer
+ *         misses:
+ *           type: integer
+ *         hit_rate:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *         writes:
+ *           type: integer
+ *         invalidations:
+ *           type: integer
+ *           description: Entries removed through the cache endpoints.
+ *         errors:
+ *           type: integer
+ *           description: Redis operations that failed and were served from the in-process store.
+ *         evictions:
+ *           type: integer
+ *           nullable: true
+ *           description: Entries evicted for lack of room (for Redis, evicted_keys of the whole server).
+ *         entries:
+ *           type: integer
+ *           nullable: true
+ *         since:
+ *           type: string
+ *           format: date-time
+ *           description: When the counters started (process start).
  *     ClassificationHistoryEntry:
  *       type: object
  *       properties:
@@ -133,6 +381,23 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  *         changed_at:
  *           type: string
  *           format: date-time
+ *         comment:
+ *           type: string
+ *           nullable: true
+ *         hs_migration_id:
+ *           type: integer
+ *           nullable: true
+ *           description: HS edition migration that made the change; user is null then.
+ *         hs_migration:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             from_version:
+ *               type: string
+ *             to_version:
+ *               type: string
  *         user: # Include user details
  *           type: object
  *           properties:
@@ -158,7 +423,13 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  * @swagger
  * /classification/bulk:
  *   post:
- *     summary: Classify multiple invoice line descriptions in bulk
+ *     summary: Start a background job classifying many invoice line descriptions
+ *     description: >
+ *       Returns the queued job at once. Descriptions are classified in batches of 10 and each result is added to
+ *       the job items as its batch finishes; follow GET /bulk-jobs/{id}/events for live progress, cancel with
+ *       POST /bulk-jobs/{id}/cancel and retry failed items with POST /bulk-jobs/{id}/resume.
+ *       Results for items with an invoice line ID are written back to the line, except for lines classified by
+ *       hand; lines of invoices that can no longer be edited are rejected.
  *     tags: [Classification]
  *     security:
  *       - bearerAuth: []
@@ -169,62 +440,42 @@ const { InvoiceLine, ClassificationHistory, User } = db; // Include Classificati
  *           schema:
  *             $ref: '#/components/schemas/BulkClassificationInput'
  *     responses:
- *       200:
- *         description: Bulk classification successful. Results may include updated HS codes.
+ *       202:
+ *         description: Job queued.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/BulkClassificationResponse'
+ *               $ref: '#/components/schemas/BulkJob'
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: One or more invoice lines not found or access denied
+ *       409:
+ *         description: One or more invoice lines belong to an invoice that can no longer be edited
  *       422:
  *         description: Validation Error
  *       500:
- *         description: Server Error during classification or update.
+ *         description: Server Error
  */
 router.post('/bulk', [
   auth,
-  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items').isArray({ min: 1, max: bulkJobService.BULK_CLASSIFY_MAX_ITEMS })
+    .withMessage(`Items must be an array of 1 to ${bulkJobService.BULK_CLASSIFY_MAX_ITEMS} items`),
   body('items.*.id').optional().isInt({ gt: 0 }).withMessage('Item ID must be a positive integer').toInt(),
   body('items.*.description').trim().notEmpty().withMessage('Description is required').escape(),
+  body('items.*.supplier').optional().trim().escape(),
+  body('items.*.sku').optional().trim().isLength({ max: 100 }).withMessage('SKU must be at most 100 characters'),
+  body('items.*.invoice_value').optional().isFloat({ min: 0 }).withMessage('Invoice value must be a non-negative number').toFloat(),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
-    const { items } = req.body; // Use validated/sanitized items
-
-    // Perform bulk classification
-    const results = await classificationService.bulkClassify(items);
-
-    // Filter items that have an ID and a valid hs_code from the results
-    const itemsToUpdate = results.filter(item => item.id && item.hs_code);
-
-    if (itemsToUpdate.length > 0) {
-      // Update items in database in a transaction
-      await db.sequelize.transaction(async (transaction) => {
-        for (const item of itemsToUpdate) {
-          // Ensure the InvoiceLine exists before attempting update
-          const lineExists = await InvoiceLine.count({ where: { id: item.id }, transaction });
-          if (lineExists > 0) {
-              await InvoiceLine.update({
-                hs_code: item.hs_code,
-                classification_method: item.classification_method,
-                flagged: item.flagged || false // Default flagged to false if not present
-              }, {
-                where: { id: item.id },
-                transaction
-              });
-          } else {
-              console.warn(`InvoiceLine with ID ${item.id} not found during bulk update. Skipping.`);
-          }
-        }
-      });
-    }
-
-    return res.json({
-      success: true,
-      results // Return the classification results
-    });
+    // Classified in the background under the threshold rules of the user's organization
+    const job = await bulkJobService.createClassificationJob(req.user.id, req.body.items); // Use validated/sanitized items
+    return res.status(202).json(job);
   } catch (error) {
+    if (error.status === 404 || error.status === 409 || error.status === 422) {
+      return res.status(error.status).json({ message: error.message });
+    }
     next(error); // Pass error to centralized handler
   }
 });
@@ -260,13 +511,17 @@ router.post('/bulk', [
 router.post('/single', [
   auth,
   body('description').trim().notEmpty().withMessage('Description is required').escape(),
+  body('supplier').optional().trim().escape(),
+  body('sku').optional().trim().isLength({ max: 100 }).withMessage('SKU must be at most 100 characters'),
+  body('invoice_value').optional().isFloat({ min: 0 }).withMessage('Invoice value must be a non-negative number').toFloat(),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
-    const { description } = req.body; // Use validated/sanitized description
+    const { description, supplier, sku, invoice_value: invoiceValue } = req.body; // Use validated/sanitized description
 
-    // Perform classification
-    const result = await classificationService.classifyProduct(description);
+    // Perform classification under the threshold rules of the user's organization
+    const organizationId = await organizationService.getUserOrganizationId(req.user.id);
+    const result = await classificationService.classifyProduct(description, { supplier, sku, organizationId, invoiceValue });
 
     return res.json({
       success: true,
@@ -277,6 +532,140 @@ router.post('/single', [
   }
 });
 
+/**
+ * @swagger
+ * /classification/similar:
+ *   get:
+ *     summary: Find previously classified lines similar to a line or description
+ *     description: >
+ *       Nearest neighbours by description embedding, among classified lines that are no longer flagged for review.
+ *       Lines are added to the index in the background (EMBEDDING_INDEX_INTERVAL_MS) or with
+ *       src/scripts/buildSimilarityIndex.js.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: invoice_line_id
+ *         schema:
+ *           type: integer
+ *         description: Line to find neighbours for. It is left out of the results.
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *         description: Description to search with when no line is given.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Similar lines, most similar first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SimilarLine'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Invoice line not found
+ *       422:
+ *         description: Validation Error
+ *       503:
+ *         description: Embeddings are not configured
+ *       500:
+ *         description: Server Error
+ */
+router.get('/similar', [
+  auth,
+  roleAuth(['admin', 'reviewer', 'tariff_reviewer']),
+  query('invoice_line_id').optional().isInt({ gt: 0 }).withMessage('Invoice line ID must be a positive integer').toInt(),
+  query('description').optional().trim().notEmpty().withMessage('Description cannot be empty'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50').toInt(),
+  query().custom((value, { req }) => !!(req.query.invoice_line_id || req.query.description))
+    .withMessage('An invoice line ID or a description is required'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { invoice_line_id: invoiceLineId, description, limit } = req.query; // Use sanitized query
+    const lines = await similarLineService.findSimilarLines({ invoiceLineId, description, limit });
+    return res.json(lines);
+  } catch (error) {
+    if (error.status === 404 || error.status === 503) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/memory:
+ *   get:
+ *     summary: Look up how reviewers classified a supplier's product before
+ *     description: >
+ *       Reviewer approvals, adjustments and manual overrides are remembered per supplier, description and SKU.
+ *       A matching SKU wins over a matching description. Classification uses the same lookup before any provider.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The remembered decision.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClassificationMemorySuggestion'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No reviewer decision remembered for the product
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/memory', [
+  auth,
+  query('supplier').trim().notEmpty().withMessage('Supplier is required').escape(),
+  query('description').optional().trim().escape(),
+  query('sku').optional().trim(),
+  query().custom((value, { req }) => !!(req.query.description || req.query.sku))
+    .withMessage('A description or SKU is required'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { supplier, description, sku } = req.query; // Use sanitized query
+    const suggestion = await classificationMemoryService.findSuggestion({ supplier, description, sku });
+    if (!suggestion) {
+      return res.status(404).json({ message: 'No reviewer decision remembered for this product' });
+    }
+    return res.json(suggestion);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /classification/manual/{invoiceLineId}:
@@ -319,6 +708,8 @@ router.post('/single', [
  *         description: Forbidden (User does not have required role)
  *       404:
  *         description: Invoice line not found
+ *       409:
+ *         description: Invoice is no longer editable in its current status
  *       422:
  *         description: Validation Error
  *       500:
@@ -328,7 +719,7 @@ router.put('/manual/:invoiceLineId', [
   auth,
   roleAuth(['admin', 'tariff_reviewer']), // Ensure roleAuth middleware is correctly implemented
   param('invoiceLineId').isInt({ gt: 0 }).withMessage('Invoice line ID must be a positive integer').toInt(),
-  body('hs_code').trim().notEmpty().withMessage('HS code is required').escape(), // Sanitize HS code
+  body('hs_code').trim().notEmpty().withMessage('HS code is required'), // Checked against the nomenclature by the service
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
@@ -354,9 +745,9 @@ router.put('/manual/:invoiceLineId', [
       result: updatedLine // Return the updated line data
     });
   } catch (error) {
-     // Handle potential errors from the service, e.g., not found
-     if (error.message === 'Invoice line not found') { // Example error handling
-        return res.status(404).json({ message: error.message });
+    // Line not found (404), invoice no longer editable (409) or HS code not in the nomenclature (422)
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
     }
     next(error); // Pass other errors to centralized handler
   }
@@ -418,6 +809,145 @@ router.post('/clear-cache', [
   }
 });
 
+/**
+ * @swagger
+ * /classification/cache/stats:
+ *   get:
+ *     summary: Classification cache statistics
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Hit, miss and eviction counts since the process started, and the store in use.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClassificationCacheStats'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User does not have admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/cache/stats', [auth, roleAuth(['admin'])], async (req, res, next) => {
+  try {
+    const stats = await classificationCache.getStats();
+    return res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/cache/invalidate:
+ *   post:
+ *     summary: Remove cached classifications by description prefix
+ *     description: >
+ *       The prefix is normalized like cached descriptions (case, whitespace and punctuation are ignored),
+ *       so "Cotton T-" removes "cotton t shirt red" but not "cotton trousers". Without a prefix the whole cache is cleared.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prefix:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of entries removed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User does not have admin role)
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/cache/invalidate', [
+  auth,
+  roleAuth(['admin']),
+  body('prefix').optional().isString().withMessage('Prefix must be a string').isLength({ max: 500 }).withMessage('Prefix must be at most 500 characters'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const deleted = await classificationCache.invalidate(req.body.prefix || '');
+    return res.json({ deleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/cache/warm:
+ *   post:
+ *     summary: Fill the classification cache from historical lines
+ *     description: >
+ *       Caches the latest answer per description from providers whose answers are cached, for lines a reviewer
+ *       did not change and that are no longer flagged.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 default: 5000
+ *                 description: Most historical lines to read, newest first.
+ *     responses:
+ *       200:
+ *         description: Lines read and descriptions cached.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lines:
+ *                   type: integer
+ *                 cached:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User does not have admin role)
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/cache/warm', [
+  auth,
+  roleAuth(['admin']),
+  body('limit').optional().isInt({ min: 1, max: 100000 }).withMessage('Limit must be between 1 and 100000').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const result = await classificationService.warmClassificationCache({ limit: req.body.limit });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /classification/history/{invoiceLineId}:
@@ -472,6 +1002,11 @@ router.get('/history/:invoiceLineId', [
           model: User, // Use the imported User model
           as: 'user', // Ensure alias matches model definition
           attributes: ['id', 'full_name', 'email'] // Select specific user attributes
+        },
+        {
+          model: HsMigration,
+          as: 'hs_migration',
+          attributes: ['id', 'from_version', 'to_version']
         }
       ],
       order: [['changed_at', 'DESC']]
@@ -0,0 +1,463 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const importService = require('../services/importService');
+const evaluationService = require('../services/evaluationService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EvaluationMetrics:
+ *       type: object
+ *       description: >
+ *         Ratios between 0 and 1. An item is correct when the predicted code falls under the labelled code;
+ *         items no provider could classify count as wrong with confidence 0.
+ *       properties:
+ *         total:
+ *           type: integer
+ *         classified:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         accuracy:
+ *           type: object
+ *           description: Share of items matching the label at least to each level.
+ *           properties:
+ *             exact:
+ *               type: number
+ *             hs6:
+ *               type: number
+ *             hs4:
+ *               type: number
+ *             chapter:
+ *               type: number
+ *         flag_rate:
+ *           type: number
+ *           description: Share of items flagged for review by the threshold rules in force during the run.
+ *         calibration:
+ *           type: object
+ *           properties:
+ *             bins:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   from:
+ *                     type: number
+ *                   to:
+ *                     type: number
+ *                   count:
+ *                     type: integer
+ *                   mean_confidence:
+ *                     type: number
+ *                     nullable: true
+ *                   accuracy:
+ *                     type: number
+ *                     nullable: true
+ *             expected_calibration_error:
+ *               type: number
+ *             brier_score:
+ *               type: number
+ *         thresholds:
+ *           type: array
+ *           description: What each confidence threshold would flag, from 0.5 to 0.95 and the configured CONFIDENCE_THRESHOLD.
+ *           items:
+ *             type: object
+ *             properties:
+ *               threshold:
+ *                 type: number
+ *               flag_rate:
+ *                 type: number
+ *               accepted_accuracy:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Accuracy of the items that would not be flagged.
+ *               errors_flagged:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Share of wrong answers that would be flagged.
+ *     ClassificationEvaluation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         dataset:
+ *           type: string
+ *         providers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         confidence_threshold:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [Running, Completed, Failed, Interrupted]
+ *         total:
+ *           type: integer
+ *         processed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           description: Per item; left out of lists.
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               expected:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [Pending, Done, Failed]
+ *               hs_code:
+ *                 type: string
+ *                 nullable: true
+ *               confidence:
+ *                 type: number
+ *               provider:
+ *                 type: string
+ *                 nullable: true
+ *               flagged:
+ *                 type: boolean
+ *               match:
+ *                 type: string
+ *                 enum: [exact, hs6, hs4, chapter]
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *         metrics:
+ *           allOf:
+ *             - $ref: '#/components/schemas/EvaluationMetrics'
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /classification/evaluations:
+ *   post:
+ *     summary: Evaluate the classifier against a labelled dataset
+ *     description: >
+ *       Runs classifyProduct over each description and compares the answer with its labelled HS code. The
+ *       dataset is a CSV/XLSX file with description and hs_code columns, or the same pairs as items. The reviewer
+ *       memory and the classification cache are not used. The run continues in the background; poll
+ *       GET /classification/evaluations/{id} for its progress. Only one run is made at a time.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               dataset:
+ *                 type: string
+ *                 description: Label of the dataset. Defaults to the file name.
+ *               providers:
+ *                 type: array
+ *                 description: Provider chain to evaluate, in order. Defaults to CLASSIFICATION_PROVIDERS.
+ *                 items:
+ *                   type: string
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - description
+ *                     - hs_code
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                     hs_code:
+ *                       type: string
+ *     responses:
+ *       202:
+ *         description: Run started.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClassificationEvaluation'
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       409:
+ *         description: Another run is in progress
+ *       422:
+ *         description: Validation Error. Row-level failures are returned in errors.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  roleAuth(['admin']),
+  body('name').optional({ values: 'null' }).trim().escape().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('dataset').optional().trim().escape().isLength({ min: 1, max: 255 }).withMessage('Dataset must be 1 to 255 characters'),
+  body('providers').optional().isArray({ min: 1 }).withMessage('Providers must be a non-empty array'),
+  body('providers.*').isString().trim().notEmpty().withMessage('Each provider must be a name'),
+  body('file').if(body('items').not().exists()).exists().withMessage('A dataset file or items are required'),
+  body('file.name').if(body('file').exists()).trim().notEmpty().withMessage('File name is required'),
+  body('file.content').if(body('file').exists()).isBase64().withMessage('File content must be base64 encoded'),
+  body('items').optional().isArray({ min: 1, max: evaluationService.EVALUATION_MAX_ITEMS })
+    .withMessage(`Items must be an array of 1 to ${evaluationService.EVALUATION_MAX_ITEMS} entries`),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { name, providers, file, items } = req.body;
+
+    const rows = file
+      ? (await importService.parseSpreadsheet(Buffer.from(file.content, 'base64'), file.name)).rows
+      : items.map((item, index) => ({ rowNumber: index + 1, values: item }));
+    const parsed = evaluationService.parseDatasetRows(rows);
+    if (parsed.errors.length > 0) {
+      return res.status(422).json({ message: `${parsed.errors.length} dataset rows are invalid`, errors: parsed.errors });
+    }
+
+    const evaluation = await evaluationService.startEvaluation({
+      name,
+      dataset: req.body.dataset || (file ? file.name : 'items'),
+      items: parsed.items,
+      providers
+    }, req.user.id);
+    return res.status(202).json(evaluation);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/evaluations:
+ *   get:
+ *     summary: List evaluation runs, newest first, with their metrics
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dataset
+ *         schema:
+ *           type: string
+ *         description: Only runs over this dataset
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Runs without their per-item results, and pagination.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  roleAuth(['admin']),
+  query('dataset').optional().trim().escape(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { dataset, limit, offset } = req.query; // Use sanitized query
+    const result = await evaluationService.listEvaluations({ dataset, limit, offset });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/evaluations/compare:
+ *   get:
+ *     summary: Compare two completed evaluation runs
+ *     description: Items are paired by description and labelled code, so runs over the same dataset compare best.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: other
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Both runs' metrics, the change in accuracy, and the items whose match level improved or regressed.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Evaluation not found
+ *       409:
+ *         description: A run has not completed
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/compare', [
+  auth,
+  roleAuth(['admin']),
+  query('base').isInt({ gt: 0 }).withMessage('Base must be an evaluation ID').toInt(),
+  query('other').isInt({ gt: 0 }).withMessage('Other must be an evaluation ID').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const comparison = await evaluationService.compareEvaluations(req.query.base, req.query.other);
+    return res.json(comparison);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/evaluations/{id}:
+ *   get:
+ *     summary: Get an evaluation run with its per-item results
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClassificationEvaluation'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Evaluation not found
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Evaluation ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const evaluation = await evaluationService.getEvaluation(req.params.id);
+    return res.json(evaluation);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /classification/evaluations/{id}/resume:
+ *   post:
+ *     summary: Continue an interrupted or failed evaluation run
+ *     description: Items already classified are kept; the rest are classified with the run's provider chain.
+ *     tags: [Classification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Run resumed.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Evaluation not found
+ *       409:
+ *         description: The run cannot be resumed, or another run is in progress
+ *       500:
+ *         description: Server Error
+ */
+router.post('/:id/resume', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Evaluation ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const evaluation = await evaluationService.resumeEvaluation(req.params.id);
+    return res.status(202).json(evaluation);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,373 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const deniedPartyService = require('../services/deniedPartyService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeniedPartyList:
+ *       type: object
+ *       properties:
+ *         list:
+ *           type: string
+ *           enum: [ofac_sdn, un_consolidated]
+ *         name:
+ *           type: string
+ *         entries:
+ *           type: integer
+ *           description: Entries loaded; 0 when the list was never loaded.
+ *         source:
+ *           type: string
+ *           nullable: true
+ *           description: File name and publication date of the loaded file.
+ *         loaded_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     DeniedPartyMatch:
+ *       type: object
+ *       description: A list entry the supplier or consignee name resembles.
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [supplier, consignee]
+ *           description: Consignee is the importer (the owner's organization, or the owner when there is none).
+ *         screened_name:
+ *           type: string
+ *         party_id:
+ *           type: integer
+ *           description: ID of the matched list entry.
+ *         list:
+ *           type: string
+ *           enum: [ofac_sdn, un_consolidated]
+ *         list_entry_id:
+ *           type: string
+ *           description: ID of the entry in the published list.
+ *         listed_name:
+ *           type: string
+ *         matched_name:
+ *           type: string
+ *           description: Name or alias of the entry that matched best.
+ *         entity_type:
+ *           type: string
+ *           nullable: true
+ *         programs:
+ *           type: array
+ *           items:
+ *             type: string
+ *         score:
+ *           type: number
+ *           format: float
+ *           description: Name similarity (0-1).
+ *         status:
+ *           type: string
+ *           enum: [open, cleared, confirmed]
+ *         reviewed_by:
+ *           type: integer
+ *           nullable: true
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         review_reason:
+ *           type: string
+ *           nullable: true
+ *       example:
+ *         role: supplier
+ *         screened_name: "Rosoboron Export LLC"
+ *         party_id: 8812
+ *         list: ofac_sdn
+ *         list_entry_id: "8312"
+ *         listed_name: "ROSOBORONEXPORT"
+ *         matched_name: "ROSOBORONEXPORT"
+ *         entity_type: entity
+ *         programs: ["UKRAINE-EO13662", "RUSSIA-EO14024"]
+ *         score: 1
+ *         status: open
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /denied-parties/lists:
+ *   get:
+ *     summary: Show which denied-party lists are loaded
+ *     tags: [Denied Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One entry per supported list.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeniedPartyList'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin or reviewer role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/lists', [
+  auth,
+  roleAuth(['admin', 'reviewer'])
+], async (req, res, next) => {
+  try {
+    const lists = await deniedPartyService.listSummaries();
+    return res.json(lists);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /denied-parties/import:
+ *   post:
+ *     summary: Load a denied-party list file
+ *     description: >
+ *       Accepts the OFAC SDN list as SDN.CSV (with ALT.CSV as alias_file for the aliases) or sdn.xml, and the UN
+ *       Security Council consolidated list as consolidated.xml. The list is recognised from the file and every stored
+ *       entry of that list is replaced. Nothing is loaded if any entry is invalid. Files above the request size limit
+ *       can be loaded with src/scripts/loadDeniedParties.js.
+ *     tags: [Denied Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: Defaults to the file name and the publication date in the file.
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *               alias_file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       200:
+ *         description: List loaded.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error. Entry-level failures are returned in errors.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/import', [
+  auth,
+  roleAuth(['admin']),
+  body('source').optional().trim().escape().isLength({ max: 100 }).withMessage('Source must be at most 100 characters'),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  body('alias_file.name').optional().trim().notEmpty().withMessage('Alias file name is required'),
+  body('alias_file.content').if(body('alias_file').exists()).isBase64().withMessage('Alias file content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { file, alias_file: aliasFile, source } = req.body;
+    const result = await deniedPartyService.loadDeniedPartyList(
+      { filename: file.name, buffer: Buffer.from(file.content, 'base64') },
+      {
+        aliasFile: aliasFile ? { filename: aliasFile.name, buffer: Buffer.from(aliasFile.content, 'base64') } : null,
+        source
+      }
+    );
+
+    return res.status(result.errors.length > 0 ? 422 : 200).json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /denied-parties/screen:
+ *   post:
+ *     summary: Check a name against the loaded denied-party lists
+ *     tags: [Denied Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Matching entries, best first (role, screened_name and review fields are not set).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeniedPartyMatch'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin or reviewer role)
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/screen', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  body('name').isString().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2 to 255 characters'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const matches = await deniedPartyService.screenName(req.body.name);
+    return res.json(matches);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /denied-parties/reviews:
+ *   get:
+ *     summary: List invoices with denied-party matches awaiting compliance review
+ *     tags: [Denied Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoices in status PotentialMatch, oldest screening first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin or reviewer role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/reviews', [
+  auth,
+  roleAuth(['admin', 'reviewer'])
+], async (req, res, next) => {
+  try {
+    const invoices = await deniedPartyService.listPendingReviews();
+    return res.json(invoices);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /denied-parties/reviews/{invoiceId}:
+ *   post:
+ *     summary: Clear a false positive or confirm a denied-party match
+ *     description: >
+ *       A cleared match stays cleared when the same name is screened again. A confirmed match keeps the invoice
+ *       from being submitted. The invoice owner is notified once no match is left open.
+ *     tags: [Denied Parties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *               - party_id
+ *               - action
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [supplier, consignee]
+ *               party_id:
+ *                 type: integer
+ *               action:
+ *                 type: string
+ *                 enum: [clear, confirm]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match reviewed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin or reviewer role)
+ *       404:
+ *         description: Invoice or match not found
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/reviews/:invoiceId', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  param('invoiceId').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  body('role').isIn(['supplier', 'consignee']).withMessage('Role must be supplier or consignee'),
+  body('party_id').isInt({ gt: 0 }).withMessage('Party ID must be a positive integer').toInt(),
+  body('action').isIn(['clear', 'confirm']).withMessage('Action must be clear or confirm'),
+  body('reason').optional({ values: 'null' }).trim().escape().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { role, party_id: partyId, action, reason } = req.body;
+    const invoice = await deniedPartyService.resolveMatch(req.params.invoiceId, { role, partyId, action, reason }, req.user.id);
+    return res.json(invoice);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const currencyService = require('../services/currencyService');
+const importService = require('../services/importService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         from_currency:
+ *           type: string
+ *           description: ISO 4217 currency being converted from.
+ *         to_currency:
+ *           type: string
+ *           description: ISO 4217 currency being converted to.
+ *         rate:
+ *           type: number
+ *           format: float
+ *           description: Units of to_currency per unit of from_currency.
+ *         effective_date:
+ *           type: string
+ *           format: date
+ *           description: Date from which the rate applies (until a newer rate is loaded).
+ *         source:
+ *           type: string
+ *           description: Where the rate was loaded from.
+ *       example:
+ *         id: 1
+ *         from_currency: "EUR"
+ *         to_currency: "USD"
+ *         rate: 1.085
+ *         effective_date: "2024-01-15"
+ *         source: "ecb-2024-01.csv"
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /exchange-rates:
+ *   get:
+ *     summary: List loaded exchange rates, newest first
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Filter by source currency.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Filter by target currency.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Exchange rates.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 baseCurrency:
+ *                   type: string
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  query('from').optional().trim().toUpperCase().isISO4217().withMessage('From currency must be an ISO 4217 code'),
+  query('to').optional().trim().toUpperCase().isISO4217().withMessage('To currency must be an ISO 4217 code'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rates = await currencyService.listExchangeRates(req.query); // Use sanitized query
+
+    return res.json({
+      baseCurrency: currencyService.BASE_CURRENCY,
+      rates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /exchange-rates/rate:
+ *   get:
+ *     summary: Get the exchange rate effective on a date
+ *     description: Uses the pair itself, its inverse, or a cross rate through the base currency.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today.
+ *     responses:
+ *       200:
+ *         description: Applicable rate.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 rate:
+ *                   type: number
+ *                   format: float
+ *                 effectiveDate:
+ *                   type: string
+ *                   format: date
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error or no rate available for the date
+ *       500:
+ *         description: Server Error
+ */
+router.get('/rate', [
+  auth,
+  query('from').trim().toUpperCase().isISO4217().withMessage('From currency must be an ISO 4217 code'),
+  query('to').trim().toUpperCase().isISO4217().withMessage('To currency must be an ISO 4217 code'),
+  query('date').optional().isISO8601().withMessage('Date must be a valid ISO8601 date'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { from, to, date } = req.query;
+    const { rate, effectiveDate } = await currencyService.getExchangeRate(from, to, date);
+
+    return res.json({ from, to, rate, effectiveDate });
+  } catch (error) {
+    if (error.status === 422) {
+      return res.status(422).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /exchange-rates/import:
+ *   post:
+ *     summary: Load exchange rates from a CSV/XLSX file
+ *     description: The file needs from_currency, to_currency, rate and effective_date columns. Rates already stored for the same pair and date are replaced. Nothing is loaded if any row is invalid.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: Where the rates came from. Defaults to the file name.
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       200:
+ *         description: Rates loaded.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error. Row-level failures are returned in errors.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/import', [
+  auth,
+  roleAuth(['admin']),
+  body('source').optional().trim().escape().isLength({ max: 100 }).withMessage('Source must be at most 100 characters'),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { file, source } = req.body;
+    const { rows } = await importService.parseSpreadsheet(Buffer.from(file.content, 'base64'), file.name);
+    const result = await currencyService.loadExchangeRates(rows, { source: source || file.name });
+
+    return res.status(result.errors.length > 0 ? 422 : 200).json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
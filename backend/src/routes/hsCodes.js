@@ -0,0 +1,372 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const hsNomenclatureService = require('../services/hsNomenclatureService');
+const importService = require('../services/importService');
+
+// Most codes a single lookup may ask for
+const MAX_LOOKUP_CODES = 200;
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HsCode:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Roman numeral for sections, otherwise the dotted code.
+ *         level:
+ *           type: string
+ *           enum: [section, chapter, heading, subheading, tariff_line]
+ *         parent_code:
+ *           type: string
+ *           nullable: true
+ *         section:
+ *           type: string
+ *           nullable: true
+ *           description: Section the entry falls under.
+ *         description:
+ *           type: string
+ *           description: Official description from the tariff.
+ *         source:
+ *           type: string
+ *           nullable: true
+ *           description: File or tariff edition the entry was loaded from.
+ *       example:
+ *         code: "8471.30"
+ *         level: "subheading"
+ *         parent_code: "8471"
+ *         section: "XVI"
+ *         description: "Portable automatic data processing machines, weighing not more than 10 kg"
+ *         source: "hs-2022.xlsx"
+ *   parameters:
+ *     hsCodeParam:
+ *       in: path
+ *       name: code
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: HS code (dots optional) or section numeral
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /hs-codes:
+ *   get:
+ *     summary: Search the HS nomenclature
+ *     description: Digits are matched as a code prefix; anything else is a full-text search of the descriptions.
+ *     tags: [HS Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [section, chapter, heading, subheading, tariff_line]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching entries, ordered by code.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HsCode'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  query('q').trim().notEmpty().withMessage('Search term is required'),
+  query('level').optional().isIn(hsNomenclatureService.HS_LEVELS).withMessage(`Level must be one of: ${hsNomenclatureService.HS_LEVELS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const entries = await hsNomenclatureService.searchHsCodes(req.query); // Use sanitized query
+    return res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-codes/sections:
+ *   get:
+ *     summary: List the sections of the HS nomenclature
+ *     tags: [HS Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sections in numeral order.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HsCode'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server Error
+ */
+router.get('/sections', auth, async (req, res, next) => {
+  try {
+    const sections = await hsNomenclatureService.listSections();
+    return res.json(sections);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-codes/lookup:
+ *   get:
+ *     summary: Look up several HS codes at once
+ *     description: Used to show the official description next to each code on an invoice.
+ *     tags: [HS Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: codes
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated HS codes.
+ *         example: "6109.10,8471.30"
+ *     responses:
+ *       200:
+ *         description: Each requested code mapped to its entry, or null when it is not in the nomenclature.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                   level:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   declarable:
+ *                     type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/lookup', [
+  auth,
+  query('codes')
+    .customSanitizer(value => String(value || '').split(',').map(code => code.trim()).filter(Boolean))
+    .custom(codes => codes.length > 0 && codes.length <= MAX_LOOKUP_CODES)
+    .withMessage(`Between 1 and ${MAX_LOOKUP_CODES} codes are required`),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const entries = await hsNomenclatureService.lookupHsCodes(req.query.codes); // Use sanitized codes
+    return res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-codes/import:
+ *   post:
+ *     summary: Load the HS nomenclature from a CSV/XLSX file
+ *     description: >
+ *       The file needs code and description columns, plus a section column giving the Roman numeral of each chapter.
+ *       Sections are entered by numeral; national tariff lines use 8 or 10 digits. Every entry needs a parent,
+ *       either in the file or already loaded. Existing codes have their descriptions replaced. Nothing is loaded
+ *       if any row is invalid.
+ *     tags: [HS Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: Tariff edition the file comes from. Defaults to the file name.
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       200:
+ *         description: Nomenclature loaded.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error. Row-level failures are returned in errors.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/import', [
+  auth,
+  roleAuth(['admin']),
+  body('source').optional().trim().escape().isLength({ max: 100 }).withMessage('Source must be at most 100 characters'),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { file, source } = req.body;
+    const { rows } = await importService.parseSpreadsheet(Buffer.from(file.content, 'base64'), file.name);
+    const result = await hsNomenclatureService.loadNomenclature(rows, { source: source || file.name });
+
+    return res.status(result.errors.length > 0 ? 422 : 200).json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-codes/{code}:
+ *   get:
+ *     summary: Get an HS nomenclature entry
+ *     tags: [HS Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/hsCodeParam'
+ *     responses:
+ *       200:
+ *         description: The entry. declarable is true when it has no subdivisions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/HsCode'
+ *                 - type: object
+ *                   properties:
+ *                     declarable:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Code not in the nomenclature
+ *       422:
+ *         description: Not a valid HS code
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:code', [
+  auth,
+  param('code').trim().notEmpty().withMessage('HS code is required'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const entry = await hsNomenclatureService.getHsCode(req.params.code);
+    return res.json(entry);
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-codes/{code}/hierarchy:
+ *   get:
+ *     summary: Get an HS code with its ancestors and subdivisions
+ *     tags: [HS Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/hsCodeParam'
+ *     responses:
+ *       200:
+ *         description: The entry, its ancestors from the section down, and its direct subdivisions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry:
+ *                   $ref: '#/components/schemas/HsCode'
+ *                 ancestors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HsCode'
+ *                 children:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HsCode'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Code not in the nomenclature
+ *       422:
+ *         description: Not a valid HS code
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:code/hierarchy', [
+  auth,
+  param('code').trim().notEmpty().withMessage('HS code is required'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const hierarchy = await hsNomenclatureService.getHierarchy(req.params.code);
+    return res.json(hierarchy);
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
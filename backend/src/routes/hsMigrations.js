@@ -0,0 +1,397 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const importService = require('../services/importService');
+const hsMigrationService = require('../services/hsMigrationService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HsCorrelationTable:
+ *       type: object
+ *       properties:
+ *         from_version:
+ *           type: string
+ *           example: HS2022
+ *         to_version:
+ *           type: string
+ *           example: HS2027
+ *         correlations:
+ *           type: integer
+ *           description: Pairs of codes in the table.
+ *         source:
+ *           type: string
+ *           nullable: true
+ *         loaded_at:
+ *           type: string
+ *           format: date-time
+ *     HsMigration:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         from_version:
+ *           type: string
+ *         to_version:
+ *           type: string
+ *         dry_run:
+ *           type: boolean
+ *           description: Only counts what would change.
+ *         status:
+ *           type: string
+ *           enum: [Running, Completed, Failed, Interrupted]
+ *         summary:
+ *           type: object
+ *           properties:
+ *             lines_checked:
+ *               type: integer
+ *             lines_remapped:
+ *               type: integer
+ *               description: Lines moved to the new code of a one-to-one change.
+ *             lines_split:
+ *               type: integer
+ *               description: Lines whose code was split, flagged for review.
+ *             invoices_sent_to_review:
+ *               type: integer
+ *             memories_remapped:
+ *               type: integer
+ *             memories_removed:
+ *               type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /hs-migrations/correlations/import:
+ *   post:
+ *     summary: Load the correlation table between two HS editions
+ *     description: >
+ *       CSV/XLSX with one row per pair of codes: from_code and to_code columns (or columns named after the
+ *       editions, e.g. "HS 2022") and an optional note. A code split in the new edition has one row per target;
+ *       a blank from_code repeats the one above. Replaces the table loaded for the same editions.
+ *     tags: [HS Migrations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from_version
+ *               - to_version
+ *               - file
+ *             properties:
+ *               from_version:
+ *                 type: string
+ *               to_version:
+ *                 type: string
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       200:
+ *         description: Table loaded; returns the number of correlations.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error. Row-level failures are returned in errors and nothing is loaded.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/correlations/import', [
+  auth,
+  roleAuth(['admin']),
+  body('from_version').trim().notEmpty().isLength({ max: 20 }).withMessage('From version must be 1 to 20 characters'),
+  body('to_version').trim().notEmpty().isLength({ max: 20 }).withMessage('To version must be 1 to 20 characters'),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { from_version: fromVersion, to_version: toVersion, file } = req.body;
+
+    const { rows } = await importService.parseSpreadsheet(Buffer.from(file.content, 'base64'), file.name);
+    const result = await hsMigrationService.loadCorrelations(rows, { fromVersion, toVersion, source: file.name });
+    if (result.errors.length > 0) {
+      return res.status(422).json({ message: `${result.errors.length} correlation rows are invalid`, errors: result.errors });
+    }
+    return res.json({ loaded: result.loaded });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-migrations/correlations:
+ *   get:
+ *     summary: List the loaded correlation tables
+ *     tags: [HS Migrations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One entry per pair of editions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HsCorrelationTable'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/correlations', [
+  auth,
+  roleAuth(['admin'])
+], async (req, res, next) => {
+  try {
+    const tables = await hsMigrationService.listCorrelationTables();
+    return res.json(tables);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-migrations:
+ *   post:
+ *     summary: Migrate stored HS codes to a new edition
+ *     description: >
+ *       Remaps the codes of lines on invoices not yet submitted, and of the reviewer memory, with the loaded
+ *       correlation table. One-to-one changes are applied; lines whose code was split are flagged so they show
+ *       in the review queue, and Ready invoices holding them go back to InReview. Every line change is recorded
+ *       in the classification history with the migration as the actor. The run continues in the background;
+ *       poll GET /hs-migrations/{id}. Start with a dry run to see the counts without changing anything.
+ *     tags: [HS Migrations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from_version
+ *               - to_version
+ *             properties:
+ *               from_version:
+ *                 type: string
+ *               to_version:
+ *                 type: string
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       202:
+ *         description: Migration started.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HsMigration'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       409:
+ *         description: Another migration is running, or these editions were already migrated
+ *       422:
+ *         description: Validation Error, or no correlation table loaded for these editions
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  roleAuth(['admin']),
+  body('from_version').trim().notEmpty().isLength({ max: 20 }).withMessage('From version must be 1 to 20 characters'),
+  body('to_version').trim().notEmpty().isLength({ max: 20 }).withMessage('To version must be 1 to 20 characters'),
+  body('dry_run').optional().isBoolean().withMessage('Dry run must be a boolean').toBoolean(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { from_version: fromVersion, to_version: toVersion, dry_run: dryRun } = req.body;
+    const migration = await hsMigrationService.startMigration({ fromVersion, toVersion, dryRun }, req.user.id);
+    return res.status(202).json(migration);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-migrations:
+ *   get:
+ *     summary: List HS migrations, newest first
+ *     tags: [HS Migrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Migrations and pagination.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  roleAuth(['admin']),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { limit, offset } = req.query; // Use sanitized query
+    const result = await hsMigrationService.listMigrations({ limit, offset });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-migrations/{id}:
+ *   get:
+ *     summary: Get an HS migration with its counts
+ *     tags: [HS Migrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Migration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HsMigration'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: HS migration not found
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Migration ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const migration = await hsMigrationService.getMigration(req.params.id);
+    return res.json(migration);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /hs-migrations/{id}/resume:
+ *   post:
+ *     summary: Continue an interrupted or failed HS migration
+ *     description: Lines the migration already changed are skipped.
+ *     tags: [HS Migrations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Migration resumed.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: HS migration not found
+ *       409:
+ *         description: The migration cannot be resumed, or another one is running
+ *       500:
+ *         description: Server Error
+ */
+router.post('/:id/resume', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Migration ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const migration = await hsMigrationService.resumeMigration(req.params.id);
+    return res.status(202).json(migration);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
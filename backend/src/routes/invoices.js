@@ -2,258 +2,1663 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const auth = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const { invoiceLineRules } = require('../validators/invoiceLineValidators');
+const { updateInvoiceTotal } = require('../services/invoiceService');
+const currencyService = require('../services/currencyService');
+const importService = require('../services/importService');
+const ocrService = require('../services/ocrService');
+const invoiceStatusService = require('../services/invoiceStatusService');
+const snapshotService = require('../services/snapshotService');
+const duplicateService = require('../services/duplicateService');
+const invoiceSearchService = require('../services/invoiceSearchService');
+const tariffService = require('../services/tariffService');
+const restrictionService = require('../services/restrictionService');
+const deniedPartyService = require('../services/deniedPartyService');
 const db = require('../models');
 const { Invoice, InvoiceLine } = db; // Removed User as it's not directly used here
 
-// --- Helper Function ---
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the invoice.
+ *         user_id:
+ *           type: integer
+ *           description: ID of the user who owns the invoice.
+ *         supplier:
+ *           type: string
+ *           description: Name of the supplier.
+ *         invoice_date:
+ *           type: string
+ *           format: date
+ *           description: Date of the invoice.
+ *         total_amount:
+ *           type: number
+ *           format: float
+ *           description: Total amount of the invoice, in the invoice currency.
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency the invoice is billed in.
+ *         base_currency:
+ *           type: string
+ *           description: ISO 4217 base currency of the customs value.
+ *         total_amount_base:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Customs value (total converted into the base currency). Null while no exchange rate is available.
+ *         exchange_rate:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Rate applied to convert total_amount into the base currency.
+ *         exchange_rate_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Effective date of the applied exchange rate.
+ *         status:
+ *           type: string
+ *           enum: [Draft, Classified, InReview, Ready, Submitted, Accepted, Rejected, Amended]
+ *           description: Current lifecycle status of the invoice.
+ *         duplicate_status:
+ *           type: string
+ *           nullable: true
+ *           enum: [Suspected, Confirmed, Dismissed]
+ *           description: Set when the invoice looks like a duplicate. Suspected and Confirmed invoices cannot be submitted.
+ *         duplicate_of_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Earlier invoice this one most likely duplicates.
+ *         duplicate_score:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Similarity (0-1) to duplicate_of_id.
+ *         source_document_name:
+ *           type: string
+ *           description: Filename of the original uploaded document (e.g. a scanned PDF), if any.
+ *         extracted_data:
+ *           type: object
+ *           description: Header values as read by OCR, kept for comparison with the corrected values.
+ *         field_confidence:
+ *           $ref: '#/components/schemas/FieldConfidence'
+ *         duty_estimate:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             Totals of the latest duty estimate in the base currency (customs_value, duty, excise,
+ *             environmental_levy, vat, total, lines_without_rate, date, estimated_at). See GET /invoices/{id}/duty-estimate.
+ *         denied_party_status:
+ *           type: string
+ *           nullable: true
+ *           enum: [Clear, PotentialMatch, Confirmed, Unscreened]
+ *           description: >
+ *             Result of screening the supplier and consignee against the denied-party lists. PotentialMatch and
+ *             Confirmed invoices cannot be submitted; Unscreened means no list was loaded, and blocks submission
+ *             unless DENIED_PARTY_ALLOW_UNSCREENED is true. Null until first screened.
+ *         denied_party_matches:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DeniedPartyMatch'
+ *         denied_party_screened_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp of creation.
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp of last update.
+ *       example:
+ *         id: 1
+ *         user_id: 1
+ *         supplier: "Example Supplier Inc."
+ *         invoice_date: "2024-01-15"
+ *         total_amount: 150.75
+ *         currency: "EUR"
+ *         base_currency: "USD"
+ *         total_amount_base: 163.57
+ *         exchange_rate: 1.085
+ *         exchange_rate_date: "2024-01-15"
+ *         status: "Submitted"
+ *         created_at: "2024-01-15T10:00:00.000Z"
+ *         updated_at: "2024-01-16T11:30:00.000Z"
+ *     DuplicateWarning:
+ *       type: object
+ *       nullable: true
+ *       description: Returned when a created or imported invoice looks like a duplicate. The invoice is flagged as Suspected.
+ *       properties:
+ *         duplicateOf:
+ *           type: integer
+ *           description: ID of the matching invoice.
+ *         score:
+ *           type: number
+ *           format: float
+ *           description: Weighted similarity (0-1).
+ *         signals:
+ *           type: object
+ *           description: Per-signal similarity (supplier, invoice_date, total_amount, lines). Signals that could not be compared are omitted.
+ *           additionalProperties:
+ *             type: number
+ *         message:
+ *           type: string
+ *     InvoiceStatusHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         invoice_id:
+ *           type: integer
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *           description: Null for the entry recorded when the invoice was created.
+ *         to_status:
+ *           type: string
+ *         changed_by:
+ *           type: integer
+ *           nullable: true
+ *           description: User who made the change. Null for system changes such as customs responses.
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ *         user:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             full_name:
+ *               type: string
+ *             email:
+ *               type: string
+ *     InvoiceSnapshot:
+ *       type: object
+ *       description: Immutable copy of an invoice taken when it was submitted.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         invoice_id:
+ *           type: integer
+ *         submission_id:
+ *           type: integer
+ *           nullable: true
+ *         version:
+ *           type: integer
+ *           description: 1 for the first submission, incremented for each resubmission after an amendment.
+ *         invoice_data:
+ *           type: object
+ *           description: Invoice header fields as declared.
+ *         lines:
+ *           type: array
+ *           description: Invoice lines as declared.
+ *           items:
+ *             $ref: '#/components/schemas/InvoiceLine'
+ *         documents:
+ *           type: object
+ *           description: Declared XML content, stored file paths and SHA-256 hashes of the XML and PDF.
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     FieldChange:
+ *       type: object
+ *       properties:
+ *         field:
+ *           type: string
+ *         from:
+ *           nullable: true
+ *         to:
+ *           nullable: true
+ *     InvoiceSnapshotDiff:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: object
+ *           description: Version, submission ID and timestamp of the older snapshot.
+ *         to:
+ *           type: object
+ *           description: Version, submission ID and timestamp of the newer snapshot.
+ *         invoice:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FieldChange'
+ *         lines:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InvoiceLine'
+ *             removed:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InvoiceLine'
+ *             changed:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   description:
+ *                     type: string
+ *                   changes:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/FieldChange'
+ *         documents:
+ *           type: object
+ *           properties:
+ *             xmlChanged:
+ *               type: boolean
+ *             from:
+ *               type: object
+ *             to:
+ *               type: object
+ *     InvoiceLine:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The auto-generated ID of the invoice line.
+ *         invoice_id:
+ *           type: integer
+ *           description: ID of the associated invoice.
+ *         description:
+ *           type: string
+ *           description: Description of the item.
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *           description: Supplier article number. Used to recall how reviewers classified the same article before.
+ *         quantity:
+ *           type: integer
+ *           description: Quantity of the item.
+ *         unit_price:
+ *           type: number
+ *           format: float
+ *           description: Price per unit of the item.
+ *         currency:
+ *           type: string
+ *           nullable: true
+ *           description: ISO 4217 currency of unit_price. Null means the invoice currency.
+ *         hs_code:
+ *           type: string
+ *           description: Harmonized System (HS) code for the item.
+ *         origin_country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 country of origin.
+ *         gross_weight:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Gross weight of the whole line in kg.
+ *         net_weight:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Net weight of the whole line in kg. Cannot exceed gross_weight.
+ *         uom:
+ *           type: string
+ *           nullable: true
+ *           description: Statistical unit of quantity (UN/ECE Rec 20 code, e.g. NAR, KGM, LTR).
+ *         package_count:
+ *           type: integer
+ *           nullable: true
+ *           description: Number of packages the line is shipped in.
+ *         package_type:
+ *           type: string
+ *           nullable: true
+ *           description: Kind of package (UN/ECE Rec 21 code, e.g. CT, PX, BX).
+ *         field_confidence:
+ *           $ref: '#/components/schemas/FieldConfidence'
+ *         restriction_hits:
+ *           type: array
+ *           description: Restriction rules the line matched when it was last screened.
+ *           items:
+ *             $ref: '#/components/schemas/RestrictionHit'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp of creation.
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp of last update.
+ *       example:
+ *         id: 10
+ *         invoice_id: 1
+ *         description: "Widget Type A"
+ *         quantity: 5
+ *         unit_price: 10.50
+ *         hs_code: "847100"
+ *         origin_country: "CN"
+ *         gross_weight: 12.5
+ *         net_weight: 11.2
+ *         uom: "NAR"
+ *         package_count: 1
+ *         package_type: "CT"
+ *         created_at: "2024-01-15T10:05:00.000Z"
+ *         updated_at: "2024-01-15T10:05:00.000Z"
+ *     InvoiceInput:
+ *       type: object
+ *       properties:
+ *         supplier:
+ *           type: string
+ *         invoice_date:
+ *           type: string
+ *           format: date
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code. Defaults to the base currency.
+ *         status:
+ *           type: string
+ *           enum: [Draft, Classified, InReview, Ready, Amended]
+ *           description: Ignored on create (new invoices start as Draft). On update, requests a lifecycle transition.
+ *     InvoiceLineInput:
+ *       type: object
+ *       required:
+ *         - description
+ *         - quantity
+ *         - unit_price
+ *       properties:
+ *         description:
+ *           type: string
+ *         sku:
+ *           type: string
+ *           description: Supplier article number.
+ *         quantity:
+ *           type: integer
+ *         unit_price:
+ *           type: number
+ *           format: float
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency of unit_price, when it differs from the invoice currency.
+ *         hs_code:
+ *           type: string
+ *         origin_country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 country of origin.
+ *         gross_weight:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Gross weight of the whole line in kg.
+ *         net_weight:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Net weight of the whole line in kg. Cannot exceed gross_weight.
+ *         uom:
+ *           type: string
+ *           nullable: true
+ *           description: Statistical unit of quantity (UN/ECE Rec 20 code, e.g. NAR, KGM, LTR).
+ *         package_count:
+ *           type: integer
+ *           nullable: true
+ *           description: Number of packages the line is shipped in.
+ *         package_type:
+ *           type: string
+ *           nullable: true
+ *           description: Kind of package (UN/ECE Rec 21 code, e.g. CT, PX, BX).
+ *     ImportFile:
+ *       type: object
+ *       required:
+ *         - name
+ *         - content
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Original filename (.csv or .xlsx).
+ *         content:
+ *           type: string
+ *           format: byte
+ *           description: Base64-encoded file content.
+ *     ImportColumnMapping:
+ *       type: object
+ *       description: Maps invoice line fields to spreadsheet column headers.
+ *       properties:
+ *         description:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         quantity:
+ *           type: string
+ *         unit_price:
+ *           type: string
+ *         currency:
+ *           type: string
+ *         hs_code:
+ *           type: string
+ *         origin_country:
+ *           type: string
+ *         gross_weight:
+ *           type: string
+ *         net_weight:
+ *           type: string
+ *         uom:
+ *           type: string
+ *         package_count:
+ *           type: string
+ *         package_type:
+ *           type: string
+ *       example:
+ *         description: "Item Description"
+ *         quantity: "Qty"
+ *         unit_price: "Unit Cost"
+ *         origin_country: "COO"
+ *     FieldConfidence:
+ *       type: object
+ *       description: OCR confidence (0-1) per extracted field. Only set on records created from a scanned document.
+ *       additionalProperties:
+ *         type: number
+ *         format: float
+ *       example:
+ *         supplier: 0.93
+ *         invoice_date: 0.61
+ *     ImportRowReport:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Spreadsheet row number.
+ *         valid:
+ *           type: boolean
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               value:
+ *                 type: string
+ *   parameters:
+ *     invoiceId:
+ *       in: path
+ *       name: id
+ *       schema:
+ *         type: integer
+ *       required: true
+ *       description: Numeric ID of the invoice to operate on.
+ *     lineId:
+ *       in: path
+ *       name: lineId
+ *       schema:
+ *         type: integer
+ *       required: true
+ *       description: Numeric ID of the invoice line to operate on.
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /invoices:
+ *   get:
+ *     summary: Search the invoices of the authenticated user
+ *     description: >
+ *       All filters are optional and combined with AND. Results are cursor-paginated: pass
+ *       pagination.nextCursor from one page as cursor to get the next, keeping the same filters and sort.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated lifecycle statuses, e.g. Draft,Ready.
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive part of the supplier name.
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Earliest invoice date (inclusive).
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Latest invoice date (inclusive).
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum total, in the invoice currency.
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum total, in the invoice currency.
+ *       - in: query
+ *         name: hsChapter
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9]{2}$'
+ *         description: Only invoices with at least one line classified in this HS chapter.
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: true for invoices with lines flagged for review, false for invoices without.
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over line descriptions.
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, invoice_date, supplier, total_amount, status, id]
+ *           default: created_at
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 25
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page.
+ *     responses:
+ *       200:
+ *         description: One page of matching invoices.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       description: Number of invoices matching the filters across all pages.
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error (invalid filter or cursor)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  query('status').optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(',')).map(status => status.trim()).filter(Boolean))
+    .custom(statuses => statuses.every(status => invoiceStatusService.INVOICE_STATUSES.includes(status))).withMessage('Invalid status'),
+  query('supplier').optional().trim().isLength({ max: 255 }).withMessage('Supplier must be at most 255 characters'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO8601 date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO8601 date')
+    .custom((endDate, { req }) => !req.query.startDate || endDate >= req.query.startDate).withMessage('End date must not be before start date'),
+  query('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a non-negative number').toFloat(),
+  query('maxAmount').optional().isFloat({ min: 0 }).withMessage('Maximum amount must be a non-negative number').toFloat()
+    .custom((maxAmount, { req }) => req.query.minAmount === undefined || maxAmount >= req.query.minAmount).withMessage('Maximum amount must not be below minimum amount'),
+  query('hsChapter').optional().trim().matches(/^\d{2}$/).withMessage('HS chapter must be two digits'),
+  query('flagged').optional().isBoolean().withMessage('Flagged must be true or false').toBoolean(),
+  query('q').optional().trim().isLength({ max: 200 }).withMessage('Search text must be at most 200 characters'),
+  query('sortBy').optional().trim().isIn(invoiceSearchService.SORT_FIELDS).withMessage('Invalid sort field'),
+  query('sortOrder').optional().trim().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: invoiceSearchService.MAX_LIMIT }).withMessage(`Limit must be between 1 and ${invoiceSearchService.MAX_LIMIT}`).toInt(),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  handleValidationErrors // Apply validation handler
+], async (req, res, next) => { // Added next
+  try {
+    const result = await invoiceSearchService.searchInvoices(req.user.id, req.query); // Use sanitized query
+    return res.json(result);
+  } catch (error) {
+    if (error.status === 422) {
+      return res.status(422).json({ message: error.message });
+    }
+    next(error); // Pass error to centralized handler
+  }
+});
+
+// --- Spreadsheet Import Routes ---
+// Registered before the '/:id' routes so 'import' is not captured as an invoice ID.
+
+/**
+ * @swagger
+ * /invoices/import/mappings:
+ *   get:
+ *     summary: List the saved spreadsheet column mappings for the authenticated user
+ *     tags: [Invoice Import]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved mappings, one per supplier.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   supplier:
+ *                     type: string
+ *                   mapping:
+ *                     $ref: '#/components/schemas/ImportColumnMapping'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server Error
+ */
+router.get('/import/mappings', auth, async (req, res, next) => {
+  try {
+    const mappings = await importService.listSavedMappings(req.user.id);
+    return res.json(mappings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/import/mappings:
+ *   put:
+ *     summary: Save the spreadsheet column mapping for a supplier
+ *     tags: [Invoice Import]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier
+ *               - mapping
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               mapping:
+ *                 $ref: '#/components/schemas/ImportColumnMapping'
+ *     responses:
+ *       200:
+ *         description: Mapping saved.
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.put('/import/mappings', [
+  auth,
+  body('supplier').trim().notEmpty().withMessage('Supplier is required').escape(),
+  body('mapping').isObject().withMessage('Mapping must be an object'),
+  body('mapping.*').optional({ values: 'falsy' }).isString().withMessage('Mapped column headers must be strings'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { supplier, mapping } = req.body;
+    const saved = await importService.saveMapping(req.user.id, supplier, mapping);
+    return res.json(saved);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/import/preview:
+ *   post:
+ *     summary: Preview a CSV/XLSX file before importing it
+ *     description: Returns the column headers, sample rows and the mapping that would be applied (saved for the supplier, or suggested from the headers).
+ *     tags: [Invoice Import]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       200:
+ *         description: Import preview.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/import/preview', [
+  auth,
+  body('supplier').optional().trim().escape().isString().withMessage('Supplier must be a string'),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { supplier, file } = req.body;
+    const preview = await importService.previewImport(req.user.id, { file, supplier });
+    return res.json(preview);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/import:
+ *   post:
+ *     summary: Import invoice lines from a CSV/XLSX file
+ *     description: Maps spreadsheet columns to invoice line fields, validates every row with the same rules as the invoice line routes and creates the invoice and its lines in one transaction. When invoice_id is given the lines are appended to that invoice instead.
+ *     tags: [Invoice Import]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               invoice_date:
+ *                 type: string
+ *                 format: date
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency for a new invoice. Defaults to the base currency.
+ *               invoice_id:
+ *                 type: integer
+ *                 description: Existing invoice to append the lines to.
+ *               mapping:
+ *                 $ref: '#/components/schemas/ImportColumnMapping'
+ *               save_mapping:
+ *                 type: boolean
+ *                 description: Save the mapping for the supplier for future imports.
+ *               skip_invalid_rows:
+ *                 type: boolean
+ *                 description: Import the valid rows even if some rows fail validation.
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       201:
+ *         description: Invoice lines imported. duplicateWarning is set when the invoice looks like a duplicate.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Target invoice is no longer editable in its current status
+ *       422:
+ *         description: Validation Error. Row-level failures are returned in the report.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/import', [
+  auth,
+  body('supplier').optional().trim().escape().isString().withMessage('Supplier must be a string'),
+  body('invoice_date').optional().toDate().isISO8601().withMessage('Invoice date must be a valid ISO8601 date'),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body('invoice_id').optional().isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  body('mapping').optional().isObject().withMessage('Mapping must be an object'),
+  body('save_mapping').optional().isBoolean().withMessage('save_mapping must be a boolean').toBoolean(),
+  body('skip_invalid_rows').optional().isBoolean().withMessage('skip_invalid_rows must be a boolean').toBoolean(),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  body().custom(value => Boolean(value.invoice_id || value.supplier)).withMessage('Supplier is required when creating a new invoice'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const result = await importService.importInvoice(req.user.id, {
+      file: req.body.file,
+      supplier: req.body.supplier,
+      invoiceDate: req.body.invoice_date,
+      currency: req.body.currency,
+      invoiceId: req.body.invoice_id,
+      mapping: req.body.mapping,
+      saveMapping: req.body.save_mapping,
+      skipInvalidRows: req.body.skip_invalid_rows
+    });
+
+    // Validation failures are reported per row rather than through the generic handler
+    return res.status(result.imported ? 201 : 422).json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/ocr:
+ *   post:
+ *     summary: Create a draft invoice from a scanned PDF
+ *     description: Runs local OCR on the PDF and extracts supplier, invoice date, total and line items into a Draft invoice. Per-field confidence scores are stored on the invoice and its lines, and the original PDF stays attached to the invoice.
+ *     tags: [Invoice Import]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: object
+ *                 required:
+ *                   - name
+ *                   - content
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     description: Original filename (.pdf).
+ *                   content:
+ *                     type: string
+ *                     format: byte
+ *                     description: Base64-encoded PDF content.
+ *     responses:
+ *       201:
+ *         description: Draft invoice created. Includes the lines, an extraction summary with warnings and low-confidence fields, and duplicateWarning when the invoice looks like a duplicate.
+ *       400:
+ *         description: Uploaded file is not a PDF
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error or no text could be recognized
+ *       500:
+ *         description: Server Error
+ *       503:
+ *         description: OCR tools are not installed on the server
+ */
+router.post('/ocr', [
+  auth,
+  body('file.name').trim().notEmpty().withMessage('File name is required')
+    .matches(/\.pdf$/i).withMessage('Only PDF files are supported'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const result = await ocrService.createDraftFromPdf(req.user.id, { file: req.body.file });
+    return res.status(201).json(result);
+  } catch (error) {
+    if (error.status && error.status !== 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}:
+ *   get:
+ *     summary: Retrieve a specific invoice by ID
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Invoice details.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(), // Validate and sanitize
+  handleValidationErrors // Apply validation handler
+], async (req, res, next) => { // Added next
+  try {
+    const invoice = await Invoice.findOne({
+      where: {
+        id: req.params.id, // Use sanitized ID
+        user_id: req.user.id
+      }
+      // Consider including InvoiceLines here if often needed together
+      // include: [{ model: InvoiceLine, as: 'lines' }]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    return res.json(invoice);
+  } catch (error) {
+    next(error); // Pass error to centralized handler
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/source-document:
+ *   get:
+ *     summary: Download the original uploaded document of an invoice
+ *     description: Returns the scanned PDF an invoice was created from so reviewers can compare it with the extracted data.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Original document stream.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice or source document not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id/source-document', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { filePath, filename } = await ocrService.getSourceDocument(req.params.id, req.user.id); // Use sanitized ID
+
+    // Inline so the browser can show it next to the invoice
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename.replace(/"/g, '')}"`);
+
+    const fileStream = require('fs').createReadStream(filePath);
+    fileStream.on('error', (streamError) => {
+      if (!res.headersSent) {
+        next(streamError);
+      }
+    });
+    fileStream.pipe(res);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/status:
+ *   post:
+ *     summary: Move an invoice to another lifecycle status
+ *     description: >
+ *       Lifecycle: Draft → Classified → InReview → Ready → Submitted → Accepted/Rejected → Amended.
+ *       Submitted, Accepted and Rejected are set by the submission workflow and cannot be requested here.
+ *       Classified and Ready require every line to have an HS code; Ready also requires no flagged lines.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Draft, Classified, InReview, Ready, Amended]
+ *               reason:
+ *                 type: string
+ *                 description: Shown on the invoice timeline.
+ *     responses:
+ *       200:
+ *         description: Invoice moved to the new status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Transition not allowed from the current status, or lines not in the required state
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/:id/status', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  body('status').trim().isIn(invoiceStatusService.USER_STATUSES).withMessage('Invalid status'),
+  body('reason').optional().trim().escape().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params; // Use sanitized ID
+    const { status, reason } = req.body;
+
+    const invoiceExists = await Invoice.count({ where: { id, user_id: req.user.id } });
+    if (invoiceExists === 0) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const invoice = await invoiceStatusService.transitionInvoice(id, status, { actor: req.user.id, reason });
+
+    return res.json(invoice);
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/status-history:
+ *   get:
+ *     summary: Retrieve the status timeline of an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Current status, the statuses the user can move to next, and every recorded transition (oldest first).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 allowedTransitions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InvoiceStatusHistory'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id/status-history', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params; // Use sanitized ID
+
+    const invoice = await Invoice.findOne({
+      where: { id, user_id: req.user.id },
+      attributes: ['id', 'status']
+    });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const history = await invoiceStatusService.getStatusHistory(id);
+
+    return res.json({
+      status: invoice.status,
+      allowedTransitions: invoiceStatusService.getAllowedTransitions(invoice.status)
+        .filter(status => invoiceStatusService.USER_STATUSES.includes(status)),
+      history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/duty-estimate:
+ *   get:
+ *     summary: Estimate the duties and taxes of an invoice
+ *     description: >
+ *       Values each line at its total converted into the base currency at the invoice date and applies the
+ *       tariff rates effective on that date for its HS code and origin. Nothing is stored; see POST to keep
+ *       the totals on the invoice.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Per-line and invoice duties.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DutyEstimate'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id/duty-estimate', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({
+      where: { id: req.params.id, user_id: req.user.id }, // Use sanitized ID
+      include: [{ model: InvoiceLine, as: 'invoice_lines' }],
+      order: [[{ model: InvoiceLine, as: 'invoice_lines' }, 'id', 'ASC']]
+    });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const estimate = await tariffService.estimateInvoiceDuties(invoice);
+    return res.json(estimate);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/duty-estimate:
+ *   post:
+ *     summary: Estimate the duties and taxes of an invoice and store the totals on it
+ *     description: >
+ *       Same estimate as GET, with the totals stored on the invoice (duty_estimate) for the PDF declaration and
+ *       reports. The stored estimate is refreshed when the lines of an editable invoice change and is kept as
+ *       declared once the invoice is submitted.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Per-line and invoice duties.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DutyEstimate'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is no longer editable in its current status
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.post('/:id/duty-estimate', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({
+      where: { id: req.params.id, user_id: req.user.id }, // Use sanitized ID
+      include: [{ model: InvoiceLine, as: 'invoice_lines' }],
+      order: [[{ model: InvoiceLine, as: 'invoice_lines' }, 'id', 'ASC']]
+    });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    invoiceStatusService.assertEditable(invoice);
+
+    const estimate = await tariffService.estimateInvoiceDuties(invoice, { save: true });
+    return res.json(estimate);
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/restrictions:
+ *   get:
+ *     summary: Screen the invoice lines for restricted and prohibited goods
+ *     description: >
+ *       Checks every line against the active restriction rules; nothing is stored. The invoice cannot be
+ *       submitted while a line holds prohibited goods or lacks the permit reference a rule requires.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Lines with at least one restriction hit.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestrictionScreening'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id/restrictions', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({ where: { id: req.params.id, user_id: req.user.id }, attributes: ['id'] });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const screening = await restrictionService.screenInvoice(invoice.id);
+    return res.json(screening);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{id}/lines/{lineId}/permits:
+ *   put:
+ *     summary: Attach the import permit reference a restriction rule requires
+ *     description: Send an empty permit_reference to remove it. Prohibited goods cannot be cleared with a permit.
+ *     tags: [Invoice Lines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *       - $ref: '#/components/parameters/lineId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rule_id
+ *             properties:
+ *               rule_id:
+ *                 type: integer
+ *                 description: Restriction rule the permit covers.
+ *               permit_reference:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Licence or permit number.
+ *     responses:
+ *       200:
+ *         description: Line with the permit reference attached.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvoiceLine'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice or line not found, or the line does not match the rule
+ *       409:
+ *         description: Invoice is already submitted, or the rule prohibits the goods
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.put('/:id/lines/:lineId/permits', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  param('lineId').isInt({ gt: 0 }).withMessage('Line ID must be a positive integer').toInt(),
+  body('rule_id').isInt({ gt: 0 }).withMessage('Rule ID must be a positive integer').toInt(),
+  body('permit_reference').optional({ values: 'null' }).isString().trim().escape().isLength({ max: 100 }).withMessage('Permit reference must be at most 100 characters'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const line = await restrictionService.attachPermit(
+      req.params.id,
+      req.params.lineId,
+      req.body.rule_id,
+      req.body.permit_reference,
+      req.user.id
+    );
+    return res.json(line);
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
 
 /**
- * Updates the total_amount field of an invoice based on its lines.
- * @param {number} invoiceId - The ID of the invoice to update.
- * @param {object} [transaction] - Optional Sequelize transaction object.
+ * @swagger
+ * /invoices/{id}/duplicate:
+ *   post:
+ *     summary: Confirm or dismiss a suspected duplicate
+ *     description: >
+ *       Confirming marks the invoice as a duplicate of duplicate_of_id; it stays blocked from submission.
+ *       Dismissing clears the block and the same match is not raised again.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [confirm, dismiss]
+ *     responses:
+ *       200:
+ *         description: Match resolved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is not flagged as a suspected duplicate
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
  */
-async function updateInvoiceTotal(invoiceId, transaction) {
+router.post('/:id/duplicate', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  body('action').trim().isIn(['confirm', 'dismiss']).withMessage('Action must be confirm or dismiss'),
+  handleValidationErrors
+], async (req, res, next) => {
   try {
-    const result = await InvoiceLine.findAll({
-      where: { invoice_id: invoiceId },
-      attributes: [
-        [db.sequelize.fn('SUM', db.sequelize.literal('quantity * unit_price')), 'total']
-      ],
-      raw: true,
-      transaction // Pass transaction if provided
-    });
+    const { id } = req.params; // Use sanitized ID
 
-    const totalAmount = result[0]?.total || 0; // Use optional chaining and default to 0
+    const invoice = await duplicateService.resolveDuplicate(id, req.user.id, req.body.action);
 
-    await Invoice.update(
-      { total_amount: totalAmount },
-      { where: { id: invoiceId }, transaction } // Pass transaction if provided
-    );
+    return res.json(invoice);
   } catch (error) {
-    console.error(`Error updating invoice total for invoiceId ${invoiceId}:`, error);
-    // Re-throw the error to be caught by the calling route handler's catch block
-    throw error;
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
   }
-}
-
-
-// --- Swagger Definitions ---
+});
 
 /**
  * @swagger
- * components:
- *   schemas:
- *     Invoice:
- *       type: object
- *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated ID of the invoice.
- *         user_id:
- *           type: integer
- *           description: ID of the user who owns the invoice.
- *         supplier:
- *           type: string
- *           description: Name of the supplier.
- *         invoice_date:
- *           type: string
- *           format: date
- *           description: Date of the invoice.
- *         total_amount:
- *           type: number
- *           format: float
- *           description: Total amount of the invoice.
- *         status:
- *           type: string
- *           enum: [Draft, Submitted, Approved, Rejected]
- *           description: Current status of the invoice.
- *         created_at:
- *           type: string
- *           format: date-time
- *           description: Timestamp of creation.
- *         updated_at:
- *           type: string
- *           format: date-time
- *           description: Timestamp of last update.
- *       example:
- *         id: 1
- *         user_id: 1
- *         supplier: "Example Supplier Inc."
- *         invoice_date: "2024-01-15"
- *         total_amount: 150.75
- *         status: "Submitted"
- *         created_at: "2024-01-15T10:00:00.000Z"
- *         updated_at: "2024-01-16T11:30:00.000Z"
- *     InvoiceLine:
- *       type: object
- *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated ID of the invoice line.
- *         invoice_id:
- *           type: integer
- *           description: ID of the associated invoice.
- *         description:
- *           type: string
- *           description: Description of the item.
- *         quantity:
- *           type: integer
- *           description: Quantity of the item.
- *         unit_price:
- *           type: number
- *           format: float
- *           description: Price per unit of the item.
- *         hs_code:
- *           type: string
- *           description: Harmonized System (HS) code for the item.
- *         created_at:
- *           type: string
- *           format: date-time
- *           description: Timestamp of creation.
- *         updated_at:
- *           type: string
- *           format: date-time
- *           description: Timestamp of last update.
- *       example:
- *         id: 10
- *         invoice_id: 1
- *         description: "Widget Type A"
- *         quantity: 5
- *         unit_price: 10.50
- *         hs_code: "847100"
- *         created_at: "2024-01-15T10:05:00.000Z"
- *         updated_at: "2024-01-15T10:05:00.000Z"
- *     InvoiceInput:
- *       type: object
- *       properties:
- *         supplier:
- *           type: string
- *         invoice_date:
- *           type: string
- *           format: date
- *         status:
- *           type: string
- *           enum: [Draft, Submitted, Approved, Rejected]
- *     InvoiceLineInput:
- *       type: object
- *       required:
- *         - description
- *         - quantity
- *         - unit_price
- *       properties:
- *         description:
- *           type: string
- *         quantity:
- *           type: integer
- *         unit_price:
- *           type: number
- *           format: float
- *         hs_code:
- *           type: string
- *   parameters:
- *     invoiceId:
- *       in: path
- *       name: id
- *       schema:
- *         type: integer
- *       required: true
- *       description: Numeric ID of the invoice to operate on.
- *     lineId:
- *       in: path
- *       name: lineId
- *       schema:
- *         type: integer
- *       required: true
- *       description: Numeric ID of the invoice line to operate on.
+ * /invoices/{id}/snapshots:
+ *   get:
+ *     summary: List the snapshots taken each time the invoice was submitted
+ *     description: Payloads are omitted; fetch a single version to see what was declared.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *     responses:
+ *       200:
+ *         description: Snapshots, oldest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InvoiceSnapshot'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: Validation Error (Invalid ID format)
+ *       500:
+ *         description: Server Error
  */
+router.get('/:id/snapshots', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { id } = req.params; // Use sanitized ID
 
-// --- Routes ---
+    const invoiceExists = await Invoice.count({ where: { id, user_id: req.user.id } });
+    if (invoiceExists === 0) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    return res.json(await snapshotService.listSnapshots(id));
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * @swagger
- * /invoices:
+ * /invoices/{id}/snapshots/diff:
  *   get:
- *     summary: Retrieve a list of invoices for the authenticated user
+ *     summary: Compare two snapshots of an invoice
+ *     description: Lines are matched by line ID, so edits show as changed fields rather than a removed and an added line.
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/invoiceId'
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older snapshot version.
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Newer snapshot version.
  *     responses:
  *       200:
- *         description: A list of invoices.
+ *         description: Differences between the two snapshots.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Invoice'
+ *               $ref: '#/components/schemas/InvoiceSnapshotDiff'
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Invoice or snapshot version not found
+ *       422:
+ *         description: Validation Error
  *       500:
  *         description: Server Error
  */
-router.get('/', auth, async (req, res, next) => { // Added next
+router.get('/:id/snapshots/diff', [
+  auth,
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  query('from').isInt({ gt: 0 }).withMessage('From version must be a positive integer').toInt(),
+  query('to').isInt({ gt: 0 }).withMessage('To version must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
   try {
-    const invoices = await Invoice.findAll({
-      where: { user_id: req.user.id },
-      order: [['created_at', 'DESC']]
-    });
-    return res.json(invoices);
+    const { id } = req.params; // Use sanitized ID
+    const { from, to } = req.query;
+
+    const invoiceExists = await Invoice.count({ where: { id, user_id: req.user.id } });
+    if (invoiceExists === 0) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    return res.json(await snapshotService.diffInvoiceSnapshots(id, from, to));
   } catch (error) {
-    next(error); // Pass error to centralized handler
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
   }
 });
 
 /**
  * @swagger
- * /invoices/{id}:
+ * /invoices/{id}/snapshots/{version}:
  *   get:
- *     summary: Retrieve a specific invoice by ID
+ *     summary: Retrieve one snapshot with the declared invoice, lines and documents
  *     tags: [Invoices]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - $ref: '#/components/parameters/invoiceId'
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Invoice details.
+ *         description: The snapshot.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Invoice'
+ *               $ref: '#/components/schemas/InvoiceSnapshot'
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Invoice not found
+ *         description: Invoice or snapshot version not found
  *       422:
  *         description: Validation Error (Invalid ID format)
  *       500:
  *         description: Server Error
  */
-router.get('/:id', [
+router.get('/:id/snapshots/:version', [
   auth,
-  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(), // Validate and sanitize
-  handleValidationErrors // Apply validation handler
-], async (req, res, next) => { // Added next
+  param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
+  param('version').isInt({ gt: 0 }).withMessage('Version must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
   try {
-    const invoice = await Invoice.findOne({
-      where: {
-        id: req.params.id, // Use sanitized ID
-        user_id: req.user.id
-      }
-      // Consider including InvoiceLines here if often needed together
-      // include: [{ model: InvoiceLine, as: 'lines' }]
-    });
+    const { id, version } = req.params; // Use sanitized IDs
 
-    if (!invoice) {
+    const invoiceExists = await Invoice.count({ where: { id, user_id: req.user.id } });
+    if (invoiceExists === 0) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    return res.json(invoice);
+    return res.json(await snapshotService.getSnapshot(id, version));
   } catch (error) {
-    next(error); // Pass error to centralized handler
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
   }
 });
 
@@ -273,11 +1678,16 @@ router.get('/:id', [
  *             $ref: '#/components/schemas/InvoiceInput'
  *     responses:
  *       201:
- *         description: Invoice created successfully.
+ *         description: Invoice created successfully. duplicate_warning is set when the invoice looks like a duplicate of an existing one.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Invoice'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Invoice'
+ *                 - type: object
+ *                   properties:
+ *                     duplicate_warning:
+ *                       $ref: '#/components/schemas/DuplicateWarning'
  *       401:
  *         description: Unauthorized
  *       422:
@@ -289,22 +1699,33 @@ router.post('/', [
   auth,
   body('supplier').optional().trim().escape().isString().withMessage('Supplier must be a string'),
   body('invoice_date').optional().toDate().isISO8601().withMessage('Invoice date must be a valid ISO8601 date'),
-  body('status').optional().trim().isIn(['Draft', 'Submitted', 'Approved', 'Rejected']).withMessage('Invalid status'),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
     // Use validated/sanitized values from req.body
-    const { supplier, invoice_date, status = 'Draft' } = req.body;
-
-    const invoice = await Invoice.create({
-      user_id: req.user.id,
-      supplier,
-      invoice_date,
-      status,
-      total_amount: 0 // Initialize total amount
+    const { supplier, invoice_date, currency = currencyService.BASE_CURRENCY } = req.body;
+
+    // Every invoice starts as Draft; later statuses are reached through transitions
+    const invoice = await db.sequelize.transaction(async (transaction) => {
+      const created = await Invoice.create({
+        user_id: req.user.id,
+        supplier,
+        invoice_date,
+        currency,
+        status: 'Draft',
+        total_amount: 0 // Initialize total amount
+      }, { transaction });
+
+      await invoiceStatusService.recordCreation(created, { actor: req.user.id, transaction });
+      return created;
     });
 
-    return res.status(201).json(invoice);
+    const duplicateWarning = await duplicateService.checkInvoice(invoice.id);
+    await deniedPartyService.screenInvoice(invoice.id);
+    await invoice.reload();
+
+    return res.status(201).json({ ...invoice.toJSON(), duplicate_warning: duplicateWarning });
   } catch (error) {
     next(error); // Pass error to centralized handler
   }
@@ -337,6 +1758,8 @@ router.post('/', [
  *         description: Unauthorized
  *       404:
  *         description: Invoice not found
+ *       409:
+ *         description: Invoice is no longer editable, or the status transition is not allowed
  *       422:
  *         description: Validation Error
  *       500:
@@ -347,13 +1770,14 @@ router.put('/:id', [
   param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
   body('supplier').optional().trim().escape().isString().withMessage('Supplier must be a string'),
   body('invoice_date').optional().toDate().isISO8601().withMessage('Invoice date must be a valid ISO8601 date'),
-  body('status').optional().trim().isIn(['Draft', 'Submitted', 'Approved', 'Rejected']).withMessage('Invalid status'),
+  body('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body('status').optional().trim().isIn(invoiceStatusService.USER_STATUSES).withMessage('Invalid status'),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
     const { id } = req.params; // Use sanitized ID
     // Use validated/sanitized values from req.body
-    const { supplier, invoice_date, status } = req.body;
+    const { supplier, invoice_date, currency, status } = req.body;
 
     // Find invoice and ensure it belongs to the user
     const invoice = await Invoice.findOne({
@@ -371,11 +1795,31 @@ router.put('/:id', [
     const updateData = {};
     if (supplier !== undefined) updateData.supplier = supplier;
     if (invoice_date !== undefined) updateData.invoice_date = invoice_date;
-    if (status !== undefined) updateData.status = status;
+    if (currency !== undefined) updateData.currency = currency;
 
-    // Update invoice only if there's data to update
     if (Object.keys(updateData).length > 0) {
-        await invoice.update(updateData);
+        invoiceStatusService.assertEditable(invoice);
+    }
+
+    // Update invoice only if there's data to update
+    if (Object.keys(updateData).length > 0 || (status !== undefined && status !== invoice.status)) {
+        await db.sequelize.transaction(async (transaction) => {
+          if (Object.keys(updateData).length > 0) {
+            await invoice.update(updateData, { transaction });
+          }
+          // Currency and date decide which exchange rates apply to the totals
+          if (currency !== undefined || invoice_date !== undefined) {
+            await updateInvoiceTotal(id, transaction);
+          }
+          if (status !== undefined && status !== invoice.status) {
+            await invoiceStatusService.transitionInvoice(id, status, { actor: req.user.id, transaction });
+          }
+        });
+        // A new supplier name has to be checked against the sanctions lists again
+        if (supplier !== undefined) {
+          await deniedPartyService.screenInvoice(id);
+        }
+        await invoice.reload();
     } else {
         // If no fields were provided to update, maybe return 304 Not Modified?
         // Or just return the current invoice state. For simplicity, return current state.
@@ -385,6 +1829,9 @@ router.put('/:id', [
     // Return the potentially updated invoice
     return res.json(invoice);
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message });
+    }
     next(error); // Pass error to centralized handler
   }
 });
@@ -414,6 +1861,8 @@ router.put('/:id', [
  *         description: Unauthorized
  *       404:
  *         description: Invoice not found
+ *       409:
+ *         description: Invoice is locked or has been submitted
  *       422:
  *         description: Validation Error (Invalid ID format)
  *       500:
@@ -433,18 +1882,28 @@ router.delete('/:id', [
         id,
         user_id: req.user.id
       },
-      attributes: ['id'] // Only need ID for deletion check
+      attributes: ['id', 'status']
     });
 
     if (!invoice) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    // Submitted and accepted invoices are kept as declared
+    invoiceStatusService.assertEditable(invoice);
+    // An amended invoice keeps the versions it was submitted with
+    if (await db.InvoiceSnapshot.count({ where: { invoice_id: id } }) > 0) {
+      return res.status(409).json({ message: `Invoice ${id} has been submitted and can no longer be deleted` });
+    }
+
     // Delete invoice (cascading should be handled by DB constraints)
     await Invoice.destroy({ where: { id } }); // Use the found ID
 
     return res.json({ message: 'Invoice deleted successfully' });
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message });
+    }
     next(error); // Pass error to centralized handler
   }
 });
@@ -536,6 +1995,8 @@ router.get('/:id/lines', [
  *         description: Unauthorized
  *       404:
  *         description: Invoice not found
+ *       409:
+ *         description: Invoice is no longer editable in its current status
  *       422:
  *         description: Validation Error
  *       500:
@@ -544,23 +2005,23 @@ router.get('/:id/lines', [
 router.post('/:id/lines', [
   auth,
   param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
-  body('description').trim().notEmpty().withMessage('Description is required').escape(),
-  body('quantity').isInt({ gt: 0 }).withMessage('Quantity must be a positive integer').toInt(),
-  body('unit_price').isFloat({ gt: 0 }).withMessage('Unit price must be a positive number').toFloat(),
-  body('hs_code').optional().trim().escape(), // Optional HS code
+  ...invoiceLineRules(),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
     const { id } = req.params; // Use sanitized ID
     // Use validated/sanitized values
-    const { description, quantity, unit_price, hs_code } = req.body;
+    const {
+      description, sku, quantity, unit_price, currency, hs_code, origin_country,
+      gross_weight, net_weight, uom, package_count, package_type
+    } = req.body;
 
     // Use transaction to ensure invoice exists and line is created atomically
     const result = await db.sequelize.transaction(async (transaction) => {
         // Verify invoice belongs to user within the transaction
         const invoice = await Invoice.findOne({
           where: { id, user_id: req.user.id },
-          attributes: ['id'], // Only need ID
+          attributes: ['id', 'status'],
           transaction
         });
 
@@ -570,28 +2031,41 @@ router.post('/:id/lines', [
           error.status = 404;
           throw error;
         }
+        invoiceStatusService.assertEditable(invoice);
 
         // Create invoice line
         const invoiceLine = await InvoiceLine.create({
           invoice_id: id,
           description,
+          sku: sku || null,
           quantity,
           unit_price,
-          hs_code
+          currency: currency || null,
+          hs_code,
+          origin_country,
+          gross_weight,
+          net_weight,
+          uom: uom || null,
+          package_count,
+          package_type: package_type || null
         }, { transaction });
+        await restrictionService.screenLines([invoiceLine], { transaction });
 
         // Update invoice total within the same transaction
         await updateInvoiceTotal(id, transaction);
 
+        // Lines and total changed, so re-check for a duplicate (flags the invoice if found)
+        await duplicateService.checkInvoice(id, { transaction });
+
         return invoiceLine;
     });
 
 
     return res.status(201).json(result); // Return the created line
   } catch (error) {
-      // Handle specific 404 error from transaction
-      if (error.status === 404) {
-          return res.status(404).json({ message: error.message });
+      // Handle specific 404/409 errors from transaction
+      if (error.status === 404 || error.status === 409) {
+          return res.status(error.status).json({ message: error.message });
       }
       // Pass other errors to centralized handler
       next(error);
@@ -630,6 +2104,8 @@ router.post('/:id/lines', [
  *         description: Unauthorized
  *       404:
  *         description: Invoice not found
+ *       409:
+ *         description: Invoice is no longer editable in its current status
  *       422:
  *         description: Validation Error (Invalid ID format or invalid array structure/content)
  *       500:
@@ -640,11 +2116,9 @@ router.put('/:id/lines', [
   param('id').isInt({ gt: 0 }).withMessage('Invoice ID must be a positive integer').toInt(),
   // Add validation for the array items themselves
   body().isArray().withMessage('Request body must be an array of invoice lines'),
-  body('*.description').optional().trim().notEmpty().withMessage('Line description cannot be empty').escape(),
-  body('*.quantity').optional().isInt({ gt: 0 }).withMessage('Line quantity must be a positive integer').toInt(),
-  body('*.unit_price').optional().isFloat({ gt: 0 }).withMessage('Line unit price must be a positive number').toFloat(),
-  body('*.hs_code').optional().trim().escape(),
+  ...invoiceLineRules({ prefix: '*.', partial: true }),
   body('*.id').optional().isInt({ gt: 0 }).withMessage('Line ID must be a positive integer').toInt(), // Validate optional ID
+  body('*.field_confidence').optional({ values: 'null' }).isObject().withMessage('Line field confidence must be an object'),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
@@ -655,7 +2129,7 @@ router.put('/:id/lines', [
         // Verify invoice belongs to user
         const invoice = await Invoice.findOne({
           where: { id, user_id: req.user.id },
-          attributes: ['id'],
+          attributes: ['id', 'status'],
           transaction
         });
 
@@ -664,6 +2138,7 @@ router.put('/:id/lines', [
           error.status = 404;
           throw error;
         }
+        invoiceStatusService.assertEditable(invoice);
 
         // Get IDs of incoming lines that have an ID (for update/keep)
         const incomingLineIds = incomingLines.filter(line => line.id).map(line => line.id);
@@ -683,11 +2158,24 @@ router.put('/:id/lines', [
             const lineData = {
                 invoice_id: id,
                 description: line.description,
+                sku: line.sku || null,
                 quantity: line.quantity,
                 unit_price: line.unit_price,
-                hs_code: line.hs_code
+                currency: line.currency || null,
+                hs_code: line.hs_code,
+                origin_country: line.origin_country,
+                gross_weight: line.gross_weight,
+                net_weight: line.net_weight,
+                uom: line.uom || null,
+                package_count: line.package_count,
+                package_type: line.package_type || null
             };
 
+            // Only OCR-created lines carry confidences; the grid raises them once a reviewer edits a field
+            if (line.field_confidence !== undefined) {
+                lineData.field_confidence = line.field_confidence;
+            }
+
             if (line.id) {
                 // Update existing line if ID matches and belongs to this invoice
                 const [affectedRows] = await InvoiceLine.update(lineData, {
@@ -712,17 +2200,23 @@ router.put('/:id/lines', [
             }
         }
 
+        // Descriptions and codes may have changed, so store the restriction hits again
+        await restrictionService.screenLines(results, { transaction });
+
         // Update invoice total after all line operations
         await updateInvoiceTotal(id, transaction);
 
+        // Lines and total are now known, so re-check for a duplicate (flags the invoice if found)
+        await duplicateService.checkInvoice(id, { transaction });
+
         return results; // Return the array of created/updated lines
     });
 
 
     return res.json(updatedLines);
   } catch (error) {
-      if (error.status === 404) {
-          return res.status(404).json({ message: error.message });
+      if (error.status === 404 || error.status === 409) {
+          return res.status(error.status).json({ message: error.message });
       }
       next(error); // Pass other errors to centralized handler
   }
@@ -760,6 +2254,8 @@ router.put('/:id/lines', [
  *         description: Unauthorized
  *       404:
  *         description: Invoice or Invoice Line not found
+ *       409:
+ *         description: Invoice is no longer editable in its current status
  *       422:
  *         description: Validation Error (Invalid ID format)
  *       500:
@@ -778,7 +2274,7 @@ router.delete('/:invoiceId/lines/:lineId', [
         // Verify invoice belongs to user
         const invoice = await Invoice.findOne({
           where: { id: invoiceId, user_id: req.user.id },
-          attributes: ['id'],
+          attributes: ['id', 'status'],
           transaction
         });
 
@@ -787,6 +2283,7 @@ router.delete('/:invoiceId/lines/:lineId', [
           error.status = 404;
           throw error;
         }
+        invoiceStatusService.assertEditable(invoice);
 
         // Delete invoice line
         const result = await InvoiceLine.destroy({
@@ -806,13 +2303,16 @@ router.delete('/:invoiceId/lines/:lineId', [
 
         // Update invoice total
         await updateInvoiceTotal(invoiceId, transaction);
+
+        // Lines and total changed, so re-check for a duplicate (flags the invoice if found)
+        await duplicateService.checkInvoice(invoiceId, { transaction });
     });
 
 
     return res.json({ message: 'Invoice line deleted successfully' });
   } catch (error) {
-      if (error.status === 404) {
-          return res.status(404).json({ message: error.message });
+      if (error.status === 404 || error.status === 409) {
+          return res.status(error.status).json({ message: error.message });
       }
       next(error); // Pass other errors to centralized handler
   }
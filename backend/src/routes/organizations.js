@@ -0,0 +1,228 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const organizationService = require('../services/organizationService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         users:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               email:
+ *                 type: string
+ *               full_name:
+ *                 type: string
+ *       example:
+ *         id: 1
+ *         name: "Acme Imports"
+ *         users: [{ id: 2, email: "clerk@acme.example", full_name: "Dana Clerk" }]
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /organizations:
+ *   get:
+ *     summary: List organizations and their members
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations by name.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Organization'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [auth, roleAuth(['admin'])], async (req, res, next) => {
+  try {
+    const organizations = await organizationService.listOrganizations();
+    return res.json(organizations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /organizations:
+ *   post:
+ *     summary: Create an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Organization created.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       409:
+ *         description: An organization with that name exists
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  roleAuth(['admin']),
+  body('name').trim().notEmpty().withMessage('Name is required').escape().isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const organization = await organizationService.createOrganization(req.body.name);
+    return res.status(201).json(organization);
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /organizations/{id}/users/{userId}:
+ *   put:
+ *     summary: Move a user into an organization
+ *     description: A user belongs to at most one organization, whose threshold rules apply to the user's invoices.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User moved.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Organization or user not found
+ *       500:
+ *         description: Server Error
+ */
+router.put('/:id/users/:userId', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Organization ID must be a positive integer').toInt(),
+  param('userId').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const user = await organizationService.setUserOrganization(req.params.userId, req.params.id);
+    return res.json(user);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /organizations/{id}/users/{userId}:
+ *   delete:
+ *     summary: Remove a user from an organization
+ *     description: Only the global threshold rules then apply to the user's invoices.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: User removed.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: User not found or not in the organization
+ *       500:
+ *         description: Server Error
+ */
+router.delete('/:id/users/:userId', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Organization ID must be a positive integer').toInt(),
+  param('userId').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const organizationId = await organizationService.getUserOrganizationId(req.params.userId);
+    if (organizationId !== req.params.id) {
+      return res.status(404).json({ message: `User with ID ${req.params.userId} is not in organization ${req.params.id}` });
+    }
+
+    await organizationService.setUserOrganization(req.params.userId, null);
+    return res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,7 @@ function buildReportFilters(queryParams) {
     if (queryParams.startDate) filters.startDate = queryParams.startDate; // Already validated/sanitized
     if (queryParams.endDate) filters.endDate = queryParams.endDate;     // Already validated/sanitized
     if (queryParams.userId) filters.userId = queryParams.userId;         // Already validated/sanitized
+    if (queryParams.currency) filters.currency = queryParams.currency;   // Reporting currency, defaults to the base currency
     // Add defaults or specific logic for savings report
     if (queryParams.brokerFeePerEntry !== undefined) {
         filters.brokerFeePerEntry = queryParams.brokerFeePerEntry; // Already validated/sanitized
@@ -48,6 +49,9 @@ function buildReportFilters(queryParams) {
  *         userId:
  *           type: integer
  *           description: Optional user ID to filter volume report.
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency to report invoice values in. Defaults to the base currency.
  *         brokerFeePerEntry:
  *           type: number
  *           format: float
@@ -59,6 +63,16 @@ function buildReportFilters(queryParams) {
  *     VolumeReport:
  *       type: object
  *       properties:
+ *         currency:
+ *           type: string
+ *           description: Currency the values are reported in.
+ *         totalValue:
+ *           type: number
+ *           format: float
+ *           description: Total customs value of the invoices in the reporting currency.
+ *         unconvertedInvoices:
+ *           type: integer
+ *           description: Invoices left out of the values because no exchange rate was available for their date.
  *         totalInvoices:
  *           type: integer
  *         totalInvoiceLines:
@@ -116,6 +130,42 @@ function buildReportFilters(queryParams) {
  *           format: float
  *           description: Cost savings from time saved.
  *         # Add other relevant savings metrics
+ *     DutyReport:
+ *       type: object
+ *       description: Totals of the duty estimates stored on invoices, in the base currency.
+ *       properties:
+ *         currency:
+ *           type: string
+ *         totalInvoices:
+ *           type: integer
+ *         estimatedInvoices:
+ *           type: integer
+ *           description: Invoices with a duty estimate; the others are not valued.
+ *         incompleteEstimates:
+ *           type: integer
+ *           description: Estimated invoices with lines that had no tariff rate.
+ *         totalCustomsValue:
+ *           type: number
+ *           format: float
+ *         totalDuty:
+ *           type: number
+ *           format: float
+ *         totalExcise:
+ *           type: number
+ *           format: float
+ *         totalEnvironmentalLevy:
+ *           type: number
+ *           format: float
+ *         totalVat:
+ *           type: number
+ *           format: float
+ *         totalDutiesAndTaxes:
+ *           type: number
+ *           format: float
+ *         monthlyData:
+ *           type: array
+ *           items:
+ *             type: object
  *     ReportSummary:
  *       type: object
  *       properties:
@@ -156,6 +206,12 @@ function buildReportFilters(queryParams) {
  *       schema:
  *         type: integer
  *       description: Optional user ID to filter volume report.
+ *     reportCurrency:
+ *       in: query
+ *       name: currency
+ *       schema:
+ *         type: string
+ *       description: ISO 4217 currency to report invoice values in (volume report). Defaults to the base currency.
  *     reportBrokerFee:
  *       in: query
  *       name: brokerFeePerEntry
@@ -185,7 +241,7 @@ function buildReportFilters(queryParams) {
  *       name: reportType
  *       schema:
  *         type: string
- *         enum: [volume, accuracy, savings]
+ *         enum: [volume, accuracy, savings, duties]
  *       required: true
  *       description: The type of report to export.
  */
@@ -204,6 +260,7 @@ function buildReportFilters(queryParams) {
  *       - $ref: '#/components/parameters/reportStartDate'
  *       - $ref: '#/components/parameters/reportEndDate'
  *       - $ref: '#/components/parameters/reportUserId'
+ *       - $ref: '#/components/parameters/reportCurrency'
  *     responses:
  *       200:
  *         description: Volume report data.
@@ -231,6 +288,7 @@ router.get('/volume', [
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO8601 date').toDate(), // Validate and sanitize
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO8601 date').toDate(),     // Validate and sanitize
   query('userId').optional().isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),      // Validate and sanitize
+  query('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
@@ -354,6 +412,60 @@ router.get('/savings', [
   }
 });
 
+/**
+ * @swagger
+ * /reports/duties:
+ *   get:
+ *     summary: Retrieve the duty and tax report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/reportStartDate'
+ *       - $ref: '#/components/parameters/reportEndDate'
+ *       - $ref: '#/components/parameters/reportUserId'
+ *     responses:
+ *       200:
+ *         description: Duty report data.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 report:
+ *                   $ref: '#/components/schemas/DutyReport'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error (Invalid query parameters)
+ *       500:
+ *         description: Server Error generating report.
+ */
+router.get('/duties', [
+  auth,
+  roleAuth(['admin']),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO8601 date').toDate(),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO8601 date').toDate(),
+  query('userId').optional().isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+  handleValidationErrors // Apply validation handler
+], async (req, res, next) => {
+  try {
+    const filters = buildReportFilters(req.query); // Use helper
+    const report = await reportingService.generateDutyReport(filters);
+
+    return res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    next(error); // Pass error to centralized handler
+  }
+});
+
 /**
  * @swagger
  * /reports/export/{reportType}:
@@ -370,6 +482,7 @@ router.get('/savings', [
  *       # Add other relevant filter params depending on reportType (e.g., savings params)
  *       - $ref: '#/components/parameters/reportBrokerFee' # Only relevant if reportType is 'savings'
  *       - $ref: '#/components/parameters/reportHourlyRate' # Only relevant if reportType is 'savings'
+ *       - $ref: '#/components/parameters/reportCurrency' # Only relevant if reportType is 'volume'
  *     responses:
  *       200:
  *         description: Report file stream (CSV or Excel).
@@ -396,13 +509,14 @@ router.get('/savings', [
 router.get('/export/:reportType', [
   auth,
   roleAuth(['admin']),
-  param('reportType').trim().isIn(['volume', 'accuracy', 'savings']).withMessage('Report type must be volume, accuracy, or savings'), // Validate param
+  param('reportType').trim().isIn(['volume', 'accuracy', 'savings', 'duties']).withMessage('Report type must be volume, accuracy, savings, or duties'), // Validate param
   query('format').trim().isIn(['csv', 'excel']).withMessage('Format must be csv or excel'), // Validate query
   query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO8601 date').toDate(),
   query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO8601 date').toDate(),
   // Conditionally validate savings params - express-validator doesn't easily support this, handle in logic or service
   query('brokerFeePerEntry').optional().isFloat({ gt: 0 }).withMessage('Broker fee must be a positive number').toFloat(),
   query('hourlyRate').optional().isFloat({ gt: 0 }).withMessage('Hourly rate must be a positive number').toFloat(),
+  query('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code'),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
@@ -427,6 +541,9 @@ router.get('/export/:reportType', [
         }
         reportData = await reportingService.generateSavingsReport(filters);
         break;
+      case 'duties':
+        reportData = await reportingService.generateDutyReport(filters);
+        break;
       default:
         // This case should be prevented by validation, but good practice to include
         const error = new Error('Invalid report type specified.');
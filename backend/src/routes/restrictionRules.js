@@ -0,0 +1,337 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const restrictionService = require('../services/restrictionService');
+
+// Rule fields shared by create and update; create additionally requires restriction
+const ruleValidators = [
+  body('hs_from').optional({ values: 'null' }).trim().matches(/^\d{2}(\.?\d{2}){0,3}$/).withMessage('HS range start must be a chapter, heading, subheading or tariff line, e.g. 30, 3004 or 3004.90'),
+  body('hs_to').optional({ values: 'null' }).trim().matches(/^\d{2}(\.?\d{2}){0,3}$/).withMessage('HS range end must be a chapter, heading, subheading or tariff line, e.g. 30, 3006 or 3006.10'),
+  body('keywords').optional({ values: 'null' }).isArray({ max: 50 }).withMessage('Keywords must be an array of at most 50 words or phrases'),
+  body('keywords.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each keyword must be 1 to 100 characters'),
+  body('licence_type').optional({ values: 'null' }).trim().escape().isLength({ max: 100 }).withMessage('Licence type must be at most 100 characters'),
+  body('authority').optional({ values: 'null' }).trim().escape().isLength({ max: 255 }).withMessage('Authority must be at most 255 characters'),
+  body('description').optional({ values: 'null' }).trim().escape().isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean').toBoolean()
+];
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RestrictionRule:
+ *       type: object
+ *       description: >
+ *         Goods that need an import permit or may not be imported. A rule matches a line when its HS code is in the
+ *         range and, if keywords are set, its description contains one of them. Lines are screened when they are
+ *         added, edited or classified, and again before submission.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         hs_from:
+ *           type: string
+ *           nullable: true
+ *           description: Start of the HS range as leading digits, inclusive; null to match on keywords only.
+ *         hs_to:
+ *           type: string
+ *           nullable: true
+ *           description: End of the HS range as leading digits, inclusive; null for only the codes under hs_from.
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Whole words or phrases, any of which must appear in the line description; empty for any description.
+ *         restriction:
+ *           type: string
+ *           enum: [licence, prohibited]
+ *           description: licence blocks submission until a permit reference is attached; prohibited always blocks it.
+ *         licence_type:
+ *           type: string
+ *           nullable: true
+ *         authority:
+ *           type: string
+ *           nullable: true
+ *           description: Agency issuing the licence.
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *       example:
+ *         id: 2
+ *         hs_from: "9301"
+ *         hs_to: "9306"
+ *         keywords: []
+ *         restriction: licence
+ *         licence_type: "Firearms import permit"
+ *         authority: "Commissioner of Police"
+ *         description: "Arms and ammunition"
+ *         active: true
+ *     RestrictionRuleInput:
+ *       type: object
+ *       properties:
+ *         hs_from:
+ *           type: string
+ *           nullable: true
+ *         hs_to:
+ *           type: string
+ *           nullable: true
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *         restriction:
+ *           type: string
+ *           enum: [licence, prohibited]
+ *           description: Required when creating a rule.
+ *         licence_type:
+ *           type: string
+ *           nullable: true
+ *         authority:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *     RestrictionHit:
+ *       type: object
+ *       properties:
+ *         rule_id:
+ *           type: integer
+ *         restriction:
+ *           type: string
+ *           enum: [licence, prohibited]
+ *         licence_type:
+ *           type: string
+ *           nullable: true
+ *         authority:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           description: Why the line matched, e.g. "HS code 9302.00 is under 9301-9306".
+ *         permit_reference:
+ *           type: string
+ *           nullable: true
+ *           description: Permit attached for a licence hit. Kept while the line keeps matching the rule.
+ *     RestrictionScreening:
+ *       type: object
+ *       properties:
+ *         blocked:
+ *           type: boolean
+ *           description: True while a line holds prohibited goods or lacks a required permit reference.
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *               hs_code:
+ *                 type: string
+ *               restriction_hits:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/RestrictionHit'
+ *   parameters:
+ *     restrictionRuleIdParam:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: ID of the restriction rule.
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /restriction-rules:
+ *   get:
+ *     summary: List restricted and prohibited goods rules
+ *     tags: [Restriction Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Restriction rules.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RestrictionRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  roleAuth(['admin'])
+], async (req, res, next) => {
+  try {
+    const rules = await restrictionService.listRules();
+    return res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /restriction-rules:
+ *   post:
+ *     summary: Create a restricted or prohibited goods rule
+ *     tags: [Restriction Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RestrictionRuleInput'
+ *     responses:
+ *       201:
+ *         description: Rule created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestrictionRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error, no HS range or keywords, or an inverted HS range
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  roleAuth(['admin']),
+  body('restriction').isIn(restrictionService.RESTRICTIONS).withMessage(`Restriction must be one of: ${restrictionService.RESTRICTIONS.join(', ')}`),
+  ...ruleValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rule = await restrictionService.createRule(req.body, req.user.id);
+    return res.status(201).json(rule);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /restriction-rules/{id}:
+ *   put:
+ *     summary: Update a restricted or prohibited goods rule
+ *     description: Only the fields sent are changed. Lines pick up the change when they are next screened.
+ *     tags: [Restriction Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/restrictionRuleIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RestrictionRuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RestrictionRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         description: Validation Error, no HS range or keywords, or an inverted HS range
+ *       500:
+ *         description: Server Error
+ */
+router.put('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Rule ID must be a positive integer').toInt(),
+  body('restriction').optional().isIn(restrictionService.RESTRICTIONS).withMessage(`Restriction must be one of: ${restrictionService.RESTRICTIONS.join(', ')}`),
+  ...ruleValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rule = await restrictionService.updateRule(req.params.id, req.body, req.user.id);
+    return res.json(rule);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /restriction-rules/{id}:
+ *   delete:
+ *     summary: Delete a restricted or prohibited goods rule
+ *     description: Set active to false instead to keep the rule for later.
+ *     tags: [Restriction Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/restrictionRuleIdParam'
+ *     responses:
+ *       204:
+ *         description: Rule deleted.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Server Error
+ */
+router.delete('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Rule ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    await restrictionService.deleteRule(req.params.id, req.user.id);
+    return res.status(204).send();
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,36 @@ const auth = require('../middleware/auth');
 const roleAuth = require('../middleware/roleAuth');
 const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
 const reviewService = require('../services/reviewService');
+const reviewAssignmentService = require('../services/reviewAssignmentService');
+
+// Query parameters of the flagged item lists
+const queueValidators = [
+  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
+  query('sortBy').optional().trim().escape().isString().withMessage('Sort field must be a string'), // Sanitize sortBy
+  query('sortOrder').optional().trim().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+];
+
+/**
+ * Paging and sorting of a flagged item list from the validated query
+ * @param {Object} reqQuery - Sanitized query parameters
+ * @returns {Object} Options for reviewService.getFlaggedItems
+ */
+const queueOptions = (reqQuery) => {
+  const options = {
+    limit: reqQuery.limit || 10, // Use default if not provided
+    offset: reqQuery.offset || 0,
+    sortBy: reqQuery.sortBy || 'created_at', // Default sort field
+    sortOrder: reqQuery.sortOrder || 'desc' // Default sort order
+  };
+
+  // Validate sortBy against allowed fields if necessary
+  const allowedSortFields = ['id', 'description', 'hs_code', 'created_at', 'updated_at', 'assigned_at']; // Example allowed fields
+  if (!allowedSortFields.includes(options.sortBy)) {
+    options.sortBy = 'created_at'; // Default to a safe field if invalid
+  }
+  return options;
+};
 
 // --- Swagger Definitions ---
 
@@ -43,7 +73,76 @@ const reviewService = require('../services/reviewService');
  *         updated_at:
  *           type: string
  *           format: date-time
+ *         assigned_to:
+ *           type: integer
+ *           nullable: true
+ *           description: Reviewer the item is assigned to or claimed by; null while unassigned.
+ *         assigned_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Start of the assignment or latest claim. Items not reviewed within REVIEW_CLAIM_TIMEOUT_MINUTES return to the unassigned pool.
+ *         claimed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the reviewer claimed the item rather than being assigned it.
+ *         assignee:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             full_name:
+ *               type: string
+ *             email:
+ *               type: string
  *         # Add related invoice/supplier info if needed by frontend
+ *     ReviewAssignment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: ID of the flagged invoice line.
+ *         assigned_to:
+ *           type: integer
+ *           nullable: true
+ *         assigned_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         claimed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ReviewerWorkload:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         hs_chapters:
+ *           type: array
+ *           description: Two-digit HS chapters the reviewer is preferred for with the expertise strategy.
+ *           items:
+ *             type: string
+ *           example: ["61", "62"]
+ *         available:
+ *           type: boolean
+ *           description: False while away; no new items are assigned.
+ *         last_assigned_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         open_items:
+ *           type: integer
+ *           description: Flagged items assigned to the reviewer.
+ *         claimed_items:
+ *           type: integer
+ *           description: Of which claimed by the reviewer.
  *     ReviewActionInput:
  *       type: object
  *       properties:
@@ -178,35 +277,99 @@ const reviewService = require('../services/reviewService');
 router.get('/flagged', [
   auth,
   roleAuth(['admin', 'reviewer']),
-  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer').toInt(),
-  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
-  query('sortBy').optional().trim().escape().isString().withMessage('Sort field must be a string'), // Sanitize sortBy
-  query('sortOrder').optional().trim().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  ...queueValidators,
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
   try {
     // Use validated/sanitized query parameters
-    const options = {
-      limit: req.query.limit || 10, // Use default if not provided
-      offset: req.query.offset || 0,
-      sortBy: req.query.sortBy || 'created_at', // Default sort field
-      sortOrder: req.query.sortOrder || 'desc' // Default sort order
-    };
-
-    // Validate sortBy against allowed fields if necessary
-    const allowedSortFields = ['id', 'description', 'hs_code', 'created_at', 'updated_at']; // Example allowed fields
-    if (!allowedSortFields.includes(options.sortBy)) {
-        options.sortBy = 'created_at'; // Default to a safe field if invalid
-    }
-
-
-    const result = await reviewService.getFlaggedItems(options);
+    const result = await reviewService.getFlaggedItems(queueOptions(req.query));
     return res.json(result); // Service should return { count, rows }
   } catch (error) {
     next(error); // Pass error to centralized handler
   }
 });
 
+/**
+ * @swagger
+ * /reviews/queue/mine:
+ *   get:
+ *     summary: Flagged items assigned to or claimed by the current reviewer
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/paginationLimit'
+ *       - $ref: '#/components/parameters/paginationOffset'
+ *       - $ref: '#/components/parameters/sortByParam'
+ *       - $ref: '#/components/parameters/sortOrderParam'
+ *     responses:
+ *       200:
+ *         description: The reviewer's items and pagination.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       422:
+ *         description: Validation Error (Invalid query parameters)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/queue/mine', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  ...queueValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const result = await reviewService.getFlaggedItems({ ...queueOptions(req.query), assignedTo: req.user.id });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/queue/unassigned:
+ *   get:
+ *     summary: Flagged items no reviewer is assigned, to claim from
+ *     description: >
+ *       Items wait here until the next automatic assignment (REVIEW_ASSIGNMENT_STRATEGY), or stay here when
+ *       assignment is manual or every reviewer is at REVIEW_MAX_OPEN_ITEMS.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/paginationLimit'
+ *       - $ref: '#/components/parameters/paginationOffset'
+ *       - $ref: '#/components/parameters/sortByParam'
+ *       - $ref: '#/components/parameters/sortOrderParam'
+ *     responses:
+ *       200:
+ *         description: Unassigned items and pagination.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       422:
+ *         description: Validation Error (Invalid query parameters)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/queue/unassigned', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  ...queueValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const result = await reviewService.getFlaggedItems({ ...queueOptions(req.query), assignedTo: null });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /reviews/flagged/{id}:
@@ -219,11 +382,29 @@ router.get('/flagged', [
  *       - $ref: '#/components/parameters/flaggedItemIdParam'
  *     responses:
  *       200:
- *         description: Details of the flagged item.
+ *         description: |
+ *           Details of the flagged item, with the rationale and alternative codes of its automatic classification
+ *           what reviewers decided for the same supplier product before, and the valid binding rulings covering
+ *           it. Any candidate code can be applied through POST /reviews/adjust/{id}.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/FlaggedItem'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/FlaggedItem'
+ *                 - type: object
+ *                   properties:
+ *                     classification_detail:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ClassificationDetail'
+ *                     memory_suggestion:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ClassificationMemorySuggestion'
+ *                     rulings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RulingMatch'
  *       401:
  *         description: Unauthorized
  *       403:
@@ -292,6 +473,8 @@ router.get('/flagged/:id', [
  *         description: Forbidden (User lacks reviewer role)
  *       404:
  *         description: Flagged item not found
+ *       409:
+ *         description: The item is assigned to another reviewer
  *       422:
  *         description: Validation Error
  *       500:
@@ -317,6 +500,9 @@ router.post('/approve/:id', [
       result // Return updated item from service
     });
   } catch (error) {
+     if (error.status === 409) { // Assigned to another reviewer
+        return res.status(409).json({ message: error.message });
+    }
      if (error.message && error.message.toLowerCase().includes('not found')) {
         return res.status(404).json({ message: error.message });
     }
@@ -329,6 +515,9 @@ router.post('/approve/:id', [
  * /reviews/adjust/{id}:
  *   post:
  *     summary: Adjust the HS code for a flagged item
+ *     description: >
+ *       A code contradicting a valid binding ruling for the supplier's product is still applied, but the response
+ *       lists the rulings in result.ruling_conflicts and the conflict is recorded in the history comment.
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -352,14 +541,26 @@ router.post('/approve/:id', [
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 result: # Include updated item details
- *                   $ref: '#/components/schemas/FlaggedItem'
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     invoiceLine:
+ *                       $ref: '#/components/schemas/FlaggedItem'
+ *                     history:
+ *                       $ref: '#/components/schemas/ClassificationHistoryEntry'
+ *                     ruling_conflicts:
+ *                       type: array
+ *                       description: Valid binding rulings for the product whose code the new one contradicts.
+ *                       items:
+ *                         $ref: '#/components/schemas/RulingMatch'
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden (User lacks reviewer role)
  *       404:
  *         description: Flagged item not found
+ *       409:
+ *         description: The item is assigned to another reviewer
  *       422:
  *         description: Validation Error
  *       500:
@@ -369,7 +570,7 @@ router.post('/adjust/:id', [
   auth,
   roleAuth(['admin', 'reviewer']),
   param('id').isInt({ gt: 0 }).withMessage('ID must be a positive integer').toInt(),
-  body('hs_code').trim().notEmpty().withMessage('HS code is required').escape(), // Sanitize HS code
+  body('hs_code').trim().notEmpty().withMessage('HS code is required'), // Checked against the nomenclature by the service
   body('comment').optional().trim().escape().isString().withMessage('Comment must be a string'),
   handleValidationErrors // Apply validation handler
 ], async (req, res, next) => { // Added next
@@ -382,10 +583,15 @@ router.post('/adjust/:id', [
      // Service should throw error if not found
     return res.json({
       success: true,
-      message: 'HS code adjusted successfully',
+      message: result.ruling_conflicts.length > 0
+        ? `HS code adjusted, but it contradicts binding ruling ${result.ruling_conflicts.map(match => match.ruling_number).join(', ')}`
+        : 'HS code adjusted successfully',
       result // Return updated item from service
     });
   } catch (error) {
+     if (error.status === 422 || error.status === 409) { // HS code not in the nomenclature, or assigned to another reviewer
+        return res.status(error.status).json({ message: error.message });
+    }
      if (error.message && error.message.toLowerCase().includes('not found')) {
         return res.status(404).json({ message: error.message });
     }
@@ -393,6 +599,295 @@ router.post('/adjust/:id', [
   }
 });
 
+/**
+ * @swagger
+ * /reviews/claim/{id}:
+ *   post:
+ *     summary: Claim a flagged item so no other reviewer works on it
+ *     description: >
+ *       The item must be unassigned or already assigned to the current reviewer; claiming it again restarts its
+ *       timeout. Claims not acted on within REVIEW_CLAIM_TIMEOUT_MINUTES are released automatically.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/flaggedItemIdParam'
+ *     responses:
+ *       200:
+ *         description: Item claimed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReviewAssignment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Flagged item not found
+ *       409:
+ *         description: The item is assigned to another reviewer
+ *       500:
+ *         description: Server Error
+ */
+router.post('/claim/:id', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  param('id').isInt({ gt: 0 }).withMessage('ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const assignment = await reviewAssignmentService.claimItem(req.params.id, req.user.id);
+    return res.json(assignment);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/release/{id}:
+ *   post:
+ *     summary: Give a claimed or assigned item back to the unassigned pool
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/flaggedItemIdParam'
+ *     responses:
+ *       200:
+ *         description: Item released
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReviewAssignment'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Flagged item not found
+ *       409:
+ *         description: The item is not assigned to the current reviewer
+ *       500:
+ *         description: Server Error
+ */
+router.post('/release/:id', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  param('id').isInt({ gt: 0 }).withMessage('ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const assignment = await reviewAssignmentService.releaseItem(req.params.id, req.user.id);
+    return res.json(assignment);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/reassign:
+ *   post:
+ *     summary: Assign flagged items to a reviewer, or back to the unassigned pool, in bulk
+ *     description: Takes the items from whoever holds them. Items no longer flagged are skipped.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - item_ids
+ *             properties:
+ *               item_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               user_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Reviewer to assign; null or left out to unassign.
+ *     responses:
+ *       200:
+ *         description: Number of items reassigned.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reassigned:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error, or the user is not a reviewer
+ *       500:
+ *         description: Server Error
+ */
+router.post('/reassign', [
+  auth,
+  roleAuth(['admin']),
+  body('item_ids').isArray({ min: 1, max: 500 }).withMessage('Item IDs must be an array of 1 to 500 IDs'),
+  body('item_ids.*').isInt({ gt: 0 }).withMessage('Item IDs must be positive integers').toInt(),
+  body('user_id').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { item_ids: itemIds, user_id: userId } = req.body;
+    const result = await reviewAssignmentService.reassignItems(itemIds, userId || null, req.user.id);
+    return res.json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/assign:
+ *   post:
+ *     summary: Release expired claims and assign unassigned items now, rather than at the next scheduled run
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: >
+ *           Counts of items released, assigned, and left unassigned because every reviewer was at
+ *           REVIEW_MAX_OPEN_ITEMS.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.post('/assign', [
+  auth,
+  roleAuth(['admin'])
+], async (req, res, next) => {
+  try {
+    const result = await reviewAssignmentService.assignPendingItems();
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/reviewers:
+ *   get:
+ *     summary: Reviewers with their HS chapter expertise, availability and workload
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Users holding a reviewer role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReviewerWorkload'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       500:
+ *         description: Server Error
+ */
+router.get('/reviewers', [
+  auth,
+  roleAuth(['admin'])
+], async (req, res, next) => {
+  try {
+    const reviewers = await reviewAssignmentService.listReviewers();
+    return res.json(reviewers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/reviewers/{userId}:
+ *   put:
+ *     summary: Set a reviewer's HS chapters or availability
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hs_chapters:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["61", "62"]
+ *               available:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Reviewer not found
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.put('/reviewers/:userId', [
+  auth,
+  roleAuth(['admin']),
+  param('userId').isInt({ gt: 0 }).withMessage('User ID must be a positive integer').toInt(),
+  body('hs_chapters').optional().isArray({ max: 97 }).withMessage('HS chapters must be an array'),
+  body('hs_chapters.*').trim().matches(/^(0?[1-9]|[1-8]\d|9[0-7])$/).withMessage('HS chapters must be between 01 and 97'),
+  body('available').optional().isBoolean().withMessage('Available must be a boolean').toBoolean(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { hs_chapters, available } = req.body;
+    const profile = await reviewAssignmentService.updateReviewerProfile(req.params.userId, { hs_chapters, available });
+    return res.json(profile);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /reviews/stats:
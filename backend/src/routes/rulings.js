@@ -0,0 +1,557 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const rulingService = require('../services/rulingService');
+
+// Ruling fields shared by create and update; create additionally requires the number, description, code and start
+const rulingValidators = [
+  body('issuing_authority').optional({ values: 'null' }).trim().escape().isLength({ max: 100 }).withMessage('Issuing authority must be at most 100 characters'),
+  body('organization_id').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('Organization ID must be a positive integer').toInt(),
+  body('supplier').optional({ values: 'null' }).trim().escape().isLength({ max: 255 }).withMessage('Supplier must be at most 255 characters'),
+  body('sku').optional({ values: 'null' }).trim().isLength({ max: 100 }).withMessage('SKU must be at most 100 characters'),
+  body('valid_until').optional({ values: 'null' }).isISO8601({ strict: true }).withMessage('Valid until must be a date (YYYY-MM-DD)'),
+  body('notes').optional({ values: 'null' }).trim().escape(),
+  body('file.name').if(body('file').exists()).trim().notEmpty().withMessage('File name is required')
+    .isLength({ max: 255 }).withMessage('File name must be at most 255 characters'),
+  body('file.content').if(body('file').exists()).isBase64().withMessage('File content must be base64 encoded'),
+  body('file.mimeType').optional().trim().isMimeType().withMessage('Invalid MIME type')
+];
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BindingRuling:
+ *       type: object
+ *       description: Advance classification ruling held for a product. A ruling naming no supplier covers the product from any supplier.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         ruling_number:
+ *           type: string
+ *           example: NLRTD-2025-000123
+ *         issuing_authority:
+ *           type: string
+ *           nullable: true
+ *         organization_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Organization holding the ruling; null for every organization.
+ *         supplier:
+ *           type: string
+ *           nullable: true
+ *         sku:
+ *           type: string
+ *           description: Supplier article number, upper-cased; empty when the ruling names none.
+ *         product_description:
+ *           type: string
+ *         hs_code:
+ *           type: string
+ *         valid_from:
+ *           type: string
+ *           format: date
+ *         valid_until:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Null until revoked.
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         document_filename:
+ *           type: string
+ *           nullable: true
+ *         has_document:
+ *           type: boolean
+ *           description: The ruling PDF can be downloaded from GET /rulings/{id}/document.
+ *     RulingMatch:
+ *       type: object
+ *       description: Valid binding ruling covering a product, matched on its SKU or a similar description.
+ *       properties:
+ *         ruling_id:
+ *           type: integer
+ *         ruling_number:
+ *           type: string
+ *         issuing_authority:
+ *           type: string
+ *           nullable: true
+ *         hs_code:
+ *           type: string
+ *         product_description:
+ *           type: string
+ *         valid_from:
+ *           type: string
+ *           format: date
+ *         valid_until:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         has_document:
+ *           type: boolean
+ *         matched_on:
+ *           type: string
+ *           enum: [sku, description]
+ *         score:
+ *           type: number
+ *           description: 1 for SKU matches, otherwise the description similarity (at least RULING_MATCH_THRESHOLD).
+ *     BindingRulingInput:
+ *       type: object
+ *       properties:
+ *         ruling_number:
+ *           type: string
+ *         issuing_authority:
+ *           type: string
+ *         organization_id:
+ *           type: integer
+ *           nullable: true
+ *         supplier:
+ *           type: string
+ *           nullable: true
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *         product_description:
+ *           type: string
+ *         hs_code:
+ *           type: string
+ *           description: Must be in the nomenclature.
+ *         valid_from:
+ *           type: string
+ *           format: date
+ *         valid_until:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *         file:
+ *           type: object
+ *           description: The ruling PDF, replacing any stored one.
+ *           required:
+ *             - name
+ *             - content
+ *           properties:
+ *             name:
+ *               type: string
+ *             content:
+ *               type: string
+ *               format: byte
+ *               description: Base64-encoded PDF.
+ *             mimeType:
+ *               type: string
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /rulings:
+ *   get:
+ *     summary: Search the binding ruling library
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text in the ruling number, supplier or product description
+ *       - in: query
+ *         name: hs_code
+ *         schema:
+ *           type: string
+ *         description: Rulings for this code or codes under it
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [valid, expired, upcoming]
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: integer
+ *         description: Only this organization's rulings and the shared ones
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Rulings, most recent first, and pagination.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  query('q').optional().trim().escape(),
+  query('hs_code').optional().trim().matches(/^\d{2}[\d.]*$/).withMessage('HS code must start with a chapter, e.g. 84 or 8471.30'),
+  query('status').optional().isIn(['valid', 'expired', 'upcoming']).withMessage('Status must be valid, expired or upcoming'),
+  query('organization_id').optional().isInt({ gt: 0 }).withMessage('Organization ID must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { q, hs_code: hsCode, status, organization_id: organizationId, limit, offset } = req.query; // Use sanitized query
+    const result = await rulingService.listRulings({ q, hsCode, status, organizationId, limit, offset });
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /rulings/matches:
+ *   get:
+ *     summary: Valid binding rulings covering an invoice line's product
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: invoice_line_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching rulings, SKU matches first, then by description similarity.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RulingMatch'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Invoice line not found
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/matches', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  query('invoice_line_id').isInt({ gt: 0 }).withMessage('Invoice line ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const matches = await rulingService.findRulingsForLine(req.query.invoice_line_id);
+    return res.json(matches);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /rulings/{id}:
+ *   get:
+ *     summary: Get a binding ruling
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ruling
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BindingRuling'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Binding ruling not found
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  param('id').isInt({ gt: 0 }).withMessage('Ruling ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const ruling = await rulingService.getRuling(req.params.id);
+    return res.json(ruling);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /rulings/{id}/document:
+ *   get:
+ *     summary: Download the ruling PDF
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Ruling or document not found
+ *       500:
+ *         description: Server Error
+ */
+router.get('/:id/document', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  param('id').isInt({ gt: 0 }).withMessage('Ruling ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { filePath, filename, mimeType } = await rulingService.getRulingDocument(req.params.id);
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/"/g, '')}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    const fileStream = fs.createReadStream(filePath);
+    fileStream.on('error', (streamError) => {
+      if (!res.headersSent) {
+        next(streamError);
+      }
+    });
+    fileStream.pipe(res);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /rulings:
+ *   post:
+ *     summary: Add a binding ruling to the library
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BindingRulingInput'
+ *               - required:
+ *                   - ruling_number
+ *                   - product_description
+ *                   - hs_code
+ *                   - valid_from
+ *     responses:
+ *       201:
+ *         description: Ruling created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BindingRuling'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       409:
+ *         description: A ruling with this number is already in the library
+ *       413:
+ *         description: Document too large
+ *       415:
+ *         description: Document is not a PDF
+ *       422:
+ *         description: Validation Error (e.g. HS code not in the nomenclature)
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  body('ruling_number').trim().notEmpty().isLength({ max: 50 }).withMessage('Ruling number must be 1 to 50 characters'),
+  body('product_description').trim().escape().notEmpty().withMessage('Product description is required'),
+  body('hs_code').trim().notEmpty().withMessage('HS code is required'), // Checked against the nomenclature by the service
+  body('valid_from').isISO8601({ strict: true }).withMessage('Valid from must be a date (YYYY-MM-DD)'),
+  ...rulingValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { file, ...data } = req.body;
+    const ruling = await rulingService.createRuling(data, file, req.user.id);
+    return res.status(201).json(ruling);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /rulings/{id}:
+ *   put:
+ *     summary: Update a binding ruling, e.g. to record its revocation in valid_until or attach its PDF
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BindingRulingInput'
+ *     responses:
+ *       200:
+ *         description: Ruling updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BindingRuling'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks reviewer role)
+ *       404:
+ *         description: Binding ruling not found
+ *       409:
+ *         description: A ruling with this number is already in the library
+ *       413:
+ *         description: Document too large
+ *       415:
+ *         description: Document is not a PDF
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.put('/:id', [
+  auth,
+  roleAuth(['admin', 'reviewer']),
+  param('id').isInt({ gt: 0 }).withMessage('Ruling ID must be a positive integer').toInt(),
+  body('ruling_number').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Ruling number must be 1 to 50 characters'),
+  body('product_description').optional().trim().escape().notEmpty().withMessage('Product description must not be empty'),
+  body('hs_code').optional().trim().notEmpty().withMessage('HS code must not be empty'),
+  body('valid_from').optional().isISO8601({ strict: true }).withMessage('Valid from must be a date (YYYY-MM-DD)'),
+  ...rulingValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { file, ...data } = req.body;
+    const ruling = await rulingService.updateRuling(req.params.id, data, file, req.user.id);
+    return res.json(ruling);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /rulings/{id}:
+ *   delete:
+ *     summary: Remove a binding ruling and its PDF from the library
+ *     description: To keep an expired or revoked ruling on record, set valid_until instead.
+ *     tags: [Binding Rulings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ruling deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Binding ruling not found
+ *       500:
+ *         description: Server Error
+ */
+router.delete('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Ruling ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    await rulingService.deleteRuling(req.params.id, req.user.id);
+    return res.json({ message: 'Binding ruling deleted successfully' });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const auth = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
 const documentService = require('../services/documentService');
 const submissionService = require('../services/submissionService');
+const restrictionService = require('../services/restrictionService');
 const db = require('../models');
 const { Invoice, Submission } = db;
 
@@ -53,7 +54,6 @@ async function verifyInvoiceAccess(invoiceId, userId) {
     return invoice;
 }
 
-
 // --- Swagger Definitions ---
 
 /**
@@ -71,8 +71,10 @@ async function verifyInvoiceAccess(invoiceId, userId) {
  *           description: ID of the associated invoice.
  *         status:
  *           type: string
- *           enum: [Pending, Submitted, Accepted, Rejected, Failed]
- *           description: Current status of the submission.
+ *           enum: [Pending, Submitted, Accepted, Rejected, Failed, PendingReconciliation]
+ *           description: >
+ *             Current status of the submission. PendingReconciliation means customs received the declaration
+ *             but the invoice could not be marked Submitted; it is not retried.
  *         submitted_at:
  *           type: string
  *           format: date-time
@@ -101,6 +103,9 @@ async function verifyInvoiceAccess(invoiceId, userId) {
  *           type: boolean
  *         submission:
  *           $ref: '#/components/schemas/Submission'
+ *         snapshotVersion:
+ *           type: integer
+ *           description: Version of the invoice snapshot frozen for this submission.
  *         method:
  *           type: string
  *           description: Method used for submission.
@@ -114,7 +119,7 @@ async function verifyInvoiceAccess(invoiceId, userId) {
  *           type: integer
  *         status:
  *           type: string
- *           enum: [Pending, Submitted, Accepted, Rejected, Failed]
+ *           enum: [Pending, Submitted, Accepted, Rejected, Failed, PendingReconciliation]
  *         response_message:
  *           type: string
  *         updated_at:
@@ -156,12 +161,12 @@ async function verifyInvoiceAccess(invoiceId, userId) {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SubmissionResponse'
- *       400:
- *         description: Bad Request (e.g., invoice already submitted or not in correct state)
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Invoice not found or access denied
+ *       409:
+ *         description: Invoice is not in 'Ready' status, is a suspected or confirmed duplicate, has lines with prohibited goods or missing permit references, or has denied-party matches awaiting review or confirmed
  *       422:
  *         description: Validation Error (Invalid ID format)
  *       500:
@@ -179,18 +184,10 @@ router.post('/:invoiceId', [
     // Verify invoice access and get its status
     const invoice = await verifyInvoiceAccess(invoiceId, userId);
 
-    // Check if invoice is in a submittable state (e.g., 'Draft' or 'Approved' depending on workflow)
-    // For now, allowing submission from 'Draft' or 'Rejected'
-    if (invoice.status === 'Submitted' || invoice.status === 'Accepted') { // Assuming 'Accepted' means approved by customs
-        const error = new Error('Invoice has already been submitted and processed');
-        error.status = 400; // Bad Request
-        throw error;
-    }
-     if (invoice.status !== 'Draft' && invoice.status !== 'Rejected' && invoice.status !== 'Approved') { // Allow submission if Approved internally but not yet sent
-        const error = new Error(`Invoice in status '${invoice.status}' cannot be submitted.`);
-        error.status = 400; // Bad Request
-        throw error;
-    }
+    // Only invoices marked Ready can be submitted (rejected ones go through Amended first)
+    submissionService.assertSubmittable(invoice);
+    // Lines needing a permit must carry its reference; prohibited goods are never sent
+    await restrictionService.assertNoBlockingRestrictions(invoiceId);
 
 
     // Generate documents (service handles idempotency)
@@ -202,6 +199,7 @@ router.post('/:invoiceId', [
     return res.json({
       success: true,
       submission: result.submission, // The created/updated submission record
+      snapshotVersion: result.snapshotVersion,
       method: result.method,
       message: result.message
     });
@@ -337,6 +335,8 @@ router.get('/:invoiceId/:submissionId/status', [
  *         description: Unauthorized
  *       404:
  *         description: Invoice or original Submission not found / access denied
+ *       409:
+ *         description: Invoice is no longer in 'Ready' status, is a suspected or confirmed duplicate, has lines with prohibited goods or missing permit references, or has denied-party matches awaiting review or confirmed
  *       422:
  *         description: Validation Error (Invalid ID format)
  *       500:
@@ -364,8 +364,11 @@ router.post('/:invoiceId/:submissionId/retry', [
 
     // --- Proceed with retry (similar logic to initial submission) ---
 
-     // Verify invoice access and get its status (redundant check, but safe)
+     // Verify invoice access and get its status; a failed submission leaves the invoice Ready
     const invoice = await verifyInvoiceAccess(invoiceId, userId);
+    submissionService.assertSubmittable(invoice);
+    // Lines needing a permit must carry its reference; prohibited goods are never sent
+    await restrictionService.assertNoBlockingRestrictions(invoiceId);
 
     // Generate documents again (in case data changed)
     const documents = await documentService.generateDocuments(invoiceId);
@@ -376,6 +379,7 @@ router.post('/:invoiceId/:submissionId/retry', [
     return res.json({
       success: true,
       submission: result.submission, // The NEW submission record
+      snapshotVersion: result.snapshotVersion,
       method: result.method,
       message: `Retry successful. New submission ID: ${result.submission.id}` // Adjusted message
     });
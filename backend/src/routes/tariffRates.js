@@ -0,0 +1,329 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const tariffService = require('../services/tariffService');
+const importService = require('../services/importService');
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TariffRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         tariff_line:
+ *           type: string
+ *           description: National tariff line the rates apply to. A shorter code covers every line under it.
+ *         origin_country:
+ *           type: string
+ *           nullable: true
+ *           description: ISO 3166 alpha-2 origin of a preferential rate; null for the general rate.
+ *         duty_rate:
+ *           type: number
+ *           format: float
+ *           description: Import duty, percent of the customs value.
+ *         vat_rate:
+ *           type: number
+ *           format: float
+ *           description: VAT or ABST, percent of the customs value plus duty, excise and levy.
+ *         excise_rate:
+ *           type: number
+ *           format: float
+ *           description: Excise, percent of the customs value plus duty.
+ *         environmental_levy_rate:
+ *           type: number
+ *           format: float
+ *           description: Environmental levy, percent of the customs value.
+ *         effective_date:
+ *           type: string
+ *           format: date
+ *           description: Date from which the rates apply (until a newer row for the line and origin).
+ *         source:
+ *           type: string
+ *       example:
+ *         id: 1
+ *         tariff_line: "8471.30.00"
+ *         origin_country: null
+ *         duty_rate: 5
+ *         vat_rate: 15
+ *         excise_rate: 0
+ *         environmental_levy_rate: 1
+ *         effective_date: "2024-01-01"
+ *         source: "tariff-2024.csv"
+ *     DutyAmounts:
+ *       type: object
+ *       properties:
+ *         customs_value:
+ *           type: number
+ *           format: float
+ *         duty:
+ *           type: number
+ *           format: float
+ *         excise:
+ *           type: number
+ *           format: float
+ *         environmental_levy:
+ *           type: number
+ *           format: float
+ *         vat:
+ *           type: number
+ *           format: float
+ *         total:
+ *           type: number
+ *           format: float
+ *           description: Duties and taxes payable, excluding the customs value.
+ *     DutyEstimateLine:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DutyAmounts'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *               nullable: true
+ *             hs_code:
+ *               type: string
+ *             origin_country:
+ *               type: string
+ *               nullable: true
+ *             tariff_rate_id:
+ *               type: integer
+ *               nullable: true
+ *             tariff_line:
+ *               type: string
+ *               nullable: true
+ *               description: Tariff line of the rate applied.
+ *             rates:
+ *               type: object
+ *               nullable: true
+ *               description: Percentages applied (duty, excise, environmental_levy, vat) and their effective_date.
+ *             error:
+ *               type: string
+ *               nullable: true
+ *               description: Why the line could not be estimated (no HS code, customs value or rate). Such lines count as zero.
+ *     DutyEstimate:
+ *       type: object
+ *       properties:
+ *         invoice_id:
+ *           type: integer
+ *           description: Only for invoice estimates.
+ *         currency:
+ *           type: string
+ *           description: Base currency of the customs values and amounts.
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date the rates were taken as of.
+ *         lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DutyEstimateLine'
+ *         totals:
+ *           $ref: '#/components/schemas/DutyAmounts'
+ *         lines_without_rate:
+ *           type: integer
+ *           description: Lines left out of the totals; the estimate is incomplete while any remain.
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /tariff-rates:
+ *   get:
+ *     summary: List loaded tariff rates
+ *     tags: [Tariff Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tariff_line
+ *         schema:
+ *           type: string
+ *         description: Rates of this code and of the codes it falls under.
+ *       - in: query
+ *         name: origin
+ *         schema:
+ *           type: string
+ *         description: Preferential rates for this origin, with the general rates.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Tariff rates by line, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TariffRate'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  query('tariff_line').optional().trim().notEmpty().withMessage('Tariff line must not be empty'),
+  query('origin').optional().trim().toUpperCase().isISO31661Alpha2().withMessage('Origin must be an ISO 3166 alpha-2 code'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { tariff_line: tariffLine, origin, limit } = req.query; // Use sanitized query
+    const rates = await tariffService.listTariffRates({ tariffLine, origin, limit });
+    return res.json(rates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tariff-rates/import:
+ *   post:
+ *     summary: Load tariff rates from a CSV/XLSX file
+ *     description: >
+ *       The file needs tariff_line and effective_date columns, and any of duty_rate, vat_rate (or abst),
+ *       excise_rate and environmental_levy_rate as percentages; a blank rate is 0. An origin_country column
+ *       holds preferential rates; blank or * is the general rate. Rates already stored for the same line,
+ *       origin and date are replaced. Nothing is loaded if any row is invalid.
+ *     tags: [Tariff Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: File name or tariff edition. Defaults to the file name.
+ *               file:
+ *                 $ref: '#/components/schemas/ImportFile'
+ *     responses:
+ *       200:
+ *         description: Rates loaded.
+ *       400:
+ *         description: Unsupported or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error. Row-level failures are returned in errors.
+ *       500:
+ *         description: Server Error
+ */
+router.post('/import', [
+  auth,
+  roleAuth(['admin']),
+  body('source').optional().trim().escape().isLength({ max: 100 }).withMessage('Source must be at most 100 characters'),
+  body('file.name').trim().notEmpty().withMessage('File name is required'),
+  body('file.content').isBase64().withMessage('File content must be base64 encoded'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const { file, source } = req.body;
+    const { rows } = await importService.parseSpreadsheet(Buffer.from(file.content, 'base64'), file.name);
+    const result = await tariffService.loadTariffRates(rows, { source: source || file.name });
+
+    return res.status(result.errors.length > 0 ? 422 : 200).json(result);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /tariff-rates/estimate:
+ *   post:
+ *     summary: Estimate duties and taxes for lines given as HS code, customs value and origin
+ *     description: For a saved invoice use GET /invoices/{id}/duty-estimate, which values the lines itself.
+ *     tags: [Tariff Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - lines
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the rates must be effective on. Defaults to today.
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - hs_code
+ *                     - customs_value
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     hs_code:
+ *                       type: string
+ *                     customs_value:
+ *                       type: number
+ *                       format: float
+ *                       description: In the base currency.
+ *                     origin_country:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Per-line and total duties.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DutyEstimate'
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.post('/estimate', [
+  auth,
+  body('date').optional().isISO8601().withMessage('Date must be a valid ISO8601 date'),
+  body('lines').isArray({ min: 1, max: 1000 }).withMessage('Lines must be an array of 1 to 1000 lines'),
+  body('lines.*.id').optional().isInt({ gt: 0 }).withMessage('Line ID must be a positive integer').toInt(),
+  body('lines.*.hs_code').trim().notEmpty().withMessage('HS code is required'),
+  body('lines.*.customs_value').isFloat({ min: 0 }).withMessage('Customs value must be a non-negative number').toFloat(),
+  body('lines.*.origin_country').optional({ values: 'falsy' }).trim().toUpperCase().isISO31661Alpha2().withMessage('Origin must be an ISO 3166 alpha-2 code'),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const estimate = await tariffService.estimateDuties(req.body.lines, { date: req.body.date }); // Use sanitized lines
+    return res.json(estimate);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleAuth = require('../middleware/roleAuth');
+const { handleValidationErrors } = require('../middleware/validation'); // Import validation handler
+const thresholdRuleService = require('../services/thresholdRuleService');
+
+// Rule fields shared by create and update; create additionally requires threshold
+const ruleValidators = [
+  body('organization_id').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('Organization ID must be a positive integer').toInt(),
+  body('hs_prefix').optional({ values: 'null' }).trim().matches(/^\d{2}(\.?\d{2}){0,2}$/).withMessage('HS prefix must be a chapter, heading or subheading, e.g. 84, 8471 or 8471.30'),
+  body('min_invoice_value').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum invoice value must be a non-negative number').toFloat(),
+  body('max_invoice_value').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Maximum invoice value must be a positive number').toFloat(),
+  body('description').optional({ values: 'null' }).trim().escape().isLength({ max: 255 }).withMessage('Description must be at most 255 characters'),
+  body('active').optional().isBoolean().withMessage('Active must be a boolean').toBoolean()
+];
+
+// --- Swagger Definitions ---
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ThresholdRule:
+ *       type: object
+ *       description: >
+ *         Confidence below which a classification is flagged for review. Empty scopes match everything.
+ *         When several active rules match a line, the organization's own rules win over global ones, then the
+ *         longest HS prefix, then rules with a value band, then the newest. CONFIDENCE_THRESHOLD applies when none match.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         organization_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Organization the rule is for; null for every organization.
+ *         hs_prefix:
+ *           type: string
+ *           nullable: true
+ *           description: Leading digits of the HS code (chapter, heading or subheading); null for every code.
+ *         min_invoice_value:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Lowest invoice customs value (base currency) the rule applies to, inclusive.
+ *         max_invoice_value:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Invoice customs value (base currency) from which the rule no longer applies.
+ *         threshold:
+ *           type: number
+ *           format: float
+ *           description: Classifications with a lower confidence are flagged.
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *       example:
+ *         id: 3
+ *         organization_id: 1
+ *         hs_prefix: "84"
+ *         min_invoice_value: null
+ *         max_invoice_value: null
+ *         threshold: 0.9
+ *         description: "Stricter review for machinery"
+ *         active: true
+ *     ThresholdRuleInput:
+ *       type: object
+ *       properties:
+ *         organization_id:
+ *           type: integer
+ *           nullable: true
+ *         hs_prefix:
+ *           type: string
+ *           nullable: true
+ *         min_invoice_value:
+ *           type: number
+ *           nullable: true
+ *         max_invoice_value:
+ *           type: number
+ *           nullable: true
+ *         threshold:
+ *           type: number
+ *           description: Between 0 and 1. Required when creating a rule.
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *   parameters:
+ *     thresholdRuleIdParam:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: ID of the threshold rule.
+ */
+
+// --- Routes ---
+
+/**
+ * @swagger
+ * /threshold-rules:
+ *   get:
+ *     summary: List review threshold rules
+ *     tags: [Threshold Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: integer
+ *         description: Only the rules that can apply to this organization (its own and the global ones).
+ *     responses:
+ *       200:
+ *         description: Threshold rules.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ThresholdRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error
+ *       500:
+ *         description: Server Error
+ */
+router.get('/', [
+  auth,
+  roleAuth(['admin']),
+  query('organization_id').optional().isInt({ gt: 0 }).withMessage('Organization ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rules = await thresholdRuleService.listRules({ organizationId: req.query.organization_id });
+    return res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /threshold-rules:
+ *   post:
+ *     summary: Create a review threshold rule
+ *     tags: [Threshold Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ThresholdRuleInput'
+ *     responses:
+ *       201:
+ *         description: Rule created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThresholdRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       422:
+ *         description: Validation Error, unknown organization or empty value band
+ *       500:
+ *         description: Server Error
+ */
+router.post('/', [
+  auth,
+  roleAuth(['admin']),
+  body('threshold').isFloat({ min: 0, max: 1 }).withMessage('Threshold must be between 0 and 1').toFloat(),
+  ...ruleValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rule = await thresholdRuleService.createRule(req.body, req.user.id);
+    return res.status(201).json(rule);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /threshold-rules/{id}:
+ *   put:
+ *     summary: Update a review threshold rule
+ *     description: Only the fields sent are changed. Lines classified earlier keep the threshold recorded for them.
+ *     tags: [Threshold Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/thresholdRuleIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ThresholdRuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThresholdRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         description: Validation Error, unknown organization or empty value band
+ *       500:
+ *         description: Server Error
+ */
+router.put('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Rule ID must be a positive integer').toInt(),
+  body('threshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Threshold must be between 0 and 1').toFloat(),
+  ...ruleValidators,
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    const rule = await thresholdRuleService.updateRule(req.params.id, req.body, req.user.id);
+    return res.json(rule);
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /threshold-rules/{id}:
+ *   delete:
+ *     summary: Delete a review threshold rule
+ *     description: Set active to false instead to keep the rule for later.
+ *     tags: [Threshold Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/thresholdRuleIdParam'
+ *     responses:
+ *       204:
+ *         description: Rule deleted.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (User lacks admin role)
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Server Error
+ */
+router.delete('/:id', [
+  auth,
+  roleAuth(['admin']),
+  param('id').isInt({ gt: 0 }).withMessage('Rule ID must be a positive integer').toInt(),
+  handleValidationErrors
+], async (req, res, next) => {
+  try {
+    await thresholdRuleService.deleteRule(req.params.id, req.user.id);
+    return res.status(204).send();
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
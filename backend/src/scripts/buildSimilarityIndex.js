@@ -0,0 +1,34 @@
+/**
+ * Embed every classified invoice line that is not in the similar-lines index yet
+ * Use it to fill the index the first time or after changing EMBEDDING_MODEL; the server keeps it
+ * up to date afterwards (EMBEDDING_INDEX_INTERVAL_MS).
+ * Run with: node src/scripts/buildSimilarityIndex.js
+ */
+
+require('dotenv').config();
+const db = require('../models');
+const embeddingService = require('../services/embeddingService');
+const similarLineService = require('../services/similarLineService');
+
+const buildSimilarityIndex = async () => {
+  if (!embeddingService.isConfigured()) {
+    console.error('OPENAI_API_KEY must be set to generate embeddings.');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const indexed = await similarLineService.indexAllPendingLines();
+
+    console.log(`Embedded ${indexed} invoice lines with ${embeddingService.EMBEDDING_MODEL}.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error building the similarity index:', error);
+    process.exit(1);
+  }
+};
+
+// Run the build
+buildSimilarityIndex();
@@ -0,0 +1,72 @@
+/**
+ * Evaluate the classifier against a labelled dataset and store the run
+ * The CSV or XLSX file needs description and hs_code columns. Providers is a comma-separated chain
+ * (e.g. llm,keyword) and defaults to CLASSIFICATION_PROVIDERS.
+ * Run with: node src/scripts/evaluateClassifier.js <file> [providers] [name]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../models');
+const importService = require('../services/importService');
+const evaluationService = require('../services/evaluationService');
+
+const percent = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+const evaluateClassifier = async () => {
+  const [filePath, providers, name] = process.argv.slice(2);
+
+  if (!filePath) {
+    console.error('Usage: node src/scripts/evaluateClassifier.js <file> [providers] [name]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const buffer = await fs.readFile(filePath);
+    const { rows } = await importService.parseSpreadsheet(buffer, filePath);
+    const { items, errors } = evaluationService.parseDatasetRows(rows);
+
+    if (errors.length > 0) {
+      errors.forEach(({ row, errors: rowErrors }) => console.error(`Row ${row}: ${rowErrors.join('; ')}`));
+      console.error(`Nothing evaluated: ${errors.length} invalid rows.`);
+      process.exit(1);
+    }
+
+    const created = await evaluationService.createEvaluation({
+      dataset: path.basename(filePath),
+      items,
+      providers: providers ? providers.split(',').map(provider => provider.trim()).filter(Boolean) : undefined,
+      name
+    }, null);
+    console.log(`Evaluation ${created.id}: classifying ${items.length} items with ${created.providers.join(', ')}...`);
+
+    const evaluation = await evaluationService.runEvaluation(created.id);
+    if (evaluation.status !== 'Completed') {
+      console.error(`Evaluation ${evaluation.id} failed: ${evaluation.error}`);
+      process.exit(1);
+    }
+
+    const { metrics } = evaluation;
+    console.log(`Classified ${metrics.classified} of ${metrics.total} items (${metrics.failed} failed).`);
+    console.log(`Accuracy: exact ${percent(metrics.accuracy.exact)}, 6-digit ${percent(metrics.accuracy.hs6)}, `
+      + `4-digit ${percent(metrics.accuracy.hs4)}, chapter ${percent(metrics.accuracy.chapter)}`);
+    console.log(`Calibration: expected calibration error ${metrics.calibration.expected_calibration_error}, `
+      + `Brier score ${metrics.calibration.brier_score}`);
+    console.log('Threshold  Flagged  Accepted accuracy  Errors flagged');
+    metrics.thresholds.forEach((row) => {
+      console.log(`${row.threshold.toFixed(2).padEnd(11)}${percent(row.flag_rate).padEnd(9)}`
+        + `${percent(row.accepted_accuracy).padEnd(19)}${percent(row.errors_flagged)}`);
+    });
+    process.exit(0);
+  } catch (error) {
+    console.error('Error evaluating the classifier:', error);
+    process.exit(1);
+  }
+};
+
+// Run the evaluation
+evaluateClassifier();
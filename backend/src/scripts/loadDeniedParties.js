@@ -0,0 +1,44 @@
+/**
+ * Load a denied-party list from a locally stored file
+ * Supports the OFAC SDN list as SDN.CSV (pass ALT.CSV as alias file for the aliases) or sdn.xml, and the
+ * UN Security Council consolidated list as consolidated.xml. Every stored entry of the list is replaced.
+ * Run with: node src/scripts/loadDeniedParties.js <file> [alias-file] [source]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const db = require('../models');
+const deniedPartyService = require('../services/deniedPartyService');
+
+const loadDeniedParties = async () => {
+  const [filePath, aliasPath, source] = process.argv.slice(2);
+
+  if (!filePath) {
+    console.error('Usage: node src/scripts/loadDeniedParties.js <file> [alias-file] [source]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const file = { filename: filePath, buffer: await fs.readFile(filePath) };
+    const aliasFile = aliasPath ? { filename: aliasPath, buffer: await fs.readFile(aliasPath) } : null;
+    const result = await deniedPartyService.loadDeniedPartyList(file, { aliasFile, source });
+
+    if (result.errors.length > 0) {
+      result.errors.forEach(({ row, errors }) => console.error(`Entry ${row}: ${errors.join('; ')}`));
+      console.error(`No entries loaded: ${result.errors.length} invalid entries.`);
+      process.exit(1);
+    }
+
+    console.log(`Loaded ${result.loaded} ${result.list} entries.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error loading denied-party list:', error);
+    process.exit(1);
+  }
+};
+
+// Run the loader
+loadDeniedParties();
@@ -0,0 +1,45 @@
+/**
+ * Load exchange rates from a CSV or XLSX file
+ * The file needs from_currency, to_currency, rate and effective_date columns.
+ * Run with: node src/scripts/loadExchangeRates.js <file> [source]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../models');
+const importService = require('../services/importService');
+const currencyService = require('../services/currencyService');
+
+const loadExchangeRates = async () => {
+  const [filePath, source] = process.argv.slice(2);
+
+  if (!filePath) {
+    console.error('Usage: node src/scripts/loadExchangeRates.js <file> [source]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const buffer = await fs.readFile(filePath);
+    const { rows } = await importService.parseSpreadsheet(buffer, filePath);
+    const result = await currencyService.loadExchangeRates(rows, { source: source || path.basename(filePath) });
+
+    if (result.errors.length > 0) {
+      result.errors.forEach(({ row, errors }) => console.error(`Row ${row}: ${errors.join('; ')}`));
+      console.error(`No rates loaded: ${result.errors.length} invalid rows.`);
+      process.exit(1);
+    }
+
+    console.log(`Loaded ${result.loaded} exchange rates.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error loading exchange rates:', error);
+    process.exit(1);
+  }
+};
+
+// Run the loader
+loadExchangeRates();
@@ -0,0 +1,50 @@
+/**
+ * Load the correlation table between two HS editions from a CSV or XLSX file
+ * The file needs from_code and to_code columns (or columns named after the editions, e.g. "HS 2022") with
+ * one row per pair of codes, and an optional note. Replaces the table loaded for the same editions.
+ * Run with: node src/scripts/loadHsCorrelations.js <file> <from-version> <to-version> [source]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../models');
+const importService = require('../services/importService');
+const hsMigrationService = require('../services/hsMigrationService');
+
+const loadHsCorrelations = async () => {
+  const [filePath, fromVersion, toVersion, source] = process.argv.slice(2);
+
+  if (!filePath || !fromVersion || !toVersion) {
+    console.error('Usage: node src/scripts/loadHsCorrelations.js <file> <from-version> <to-version> [source]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const buffer = await fs.readFile(filePath);
+    const { rows } = await importService.parseSpreadsheet(buffer, filePath);
+    const result = await hsMigrationService.loadCorrelations(rows, {
+      fromVersion,
+      toVersion,
+      source: source || path.basename(filePath)
+    });
+
+    if (result.errors.length > 0) {
+      result.errors.forEach(({ row, errors }) => console.error(`Row ${row}: ${errors.join('; ')}`));
+      console.error(`No correlations loaded: ${result.errors.length} invalid rows.`);
+      process.exit(1);
+    }
+
+    console.log(`Loaded ${result.loaded} correlations from ${fromVersion} to ${toVersion}.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error loading HS correlations:', error);
+    process.exit(1);
+  }
+};
+
+// Run the loader
+loadHsCorrelations();
@@ -0,0 +1,46 @@
+/**
+ * Load the HS nomenclature from a CSV or XLSX file
+ * The file needs code and description columns, plus a section column (Roman numeral) for chapters.
+ * Rows can be sections (I-XXI), chapters, headings, subheadings and national tariff lines in any order.
+ * Run with: node src/scripts/loadHsNomenclature.js <file> [source]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../models');
+const importService = require('../services/importService');
+const hsNomenclatureService = require('../services/hsNomenclatureService');
+
+const loadHsNomenclature = async () => {
+  const [filePath, source] = process.argv.slice(2);
+
+  if (!filePath) {
+    console.error('Usage: node src/scripts/loadHsNomenclature.js <file> [source]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const buffer = await fs.readFile(filePath);
+    const { rows } = await importService.parseSpreadsheet(buffer, filePath);
+    const result = await hsNomenclatureService.loadNomenclature(rows, { source: source || path.basename(filePath) });
+
+    if (result.errors.length > 0) {
+      result.errors.forEach(({ row, errors }) => console.error(`Row ${row}: ${errors.join('; ')}`));
+      console.error(`No codes loaded: ${result.errors.length} invalid rows.`);
+      process.exit(1);
+    }
+
+    console.log(`Loaded ${result.loaded} HS nomenclature entries.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error loading HS nomenclature:', error);
+    process.exit(1);
+  }
+};
+
+// Run the loader
+loadHsNomenclature();
@@ -0,0 +1,46 @@
+/**
+ * Load tariff rates from a CSV or XLSX file
+ * The file needs tariff_line and effective_date columns, with duty_rate, vat_rate, excise_rate and
+ * environmental_levy_rate percentages and an optional origin_country.
+ * Run with: node src/scripts/loadTariffRates.js <file> [source]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../models');
+const importService = require('../services/importService');
+const tariffService = require('../services/tariffService');
+
+const loadTariffRates = async () => {
+  const [filePath, source] = process.argv.slice(2);
+
+  if (!filePath) {
+    console.error('Usage: node src/scripts/loadTariffRates.js <file> [source]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const buffer = await fs.readFile(filePath);
+    const { rows } = await importService.parseSpreadsheet(buffer, filePath);
+    const result = await tariffService.loadTariffRates(rows, { source: source || path.basename(filePath) });
+
+    if (result.errors.length > 0) {
+      result.errors.forEach(({ row, errors }) => console.error(`Row ${row}: ${errors.join('; ')}`));
+      console.error(`No rates loaded: ${result.errors.length} invalid rows.`);
+      process.exit(1);
+    }
+
+    console.log(`Loaded ${result.loaded} tariff rates.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error loading tariff rates:', error);
+    process.exit(1);
+  }
+};
+
+// Run the loader
+loadTariffRates();
@@ -0,0 +1,50 @@
+/**
+ * Migrate stored HS codes to a new edition with the correlation table loaded by loadHsCorrelations.js
+ * One-to-one changes are applied; lines whose code was split are flagged for review. With --dry-run
+ * nothing is changed and only the counts are reported.
+ * Run with: node src/scripts/migrateHsCodes.js <from-version> <to-version> [--dry-run]
+ */
+
+require('dotenv').config();
+const db = require('../models');
+const hsMigrationService = require('../services/hsMigrationService');
+
+const migrateHsCodes = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [fromVersion, toVersion] = args.filter(arg => arg !== '--dry-run');
+
+  if (!fromVersion || !toVersion) {
+    console.error('Usage: node src/scripts/migrateHsCodes.js <from-version> <to-version> [--dry-run]');
+    process.exit(1);
+  }
+
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const created = await hsMigrationService.createMigration({ fromVersion, toVersion, dryRun }, null);
+    console.log(`Migration ${created.id}: ${dryRun ? 'checking' : 'remapping'} codes from ${fromVersion} to ${toVersion}...`);
+
+    const migration = await hsMigrationService.runMigration(created.id);
+    if (migration.status !== 'Completed') {
+      console.error(`Migration ${migration.id} failed: ${migration.error}`);
+      process.exit(1);
+    }
+
+    const { summary } = migration;
+    console.log(`Checked ${summary.lines_checked} lines: ${summary.lines_remapped} remapped, `
+      + `${summary.lines_split} split and flagged for review on ${summary.invoices_sent_to_review} invoices.`);
+    console.log(`Reviewer memory: ${summary.memories_remapped} entries remapped, ${summary.memories_removed} removed.`);
+    if (dryRun) {
+      console.log('Dry run: nothing was changed.');
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating HS codes:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateHsCodes();
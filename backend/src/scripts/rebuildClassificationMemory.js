@@ -0,0 +1,28 @@
+/**
+ * Rebuild the classification memory from the classification history
+ * Replays every reviewer decision (approvals, adjustments, manual overrides) oldest first,
+ * e.g. after upgrading or after history was corrected by hand.
+ * Run with: node src/scripts/rebuildClassificationMemory.js
+ */
+
+require('dotenv').config();
+const db = require('../models');
+const classificationMemoryService = require('../services/classificationMemoryService');
+
+const rebuildClassificationMemory = async () => {
+  try {
+    await db.sequelize.authenticate();
+    console.log('Database connection established successfully.');
+
+    const { decisions, entries } = await classificationMemoryService.rebuildMemory();
+
+    console.log(`Rebuilt classification memory: ${entries} products from ${decisions} reviewer decisions.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rebuilding classification memory:', error);
+    process.exit(1);
+  }
+};
+
+// Run the rebuild
+rebuildClassificationMemory();
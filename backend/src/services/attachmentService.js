@@ -0,0 +1,346 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const winston = require('winston');
+const db = require('../models');
+const { Invoice, InvoiceAttachment, User } = db;
+const documentService = require('./documentService');
+const { SUBMISSION_STATUSES } = require('./invoiceStatusService');
+const { httpError } = require('../utils/httpError');
+
+const execFileAsync = promisify(execFile);
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'attachment-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/attachment.log' })
+  ]
+});
+
+// Supporting documents customs typically asks for alongside the declaration
+const ATTACHMENT_CATEGORIES = [
+  'PackingList',
+  'BillOfLading',
+  'AirWaybill',
+  'CertificateOfOrigin',
+  'ImportLicence',
+  'InsuranceCertificate',
+  'Other'
+];
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Optional external scanner, e.g. "clamdscan --no-summary"; the file path is appended
+const ATTACHMENT_SCAN_COMMAND = process.env.ATTACHMENT_SCAN_COMMAND || '';
+const ATTACHMENT_SCAN_TIMEOUT_MS = parseInt(process.env.ATTACHMENT_SCAN_TIMEOUT_MS) || 60000;
+
+// Accepted file types by extension, with the leading bytes their content must start with
+const FILE_TYPES = {
+  '.pdf': { mimeType: 'application/pdf', signatures: ['%PDF-'] },
+  '.png': { mimeType: 'image/png', signatures: ['\x89PNG'] },
+  '.jpg': { mimeType: 'image/jpeg', signatures: ['\xFF\xD8\xFF'] },
+  '.jpeg': { mimeType: 'image/jpeg', signatures: ['\xFF\xD8\xFF'] },
+  '.tif': { mimeType: 'image/tiff', signatures: ['II*\x00', 'MM\x00*'] },
+  '.tiff': { mimeType: 'image/tiff', signatures: ['II*\x00', 'MM\x00*'] },
+  '.xlsx': { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', signatures: ['PK\x03\x04'] },
+  '.docx': { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signatures: ['PK\x03\x04'] },
+  '.csv': { mimeType: 'text/csv', text: true },
+  '.txt': { mimeType: 'text/plain', text: true },
+  '.xml': { mimeType: 'application/xml', text: true }
+};
+
+// Invoices in these statuses have been sent; attachments sent with them must be kept
+const SENT_STATUSES = SUBMISSION_STATUSES;
+
+// Virus-scan hooks, run in order on every upload once it is stored
+const virusScanners = [];
+
+/**
+ * Register a virus scanner to run on every uploaded attachment.
+ * A scanner receives { filePath, filename, mimeType, sizeBytes } and resolves to
+ * { clean: boolean, engine: string, details?: string }. Throwing rejects the upload.
+ * @param {Function} scanner - Async scanner function
+ */
+const registerVirusScanner = (scanner) => {
+  virusScanners.push(scanner);
+};
+
+/**
+ * Scanner running ATTACHMENT_SCAN_COMMAND on the stored file.
+ * Follows the ClamAV convention: exit code 0 is clean, 1 is infected, anything else is an error.
+ * @param {Object} file - { filePath }
+ * @returns {Promise<Object>} Scan result
+ */
+const commandScanner = async ({ filePath }) => {
+  const [command, ...args] = ATTACHMENT_SCAN_COMMAND.split(/\s+/).filter(Boolean);
+  try {
+    const { stdout } = await execFileAsync(command, [...args, filePath], { timeout: ATTACHMENT_SCAN_TIMEOUT_MS });
+    return { clean: true, engine: command, details: stdout.trim() || null };
+  } catch (error) {
+    if (error.code === 1) {
+      return { clean: false, engine: command, details: (error.stdout || '').trim() || null };
+    }
+    if (error.code === 'ENOENT') {
+      throw httpError(`Virus scanner "${command}" is not installed on the server`, 503);
+    }
+    throw httpError(`Virus scan failed: ${error.message}`, 503);
+  }
+};
+
+if (ATTACHMENT_SCAN_COMMAND) {
+  registerVirusScanner(commandScanner);
+}
+
+/**
+ * Run every registered scanner on a stored file
+ * @param {Object} file - { filePath, filename, mimeType, sizeBytes }
+ * @returns {Promise<Object>} { status: 'Clean'|'Infected'|'NotScanned', results }
+ */
+const scanFile = async (file) => {
+  if (virusScanners.length === 0) {
+    return { status: 'NotScanned', results: [] };
+  }
+
+  const results = [];
+  for (const scanner of virusScanners) {
+    const result = await scanner(file);
+    results.push(result);
+    if (!result.clean) {
+      return { status: 'Infected', results };
+    }
+  }
+  return { status: 'Clean', results };
+};
+
+/**
+ * Check an upload is an accepted type whose content matches its extension
+ * @param {string} filename - Original filename
+ * @param {Buffer} buffer - File content
+ * @param {string} [declaredMimeType] - MIME type sent by the client
+ * @returns {string} MIME type to store
+ * @throws {Error} With status 413 when too large, 415 for unsupported types, 422 for mismatched or empty content
+ */
+const checkFile = (filename, buffer, declaredMimeType) => {
+  if (buffer.length === 0) {
+    throw httpError('Attachment is empty', 422);
+  }
+  if (buffer.length > ATTACHMENT_MAX_BYTES) {
+    throw httpError(`Attachment exceeds the maximum size of ${ATTACHMENT_MAX_BYTES} bytes`, 413);
+  }
+
+  const extension = path.extname(filename).toLowerCase();
+  const type = FILE_TYPES[extension];
+  if (!type) {
+    throw httpError(`Unsupported attachment type "${extension || filename}". Allowed: ${Object.keys(FILE_TYPES).join(', ')}`, 415);
+  }
+  if (declaredMimeType && declaredMimeType !== type.mimeType) {
+    throw httpError(`MIME type ${declaredMimeType} does not match the ${extension} extension`, 422);
+  }
+
+  if (type.text) {
+    // Text formats have no signature; binary content gives itself away with NUL bytes
+    if (buffer.subarray(0, 4096).includes(0)) {
+      throw httpError(`File content is not valid ${extension} text`, 422);
+    }
+  } else {
+    const head = buffer.subarray(0, 8).toString('latin1');
+    if (!type.signatures.some(signature => head.startsWith(signature))) {
+      throw httpError(`File content does not match its ${extension} extension`, 422);
+    }
+  }
+
+  return type.mimeType;
+};
+
+/**
+ * Find an invoice of the user
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Invoice
+ * @throws {Error} With status 404 when the invoice does not exist or belongs to someone else
+ */
+const findInvoice = async (invoiceId, userId) => {
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, user_id: userId }, attributes: ['id', 'status'] });
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+  return invoice;
+};
+
+/**
+ * Find an attachment of an invoice of the user
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { invoice, attachment }
+ * @throws {Error} With status 404 when the invoice or attachment does not exist
+ */
+const findAttachment = async (invoiceId, attachmentId, userId) => {
+  const invoice = await findInvoice(invoiceId, userId);
+  const attachment = await InvoiceAttachment.findOne({ where: { id: attachmentId, invoice_id: invoiceId } });
+  if (!attachment) {
+    throw httpError('Attachment not found', 404);
+  }
+  return { invoice, attachment };
+};
+
+/**
+ * Store, scan and record a supporting document on an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - Uploading user
+ * @param {Object} params - Upload parameters
+ * @param {Object} params.file - { name, content (base64), mimeType? }
+ * @param {string} params.category - One of ATTACHMENT_CATEGORIES
+ * @param {string} [params.description] - Free-text note
+ * @param {boolean} [params.includeInSubmission] - Send with the declaration via SFTP
+ * @returns {Promise<Object>} Created attachment
+ * @throws {Error} With status 404, 413, 415 or 422 for rejected uploads, 503 when the scanner is unavailable
+ */
+const uploadAttachment = async (invoiceId, userId, { file, category, description = null, includeInSubmission = false }) => {
+  await findInvoice(invoiceId, userId);
+
+  const buffer = Buffer.from(file.content, 'base64');
+  const filename = path.basename(file.name);
+  const mimeType = checkFile(filename, buffer, file.mimeType);
+
+  const safeName = filename.replace(/[^\w.-]/g, '_');
+  const storagePath = await documentService.storeDocument(
+    buffer,
+    path.join('attachments', `invoice_${invoiceId}`, `${Date.now()}_${safeName}`),
+    'attachment'
+  );
+
+  try {
+    const scan = await scanFile({ filePath: storagePath, filename, mimeType, sizeBytes: buffer.length });
+    if (scan.status === 'Infected') {
+      logger.warn('Infected attachment rejected', { invoiceId, userId, filename, results: scan.results });
+      throw httpError(`Attachment "${filename}" failed the virus scan and was not stored`, 422);
+    }
+
+    const attachment = await InvoiceAttachment.create({
+      invoice_id: invoiceId,
+      category,
+      filename,
+      mime_type: mimeType,
+      size_bytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      storage_path: storagePath,
+      description,
+      include_in_submission: includeInSubmission,
+      scan_status: scan.status,
+      scan_details: scan.results.length > 0 ? scan.results : null,
+      uploaded_by: userId
+    });
+
+    logger.info('Attachment uploaded', { invoiceId, attachmentId: attachment.id, category, sizeBytes: buffer.length, scanStatus: scan.status });
+
+    return attachment;
+  } catch (error) {
+    // Nothing is kept for a rejected or failed upload
+    await documentService.removeDocument(storagePath);
+    throw error;
+  }
+};
+
+/**
+ * List the attachments of an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} Attachments, oldest first
+ */
+const listAttachments = async (invoiceId, userId) => {
+  await findInvoice(invoiceId, userId);
+
+  return InvoiceAttachment.findAll({
+    where: { invoice_id: invoiceId },
+    attributes: { exclude: ['storage_path'] },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'full_name', 'email']
+      }
+    ],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Get an attachment for download
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { filePath, filename, mimeType }
+ */
+const getAttachmentFile = async (invoiceId, attachmentId, userId) => {
+  const { attachment } = await findAttachment(invoiceId, attachmentId, userId);
+
+  try {
+    await fs.access(attachment.storage_path);
+  } catch (error) {
+    logger.error('Attachment missing from storage', { invoiceId, attachmentId, path: attachment.storage_path });
+    throw httpError('Attachment file not found', 404);
+  }
+
+  return {
+    filePath: attachment.storage_path,
+    filename: attachment.filename,
+    mimeType: attachment.mime_type
+  };
+};
+
+/**
+ * Delete an attachment and its stored file
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - User ID
+ * @throws {Error} With status 409 when the attachment was sent to customs with the invoice
+ */
+const deleteAttachment = async (invoiceId, attachmentId, userId) => {
+  const { invoice, attachment } = await findAttachment(invoiceId, attachmentId, userId);
+
+  if (attachment.include_in_submission && SENT_STATUSES.includes(invoice.status)) {
+    throw httpError(`Attachment was sent to customs with invoice ${invoiceId} and cannot be deleted while it is '${invoice.status}'`, 409);
+  }
+
+  await attachment.destroy();
+  await documentService.removeDocument(attachment.storage_path);
+
+  logger.info('Attachment deleted', { invoiceId, attachmentId, userId });
+};
+
+/**
+ * Attachments to send with the declaration when the invoice is submitted
+ * @param {number} invoiceId - Invoice ID
+ * @returns {Promise<Array<Object>>} Attachments marked include_in_submission
+ */
+const getSubmissionAttachments = async (invoiceId) => {
+  return InvoiceAttachment.findAll({
+    where: { invoice_id: invoiceId, include_in_submission: true },
+    order: [['id', 'ASC']]
+  });
+};
+
+module.exports = {
+  ATTACHMENT_CATEGORIES,
+  ATTACHMENT_MAX_BYTES,
+  registerVirusScanner,
+  checkFile,
+  scanFile,
+  uploadAttachment,
+  listAttachments,
+  getAttachmentFile,
+  deleteAttachment,
+  getSubmissionAttachments
+};
@@ -0,0 +1,567 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const classificationService = require('./classificationService');
+const documentService = require('./documentService');
+const submissionService = require('./submissionService');
+const invoiceStatusService = require('./invoiceStatusService');
+const organizationService = require('./organizationService');
+const restrictionService = require('./restrictionService');
+const { httpError } = require('../utils/httpError');
+const { BulkJob, Invoice, InvoiceLine } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'bulk-job-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/bulk-job.log' })
+  ]
+});
+
+// Pipeline actions a bulk job can run over its invoices
+const BULK_ACTIONS = ['classify', 'generate', 'submit'];
+
+// Action of jobs classifying a list of product descriptions (POST /classification/bulk) rather than invoices
+const CLASSIFY_LINES_ACTION = 'classify_lines';
+
+// Largest number of invoices accepted in one job
+const BULK_JOB_MAX_INVOICES = parseInt(process.env.BULK_JOB_MAX_INVOICES) || 500;
+
+// Largest number of descriptions accepted in one classify_lines job
+const BULK_CLASSIFY_MAX_ITEMS = parseInt(process.env.BULK_CLASSIFY_MAX_ITEMS) || 5000;
+
+// Descriptions classified together between two progress saves
+const CLASSIFY_LINES_BATCH_SIZE = 10;
+
+// Jobs that are waiting for or using the runner
+const ACTIVE_STATUSES = ['Queued', 'Running'];
+
+// Jobs are run one at a time, in the order they were queued
+const queue = [];
+let draining = false;
+
+// Running jobs asked to stop after their current batch
+const cancelRequests = new Set();
+
+// Progress of running jobs, for live updates: 'progress' and 'finished' events, each with the job ID
+const jobEvents = new EventEmitter();
+// One listener per open progress stream
+jobEvents.setMaxListeners(0);
+
+/**
+ * Load an invoice owned by the user
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - Owner of the job
+ * @returns {Promise<Object>} Invoice record
+ */
+const findInvoice = async (invoiceId, userId) => {
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, user_id: userId } });
+  if (!invoice) {
+    throw httpError('Invoice not found or access denied', 404);
+  }
+  return invoice;
+};
+
+/**
+ * Classify every line of an invoice that was not classified by hand
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - Owner of the job
+ * @returns {Promise<Object>} Line counts
+ */
+const classifyInvoice = async (invoiceId, userId) => {
+  const invoice = await findInvoice(invoiceId, userId);
+  invoiceStatusService.assertEditable(invoice);
+
+  const lines = await InvoiceLine.findAll({
+    where: { invoice_id: invoiceId },
+    attributes: ['id', 'description', 'sku', 'classification_method'],
+    order: [['id', 'ASC']]
+  });
+  // Manual overrides are a reviewer's decision and are never re-classified
+  const items = lines
+    .filter(line => line.classification_method !== 'manual' && line.description)
+    .map(line => ({
+      id: line.id,
+      description: line.description,
+      supplier: invoice.supplier,
+      sku: line.sku,
+      invoice_value: invoice.total_amount_base
+    }));
+
+  // The owner's organization decides which review threshold rules apply
+  const organizationId = await organizationService.getUserOrganizationId(invoice.user_id);
+  const results = await classificationService.bulkClassify(items, { organizationId });
+  const updated = await db.sequelize.transaction(transaction => (
+    classificationService.saveClassifications(results, { transaction })
+  ));
+
+  const unclassified = results.filter(result => !result.hs_code).length;
+  const summary = {
+    lines: lines.length,
+    classified: updated,
+    flagged: results.filter(result => result.hs_code && result.flagged).length,
+    unclassified
+  };
+  if (unclassified > 0) {
+    // Failing the item lets a resume retry the lines the classifier could not handle
+    const error = new Error(`${unclassified} of ${items.length} lines could not be classified`);
+    error.result = summary;
+    throw error;
+  }
+  return summary;
+};
+
+/**
+ * Generate the customs XML and PDF for an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - Owner of the job
+ * @returns {Promise<Object>} Document file names
+ */
+const generateInvoiceDocuments = async (invoiceId, userId) => {
+  await findInvoice(invoiceId, userId);
+  const documents = await documentService.generateDocuments(invoiceId);
+
+  // Server paths stay internal; the files are downloaded through /documents
+  return {
+    xml: documents.xmlPath ? documents.xmlPath.split(/[\\/]/).pop() : null,
+    pdf: documents.pdfPath ? documents.pdfPath.split(/[\\/]/).pop() : null
+  };
+};
+
+/**
+ * Generate documents for a Ready invoice and submit them to customs
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - Owner of the job, recorded on the invoice timeline
+ * @returns {Promise<Object>} Submission ID, method and snapshot version
+ */
+const submitInvoice = async (invoiceId, userId) => {
+  const invoice = await findInvoice(invoiceId, userId);
+  submissionService.assertSubmittable(invoice);
+  await restrictionService.assertNoBlockingRestrictions(invoiceId);
+
+  const documents = await documentService.generateDocuments(invoiceId);
+  const result = await submissionService.submitDocuments(invoiceId, documents, userId);
+
+  return {
+    submissionId: result.submission.id,
+    method: result.method,
+    snapshotVersion: result.snapshotVersion
+  };
+};
+
+/**
+ * Classify a batch of descriptions from a classify_lines job and save results that carry an invoice line ID
+ * @param {Array<Object>} items - Job items, each with its input description, supplier, sku, id and invoice_value
+ * @param {Object} job - Bulk job
+ * @returns {Promise<Array<Object>>} Outcome per item, in order
+ */
+const classifyLineItems = async (items, job) => {
+  const organizationId = await organizationService.getUserOrganizationId(job.user_id);
+  const results = await classificationService.bulkClassify(items.map(item => item.input), { organizationId });
+  await db.sequelize.transaction(transaction => classificationService.saveClassifications(results, { transaction }));
+
+  return results.map((result) => {
+    // The raw provider response stays in classification_details rather than in every progress save
+    const { raw_response: rawResponse, ...kept } = result;
+    return result.hs_code
+      ? { status: 'Succeeded', error: null, result: kept }
+      : { status: 'Failed', error: result.error || 'No classification provider could classify the description', result: kept };
+  });
+};
+
+// Handler run for each invoice, keyed by action
+const ACTION_HANDLERS = {
+  classify: classifyInvoice,
+  generate: generateInvoiceDocuments,
+  submit: submitInvoice
+};
+
+/**
+ * Recount the job totals from its per-invoice items
+ * @param {Array<Object>} items - Job items
+ * @returns {Object} total, processed, succeeded and failed counts
+ */
+const summarizeItems = (items) => {
+  const succeeded = items.filter(item => item.status === 'Succeeded').length;
+  const failed = items.filter(item => item.status === 'Failed').length;
+  return {
+    total: items.length,
+    processed: succeeded + failed,
+    succeeded,
+    failed
+  };
+};
+
+/**
+ * Progress counts sent to live listeners: the stored counts, plus flagged lines for classify_lines jobs
+ * @param {Array<Object>} items - Job items
+ * @returns {Object} total, processed, succeeded, failed and flagged counts
+ */
+const progressCounts = (items) => ({
+  ...summarizeItems(items),
+  flagged: items.filter(item => item.result && item.result.flagged === true).length
+});
+
+/**
+ * Outcome of running one invoice through its action handler
+ * @param {Function} handler - Handler from ACTION_HANDLERS
+ * @param {Object} item - Job item
+ * @param {Object} job - Bulk job
+ * @returns {Promise<Object>} status, error and result
+ */
+const runInvoiceItem = async (handler, item, job) => {
+  try {
+    const result = await handler(item.invoice_id, job.user_id);
+    return { status: 'Succeeded', error: null, result: result || null };
+  } catch (error) {
+    logger.warn('Bulk job item failed', { jobId: job.id, invoiceId: item.invoice_id, error: error.message });
+    return { status: 'Failed', error: error.message, result: error.result || null };
+  }
+};
+
+/**
+ * Final status of a job once every item has been processed
+ * @param {Object} counts - Counts from summarizeItems
+ * @returns {string} Completed, CompletedWithErrors or Failed
+ */
+const finalStatus = (counts) => {
+  if (counts.failed === 0) return 'Completed';
+  return counts.succeeded > 0 ? 'CompletedWithErrors' : 'Failed';
+};
+
+/**
+ * Run the pending items of a job, saving progress after each invoice
+ * @param {number} jobId - Bulk job ID
+ * @returns {Promise<Object|null>} The finished job, or null if it no longer exists
+ */
+const runJob = async (jobId) => {
+  const job = await BulkJob.findByPk(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const classifiesLines = job.action === CLASSIFY_LINES_ACTION;
+  const batchSize = classifiesLines ? CLASSIFY_LINES_BATCH_SIZE : 1;
+  // Copy the items so each save writes a new JSONB value
+  let items = job.items.map(item => ({ ...item }));
+
+  await job.update({ status: 'Running', started_at: job.started_at || new Date(), finished_at: null, error: null });
+  logger.info('Bulk job started', { jobId, action: job.action, pending: items.filter(item => item.status === 'Pending').length });
+
+  try {
+    let pending = items.map((item, index) => index).filter(index => items[index].status === 'Pending');
+    while (pending.length > 0) {
+      if (cancelRequests.has(jobId)) {
+        break;
+      }
+
+      const batch = pending.slice(0, batchSize);
+      pending = pending.slice(batchSize);
+
+      const outcomes = classifiesLines
+        ? await classifyLineItems(batch.map(index => items[index]), job)
+        : [await runInvoiceItem(ACTION_HANDLERS[job.action], items[batch[0]], job)];
+
+      const finishedAt = new Date().toISOString();
+      items = items.map((entry, entryIndex) => {
+        const position = batch.indexOf(entryIndex);
+        return position === -1
+          ? entry
+          : { ...entry, ...outcomes[position], attempts: (entry.attempts || 0) + 1, finished_at: finishedAt };
+      });
+      await job.update({ items, ...summarizeItems(items) });
+
+      jobEvents.emit('progress', {
+        jobId,
+        counts: progressCounts(items),
+        items: batch.map(index => ({ index, ...items[index] }))
+      });
+    }
+
+    const counts = summarizeItems(items);
+    const cancelled = cancelRequests.has(jobId);
+    // Items a cancelled job did not reach stay Pending, so a resume picks them up
+    await job.update({ status: cancelled ? 'Cancelled' : finalStatus(counts), finished_at: new Date() });
+    logger.info(cancelled ? 'Bulk job cancelled' : 'Bulk job finished', { jobId, status: job.status, ...counts });
+  } catch (error) {
+    // Progress saved so far is kept; the remaining items stay Pending for a resume
+    logger.error('Bulk job aborted', { jobId, error: error.message });
+    await job.update({ status: 'Failed', error: error.message, finished_at: new Date() });
+  } finally {
+    cancelRequests.delete(jobId);
+  }
+
+  jobEvents.emit('finished', { jobId, status: job.status, counts: progressCounts(items), error: job.error || null });
+  return job;
+};
+
+/**
+ * Run queued jobs one after another
+ * @returns {Promise<void>}
+ */
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length > 0) {
+      const jobId = queue.shift();
+      try {
+        await runJob(jobId);
+      } catch (error) {
+        logger.error('Bulk job could not be run', { jobId, error: error.message });
+      }
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Queue a job to run in the background, after the current request has been answered
+ * @param {number} jobId - Bulk job ID
+ */
+const enqueueJob = (jobId) => {
+  if (!queue.includes(jobId)) {
+    queue.push(jobId);
+  }
+  setImmediate(drainQueue);
+};
+
+/**
+ * Create a bulk job over the user's invoices and queue it
+ * @param {number} userId - User starting the job
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Array<number>} invoiceIds - Invoices to process, in order
+ * @returns {Promise<Object>} The queued job
+ */
+const createBulkJob = async (userId, action, invoiceIds) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw httpError(`Unknown bulk action '${action}'`, 422);
+  }
+
+  const ids = [...new Set(invoiceIds)];
+  if (ids.length === 0) {
+    throw httpError('At least one invoice is required', 422);
+  }
+  if (ids.length > BULK_JOB_MAX_INVOICES) {
+    throw httpError(`A bulk job can process at most ${BULK_JOB_MAX_INVOICES} invoices`, 422);
+  }
+
+  const owned = await Invoice.findAll({
+    where: { id: { [Op.in]: ids }, user_id: userId },
+    attributes: ['id']
+  });
+  const ownedIds = new Set(owned.map(invoice => invoice.id));
+  const missing = ids.filter(id => !ownedIds.has(id));
+  if (missing.length > 0) {
+    throw httpError(`Invoices not found or access denied: ${missing.join(', ')}`, 404);
+  }
+
+  const items = ids.map(id => ({ invoice_id: id, status: 'Pending', error: null, result: null, attempts: 0, finished_at: null }));
+  const job = await BulkJob.create({
+    user_id: userId,
+    action,
+    status: 'Queued',
+    items,
+    ...summarizeItems(items)
+  });
+
+  logger.info('Bulk job queued', { jobId: job.id, userId, action, invoices: ids.length });
+  enqueueJob(job.id);
+  return job;
+};
+
+/**
+ * Create a job classifying product descriptions and queue it. Items with an id are invoice lines of the user's
+ * invoices and get the classification written back.
+ * @param {number} userId - User starting the job
+ * @param {Array<Object>} inputs - { description, id, supplier, sku, invoice_value } per item, in order
+ * @returns {Promise<Object>} The queued job
+ */
+const createClassificationJob = async (userId, inputs) => {
+  if (inputs.length === 0) {
+    throw httpError('At least one item is required', 422);
+  }
+  if (inputs.length > BULK_CLASSIFY_MAX_ITEMS) {
+    throw httpError(`A bulk classification can process at most ${BULK_CLASSIFY_MAX_ITEMS} items`, 422);
+  }
+
+  const lineIds = [...new Set(inputs.map(input => input.id).filter(Boolean))];
+  if (lineIds.length > 0) {
+    const owned = await InvoiceLine.findAll({
+      where: { id: { [Op.in]: lineIds } },
+      attributes: ['id'],
+      include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'status'], where: { user_id: userId } }]
+    });
+    const ownedIds = new Set(owned.map(line => line.id));
+    const missing = lineIds.filter(id => !ownedIds.has(id));
+    if (missing.length > 0) {
+      throw httpError(`Invoice lines not found or access denied: ${missing.join(', ')}`, 404);
+    }
+    // Lines of Ready, Submitted and Accepted invoices keep the codes they are declared with
+    const locked = owned.filter(line => !invoiceStatusService.EDITABLE_STATUSES.includes(line.invoice.status));
+    if (locked.length > 0) {
+      throw httpError(`Invoice lines on invoices that can no longer be edited: ${locked.map(line => line.id).join(', ')}`, 409);
+    }
+  }
+
+  const items = inputs.map(input => ({
+    input: {
+      id: input.id || null,
+      description: input.description,
+      supplier: input.supplier || null,
+      sku: input.sku || null,
+      invoice_value: input.invoice_value ?? null
+    },
+    status: 'Pending',
+    error: null,
+    result: null,
+    attempts: 0,
+    finished_at: null
+  }));
+  const job = await BulkJob.create({
+    user_id: userId,
+    action: CLASSIFY_LINES_ACTION,
+    status: 'Queued',
+    items,
+    ...summarizeItems(items)
+  });
+
+  logger.info('Bulk classification queued', { jobId: job.id, userId, items: items.length });
+  enqueueJob(job.id);
+  return job;
+};
+
+/**
+ * Get a bulk job owned by the user
+ * @param {number} jobId - Bulk job ID
+ * @param {number} userId - Owner of the job
+ * @returns {Promise<Object>} Bulk job with per-invoice items
+ */
+const getBulkJob = async (jobId, userId) => {
+  const job = await BulkJob.findOne({ where: { id: jobId, user_id: userId } });
+  if (!job) {
+    throw httpError('Bulk job not found', 404);
+  }
+  return job;
+};
+
+/**
+ * List the user's bulk jobs, newest first, without their items
+ * @param {number} userId - Owner of the jobs
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Page size
+ * @param {number} [options.offset=0] - Rows to skip
+ * @returns {Promise<Object>} Jobs and pagination
+ */
+const listBulkJobs = async (userId, { limit = 20, offset = 0 } = {}) => {
+  const { count, rows } = await BulkJob.findAndCountAll({
+    where: { user_id: userId },
+    attributes: { exclude: ['items'] },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return {
+    jobs: rows,
+    pagination: { total: count, limit, offset }
+  };
+};
+
+/**
+ * Queue a job again to retry its failed invoices and finish any it did not reach
+ * @param {number} jobId - Bulk job ID
+ * @param {number} userId - Owner of the job
+ * @returns {Promise<Object>} The re-queued job
+ */
+const resumeBulkJob = async (jobId, userId) => {
+  const job = await getBulkJob(jobId, userId);
+  if (ACTIVE_STATUSES.includes(job.status)) {
+    throw httpError(`Bulk job is already ${job.status.toLowerCase()}`, 409);
+  }
+
+  const items = job.items.map(item => (item.status === 'Failed' ? { ...item, status: 'Pending', error: null } : { ...item }));
+  if (!items.some(item => item.status === 'Pending')) {
+    throw httpError('Bulk job has no failed or unprocessed invoices to resume', 409);
+  }
+
+  await job.update({
+    status: 'Queued',
+    items,
+    error: null,
+    finished_at: null,
+    ...summarizeItems(items)
+  });
+
+  logger.info('Bulk job resumed', { jobId, userId, pending: items.filter(item => item.status === 'Pending').length });
+  enqueueJob(job.id);
+  return job;
+};
+
+/**
+ * Stop a queued or running job. A running job stops after the batch in progress; the items it did not reach
+ * stay Pending and run on resume.
+ * @param {number} jobId - Bulk job ID
+ * @param {number} userId - Owner of the job
+ * @returns {Promise<Object>} The job, Cancelled, or still Running until its current batch ends
+ */
+const cancelBulkJob = async (jobId, userId) => {
+  const job = await getBulkJob(jobId, userId);
+  if (!ACTIVE_STATUSES.includes(job.status)) {
+    throw httpError(`Bulk job is already ${job.status.toLowerCase()}`, 409);
+  }
+
+  const queued = queue.indexOf(job.id);
+  if (queued !== -1) {
+    queue.splice(queued, 1);
+    await job.update({ status: 'Cancelled', finished_at: new Date() });
+    jobEvents.emit('finished', { jobId: job.id, status: job.status, counts: progressCounts(job.items), error: null });
+  } else {
+    cancelRequests.add(job.id);
+  }
+
+  logger.info('Bulk job cancellation requested', { jobId, userId, status: job.status });
+  return job;
+};
+
+/**
+ * Mark jobs left Queued or Running by a previous process as Interrupted so they can be resumed
+ * @returns {Promise<number>} Number of interrupted jobs
+ */
+const recoverInterruptedJobs = async () => {
+  const [count] = await BulkJob.update(
+    { status: 'Interrupted' },
+    { where: { status: { [Op.in]: ACTIVE_STATUSES } } }
+  );
+  if (count > 0) {
+    logger.warn('Bulk jobs interrupted by a restart', { count });
+  }
+  return count;
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  BULK_JOB_MAX_INVOICES,
+  BULK_CLASSIFY_MAX_ITEMS,
+  ACTIVE_STATUSES,
+  jobEvents,
+  progressCounts,
+  createBulkJob,
+  createClassificationJob,
+  runJob,
+  getBulkJob,
+  listBulkJobs,
+  resumeBulkJob,
+  cancelBulkJob,
+  recoverInterruptedJobs
+};
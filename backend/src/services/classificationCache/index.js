@@ -0,0 +1,242 @@
+'use strict';
+
+const winston = require('winston');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'classification-cache' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/classification.log' })
+  ]
+});
+
+// Cache TTL in seconds (default: 7 days)
+const CACHE_TTL = parseInt(process.env.CLASSIFICATION_CACHE_TTL) || 604800;
+
+// redis (shared, with the in-process store while Redis is unreachable) or memory (in-process only)
+const CACHE_BACKEND = (process.env.CLASSIFICATION_CACHE_BACKEND || 'redis').trim().toLowerCase();
+
+// Entries the in-process store keeps before evicting the least recently used
+const CACHE_MAX_ENTRIES = parseInt(process.env.CLASSIFICATION_CACHE_MAX_ENTRIES) || 10000;
+
+// Prefix of every cache key
+const KEY_PREFIX = 'classification:';
+
+const memoryStore = createMemoryStore({ maxEntries: CACHE_MAX_ENTRIES });
+const redisStore = CACHE_BACKEND === 'redis'
+  ? createRedisStore({ url: process.env.REDIS_URL || 'redis://localhost:6379', logger })
+  : null;
+
+const counters = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  invalidations: 0,
+  errors: 0,
+  since: new Date()
+};
+
+/**
+ * Description in the form used for cache keys: lower case, HTML escapes and punctuation removed, single spaces.
+ * 'Cotton T-Shirt,  RED' and 'cotton t shirt red' share an entry.
+ * @param {string} description - Product description
+ * @returns {string} Normalized description
+ */
+const normalizeDescription = (description) => String(description || '')
+  .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, ' ')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Cache key of a description
+ * @param {string} description - Product description
+ * @returns {string} Key
+ */
+const cacheKey = (description) => `${KEY_PREFIX}${normalizeDescription(description)}`;
+
+/**
+ * Store to use right now: Redis when configured and connected, otherwise the in-process store
+ * @returns {Object} Store
+ */
+const activeStore = () => {
+  if (redisStore) {
+    redisStore.connect();
+    if (redisStore.isReady()) {
+      return redisStore;
+    }
+  }
+  return memoryStore;
+};
+
+/**
+ * Run a store operation, retrying it on the in-process store when Redis fails mid-request
+ * @param {string} operation - Name for the log
+ * @param {Function} callback - Receives the store
+ * @returns {Promise<*>} Operation result
+ */
+const withStore = async (operation, callback) => {
+  const store = activeStore();
+  try {
+    return await callback(store);
+  } catch (error) {
+    if (store === memoryStore) {
+      throw error;
+    }
+    counters.errors += 1;
+    logger.warn('Redis cache operation failed, using the in-process cache', { operation, error: error.message });
+    return callback(memoryStore);
+  }
+};
+
+/**
+ * Read a cached classification
+ * @param {string} description - Product description
+ * @returns {Promise<Object|null>} Cached classification result, or null
+ */
+const get = async (description) => {
+  const cached = await withStore('get', store => store.get(cacheKey(description)));
+  if (!cached) {
+    counters.misses += 1;
+    return null;
+  }
+  counters.hits += 1;
+  return JSON.parse(cached);
+};
+
+/**
+ * Cache a classification result for CLASSIFICATION_CACHE_TTL
+ * @param {string} description - Product description
+ * @param {Object} result - Classification result
+ */
+const set = async (description, result) => {
+  await withStore('set', store => store.set(cacheKey(description), JSON.stringify(result), CACHE_TTL));
+  counters.writes += 1;
+};
+
+/**
+ * Remove the cached classification of one description
+ * @param {string} description - Product description
+ * @returns {Promise<boolean>} True when an entry was removed
+ */
+const remove = async (description) => {
+  const deleted = await withStore('del', store => store.del(cacheKey(description)));
+  counters.invalidations += deleted;
+  return deleted > 0;
+};
+
+/**
+ * Remove the cached classifications of every description starting with the prefix.
+ * The prefix is normalized like descriptions, keeping a trailing separator so 'cotton t-' does not match
+ * 'cotton trousers'. An empty prefix clears the whole cache.
+ * @param {string} [prefix=''] - Description prefix
+ * @returns {Promise<number>} Number of entries removed
+ */
+const invalidate = async (prefix = '') => {
+  let normalized = normalizeDescription(prefix);
+  if (normalized && /[^\p{L}\p{N}]$/u.test(prefix)) {
+    normalized += ' ';
+  }
+  const deleted = await withStore('invalidate', store => store.deleteByPrefix(`${KEY_PREFIX}${normalized}`));
+  counters.invalidations += deleted;
+  logger.info('Classification cache invalidated', { prefix: normalized, deleted });
+  return deleted;
+};
+
+/**
+ * Hit, miss and eviction statistics since the process started
+ * @returns {Promise<Object>} Statistics of the cache and its active store
+ */
+const getStats = async () => {
+  const store = activeStore();
+  const lookups = counters.hits + counters.misses;
+  let storeStats;
+  try {
+    storeStats = await store.stats(KEY_PREFIX);
+  } catch (error) {
+    logger.warn('Error reading cache store statistics', { store: store.name, error: error.message });
+    storeStats = { entries: null, evictions: null };
+  }
+
+  return {
+    backend: store.name,
+    configured_backend: CACHE_BACKEND,
+    ttl_seconds: CACHE_TTL,
+    ...counters,
+    hit_rate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+    ...storeStats
+  };
+};
+
+/**
+ * Fill the cache from lines classified before: the latest provider answer per description that a reviewer
+ * did not change and that is no longer flagged. Only providers whose answers are cached are used, and only
+ * lines with a stored classification detail.
+ * @param {Object} [options]
+ * @param {number} [options.limit=5000] - Most historical lines to read
+ * @param {Array<string>} options.providers - Names of the providers whose answers are cacheable
+ * @returns {Promise<Object>} { lines, cached }
+ */
+const warm = async ({ limit = 5000, providers }) => {
+  const db = require('../../models');
+
+  if (providers.length === 0) {
+    return { lines: 0, cached: 0 };
+  }
+
+  const lines = await db.sequelize.query(`
+    SELECT l.description, d.provider, d.hs_code, d.confidence, d.rationale, d.candidates, d.raw_response
+    FROM classification_details d
+    JOIN invoice_lines l ON l.id = d.invoice_line_id
+    WHERE d.provider IN (:providers)
+      AND l.hs_code = d.hs_code
+      AND l.flagged IS NOT TRUE
+      AND COALESCE(l.description, '') <> ''
+    ORDER BY d.classified_at DESC
+    LIMIT :limit
+  `, {
+    replacements: { providers, limit },
+    type: db.sequelize.QueryTypes.SELECT
+  });
+
+  // Newest first, so the latest answer for a description wins
+  const seen = new Set();
+  for (const line of lines) {
+    const key = cacheKey(line.description);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    await set(line.description, {
+      hs_code: line.hs_code,
+      confidence: Number(line.confidence) || 0,
+      rationale: line.rationale,
+      candidates: line.candidates || [],
+      raw_response: line.raw_response,
+      provider: line.provider,
+      classification_method: `auto:${line.provider}`
+    });
+  }
+
+  logger.info('Classification cache warmed from historical lines', { lines: lines.length, cached: seen.size });
+  return { lines: lines.length, cached: seen.size };
+};
+
+module.exports = {
+  CACHE_TTL,
+  normalizeDescription,
+  get,
+  set,
+  remove,
+  invalidate,
+  getStats,
+  warm
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * In-process LRU store for cached classifications. Used when CLASSIFICATION_CACHE_BACKEND is memory,
+ * and while Redis is unreachable. Entries are lost on restart and not shared between processes.
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the least recently used one is evicted
+ * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+ * @returns {Object} Store with get, set, del, deleteByPrefix and stats
+ */
+const createMemoryStore = ({ maxEntries, now = Date.now }) => {
+  // key -> { value, expiresAt }; Map keeps insertion order, so the first key is the least recently used
+  const entries = new Map();
+  let evictions = 0;
+
+  /**
+   * Read an entry that has not expired, marking it as the most recently used
+   * @param {string} key - Cache key
+   * @returns {string|null} Stored value
+   */
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    entries.delete(key);
+    if (entry.expiresAt <= now()) {
+      return null;
+    }
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  /**
+   * Store a value, evicting the least recently used entries beyond maxEntries
+   * @param {string} key - Cache key
+   * @param {string} value - Serialized value
+   * @param {number} ttlSeconds - Time to live
+   */
+  const set = async (key, value, ttlSeconds) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      evictions += 1;
+    }
+  };
+
+  /**
+   * Remove one entry
+   * @param {string} key - Cache key
+   * @returns {Promise<number>} 1 when the entry existed, otherwise 0
+   */
+  const del = async (key) => (entries.delete(key) ? 1 : 0);
+
+  /**
+   * Remove every entry whose key starts with the prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} Number of entries removed
+   */
+  const deleteByPrefix = async (prefix) => {
+    let deleted = 0;
+    for (const key of [...entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        entries.delete(key);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  };
+
+  /**
+   * Size and eviction count of the store
+   * @returns {Promise<Object>} { entries, max_entries, evictions }
+   */
+  const stats = async () => ({ entries: entries.size, max_entries: maxEntries, evictions });
+
+  return {
+    name: 'memory',
+    isReady: () => true,
+    get,
+    set,
+    del,
+    deleteByPrefix,
+    stats
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
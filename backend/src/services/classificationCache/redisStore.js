@@ -0,0 +1,98 @@
+'use strict';
+
+const redis = require('redis');
+
+/**
+ * Redis store for cached classifications, shared by every backend process.
+ * The connection is opened on first use; isReady() is false until it is up and while it reconnects.
+ * @param {Object} options
+ * @param {string} options.url - Redis URL
+ * @param {Object} options.logger - Winston logger for connection events
+ * @returns {Object} Store with connect, get, set, del, deleteByPrefix and stats
+ */
+const createRedisStore = ({ url, logger }) => {
+  let client = null;
+  let ready = false;
+
+  /**
+   * Open the connection in the background, once
+   */
+  const connect = () => {
+    if (client) {
+      return;
+    }
+
+    client = redis.createClient({
+      url,
+      socket: {
+        // Exponential backoff strategy for reconnection
+        reconnectStrategy: (retries) => Math.min(retries * 50 + Math.random() * 100, 3000)
+      }
+    });
+
+    client.on('error', (err) => {
+      logger.error('Redis client error', { error: err.message });
+    });
+    client.on('ready', () => {
+      ready = true;
+      logger.info('Redis client ready and connected to server.');
+    });
+    client.on('reconnecting', () => {
+      ready = false;
+      logger.warn('Redis client reconnecting...');
+    });
+    client.on('end', () => {
+      ready = false;
+      logger.warn('Redis client connection ended.');
+    });
+
+    client.connect().catch((error) => {
+      logger.error('Failed to connect to Redis', { error: error.message });
+    });
+  };
+
+  /**
+   * Remove every key that starts with the prefix, SCANning rather than blocking Redis with KEYS
+   * @param {string} prefix - Key prefix; glob characters are matched literally
+   * @returns {Promise<number>} Number of keys removed
+   */
+  const deleteByPrefix = async (prefix) => {
+    const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+    let deleted = 0;
+    for await (const key of client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      deleted += await client.del(key);
+    }
+    return deleted;
+  };
+
+  /**
+   * Number of cached classifications and keys Redis evicted for lack of memory (server-wide)
+   * @param {string} prefix - Key prefix of cached classifications
+   * @returns {Promise<Object>} { entries, evictions }
+   */
+  const stats = async (prefix) => {
+    let entries = 0;
+    // eslint-disable-next-line no-unused-vars
+    for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) {
+      entries += 1;
+    }
+    const info = await client.info('stats');
+    const evicted = /evicted_keys:(\d+)/.exec(info);
+    return { entries, evictions: evicted ? parseInt(evicted[1]) : null };
+  };
+
+  return {
+    name: 'redis',
+    connect,
+    isReady: () => ready,
+    get: key => client.get(key),
+    set: (key, value, ttlSeconds) => client.set(key, value, { EX: ttlSeconds }),
+    del: key => client.del(key),
+    deleteByPrefix,
+    stats
+  };
+};
+
+module.exports = {
+  createRedisStore
+};
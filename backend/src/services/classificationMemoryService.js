@@ -0,0 +1,250 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { ClassificationMemory, ClassificationHistory, InvoiceLine, Invoice, User } = db;
+const { normalizeSupplier } = require('./duplicateService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'classification-memory-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/classification-memory.log' })
+  ]
+});
+
+// Confidence of a single reviewer decision, raised by each confirmation up to the maximum
+const MEMORY_BASE_CONFIDENCE = parseFloat(process.env.CLASSIFICATION_MEMORY_CONFIDENCE) || 0.9;
+const MEMORY_CONFIRMATION_STEP = 0.02;
+const MEMORY_MAX_CONFIDENCE = 0.99;
+
+/**
+ * Normalize a line description for matching: lower case, HTML escapes and punctuation removed
+ * @param {string} description - Description as stored (may carry escapes from request sanitization)
+ * @returns {string} Matching key
+ */
+const normalizeDescription = (description) => String(description || '')
+  .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, ' ')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Normalize a supplier article number: upper case, whitespace removed
+ * @param {string} sku - Article number
+ * @returns {string} Matching key, empty when there is none
+ */
+const normalizeSku = (sku) => String(sku || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Confidence of a remembered code from how often reviewers agreed with it
+ * @param {Object} entry - Memory entry (confirmations, contradictions)
+ * @returns {number} Confidence between 0 and MEMORY_MAX_CONFIDENCE
+ */
+const memoryConfidence = ({ confirmations, contradictions }) => {
+  const agreement = confirmations / (confirmations + contradictions);
+  const strength = Math.min(MEMORY_MAX_CONFIDENCE, MEMORY_BASE_CONFIDENCE + MEMORY_CONFIRMATION_STEP * (confirmations - 1));
+  return Math.round(strength * agreement * 100) / 100;
+};
+
+/**
+ * Apply a reviewer decision to a memory entry: the same code is a confirmation, another code replaces it
+ * @param {Object|null} entry - Current entry values, or null for a new key
+ * @param {Object} decision - { hsCode, source, invoiceLineId, userId, decidedAt }
+ * @returns {Object} Values to store
+ */
+const applyDecision = (entry, { hsCode, source, invoiceLineId, userId, decidedAt }) => {
+  const counts = !entry
+    ? { confirmations: 1, contradictions: 0 }
+    : entry.hs_code === hsCode
+      ? { confirmations: entry.confirmations + 1, contradictions: entry.contradictions }
+      : { confirmations: 1, contradictions: entry.contradictions + 1 };
+
+  return {
+    hs_code: hsCode,
+    ...counts,
+    source,
+    invoice_line_id: invoiceLineId || null,
+    decided_by: userId || null,
+    decided_at: decidedAt || new Date()
+  };
+};
+
+/**
+ * Remember the HS code a reviewer chose for an invoice line
+ * @param {Object} decision
+ * @param {string} decision.supplier - Invoice supplier
+ * @param {string} decision.description - Line description
+ * @param {string} [decision.sku] - Supplier article number
+ * @param {string} decision.hsCode - Code the reviewer chose or approved
+ * @param {string} decision.source - approved, adjusted or manual
+ * @param {number} [decision.invoiceLineId] - Line the decision was made on
+ * @param {number} [decision.userId] - Reviewer
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction of the review action
+ * @returns {Promise<Object|null>} Memory entry, or null when the line has no supplier or description to key on
+ */
+const recordDecision = async ({ supplier, description, sku, hsCode, source, invoiceLineId, userId }, { transaction } = {}) => {
+  const where = {
+    supplier_key: normalizeSupplier(supplier),
+    description_key: normalizeDescription(description),
+    sku: normalizeSku(sku)
+  };
+  if (!where.supplier_key || !where.description_key || !hsCode) {
+    return null;
+  }
+
+  const entry = await ClassificationMemory.findOne({ where, transaction });
+  const values = applyDecision(entry, { hsCode, source, invoiceLineId, userId });
+  const saved = entry
+    ? await entry.update(values, { transaction })
+    : await ClassificationMemory.create({ ...where, ...values }, { transaction });
+
+  logger.info('Classification decision remembered', {
+    id: saved.id,
+    hsCode,
+    source,
+    confirmations: saved.confirmations,
+    contradictions: saved.contradictions
+  });
+  return saved;
+};
+
+/**
+ * Suggestion from a memory entry, with its provenance
+ * @param {Object} entry - Memory entry, with the reviewer included
+ * @param {string} matchedOn - sku or description
+ * @returns {Object} Suggestion
+ */
+const toSuggestion = (entry, matchedOn) => ({
+  hs_code: entry.hs_code,
+  confidence: memoryConfidence(entry),
+  memory: {
+    id: entry.id,
+    matched_on: matchedOn,
+    source: entry.source,
+    confirmations: entry.confirmations,
+    contradictions: entry.contradictions,
+    invoice_line_id: entry.invoice_line_id,
+    decided_at: entry.decided_at,
+    decided_by: entry.reviewer
+      ? { id: entry.reviewer.id, full_name: entry.reviewer.full_name }
+      : null
+  }
+});
+
+/**
+ * Find the latest reviewer decision for a supplier's product.
+ * A matching SKU wins; otherwise the normalized description is matched.
+ * @param {Object} product
+ * @param {string} product.supplier - Invoice supplier
+ * @param {string} product.description - Line description
+ * @param {string} [product.sku] - Supplier article number
+ * @returns {Promise<Object|null>} { hs_code, confidence, memory } or null when nothing is remembered
+ */
+const findSuggestion = async ({ supplier, description, sku }) => {
+  const supplierKey = normalizeSupplier(supplier);
+  if (!supplierKey) {
+    return null;
+  }
+
+  const include = [{ model: User, as: 'reviewer', attributes: ['id', 'full_name'] }];
+  const order = [['decided_at', 'DESC']];
+
+  const skuKey = normalizeSku(sku);
+  if (skuKey) {
+    const bySku = await ClassificationMemory.findOne({ where: { supplier_key: supplierKey, sku: skuKey }, include, order });
+    if (bySku) {
+      return toSuggestion(bySku, 'sku');
+    }
+  }
+
+  const descriptionKey = normalizeDescription(description);
+  if (!descriptionKey) {
+    return null;
+  }
+  const byDescription = await ClassificationMemory.findOne({
+    where: { supplier_key: supplierKey, description_key: descriptionKey },
+    include,
+    order
+  });
+  return byDescription ? toSuggestion(byDescription, 'description') : null;
+};
+
+/**
+ * Rebuild the memory from the classification history, replaying reviewer decisions oldest first.
+ * History rows without a reviewer (automatic changes) are ignored; completed HS migrations are then
+ * applied to the codes decided before them.
+ * @returns {Promise<Object>} { decisions, entries } counts
+ */
+const rebuildMemory = async () => {
+  const history = await ClassificationHistory.findAll({
+    where: {
+      changed_by: { [Op.ne]: null },
+      new_hs_code: { [Op.ne]: null }
+    },
+    include: [{
+      model: InvoiceLine,
+      as: 'invoice_line',
+      attributes: ['id', 'description', 'sku'],
+      include: [{ model: Invoice, as: 'invoice', attributes: ['supplier'] }]
+    }],
+    order: [['changed_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  const entries = new Map();
+  history.forEach((record) => {
+    const line = record.invoice_line;
+    if (!line || !line.invoice) return;
+
+    const keys = {
+      supplier_key: normalizeSupplier(line.invoice.supplier),
+      description_key: normalizeDescription(line.description),
+      sku: normalizeSku(line.sku)
+    };
+    if (!keys.supplier_key || !keys.description_key) return;
+
+    const mapKey = [keys.supplier_key, keys.description_key, keys.sku].join('|');
+    entries.set(mapKey, {
+      ...keys,
+      ...applyDecision(entries.get(mapKey) || null, {
+        hsCode: record.new_hs_code,
+        // Approvals keep the code; anything else was a reviewer changing it
+        source: record.previous_hs_code === record.new_hs_code ? 'approved' : 'adjusted',
+        invoiceLineId: line.id,
+        userId: record.changed_by,
+        decidedAt: record.changed_at
+      })
+    });
+  });
+
+  // Required here: the migration service loads the invoice status and restriction services
+  const hsMigrationService = require('./hsMigrationService');
+  await hsMigrationService.remapMemoryEntries(entries);
+
+  await db.sequelize.transaction(async (transaction) => {
+    await ClassificationMemory.destroy({ where: {}, transaction });
+    if (entries.size > 0) {
+      await ClassificationMemory.bulkCreate([...entries.values()], { transaction });
+    }
+  });
+
+  logger.info('Classification memory rebuilt', { decisions: history.length, entries: entries.size });
+  return { decisions: history.length, entries: entries.size };
+};
+
+module.exports = {
+  normalizeDescription,
+  normalizeSku,
+  memoryConfidence,
+  recordDecision,
+  findSuggestion,
+  rebuildMemory
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+const axios = require('axios');
+
+// ContextGem API configuration
+const CONTEXTGEM_API_URL = process.env.CONTEXTGEM_API_URL || 'https://api.contextgem.com/v1';
+const CONTEXTGEM_API_KEY = process.env.CONTEXTGEM_API_KEY;
+
+/**
+ * Classification provider backed by the ContextGem API
+ */
+module.exports = {
+  name: 'contextgem',
+  cacheable: true,
+
+  isConfigured: () => Boolean(CONTEXTGEM_API_KEY),
+
+  /**
+   * Classify a product description
+   * @param {string} description - Product description
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Request timeout
+   * @returns {Promise<Object>} hs_code, confidence, rationale, candidates and the raw response
+   */
+  classify: async (description, { timeoutMs }) => {
+    const response = await axios.post(
+      `${CONTEXTGEM_API_URL}/classify`,
+      { description },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${CONTEXTGEM_API_KEY}`
+        },
+        timeout: timeoutMs
+      }
+    );
+
+    const { data } = response;
+    return {
+      ...data,
+      rationale: data.rationale || data.reasoning || null,
+      candidates: data.candidates || data.alternatives || [],
+      raw_response: data
+    };
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const contextgemProvider = require('./contextgemProvider');
+const llmProvider = require('./llmProvider');
+const keywordProvider = require('./keywordProvider');
+
+// Provider order used when CLASSIFICATION_PROVIDERS is not set
+const DEFAULT_PROVIDER_ORDER = ['contextgem', 'llm', 'keyword'];
+
+// Timeout for a provider without its own CLASSIFICATION_<NAME>_TIMEOUT_MS
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.CLASSIFICATION_TIMEOUT_MS) || 10000;
+
+// Providers by name. Each has a name, cacheable flag, isConfigured() and classify(description, { timeoutMs })
+const providers = new Map();
+
+/**
+ * Add or replace a classification provider
+ * @param {Object} provider - Provider implementing name, isConfigured() and classify()
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.classify !== 'function') {
+    throw new Error('A classification provider needs a name and a classify function');
+  }
+  providers.set(provider.name, {
+    cacheable: true,
+    isConfigured: () => true,
+    ...provider
+  });
+};
+
+[contextgemProvider, llmProvider, keywordProvider].forEach(registerProvider);
+
+/**
+ * Timeout for a provider, from CLASSIFICATION_<NAME>_TIMEOUT_MS or CLASSIFICATION_TIMEOUT_MS
+ * @param {string} name - Provider name
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {number} Timeout in milliseconds
+ */
+const providerTimeout = (name, env = process.env) => (
+  parseInt(env[`CLASSIFICATION_${name.toUpperCase()}_TIMEOUT_MS`]) || DEFAULT_TIMEOUT_MS
+);
+
+/**
+ * Providers to try, in order, from the comma-separated CLASSIFICATION_PROVIDERS list
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {Array<Object>} Registered providers with their timeouts; unknown names are skipped
+ */
+const getProviderChain = (env = process.env) => {
+  const order = env.CLASSIFICATION_PROVIDERS
+    ? env.CLASSIFICATION_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PROVIDER_ORDER;
+
+  return [...new Set(order)]
+    .filter(name => providers.has(name))
+    .map(name => ({ ...providers.get(name), timeoutMs: providerTimeout(name, env) }));
+};
+
+module.exports = {
+  DEFAULT_PROVIDER_ORDER,
+  registerProvider,
+  getProviderChain
+};
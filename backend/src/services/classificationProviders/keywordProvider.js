@@ -0,0 +1,74 @@
+'use strict';
+
+const { KEYWORD_RULES } = require('../../constants/classificationRules');
+
+/**
+ * Split text into lower-case words, keeping hyphenated words together
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+const words = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+(?:-[a-z0-9]+)*/g) || [];
+
+/**
+ * Find every rule with a keyword whose words all appear in the description, in rule order
+ * @param {string} description - Product description
+ * @param {Array<Object>} [rules=KEYWORD_RULES] - Rules to match against
+ * @returns {Array<Object>} Matching rules and keywords
+ */
+const matchRules = (description, rules = KEYWORD_RULES) => {
+  const descriptionWords = new Set(words(description));
+  return rules.reduce((matches, rule) => {
+    const keyword = rule.keywords.find(candidate => words(candidate).every(word => descriptionWords.has(word)));
+    return keyword ? [...matches, { rule, keyword }] : matches;
+  }, []);
+};
+
+/**
+ * Find the first rule with a keyword whose words all appear in the description
+ * @param {string} description - Product description
+ * @param {Array<Object>} [rules=KEYWORD_RULES] - Rules to match against
+ * @returns {Object|null} Matching rule and keyword
+ */
+const matchRule = (description, rules = KEYWORD_RULES) => matchRules(description, rules)[0] || null;
+
+/**
+ * Local classification provider matching descriptions against keyword rules.
+ * Needs no network access, so it is the last resort of the provider chain.
+ */
+module.exports = {
+  name: 'keyword',
+  // Keyword guesses are not cached so a remote answer replaces them once a provider is back
+  cacheable: false,
+
+  isConfigured: () => true,
+
+  /**
+   * Classify a product description
+   * @param {string} description - Product description
+   * @returns {Promise<Object>} hs_code, confidence, description and the matched keyword, with the
+   *   less specific rules that also matched as candidates
+   */
+  classify: async (description) => {
+    const [match, ...others] = matchRules(description);
+    if (!match) {
+      throw new Error('No keyword rule matches the description');
+    }
+
+    return {
+      hs_code: match.rule.hs_code,
+      confidence: match.rule.confidence,
+      description: match.rule.description,
+      matched_keyword: match.keyword,
+      rationale: `Description contains the keyword "${match.keyword}" of the rule for ${match.rule.hs_code} (${match.rule.description})`,
+      candidates: others.map(({ rule }) => ({
+        hs_code: rule.hs_code,
+        confidence: rule.confidence,
+        description: rule.description
+      })),
+      raw_response: { matched_rules: [match, ...others].map(({ rule, keyword }) => ({ hs_code: rule.hs_code, keyword })) }
+    };
+  },
+
+  matchRule,
+  matchRules
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const axios = require('axios');
+
+// OpenAI configuration, shared with the Next.js app (src/app/lib/openai.ts)
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const CLASSIFICATION_LLM_MODEL = process.env.CLASSIFICATION_LLM_MODEL || 'gpt-4.1';
+
+const HS_CODE_PATTERN = /^\d{4}(\.\d{2}){0,2}$/;
+
+/**
+ * Generate text with the OpenAI Responses API.
+ * Same call as generateText in src/app/lib/openai.ts, which the CommonJS backend cannot import.
+ * @param {string} prompt - Model input
+ * @param {string} model - Model name
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<string>} Output text
+ */
+const generateText = async (prompt, model, timeoutMs) => {
+  const response = await axios.post(
+    `${OPENAI_API_URL}/responses`,
+    { model, input: prompt },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${OPENAI_API_KEY}`
+      },
+      timeout: timeoutMs
+    }
+  );
+
+  // The REST API has no output_text shortcut; join the text parts of the output messages
+  return (response.data.output || [])
+    .flatMap(item => item.content || [])
+    .filter(part => part.type === 'output_text')
+    .map(part => part.text)
+    .join('');
+};
+
+/**
+ * Build the classification prompt for a product description
+ * @param {string} description - Product description
+ * @returns {string} Prompt asking for a JSON answer
+ */
+const buildPrompt = (description) => [
+  'You are a customs tariff classification assistant.',
+  'Classify the product below in the Harmonized System and answer with JSON only, in the form',
+  '{"hs_code": "NNNN.NN", "confidence": 0.0, "description": "HS subheading text",',
+  ' "rationale": "General Interpretative Rules applied and why",',
+  ' "candidates": [{"hs_code": "NNNN.NN", "confidence": 0.0, "description": "HS subheading text"}]}.',
+  'hs_code is the 6-digit HS subheading written as NNNN.NN; confidence is between 0 and 1.',
+  'candidates lists up to 3 other subheadings you considered, most likely first.',
+  `Product: ${description}`
+].join('\n');
+
+/**
+ * Pull the JSON answer out of the model output
+ * @param {string} text - Model output
+ * @returns {Object} hs_code, confidence, description, rationale and candidates
+ */
+const parseAnswer = (text) => {
+  const match = /\{[\s\S]*\}/.exec(text || '');
+  if (!match) {
+    throw new Error('LLM response did not contain a JSON answer');
+  }
+
+  const answer = JSON.parse(match[0]);
+  const hsCode = String(answer.hs_code || '').trim();
+  if (!HS_CODE_PATTERN.test(hsCode)) {
+    throw new Error(`LLM returned an invalid HS code: ${hsCode || '(empty)'}`);
+  }
+
+  const confidence = Number(answer.confidence);
+  return {
+    hs_code: hsCode,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+    description: answer.description || null,
+    rationale: answer.rationale || null,
+    // Checked and normalized by the classification service like every provider's candidates
+    candidates: Array.isArray(answer.candidates) ? answer.candidates : []
+  };
+};
+
+/**
+ * Classification provider backed by an OpenAI model
+ */
+module.exports = {
+  name: 'llm',
+  cacheable: true,
+
+  isConfigured: () => Boolean(OPENAI_API_KEY),
+
+  /**
+   * Classify a product description
+   * @param {string} description - Product description
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Request timeout
+   * @returns {Promise<Object>} hs_code, confidence, description, rationale, candidates and the raw model output
+   */
+  classify: async (description, { timeoutMs }) => {
+    const text = await generateText(buildPrompt(description), CLASSIFICATION_LLM_MODEL, timeoutMs);
+    return {
+      ...parseAnswer(text),
+      raw_response: { model: CLASSIFICATION_LLM_MODEL, output_text: text }
+    };
+  },
+
+  parseAnswer
+};
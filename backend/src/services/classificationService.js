@@ -1,9 +1,9 @@
 'use strict';
 
-const axios = require('axios');
-const redis = require('redis');
-const { promisify } = require('util');
 const winston = require('winston');
+const classificationProviders = require('./classificationProviders');
+const classificationCache = require('./classificationCache');
+const { httpError } = require('../utils/httpError');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -19,173 +19,311 @@ const logger = winston.createLogger({
   ]
 });
 
-// Initialize Redis client
-let redisClient;
-let getAsync;
-let setexAsync;
+// Confidence threshold for flagging uncertain classifications when no threshold rule applies
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.7;
 
-// Wrap Redis initialization in an async function to await connection
-(async () => {
-  try {
-    redisClient = redis.createClient({
-      url: process.env.REDIS_URL || 'redis://localhost:6379',
-      socket: {
-        // Exponential backoff strategy for reconnection
-        reconnectStrategy: (retries) => Math.min(retries * 50 + Math.random() * 100, 3000)
-      }
-    });
+// Most alternative codes kept per classification
+const MAX_CANDIDATES = parseInt(process.env.CLASSIFICATION_MAX_CANDIDATES) || 5;
 
-    redisClient.on('error', (err) => {
-      logger.error('Redis client error', { error: err.message });
-      // Potentially implement logic to disable caching if Redis is down persistently
-    });
+/**
+ * Clean up the alternative codes a provider suggested: valid codes in stored form, without the chosen code
+ * or duplicates, best first
+ * @param {Array<Object>} candidates - Provider candidates ({ hs_code or code, confidence, description })
+ * @param {string} chosenCode - Normalized code the provider chose
+ * @returns {Array<Object>} Up to MAX_CANDIDATES { hs_code, confidence, description }
+ */
+const normalizeCandidates = (candidates, chosenCode) => {
+  const { normalizeHsCode } = require('./hsNomenclatureService');
+  const seen = new Set([chosenCode]);
 
-    redisClient.on('connect', () => {
-      logger.info('Redis client connecting...');
-    });
+  return (Array.isArray(candidates) ? candidates : [])
+    .map((candidate) => {
+      const confidence = Number(candidate && candidate.confidence);
+      return {
+        hs_code: normalizeHsCode(candidate && (candidate.hs_code || candidate.code)),
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+        description: (candidate && candidate.description) || null
+      };
+    })
+    .filter((candidate) => {
+      if (!candidate.hs_code || seen.has(candidate.hs_code)) return false;
+      seen.add(candidate.hs_code);
+      return true;
+    })
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+};
 
-     redisClient.on('ready', () => {
-      logger.info('Redis client ready and connected to server.');
-    });
+/**
+ * Run a provider, failing it once its timeout has passed
+ * @param {Object} provider - Provider from the chain, with timeoutMs
+ * @param {string} description - Product description
+ * @returns {Promise<Object>} Provider answer
+ */
+const classifyWithTimeout = (provider, description) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${provider.timeoutMs} ms`)), provider.timeoutMs);
+  });
 
-    redisClient.on('reconnecting', () => {
-      logger.warn('Redis client reconnecting...');
-    });
+  return Promise.race([provider.classify(description, { timeoutMs: provider.timeoutMs }), timeout])
+    .finally(() => clearTimeout(timer));
+};
 
-    redisClient.on('end', () => {
-      logger.warn('Redis client connection ended.');
-    });
+/**
+ * Ask each configured provider in CLASSIFICATION_PROVIDERS order until one returns an HS code
+ * @param {string} description - Product description
+ * @param {Array<Object>} [chain] - Providers to try; defaults to the configured chain
+ * @returns {Promise<Object>} Answer with the provider that gave it, or a failed result listing each provider's error
+ */
+const classifyWithProviders = async (description, chain = classificationProviders.getProviderChain()) => {
+  const hsNomenclatureService = require('./hsNomenclatureService');
+  const errors = [];
+
+  for (const provider of chain) {
+    if (!provider.isConfigured()) {
+      errors.push({ provider: provider.name, error: 'not configured' });
+      continue;
+    }
+
+    try {
+      const answer = await classifyWithTimeout(provider, description);
+      if (!answer || !answer.hs_code) {
+        throw new Error('no HS code returned');
+      }
+      // A code outside the nomenclature counts as no answer
+      const { code } = await hsNomenclatureService.validateHsCode(answer.hs_code);
 
-    // Explicitly connect and wait
-    await redisClient.connect();
+      const confidence = Number(answer.confidence) || 0;
+      return {
+        ...answer,
+        hs_code: code,
+        confidence,
+        rationale: answer.rationale ? String(answer.rationale) : null,
+        candidates: normalizeCandidates(answer.candidates, code),
+        raw_response: answer.raw_response ?? null,
+        flagged: confidence < CONFIDENCE_THRESHOLD,
+        provider: provider.name,
+        classification_method: `auto:${provider.name}`,
+        cacheable: provider.cacheable
+      };
+    } catch (error) {
+      logger.warn('Classification provider failed, trying the next one', {
+        provider: provider.name,
+        error: error.message,
+        response: error.response?.data
+      });
+      errors.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  return {
+    hs_code: null,
+    confidence: 0,
+    flagged: true,
+    provider: null,
+    error: errors.length > 0
+      ? errors.map(entry => `${entry.provider}: ${entry.error}`).join('; ')
+      : 'No classification providers configured',
+    classification_method: 'failed',
+    cacheable: false
+  };
+};
+
+/**
+ * Look up the HS code reviewers settled on for this supplier's product
+ * @param {string} description - Product description
+ * @param {Object} product - { supplier, sku }
+ * @returns {Promise<Object|null>} Classification result from the memory, or null
+ */
+const classifyFromMemory = async (description, { supplier, sku }) => {
+  const classificationMemoryService = require('./classificationMemoryService');
 
-    // Promisify Redis commands after connection is established
-    getAsync = promisify(redisClient.get).bind(redisClient);
-    setexAsync = promisify(redisClient.setex).bind(redisClient);
-    // Add delAsync if needed for clearClassificationCache
-    // delAsync = promisify(redisClient.del).bind(redisClient);
+  try {
+    const suggestion = await classificationMemoryService.findSuggestion({ supplier, description, sku });
+    if (!suggestion) {
+      return null;
+    }
 
+    logger.info('Classification found in reviewer memory', { description, memoryId: suggestion.memory.id });
+    const { memory } = suggestion;
+    return {
+      ...suggestion,
+      rationale: `A reviewer ${memory.source} ${suggestion.hs_code} for this supplier's product`
+        + ` (matched on ${memory.matched_on}, confirmed ${memory.confirmations} time${memory.confirmations === 1 ? '' : 's'})`,
+      candidates: [],
+      raw_response: null,
+      flagged: suggestion.confidence < CONFIDENCE_THRESHOLD,
+      provider: 'memory',
+      classification_method: 'auto:memory'
+    };
   } catch (error) {
-    logger.error('Failed to initialize and connect Redis client', { error: error.message });
-    // Ensure redisClient remains undefined or null if connection fails
-    redisClient = null;
-    getAsync = null;
-    setexAsync = null;
+    // The providers can still answer without the memory
+    logger.warn('Error reading classification memory', { description, error: error.message });
+    return null;
   }
-})();
+};
 
+/**
+ * Decide whether a classification needs review, with the threshold rule for its organization, code and
+ * invoice value
+ * @param {Object} result - Classification result with hs_code and confidence
+ * @param {Object} scope - { organizationId, invoiceValue, rules } as taken by thresholdRuleService.resolveThreshold
+ * @returns {Promise<Object>} Result with flagged, threshold and threshold_rule_id (null: CONFIDENCE_THRESHOLD)
+ */
+const applyThreshold = async (result, { organizationId, invoiceValue, rules }) => {
+  const thresholdRuleService = require('./thresholdRuleService');
+  const { threshold, rule_id: ruleId } = await thresholdRuleService.resolveThreshold({
+    organizationId,
+    hsCode: result.hs_code,
+    invoiceValue,
+    rules
+  });
 
-// ContextGem API configuration
-const CONTEXTGEM_API_URL = process.env.CONTEXTGEM_API_URL || 'https://api.contextgem.com/v1';
-const CONTEXTGEM_API_KEY = process.env.CONTEXTGEM_API_KEY;
+  return {
+    ...result,
+    flagged: (Number(result.confidence) || 0) < threshold,
+    threshold,
+    threshold_rule_id: ruleId
+  };
+};
 
-// Cache TTL in seconds (default: 7 days)
-const CACHE_TTL = parseInt(process.env.CLASSIFICATION_CACHE_TTL) || 604800;
+/**
+ * Attach the binding rulings covering the product. A code contradicting one of them is flagged whatever
+ * its confidence, since the ruling binds customs.
+ * @param {Object} result - Classification result with hs_code and flagged
+ * @param {Object} product - { description, supplier, sku, organizationId } as taken by rulingService.findMatchingRulings
+ * @returns {Promise<Object>} Result with rulings and ruling_conflict when any ruling matches
+ */
+const applyRulings = async (result, product) => {
+  const rulingService = require('./rulingService');
 
-// Confidence threshold for flagging uncertain classifications
-const CONFIDENCE_THRESHOLD = parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.7;
+  try {
+    const rulings = await rulingService.findMatchingRulings(product);
+    if (rulings.length === 0) {
+      return result;
+    }
+
+    const conflicts = rulingService.findConflicts(rulings, result.hs_code);
+    if (conflicts.length > 0) {
+      logger.warn('Classification contradicts a binding ruling', {
+        description: product.description,
+        hsCode: result.hs_code,
+        rulings: conflicts.map(match => match.ruling_number)
+      });
+    }
+    return {
+      ...result,
+      flagged: result.flagged || conflicts.length > 0,
+      rulings,
+      ruling_conflict: conflicts.length > 0
+    };
+  } catch (error) {
+    // The classification stands without the rulings
+    logger.warn('Error looking up binding rulings', { description: product.description, error: error.message });
+    return result;
+  }
+};
 
 /**
- * Classify a product description using ContextGem API
+ * Classify a product description. Past reviewer decisions for the supplier's product are used first,
+ * then the first provider in the chain that answers.
  * @param {string} description - Product description
- * @returns {Promise<Object>} Classification result
+ * @param {Object} [product] - What else is known about the product
+ * @param {string} [product.supplier] - Invoice supplier; needed to use the reviewer memory
+ * @param {string} [product.sku] - Supplier article number
+ * @param {number} [product.organizationId] - Organization of the invoice owner, for its threshold rules
+ * @param {number} [product.invoiceValue] - Invoice customs value in the base currency, for value-band rules
+ * @param {Array<Object>} [product.thresholdRules] - Rules preloaded with thresholdRuleService.loadRules
+ * @param {Object} [options]
+ * @param {Array<string>} [options.providers] - Provider names to try instead of CLASSIFICATION_PROVIDERS
+ * @param {boolean} [options.useCache=true] - Read and write the classification cache
+ * @returns {Promise<Object>} Classification result; classification_method records the source (auto:<name>),
+ *   results from the reviewer memory carry its provenance in memory, threshold_rule_id records the
+ *   threshold rule that decided flagged, and rulings lists the binding rulings covering the product
  */
-const classifyProduct = async (description) => {
+const classifyProduct = async (
+  description,
+  { supplier, sku, organizationId, invoiceValue, thresholdRules } = {},
+  { providers, useCache = true } = {}
+) => {
   if (!description) {
     throw new Error('Product description is required');
   }
 
-  try {
-    // Check cache first
-    const cacheKey = `classification:${Buffer.from(description).toString('base64')}`;
-    
-    // Check cache only if client initialized and connected successfully
-    if (redisClient && getAsync) { // Check if getAsync is defined (implies connection succeeded)
-      try {
-        const cachedResult = await getAsync(cacheKey);
-        if (cachedResult) {
-          logger.info('Classification result found in cache', { description });
-          // Ensure the cached result has the expected structure, including 'flagged'
-          const parsedResult = JSON.parse(cachedResult);
-          if (typeof parsedResult.flagged === 'undefined') {
-              parsedResult.flagged = parsedResult.confidence < CONFIDENCE_THRESHOLD;
-          }
-          return parsedResult;
-        }
-      } catch (cacheError) {
-        logger.warn('Error retrieving from Redis cache', { key: cacheKey, error: cacheError.message });
-        // Proceed to API call if cache read fails
-      }
-    } else {
-        logger.warn('Redis client not available, skipping cache check.', { description });
-    }
+  const reviewScope = { organizationId, invoiceValue, rules: thresholdRules };
+  const review = async result => applyRulings(
+    await applyThreshold(result, reviewScope),
+    { description, supplier, sku, organizationId }
+  );
 
-    // If not in cache, cache error, or Redis unavailable, call API
-    if (!CONTEXTGEM_API_KEY) {
-      throw new Error('ContextGem API key is not configured');
+  if (supplier) {
+    const remembered = await classifyFromMemory(description, { supplier, sku });
+    if (remembered) {
+      return review(remembered);
     }
+  }
 
-    const response = await axios.post(
-      `${CONTEXTGEM_API_URL}/classify`,
-      { description },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${CONTEXTGEM_API_KEY}`
-        },
-        timeout: 10000 // 10 seconds timeout
+  // Check cache first
+  if (useCache) {
+    try {
+      const cachedResult = await classificationCache.get(description);
+      if (cachedResult) {
+        logger.info('Classification result found in cache', { description });
+        // The cache is shared across organizations, so flagged is decided again for this one
+        return review(cachedResult);
       }
-    );
-
-    const result = response.data;
-    
-    // Add confidence flag
-    result.flagged = result.confidence < CONFIDENCE_THRESHOLD;
-    
-    // Cache the result
-    // Cache the result only if client initialized and connected successfully
-    if (redisClient && setexAsync) { // Check if setexAsync is defined
-      try {
-        // Ensure result is stringified before caching
-        await setexAsync(cacheKey, CACHE_TTL, JSON.stringify(result));
-        logger.info('Classification result cached successfully', { description, ttl: CACHE_TTL });
-      } catch (cacheError) {
-        logger.warn('Error saving classification result to Redis cache', { key: cacheKey, error: cacheError.message });
-        // Continue even if caching fails
-      }
-    } else {
-         logger.warn('Redis client not available, skipping caching.', { description });
+    } catch (cacheError) {
+      logger.warn('Error retrieving from classification cache', { description, error: cacheError.message });
+      // Proceed to the providers if cache read fails
     }
+  }
 
+  const chain = providers
+    ? classificationProviders.getProviderChain({ ...process.env, CLASSIFICATION_PROVIDERS: providers.join(',') })
+    : undefined;
+  const { cacheable, ...result } = await classifyWithProviders(description, chain);
+  if (!result.hs_code) {
+    logger.error('No classification provider could classify the description', { description, error: result.error });
     return result;
-  } catch (error) {
-    logger.error('Classification API error', { 
-      error: error.message,
-      description,
-      response: error.response?.data
-    });
+  }
 
-    // Fallback mechanism
-    return {
-      hs_code: null,
-      confidence: 0,
-      flagged: true,
-      error: error.message,
-      classification_method: 'failed'
-    };
+  if (cacheable && useCache) {
+    try {
+      await classificationCache.set(description, result);
+      logger.info('Classification result cached successfully', { description, provider: result.provider, ttl: classificationCache.CACHE_TTL });
+    } catch (cacheError) {
+      logger.warn('Error saving classification result to cache', { description, error: cacheError.message });
+      // Continue even if caching fails
+    }
   }
+
+  return review(result);
 };
 
 /**
  * Bulk classify multiple product descriptions
- * @param {Array<Object>} items - Array of items with descriptions
+ * @param {Array<Object>} items - Array of items with descriptions, and optionally supplier, sku,
+ *   organization_id and invoice_value
+ * @param {Object} [options]
+ * @param {number} [options.organizationId] - Organization for items without their own organization_id
  * @returns {Promise<Array<Object>>} Classification results
  */
-const bulkClassify = async (items) => {
+const bulkClassify = async (items, { organizationId } = {}) => {
   if (!Array.isArray(items)) {
     throw new Error('Items must be an array');
   }
 
+  const thresholdRuleService = require('./thresholdRuleService');
+  // Threshold rules are loaded once per organization rather than once per line
+  const rulesByOrganization = new Map();
+  const rulesFor = (id) => {
+    if (!rulesByOrganization.has(id)) {
+      rulesByOrganization.set(id, thresholdRuleService.loadRules(id));
+    }
+    return rulesByOrganization.get(id);
+  };
+
   const results = [];
   
   // Process items in batches to avoid overwhelming the API
@@ -195,13 +333,28 @@ const bulkClassify = async (items) => {
     const batch = items.slice(i, i + batchSize);
     const batchPromises = batch.map(async (item) => {
       try {
-        const result = await classifyProduct(item.description);
+        const itemOrganizationId = item.organization_id ?? organizationId ?? null;
+        const result = await classifyProduct(item.description, {
+          supplier: item.supplier,
+          sku: item.sku,
+          organizationId: itemOrganizationId,
+          invoiceValue: item.invoice_value,
+          thresholdRules: await rulesFor(itemOrganizationId)
+        });
         return {
           ...item,
           hs_code: result.hs_code,
           confidence: result.confidence,
           flagged: result.flagged,
-          classification_method: 'auto'
+          classification_method: result.classification_method,
+          provider: result.provider,
+          rationale: result.rationale || null,
+          candidates: result.candidates || [],
+          raw_response: result.raw_response ?? null,
+          threshold: result.threshold ?? null,
+          threshold_rule_id: result.threshold_rule_id ?? null,
+          rulings: result.rulings || [],
+          ...(result.memory && { memory: result.memory })
         };
       } catch (error) {
         logger.error('Error classifying item in batch', { 
@@ -226,46 +379,181 @@ const bulkClassify = async (items) => {
 };
 
 /**
- * Manually override a classification
+ * Write bulk classification results back to their invoice lines, with their rationale, candidates and the
+ * threshold that decided flagged
+ * @param {Array<Object>} results - Results from bulkClassify; items without an id or a valid hs_code are skipped,
+ *   as are lines classified by hand and lines of invoices that can no longer be edited
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction to run the updates in
+ * @returns {Promise<number>} Number of invoice lines updated
+ */
+const saveClassifications = async (results, { transaction } = {}) => {
+  const db = require('../models');
+  const hsNomenclatureService = require('./hsNomenclatureService');
+  const restrictionService = require('./restrictionService');
+  const tariffService = require('./tariffService');
+  const { EDITABLE_STATUSES } = require('./invoiceStatusService');
+  const { InvoiceLine, Invoice, ClassificationDetail } = db;
+
+  const items = results.filter(result => result.id && result.hs_code);
+  if (items.length === 0) {
+    return 0;
+  }
+
+  // The invoice may have been submitted, or the line adjusted by a reviewer, since it was classified
+  const lines = await InvoiceLine.findAll({
+    where: { id: items.map(item => item.id) },
+    attributes: ['id', 'hs_code', 'classification_method'],
+    include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'status'] }],
+    transaction
+  });
+  const linesById = new Map(lines.map(line => [line.id, line]));
+
+  let updated = 0;
+  const savedIds = [];
+  const changedInvoiceIds = [];
+  for (const item of items) {
+    const line = linesById.get(item.id);
+    if (!line) {
+      logger.warn('Invoice line not found while saving classification', { invoiceLineId: item.id });
+      continue;
+    }
+    if (line.classification_method === 'manual' || !EDITABLE_STATUSES.includes(line.invoice.status)) {
+      logger.info('Classification not saved: line classified by hand or invoice locked', {
+        invoiceLineId: item.id,
+        classificationMethod: line.classification_method,
+        invoiceStatus: line.invoice.status
+      });
+      continue;
+    }
+
+    let hsCode;
+    try {
+      ({ code: hsCode } = await hsNomenclatureService.validateHsCode(item.hs_code));
+    } catch (error) {
+      // e.g. a cached answer from before the nomenclature was loaded
+      logger.warn('Classification not saved: HS code rejected', { invoiceLineId: item.id, hsCode: item.hs_code, error: error.message });
+      continue;
+    }
+
+    const [count] = await InvoiceLine.update({
+      hs_code: hsCode,
+      classification_method: item.classification_method,
+      flagged: item.flagged || false // Default flagged to false if not present
+    }, {
+      where: { id: item.id },
+      transaction
+    });
+
+    if (count === 0) {
+      logger.warn('Invoice line not found while saving classification', { invoiceLineId: item.id });
+      continue;
+    }
+
+    // Keep why the code was chosen and the runner-ups for the reviewer
+    await ClassificationDetail.upsert({
+      invoice_line_id: item.id,
+      provider: item.provider || null,
+      hs_code: hsCode,
+      confidence: item.confidence ?? null,
+      rationale: item.rationale || null,
+      candidates: item.candidates || [],
+      raw_response: item.raw_response ?? null,
+      threshold: item.threshold ?? null,
+      threshold_rule_id: item.threshold_rule_id ?? null,
+      rulings: item.rulings || [],
+      classified_at: new Date()
+    }, { transaction });
+    updated += count;
+    savedIds.push(item.id);
+    if (line.hs_code !== hsCode) {
+      changedInvoiceIds.push(line.invoice.id);
+    }
+  }
+
+  // The new codes may need an import permit or be prohibited
+  await restrictionService.screenLineIds(savedIds, { transaction });
+  // Stored duty estimates follow the new codes' rates
+  await tariffService.refreshStoredEstimates(changedInvoiceIds, { transaction });
+
+  return updated;
+};
+
+/**
+ * Manually override a classification. The line, its restriction hits, the history entry and the reviewer
+ * memory are written together or not at all.
  * @param {number} invoiceLineId - Invoice line ID
- * @param {string} hsCode - HS code
+ * @param {string} hsCode - HS code; must be in the nomenclature (422 otherwise)
  * @param {number} userId - User ID who made the change
  * @returns {Promise<Object>} Updated classification
+ * @throws {Error} 404 when the line does not exist, 409 when its invoice is no longer editable
  */
 const manualClassify = async (invoiceLineId, hsCode, userId) => {
   const db = require('../models');
-  const { InvoiceLine, ClassificationHistory } = db;
+  const hsNomenclatureService = require('./hsNomenclatureService');
+  const classificationMemoryService = require('./classificationMemoryService');
+  const restrictionService = require('./restrictionService');
+  const tariffService = require('./tariffService');
+  const invoiceStatusService = require('./invoiceStatusService');
+  const { InvoiceLine, Invoice, ClassificationHistory } = db;
   
   try {
-    // Get current invoice line
-    const invoiceLine = await InvoiceLine.findByPk(invoiceLineId);
-    if (!invoiceLine) {
-      throw new Error(`Invoice line with ID ${invoiceLineId} not found`);
-    }
-    
-    // Store previous HS code for history
-    const previousHsCode = invoiceLine.hs_code;
-    
-    // Update invoice line with new HS code
-    await invoiceLine.update({
-      hs_code: hsCode,
-      classification_method: 'manual',
-      flagged: false
-    });
-    
-    // Create classification history record
-    const history = await ClassificationHistory.create({
-      invoice_line_id: invoiceLineId,
-      previous_hs_code: previousHsCode,
-      new_hs_code: hsCode,
-      changed_by: userId,
-      changed_at: new Date()
+    // Only codes in the nomenclature are accepted, stored in normalized form
+    const { code: newHsCode } = await hsNomenclatureService.validateHsCode(hsCode);
+
+    const { invoiceLine, history, previousHsCode } = await db.sequelize.transaction(async (transaction) => {
+      // Get current invoice line
+      const invoiceLine = await InvoiceLine.findByPk(invoiceLineId, { transaction });
+      if (!invoiceLine) {
+        throw httpError(`Invoice line with ID ${invoiceLineId} not found`, 404);
+      }
+
+      // Submitted and accepted invoices keep the codes they were declared with
+      const invoice = await Invoice.findByPk(invoiceLine.invoice_id, { attributes: ['id', 'supplier', 'status'], transaction });
+      invoiceStatusService.assertEditable(invoice);
+
+      // Store previous HS code for history
+      const previousHsCode = invoiceLine.hs_code;
+
+      // Update invoice line with new HS code
+      await invoiceLine.update({
+        hs_code: newHsCode,
+        classification_method: 'manual',
+        flagged: false
+      }, { transaction });
+      await restrictionService.screenLines([invoiceLine], { transaction });
+
+      // Create classification history record
+      const history = await ClassificationHistory.create({
+        invoice_line_id: invoiceLineId,
+        previous_hs_code: previousHsCode,
+        new_hs_code: newHsCode,
+        changed_by: userId,
+        changed_at: new Date()
+      }, { transaction });
+
+      // Suggest the same code the next time this supplier's product is classified
+      await classificationMemoryService.recordDecision({
+        supplier: invoice.supplier,
+        description: invoiceLine.description,
+        sku: invoiceLine.sku,
+        hsCode: newHsCode,
+        source: 'manual',
+        invoiceLineId,
+        userId
+      }, { transaction });
+
+      if (previousHsCode !== newHsCode) {
+        await tariffService.refreshStoredEstimates([invoice.id], { transaction });
+      }
+
+      return { invoiceLine, history, previousHsCode };
     });
     
     logger.info('Manual classification completed', {
       invoiceLineId,
       previousHsCode,
-      newHsCode: hsCode,
+      newHsCode,
       userId
     });
     
@@ -287,40 +575,39 @@ const manualClassify = async (invoiceLineId, hsCode, userId) => {
 /**
  * Clear classification cache for a specific description
  * @param {string} description - Product description
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} True when a cached entry was removed
  */
 const clearClassificationCache = async (description) => {
-  // Check cache only if client initialized and connected successfully
-  if (redisClient) { // No need to check getAsync/setexAsync here, just the client existence
-     const delAsync = promisify(redisClient.del).bind(redisClient); // Promisify DEL here or globally
-     if (delAsync) {
-        try {
-            const cacheKey = `classification:${Buffer.from(description).toString('base64')}`;
-            const result = await delAsync(cacheKey);
-            if (result > 0) {
-                logger.info('Classification cache cleared successfully', { description });
-                return true;
-            } else {
-                 logger.info('Classification cache key not found for clearing', { description });
-                 return false; // Key didn't exist, arguably success=false
-            }
-        } catch (error) {
-            logger.error('Error clearing classification cache from Redis', { description, error: error.message });
-            return false;
-        }
-     } else {
-         logger.error('Failed to promisify redisClient.del');
-         return false;
-     }
-  } else {
-    logger.warn('Redis client not available, cannot clear cache');
+  try {
+    const removed = await classificationCache.remove(description);
+    logger.info(removed ? 'Classification cache cleared successfully' : 'Classification cache key not found for clearing', { description });
+    return removed;
+  } catch (error) {
+    logger.error('Error clearing classification cache', { description, error: error.message });
     return false;
   }
 };
 
+/**
+ * Fill the classification cache from past answers of the providers whose answers are cached
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most historical lines to read
+ * @returns {Promise<Object>} { lines, cached }
+ */
+const warmClassificationCache = async ({ limit } = {}) => {
+  const providers = classificationProviders.getProviderChain()
+    .filter(provider => provider.cacheable)
+    .map(provider => provider.name);
+
+  return classificationCache.warm({ limit, providers });
+};
+
 module.exports = {
+  classifyWithProviders,
   classifyProduct,
   bulkClassify,
+  saveClassifications,
   manualClassify,
-  clearClassificationCache
+  clearClassificationCache,
+  warmClassificationCache
 };
\ No newline at end of file
@@ -0,0 +1,230 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { ExchangeRate } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'currency-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/currency.log' })
+  ]
+});
+
+// Currency customs values and reports are expressed in
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Accepted spellings of the columns in an exchange rate file
+const RATE_COLUMNS = {
+  from_currency: ['from currency', 'from', 'base', 'base currency', 'source currency'],
+  to_currency: ['to currency', 'to', 'quote', 'quote currency', 'target currency'],
+  rate: ['rate', 'exchange rate'],
+  effective_date: ['effective date', 'date', 'valid from']
+};
+
+const toDateOnly = (date) => new Date(date || Date.now()).toISOString().split('T')[0];
+
+/**
+ * Find a stored rate for a currency pair, using the inverse pair when only that is loaded
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {string} date - Date the rate must be effective on (YYYY-MM-DD)
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} { rate, effectiveDate } or null
+ */
+const findStoredRate = async (from, to, date, transaction) => {
+  const candidates = await ExchangeRate.findAll({
+    where: {
+      [Op.or]: [
+        { from_currency: from, to_currency: to },
+        { from_currency: to, to_currency: from }
+      ],
+      effective_date: { [Op.lte]: date }
+    },
+    order: [['effective_date', 'DESC']],
+    limit: 2,
+    transaction
+  });
+
+  // Prefer the direct pair when both directions share the latest effective date
+  const latest = candidates.find(rate => rate.from_currency === from && rate.effective_date === candidates[0]?.effective_date)
+    || candidates[0];
+  if (!latest) {
+    return null;
+  }
+
+  const rate = parseFloat(latest.rate);
+  return {
+    rate: latest.from_currency === from ? rate : 1 / rate,
+    effectiveDate: latest.effective_date
+  };
+};
+
+/**
+ * Get the exchange rate between two currencies effective on a date.
+ * Falls back to crossing through the base currency when the pair itself is not loaded.
+ * @param {string} from - Source currency (ISO 4217)
+ * @param {string} to - Target currency (ISO 4217)
+ * @param {Date|string} [date] - Date the rate must be effective on (defaults to today)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object>} { rate, effectiveDate }
+ * @throws {Error} With status 422 when no rate is available
+ */
+const getExchangeRate = async (from, to, date, { transaction } = {}) => {
+  const fromCurrency = String(from || '').toUpperCase();
+  const toCurrency = String(to || '').toUpperCase();
+  const rateDate = toDateOnly(date);
+
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, effectiveDate: rateDate };
+  }
+
+  const direct = await findStoredRate(fromCurrency, toCurrency, rateDate, transaction);
+  if (direct) {
+    return direct;
+  }
+
+  if (fromCurrency !== BASE_CURRENCY && toCurrency !== BASE_CURRENCY) {
+    const toBase = await findStoredRate(fromCurrency, BASE_CURRENCY, rateDate, transaction);
+    const fromBase = toBase && await findStoredRate(BASE_CURRENCY, toCurrency, rateDate, transaction);
+    if (fromBase) {
+      return {
+        rate: toBase.rate * fromBase.rate,
+        // The older of the two legs is the one that limits how current the cross rate is
+        effectiveDate: toBase.effectiveDate < fromBase.effectiveDate ? toBase.effectiveDate : fromBase.effectiveDate
+      };
+    }
+  }
+
+  throw httpError(`No exchange rate from ${fromCurrency} to ${toCurrency} effective on or before ${rateDate}`, 422);
+};
+
+/**
+ * Convert an amount between currencies at the rate effective on a date
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Date|string} [date] - Date the rate must be effective on
+ * @param {Object} [options] - Options passed to getExchangeRate
+ * @returns {Promise<Object>} { amount, rate, effectiveDate }
+ */
+const convertAmount = async (amount, from, to, date, options = {}) => {
+  const { rate, effectiveDate } = await getExchangeRate(from, to, date, options);
+  return {
+    amount: Math.round(parseFloat(amount || 0) * rate * 100) / 100,
+    rate,
+    effectiveDate
+  };
+};
+
+/**
+ * Validate parsed exchange rate rows (see importService.parseSpreadsheet)
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @returns {Object} { rates, errors }
+ */
+const parseRateRows = (rows) => {
+  const rates = [];
+  const errors = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    const normalized = {};
+    Object.keys(values).forEach((header) => {
+      const key = header.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+      const field = Object.keys(RATE_COLUMNS).find(name => RATE_COLUMNS[name].includes(key));
+      if (field) {
+        normalized[field] = values[header];
+      }
+    });
+
+    const fromCurrency = String(normalized.from_currency || '').trim().toUpperCase();
+    const toCurrency = String(normalized.to_currency || '').trim().toUpperCase();
+    const rate = parseFloat(normalized.rate);
+    const effectiveDate = normalized.effective_date ? new Date(normalized.effective_date) : null;
+
+    const rowErrors = [];
+    if (!CURRENCY_CODE.test(fromCurrency)) rowErrors.push('from_currency must be an ISO 4217 code');
+    if (!CURRENCY_CODE.test(toCurrency)) rowErrors.push('to_currency must be an ISO 4217 code');
+    if (fromCurrency && fromCurrency === toCurrency) rowErrors.push('from_currency and to_currency must differ');
+    if (!Number.isFinite(rate) || rate <= 0) rowErrors.push('rate must be a positive number');
+    if (!effectiveDate || Number.isNaN(effectiveDate.getTime())) rowErrors.push('effective_date must be a valid date');
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    rates.push({
+      from_currency: fromCurrency,
+      to_currency: toCurrency,
+      rate,
+      effective_date: toDateOnly(effectiveDate)
+    });
+  });
+
+  return { rates, errors };
+};
+
+/**
+ * Load exchange rates, replacing any rate already stored for the same pair and date
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @param {Object} [options] - Options
+ * @param {string} [options.source] - Where the rates came from (e.g. the file name)
+ * @returns {Promise<Object>} { loaded, errors }
+ */
+const loadExchangeRates = async (rows, { source } = {}) => {
+  const { rates, errors } = parseRateRows(rows);
+
+  if (errors.length > 0) {
+    logger.warn('Exchange rate file rejected', { source, invalidRows: errors.length });
+    return { loaded: 0, errors };
+  }
+
+  await ExchangeRate.bulkCreate(
+    rates.map(rate => ({ ...rate, source })),
+    { updateOnDuplicate: ['rate', 'source', 'updated_at'] }
+  );
+
+  logger.info('Exchange rates loaded', { source, count: rates.length });
+  return { loaded: rates.length, errors };
+};
+
+/**
+ * List stored exchange rates
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.from] - Source currency
+ * @param {string} [filters.to] - Target currency
+ * @param {number} [filters.limit=100] - Maximum number of rates
+ * @returns {Promise<Array<Object>>} Rates, newest first
+ */
+const listExchangeRates = async ({ from, to, limit = 100 } = {}) => {
+  const where = {};
+  if (from) where.from_currency = from.toUpperCase();
+  if (to) where.to_currency = to.toUpperCase();
+
+  return ExchangeRate.findAll({
+    where,
+    order: [['effective_date', 'DESC'], ['from_currency', 'ASC'], ['to_currency', 'ASC']],
+    limit
+  });
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getExchangeRate,
+  convertAmount,
+  parseRateRows,
+  loadExchangeRates,
+  listExchangeRates
+};
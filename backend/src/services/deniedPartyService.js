@@ -0,0 +1,786 @@
+'use strict';
+
+const path = require('path');
+const winston = require('winston');
+const { convert } = require('xmlbuilder2');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { DeniedParty, Invoice, User, Organization, Notification } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'denied-party-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/denied-parties.log' })
+  ]
+});
+
+// Lists that can be loaded, by the key stored on each entry
+const DENIED_PARTY_LISTS = {
+  ofac_sdn: 'OFAC Specially Designated Nationals',
+  un_consolidated: 'UN Security Council Consolidated List'
+};
+
+// Similarity (0-1) from which a party name is reported as a possible match
+const DENIED_PARTY_MATCH_THRESHOLD = parseFloat(process.env.DENIED_PARTY_MATCH_THRESHOLD) || 0.88;
+
+// Whether an invoice may be submitted while no list is loaded to screen it against; off unless set to 'true'
+const DENIED_PARTY_ALLOW_UNSCREENED = process.env.DENIED_PARTY_ALLOW_UNSCREENED === 'true';
+
+// Most matches kept per screened name, best first
+const MAX_MATCHES_PER_NAME = 5;
+
+// Entries written per insert while loading a list
+const LOAD_BATCH_SIZE = 1000;
+
+// How long the prepared list entries are reused before being read again (another process may have loaded a list)
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+// Review decisions on a match
+const MATCH_ACTIONS = { clear: 'cleared', confirm: 'confirmed' };
+
+// Legal forms and articles that do not tell parties apart
+const NOISE_TOKENS = new Set([
+  'the', 'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'gmbh', 'co', 'corp', 'corporation', 'company',
+  'sa', 'sarl', 'srl', 'spa', 'bv', 'nv', 'ag', 'kg', 'plc', 'pte', 'pty', 'jsc', 'ojsc', 'pjsc', 'cjsc',
+  'ooo', 'oao', 'zao', 'fze', 'fzco', 'fzc'
+]);
+
+// Letters that Unicode decomposition does not reduce to Latin, by their usual romanization
+const TRANSLITERATION = {
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye', ж: 'zh', з: 'z', и: 'i', і: 'i',
+  ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ў: 'u',
+  ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  ђ: 'dj', ј: 'j', љ: 'lj', њ: 'nj', ћ: 'c', џ: 'dz',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm', ν: 'n',
+  ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+  // Latin letters without a decomposition
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', ł: 'l', þ: 'th', ı: 'i', ħ: 'h'
+};
+
+// Prepared list entries for matching: { loadedAt, entries }
+let screeningIndex = { loadedAt: 0, entries: null };
+
+/**
+ * Name as matching tokens: romanized, accents removed, lower case, legal forms dropped.
+ * 'Роснефть, ООО' and 'Rosneft LLC' both give ['rosneft'].
+ * @param {string} name - Party name
+ * @returns {Array<string>} Tokens
+ */
+const nameTokens = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^\u0000-\u007f]/g, letter => TRANSLITERATION[letter] ?? letter)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .split(' ')
+  .filter(token => token && !NOISE_TOKENS.has(token));
+
+/**
+ * Jaro-Winkler similarity, forgiving of typos and spelling variants such as Mohammed and Muhammad
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {number} Similarity between 0 and 1
+ */
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j += 1) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Name in the form it is compared in
+ * @param {string} name - Party name
+ * @returns {Object} { name, tokens, joined }
+ */
+const prepareName = (name) => {
+  const tokens = nameTokens(name);
+  return { name, tokens, joined: tokens.join('') };
+};
+
+/**
+ * Similarity of two prepared names. Tokens are paired in any order, so 'SMITH, John' matches 'John Smith';
+ * names with extra tokens score lower. Names written together or apart ('Rosoboronexport', 'Rosoboron Export')
+ * are also compared without spaces.
+ * @param {Object} a - Prepared name
+ * @param {Object} b - Prepared name
+ * @returns {number} Similarity between 0 and 1
+ */
+const nameSimilarity = (a, b) => {
+  if (a.tokens.length === 0 || b.tokens.length === 0) return 0;
+  if (a.joined === b.joined) return 1;
+
+  const [shorter, longer] = a.tokens.length <= b.tokens.length ? [a.tokens, b.tokens] : [b.tokens, a.tokens];
+  const used = new Set();
+  let total = 0;
+  for (const token of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    longer.forEach((other, index) => {
+      if (used.has(index)) return;
+      const score = jaroWinkler(token, other);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    used.add(bestIndex);
+    total += best;
+  }
+
+  const tokenScore = (total / shorter.length) * Math.sqrt(shorter.length / longer.length);
+
+  // Only names of about the same length, or a shared prefix would make 'Ali Baba Trading' look like 'Ali'
+  const lengthGap = Math.abs(a.joined.length - b.joined.length);
+  if (lengthGap > Math.max(2, 0.15 * Math.max(a.joined.length, b.joined.length))) {
+    return tokenScore;
+  }
+  return Math.max(tokenScore, jaroWinkler(a.joined, b.joined));
+};
+
+/**
+ * Forget the prepared entries, e.g. after a list was loaded
+ */
+const resetScreeningIndex = () => {
+  screeningIndex = { loadedAt: 0, entries: null };
+};
+
+/**
+ * List entries prepared for matching, read from the database at most every INDEX_TTL_MS
+ * @returns {Promise<Array<Object>>} Entries with their prepared names and aliases
+ */
+const getScreeningIndex = async () => {
+  if (screeningIndex.entries && Date.now() - screeningIndex.loadedAt < INDEX_TTL_MS) {
+    return screeningIndex.entries;
+  }
+
+  const parties = await DeniedParty.findAll({
+    attributes: ['id', 'list', 'list_entry_id', 'name', 'aliases', 'entity_type', 'programs'],
+    raw: true
+  });
+  const entries = parties.map(party => ({
+    ...party,
+    names: [party.name, ...(party.aliases || [])].map(prepareName).filter(name => name.tokens.length > 0)
+  }));
+
+  screeningIndex = { loadedAt: Date.now(), entries };
+  return entries;
+};
+
+/**
+ * Find the list entries a name may refer to
+ * @param {string} name - Party name
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.entries] - Entries from getScreeningIndex
+ * @param {number} [options.threshold=DENIED_PARTY_MATCH_THRESHOLD] - Lowest similarity reported
+ * @returns {Promise<Array<Object>>} Matches, best first: { party_id, list, list_entry_id, listed_name, matched_name, entity_type, programs, score }
+ */
+const screenName = async (name, { entries, threshold = DENIED_PARTY_MATCH_THRESHOLD } = {}) => {
+  const screened = prepareName(name);
+  if (screened.tokens.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+  for (const entry of entries || await getScreeningIndex()) {
+    let best = null;
+    for (const listedName of entry.names) {
+      const score = nameSimilarity(screened, listedName);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { score, matchedName: listedName.name };
+      }
+    }
+
+    if (best) {
+      matches.push({
+        party_id: entry.id,
+        list: entry.list,
+        list_entry_id: entry.list_entry_id,
+        listed_name: entry.name,
+        matched_name: best.matchedName,
+        entity_type: entry.entity_type,
+        programs: entry.programs || [],
+        score: Math.round(best.score * 1000) / 1000
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, MAX_MATCHES_PER_NAME);
+};
+
+/**
+ * Text content of a converted XML element; empty elements convert to {}
+ * @param {*} value - Converted element
+ * @returns {string} Text with XML entities decoded
+ */
+const xmlText = (value) => {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (match, entity) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[entity]))
+    .trim();
+};
+
+/**
+ * Converted XML element that may occur once or many times, as an array
+ * @param {*} value - Converted element(s)
+ * @returns {Array<*>} Elements
+ */
+const xmlList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Distinct non-empty strings
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} Values without blanks and repeats
+ */
+const distinct = (values) => [...new Set(values.map(value => String(value || '').trim()).filter(Boolean))];
+
+/**
+ * Split CSV text into rows of fields, following RFC 4180 quoting
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines and the end-of-file marker OFAC appends
+  return rows.filter(fields => fields.some(value => value.replace(/\u001a/g, '').trim()));
+};
+
+/**
+ * Value of an OFAC CSV field, where -0- means empty
+ * @param {string} value - Field
+ * @returns {string} Value, or ''
+ */
+const ofacValue = (value) => {
+  const trimmed = String(value || '').trim();
+  return trimmed === '-0-' ? '' : trimmed;
+};
+
+/**
+ * Parse the OFAC SDN list in its CSV form (SDN.CSV, with ALT.CSV for the aliases if given).
+ * Aliases written in the remarks (a.k.a. 'NAME') are picked up as well.
+ * @param {string} text - SDN.CSV content
+ * @param {string} [aliasText] - ALT.CSV content
+ * @returns {Object} { entries, errors }
+ */
+const parseOfacCsv = (text, aliasText) => {
+  const aliases = new Map();
+  if (aliasText) {
+    parseCsv(aliasText).forEach(([entNum, , , altName]) => {
+      const id = ofacValue(entNum);
+      const name = ofacValue(altName);
+      if (id && name) {
+        aliases.set(id, [...(aliases.get(id) || []), name]);
+      }
+    });
+  }
+
+  const entries = [];
+  const errors = [];
+  parseCsv(text).forEach((fields, index) => {
+    const [entNum, sdnName, sdnType, program, , , , , , , , remarks] = fields.map(ofacValue);
+    const rowErrors = [];
+    if (!/^\d+$/.test(entNum)) rowErrors.push('ent_num must be a number');
+    if (!sdnName) rowErrors.push('SDN name is required');
+    if (rowErrors.length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+      return;
+    }
+
+    const remarkAliases = [...(remarks || '').matchAll(/\b[afn]\.k\.a\.,?\s*'([^']+)'/gi)].map(match => match[1]);
+    entries.push({
+      list_entry_id: entNum,
+      name: sdnName,
+      aliases: distinct([...(aliases.get(entNum) || []), ...remarkAliases]),
+      entity_type: sdnType ? sdnType.toLowerCase() : 'entity',
+      programs: distinct(program.replace(/^\[|\]$/g, '').split(/\]\s*\[/)),
+      countries: [],
+      remarks: remarks || null
+    });
+  });
+
+  return { list: 'ofac_sdn', entries, errors, published: null };
+};
+
+/**
+ * Full name of an OFAC XML name element (sdnEntry or aka)
+ * @param {Object} element - Converted element
+ * @returns {string} First and last name
+ */
+const ofacXmlName = (element) => [xmlText(element.firstName), xmlText(element.lastName)].filter(Boolean).join(' ');
+
+/**
+ * Parse the OFAC SDN list in its XML form (sdn.xml)
+ * @param {Object} sdnList - Converted sdnList root element
+ * @returns {Object} { entries, errors, published }
+ */
+const parseOfacXml = (sdnList) => {
+  const entries = [];
+  const errors = [];
+
+  xmlList(sdnList.sdnEntry).forEach((entry, index) => {
+    const uid = xmlText(entry.uid);
+    const name = ofacXmlName(entry);
+    const rowErrors = [];
+    if (!uid) rowErrors.push('uid is required');
+    if (!name) rowErrors.push('name is required');
+    if (rowErrors.length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+      return;
+    }
+
+    const countries = [
+      ...xmlList(entry.addressList && entry.addressList.address).map(address => xmlText(address.country)),
+      ...xmlList(entry.nationalityList && entry.nationalityList.nationality).map(nationality => xmlText(nationality.country)),
+      ...xmlList(entry.citizenshipList && entry.citizenshipList.citizenship).map(citizenship => xmlText(citizenship.country))
+    ];
+    entries.push({
+      list_entry_id: uid,
+      name,
+      aliases: distinct(xmlList(entry.akaList && entry.akaList.aka).map(ofacXmlName)),
+      entity_type: (xmlText(entry.sdnType) || 'entity').toLowerCase(),
+      programs: distinct(xmlList(entry.programList && entry.programList.program).map(xmlText)),
+      countries: distinct(countries),
+      remarks: xmlText(entry.remarks) || null
+    });
+  });
+
+  const published = sdnList.publshInformation ? xmlText(sdnList.publshInformation.Publish_Date) : '';
+  return { list: 'ofac_sdn', entries, errors, published: published || null };
+};
+
+/**
+ * Parse the UN Security Council consolidated list (consolidated.xml)
+ * @param {Object} consolidatedList - Converted CONSOLIDATED_LIST root element
+ * @returns {Object} { entries, errors, published }
+ */
+const parseUnXml = (consolidatedList) => {
+  const entries = [];
+  const errors = [];
+
+  const records = [
+    ...xmlList(consolidatedList.INDIVIDUALS && consolidatedList.INDIVIDUALS.INDIVIDUAL)
+      .map(record => ({ record, type: 'individual', aliases: record.INDIVIDUAL_ALIAS, addresses: record.INDIVIDUAL_ADDRESS })),
+    ...xmlList(consolidatedList.ENTITIES && consolidatedList.ENTITIES.ENTITY)
+      .map(record => ({ record, type: 'entity', aliases: record.ENTITY_ALIAS, addresses: record.ENTITY_ADDRESS }))
+  ];
+
+  records.forEach(({ record, type, aliases, addresses }, index) => {
+    const dataId = xmlText(record.DATAID);
+    const name = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME'].map(field => xmlText(record[field])).filter(Boolean).join(' ');
+    const rowErrors = [];
+    if (!dataId) rowErrors.push('DATAID is required');
+    if (!name) rowErrors.push('name is required');
+    if (rowErrors.length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+      return;
+    }
+
+    const nationalities = xmlList(record.NATIONALITY).flatMap(nationality => xmlList(nationality.VALUE).map(xmlText));
+    entries.push({
+      list_entry_id: dataId,
+      name,
+      aliases: distinct([
+        ...xmlList(aliases).map(alias => xmlText(alias.ALIAS_NAME)),
+        xmlText(record.NAME_ORIGINAL_SCRIPT)
+      ]),
+      entity_type: type,
+      programs: distinct([xmlText(record.UN_LIST_TYPE)]),
+      countries: distinct([...nationalities, ...xmlList(addresses).map(address => xmlText(address.COUNTRY))]),
+      remarks: [xmlText(record.REFERENCE_NUMBER), xmlText(record.COMMENTS1)].filter(Boolean).join(': ') || null
+    });
+  });
+
+  const published = xmlText(consolidatedList['@dateGenerated']);
+  return { list: 'un_consolidated', entries, errors, published: published || null };
+};
+
+/**
+ * Parse a denied-party list file. The list is recognised from the file: SDN.CSV or sdn.xml for OFAC,
+ * consolidated.xml for the UN.
+ * @param {Object} file - { filename, buffer }
+ * @param {Object} [aliasFile] - OFAC ALT.CSV as { filename, buffer }
+ * @returns {Object} { list, entries, errors, published }
+ */
+const parseListFile = (file, aliasFile) => {
+  const extension = path.extname(file.filename || '').toLowerCase();
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  let parsed;
+  if (extension === '.csv') {
+    parsed = parseOfacCsv(text, aliasFile ? aliasFile.buffer.toString('utf8') : null);
+  } else if (extension === '.xml') {
+    let document;
+    try {
+      document = convert(text, { format: 'object' });
+    } catch (error) {
+      throw httpError(`Could not read ${file.filename}: ${error.message}`, 400);
+    }
+    if (document.sdnList) {
+      parsed = parseOfacXml(document.sdnList);
+    } else if (document.CONSOLIDATED_LIST) {
+      parsed = parseUnXml(document.CONSOLIDATED_LIST);
+    } else {
+      throw httpError(`${file.filename} is neither the OFAC SDN list nor the UN consolidated list`, 400);
+    }
+  } else {
+    throw httpError(`Unsupported file type '${extension}'. Supported types: .csv (OFAC SDN), .xml (OFAC SDN, UN consolidated)`, 400);
+  }
+
+  const seen = new Set();
+  parsed.entries.forEach((entry, index) => {
+    if (seen.has(entry.list_entry_id)) {
+      parsed.errors.push({ row: index + 1, errors: [`entry ${entry.list_entry_id} appears more than once`] });
+    }
+    seen.add(entry.list_entry_id);
+  });
+
+  return parsed;
+};
+
+/**
+ * Load a denied-party list file, replacing every stored entry of that list. The whole file is rejected if any
+ * entry is invalid.
+ * @param {Object} file - { filename, buffer }
+ * @param {Object} [options]
+ * @param {Object} [options.aliasFile] - OFAC ALT.CSV as { filename, buffer }, with SDN.CSV
+ * @param {string} [options.source] - Recorded on each entry; defaults to the file name and publication date
+ * @returns {Promise<Object>} { list, loaded, errors }
+ */
+const loadDeniedPartyList = async (file, { aliasFile, source } = {}) => {
+  const { list, entries, errors, published } = parseListFile(file, aliasFile);
+
+  if (errors.length > 0) {
+    logger.warn('Denied-party list file rejected', { list, file: file.filename, invalidEntries: errors.length });
+    return { list, loaded: 0, errors: errors.sort((a, b) => a.row - b.row) };
+  }
+  if (entries.length === 0) {
+    throw httpError(`${file.filename} has no list entries`, 422);
+  }
+
+  const recordedSource = (source || [path.basename(file.filename), published].filter(Boolean).join(' ')).slice(0, 100);
+  await db.sequelize.transaction(async (transaction) => {
+    await DeniedParty.destroy({ where: { list }, transaction });
+    for (let start = 0; start < entries.length; start += LOAD_BATCH_SIZE) {
+      await DeniedParty.bulkCreate(
+        entries.slice(start, start + LOAD_BATCH_SIZE).map(entry => ({ ...entry, list, source: recordedSource })),
+        { transaction }
+      );
+    }
+  });
+  resetScreeningIndex();
+
+  logger.info('Denied-party list loaded', { list, source: recordedSource, count: entries.length });
+  return { list, loaded: entries.length, errors: [] };
+};
+
+/**
+ * Entries and source of each loaded list
+ * @returns {Promise<Array<Object>>} { list, name, entries, source, loaded_at } per known list
+ */
+const listSummaries = async () => {
+  const rows = await DeniedParty.findAll({
+    attributes: [
+      'list',
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'entries'],
+      [db.sequelize.fn('MAX', db.sequelize.col('source')), 'source'],
+      [db.sequelize.fn('MAX', db.sequelize.col('updated_at')), 'loaded_at']
+    ],
+    group: ['list'],
+    raw: true
+  });
+  const byList = new Map(rows.map(row => [row.list, row]));
+
+  return Object.keys(DENIED_PARTY_LISTS).map((list) => {
+    const row = byList.get(list);
+    return {
+      list,
+      name: DENIED_PARTY_LISTS[list],
+      entries: row ? parseInt(row.entries) : 0,
+      source: row ? row.source : null,
+      loaded_at: row ? row.loaded_at : null
+    };
+  });
+};
+
+/**
+ * Party name without the HTML escapes added by request sanitization, as it would appear on a list
+ * @param {string} name - Name as stored
+ * @returns {string} Name as entered
+ */
+const unescapeName = (name) => String(name || '')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, "'")
+  .replace(/&#x2F;/g, '/')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&#96;/g, '`')
+  .replace(/&#x5C;/g, '\\')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Parties of an invoice to screen: the supplier, and the importer as consignee
+ * @param {Object} invoice - Invoice with its user and the user's organization
+ * @returns {Array<Object>} { role, name }
+ */
+const invoiceParties = (invoice) => {
+  const consignee = invoice.user && ((invoice.user.organization && invoice.user.organization.name) || invoice.user.full_name);
+  return [
+    { role: 'supplier', name: unescapeName(invoice.supplier) },
+    { role: 'consignee', name: unescapeName(consignee) }
+  ].filter(party => party.name && party.name.trim());
+};
+
+/**
+ * Screening status that follows from the matches
+ * @param {Array<Object>} matches - Stored matches
+ * @returns {string} Confirmed, PotentialMatch or Clear
+ */
+const statusOf = (matches) => {
+  if (matches.some(match => match.status === 'confirmed')) return 'Confirmed';
+  if (matches.some(match => match.status === 'open')) return 'PotentialMatch';
+  return 'Clear';
+};
+
+/**
+ * Screen the supplier and consignee of an invoice and store the matches on it. Review decisions are kept for
+ * matches found again for the same party name, so a cleared false positive does not come back.
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { status, matches, screened_at }
+ */
+const screenInvoice = async (invoiceId, { transaction } = {}) => {
+  const invoice = await Invoice.findByPk(invoiceId, {
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'full_name'],
+      include: [{ model: Organization, as: 'organization', attributes: ['id', 'name'] }]
+    }],
+    transaction
+  });
+  if (!invoice) {
+    throw httpError(`Invoice with ID ${invoiceId} not found`, 404);
+  }
+
+  const entries = await getScreeningIndex();
+  const screenedAt = new Date();
+  if (entries.length === 0) {
+    logger.warn('No denied-party list loaded; invoice not screened', { invoiceId });
+    await invoice.update({ denied_party_status: 'Unscreened', denied_party_matches: [], denied_party_screened_at: screenedAt }, { transaction });
+    return { status: 'Unscreened', matches: [], screened_at: screenedAt };
+  }
+
+  const previous = invoice.denied_party_matches || [];
+  const decisionKey = match => `${match.role}:${match.party_id}:${match.screened_name}`;
+  const decisions = new Map(previous.filter(match => match.status !== 'open').map(match => [decisionKey(match), match]));
+
+  const matches = [];
+  for (const party of invoiceParties(invoice)) {
+    for (const found of await screenName(party.name, { entries })) {
+      const match = { role: party.role, screened_name: party.name, ...found, status: 'open' };
+      const decision = decisions.get(decisionKey(match));
+      matches.push(decision
+        ? { ...match, status: decision.status, reviewed_by: decision.reviewed_by, reviewed_at: decision.reviewed_at, review_reason: decision.review_reason }
+        : match);
+    }
+  }
+
+  const status = statusOf(matches);
+  await invoice.update({ denied_party_status: status, denied_party_matches: matches, denied_party_screened_at: screenedAt }, { transaction });
+
+  if (matches.some(match => match.status === 'open')) {
+    logger.warn('Possible denied-party match', {
+      invoiceId,
+      matches: matches.filter(match => match.status === 'open').map(match => ({ role: match.role, party_id: match.party_id, score: match.score }))
+    });
+  }
+  return { status, matches, screened_at: screenedAt };
+};
+
+/**
+ * Screen an invoice again right before it is filed
+ * @param {number} invoiceId - Invoice ID
+ * @throws {Error} 409 while a match awaits review, a party was confirmed as denied, or no list is loaded
+ *   (unless DENIED_PARTY_ALLOW_UNSCREENED is 'true')
+ */
+const assertNoDeniedParties = async (invoiceId) => {
+  const { status, matches } = await screenInvoice(invoiceId);
+
+  if (status === 'Unscreened' && !DENIED_PARTY_ALLOW_UNSCREENED) {
+    throw httpError(`Invoice ${invoiceId} cannot be submitted: no denied-party list is loaded to screen its parties against`, 409);
+  }
+  if (status === 'Confirmed') {
+    throw httpError(`Invoice ${invoiceId} involves a confirmed denied party and cannot be submitted`, 409);
+  }
+  if (status === 'PotentialMatch') {
+    const open = matches.filter(match => match.status === 'open');
+    throw httpError(
+      `Invoice ${invoiceId} has ${open.length} possible denied-party match(es) awaiting compliance review: `
+        + open.map(match => `${match.role} '${match.screened_name}' ~ '${match.listed_name}' (${DENIED_PARTY_LISTS[match.list]})`).join('; '),
+      409
+    );
+  }
+};
+
+/**
+ * Invoices with matches awaiting compliance review, oldest screening first
+ * @returns {Promise<Array<Object>>} Invoices with their owner
+ */
+const listPendingReviews = async () => {
+  return Invoice.findAll({
+    where: { denied_party_status: 'PotentialMatch' },
+    attributes: ['id', 'supplier', 'invoice_date', 'status', 'denied_party_status', 'denied_party_matches', 'denied_party_screened_at'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'full_name', 'email'] }],
+    order: [['denied_party_screened_at', 'ASC']]
+  });
+};
+
+/**
+ * Record a compliance decision on a match: clear a false positive or confirm the party is denied
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} decision
+ * @param {string} decision.role - supplier or consignee
+ * @param {number} decision.partyId - Matched list entry
+ * @param {string} decision.action - clear or confirm
+ * @param {string} [decision.reason] - Why, kept on the match
+ * @param {number} userId - Reviewer
+ * @returns {Promise<Object>} Updated invoice
+ */
+const resolveMatch = async (invoiceId, { role, partyId, action, reason = null }, userId) => {
+  if (!MATCH_ACTIONS[action]) {
+    throw httpError(`Action must be one of: ${Object.keys(MATCH_ACTIONS).join(', ')}`, 422);
+  }
+
+  return db.sequelize.transaction(async (transaction) => {
+    const invoice = await Invoice.findByPk(invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!invoice) {
+      throw httpError(`Invoice with ID ${invoiceId} not found`, 404);
+    }
+
+    const matches = invoice.denied_party_matches || [];
+    const match = matches.find(entry => entry.role === role && entry.party_id === partyId);
+    if (!match) {
+      throw httpError(`Invoice ${invoiceId} has no ${role} match with denied party ${partyId}`, 404);
+    }
+
+    const status = MATCH_ACTIONS[action];
+    const updated = matches.map(entry => (entry === match
+      ? { ...entry, status, reviewed_by: userId, reviewed_at: new Date(), review_reason: reason }
+      : entry));
+    const invoiceStatus = statusOf(updated);
+    await invoice.update({ denied_party_matches: updated, denied_party_status: invoiceStatus }, { transaction });
+
+    if (invoice.user_id && invoiceStatus !== 'PotentialMatch') {
+      await Notification.create({
+        user_id: invoice.user_id,
+        type: invoiceStatus === 'Confirmed' ? 'DeniedPartyConfirmed' : 'DeniedPartyCleared',
+        message: invoiceStatus === 'Confirmed'
+          ? `Invoice #${invoice.id} involves a denied party and cannot be submitted.`
+          : `Denied-party matches on invoice #${invoice.id} were cleared by compliance.`,
+        read: false
+      }, { transaction });
+    }
+
+    logger.info('Denied-party match reviewed', { invoiceId, role, partyId, action, userId });
+    return invoice;
+  });
+};
+
+module.exports = {
+  DENIED_PARTY_LISTS,
+  DENIED_PARTY_MATCH_THRESHOLD,
+  nameTokens,
+  jaroWinkler,
+  nameSimilarity,
+  prepareName,
+  screenName,
+  parseListFile,
+  loadDeniedPartyList,
+  listSummaries,
+  screenInvoice,
+  assertNoDeniedParties,
+  listPendingReviews,
+  resolveMatch
+};
@@ -5,6 +5,12 @@ const path = require('path');
 const xmlbuilder2 = require('xmlbuilder2');
 const puppeteer = require('puppeteer');
 const winston = require('winston');
+const { updateInvoiceTotal } = require('./invoiceService');
+const { BASE_CURRENCY } = require('./currencyService');
+const { UNITS_OF_MEASURE, PACKAGE_TYPES } = require('../constants/customsCodes');
+const hsNomenclatureService = require('./hsNomenclatureService');
+const tariffService = require('./tariffService');
+const { httpError } = require('../utils/httpError');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -23,6 +29,118 @@ const logger = winston.createLogger({
 // Document storage location
 const DOCUMENT_STORAGE_PATH = process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, '../../storage/documents');
 
+/**
+ * Format an amount with its currency for the PDF declaration
+ * @param {number|string} amount - Amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {String} Formatted amount, e.g. "€1,250.00"
+ */
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: currency || BASE_CURRENCY
+}).format(parseFloat(amount) || 0);
+
+/**
+ * Append an element holding a text value
+ * (xmlbuilder2 reads a second string argument to ele() as a namespace, not as text)
+ * @param {Object} parent - Parent xmlbuilder2 node
+ * @param {String} name - Element name
+ * @param {*} value - Element text
+ * @param {Object} [attributes] - Element attributes
+ * @returns {Object} Created node
+ */
+const addText = (parent, name, value, attributes = {}) => parent.ele(name, attributes).txt(String(value));
+
+/**
+ * Sum a numeric line field, ignoring lines where it is not set
+ * @param {Array<Object>} lines - Invoice lines
+ * @param {String} field - Field name
+ * @returns {Number|null} Sum, or null when no line has the field
+ */
+const sumLineField = (lines, field) => {
+  const values = (lines || [])
+    .map(line => line[field])
+    .filter(value => value !== null && value !== undefined)
+    .map(value => parseFloat(value));
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+};
+
+/**
+ * Format a weight in kg for the PDF declaration
+ * @param {number|string|null} weight - Weight in kg
+ * @returns {String} Formatted weight, or a dash when unknown
+ */
+const formatWeight = (weight) => (weight === null || weight === undefined
+  ? '-'
+  : `${parseFloat(weight).toLocaleString('en-US', { maximumFractionDigits: 3 })} kg`);
+
+/**
+ * HTML section of the PDF declaration with the estimated duties and taxes per line and in total
+ * @param {Object|null} estimate - Estimate from tariffService.estimateInvoiceDuties
+ * @param {Array<Object>} lines - Invoice lines, in declaration order
+ * @returns {String} HTML, empty when there is no estimate
+ */
+const dutyEstimateSection = (estimate, lines) => {
+  if (!estimate) {
+    return '';
+  }
+
+  const itemNumbers = new Map((lines || []).map((line, index) => [line.id, index + 1]));
+  const money = amount => formatMoney(amount, estimate.currency);
+
+  return `
+        <div class="section">
+          <div class="section-title">Estimated Duties and Taxes (${estimate.currency}, rates as of ${estimate.date})</div>
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Tariff Line</th>
+                <th>Customs Value</th>
+                <th>Duty</th>
+                <th>Excise</th>
+                <th>Env. Levy</th>
+                <th>VAT/ABST</th>
+                <th>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${estimate.lines.map(line => (line.error ? `
+                <tr>
+                  <td>${itemNumbers.get(line.id) || '-'}</td>
+                  <td>${line.hs_code || '-'}</td>
+                  <td colspan="6">Not estimated: ${line.error}</td>
+                </tr>` : `
+                <tr>
+                  <td>${itemNumbers.get(line.id) || '-'}</td>
+                  <td>${line.tariff_line}${line.origin_country ? ` (${line.origin_country})` : ''}</td>
+                  <td>${money(line.customs_value)}</td>
+                  <td>${money(line.duty)} <small>(${line.rates.duty}%)</small></td>
+                  <td>${money(line.excise)} <small>(${line.rates.excise}%)</small></td>
+                  <td>${money(line.environmental_levy)} <small>(${line.rates.environmental_levy}%)</small></td>
+                  <td>${money(line.vat)} <small>(${line.rates.vat}%)</small></td>
+                  <td>${money(line.total)}</td>
+                </tr>`)).join('')}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colspan="2" style="text-align: right;"><strong>Totals:</strong></td>
+                <td>${money(estimate.totals.customs_value)}</td>
+                <td>${money(estimate.totals.duty)}</td>
+                <td>${money(estimate.totals.excise)}</td>
+                <td>${money(estimate.totals.environmental_levy)}</td>
+                <td>${money(estimate.totals.vat)}</td>
+                <td><strong>${money(estimate.totals.total)}</strong></td>
+              </tr>
+            </tfoot>
+          </table>
+          ${estimate.lines_without_rate > 0
+            ? `<p><small>${estimate.lines_without_rate} line(s) could not be estimated and are not included in the totals.</small></p>`
+            : ''}
+          <p><small>Estimate only; the duties assessed by customs may differ.</small></p>
+        </div>`;
+};
+
 /**
  * Ensure document storage directory exists
  */
@@ -57,21 +175,22 @@ const generateXmlDocument = async (invoice) => {
     
     // Add declaration header
     const header = asycudaDoc.ele('Header');
-    header.ele('DeclarationOffice', invoice.id);
-    header.ele('DeclarationDate', new Date(invoice.invoice_date || invoice.created_at).toISOString().split('T')[0]);
-    header.ele('DeclarationType', 'IM');
+    addText(header, 'DeclarationOffice', invoice.id);
+    addText(header, 'DeclarationDate', new Date(invoice.invoice_date || invoice.created_at).toISOString().split('T')[0]);
+    addText(header, 'DeclarationType', 'IM');
+    addText(header, 'InvoiceCurrency', invoice.currency || BASE_CURRENCY);
     
     // Add exporter information
     const exporter = asycudaDoc.ele('Exporter');
-    exporter.ele('Name', invoice.supplier || 'Unknown Supplier');
+    addText(exporter, 'Name', invoice.supplier || 'Unknown Supplier');
     
     // Add importer information (from user data)
     const importer = asycudaDoc.ele('Importer');
     if (invoice.user) {
-      importer.ele('Name', invoice.user.name || 'Unknown Importer');
-      importer.ele('Address', invoice.user.address || 'Unknown Address');
+      addText(importer, 'Name', invoice.user.name || 'Unknown Importer');
+      addText(importer, 'Address', invoice.user.address || 'Unknown Address');
     } else {
-      importer.ele('Name', 'Unknown Importer');
+      addText(importer, 'Name', 'Unknown Importer');
     }
     
     // Add items
@@ -79,19 +198,52 @@ const generateXmlDocument = async (invoice) => {
     if (invoice.invoice_lines && invoice.invoice_lines.length > 0) {
       invoice.invoice_lines.forEach((line, index) => {
         const item = items.ele('Item');
-        item.ele('ItemNumber', index + 1);
-        item.ele('Description', line.description || 'No description');
-        item.ele('HSCode', line.hs_code || '0000.00.00');
-        item.ele('Quantity', line.quantity || 0);
-        item.ele('UnitPrice', line.unit_price || 0);
-        item.ele('TotalPrice', (line.quantity * line.unit_price) || 0);
+        addText(item, 'ItemNumber', index + 1);
+        addText(item, 'Description', line.description || 'No description');
+        if (line.hs_code) { // generateDocuments refuses invoices with unclassified lines
+          addText(item, 'HSCode', line.hs_code);
+        }
+        if (line.origin_country) {
+          addText(item, 'OriginCountry', line.origin_country);
+        }
+        addText(item, 'Quantity', line.quantity || 0, line.uom ? { unit: line.uom } : {});
+        if (line.package_count !== null && line.package_count !== undefined) {
+          const packages = item.ele('Packages');
+          addText(packages, 'Number', line.package_count);
+          if (line.package_type) {
+            addText(packages, 'KindCode', line.package_type);
+          }
+        }
+        if (line.gross_weight !== null && line.gross_weight !== undefined) {
+          addText(item, 'GrossWeight', line.gross_weight, { unit: 'KG' });
+        }
+        if (line.net_weight !== null && line.net_weight !== undefined) {
+          addText(item, 'NetWeight', line.net_weight, { unit: 'KG' });
+        }
+        const lineCurrency = line.currency || invoice.currency || BASE_CURRENCY;
+        addText(item, 'UnitPrice', line.unit_price || 0, { currency: lineCurrency });
+        addText(item, 'TotalPrice', (line.quantity * line.unit_price) || 0, { currency: lineCurrency });
       });
     }
     
-    // Add totals
+    // Add totals: the invoice amount as billed and the customs value in the base currency
     const totals = asycudaDoc.ele('Totals');
-    totals.ele('TotalItems', invoice.invoice_lines ? invoice.invoice_lines.length : 0);
-    totals.ele('TotalAmount', invoice.total_amount || 0);
+    addText(totals, 'TotalItems', invoice.invoice_lines ? invoice.invoice_lines.length : 0);
+    const totalPackages = sumLineField(invoice.invoice_lines, 'package_count');
+    const totalGrossWeight = sumLineField(invoice.invoice_lines, 'gross_weight');
+    const totalNetWeight = sumLineField(invoice.invoice_lines, 'net_weight');
+    if (totalPackages !== null) addText(totals, 'TotalPackages', totalPackages);
+    if (totalGrossWeight !== null) addText(totals, 'TotalGrossWeight', totalGrossWeight.toFixed(3), { unit: 'KG' });
+    if (totalNetWeight !== null) addText(totals, 'TotalNetWeight', totalNetWeight.toFixed(3), { unit: 'KG' });
+    addText(totals, 'TotalAmount', invoice.total_amount || 0, { currency: invoice.currency || BASE_CURRENCY });
+    if (invoice.total_amount_base !== null && invoice.total_amount_base !== undefined) {
+      addText(totals, 'ExchangeRate', invoice.exchange_rate, {
+        from: invoice.currency,
+        to: invoice.base_currency,
+        effectiveDate: invoice.exchange_rate_date
+      });
+      addText(totals, 'CustomsValue', invoice.total_amount_base, { currency: invoice.base_currency });
+    }
     
     // Convert to string
     const xmlString = root.end({ prettyPrint: true });
@@ -111,9 +263,10 @@ const generateXmlDocument = async (invoice) => {
  * Generate PDF document from XML data
  * @param {String} xmlData - XML document as string
  * @param {Object} invoice - Invoice object for metadata
+ * @param {Object} [dutyEstimate] - Duty estimate (tariffService.estimateInvoiceDuties) to print after the items
  * @returns {Buffer} PDF document as buffer
  */
-const generatePdfDocument = async (xmlData, invoice) => {
+const generatePdfDocument = async (xmlData, invoice, dutyEstimate = null) => {
   let browser;
   try {
     if (!xmlData) {
@@ -175,6 +328,7 @@ const generatePdfDocument = async (xmlData, invoice) => {
           <p>Invoice #: ${invoice.id}</p>
           <p>Date: ${new Date(invoice.invoice_date || invoice.created_at).toLocaleDateString()}</p>
           <p>Supplier: ${invoice.supplier || 'Unknown Supplier'}</p>
+          <p>Invoice Currency: ${invoice.currency || BASE_CURRENCY}</p>
         </div>
         
         <div class="section">
@@ -185,7 +339,10 @@ const generatePdfDocument = async (xmlData, invoice) => {
                 <th>#</th>
                 <th>Description</th>
                 <th>HS Code</th>
+                <th>Origin</th>
                 <th>Quantity</th>
+                <th>Packages</th>
+                <th>Gross / Net Weight</th>
                 <th>Unit Price</th>
                 <th>Total</th>
               </tr>
@@ -196,20 +353,40 @@ const generatePdfDocument = async (xmlData, invoice) => {
                   <td>${index + 1}</td>
                   <td>${line.description || 'No description'}</td>
                   <td>${line.hs_code || 'Unclassified'}</td>
-                  <td>${line.quantity || 0}</td>
-                  <td>$${line.unit_price ? line.unit_price.toFixed(2) : '0.00'}</td>
-                  <td>$${line.quantity && line.unit_price ? (line.quantity * line.unit_price).toFixed(2) : '0.00'}</td>
+                  <td>${line.origin_country || '-'}</td>
+                  <td>${line.quantity || 0}${line.uom ? ` <span title="${UNITS_OF_MEASURE[line.uom] || ''}">${line.uom}</span>` : ''}</td>
+                  <td>${line.package_count !== null && line.package_count !== undefined
+                    ? `${line.package_count}${line.package_type ? ` ${PACKAGE_TYPES[line.package_type] || line.package_type}` : ''}`
+                    : '-'}</td>
+                  <td>${formatWeight(line.gross_weight)} / ${formatWeight(line.net_weight)}</td>
+                  <td>${formatMoney(line.unit_price, line.currency || invoice.currency)}</td>
+                  <td>${formatMoney(line.quantity * line.unit_price, line.currency || invoice.currency)}</td>
                 </tr>
               `).join('')}
             </tbody>
             <tfoot>
               <tr>
-                <td colspan="5" style="text-align: right;"><strong>Total:</strong></td>
-                <td>$${invoice.total_amount ? invoice.total_amount.toFixed(2) : '0.00'}</td>
+                <td colspan="5" style="text-align: right;"><strong>Packages / Weight:</strong></td>
+                <td>${sumLineField(invoice.invoice_lines, 'package_count') ?? '-'}</td>
+                <td>${formatWeight(sumLineField(invoice.invoice_lines, 'gross_weight'))} / ${formatWeight(sumLineField(invoice.invoice_lines, 'net_weight'))}</td>
+                <td colspan="2"></td>
+              </tr>
+              <tr>
+                <td colspan="8" style="text-align: right;"><strong>Total (${invoice.currency || BASE_CURRENCY}):</strong></td>
+                <td>${formatMoney(invoice.total_amount, invoice.currency)}</td>
               </tr>
+              ${invoice.total_amount_base !== null && invoice.total_amount_base !== undefined ? `
+              <tr>
+                <td colspan="8" style="text-align: right;">
+                  <strong>Customs Value (${invoice.base_currency}):</strong>
+                  <br><small>Rate ${parseFloat(invoice.exchange_rate)} ${invoice.currency}/${invoice.base_currency}, effective ${invoice.exchange_rate_date}</small>
+                </td>
+                <td>${formatMoney(invoice.total_amount_base, invoice.base_currency)}</td>
+              </tr>` : ''}
             </tfoot>
           </table>
         </div>
+        ${dutyEstimateSection(dutyEstimate, invoice.invoice_lines)}
         
         <div class="footer">
           <p>This document was automatically generated by the Automated Customs Documentation Platform.</p>
@@ -267,6 +444,8 @@ const storeDocument = async (document, filename, type) => {
     await ensureStorageDirectory();
     
     const filePath = path.join(DOCUMENT_STORAGE_PATH, filename);
+    // Filenames may include a subdirectory (e.g. attachments/invoice_1/...)
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
     
     if (type === 'xml') {
       await fs.writeFile(filePath, document, 'utf8');
@@ -286,6 +465,26 @@ const storeDocument = async (document, filename, type) => {
   }
 };
 
+/**
+ * Remove a stored document from the file system
+ * @param {String} filePath - Path returned by storeDocument
+ * @returns {Boolean} True if the file was removed, false if it was already gone
+ */
+const removeDocument = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+    logger.info('Document removed', { filePath });
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.warn('Document to remove was already missing', { filePath });
+      return false;
+    }
+    logger.error('Error removing document', { error: error.message, filePath });
+    throw new Error(`Failed to remove document: ${error.message}`);
+  }
+};
+
 /**
  * Generate all documents for an invoice
  * @param {Number} invoiceId - Invoice ID
@@ -313,6 +512,43 @@ const generateDocuments = async (invoiceId) => {
     if (!invoice) {
       throw new Error(`Invoice with ID ${invoiceId} not found`);
     }
+
+    // Rates may have been loaded since the total was last calculated
+    if (invoice.total_amount_base === null) {
+      await updateInvoiceTotal(invoice.id);
+      await invoice.reload();
+    }
+    if (invoice.total_amount === null) {
+      throw httpError(`A line is billed in a currency with no exchange rate into ${invoice.currency} for the invoice date; the customs value cannot be declared`, 422);
+    }
+    if (invoice.total_amount_base === null) {
+      throw httpError(`No exchange rate from ${invoice.currency} to ${BASE_CURRENCY} is available for the invoice date; the customs value cannot be declared`, 422);
+    }
+    
+    // Every line must carry an HS code from the nomenclature before it can be declared
+    const lineErrors = [];
+    for (const [index, line] of invoice.invoice_lines.entries()) {
+      if (!line.hs_code) {
+        lineErrors.push(`line ${index + 1} has no HS code`);
+        continue;
+      }
+      try {
+        await hsNomenclatureService.validateHsCode(line.hs_code);
+      } catch (validationError) {
+        lineErrors.push(`line ${index + 1}: ${validationError.message}`);
+      }
+    }
+    if (lineErrors.length > 0) {
+      throw httpError(`The invoice cannot be declared: ${lineErrors.join('; ')}`, 422);
+    }
+    
+    // Missing tariff rates must not block the declaration; the estimate is informational
+    let dutyEstimate = null;
+    try {
+      dutyEstimate = await tariffService.estimateInvoiceDuties(invoice, { save: true });
+    } catch (estimateError) {
+      logger.warn('Duties not estimated for the declaration', { invoiceId, error: estimateError.message });
+    }
     
     // Generate XML document
     const xmlData = await generateXmlDocument(invoice);
@@ -320,7 +556,7 @@ const generateDocuments = async (invoiceId) => {
     const xmlPath = await storeDocument(xmlData, xmlFilename, 'xml');
     
     // Generate PDF document
-    const pdfBuffer = await generatePdfDocument(xmlData, invoice);
+    const pdfBuffer = await generatePdfDocument(xmlData, invoice, dutyEstimate);
     const pdfFilename = `invoice_${invoiceId}_${Date.now()}.pdf`;
     const pdfPath = await storeDocument(pdfBuffer, pdfFilename, 'pdf');
     
@@ -342,7 +578,9 @@ const generateDocuments = async (invoiceId) => {
       error: error.message,
       invoiceId
     });
-    throw new Error(`Failed to generate documents: ${error.message}`);
+    const wrapped = new Error(`Failed to generate documents: ${error.message}`);
+    wrapped.status = error.status; // Keep client errors (e.g. missing exchange rate) out of the 500s
+    throw wrapped;
   }
 };
 
@@ -350,5 +588,6 @@ module.exports = {
   generateXmlDocument,
   generatePdfDocument,
   storeDocument,
+  removeDocument,
   generateDocuments
 };
\ No newline at end of file
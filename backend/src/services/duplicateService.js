@@ -0,0 +1,321 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { Invoice, InvoiceLine } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'duplicate-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/duplicate.log' })
+  ]
+});
+
+// Score (0-1) from which an invoice is flagged as a likely duplicate
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.8;
+
+// Candidates are invoices dated within this many days, or with a total within DUPLICATE_AMOUNT_TOLERANCE
+const DUPLICATE_DATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_DATE_WINDOW_DAYS) || 7;
+const DUPLICATE_AMOUNT_TOLERANCE = 0.01;
+
+const MAX_CANDIDATES = 50;
+
+// How much each signal counts towards the score; signals missing on either invoice are left out
+const WEIGHTS = {
+  supplier: 0.3,
+  invoice_date: 0.2,
+  total_amount: 0.25,
+  lines: 0.25
+};
+
+// Legal-form suffixes that differ between the same supplier's documents
+const SUPPLIER_SUFFIXES = /\b(inc|incorporated|ltd|limited|llc|gmbh|co|corp|corporation|company|sa|sarl|bv|plc|pte|pty)\b/g;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const normalizeSupplier = (supplier) => normalizeText(supplier)
+  .replace(SUPPLIER_SUFFIXES, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Dice coefficient over character bigrams, tolerant of word order, typos and OCR noise
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+const textSimilarity = (a, b) => {
+  const left = normalizeText(a).replace(/\s+/g, '');
+  const right = normalizeText(b).replace(/\s+/g, '');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i += 1) {
+    const bigram = left.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < right.length - 1; i += 1) {
+    const bigram = right.substring(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap += 1;
+    }
+  }
+
+  return (2 * overlap) / (left.length + right.length - 2);
+};
+
+/**
+ * Compare two sets of line descriptions: each line is matched to its most similar
+ * counterpart and the best matches are averaged in both directions
+ * @param {Array<string>} left - Line descriptions of one invoice
+ * @param {Array<string>} right - Line descriptions of the other invoice
+ * @returns {number|null} Similarity between 0 and 1, or null when either side has no lines
+ */
+const linesSimilarity = (left, right) => {
+  if (left.length === 0 || right.length === 0) return null;
+
+  const bestMatches = (from, to) => from
+    .map(description => Math.max(...to.map(other => textSimilarity(description, other))))
+    .reduce((sum, score) => sum + score, 0) / from.length;
+
+  return (bestMatches(left, right) + bestMatches(right, left)) / 2;
+};
+
+/**
+ * Score how likely two invoices are the same supplier invoice
+ * @param {Object} invoice - { supplier, invoice_date, total_amount, descriptions }
+ * @param {Object} candidate - Same shape as invoice
+ * @returns {Object} { score, signals } where signals holds the per-signal similarity
+ */
+const scoreDuplicate = (invoice, candidate) => {
+  const signals = {};
+
+  if (invoice.supplier && candidate.supplier) {
+    const left = normalizeSupplier(invoice.supplier);
+    const right = normalizeSupplier(candidate.supplier);
+    signals.supplier = left === right ? 1 : textSimilarity(left, right);
+  }
+
+  if (invoice.invoice_date && candidate.invoice_date) {
+    const days = Math.abs(new Date(invoice.invoice_date) - new Date(candidate.invoice_date)) / DAY_MS;
+    // Same day counts fully; a few days apart (e.g. re-dated copies) still counts partly
+    signals.invoice_date = days === 0 ? 1 : Math.max(0, 1 - days / DUPLICATE_DATE_WINDOW_DAYS);
+  }
+
+  const total = parseFloat(invoice.total_amount);
+  const candidateTotal = parseFloat(candidate.total_amount);
+  // A zero total means the lines are not entered yet, which says nothing either way
+  if (total > 0 && candidateTotal > 0 && invoice.currency === candidate.currency) {
+    const difference = Math.abs(total - candidateTotal) / Math.max(total, candidateTotal);
+    signals.total_amount = difference <= DUPLICATE_AMOUNT_TOLERANCE ? 1 : Math.max(0, 1 - difference * 10);
+  }
+
+  const lines = linesSimilarity(invoice.descriptions || [], candidate.descriptions || []);
+  if (lines !== null) {
+    signals.lines = lines;
+  }
+
+  // Supplier and date alone are not enough: suppliers often bill several invoices on one day
+  if (signals.total_amount === undefined && signals.lines === undefined) {
+    return { score: 0, signals };
+  }
+
+  const usedWeight = Object.keys(signals).reduce((sum, signal) => sum + WEIGHTS[signal], 0);
+
+  const score = Object.keys(signals)
+    .reduce((sum, signal) => sum + WEIGHTS[signal] * signals[signal], 0) / usedWeight;
+
+  return { score: Math.round(score * 1000) / 1000, signals };
+};
+
+/**
+ * Load the fields used for scoring, including the line descriptions
+ * @param {Array<Object>} invoices - Invoice instances
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<Array<Object>>} Plain objects for scoreDuplicate
+ */
+const withDescriptions = async (invoices, transaction) => {
+  const lines = await InvoiceLine.findAll({
+    where: { invoice_id: invoices.map(invoice => invoice.id) },
+    attributes: ['invoice_id', 'description'],
+    transaction
+  });
+
+  return invoices.map(invoice => ({
+    id: invoice.id,
+    supplier: invoice.supplier,
+    invoice_date: invoice.invoice_date,
+    total_amount: invoice.total_amount,
+    currency: invoice.currency,
+    status: invoice.status,
+    descriptions: lines
+      .filter(line => line.invoice_id === invoice.id && line.description)
+      .map(line => line.description)
+  }));
+};
+
+/**
+ * Find the user's other invoices that are likely the same supplier invoice
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Array<Object>>} Matches ({ invoiceId, score, signals }), best first
+ */
+const findDuplicates = async (invoice, { transaction } = {}) => {
+  const near = [];
+  if (invoice.invoice_date) {
+    const date = new Date(invoice.invoice_date);
+    near.push({
+      invoice_date: {
+        [Op.between]: [
+          new Date(date.getTime() - DUPLICATE_DATE_WINDOW_DAYS * DAY_MS),
+          new Date(date.getTime() + DUPLICATE_DATE_WINDOW_DAYS * DAY_MS)
+        ]
+      }
+    });
+  }
+  const total = parseFloat(invoice.total_amount);
+  if (total > 0) {
+    near.push({
+      total_amount: { [Op.between]: [total * (1 - DUPLICATE_AMOUNT_TOLERANCE), total * (1 + DUPLICATE_AMOUNT_TOLERANCE)] }
+    });
+  }
+  if (near.length === 0) {
+    return [];
+  }
+
+  const candidates = await Invoice.findAll({
+    where: {
+      user_id: invoice.user_id,
+      id: { [Op.ne]: invoice.id },
+      // Invoices already confirmed as duplicates point at the original instead
+      duplicate_status: { [Op.or]: [{ [Op.is]: null }, { [Op.ne]: 'Confirmed' }] },
+      [Op.or]: near
+    },
+    order: [['created_at', 'ASC']],
+    limit: MAX_CANDIDATES,
+    transaction
+  });
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const [subject, ...others] = await withDescriptions([invoice, ...candidates], transaction);
+
+  return others
+    .map(candidate => ({ invoiceId: candidate.id, status: candidate.status, ...scoreDuplicate(subject, candidate) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Check an invoice for duplicates and flag it when a likely duplicate is found.
+ * A match the user already dismissed is not raised again.
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} Warning ({ duplicateOf, score, signals, message }) or null
+ */
+const checkInvoice = async (invoiceId, { transaction } = {}) => {
+  const invoice = await Invoice.findByPk(invoiceId, { transaction });
+  if (!invoice || invoice.duplicate_status === 'Confirmed') {
+    return null;
+  }
+
+  const matches = (await findDuplicates(invoice, { transaction }))
+    .filter(match => !(invoice.duplicate_status === 'Dismissed' && match.invoiceId === invoice.duplicate_of_id));
+
+  if (matches.length === 0) {
+    // The invoice changed since it was flagged and no longer looks like a duplicate
+    if (invoice.duplicate_status === 'Suspected') {
+      await invoice.update({ duplicate_status: null, duplicate_of_id: null, duplicate_score: null }, { transaction });
+    }
+    return null;
+  }
+
+  const [best] = matches;
+  await invoice.update({
+    duplicate_status: 'Suspected',
+    duplicate_of_id: best.invoiceId,
+    duplicate_score: best.score
+  }, { transaction });
+
+  logger.warn('Likely duplicate invoice', { invoiceId, duplicateOf: best.invoiceId, score: best.score });
+
+  return {
+    duplicateOf: best.invoiceId,
+    score: best.score,
+    signals: best.signals,
+    message: `Invoice looks like a duplicate of invoice #${best.invoiceId} (score ${best.score}). Confirm or dismiss the match before submitting.`
+  };
+};
+
+/**
+ * Confirm or dismiss a suspected duplicate
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - User ID (must own the invoice)
+ * @param {string} action - 'confirm' or 'dismiss'
+ * @returns {Promise<Object>} Updated invoice
+ * @throws {Error} With status 404 when the invoice is missing, 409 when it is not flagged
+ */
+const resolveDuplicate = async (invoiceId, userId, action) => {
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, user_id: userId } });
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+  if (invoice.duplicate_status !== 'Suspected') {
+    throw httpError(`Invoice ${invoiceId} is not flagged as a suspected duplicate`, 409);
+  }
+
+  await invoice.update({ duplicate_status: action === 'confirm' ? 'Confirmed' : 'Dismissed' });
+
+  logger.info('Duplicate match resolved', { invoiceId, duplicateOf: invoice.duplicate_of_id, action, userId });
+
+  return invoice;
+};
+
+/**
+ * Throw unless the invoice is clear of unresolved or confirmed duplicate matches
+ * @param {Object} invoice - Invoice instance
+ * @throws {Error} With status 409 when the invoice is a suspected or confirmed duplicate
+ */
+const assertNotDuplicate = (invoice) => {
+  if (invoice.duplicate_status === 'Suspected') {
+    throw httpError(`Invoice ${invoice.id} looks like a duplicate of invoice #${invoice.duplicate_of_id}. Confirm or dismiss the match first.`, 409);
+  }
+  if (invoice.duplicate_status === 'Confirmed') {
+    throw httpError(`Invoice ${invoice.id} is a confirmed duplicate of invoice #${invoice.duplicate_of_id} and cannot be submitted.`, 409);
+  }
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  normalizeSupplier,
+  textSimilarity,
+  linesSimilarity,
+  scoreDuplicate,
+  findDuplicates,
+  checkInvoice,
+  resolveDuplicate,
+  assertNotDuplicate
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const axios = require('axios');
+
+// OpenAI configuration, shared with the Next.js app (src/app/lib/openai.ts)
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
+const EMBEDDING_TIMEOUT_MS = parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 30000;
+
+// Length of the vectors EMBEDDING_MODEL returns; line_embeddings.embedding is declared with it
+const EMBEDDING_DIMENSIONS = 1536;
+
+/**
+ * Whether embeddings can be generated
+ * @returns {boolean} True when an OpenAI API key is set
+ */
+const isConfigured = () => Boolean(OPENAI_API_KEY);
+
+/**
+ * Generate embeddings with the OpenAI embeddings API.
+ * Same call as generateEmbedding in src/app/lib/openai.ts, which the CommonJS backend cannot import,
+ * but for several texts per request.
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in input order
+ */
+const generateEmbeddings = async (texts) => {
+  if (!isConfigured()) {
+    throw new Error('Embeddings need OPENAI_API_KEY to be set');
+  }
+  if (texts.length === 0) {
+    return [];
+  }
+
+  const response = await axios.post(
+    `${OPENAI_API_URL}/embeddings`,
+    { model: EMBEDDING_MODEL, input: texts },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${OPENAI_API_KEY}`
+      },
+      timeout: EMBEDDING_TIMEOUT_MS
+    }
+  );
+
+  const vectors = [...response.data.data]
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+  if (vectors.some(vector => vector.length !== EMBEDDING_DIMENSIONS)) {
+    throw new Error(`${EMBEDDING_MODEL} returned vectors that are not ${EMBEDDING_DIMENSIONS} long`);
+  }
+  return vectors;
+};
+
+/**
+ * Generate the embedding of one text
+ * @param {string} text - Text to embed
+ * @returns {Promise<Array<number>>} Vector
+ */
+const generateEmbedding = async (text) => (await generateEmbeddings([text]))[0];
+
+module.exports = {
+  EMBEDDING_MODEL,
+  EMBEDDING_DIMENSIONS,
+  isConfigured,
+  generateEmbeddings,
+  generateEmbedding
+};
@@ -0,0 +1,487 @@
+'use strict';
+
+const winston = require('winston');
+const db = require('../models');
+const classificationService = require('./classificationService');
+const classificationProviders = require('./classificationProviders');
+const { normalizeHsCode } = require('./hsNomenclatureService');
+const { CONFIDENCE_THRESHOLD } = require('./thresholdRuleService');
+const { httpError } = require('../utils/httpError');
+const { ClassificationEvaluation, User } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'evaluation-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/evaluation.log' })
+  ]
+});
+
+// Largest dataset accepted in one run
+const EVALUATION_MAX_ITEMS = parseInt(process.env.EVALUATION_MAX_ITEMS) || 5000;
+
+// Items classified together between two progress saves
+const EVALUATION_BATCH_SIZE = 10;
+
+// Match levels from best to worst, with the leading digits each one compares
+const MATCH_LEVELS = [
+  { name: 'exact', digits: null },
+  { name: 'hs6', digits: 6 },
+  { name: 'hs4', digits: 4 },
+  { name: 'chapter', digits: 2 }
+];
+
+// Confidence ranges the calibration is reported for: 0-0.1, 0.1-0.2, ... 0.9-1
+const CALIBRATION_BINS = 10;
+
+// Thresholds the flag rate is reported at, besides CONFIDENCE_THRESHOLD: 0.5, 0.55, ... 0.95
+const THRESHOLD_STEPS = Array.from({ length: 10 }, (value, index) => Math.round((0.5 + index * 0.05) * 100) / 100);
+
+// Dataset column names, compared lower-case with punctuation as spaces
+const DATASET_COLUMNS = {
+  description: ['description', 'product description', 'goods description', 'item description'],
+  hs_code: ['hs code', 'hs', 'expected hs code', 'tariff code', 'code']
+};
+
+/**
+ * Digits of an HS code
+ * @param {string} value - HS code in any notation
+ * @returns {string} Digits only
+ */
+const hsDigits = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Round a ratio for reporting
+ * @param {number} value - Ratio
+ * @returns {number} Value to 4 decimals
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Validate dataset rows (see importService.parseSpreadsheet), or items given as { description, hs_code }
+ * wrapped the same way. Expected codes need 6, 8 or 10 digits; a code with a leading zero must be stored
+ * as text or with dots (0101.21) in a spreadsheet.
+ * @param {Array<Object>} rows - Rows ({ rowNumber, values })
+ * @returns {Object} { items, errors } with items as { description, hs_code }
+ */
+const parseDatasetRows = (rows) => {
+  const items = [];
+  const errors = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    const normalized = {};
+    Object.keys(values || {}).forEach((header) => {
+      const key = header.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+      const field = Object.keys(DATASET_COLUMNS).find(name => DATASET_COLUMNS[name].includes(key));
+      if (field) {
+        normalized[field] = values[header];
+      }
+    });
+
+    const description = String(normalized.description ?? '').trim();
+    const hsCode = normalizeHsCode(normalized.hs_code);
+
+    const rowErrors = [];
+    if (!description) rowErrors.push('description is required');
+    if (!hsCode || hsDigits(hsCode).length < 6) rowErrors.push('hs_code must be an HS code of 6, 8 or 10 digits');
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    items.push({ description, hs_code: hsCode });
+  });
+
+  return { items, errors };
+};
+
+/**
+ * How closely a predicted code matches the expected one. A prediction more detailed than the label
+ * is exact when it falls under the labelled code.
+ * @param {string} expected - Labelled HS code
+ * @param {string} predicted - HS code the classifier chose
+ * @returns {string|null} exact, hs6, hs4, chapter, or null when not even the chapter matches
+ */
+const matchLevel = (expected, predicted) => {
+  const want = hsDigits(expected);
+  const got = hsDigits(predicted);
+  if (!want || !got) {
+    return null;
+  }
+  if (got.startsWith(want)) {
+    return 'exact';
+  }
+
+  const level = MATCH_LEVELS.find(({ digits }) => digits && digits < want.length && got.slice(0, digits) === want.slice(0, digits));
+  return level ? level.name : null;
+};
+
+/**
+ * Position of a match level, 0 being exact; unmatched items come last
+ * @param {string|null} level - Match level
+ * @returns {number} Rank
+ */
+const levelRank = (level) => {
+  const index = MATCH_LEVELS.findIndex(({ name }) => name === level);
+  return index === -1 ? MATCH_LEVELS.length : index;
+};
+
+/**
+ * Accuracy, calibration and flag rates of a finished run. An item counts as correct when its match is exact;
+ * items the classifier could not answer count as wrong with confidence 0, and are always flagged.
+ * @param {Array<Object>} results - Item results
+ * @param {number} [threshold=CONFIDENCE_THRESHOLD] - Threshold in use, added to the reported thresholds
+ * @returns {Object} { total, classified, failed, accuracy, flag_rate, calibration, thresholds }
+ */
+const computeMetrics = (results, threshold = CONFIDENCE_THRESHOLD) => {
+  const total = results.length;
+  const share = (count, of = total) => (of > 0 ? round(count / of) : null);
+  const items = results.map(result => ({
+    classified: Boolean(result.hs_code),
+    confidence: result.hs_code ? Math.min(Math.max(Number(result.confidence) || 0, 0), 1) : 0,
+    correct: result.match === 'exact',
+    rank: levelRank(result.match),
+    flagged: !result.hs_code || Boolean(result.flagged)
+  }));
+
+  // Share of items matching at least to each level
+  const accuracy = Object.fromEntries(MATCH_LEVELS.map(({ name }, index) => [
+    name,
+    share(items.filter(item => item.rank <= index).length)
+  ]));
+
+  const bins = Array.from({ length: CALIBRATION_BINS }, (value, index) => {
+    const inBin = items.filter(item => Math.min(Math.floor(item.confidence * CALIBRATION_BINS), CALIBRATION_BINS - 1) === index);
+    return {
+      from: index / CALIBRATION_BINS,
+      to: (index + 1) / CALIBRATION_BINS,
+      count: inBin.length,
+      mean_confidence: inBin.length > 0 ? round(inBin.reduce((sum, item) => sum + item.confidence, 0) / inBin.length) : null,
+      accuracy: share(inBin.filter(item => item.correct).length, inBin.length)
+    };
+  });
+  const calibrationError = bins
+    .filter(bin => bin.count > 0)
+    .reduce((sum, bin) => sum + (bin.count / total) * Math.abs(bin.accuracy - bin.mean_confidence), 0);
+  const brierScore = items.reduce((sum, item) => sum + (item.confidence - (item.correct ? 1 : 0)) ** 2, 0);
+
+  const wrong = items.filter(item => !item.correct).length;
+  const thresholds = [...new Set([...THRESHOLD_STEPS, Number(threshold)])]
+    .sort((a, b) => a - b)
+    .map((value) => {
+      const flagged = items.filter(item => !item.classified || item.confidence < value);
+      const accepted = items.filter(item => item.classified && item.confidence >= value);
+      return {
+        threshold: value,
+        flag_rate: share(flagged.length),
+        accepted_accuracy: share(accepted.filter(item => item.correct).length, accepted.length),
+        errors_flagged: share(flagged.filter(item => !item.correct).length, wrong)
+      };
+    });
+
+  return {
+    total,
+    classified: items.filter(item => item.classified).length,
+    failed: items.filter(item => !item.classified).length,
+    accuracy,
+    // As decided by the threshold rules when the run was made
+    flag_rate: share(items.filter(item => item.flagged).length),
+    calibration: {
+      bins,
+      expected_calibration_error: total > 0 ? round(calibrationError) : null,
+      brier_score: total > 0 ? round(brierScore / total) : null
+    },
+    thresholds
+  };
+};
+
+/**
+ * Classify one dataset item. The reviewer memory and the classification cache are left out so the run
+ * measures the providers themselves.
+ * @param {Object} item - Result entry with description and expected
+ * @param {Array<string>} providers - Provider chain
+ * @returns {Promise<Object>} Fields to merge into the result entry
+ */
+const evaluateItem = async (item, providers) => {
+  try {
+    const result = await classificationService.classifyProduct(item.description, {}, { providers, useCache: false });
+    if (!result.hs_code) {
+      return { status: 'Failed', hs_code: null, confidence: 0, provider: null, flagged: true, match: null, error: result.error || 'not classified' };
+    }
+    return {
+      status: 'Done',
+      hs_code: result.hs_code,
+      confidence: Number(result.confidence) || 0,
+      provider: result.provider || null,
+      flagged: Boolean(result.flagged),
+      match: matchLevel(item.expected, result.hs_code),
+      error: null
+    };
+  } catch (error) {
+    return { status: 'Failed', hs_code: null, confidence: 0, provider: null, flagged: true, match: null, error: error.message };
+  }
+};
+
+/**
+ * Create a run over a dataset. Only one run is made at a time, as each item calls the providers.
+ * @param {Object} params
+ * @param {string} params.dataset - Dataset file name or label
+ * @param {Array<Object>} params.items - { description, hs_code } from parseDatasetRows
+ * @param {Array<string>} [params.providers] - Provider chain to evaluate; defaults to CLASSIFICATION_PROVIDERS
+ * @param {string} [params.name] - Label for the run
+ * @param {number} userId - User starting the run
+ * @returns {Promise<Object>} The run, Running with every item Pending
+ */
+const createEvaluation = async ({ dataset, items, providers, name = null }, userId) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError('The dataset has no items', 422);
+  }
+  if (items.length > EVALUATION_MAX_ITEMS) {
+    throw httpError(`A run can evaluate at most ${EVALUATION_MAX_ITEMS} items`, 422);
+  }
+
+  const chain = providers && providers.length > 0
+    ? classificationProviders.getProviderChain({ ...process.env, CLASSIFICATION_PROVIDERS: providers.join(',') })
+    : classificationProviders.getProviderChain();
+  const chainNames = chain.map(provider => provider.name);
+  const unknown = (providers || []).map(provider => provider.trim().toLowerCase()).filter(provider => !chainNames.includes(provider));
+  if (unknown.length > 0) {
+    throw httpError(`Unknown classification provider(s): ${unknown.join(', ')}`, 422);
+  }
+  if (chainNames.length === 0) {
+    throw httpError('No classification providers to evaluate', 422);
+  }
+
+  const running = await ClassificationEvaluation.count({ where: { status: 'Running' } });
+  if (running > 0) {
+    throw httpError('Another evaluation is running; try again once it has finished', 409);
+  }
+
+  const evaluation = await ClassificationEvaluation.create({
+    name,
+    dataset,
+    providers: chainNames,
+    confidence_threshold: CONFIDENCE_THRESHOLD,
+    status: 'Running',
+    total: items.length,
+    processed: 0,
+    results: items.map(item => ({ description: item.description, expected: item.hs_code, status: 'Pending' })),
+    created_by: userId || null,
+    started_at: new Date()
+  });
+
+  logger.info('Evaluation created', { evaluationId: evaluation.id, dataset, providers: chainNames, items: items.length, userId });
+  return evaluation;
+};
+
+/**
+ * Classify the pending items of a run, saving progress after each batch, then compute its metrics
+ * @param {number} evaluationId - Run ID
+ * @returns {Promise<Object|null>} The finished run, or null if it no longer exists
+ */
+const runEvaluation = async (evaluationId) => {
+  const evaluation = await ClassificationEvaluation.findByPk(evaluationId);
+  if (!evaluation) {
+    return null;
+  }
+
+  // Copy the results so each save writes a new JSONB value
+  let results = evaluation.results.map(result => ({ ...result }));
+
+  try {
+    const pending = results.map((result, index) => index).filter(index => results[index].status === 'Pending');
+    for (let start = 0; start < pending.length; start += EVALUATION_BATCH_SIZE) {
+      const batch = pending.slice(start, start + EVALUATION_BATCH_SIZE);
+      const outcomes = await Promise.all(batch.map(index => evaluateItem(results[index], evaluation.providers)));
+
+      results = results.map((result, index) => {
+        const position = batch.indexOf(index);
+        return position === -1 ? result : { ...result, ...outcomes[position] };
+      });
+      await evaluation.update({ results, processed: results.filter(result => result.status !== 'Pending').length });
+    }
+
+    const metrics = computeMetrics(results, Number(evaluation.confidence_threshold));
+    await evaluation.update({ status: 'Completed', metrics, finished_at: new Date() });
+    logger.info('Evaluation completed', { evaluationId, total: metrics.total, accuracy: metrics.accuracy });
+  } catch (error) {
+    logger.error('Evaluation failed', { evaluationId, error: error.message });
+    await evaluation.update({ status: 'Failed', error: error.message, finished_at: new Date() });
+  }
+
+  return evaluation;
+};
+
+/**
+ * Create a run and classify its items in the background, after the current request has been answered
+ * @param {Object} params - See createEvaluation
+ * @param {number} userId - User starting the run
+ * @returns {Promise<Object>} The run, Running
+ */
+const startEvaluation = async (params, userId) => {
+  const evaluation = await createEvaluation(params, userId);
+  setImmediate(() => {
+    runEvaluation(evaluation.id).catch((error) => {
+      logger.error('Evaluation could not be run', { evaluationId: evaluation.id, error: error.message });
+    });
+  });
+  return evaluation;
+};
+
+/**
+ * Get a run with its per-item results
+ * @param {number} evaluationId - Run ID
+ * @returns {Promise<Object>} Run
+ */
+const getEvaluation = async (evaluationId) => {
+  const evaluation = await ClassificationEvaluation.findByPk(evaluationId, {
+    include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }]
+  });
+  if (!evaluation) {
+    throw httpError('Evaluation not found', 404);
+  }
+  return evaluation;
+};
+
+/**
+ * List runs, newest first, with their metrics but without per-item results
+ * @param {Object} [options]
+ * @param {string} [options.dataset] - Only runs over this dataset
+ * @param {number} [options.limit=20] - Page size
+ * @param {number} [options.offset=0] - Rows to skip
+ * @returns {Promise<Object>} Runs and pagination
+ */
+const listEvaluations = async ({ dataset, limit = 20, offset = 0 } = {}) => {
+  const { count, rows } = await ClassificationEvaluation.findAndCountAll({
+    where: dataset ? { dataset } : {},
+    attributes: { exclude: ['results'] },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return {
+    evaluations: rows,
+    pagination: { total: count, limit, offset }
+  };
+};
+
+/**
+ * Continue a run stopped by a restart or failure; items already classified are kept
+ * @param {number} evaluationId - Run ID
+ * @returns {Promise<Object>} The run, Running again
+ */
+const resumeEvaluation = async (evaluationId) => {
+  const evaluation = await getEvaluation(evaluationId);
+  if (!['Interrupted', 'Failed'].includes(evaluation.status)) {
+    throw httpError(`Evaluation is ${evaluation.status.toLowerCase()} and cannot be resumed`, 409);
+  }
+  const running = await ClassificationEvaluation.count({ where: { status: 'Running' } });
+  if (running > 0) {
+    throw httpError('Another evaluation is running; try again once it has finished', 409);
+  }
+
+  await evaluation.update({ status: 'Running', error: null, finished_at: null });
+  setImmediate(() => {
+    runEvaluation(evaluation.id).catch((error) => {
+      logger.error('Evaluation could not be run', { evaluationId: evaluation.id, error: error.message });
+    });
+  });
+
+  logger.info('Evaluation resumed', { evaluationId, pending: evaluation.total - evaluation.processed });
+  return evaluation;
+};
+
+/**
+ * Compare two completed runs: the change in each accuracy figure, and the items answered in both whose
+ * match level changed
+ * @param {number} baseId - Earlier run
+ * @param {number} otherId - Run compared with it
+ * @returns {Promise<Object>} { base, other, accuracy_change, items_compared, improved, regressed }
+ */
+const compareEvaluations = async (baseId, otherId) => {
+  const [base, other] = await Promise.all([getEvaluation(baseId), getEvaluation(otherId)]);
+  [base, other].forEach((evaluation) => {
+    if (evaluation.status !== 'Completed') {
+      throw httpError(`Evaluation ${evaluation.id} has not completed`, 409);
+    }
+  });
+
+  const itemKey = result => `${result.description}\u0000${hsDigits(result.expected)}`;
+  const baseResults = new Map(base.results.map(result => [itemKey(result), result]));
+  const answer = result => ({ hs_code: result.hs_code, confidence: result.confidence, match: result.match });
+
+  const improved = [];
+  const regressed = [];
+  let compared = 0;
+  other.results.forEach((result) => {
+    const before = baseResults.get(itemKey(result));
+    if (!before) {
+      return;
+    }
+    compared += 1;
+
+    const change = levelRank(before.match) - levelRank(result.match);
+    if (change !== 0) {
+      (change > 0 ? improved : regressed).push({
+        description: result.description,
+        expected: result.expected,
+        before: answer(before),
+        after: answer(result)
+      });
+    }
+  });
+
+  const summary = ({ id, name, dataset, providers, confidence_threshold: confidenceThreshold, created_at: createdAt, metrics }) => ({
+    id, name, dataset, providers, confidence_threshold: confidenceThreshold, created_at: createdAt, metrics
+  });
+  const accuracyChange = Object.fromEntries(MATCH_LEVELS.map(({ name }) => [
+    name,
+    round((other.metrics.accuracy[name] || 0) - (base.metrics.accuracy[name] || 0))
+  ]));
+
+  return {
+    base: summary(base),
+    other: summary(other),
+    accuracy_change: accuracyChange,
+    items_compared: compared,
+    improved,
+    regressed
+  };
+};
+
+/**
+ * Mark runs left Running by a previous process as Interrupted so they can be resumed
+ * @returns {Promise<number>} Number of interrupted runs
+ */
+const recoverInterruptedEvaluations = async () => {
+  const [count] = await ClassificationEvaluation.update(
+    { status: 'Interrupted' },
+    { where: { status: 'Running' } }
+  );
+  if (count > 0) {
+    logger.warn('Evaluations interrupted by a restart', { count });
+  }
+  return count;
+};
+
+module.exports = {
+  EVALUATION_MAX_ITEMS,
+  parseDatasetRows,
+  matchLevel,
+  computeMetrics,
+  createEvaluation,
+  runEvaluation,
+  startEvaluation,
+  getEvaluation,
+  listEvaluations,
+  resumeEvaluation,
+  compareEvaluations,
+  recoverInterruptedEvaluations
+};
@@ -0,0 +1,632 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { normalizeHsCode } = require('./hsNomenclatureService');
+const invoiceStatusService = require('./invoiceStatusService');
+const restrictionService = require('./restrictionService');
+const tariffService = require('./tariffService');
+const classificationCache = require('./classificationCache');
+const { httpError } = require('../utils/httpError');
+const {
+  HsCorrelation,
+  HsMigration,
+  HsCode,
+  Invoice,
+  InvoiceLine,
+  ClassificationHistory,
+  ClassificationMemory,
+  User
+} = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'hs-migration-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/hs-migration.log' })
+  ]
+});
+
+// Lines remapped in one transaction
+const MIGRATION_BATCH_SIZE = 200;
+
+// Correlation table column names, compared lower-case with punctuation as spaces. A column named after
+// the edition itself (e.g. "HS 2022") is accepted as well.
+const CORRELATION_COLUMNS = {
+  from_code: ['from code', 'from', 'old code', 'source code'],
+  to_code: ['to code', 'to', 'new code', 'target code'],
+  note: ['note', 'notes', 'remark', 'remarks', 'comment']
+};
+
+/**
+ * Digits of an HS code
+ * @param {string} value - HS code in any notation
+ * @returns {string} Digits only
+ */
+const hsDigits = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Header or edition name without case, spaces or punctuation, e.g. "HS 2022" -> "hs2022"
+ * @param {string} value - Header or edition name
+ * @returns {string} Compact key
+ */
+const compactKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Summary counts of a run before anything was checked
+ * @returns {Object} Zeroed summary
+ */
+const emptySummary = () => ({
+  lines_checked: 0,
+  lines_remapped: 0,
+  lines_split: 0,
+  invoices_sent_to_review: 0,
+  memories_remapped: 0,
+  memories_removed: 0
+});
+
+/**
+ * Validate correlation table rows (see importService.parseSpreadsheet). One row per pair of codes: a code
+ * split in the new edition has one row per target. WCO tables leave the old code blank on the rows
+ * continuing a split, so a blank from_code repeats the one above.
+ * @param {Array<Object>} rows - Rows as { rowNumber, values }
+ * @param {Object} versions
+ * @param {string} versions.fromVersion - Edition the codes come from, e.g. HS2022
+ * @param {string} versions.toVersion - Edition the codes go to, e.g. HS2027
+ * @returns {Object} { correlations, errors } with correlations as { from_code, to_code, note }
+ */
+const parseCorrelationRows = (rows, { fromVersion, toVersion }) => {
+  const correlations = [];
+  const errors = [];
+  const seen = new Set();
+  let previousFrom = null;
+
+  rows.forEach(({ rowNumber, values }) => {
+    const normalized = {};
+    Object.keys(values || {}).forEach((header) => {
+      const key = header.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+      let field = Object.keys(CORRELATION_COLUMNS).find(name => CORRELATION_COLUMNS[name].includes(key));
+      if (!field && compactKey(header) === compactKey(fromVersion)) field = 'from_code';
+      if (!field && compactKey(header) === compactKey(toVersion)) field = 'to_code';
+      if (field) {
+        normalized[field] = values[header];
+      }
+    });
+
+    const rawFrom = String(normalized.from_code ?? '').trim();
+    const fromCode = rawFrom ? normalizeHsCode(rawFrom) : previousFrom;
+    const toCode = normalizeHsCode(normalized.to_code);
+    const note = String(normalized.note ?? '').trim() || null;
+
+    const rowErrors = [];
+    if (!fromCode || !/^\d/.test(fromCode)) rowErrors.push('from_code must be an HS code of 2 to 10 digits');
+    if (!toCode || !/^\d/.test(toCode)) rowErrors.push('to_code must be an HS code of 2 to 10 digits');
+    if (rowErrors.length === 0 && seen.has(`${fromCode}>${toCode}`)) {
+      rowErrors.push(`${fromCode} to ${toCode} is listed twice`);
+    }
+    if (rawFrom) {
+      previousFrom = fromCode;
+    }
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    seen.add(`${fromCode}>${toCode}`);
+    correlations.push({ from_code: fromCode, to_code: toCode, note });
+  });
+
+  return { correlations, errors };
+};
+
+/**
+ * Check the edition names of a correlation table or run
+ * @param {string} fromVersion - Edition the codes come from
+ * @param {string} toVersion - Edition the codes go to
+ * @throws {Error} With status 422 when missing or equal
+ */
+const assertVersions = (fromVersion, toVersion) => {
+  if (!fromVersion || !toVersion) {
+    throw httpError('Both the from and to editions are required', 422);
+  }
+  if (compactKey(fromVersion) === compactKey(toVersion)) {
+    throw httpError('The from and to editions must differ', 422);
+  }
+};
+
+/**
+ * Replace the correlation table between two editions. Nothing is loaded when any row is invalid.
+ * @param {Array<Object>} rows - Rows as { rowNumber, values }
+ * @param {Object} options
+ * @param {string} options.fromVersion - Edition the codes come from
+ * @param {string} options.toVersion - Edition the codes go to
+ * @param {string} [options.source] - Where the table came from, e.g. the file name
+ * @returns {Promise<Object>} { loaded, errors }
+ */
+const loadCorrelations = async (rows, { fromVersion, toVersion, source = null }) => {
+  assertVersions(fromVersion, toVersion);
+
+  const { correlations, errors } = parseCorrelationRows(rows, { fromVersion, toVersion });
+  if (errors.length > 0) {
+    return { loaded: 0, errors };
+  }
+  if (correlations.length === 0) {
+    throw httpError('The correlation table has no rows', 422);
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await HsCorrelation.destroy({ where: { from_version: fromVersion, to_version: toVersion }, transaction });
+    await HsCorrelation.bulkCreate(correlations.map(correlation => ({
+      ...correlation,
+      from_version: fromVersion,
+      to_version: toVersion,
+      source
+    })), { transaction });
+  });
+
+  logger.info('HS correlation table loaded', { fromVersion, toVersion, source, correlations: correlations.length });
+  return { loaded: correlations.length, errors: [] };
+};
+
+/**
+ * Loaded correlation tables, one row per pair of editions
+ * @returns {Promise<Array<Object>>} { from_version, to_version, correlations, source, loaded_at }
+ */
+const listCorrelationTables = async () => {
+  const tables = await HsCorrelation.findAll({
+    attributes: [
+      'from_version',
+      'to_version',
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'correlations'],
+      [db.sequelize.fn('MAX', db.sequelize.col('source')), 'source'],
+      [db.sequelize.fn('MAX', db.sequelize.col('created_at')), 'loaded_at']
+    ],
+    group: ['from_version', 'to_version'],
+    order: [['from_version', 'ASC'], ['to_version', 'ASC']],
+    raw: true
+  });
+  return tables.map(table => ({ ...table, correlations: Number(table.correlations) }));
+};
+
+/**
+ * Index correlations by the digits of their old code
+ * @param {Array<Object>} correlations - Rows with from_code and to_code
+ * @returns {Map<string, Object>} Digits -> { from_code, targets }
+ */
+const buildCorrelationIndex = (correlations) => {
+  const index = new Map();
+  correlations.forEach(({ from_code: fromCode, to_code: toCode }) => {
+    const key = hsDigits(fromCode);
+    const entry = index.get(key) || { from_code: fromCode, targets: [] };
+    if (!entry.targets.includes(toCode)) {
+      entry.targets.push(toCode);
+    }
+    index.set(key, entry);
+  });
+  return index;
+};
+
+/**
+ * What the correlation table says about a stored code. The most detailed old code the stored code falls
+ * under decides; digits beyond it (a national tariff line) are kept as the suffix.
+ * @param {string} hsCode - Stored HS code
+ * @param {Map<string, Object>} index - See buildCorrelationIndex
+ * @returns {Object} { action: 'unchanged' }, { action: 'remap', from_code, to_code, suffix }
+ *   or { action: 'split', from_code, targets }
+ */
+const remapCode = (hsCode, index) => {
+  const digits = hsDigits(hsCode);
+  for (let length = digits.length; length >= 2; length -= 1) {
+    const entry = index.get(digits.slice(0, length));
+    if (!entry) continue;
+
+    if (entry.targets.length > 1) {
+      return { action: 'split', from_code: entry.from_code, targets: entry.targets };
+    }
+    const [toCode] = entry.targets;
+    if (hsDigits(toCode) === hsDigits(entry.from_code)) {
+      return { action: 'unchanged' };
+    }
+    return { action: 'remap', from_code: entry.from_code, to_code: toCode, suffix: digits.slice(length) };
+  }
+  return { action: 'unchanged' };
+};
+
+/**
+ * New code for a one-to-one change: the target with the stored national suffix when that line exists in
+ * the nomenclature, otherwise the target itself
+ * @param {Object} remap - Result of remapCode with action 'remap'
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<string>} New HS code
+ */
+const resolveTarget = async ({ to_code: toCode, suffix }, transaction) => {
+  if (suffix) {
+    const detailed = normalizeHsCode(hsDigits(toCode) + suffix);
+    if (detailed && await HsCode.findByPk(detailed, { attributes: ['code'], transaction })) {
+      return detailed;
+    }
+  }
+  return toCode;
+};
+
+/**
+ * Remap one batch of lines and record each change against the run
+ * @param {Array<Object>} lines - InvoiceLine instances with their invoice
+ * @param {Map<string, Object>} index - See buildCorrelationIndex
+ * @param {Object} migration - HsMigration instance
+ * @param {Object} summary - Counts, updated in place
+ * @param {Map<number, string>} done - Lines the run already changed before it was interrupted -> remap or split
+ * @param {Object} [transaction] - Sequelize transaction, absent for a dry run
+ */
+const migrateLines = async (lines, index, migration, summary, done, transaction) => {
+  const edition = `${migration.from_version} to ${migration.to_version}`;
+  const remapped = [];
+  const splitInvoices = new Map();
+
+  for (const line of lines) {
+    summary.lines_checked += 1;
+    const result = done.has(line.id) ? { action: done.get(line.id), done: true } : remapCode(line.hs_code, index);
+    if (result.action === 'unchanged') continue;
+
+    if (result.action === 'remap') {
+      summary.lines_remapped += 1;
+      if (migration.dry_run || result.done) continue;
+
+      const previousHsCode = line.hs_code;
+      const newHsCode = await resolveTarget(result, transaction);
+      await line.update({ hs_code: newHsCode }, { transaction });
+      await ClassificationHistory.create({
+        invoice_line_id: line.id,
+        previous_hs_code: previousHsCode,
+        new_hs_code: newHsCode,
+        changed_by: null,
+        hs_migration_id: migration.id,
+        changed_at: new Date(),
+        comment: `${edition}: ${result.from_code} became ${result.to_code}`
+      }, { transaction });
+      remapped.push(line);
+      continue;
+    }
+
+    summary.lines_split += 1;
+    splitInvoices.set(line.invoice_id, line.invoice.status);
+    if (migration.dry_run || result.done) continue;
+
+    await line.update({ flagged: true }, { transaction });
+    await ClassificationHistory.create({
+      invoice_line_id: line.id,
+      previous_hs_code: line.hs_code,
+      new_hs_code: line.hs_code, // Kept until a reviewer picks one of the targets
+      changed_by: null,
+      hs_migration_id: migration.id,
+      changed_at: new Date(),
+      comment: `${edition}: ${result.from_code} was split into ${result.targets.join(', ')}; choose the new code`
+    }, { transaction });
+  }
+
+  if (remapped.length > 0) {
+    // New codes can fall under different restriction rules and tariff rates
+    await restrictionService.screenLines(remapped, { transaction });
+    await tariffService.refreshStoredEstimates(remapped.map(line => line.invoice_id), { transaction });
+  }
+
+  for (const [invoiceId, status] of splitInvoices) {
+    summary.invoices_sent_to_review += 1;
+    // Other unsubmitted statuses cannot move on while a line is flagged
+    if (!migration.dry_run && status === 'Ready') {
+      await invoiceStatusService.transitionInvoice(invoiceId, 'InReview', {
+        actor: null,
+        reason: `HS ${edition}: classification split, line needs review`,
+        transaction
+      });
+    }
+  }
+};
+
+/**
+ * Remap the reviewer memory: one-to-one changes take the new code, entries whose code was split are
+ * removed so the next line is classified afresh
+ * @param {Map<string, Object>} index - See buildCorrelationIndex
+ * @param {Object} migration - HsMigration instance
+ * @param {Object} summary - Counts, updated in place
+ * @param {Object} [transaction] - Sequelize transaction, absent for a dry run
+ */
+const migrateMemory = async (index, migration, summary, transaction) => {
+  let lastId = 0;
+  for (;;) {
+    const memories = await ClassificationMemory.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit: MIGRATION_BATCH_SIZE,
+      transaction
+    });
+    if (memories.length === 0) break;
+    lastId = memories[memories.length - 1].id;
+
+    for (const memory of memories) {
+      const result = remapCode(memory.hs_code, index);
+      if (result.action === 'remap') {
+        summary.memories_remapped += 1;
+        if (!migration.dry_run) {
+          await memory.update({ hs_code: await resolveTarget(result, transaction) }, { transaction });
+        }
+      } else if (result.action === 'split') {
+        summary.memories_removed += 1;
+        if (!migration.dry_run) {
+          await memory.destroy({ transaction });
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check there is a correlation table for a run and nothing in its way
+ * @param {Object} params
+ * @param {string} params.fromVersion - Edition the stored codes are in
+ * @param {string} params.toVersion - Edition to move them to
+ * @param {boolean} [params.dryRun=false] - Only count what would change
+ * @param {number} userId - User starting the run
+ * @returns {Promise<Object>} The run, Running
+ */
+const createMigration = async ({ fromVersion, toVersion, dryRun = false }, userId) => {
+  assertVersions(fromVersion, toVersion);
+
+  const correlations = await HsCorrelation.count({ where: { from_version: fromVersion, to_version: toVersion } });
+  if (correlations === 0) {
+    throw httpError(`No correlation table is loaded for ${fromVersion} to ${toVersion}`, 422);
+  }
+
+  const running = await HsMigration.count({ where: { status: 'Running' } });
+  if (running > 0) {
+    throw httpError('Another HS migration is running; try again once it has finished', 409);
+  }
+  if (!dryRun) {
+    const completed = await HsMigration.count({
+      where: { from_version: fromVersion, to_version: toVersion, dry_run: false, status: 'Completed' }
+    });
+    if (completed > 0) {
+      throw httpError(`Codes have already been migrated from ${fromVersion} to ${toVersion}`, 409);
+    }
+  }
+
+  const migration = await HsMigration.create({
+    from_version: fromVersion,
+    to_version: toVersion,
+    dry_run: Boolean(dryRun),
+    status: 'Running',
+    summary: emptySummary(),
+    created_by: userId || null,
+    started_at: new Date()
+  });
+
+  logger.info('HS migration created', { migrationId: migration.id, fromVersion, toVersion, dryRun: Boolean(dryRun), userId });
+  return migration;
+};
+
+/**
+ * Remap the codes of every line on an invoice not yet submitted, then the reviewer memory. Each batch of
+ * lines commits on its own; lines the run already changed are skipped when it is resumed.
+ * @param {number} migrationId - Run ID
+ * @returns {Promise<Object|null>} The finished run, or null if it no longer exists
+ */
+const runMigration = async (migrationId) => {
+  const migration = await HsMigration.findByPk(migrationId);
+  if (!migration) {
+    return null;
+  }
+
+  try {
+    const correlations = await HsCorrelation.findAll({
+      where: { from_version: migration.from_version, to_version: migration.to_version },
+      raw: true
+    });
+    const index = buildCorrelationIndex(correlations);
+
+    const changed = migration.dry_run
+      ? []
+      : await ClassificationHistory.findAll({
+        where: { hs_migration_id: migration.id },
+        attributes: ['invoice_line_id', 'previous_hs_code', 'new_hs_code'],
+        raw: true
+      });
+    // Splits keep the code, so their history rows have the same code on both sides
+    const done = new Map(changed.map(record => [
+      record.invoice_line_id,
+      record.previous_hs_code === record.new_hs_code ? 'split' : 'remap'
+    ]));
+    const summary = emptySummary();
+
+    let lastId = 0;
+    for (;;) {
+      const lines = await InvoiceLine.findAll({
+        where: { id: { [Op.gt]: lastId }, hs_code: { [Op.ne]: null } },
+        include: [{
+          model: Invoice,
+          as: 'invoice',
+          attributes: ['id', 'status'],
+          where: { status: { [Op.notIn]: invoiceStatusService.SUBMISSION_STATUSES } }
+        }],
+        order: [['id', 'ASC']],
+        limit: MIGRATION_BATCH_SIZE
+      });
+      if (lines.length === 0) break;
+      lastId = lines[lines.length - 1].id;
+
+      if (migration.dry_run) {
+        await migrateLines(lines, index, migration, summary, done);
+      } else {
+        await db.sequelize.transaction(transaction => migrateLines(lines, index, migration, summary, done, transaction));
+      }
+      await migration.update({ summary: { ...summary } });
+    }
+
+    // The memory is remapped in one go so a resumed run never remaps an entry twice
+    if (migration.dry_run) {
+      await migrateMemory(index, migration, summary);
+      await migration.update({ status: 'Completed', summary: { ...summary }, finished_at: new Date() });
+    } else {
+      await db.sequelize.transaction(async (transaction) => {
+        await migrateMemory(index, migration, summary, transaction);
+        await migration.update({ status: 'Completed', summary: { ...summary }, finished_at: new Date() }, { transaction });
+      });
+      // Cached answers may hold codes of the old edition
+      await classificationCache.invalidate('');
+    }
+
+    logger.info('HS migration completed', { migrationId, dryRun: migration.dry_run, summary });
+  } catch (error) {
+    logger.error('HS migration failed', { migrationId, error: error.message });
+    await migration.update({ status: 'Failed', error: error.message, finished_at: new Date() });
+  }
+
+  return migration;
+};
+
+/**
+ * Create a run and remap codes in the background, after the current request has been answered
+ * @param {Object} params - See createMigration
+ * @param {number} userId - User starting the run
+ * @returns {Promise<Object>} The run, Running
+ */
+const startMigration = async (params, userId) => {
+  const migration = await createMigration(params, userId);
+  setImmediate(() => {
+    runMigration(migration.id).catch((error) => {
+      logger.error('HS migration could not be run', { migrationId: migration.id, error: error.message });
+    });
+  });
+  return migration;
+};
+
+/**
+ * Get a run
+ * @param {number} migrationId - Run ID
+ * @returns {Promise<Object>} Run
+ */
+const getMigration = async (migrationId) => {
+  const migration = await HsMigration.findByPk(migrationId, {
+    include: [{ model: User, as: 'creator', attributes: ['id', 'full_name'] }]
+  });
+  if (!migration) {
+    throw httpError('HS migration not found', 404);
+  }
+  return migration;
+};
+
+/**
+ * List runs, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Page size
+ * @param {number} [options.offset=0] - Rows to skip
+ * @returns {Promise<Object>} Runs and pagination
+ */
+const listMigrations = async ({ limit = 20, offset = 0 } = {}) => {
+  const { count, rows } = await HsMigration.findAndCountAll({
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return {
+    migrations: rows,
+    pagination: { total: count, limit, offset }
+  };
+};
+
+/**
+ * Continue a run stopped by a restart or failure
+ * @param {number} migrationId - Run ID
+ * @returns {Promise<Object>} The run, Running again
+ */
+const resumeMigration = async (migrationId) => {
+  const migration = await getMigration(migrationId);
+  if (!['Interrupted', 'Failed'].includes(migration.status)) {
+    throw httpError(`HS migration is ${migration.status.toLowerCase()} and cannot be resumed`, 409);
+  }
+  const running = await HsMigration.count({ where: { status: 'Running' } });
+  if (running > 0) {
+    throw httpError('Another HS migration is running; try again once it has finished', 409);
+  }
+
+  await migration.update({ status: 'Running', error: null, finished_at: null });
+  setImmediate(() => {
+    runMigration(migration.id).catch((error) => {
+      logger.error('HS migration could not be run', { migrationId: migration.id, error: error.message });
+    });
+  });
+
+  logger.info('HS migration resumed', { migrationId });
+  return migration;
+};
+
+/**
+ * Apply completed migrations to memory entries rebuilt from the history, each to the entries decided
+ * before it finished. Used by classificationMemoryService.rebuildMemory.
+ * @param {Map<string, Object>} entries - Entries with hs_code and decided_at, changed in place
+ * @returns {Promise<Map<string, Object>>} The same entries
+ */
+const remapMemoryEntries = async (entries) => {
+  const migrations = await HsMigration.findAll({
+    where: { status: 'Completed', dry_run: false },
+    order: [['finished_at', 'ASC']]
+  });
+
+  for (const migration of migrations) {
+    const correlations = await HsCorrelation.findAll({
+      where: { from_version: migration.from_version, to_version: migration.to_version },
+      raw: true
+    });
+    const index = buildCorrelationIndex(correlations);
+
+    for (const [key, entry] of entries) {
+      if (new Date(entry.decided_at) >= migration.finished_at) continue;
+      const result = remapCode(entry.hs_code, index);
+      if (result.action === 'remap') {
+        entry.hs_code = await resolveTarget(result);
+      } else if (result.action === 'split') {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Mark runs left Running by a previous process as Interrupted so they can be resumed
+ * @returns {Promise<number>} Number of interrupted runs
+ */
+const recoverInterruptedMigrations = async () => {
+  const [count] = await HsMigration.update(
+    { status: 'Interrupted' },
+    { where: { status: 'Running' } }
+  );
+  if (count > 0) {
+    logger.warn('HS migrations interrupted by a restart', { count });
+  }
+  return count;
+};
+
+module.exports = {
+  parseCorrelationRows,
+  loadCorrelations,
+  listCorrelationTables,
+  buildCorrelationIndex,
+  remapCode,
+  createMigration,
+  runMigration,
+  startMigration,
+  getMigration,
+  listMigrations,
+  resumeMigration,
+  remapMemoryEntries,
+  recoverInterruptedMigrations
+};
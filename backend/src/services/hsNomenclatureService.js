@@ -0,0 +1,362 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { HsCode } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'hs-nomenclature-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/hs-nomenclature.log' })
+  ]
+});
+
+// Nomenclature levels, from the top of the hierarchy down
+const HS_LEVELS = ['section', 'chapter', 'heading', 'subheading', 'tariff_line'];
+
+// Levels an invoice line can be classified under
+const CLASSIFIABLE_LEVELS = ['subheading', 'tariff_line'];
+
+// Accepted spreadsheet column names for each nomenclature field (lower-case, punctuation stripped)
+const NOMENCLATURE_COLUMNS = {
+  code: ['code', 'hs code', 'hs', 'commodity code', 'tariff code'],
+  description: ['description', 'desc', 'label', 'text'],
+  section: ['section', 'section number']
+};
+
+const SECTION_PATTERN = /^[IVX]+$/;
+
+const ROMAN_VALUES = { I: 1, V: 5, X: 10 };
+
+/**
+ * Numeric value of a section's Roman numeral, for ordering sections
+ * @param {string} numeral - Roman numeral (I to XXI)
+ * @returns {number} Value
+ */
+const romanToNumber = (numeral) => numeral.split('').reduce((total, letter, index, letters) => {
+  const value = ROMAN_VALUES[letter];
+  const next = ROMAN_VALUES[letters[index + 1]] || 0;
+  return total + (value < next ? -value : value);
+}, 0);
+
+/**
+ * Put an HS code in the stored form: digits grouped as 8471, 8471.30, 8471.30.10, 8471.30.10.00.
+ * Spaces, dots and dashes in the input are ignored; section numerals are upper-cased.
+ * @param {string|number} value - Code as entered
+ * @returns {string|null} Normalized code, or null if it is not a valid HS code or section
+ */
+const normalizeHsCode = (value) => {
+  const raw = String(value ?? '').trim().toUpperCase();
+  if (SECTION_PATTERN.test(raw)) {
+    return raw;
+  }
+
+  const digits = raw.replace(/[\s.-]/g, '');
+  if (!/^\d+$/.test(digits) || ![2, 4, 6, 8, 10].includes(digits.length)) {
+    return null;
+  }
+
+  const groups = [digits.slice(0, 4)];
+  for (let index = 4; index < digits.length; index += 2) {
+    groups.push(digits.slice(index, index + 2));
+  }
+  return groups.join('.');
+};
+
+/**
+ * Nomenclature level of a normalized code
+ * @param {string} code - Normalized code
+ * @returns {string} One of HS_LEVELS
+ */
+const levelOf = (code) => {
+  if (SECTION_PATTERN.test(code)) return 'section';
+  const digits = code.replace(/\./g, '').length;
+  if (digits === 2) return 'chapter';
+  if (digits === 4) return 'heading';
+  if (digits === 6) return 'subheading';
+  return 'tariff_line';
+};
+
+/**
+ * Codes that could be the direct parent of a digit code, nearest first
+ * @param {string} code - Normalized chapter, heading, subheading or tariff line
+ * @returns {Array<string>} Candidate parent codes
+ */
+const parentCandidates = (code) => {
+  const digits = code.replace(/\./g, '');
+  const candidates = [];
+  for (let length = digits.length - 2; length >= 2; length -= 2) {
+    candidates.push(normalizeHsCode(digits.slice(0, length)));
+  }
+  return candidates;
+};
+
+/**
+ * Validate parsed nomenclature rows (see importService.parseSpreadsheet)
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @returns {Object} { entries, errors } with entries ordered from sections down
+ */
+const parseNomenclatureRows = (rows) => {
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach(({ rowNumber, values }) => {
+    const normalized = {};
+    Object.keys(values).forEach((header) => {
+      const key = header.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+      const field = Object.keys(NOMENCLATURE_COLUMNS).find(name => NOMENCLATURE_COLUMNS[name].includes(key));
+      if (field) {
+        normalized[field] = values[header];
+      }
+    });
+
+    const code = normalizeHsCode(normalized.code);
+    const description = String(normalized.description ?? '').trim();
+    const section = normalized.section ? String(normalized.section).trim().toUpperCase() : null;
+
+    const rowErrors = [];
+    if (!code) rowErrors.push('code must be a section numeral or an HS code of 2, 4, 6, 8 or 10 digits');
+    if (!description) rowErrors.push('description is required');
+    if (code && levelOf(code) === 'chapter' && !(section && SECTION_PATTERN.test(section))) {
+      rowErrors.push('chapters need the Roman numeral of their section');
+    }
+    if (code && seen.has(code)) rowErrors.push(`code ${code} appears more than once`);
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    seen.add(code);
+    entries.push({ code, level: levelOf(code), description, section, rowNumber });
+  });
+
+  entries.sort((a, b) => HS_LEVELS.indexOf(a.level) - HS_LEVELS.indexOf(b.level));
+  return { entries, errors };
+};
+
+/**
+ * Load nomenclature entries into the local database, replacing the descriptions of existing codes.
+ * Parents are resolved from the file and the stored nomenclature; the whole file is rejected if any row is invalid.
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @param {Object} [options]
+ * @param {string} [options.source] - File name or tariff edition recorded on each entry
+ * @returns {Promise<Object>} { loaded, errors }
+ */
+const loadNomenclature = async (rows, { source } = {}) => {
+  const { entries, errors } = parseNomenclatureRows(rows);
+
+  // Existing entries a row may hang under
+  const stored = await HsCode.findAll({ attributes: ['code', 'section'] });
+  const known = new Map(stored.map(entry => [entry.code, entry.section]));
+  entries.forEach(entry => known.set(entry.code, entry.section));
+
+  const records = [];
+  entries.forEach((entry) => {
+    let parentCode = null;
+    let section = entry.section;
+
+    if (entry.level === 'chapter') {
+      parentCode = entry.section;
+    } else if (entry.level !== 'section') {
+      parentCode = parentCandidates(entry.code).find(candidate => known.has(candidate)) || null;
+      section = parentCode ? known.get(parentCode) : null;
+    }
+
+    if (entry.level !== 'section' && !(parentCode && known.has(parentCode))) {
+      errors.push({ row: entry.rowNumber, errors: [`no parent entry found for ${entry.code}`] });
+      return;
+    }
+
+    // Children resolved later in this file inherit the section
+    known.set(entry.code, section);
+    records.push({ code: entry.code, level: entry.level, parent_code: parentCode, section, description: entry.description, source });
+  });
+
+  if (errors.length > 0) {
+    logger.warn('HS nomenclature file rejected', { source, invalidRows: errors.length });
+    return { loaded: 0, errors: errors.sort((a, b) => a.row - b.row) };
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    // One level at a time so every parent exists before its children
+    for (const level of HS_LEVELS) {
+      const batch = records.filter(record => record.level === level);
+      if (batch.length > 0) {
+        await HsCode.bulkCreate(batch, {
+          updateOnDuplicate: ['level', 'parent_code', 'section', 'description', 'source', 'updated_at'],
+          transaction
+        });
+      }
+    }
+  });
+
+  logger.info('HS nomenclature loaded', { source, count: records.length });
+  return { loaded: records.length, errors };
+};
+
+/**
+ * Whether any nomenclature has been loaded
+ * @returns {Promise<boolean>} True when the hs_codes table has entries
+ */
+const isNomenclatureLoaded = async () => (await HsCode.count()) > 0;
+
+/**
+ * Get a nomenclature entry
+ * @param {string} value - Code as entered
+ * @returns {Promise<Object>} Entry with a declarable flag (true when it has no subdivisions)
+ */
+const getHsCode = async (value) => {
+  const code = normalizeHsCode(value);
+  if (!code) {
+    throw httpError(`'${value}' is not a valid HS code`, 422);
+  }
+
+  const entry = await HsCode.findByPk(code);
+  if (!entry) {
+    throw httpError(`HS code ${code} is not in the nomenclature`, 404);
+  }
+
+  const childCount = await HsCode.count({ where: { parent_code: code } });
+  return { ...entry.toJSON(), declarable: entry.level !== 'section' && childCount === 0 };
+};
+
+/**
+ * Get an entry with its ancestors (section first) and direct subdivisions
+ * @param {string} value - Code as entered
+ * @returns {Promise<Object>} { entry, ancestors, children }
+ */
+const getHierarchy = async (value) => {
+  const entry = await getHsCode(value);
+
+  const ancestors = [];
+  let parentCode = entry.parent_code;
+  while (parentCode) {
+    const parent = await HsCode.findByPk(parentCode);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentCode = parent.parent_code;
+  }
+
+  const children = await HsCode.findAll({
+    where: { parent_code: entry.code },
+    order: [['code', 'ASC']]
+  });
+
+  return { entry, ancestors, children };
+};
+
+/**
+ * List the sections of the nomenclature in numeral order
+ * @returns {Promise<Array<Object>>} Sections
+ */
+const listSections = async () => {
+  const sections = await HsCode.findAll({ where: { level: 'section' } });
+  return sections.sort((a, b) => romanToNumber(a.code) - romanToNumber(b.code));
+};
+
+/**
+ * Search the nomenclature by code prefix or description words
+ * @param {Object} options
+ * @param {string} options.q - Code prefix (digits) or words from the description
+ * @param {string} [options.level] - Restrict to one of HS_LEVELS
+ * @param {number} [options.limit=20] - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Matching entries, ordered by code
+ */
+const searchHsCodes = async ({ q, level, limit = 20 }) => {
+  const term = String(q || '').trim();
+  const where = {};
+  if (level) where.level = level;
+
+  const digits = term.replace(/[\s.-]/g, '');
+  if (/^\d+$/.test(digits)) {
+    // Match the stored dotted form of the prefix (8471 3 -> 8471.3%)
+    const prefix = digits.length <= 4
+      ? digits
+      : [digits.slice(0, 4), ...(digits.slice(4).match(/\d{1,2}/g) || [])].join('.');
+    where.code = { [Op.like]: `${prefix}%` };
+  } else {
+    where[Op.and] = [db.sequelize.literal(
+      `to_tsvector('english', "HsCode"."description") @@ plainto_tsquery('english', ${db.sequelize.escape(term)})`
+    )];
+  }
+
+  return HsCode.findAll({ where, order: [['code', 'ASC']], limit });
+};
+
+/**
+ * Look up several codes at once, e.g. to show the official description next to each invoice line
+ * @param {Array<string>} values - Codes as entered
+ * @returns {Promise<Object>} Map of each requested code to its entry, or null when it is not in the nomenclature
+ */
+const lookupHsCodes = async (values) => {
+  const codes = [...new Set(values.map(normalizeHsCode).filter(Boolean))];
+  const entries = codes.length > 0
+    ? await HsCode.findAll({ where: { code: { [Op.in]: codes } } })
+    : [];
+  const parents = codes.length > 0
+    ? await HsCode.findAll({ attributes: ['parent_code'], where: { parent_code: { [Op.in]: codes } }, group: ['parent_code'] })
+    : [];
+  const withChildren = new Set(parents.map(parent => parent.parent_code));
+  const byCode = new Map(entries.map(entry => [entry.code, entry]));
+
+  return values.reduce((result, value) => {
+    const entry = byCode.get(normalizeHsCode(value));
+    result[value] = entry
+      ? { code: entry.code, level: entry.level, description: entry.description, declarable: !withChildren.has(entry.code) }
+      : null;
+    return result;
+  }, {});
+};
+
+/**
+ * Check an HS code before it is written to an invoice line
+ * @param {string} value - Code as entered
+ * @returns {Promise<Object>} { code, description } with the normalized code to store
+ * @throws {Error} 422 when the code is malformed, unknown, or above subheading level
+ */
+const validateHsCode = async (value) => {
+  const code = normalizeHsCode(value);
+  if (!code || levelOf(code) === 'section') {
+    throw httpError(`'${value}' is not a valid HS code`, 422);
+  }
+  if (!CLASSIFIABLE_LEVELS.includes(levelOf(code))) {
+    throw httpError(`HS code ${code} is a ${levelOf(code)}; classify at subheading (6-digit) level or below`, 422);
+  }
+
+  const entry = await HsCode.findByPk(code);
+  if (entry) {
+    return { code, description: entry.description };
+  }
+
+  if (!(await isNomenclatureLoaded())) {
+    // Nothing to check against yet; the format check above still applies
+    logger.warn('HS nomenclature not loaded, accepting code on format only', { code });
+    return { code, description: null };
+  }
+
+  throw httpError(`HS code ${code} is not in the nomenclature`, 422);
+};
+
+module.exports = {
+  HS_LEVELS,
+  normalizeHsCode,
+  parseNomenclatureRows,
+  loadNomenclature,
+  getHsCode,
+  getHierarchy,
+  listSections,
+  searchHsCodes,
+  lookupHsCodes,
+  validateHsCode
+};
@@ -0,0 +1,423 @@
+'use strict';
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const winston = require('winston');
+const db = require('../models');
+const { Invoice, InvoiceLine, ImportMapping } = db;
+const { validateInvoiceLine } = require('../validators/invoiceLineValidators');
+const { updateInvoiceTotal } = require('./invoiceService');
+const { BASE_CURRENCY } = require('./currencyService');
+const invoiceStatusService = require('./invoiceStatusService');
+const duplicateService = require('./duplicateService');
+const deniedPartyService = require('./deniedPartyService');
+const { httpError } = require('../utils/httpError');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'import-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/import.log' })
+  ]
+});
+
+// Maximum number of data rows accepted in a single import
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Invoice line fields that can be mapped from a spreadsheet column
+const IMPORT_FIELDS = [
+  'description', 'sku', 'quantity', 'unit_price', 'currency', 'hs_code', 'origin_country',
+  'gross_weight', 'net_weight', 'uom', 'package_count', 'package_type'
+];
+const REQUIRED_FIELDS = ['description', 'quantity', 'unit_price'];
+
+// Common header spellings used to suggest a mapping when none is saved
+const HEADER_ALIASES = {
+  description: ['description', 'item description', 'goods description', 'product', 'item', 'desc'],
+  sku: ['sku', 'article number', 'article no', 'item number', 'item no', 'part number', 'part no', 'style'],
+  quantity: ['quantity', 'qty', 'units', 'pcs', 'pieces'],
+  unit_price: ['unit price', 'price', 'unit cost', 'rate', 'price each'],
+  currency: ['currency', 'ccy', 'cur', 'currency code'],
+  hs_code: ['hs code', 'hs', 'hts', 'hts code', 'tariff code', 'commodity code'],
+  origin_country: ['origin', 'country of origin', 'origin country', 'coo', 'made in'],
+  gross_weight: ['gross weight', 'gross wt', 'gross kg', 'gw', 'gross weight kg'],
+  net_weight: ['net weight', 'net wt', 'net kg', 'nw', 'net weight kg'],
+  uom: ['uom', 'unit', 'unit of measure', 'units of measure', 'statistical unit'],
+  package_count: ['packages', 'no of packages', 'number of packages', 'package count', 'pkgs', 'cartons'],
+  package_type: ['package type', 'packaging', 'kind of packages', 'pkg type']
+};
+
+const SUPPORTED_TYPES = ['.csv', '.xlsx'];
+
+/**
+ * Normalize a header for comparison (case, whitespace and punctuation insensitive)
+ * @param {string} header - Column header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => String(header || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Convert an ExcelJS cell value into a plain value
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} Plain value
+ */
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text; // Hyperlink cells
+    if (value.result !== undefined) return cellToValue(value.result); // Formula cells
+    if (value.error) return null;
+  }
+  return value;
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into headers and rows
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Original filename (used to detect the format)
+ * @returns {Promise<Object>} { headers, rows } where each row is { rowNumber, values }
+ */
+const parseSpreadsheet = async (buffer, filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (!SUPPORTED_TYPES.includes(extension)) {
+    throw httpError(`Unsupported file type '${extension}'. Supported types: ${SUPPORTED_TYPES.join(', ')}`, 400);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  try {
+    if (extension === '.csv') {
+      worksheet = await workbook.csv.read(Readable.from(buffer));
+    } else {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    }
+  } catch (error) {
+    logger.warn('Failed to parse spreadsheet', { filename, error: error.message });
+    throw httpError(`Unable to read spreadsheet: ${error.message}`, 400);
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    throw httpError('Spreadsheet is empty', 400);
+  }
+
+  // First row holds the column headers
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    headers[colNumber - 1] = String(cellToValue(cell.value) ?? '').trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        values[header] = cellToValue(row.getCell(index + 1).value);
+      }
+    });
+    rows.push({ rowNumber, values });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw httpError(`Spreadsheet has ${rows.length} rows; the maximum per import is ${MAX_IMPORT_ROWS}`, 400);
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Suggest a column mapping from the spreadsheet headers
+ * @param {Array<string>} headers - Spreadsheet column headers
+ * @returns {Object} Mapping of invoice line field to column header
+ */
+const suggestMapping = (headers) => {
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    const match = headers.find(header => HEADER_ALIASES[field].includes(normalizeHeader(header)));
+    if (match) {
+      mapping[field] = match;
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Check that a mapping covers the required fields and only references known headers
+ * @param {Object} mapping - Field to header mapping
+ * @param {Array<string>} headers - Spreadsheet column headers
+ * @throws {Error} If the mapping is unusable
+ */
+const assertMappingUsable = (mapping, headers) => {
+  const unknownFields = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw httpError(`Unknown mapping fields: ${unknownFields.join(', ')}`, 422);
+  }
+
+  const missingFields = REQUIRED_FIELDS.filter(field => !mapping[field]);
+  if (missingFields.length > 0) {
+    throw httpError(`Column mapping is missing required fields: ${missingFields.join(', ')}`, 422);
+  }
+
+  const missingHeaders = Object.values(mapping).filter(header => header && !headers.includes(header));
+  if (missingHeaders.length > 0) {
+    throw httpError(`Mapped columns not found in spreadsheet: ${missingHeaders.join(', ')}`, 422);
+  }
+};
+
+/**
+ * Get the saved column mapping for a supplier
+ * @param {number} userId - User ID
+ * @param {string} supplier - Supplier name
+ * @returns {Promise<Object|null>} Saved mapping record or null
+ */
+const getSavedMapping = async (userId, supplier) => {
+  if (!supplier) return null;
+  return ImportMapping.findOne({ where: { user_id: userId, supplier } });
+};
+
+/**
+ * List all saved column mappings for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} Saved mapping records
+ */
+const listSavedMappings = async (userId) => {
+  return ImportMapping.findAll({
+    where: { user_id: userId },
+    order: [['supplier', 'ASC']]
+  });
+};
+
+/**
+ * Save (create or replace) the column mapping for a supplier
+ * @param {number} userId - User ID
+ * @param {string} supplier - Supplier name
+ * @param {Object} mapping - Field to header mapping
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object>} Saved mapping record
+ */
+const saveMapping = async (userId, supplier, mapping, transaction) => {
+  const existing = await ImportMapping.findOne({
+    where: { user_id: userId, supplier },
+    transaction
+  });
+
+  if (existing) {
+    return existing.update({ mapping }, { transaction });
+  }
+
+  return ImportMapping.create({ user_id: userId, supplier, mapping }, { transaction });
+};
+
+/**
+ * Decode an uploaded file payload ({ name, content }) where content is base64
+ * @param {Object} file - File payload from the request body
+ * @returns {Object} { filename, buffer }
+ */
+const decodeFile = (file) => {
+  if (!file || !file.name || !file.content) {
+    throw httpError('A file with name and base64 content is required', 422);
+  }
+  return {
+    filename: file.name,
+    buffer: Buffer.from(file.content, 'base64')
+  };
+};
+
+/**
+ * Preview an import: headers, sample rows and the mapping that would be applied
+ * @param {number} userId - User ID
+ * @param {Object} params - Preview parameters
+ * @param {Object} params.file - Uploaded file payload
+ * @param {string} [params.supplier] - Supplier name used to look up a saved mapping
+ * @returns {Promise<Object>} Preview data
+ */
+const previewImport = async (userId, { file, supplier }) => {
+  const { filename, buffer } = decodeFile(file);
+  const { headers, rows } = await parseSpreadsheet(buffer, filename);
+
+  const saved = await getSavedMapping(userId, supplier);
+
+  return {
+    headers,
+    sampleRows: rows.slice(0, 5).map(row => row.values),
+    totalRows: rows.length,
+    fields: IMPORT_FIELDS,
+    requiredFields: REQUIRED_FIELDS,
+    mapping: saved ? saved.mapping : suggestMapping(headers),
+    mappingSource: saved ? 'saved' : 'suggested'
+  };
+};
+
+/**
+ * Apply a column mapping to parsed rows and validate each resulting line
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @param {Object} mapping - Field to header mapping
+ * @returns {Promise<Object>} { lines, report } with the sanitized valid lines and a per-row report
+ */
+const validateRows = async (rows, mapping) => {
+  const lines = [];
+  const report = [];
+
+  for (const row of rows) {
+    const raw = {};
+    IMPORT_FIELDS.forEach((field) => {
+      const value = mapping[field] ? row.values[mapping[field]] : null;
+      if (value !== null && value !== undefined && String(value).trim() !== '') {
+        raw[field] = typeof value === 'string' ? value : String(value);
+      }
+    });
+
+    // Skip rows with nothing mapped (e.g. trailing totals or spacer rows)
+    if (Object.keys(raw).length === 0) {
+      continue;
+    }
+
+    const { valid, errors, line } = await validateInvoiceLine(raw);
+    report.push({ row: row.rowNumber, valid, errors });
+
+    if (valid) {
+      lines.push({ rowNumber: row.rowNumber, ...line });
+    }
+  }
+
+  return { lines, report };
+};
+
+/**
+ * Import invoice lines from a spreadsheet. Creates a new invoice (or appends to an
+ * existing draft invoice) and its lines in a single transaction.
+ * @param {number} userId - User ID
+ * @param {Object} params - Import parameters
+ * @param {Object} params.file - Uploaded file payload ({ name, content })
+ * @param {string} [params.supplier] - Supplier name (required for new invoices)
+ * @param {string} [params.invoiceDate] - Invoice date for new invoices
+ * @param {string} [params.currency] - Currency for new invoices (defaults to the base currency)
+ * @param {number} [params.invoiceId] - Existing invoice to append the lines to
+ * @param {Object} [params.mapping] - Explicit column mapping; defaults to the supplier's saved mapping
+ * @param {boolean} [params.saveMapping=false] - Save the mapping for the supplier
+ * @param {boolean} [params.skipInvalidRows=false] - Import valid rows even if some rows fail validation
+ * @returns {Promise<Object>} Import result with invoice, created lines and validation report
+ */
+const importInvoice = async (userId, params) => {
+  const {
+    file,
+    invoiceDate,
+    currency = BASE_CURRENCY,
+    invoiceId,
+    saveMapping: shouldSaveMapping = false,
+    skipInvalidRows = false
+  } = params;
+  let { supplier, mapping } = params;
+
+  let targetInvoice = null;
+  if (invoiceId) {
+    targetInvoice = await Invoice.findOne({ where: { id: invoiceId, user_id: userId } });
+    if (!targetInvoice) {
+      throw httpError('Invoice not found', 404);
+    }
+    invoiceStatusService.assertEditable(targetInvoice);
+    supplier = supplier || targetInvoice.supplier;
+  }
+
+  const { filename, buffer } = decodeFile(file);
+  const { headers, rows } = await parseSpreadsheet(buffer, filename);
+
+  if (!mapping) {
+    const saved = await getSavedMapping(userId, supplier);
+    if (!saved) {
+      throw httpError('No column mapping provided and none saved for this supplier', 422);
+    }
+    mapping = saved.mapping;
+  }
+  assertMappingUsable(mapping, headers);
+
+  const { lines, report } = await validateRows(rows, mapping);
+  const invalidRows = report.filter(entry => !entry.valid).length;
+  const summary = {
+    totalRows: report.length,
+    validRows: report.length - invalidRows,
+    invalidRows
+  };
+
+  if (lines.length === 0 || (invalidRows > 0 && !skipInvalidRows)) {
+    logger.info('Spreadsheet import rejected by validation', { userId, supplier, ...summary });
+    return { imported: false, summary, report };
+  }
+
+  const result = await db.sequelize.transaction(async (transaction) => {
+    let invoice = targetInvoice;
+    if (!invoice) {
+      invoice = await Invoice.create({
+        user_id: userId,
+        supplier,
+        invoice_date: invoiceDate,
+        currency,
+        status: 'Draft',
+        total_amount: 0
+      }, { transaction });
+      await invoiceStatusService.recordCreation(invoice, { actor: userId, reason: `Imported from ${filename}`, transaction });
+    }
+
+    const createdLines = await InvoiceLine.bulkCreate(
+      lines.map(({ rowNumber, ...line }) => ({ ...line, invoice_id: invoice.id })),
+      { transaction, returning: true }
+    );
+
+    await updateInvoiceTotal(invoice.id, transaction);
+    const duplicateWarning = await duplicateService.checkInvoice(invoice.id, { transaction });
+    await deniedPartyService.screenInvoice(invoice.id, { transaction });
+
+    if (shouldSaveMapping && supplier) {
+      await saveMapping(userId, supplier, mapping, transaction);
+    }
+
+    return { invoice, createdLines, duplicateWarning };
+  });
+
+  await result.invoice.reload();
+
+  logger.info('Spreadsheet import completed', {
+    userId,
+    invoiceId: result.invoice.id,
+    supplier,
+    ...summary
+  });
+
+  return {
+    imported: true,
+    invoice: result.invoice,
+    lines: result.createdLines,
+    duplicateWarning: result.duplicateWarning,
+    summary,
+    report
+  };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  parseSpreadsheet,
+  suggestMapping,
+  validateRows,
+  previewImport,
+  importInvoice,
+  getSavedMapping,
+  listSavedMappings,
+  saveMapping
+};
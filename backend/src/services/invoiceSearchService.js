@@ -0,0 +1,213 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { Invoice } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'invoice-search-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/invoice-search.log' })
+  ]
+});
+
+// Fields the listing can be sorted by; id breaks ties so the order is stable across pages
+const SORT_FIELDS = ['created_at', 'updated_at', 'invoice_date', 'supplier', 'total_amount', 'status', 'id'];
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Text search configuration used for line descriptions (matches idx_invoice_lines_description_fts)
+const SEARCH_CONFIG = 'english';
+
+/**
+ * Encode the sort value and ID of the last invoice on a page as an opaque cursor
+ * @param {Object} invoice - Last invoice of the page
+ * @param {string} sortBy - Sort field
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (invoice, sortBy) => {
+  const value = invoice.get(sortBy);
+  return Buffer.from(JSON.stringify({
+    sortBy,
+    value: value instanceof Date ? value.toISOString() : value,
+    id: invoice.id
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @param {string} sortBy - Sort field of the current request
+ * @returns {Object} { value, id }
+ * @throws {Error} With status 422 when the cursor is malformed or was made for another sort
+ */
+const decodeCursor = (cursor, sortBy) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError('Invalid cursor', 422);
+  }
+  if (!decoded || !Number.isInteger(decoded.id) || decoded.value === undefined) {
+    throw httpError('Invalid cursor', 422);
+  }
+  if (decoded.sortBy !== sortBy) {
+    throw httpError('Cursor does not match the requested sort order. Start again without a cursor.', 422);
+  }
+  return decoded;
+};
+
+/**
+ * Condition selecting the invoices after the cursor in the requested order.
+ * Nulls sort last in both directions, so a null cursor value only has null rows after it.
+ * @param {Object} cursor - Decoded cursor ({ value, id })
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Object} Sequelize where condition
+ */
+const afterCursor = ({ value, id }, sortBy, sortOrder) => {
+  const op = sortOrder === 'asc' ? Op.gt : Op.lt;
+
+  if (sortBy === 'id') {
+    return { id: { [op]: id } };
+  }
+  if (value === null) {
+    return { [sortBy]: null, id: { [op]: id } };
+  }
+  return {
+    [Op.or]: [
+      { [sortBy]: { [op]: value } },
+      { [sortBy]: value, id: { [op]: id } },
+      { [sortBy]: null }
+    ]
+  };
+};
+
+/**
+ * SQL condition that at least one line of the invoice matches (or, negated, that none does)
+ * @param {string} condition - SQL condition on the line alias "il"
+ * @param {boolean} [exists=true] - False to require that no line matches
+ * @returns {Object} Sequelize literal
+ */
+const hasLine = (condition, exists = true) => db.sequelize.literal(
+  `${exists ? '' : 'NOT '}EXISTS (SELECT 1 FROM invoice_lines il WHERE il.invoice_id = "Invoice"."id" AND ${condition})`
+);
+
+/**
+ * Translate listing filters into a Sequelize where clause
+ * @param {number} userId - Owner of the invoices
+ * @param {Object} filters - Filters (see searchInvoices)
+ * @returns {Object} Sequelize where clause
+ */
+const buildWhere = (userId, filters) => {
+  const conditions = [{ user_id: userId }];
+
+  if (filters.status && filters.status.length > 0) {
+    conditions.push({ status: { [Op.in]: filters.status } });
+  }
+  if (filters.supplier) {
+    conditions.push({ supplier: { [Op.iLike]: `%${filters.supplier.replace(/[\\%_]/g, '\\$&')}%` } });
+  }
+  if (filters.startDate) {
+    conditions.push({ invoice_date: { [Op.gte]: filters.startDate } });
+  }
+  if (filters.endDate) {
+    conditions.push({ invoice_date: { [Op.lte]: filters.endDate } });
+  }
+  if (filters.minAmount !== undefined && filters.minAmount !== null) {
+    conditions.push({ total_amount: { [Op.gte]: filters.minAmount } });
+  }
+  if (filters.maxAmount !== undefined && filters.maxAmount !== null) {
+    conditions.push({ total_amount: { [Op.lte]: filters.maxAmount } });
+  }
+  if (filters.hsChapter) {
+    conditions.push(hasLine(`il.hs_code LIKE ${db.sequelize.escape(`${filters.hsChapter}%`)}`));
+  }
+  if (filters.flagged === true) {
+    conditions.push(hasLine('il.flagged = true'));
+  } else if (filters.flagged === false) {
+    conditions.push(hasLine('il.flagged = true', false));
+  }
+  if (filters.q) {
+    conditions.push(hasLine(
+      `to_tsvector('${SEARCH_CONFIG}', coalesce(il.description, '')) @@ plainto_tsquery('${SEARCH_CONFIG}', ${db.sequelize.escape(filters.q)})`
+    ));
+  }
+
+  return { [Op.and]: conditions };
+};
+
+/**
+ * Search the invoices of a user with filters, sorting and cursor pagination
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Search options
+ * @param {Array<string>} [options.status] - Lifecycle statuses to include
+ * @param {string} [options.supplier] - Case-insensitive substring of the supplier name
+ * @param {string} [options.startDate] - Earliest invoice date (inclusive)
+ * @param {string} [options.endDate] - Latest invoice date (inclusive)
+ * @param {number} [options.minAmount] - Minimum total, in the invoice currency
+ * @param {number} [options.maxAmount] - Maximum total, in the invoice currency
+ * @param {string} [options.hsChapter] - Two-digit HS chapter of any line
+ * @param {boolean} [options.flagged] - Only invoices with (true) or without (false) flagged lines
+ * @param {string} [options.q] - Full-text search over line descriptions
+ * @param {string} [options.sortBy] - One of SORT_FIELDS
+ * @param {string} [options.sortOrder] - 'asc' or 'desc'
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} { invoices, pagination: { total, limit, hasMore, nextCursor } }
+ */
+const searchInvoices = async (userId, options = {}) => {
+  const sortBy = SORT_FIELDS.includes(options.sortBy) ? options.sortBy : 'created_at';
+  const sortOrder = options.sortOrder === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+
+  const where = buildWhere(userId, options);
+  const pageWhere = options.cursor
+    ? { [Op.and]: [where, afterCursor(decodeCursor(options.cursor, sortBy), sortBy, sortOrder)] }
+    : where;
+
+  const direction = sortOrder.toUpperCase();
+  const [total, rows] = await Promise.all([
+    Invoice.count({ where }),
+    Invoice.findAll({
+      where: pageWhere,
+      order: sortBy === 'id'
+        ? [['id', direction]]
+        : [[sortBy, `${direction} NULLS LAST`], ['id', direction]],
+      // One extra row tells whether another page exists
+      limit: limit + 1
+    })
+  ]);
+
+  const hasMore = rows.length > limit;
+  const invoices = hasMore ? rows.slice(0, limit) : rows;
+
+  logger.info('Invoice search', { userId, sortBy, sortOrder, limit, total, returned: invoices.length });
+
+  return {
+    invoices,
+    pagination: {
+      total,
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(invoices[invoices.length - 1], sortBy) : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  buildWhere,
+  searchInvoices
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const winston = require('winston');
+const db = require('../models');
+const { Invoice, InvoiceLine } = db;
+const currencyService = require('./currencyService');
+const tariffService = require('./tariffService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'invoice-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/invoice.log' })
+  ]
+});
+
+/**
+ * Updates the total_amount field of an invoice based on its lines.
+ * Lines billed in another currency are converted into the invoice currency, and the
+ * total is also stored in the base currency (the customs value) at the invoice date rate.
+ * @param {number} invoiceId - The ID of the invoice to update.
+ * @param {object} [transaction] - Optional Sequelize transaction object.
+ * @returns {Promise<number|null>} The new invoice total in the invoice currency, or null while a line
+ *   currency has no exchange rate into it
+ */
+const updateInvoiceTotal = async (invoiceId, transaction) => {
+  try {
+    const invoice = await Invoice.findByPk(invoiceId, {
+      attributes: ['id', 'currency', 'invoice_date'],
+      transaction // Pass transaction if provided
+    });
+    if (!invoice) {
+      throw new Error(`Invoice with ID ${invoiceId} not found`);
+    }
+
+    // Rates are taken as of the invoice date, or today while the date is still unknown
+    const rateDate = invoice.invoice_date || new Date();
+
+    const totalsByCurrency = await InvoiceLine.findAll({
+      where: { invoice_id: invoiceId },
+      attributes: [
+        [db.sequelize.fn('COALESCE', db.sequelize.col('currency'), invoice.currency), 'line_currency'],
+        [db.sequelize.fn('SUM', db.sequelize.literal('quantity * unit_price')), 'total']
+      ],
+      group: ['line_currency'],
+      raw: true,
+      transaction
+    });
+
+    // A missing line rate must not block editing either; the total stays unknown until rates are loaded
+    let totalAmount = 0;
+    for (const { line_currency: lineCurrency, total } of totalsByCurrency) {
+      try {
+        const { amount } = await currencyService.convertAmount(total, lineCurrency, invoice.currency, rateDate, { transaction });
+        totalAmount += amount;
+      } catch (error) {
+        if (error.status !== 422) throw error;
+        logger.warn('Invoice total incomplete: line currency not converted', { invoiceId, currency: lineCurrency, error: error.message });
+        totalAmount = null;
+        break;
+      }
+    }
+    if (totalAmount !== null) {
+      totalAmount = Math.round(totalAmount * 100) / 100;
+    }
+
+    // A missing base rate must not block editing; the customs value is filled in once rates are loaded
+    const baseValues = {
+      base_currency: currencyService.BASE_CURRENCY,
+      total_amount_base: null,
+      exchange_rate: null,
+      exchange_rate_date: null
+    };
+    if (totalAmount !== null) {
+      try {
+        const converted = await currencyService.convertAmount(totalAmount, invoice.currency, currencyService.BASE_CURRENCY, rateDate, { transaction });
+        baseValues.total_amount_base = converted.amount;
+        baseValues.exchange_rate = converted.rate;
+        baseValues.exchange_rate_date = converted.effectiveDate;
+      } catch (error) {
+        if (error.status !== 422) throw error;
+        logger.warn('Invoice total not converted to base currency', { invoiceId, error: error.message });
+      }
+    }
+
+    await Invoice.update(
+      { total_amount: totalAmount, ...baseValues },
+      { where: { id: invoiceId }, transaction } // Pass transaction if provided
+    );
+
+    // A stored duty estimate follows the lines while the invoice can still change
+    await tariffService.refreshStoredEstimates([invoiceId], { transaction });
+
+    return totalAmount;
+  } catch (error) {
+    logger.error('Error updating invoice total', {
+      error: error.message,
+      invoiceId
+    });
+    // Re-throw the error to be caught by the calling route handler's catch block
+    throw error;
+  }
+};
+
+module.exports = {
+  updateInvoiceTotal
+};
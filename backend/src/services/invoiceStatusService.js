@@ -0,0 +1,203 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { Invoice, InvoiceLine, InvoiceStatusHistory, User } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'invoice-status-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/invoice-status.log' })
+  ]
+});
+
+const INVOICE_STATUSES = ['Draft', 'Classified', 'InReview', 'Ready', 'Submitted', 'Accepted', 'Rejected', 'Amended'];
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  Draft: ['Classified'],
+  Classified: ['Draft', 'InReview', 'Ready'],
+  InReview: ['Classified', 'Ready'],
+  Ready: ['Classified', 'InReview', 'Submitted'],
+  Submitted: ['Accepted', 'Rejected'],
+  Accepted: ['Amended'],
+  Rejected: ['Amended'],
+  Amended: ['Classified', 'InReview', 'Ready']
+};
+
+// Statuses only the submission workflow may set; users cannot request them directly
+const SUBMISSION_STATUSES = ['Submitted', 'Accepted', 'Rejected'];
+
+const USER_STATUSES = INVOICE_STATUSES.filter(status => !SUBMISSION_STATUSES.includes(status));
+
+// Statuses in which the invoice header and lines may still be changed
+const EDITABLE_STATUSES = ['Draft', 'Classified', 'InReview', 'Amended'];
+
+/**
+ * Statuses an invoice may move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Check whether the lifecycle allows moving between two statuses
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (fromStatus, toStatus) => getAllowedTransitions(fromStatus).includes(toStatus);
+
+/**
+ * Check the invoice lines meet what the requested status promises
+ * @param {Object} invoice - Invoice instance
+ * @param {string} toStatus - Requested status
+ * @param {Object} transaction - Sequelize transaction
+ * @throws {Error} With status 409 when the lines are not in the required state
+ */
+const assertLinesReady = async (invoice, toStatus, transaction) => {
+  if (toStatus !== 'Classified' && toStatus !== 'Ready') {
+    return;
+  }
+
+  const lineCount = await InvoiceLine.count({ where: { invoice_id: invoice.id }, transaction });
+  if (lineCount === 0) {
+    throw httpError(`Invoice ${invoice.id} has no lines and cannot move to '${toStatus}'`, 409);
+  }
+
+  const unclassified = await InvoiceLine.count({
+    where: { invoice_id: invoice.id, [Op.or]: [{ hs_code: null }, { hs_code: '' }] },
+    transaction
+  });
+  if (unclassified > 0) {
+    throw httpError(`Invoice ${invoice.id} has ${unclassified} line(s) without an HS code and cannot move to '${toStatus}'`, 409);
+  }
+
+  if (toStatus === 'Ready') {
+    const flagged = await InvoiceLine.count({ where: { invoice_id: invoice.id, flagged: true }, transaction });
+    if (flagged > 0) {
+      throw httpError(`Invoice ${invoice.id} has ${flagged} line(s) flagged for review and cannot move to 'Ready'`, 409);
+    }
+  }
+};
+
+/**
+ * Move an invoice to a new lifecycle status and record the transition.
+ * This is the only place invoice status should be written after creation.
+ * @param {number} invoiceId - Invoice ID
+ * @param {string} toStatus - Requested status
+ * @param {Object} [options] - Options
+ * @param {number} [options.actor] - ID of the user making the change (null for system changes)
+ * @param {string} [options.reason] - Why the status changed, shown on the timeline
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object>} Updated invoice
+ * @throws {Error} With status 404 when the invoice is missing, 409 when the transition is not allowed
+ */
+const transitionInvoice = async (invoiceId, toStatus, { actor = null, reason = null, transaction } = {}) => {
+  if (!transaction) {
+    return db.sequelize.transaction(t => transitionInvoice(invoiceId, toStatus, { actor, reason, transaction: t }));
+  }
+
+  // Lock the row so two concurrent transitions cannot both start from the same status
+  const invoice = await Invoice.findByPk(invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!invoice) {
+    throw httpError(`Invoice with ID ${invoiceId} not found`, 404);
+  }
+
+  const fromStatus = invoice.status;
+  if (!canTransition(fromStatus, toStatus)) {
+    const allowed = getAllowedTransitions(fromStatus);
+    throw httpError(
+      `Invoice ${invoiceId} cannot move from '${fromStatus}' to '${toStatus}'. Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`,
+      409
+    );
+  }
+
+  await assertLinesReady(invoice, toStatus, transaction);
+
+  await invoice.update({ status: toStatus }, { transaction });
+  await InvoiceStatusHistory.create({
+    invoice_id: invoice.id,
+    from_status: fromStatus,
+    to_status: toStatus,
+    changed_by: actor,
+    reason,
+    changed_at: new Date()
+  }, { transaction });
+
+  logger.info('Invoice status changed', { invoiceId, fromStatus, toStatus, actor });
+
+  return invoice;
+};
+
+/**
+ * Record the initial Draft entry on the timeline of a newly created invoice
+ * @param {Object} invoice - Newly created invoice instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.actor] - ID of the user who created the invoice
+ * @param {string} [options.reason] - How the invoice was created
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object>} Created history entry
+ */
+const recordCreation = async (invoice, { actor = null, reason = 'Created', transaction } = {}) => {
+  return InvoiceStatusHistory.create({
+    invoice_id: invoice.id,
+    from_status: null,
+    to_status: invoice.status,
+    changed_by: actor,
+    reason,
+    changed_at: new Date()
+  }, { transaction });
+};
+
+/**
+ * Throw unless the invoice is in a status that allows editing
+ * @param {Object} invoice - Invoice instance
+ * @throws {Error} With status 409 when the invoice is locked
+ */
+const assertEditable = (invoice) => {
+  if (!EDITABLE_STATUSES.includes(invoice.status)) {
+    throw httpError(`Invoice ${invoice.id} is '${invoice.status}' and can no longer be edited`, 409);
+  }
+};
+
+/**
+ * Get the status timeline of an invoice, oldest first
+ * @param {number} invoiceId - Invoice ID
+ * @returns {Promise<Array<Object>>} History entries with the acting user
+ */
+const getStatusHistory = async (invoiceId) => {
+  return InvoiceStatusHistory.findAll({
+    where: { invoice_id: invoiceId },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'full_name', 'email']
+      }
+    ],
+    order: [['changed_at', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+module.exports = {
+  INVOICE_STATUSES,
+  USER_STATUSES,
+  SUBMISSION_STATUSES,
+  EDITABLE_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  transitionInvoice,
+  recordCreation,
+  assertEditable,
+  getStatusHistory
+};
@@ -0,0 +1,596 @@
+'use strict';
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const winston = require('winston');
+const db = require('../models');
+const { Invoice, InvoiceLine } = db;
+const documentService = require('./documentService');
+const { validateInvoiceLine } = require('../validators/invoiceLineValidators');
+const { updateInvoiceTotal } = require('./invoiceService');
+const { BASE_CURRENCY } = require('./currencyService');
+const invoiceStatusService = require('./invoiceStatusService');
+const duplicateService = require('./duplicateService');
+const deniedPartyService = require('./deniedPartyService');
+const { httpError } = require('../utils/httpError');
+
+const execFileAsync = promisify(execFile);
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'ocr-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/ocr.log' })
+  ]
+});
+
+// Local OCR tooling (Tesseract and poppler-utils); nothing leaves the server
+const TESSERACT_PATH = process.env.OCR_TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.OCR_PDFTOPPM_PATH || 'pdftoppm';
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const OCR_DPI = parseInt(process.env.OCR_DPI) || 300;
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 10;
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS) || 120000;
+// Order used for ambiguous numeric dates such as 03/04/2024
+const OCR_DATE_ORDER = (process.env.OCR_DATE_ORDER || 'DMY').toUpperCase();
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.OCR_LOW_CONFIDENCE_THRESHOLD) || 0.8;
+
+const SUPPLIER_LABEL = /^(supplier|seller|vendor|exporter|shipper|sold by|from)\b\s*[:-]?\s*(.*)$/i;
+const NOT_SUPPLIER = /invoice|date|page|bill to|ship to|sold to|\bno\b|number|tel|phone|fax|e-?mail|www\.|@/i;
+const DATE_LABEL = /\b(invoice\s+date|date\s+of\s+invoice|inv\.?\s+date|date)\b/i;
+const DUE_DATE_LABEL = /\b(due|delivery|ship(ping)?|order)\s+date\b/i;
+const TOTAL_LABEL = /\b(grand\s+total|invoice\s+total|total\s+due|amount\s+due|balance\s+due|total)\b/i;
+const SUBTOTAL_LABEL = /\bsub\s*-?\s*total\b/i;
+const ITEM_HEADER = /\b(description|item|product|goods)\b.*\b(qty|quantity|units|pcs)\b|\b(qty|quantity)\b.*\b(description|item|product)\b/i;
+const NON_ITEM_LINE = /\b(sub\s*-?\s*total|total|tax|vat|gst|shipping|freight|discount|balance|amount\s+due|payment|deposit)\b/i;
+const NUMBER_TOKEN = /^[($€£¥]*-?\d[\d.,]*\)?$/;
+
+// Currency codes as printed on invoices; symbols are weaker evidence than codes
+const CURRENCY_CODES = { USD: 'USD', EUR: 'EUR', CNY: 'CNY', RMB: 'CNY', GBP: 'GBP', JPY: 'JPY', HKD: 'HKD', CAD: 'CAD', AUD: 'AUD' };
+const CURRENCY_SYMBOLS = [['€', 'EUR', 0.9], ['£', 'GBP', 0.9], ['¥', 'CNY', 0.5], ['$', 'USD', 0.5]];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Parse an amount as printed on an invoice ("1,234.50", "1.234,50", "$12.00")
+ * @param {string} text - Printed amount
+ * @returns {number|null} Parsed number or null
+ */
+const parseAmount = (text) => {
+  if (!text) {
+    return null;
+  }
+
+  let value = String(text).replace(/[^\d.,-]/g, '');
+  const lastComma = value.lastIndexOf(',');
+  const lastDot = value.lastIndexOf('.');
+
+  if (lastComma > -1 && lastDot > -1) {
+    // Whichever separator comes last is the decimal separator
+    value = lastComma > lastDot
+      ? value.replace(/\./g, '').replace(',', '.')
+      : value.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    // A lone comma followed by exactly two digits is a decimal comma
+    value = /,\d{2}$/.test(value) && value.indexOf(',') === lastComma
+      ? value.replace(',', '.')
+      : value.replace(/,/g, '');
+  }
+
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Build an ISO date string, rejecting impossible dates
+ * @param {number} year - Year (two digit years are treated as 20xx)
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+const toIsoDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Find a date in a line of text
+ * @param {string} text - Text to search
+ * @returns {Object|null} { value, ambiguous } or null
+ */
+const parseDate = (text) => {
+  let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) {
+    const value = toIsoDate(+match[1], +match[2], +match[3]);
+    if (value) return { value, ambiguous: false };
+  }
+
+  match = text.match(/\b(\d{1,2})\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/);
+  if (match && MONTHS.includes(match[2].slice(0, 3).toLowerCase())) {
+    const value = toIsoDate(+match[3], MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, +match[1]);
+    if (value) return { value, ambiguous: false };
+  }
+
+  match = text.match(/\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  if (match && MONTHS.includes(match[1].slice(0, 3).toLowerCase())) {
+    const value = toIsoDate(+match[3], MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, +match[2]);
+    if (value) return { value, ambiguous: false };
+  }
+
+  match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+  if (match) {
+    const first = +match[1];
+    const second = +match[2];
+    const year = +match[3];
+
+    // Only fall back to the configured order when both readings are valid
+    const dayFirst = first > 12 || (second <= 12 && OCR_DATE_ORDER === 'DMY');
+    const value = dayFirst ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+    if (value) return { value, ambiguous: first <= 12 && second <= 12 && first !== second };
+  }
+
+  return null;
+};
+
+/**
+ * Parse Tesseract TSV output into text lines with word-level confidences
+ * @param {string} tsv - Tesseract TSV output
+ * @param {number} pageNumber - Page the output belongs to
+ * @returns {Array<Object>} Lines ({ page, text, words: [{ text, confidence }], confidence })
+ */
+const parseTsv = (tsv, pageNumber) => {
+  const lines = new Map();
+
+  tsv.split(/\r?\n/).slice(1).forEach((row) => {
+    const columns = row.split('\t');
+    // level 5 rows are words; the others describe the page layout
+    if (columns.length < 12 || columns[0] !== '5') {
+      return;
+    }
+
+    const text = columns.slice(11).join('\t').trim();
+    const confidence = parseFloat(columns[10]);
+    if (!text || confidence < 0) {
+      return;
+    }
+
+    const key = `${columns[2]}-${columns[3]}-${columns[4]}`;
+    if (!lines.has(key)) {
+      lines.set(key, { page: pageNumber, words: [] });
+    }
+    lines.get(key).words.push({ text, confidence: confidence / 100 });
+  });
+
+  return Array.from(lines.values()).map(line => ({
+    ...line,
+    text: line.words.map(word => word.text).join(' '),
+    confidence: round(mean(line.words.map(word => word.confidence)))
+  }));
+};
+
+/**
+ * Pick the supplier name from the OCR lines
+ * @param {Array<Object>} lines - OCR lines
+ * @returns {Object|null} { value, confidence }
+ */
+const extractSupplier = (lines) => {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].text.match(SUPPLIER_LABEL);
+    // Skip labels such as "Vendor No: 1234"
+    if (!match || NOT_SUPPLIER.test(match[2])) continue;
+
+    if (match[2]) {
+      const labelWords = lines[i].text.split(/\s+/).length - match[2].split(/\s+/).length;
+      const words = lines[i].words.slice(labelWords);
+      return { value: match[2].trim(), confidence: round(mean(words.map(word => word.confidence))) };
+    }
+    if (lines[i + 1]) {
+      return { value: lines[i + 1].text, confidence: lines[i + 1].confidence };
+    }
+  }
+
+  // Without a label, letterheads usually start with the supplier name
+  const firstPage = lines.filter(line => line.page === 1).slice(0, 8);
+  const candidate = firstPage.find(line => /[A-Za-z]{3,}/.test(line.text) && !NOT_SUPPLIER.test(line.text));
+  return candidate ? { value: candidate.text, confidence: round(candidate.confidence * 0.6) } : null;
+};
+
+/**
+ * Pick the invoice date from the OCR lines
+ * @param {Array<Object>} lines - OCR lines
+ * @returns {Object|null} { value, confidence }
+ */
+const extractInvoiceDate = (lines) => {
+  for (let i = 0; i < lines.length; i++) {
+    if (!DATE_LABEL.test(lines[i].text) || DUE_DATE_LABEL.test(lines[i].text)) continue;
+
+    // The value is either on the labelled line or directly beneath it
+    for (const line of [lines[i], lines[i + 1]].filter(Boolean)) {
+      const date = parseDate(line.text);
+      if (date) {
+        return { value: date.value, confidence: round(line.confidence * (date.ambiguous ? 0.7 : 1)) };
+      }
+    }
+  }
+
+  for (const line of lines.filter(candidate => candidate.page === 1)) {
+    const date = parseDate(line.text);
+    if (date) {
+      return { value: date.value, confidence: round(line.confidence * 0.5) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick the invoice total from the OCR lines
+ * @param {Array<Object>} lines - OCR lines
+ * @returns {Object|null} { value, confidence }
+ */
+const extractTotal = (lines) => {
+  let best = null;
+
+  lines.forEach((line) => {
+    if (!TOTAL_LABEL.test(line.text) || SUBTOTAL_LABEL.test(line.text)) return;
+
+    const amountWord = [...line.words].reverse().find(word => NUMBER_TOKEN.test(word.text));
+    const value = amountWord ? parseAmount(amountWord.text) : null;
+    if (value === null) return;
+
+    // "Grand total" and "amount due" beat a bare "total"; later lines beat earlier ones
+    const labelWeight = /^total$/i.test(line.text.match(TOTAL_LABEL)[1]) ? 0.9 : 1;
+    const candidate = { value, confidence: round(amountWord.confidence * labelWeight) };
+    if (!best || labelWeight >= best.labelWeight) {
+      best = { ...candidate, labelWeight };
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+  const { labelWeight, ...total } = best;
+  return total;
+};
+
+/**
+ * Pick the billing currency from the OCR lines
+ * @param {Array<Object>} lines - OCR lines
+ * @returns {Object|null} { value, confidence }
+ */
+const extractCurrency = (lines) => {
+  for (const line of lines) {
+    const word = line.words.find(candidate => CURRENCY_CODES[candidate.text.replace(/[^A-Z]/g, '')]);
+    if (word) {
+      return { value: CURRENCY_CODES[word.text.replace(/[^A-Z]/g, '')], confidence: round(word.confidence) };
+    }
+  }
+
+  for (const [symbol, currency, weight] of CURRENCY_SYMBOLS) {
+    const line = lines.find(candidate => candidate.text.includes(symbol));
+    if (line) {
+      return { value: currency, confidence: round(line.confidence * weight) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick line items from the OCR lines. An item is a line of text followed by
+ * quantity, unit price and (optionally) line amount columns.
+ * @param {Array<Object>} lines - OCR lines
+ * @returns {Array<Object>} Items ({ description, quantity, unit_price, amount, confidence })
+ */
+const extractLineItems = (lines) => {
+  const headerIndex = lines.findIndex(line => ITEM_HEADER.test(line.text));
+  const items = [];
+
+  for (const line of lines.slice(headerIndex + 1)) {
+    if (NON_ITEM_LINE.test(line.text)) {
+      // The totals block ends the item table when a header row was found
+      if (headerIndex > -1 && TOTAL_LABEL.test(line.text)) break;
+      continue;
+    }
+
+    const numbers = [];
+    let index = line.words.length - 1;
+    while (index >= 0 && NUMBER_TOKEN.test(line.words[index].text) && numbers.length < 3) {
+      numbers.unshift(line.words[index]);
+      index--;
+    }
+
+    let descriptionWords = line.words.slice(0, index + 1);
+    // Drop a leading item number ("1", "2.", "3)")
+    if (descriptionWords.length > 1 && /^\d{1,3}[.)]?$/.test(descriptionWords[0].text)) {
+      descriptionWords = descriptionWords.slice(1);
+    }
+
+    if (numbers.length < 2 || !descriptionWords.some(word => /[A-Za-z]{2,}/.test(word.text))) {
+      continue;
+    }
+
+    const [quantityWord, priceWord, amountWord] = numbers;
+    const quantity = parseAmount(quantityWord.text);
+    const unitPrice = parseAmount(priceWord.text);
+    const amount = amountWord ? parseAmount(amountWord.text) : null;
+
+    // Columns that multiply out are far more likely to have been read correctly
+    let factor = 0.7;
+    if (amount !== null && quantity !== null && unitPrice !== null) {
+      factor = Math.abs(quantity * unitPrice - amount) <= 0.01 ? 1 : 0.6;
+    }
+
+    items.push({
+      description: descriptionWords.map(word => word.text).join(' '),
+      quantity,
+      unit_price: unitPrice,
+      amount,
+      confidence: {
+        description: round(mean(descriptionWords.map(word => word.confidence))),
+        quantity: round(quantityWord.confidence * factor),
+        unit_price: round(priceWord.confidence * factor)
+      }
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Extract invoice header fields and line items from OCR lines
+ * @param {Array<Object>} lines - OCR lines as returned by parseTsv
+ * @returns {Object} { supplier, invoice_date, total_amount, currency, lines, warnings }
+ */
+const extractInvoiceFields = (lines) => {
+  const supplier = extractSupplier(lines);
+  const invoiceDate = extractInvoiceDate(lines);
+  const total = extractTotal(lines);
+  const currency = extractCurrency(lines);
+  const items = extractLineItems(lines);
+  const warnings = [];
+
+  if (!supplier) warnings.push('Supplier could not be found');
+  if (!invoiceDate) warnings.push('Invoice date could not be found');
+  if (!currency) warnings.push(`Currency could not be found; ${BASE_CURRENCY} was assumed`);
+  if (items.length === 0) warnings.push('No line items could be found');
+
+  if (total && items.length > 0) {
+    const linesTotal = items.reduce((sum, item) => sum + (item.quantity || 0) * (item.unit_price || 0), 0);
+    if (Math.abs(linesTotal - total.value) > 0.01) {
+      total.confidence = round(total.confidence * 0.6);
+      warnings.push(`Printed total ${total.value.toFixed(2)} does not match the sum of the extracted lines ${linesTotal.toFixed(2)}`);
+    }
+  }
+
+  return {
+    supplier,
+    invoice_date: invoiceDate,
+    total_amount: total,
+    currency,
+    lines: items,
+    warnings
+  };
+};
+
+/**
+ * Run an OCR tool, translating a missing binary into a clear error
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {Promise<string>} stdout
+ */
+const runTool = async (command, args) => {
+  try {
+    const { stdout } = await execFileAsync(command, args, {
+      timeout: OCR_TIMEOUT_MS,
+      maxBuffer: 20 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw httpError(`OCR tool "${command}" is not installed on the server`, 503);
+    }
+    throw new Error(`OCR tool "${command}" failed: ${error.message}`);
+  }
+};
+
+/**
+ * Rasterize a PDF and run Tesseract on every page
+ * @param {Buffer} buffer - PDF content
+ * @returns {Promise<Object>} { pages, lines }
+ */
+const recognizePdf = async (buffer) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+
+  try {
+    const pdfPath = path.join(workDir, 'source.pdf');
+    await fs.writeFile(pdfPath, buffer);
+
+    await runTool(PDFTOPPM_PATH, ['-r', String(OCR_DPI), '-l', String(OCR_MAX_PAGES), '-png', pdfPath, path.join(workDir, 'page')]);
+
+    const images = (await fs.readdir(workDir))
+      .filter(name => name.startsWith('page') && name.endsWith('.png'))
+      .sort((a, b) => parseInt(a.replace(/\D/g, '')) - parseInt(b.replace(/\D/g, '')));
+
+    const lines = [];
+    for (let i = 0; i < images.length; i++) {
+      const tsv = await runTool(TESSERACT_PATH, [path.join(workDir, images[i]), 'stdout', '-l', OCR_LANGUAGE, '--psm', '4', 'tsv']);
+      lines.push(...parseTsv(tsv, i + 1));
+    }
+
+    return { pages: images.length, lines };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Create a Draft invoice from a scanned PDF invoice
+ * @param {number} userId - User ID
+ * @param {Object} params - Upload parameters
+ * @param {Object} params.file - Uploaded file payload ({ name, content } with base64 content)
+ * @returns {Promise<Object>} { invoice, lines, extraction }
+ */
+const createDraftFromPdf = async (userId, { file }) => {
+  if (!file || !file.name || !file.content) {
+    throw httpError('A file with name and base64 content is required', 422);
+  }
+
+  const buffer = Buffer.from(file.content, 'base64');
+  if (buffer.slice(0, 5).toString() !== '%PDF-') {
+    throw httpError('Uploaded file is not a PDF', 400);
+  }
+
+  const { pages, lines: ocrLines } = await recognizePdf(buffer);
+  if (ocrLines.length === 0) {
+    throw httpError('No text could be recognized in the uploaded PDF', 422);
+  }
+
+  const extracted = extractInvoiceFields(ocrLines);
+
+  // Run OCR lines through the regular line rules; unreadable values are left for the reviewer
+  const draftLines = [];
+  for (const item of extracted.lines) {
+    const { errors, line } = await validateInvoiceLine({
+      description: item.description,
+      quantity: item.quantity,
+      unit_price: item.unit_price
+    });
+    const failed = errors.map(err => err.field);
+    if (failed.includes('description')) continue;
+
+    const confidence = { ...item.confidence };
+    failed.forEach((field) => { confidence[field] = 0; });
+
+    draftLines.push({
+      description: line.description,
+      quantity: failed.includes('quantity') ? null : line.quantity,
+      unit_price: failed.includes('unit_price') ? null : line.unit_price,
+      field_confidence: confidence
+    });
+  }
+
+  const safeName = path.basename(file.name).replace(/[^\w.-]/g, '_');
+  const sourcePath = await documentService.storeDocument(buffer, `source_${userId}_${Date.now()}_${safeName}`, 'pdf');
+
+  const fieldConfidence = {};
+  ['supplier', 'invoice_date', 'total_amount', 'currency'].forEach((field) => {
+    fieldConfidence[field] = extracted[field] ? extracted[field].confidence : 0;
+  });
+
+  const result = await db.sequelize.transaction(async (transaction) => {
+    const invoice = await Invoice.create({
+      user_id: userId,
+      supplier: extracted.supplier ? extracted.supplier.value : null,
+      invoice_date: extracted.invoice_date ? extracted.invoice_date.value : null,
+      currency: extracted.currency ? extracted.currency.value : BASE_CURRENCY,
+      status: 'Draft',
+      total_amount: 0,
+      source_document_path: sourcePath,
+      source_document_name: path.basename(file.name),
+      extracted_data: {
+        method: 'ocr',
+        pages,
+        supplier: extracted.supplier ? extracted.supplier.value : null,
+        invoice_date: extracted.invoice_date ? extracted.invoice_date.value : null,
+        total_amount: extracted.total_amount ? extracted.total_amount.value : null,
+        currency: extracted.currency ? extracted.currency.value : null,
+        warnings: extracted.warnings
+      },
+      field_confidence: fieldConfidence
+    }, { transaction });
+
+    await invoiceStatusService.recordCreation(invoice, { actor: userId, reason: `Scanned from ${path.basename(file.name)}`, transaction });
+
+    const createdLines = await InvoiceLine.bulkCreate(
+      draftLines.map(line => ({ ...line, invoice_id: invoice.id })),
+      { transaction, returning: true }
+    );
+
+    await updateInvoiceTotal(invoice.id, transaction);
+    const duplicateWarning = await duplicateService.checkInvoice(invoice.id, { transaction });
+    await deniedPartyService.screenInvoice(invoice.id, { transaction });
+
+    return { invoice, createdLines, duplicateWarning };
+  });
+
+  await result.invoice.reload();
+
+  const lowConfidenceFields = Object.keys(fieldConfidence).filter(field => fieldConfidence[field] < LOW_CONFIDENCE_THRESHOLD);
+
+  logger.info('Draft invoice created from scanned PDF', {
+    userId,
+    invoiceId: result.invoice.id,
+    pages,
+    lines: result.createdLines.length,
+    lowConfidenceFields
+  });
+
+  return {
+    invoice: result.invoice,
+    lines: result.createdLines,
+    duplicateWarning: result.duplicateWarning,
+    extraction: {
+      pages,
+      warnings: extracted.warnings,
+      lowConfidenceThreshold: LOW_CONFIDENCE_THRESHOLD,
+      lowConfidenceFields
+    }
+  };
+};
+
+/**
+ * Get the original uploaded document of an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} userId - User ID (ownership check)
+ * @returns {Promise<Object>} { filePath, filename }
+ */
+const getSourceDocument = async (invoiceId, userId) => {
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, user_id: userId } });
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+  if (!invoice.source_document_path) {
+    throw httpError('Invoice has no source document', 404);
+  }
+
+  try {
+    await fs.access(invoice.source_document_path);
+  } catch (error) {
+    logger.error('Source document missing from storage', { invoiceId, path: invoice.source_document_path });
+    throw httpError('Source document file not found', 404);
+  }
+
+  return {
+    filePath: invoice.source_document_path,
+    filename: invoice.source_document_name || path.basename(invoice.source_document_path)
+  };
+};
+
+module.exports = {
+  LOW_CONFIDENCE_THRESHOLD,
+  parseTsv,
+  parseAmount,
+  parseDate,
+  extractInvoiceFields,
+  createDraftFromPdf,
+  getSourceDocument
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const winston = require('winston');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { Organization, User } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'organization-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/organizations.log' })
+  ]
+});
+
+/**
+ * List organizations with their members
+ * @returns {Promise<Array<Object>>} Organizations by name
+ */
+const listOrganizations = async () => Organization.findAll({
+  include: [{ model: User, as: 'users', attributes: ['id', 'email', 'full_name'] }],
+  order: [['name', 'ASC']]
+});
+
+/**
+ * Create an organization
+ * @param {string} name - Organization name (unique)
+ * @returns {Promise<Object>} Created organization
+ */
+const createOrganization = async (name) => {
+  const existing = await Organization.findOne({ where: { name } });
+  if (existing) {
+    throw httpError(`Organization "${name}" already exists`, 409);
+  }
+
+  const organization = await Organization.create({ name });
+  logger.info('Organization created', { organizationId: organization.id, name });
+  return organization;
+};
+
+/**
+ * Move a user into an organization, or out of any with null
+ * @param {number} userId - User ID
+ * @param {number|null} organizationId - Organization ID
+ * @returns {Promise<Object>} User id, email and organization_id
+ */
+const setUserOrganization = async (userId, organizationId) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'email', 'organization_id'] });
+  if (!user) {
+    throw httpError(`User with ID ${userId} not found`, 404);
+  }
+  if (organizationId && !(await Organization.findByPk(organizationId, { attributes: ['id'] }))) {
+    throw httpError(`Organization with ID ${organizationId} not found`, 404);
+  }
+
+  await user.update({ organization_id: organizationId || null });
+  logger.info('User organization changed', { userId, organizationId });
+  return user;
+};
+
+/**
+ * Organization of a user, whose settings apply to the user's invoices
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} Organization ID, or null
+ */
+const getUserOrganizationId = async (userId) => {
+  const user = await User.findByPk(userId, { attributes: ['id', 'organization_id'] });
+  return user ? user.organization_id : null;
+};
+
+module.exports = {
+  listOrganizations,
+  createOrganization,
+  setUserOrganization,
+  getUserOrganizationId
+};
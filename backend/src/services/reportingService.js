@@ -5,6 +5,7 @@ const { Op } = require('sequelize');
 const winston = require('winston');
 const ExcelJS = require('exceljs');
 const { Parser } = require('json2csv');
+const currencyService = require('./currencyService');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -22,12 +23,14 @@ const logger = winston.createLogger({
 
 /**
  * Generate import volume report
- * @param {Object} filters - Report filters (date range, etc.)
+ * Invoice values are aggregated from their base currency customs values; when another
+ * reporting currency is requested each month is converted at that month's closing rate.
+ * @param {Object} filters - Report filters (date range, reporting currency, etc.)
  * @returns {Promise<Object>} Report data
  */
 const generateVolumeReport = async (filters = {}) => {
   try {
-    const { startDate, endDate, userId } = filters;
+    const { startDate, endDate, userId, currency = currencyService.BASE_CURRENCY } = filters;
     
     // Build query conditions
     const whereConditions = {};
@@ -65,11 +68,12 @@ const generateVolumeReport = async (filters = {}) => {
     });
     
     // Get monthly breakdown
-    const monthlyData = await db.sequelize.query(`
+    const monthlyTotals = await db.sequelize.query(`
       SELECT 
         DATE_TRUNC('month', created_at) AS month,
         COUNT(*) AS invoice_count,
-        SUM(total_amount) AS total_value
+        SUM(total_amount_base) AS base_value,
+        COUNT(*) FILTER (WHERE total_amount_base IS NULL AND total_amount > 0) AS unconverted_count
       FROM 
         invoices
       WHERE
@@ -85,6 +89,25 @@ const generateVolumeReport = async (filters = {}) => {
       },
       type: db.sequelize.QueryTypes.SELECT
     });
+
+    const monthlyData = [];
+    for (const month of monthlyTotals) {
+      const monthEnd = new Date(month.month);
+      monthEnd.setMonth(monthEnd.getMonth() + 1, 0);
+      const { amount } = await currencyService.convertAmount(
+        month.base_value,
+        currencyService.BASE_CURRENCY,
+        currency,
+        monthEnd < new Date() ? monthEnd : new Date()
+      );
+
+      monthlyData.push({
+        month: month.month,
+        invoice_count: month.invoice_count,
+        total_value: amount,
+        unconverted_count: parseInt(month.unconverted_count)
+      });
+    }
     
     // Get status breakdown
     const statusBreakdown = await db.Invoice.findAll({
@@ -97,8 +120,12 @@ const generateVolumeReport = async (filters = {}) => {
     });
     
     return {
+      currency,
       totalInvoices,
       totalInvoiceLines,
+      totalValue: Math.round(monthlyData.reduce((sum, month) => sum + month.total_value, 0) * 100) / 100,
+      // Invoices without an exchange rate for their date are counted but not valued
+      unconvertedInvoices: monthlyData.reduce((sum, month) => sum + month.unconverted_count, 0),
       averageLinesPerInvoice: totalInvoices > 0 ? (totalInvoiceLines / totalInvoices).toFixed(2) : 0,
       monthlyData,
       statusBreakdown: statusBreakdown.map(item => ({
@@ -146,10 +173,12 @@ const generateAccuracyReport = async (filters = {}) => {
       }
     });
     
-    // Get auto-classified count
+    // Get auto-classified count (auto:<provider>, or plain auto for lines classified before providers were recorded)
     const autoClassified = await db.InvoiceLine.count({
       where: {
-        classification_method: 'auto',
+        classification_method: {
+          [Op.or]: ['auto', { [Op.like]: 'auto:%' }]
+        },
         hs_code: {
           [Op.not]: null
         }
@@ -329,6 +358,81 @@ const generateSavingsReport = async (filters = {}) => {
   }
 };
 
+/**
+ * Generate duty and tax report from the estimates stored on invoices (tariffService.estimateInvoiceDuties).
+ * Amounts are in the base currency; invoices never estimated are counted but not valued.
+ * @param {Object} filters - Report filters (date range, user)
+ * @returns {Promise<Object>} Report data
+ */
+const generateDutyReport = async (filters = {}) => {
+  try {
+    const { startDate, endDate, userId } = filters;
+
+    const amount = field => `COALESCE(SUM((duty_estimate->>'${field}')::numeric), 0)`;
+    const monthlyTotals = await db.sequelize.query(`
+      SELECT
+        DATE_TRUNC('month', created_at) AS month,
+        COUNT(*) AS invoice_count,
+        COUNT(duty_estimate) AS estimated_count,
+        COUNT(*) FILTER (WHERE (duty_estimate->>'lines_without_rate')::int > 0) AS incomplete_count,
+        ${amount('customs_value')} AS customs_value,
+        ${amount('duty')} AS duty,
+        ${amount('excise')} AS excise,
+        ${amount('environmental_levy')} AS environmental_levy,
+        ${amount('vat')} AS vat,
+        ${amount('total')} AS total
+      FROM
+        invoices
+      WHERE
+        created_at BETWEEN :startDate AND :endDate
+        ${userId ? 'AND user_id = :userId' : ''}
+      GROUP BY
+        DATE_TRUNC('month', created_at)
+      ORDER BY
+        month ASC
+    `, {
+      replacements: {
+        startDate: startDate || new Date(0),
+        endDate: endDate || new Date(),
+        userId: userId || null
+      },
+      type: db.sequelize.QueryTypes.SELECT
+    });
+
+    const monthlyData = monthlyTotals.map(month => ({
+      month: month.month,
+      invoice_count: parseInt(month.invoice_count),
+      estimated_count: parseInt(month.estimated_count),
+      incomplete_count: parseInt(month.incomplete_count),
+      customs_value: parseFloat(month.customs_value),
+      duty: parseFloat(month.duty),
+      excise: parseFloat(month.excise),
+      environmental_levy: parseFloat(month.environmental_levy),
+      vat: parseFloat(month.vat),
+      total: parseFloat(month.total)
+    }));
+
+    const sum = field => Math.round(monthlyData.reduce((total, month) => total + month[field], 0) * 100) / 100;
+    return {
+      currency: currencyService.BASE_CURRENCY,
+      totalInvoices: sum('invoice_count'),
+      estimatedInvoices: sum('estimated_count'),
+      // Estimated invoices with lines that had no tariff rate, so their amounts are too low
+      incompleteEstimates: sum('incomplete_count'),
+      totalCustomsValue: sum('customs_value'),
+      totalDuty: sum('duty'),
+      totalExcise: sum('excise'),
+      totalEnvironmentalLevy: sum('environmental_levy'),
+      totalVat: sum('vat'),
+      totalDutiesAndTaxes: sum('total'),
+      monthlyData
+    };
+  } catch (error) {
+    logger.error('Error generating duty report', { error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Export report data to CSV format
  * @param {Object} data - Report data
@@ -343,11 +447,12 @@ const exportToCSV = async (data, reportType) => {
     // Flatten and prepare data based on report type
     switch (reportType) {
       case 'volume':
-        fields = ['month', 'invoice_count', 'total_value'];
+        fields = ['month', 'invoice_count', 'total_value', 'currency'];
         flattenedData = data.monthlyData.map(item => ({
           month: new Date(item.month).toISOString().split('T')[0],
           invoice_count: item.invoice_count,
-          total_value: item.total_value
+          total_value: item.total_value,
+          currency: data.currency
         }));
         break;
         
@@ -367,6 +472,22 @@ const exportToCSV = async (data, reportType) => {
           total_savings: item.totalSavings
         }));
         break;
+
+      case 'duties':
+        fields = ['month', 'invoice_count', 'estimated_count', 'customs_value', 'duty', 'excise', 'environmental_levy', 'vat', 'total', 'currency'];
+        flattenedData = data.monthlyData.map(item => ({
+          month: new Date(item.month).toISOString().split('T')[0],
+          invoice_count: item.invoice_count,
+          estimated_count: item.estimated_count,
+          customs_value: item.customs_value,
+          duty: item.duty,
+          excise: item.excise,
+          environmental_levy: item.environmental_levy,
+          vat: item.vat,
+          total: item.total,
+          currency: data.currency
+        }));
+        break;
         
       default:
         throw new Error(`Unsupported report type: ${reportType}`);
@@ -401,6 +522,8 @@ const exportToExcel = async (data, reportType) => {
         summarySheet.addRow(['Total Invoices', data.totalInvoices]);
         summarySheet.addRow(['Total Invoice Lines', data.totalInvoiceLines]);
         summarySheet.addRow(['Average Lines Per Invoice', data.averageLinesPerInvoice]);
+        summarySheet.addRow([`Total Value (${data.currency})`, data.totalValue]);
+        summarySheet.addRow(['Invoices Without Exchange Rate', data.unconvertedInvoices]);
         
         // Add status breakdown
         summarySheet.addRow([]);
@@ -411,7 +534,7 @@ const exportToExcel = async (data, reportType) => {
         });
         
         // Add monthly data
-        worksheet.addRow(['Month', 'Invoice Count', 'Total Value']);
+        worksheet.addRow(['Month', 'Invoice Count', `Total Value (${data.currency})`]);
         data.monthlyData.forEach(item => {
           worksheet.addRow([
             new Date(item.month).toISOString().split('T')[0],
@@ -467,6 +590,36 @@ const exportToExcel = async (data, reportType) => {
           ]);
         });
         break;
+
+      case 'duties':
+        // Add summary sheet
+        const dutySummary = workbook.addWorksheet('Summary');
+        dutySummary.addRow(['Total Invoices', data.totalInvoices]);
+        dutySummary.addRow(['Estimated Invoices', data.estimatedInvoices]);
+        dutySummary.addRow(['Incomplete Estimates', data.incompleteEstimates]);
+        dutySummary.addRow([`Customs Value (${data.currency})`, data.totalCustomsValue]);
+        dutySummary.addRow([`Import Duty (${data.currency})`, data.totalDuty]);
+        dutySummary.addRow([`Excise (${data.currency})`, data.totalExcise]);
+        dutySummary.addRow([`Environmental Levy (${data.currency})`, data.totalEnvironmentalLevy]);
+        dutySummary.addRow([`VAT/ABST (${data.currency})`, data.totalVat]);
+        dutySummary.addRow([`Total Duties and Taxes (${data.currency})`, data.totalDutiesAndTaxes]);
+
+        // Add monthly data
+        worksheet.addRow(['Month', 'Invoices', 'Estimated', 'Customs Value', 'Duty', 'Excise', 'Environmental Levy', 'VAT/ABST', 'Total']);
+        data.monthlyData.forEach(item => {
+          worksheet.addRow([
+            new Date(item.month).toISOString().split('T')[0],
+            item.invoice_count,
+            item.estimated_count,
+            item.customs_value,
+            item.duty,
+            item.excise,
+            item.environmental_levy,
+            item.vat,
+            item.total
+          ]);
+        });
+        break;
         
       default:
         throw new Error(`Unsupported report type: ${reportType}`);
@@ -485,6 +638,7 @@ module.exports = {
   generateVolumeReport,
   generateAccuracyReport,
   generateSavingsReport,
+  generateDutyReport,
   exportToCSV,
   exportToExcel
 };
\ No newline at end of file
@@ -0,0 +1,411 @@
+'use strict';
+
+const winston = require('winston');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { RestrictionRule, Invoice, InvoiceLine } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'restriction-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/restrictions.log' })
+  ]
+});
+
+// licence: the line needs a permit reference before submission; prohibited: the line can never be submitted
+const RESTRICTIONS = ['licence', 'prohibited'];
+
+// Fields an admin may set on a rule
+const RULE_FIELDS = ['hs_from', 'hs_to', 'keywords', 'restriction', 'licence_type', 'authority', 'description', 'active'];
+
+// Invoices in these statuses can still receive permit references
+const PERMIT_STATUSES = ['Draft', 'Classified', 'InReview', 'Ready', 'Amended'];
+
+/**
+ * HS code or prefix as bare digits ('30.04' -> '3004')
+ * @param {string} value - HS code or prefix
+ * @returns {string} Digits, or '' when there are none
+ */
+const hsDigits = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Line description without the HTML escapes added by request sanitization, as it was entered
+ * @param {string} description - Description as stored
+ * @returns {string} Description as entered
+ */
+const unescapeDescription = (description) => String(description || '')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, "'")
+  .replace(/&#x2F;/g, '/')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&#96;/g, '`')
+  .replace(/&#x5C;/g, '\\')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Text in the form keywords are matched in: lower case words separated by single spaces
+ * @param {string} text - Description or keyword
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Whether an HS code falls in a rule's range. Both ends are compared on their own number of digits,
+ * so 3001 to 3006 covers 3004.90, and 9301 to 930320 covers 9302.00 but not 9303.90.
+ * @param {Object} rule - Restriction rule
+ * @param {string} hsCode - Line HS code
+ * @returns {boolean} True when the code is in range
+ */
+const hsInRange = (rule, hsCode) => {
+  const digits = hsDigits(hsCode);
+  const from = rule.hs_from;
+  const to = rule.hs_to || rule.hs_from;
+  if (digits.length < Math.max(from.length, to.length)) {
+    return false;
+  }
+  return digits.slice(0, from.length) >= from && digits.slice(0, to.length) <= to;
+};
+
+/**
+ * Why a line matches a rule
+ * @param {Object} rule - Restriction rule
+ * @param {Object} line - Invoice line (hs_code, description)
+ * @returns {string|null} Reason shown to the user, or null when the rule does not apply
+ */
+const matchRule = (rule, line) => {
+  const reasons = [];
+
+  if (rule.hs_from) {
+    if (!hsInRange(rule, line.hs_code)) {
+      return null;
+    }
+    const range = rule.hs_to && rule.hs_to !== rule.hs_from ? `${rule.hs_from}-${rule.hs_to}` : rule.hs_from;
+    reasons.push(`HS code ${line.hs_code} is under ${range}`);
+  }
+
+  const keywords = (rule.keywords || []).map(normalizeText).filter(Boolean);
+  if (keywords.length > 0) {
+    const description = ` ${normalizeText(unescapeDescription(line.description))} `;
+    const keyword = keywords.find(word => description.includes(` ${word} `));
+    if (!keyword) {
+      return null;
+    }
+    reasons.push(`description mentions '${keyword}'`);
+  }
+
+  // A rule without criteria would hit every line; prepareRule does not allow one
+  if (reasons.length === 0) {
+    return null;
+  }
+  const reason = reasons.join(' and ');
+  return reason.charAt(0).toUpperCase() + reason.slice(1);
+};
+
+/**
+ * Screen one line against the rules. Permit references attached at an earlier screening are kept for rules
+ * that still match.
+ * @param {Object} line - Invoice line (hs_code, description, restriction_hits)
+ * @param {Array<Object>} rules - Active restriction rules
+ * @returns {Array<Object>} Hits: { rule_id, restriction, licence_type, authority, reason, permit_reference }
+ */
+const screenLine = (line, rules) => {
+  const previous = new Map((line.restriction_hits || []).map(hit => [hit.rule_id, hit]));
+
+  return rules.reduce((hits, rule) => {
+    const reason = matchRule(rule, line);
+    if (reason) {
+      hits.push({
+        rule_id: rule.id,
+        restriction: rule.restriction,
+        licence_type: rule.licence_type || null,
+        authority: rule.authority || null,
+        reason,
+        permit_reference: previous.get(rule.id)?.permit_reference || null
+      });
+    }
+    return hits;
+  }, []);
+};
+
+/**
+ * Hits that stop the line from being submitted: prohibited goods, and licensed goods without a permit reference
+ * @param {Array<Object>} hits - Restriction hits of a line
+ * @returns {Array<Object>} Blocking hits
+ */
+const blockingHits = (hits) => (hits || []).filter(hit => hit.restriction === 'prohibited' || !hit.permit_reference);
+
+/**
+ * Load the active restriction rules
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Plain rule objects
+ */
+const loadRules = async ({ transaction } = {}) => {
+  return RestrictionRule.findAll({ where: { active: true }, order: [['id', 'ASC']], raw: true, transaction });
+};
+
+/**
+ * Screen lines and store their hits, writing only lines whose hits changed
+ * @param {Array<Object>} lines - InvoiceLine instances
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rules] - Rules from loadRules, to avoid reloading them
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Array<Object>>} The same lines with restriction_hits updated
+ */
+const screenLines = async (lines, { rules, transaction } = {}) => {
+  const activeRules = rules || await loadRules({ transaction });
+
+  for (const line of lines) {
+    const hits = screenLine(line, activeRules);
+    if (JSON.stringify(hits) !== JSON.stringify(line.restriction_hits || [])) {
+      await line.update({ restriction_hits: hits }, { transaction });
+      if (hits.length > 0) {
+        logger.info('Invoice line matches restriction rules', {
+          invoiceLineId: line.id,
+          ruleIds: hits.map(hit => hit.rule_id)
+        });
+      }
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Screen lines by ID, e.g. right after they were classified
+ * @param {Array<number>} lineIds - Invoice line IDs
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Screened lines
+ */
+const screenLineIds = async (lineIds, { transaction } = {}) => {
+  if (lineIds.length === 0) {
+    return [];
+  }
+  const lines = await InvoiceLine.findAll({ where: { id: lineIds }, transaction });
+  return screenLines(lines, { transaction });
+};
+
+/**
+ * Screen every line of an invoice against the current rules without storing the hits. Hits are stored when
+ * lines are written (screenLines), so reading them back never changes a submitted invoice.
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { blocked, lines } where lines are the lines with at least one hit
+ */
+const screenInvoice = async (invoiceId, { transaction } = {}) => {
+  const lines = await InvoiceLine.findAll({ where: { invoice_id: invoiceId }, order: [['id', 'ASC']], transaction });
+  const rules = await loadRules({ transaction });
+
+  const restricted = lines
+    .map(line => ({
+      id: line.id,
+      description: line.description,
+      hs_code: line.hs_code,
+      restriction_hits: screenLine(line, rules)
+    }))
+    .filter(line => line.restriction_hits.length > 0);
+
+  return {
+    blocked: restricted.some(line => blockingHits(line.restriction_hits).length > 0),
+    lines: restricted
+  };
+};
+
+/**
+ * Re-screen an invoice right before submission; rules may have changed since the lines were classified
+ * @param {number} invoiceId - Invoice ID
+ * @throws {Error} 409 when a line holds prohibited goods or lacks a required permit reference
+ */
+const assertNoBlockingRestrictions = async (invoiceId) => {
+  const { lines } = await screenInvoice(invoiceId);
+
+  const problems = [];
+  for (const line of lines) {
+    for (const hit of blockingHits(line.restriction_hits)) {
+      problems.push(hit.restriction === 'prohibited'
+        ? `line ${line.id} holds prohibited goods (${hit.reason})`
+        : `line ${line.id} needs a ${hit.licence_type || 'permit'} reference (${hit.reason})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    logger.warn('Submission blocked by restriction rules', { invoiceId, problems });
+    throw httpError(`Invoice ${invoiceId} cannot be submitted: ${problems.join('; ')}`, 409);
+  }
+};
+
+/**
+ * Attach the permit reference for a licence hit, or remove it with an empty reference
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} lineId - Invoice line ID
+ * @param {number} ruleId - Restriction rule the permit covers
+ * @param {string|null} permitReference - Licence or permit number
+ * @param {number} userId - Owner of the invoice
+ * @returns {Promise<Object>} Updated line
+ */
+const attachPermit = async (invoiceId, lineId, ruleId, permitReference, userId) => {
+  const invoice = await Invoice.findOne({ where: { id: invoiceId, user_id: userId }, attributes: ['id', 'status'] });
+  if (!invoice) {
+    throw httpError('Invoice not found', 404);
+  }
+  if (!PERMIT_STATUSES.includes(invoice.status)) {
+    throw httpError(`Invoice ${invoiceId} is '${invoice.status}' and its permits can no longer be changed`, 409);
+  }
+
+  const line = await InvoiceLine.findOne({ where: { id: lineId, invoice_id: invoiceId } });
+  if (!line) {
+    throw httpError('Invoice line not found', 404);
+  }
+
+  const hits = line.restriction_hits || [];
+  const hit = hits.find(entry => entry.rule_id === ruleId);
+  if (!hit) {
+    throw httpError(`Invoice line ${lineId} does not match restriction rule ${ruleId}`, 404);
+  }
+  if (hit.restriction === 'prohibited') {
+    throw httpError(`Invoice line ${lineId} holds prohibited goods; a permit cannot clear it`, 409);
+  }
+
+  const reference = permitReference ? String(permitReference).trim() : null;
+  await line.update({
+    restriction_hits: hits.map(entry => (entry.rule_id === ruleId ? { ...entry, permit_reference: reference || null } : entry))
+  });
+
+  logger.info(reference ? 'Permit reference attached' : 'Permit reference removed', { invoiceId, lineId, ruleId, userId });
+  return line;
+};
+
+/**
+ * Check and clean rule fields from an admin
+ * @param {Object} data - Rule fields
+ * @returns {Object} Fields to store
+ */
+const prepareRule = (data) => {
+  const fields = {};
+  for (const field of RULE_FIELDS.filter(name => data[name] !== undefined)) {
+    fields[field] = data[field];
+  }
+
+  for (const field of ['hs_from', 'hs_to']) {
+    if (fields[field] !== undefined) {
+      fields[field] = hsDigits(fields[field]) || null;
+    }
+  }
+  if (fields.keywords !== undefined) {
+    fields.keywords = [...new Set((fields.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean))];
+  }
+  if (fields.restriction !== undefined && !RESTRICTIONS.includes(fields.restriction)) {
+    throw httpError(`Restriction must be one of: ${RESTRICTIONS.join(', ')}`, 422);
+  }
+
+  return fields;
+};
+
+/**
+ * Reject a rule that would match every line or has an inverted HS range
+ * @param {Object} rule - Rule fields after the change
+ */
+const assertCriteria = (rule) => {
+  if (!rule.hs_from && rule.hs_to) {
+    throw httpError('An HS range needs a start (hs_from)', 422);
+  }
+  if (!rule.hs_from && (!rule.keywords || rule.keywords.length === 0)) {
+    throw httpError('A restriction rule needs an HS range, keywords or both', 422);
+  }
+  if (rule.hs_from && rule.hs_to) {
+    const length = Math.min(rule.hs_from.length, rule.hs_to.length);
+    if (rule.hs_from.slice(0, length) > rule.hs_to.slice(0, length)) {
+      throw httpError('HS range start must not be after its end', 422);
+    }
+  }
+};
+
+/**
+ * List restriction rules
+ * @returns {Promise<Array<Object>>} Rules ordered by HS range, keyword-only rules last
+ */
+const listRules = async () => {
+  return RestrictionRule.findAll({ order: [['hs_from', 'ASC NULLS LAST'], ['id', 'ASC']] });
+};
+
+/**
+ * Create a restriction rule. Lines are screened against it the next time they are classified or submitted.
+ * @param {Object} data - Rule fields
+ * @param {number} userId - Admin creating the rule
+ * @returns {Promise<Object>} Created rule
+ */
+const createRule = async (data, userId) => {
+  const fields = prepareRule(data);
+  assertCriteria(fields);
+
+  const rule = await RestrictionRule.create({ ...fields, created_by: userId });
+  logger.info('Restriction rule created', { ruleId: rule.id, userId, ...fields });
+  return rule;
+};
+
+/**
+ * Update a restriction rule
+ * @param {number} id - Rule ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - Admin making the change
+ * @returns {Promise<Object>} Updated rule
+ */
+const updateRule = async (id, data, userId) => {
+  const rule = await RestrictionRule.findByPk(id);
+  if (!rule) {
+    throw httpError(`Restriction rule with ID ${id} not found`, 404);
+  }
+
+  const fields = prepareRule(data);
+  assertCriteria({ ...rule.get({ plain: true }), ...fields });
+
+  await rule.update(fields);
+  logger.info('Restriction rule updated', { ruleId: rule.id, userId, ...fields });
+  return rule;
+};
+
+/**
+ * Delete a restriction rule. Its hits drop off lines when they are next screened.
+ * @param {number} id - Rule ID
+ * @param {number} userId - Admin deleting the rule
+ */
+const deleteRule = async (id, userId) => {
+  const rule = await RestrictionRule.findByPk(id);
+  if (!rule) {
+    throw httpError(`Restriction rule with ID ${id} not found`, 404);
+  }
+
+  await rule.destroy();
+  logger.info('Restriction rule deleted', { ruleId: id, userId });
+};
+
+module.exports = {
+  RESTRICTIONS,
+  matchRule,
+  screenLine,
+  blockingHits,
+  loadRules,
+  screenLines,
+  screenLineIds,
+  screenInvoice,
+  assertNoBlockingRestrictions,
+  attachPermit,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,407 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { InvoiceLine, User, Role, ReviewerProfile } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'review-assignment-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/review-assignment.log' })
+  ]
+});
+
+// round_robin: reviewers take turns; expertise: reviewers of the line's HS chapter first, the least loaded of them;
+// manual: nothing is assigned, reviewers claim items from the unassigned view
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'expertise', 'manual'];
+const REVIEW_ASSIGNMENT_STRATEGY = ASSIGNMENT_STRATEGIES.includes(process.env.REVIEW_ASSIGNMENT_STRATEGY)
+  ? process.env.REVIEW_ASSIGNMENT_STRATEGY
+  : 'round_robin';
+
+// Open items a reviewer is assigned before automatic assignment passes them over
+const REVIEW_MAX_OPEN_ITEMS = parseInt(process.env.REVIEW_MAX_OPEN_ITEMS) || 25;
+
+// Assigned or claimed items not reviewed within this time go back to the unassigned pool (0 keeps them)
+const REVIEW_CLAIM_TIMEOUT_MINUTES = Number.isNaN(parseInt(process.env.REVIEW_CLAIM_TIMEOUT_MINUTES))
+  ? 120
+  : parseInt(process.env.REVIEW_CLAIM_TIMEOUT_MINUTES);
+
+// How often expired claims are released and unassigned items handed out (0 turns it off)
+const REVIEW_ASSIGNMENT_INTERVAL_MS = Number.isNaN(parseInt(process.env.REVIEW_ASSIGNMENT_INTERVAL_MS))
+  ? 60000
+  : parseInt(process.env.REVIEW_ASSIGNMENT_INTERVAL_MS);
+
+// Unassigned items handed out per run, oldest first
+const ASSIGNMENT_BATCH_SIZE = 500;
+
+let assignmentTimer = null;
+let assigning = false;
+
+/**
+ * Two-digit HS chapter of a code
+ * @param {string} hsCode - HS code in any format
+ * @returns {string|null} Chapter, or null without a code
+ */
+const hsChapter = (hsCode) => {
+  const digits = String(hsCode || '').replace(/\D/g, '');
+  return digits.length >= 2 ? digits.slice(0, 2) : null;
+};
+
+/**
+ * Clean a list of chapters: two digits each, without duplicates, in order
+ * @param {Array<string|number>} chapters - Chapters as entered, e.g. [61, "8"]
+ * @returns {Array<string>} Chapters such as ["08", "61"]
+ */
+const normalizeChapters = (chapters) => [...new Set((chapters || [])
+  .map(chapter => String(chapter).trim().padStart(2, '0')))]
+  .sort();
+
+/**
+ * Users holding a reviewer role (e.g. Reviewer or Tariff Reviewer), with their profile
+ * @param {Object} [where] - Further conditions on the user
+ * @returns {Promise<Array<Object>>} Users
+ */
+const findReviewerUsers = (where = {}) => User.findAll({
+  where,
+  attributes: ['id', 'full_name', 'email'],
+  include: [
+    {
+      model: Role,
+      as: 'roles',
+      attributes: [],
+      through: { attributes: [] },
+      where: { name: { [Op.iLike]: '%reviewer%' } }
+    },
+    {
+      model: ReviewerProfile,
+      as: 'reviewer_profile',
+      required: false
+    }
+  ],
+  order: [['id', 'ASC']]
+});
+
+/**
+ * Flagged items currently assigned to each reviewer
+ * @returns {Promise<Map<number, Object>>} User ID to { open, claimed }
+ */
+const countOpenItems = async () => {
+  const rows = await InvoiceLine.findAll({
+    where: { flagged: true, assigned_to: { [Op.ne]: null } },
+    attributes: [
+      'assigned_to',
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'open'],
+      [db.sequelize.fn('COUNT', db.sequelize.col('claimed_at')), 'claimed']
+    ],
+    group: ['assigned_to'],
+    raw: true
+  });
+  return new Map(rows.map(row => [row.assigned_to, { open: Number(row.open), claimed: Number(row.claimed) }]));
+};
+
+/**
+ * Pick the reviewer for a line. Reviewers at REVIEW_MAX_OPEN_ITEMS are passed over.
+ * @param {Array<Object>} reviewers - { id, hs_chapters, open, turn }, where turn orders the round robin
+ * @param {string} hsCode - Current code of the line
+ * @param {string} [strategy] - round_robin or expertise
+ * @returns {Object|null} Reviewer, or null when everyone is at capacity
+ */
+const pickReviewer = (reviewers, hsCode, strategy = REVIEW_ASSIGNMENT_STRATEGY) => {
+  let pool = reviewers.filter(reviewer => reviewer.open < REVIEW_MAX_OPEN_ITEMS);
+  if (pool.length === 0) return null;
+
+  const byTurn = (a, b) => a.turn - b.turn || a.id - b.id;
+  if (strategy !== 'expertise') {
+    return [...pool].sort(byTurn)[0];
+  }
+
+  // Reviewers of the chapter when any has room, otherwise anyone; the least loaded first
+  const chapter = hsChapter(hsCode);
+  const experts = chapter ? pool.filter(reviewer => reviewer.hs_chapters.includes(chapter)) : [];
+  if (experts.length > 0) pool = experts;
+  return [...pool].sort((a, b) => a.open - b.open || byTurn(a, b))[0];
+};
+
+/**
+ * Return assigned and claimed items not reviewed within REVIEW_CLAIM_TIMEOUT_MINUTES to the unassigned pool
+ * @returns {Promise<number>} Items released
+ */
+const releaseExpiredAssignments = async () => {
+  if (REVIEW_CLAIM_TIMEOUT_MINUTES <= 0) return 0;
+
+  const cutoff = new Date(Date.now() - REVIEW_CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  const [released] = await InvoiceLine.update(
+    { assigned_to: null, assigned_at: null, claimed_at: null },
+    { where: { flagged: true, assigned_to: { [Op.ne]: null }, assigned_at: { [Op.lt]: cutoff } } }
+  );
+
+  if (released > 0) {
+    logger.info('Released expired review assignments', { released, timeoutMinutes: REVIEW_CLAIM_TIMEOUT_MINUTES });
+  }
+  return released;
+};
+
+/**
+ * Release expired assignments, then hand out unassigned flagged items, oldest first, to available reviewers
+ * with REVIEW_ASSIGNMENT_STRATEGY
+ * @returns {Promise<Object>} { released, assigned, unassigned } where unassigned counts items left in the pool
+ *   of this batch because every reviewer was at capacity
+ */
+const assignPendingItems = async () => {
+  const released = await releaseExpiredAssignments();
+  if (REVIEW_ASSIGNMENT_STRATEGY === 'manual') {
+    return { released, assigned: 0, unassigned: 0 };
+  }
+
+  const users = await findReviewerUsers();
+  const openItems = await countOpenItems();
+  const reviewers = users
+    .filter(user => !user.reviewer_profile || user.reviewer_profile.available)
+    .map(user => ({
+      id: user.id,
+      hs_chapters: user.reviewer_profile ? user.reviewer_profile.hs_chapters : [],
+      open: (openItems.get(user.id) || { open: 0 }).open,
+      turn: user.reviewer_profile && user.reviewer_profile.last_assigned_at
+        ? new Date(user.reviewer_profile.last_assigned_at).getTime()
+        : 0
+    }));
+  if (reviewers.length === 0) {
+    return { released, assigned: 0, unassigned: 0 };
+  }
+
+  const lines = await InvoiceLine.findAll({
+    where: { flagged: true, assigned_to: null },
+    attributes: ['id', 'hs_code'],
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    limit: ASSIGNMENT_BATCH_SIZE
+  });
+
+  const now = new Date();
+  const assignments = new Map();
+  let unassigned = 0;
+  lines.forEach((line, index) => {
+    const reviewer = pickReviewer(reviewers, line.hs_code);
+    if (!reviewer) {
+      unassigned += 1;
+      return;
+    }
+    reviewer.open += 1;
+    reviewer.turn = now.getTime() + index + 1;
+    assignments.set(reviewer.id, [...(assignments.get(reviewer.id) || []), line.id]);
+  });
+
+  let assigned = 0;
+  for (const [userId, lineIds] of assignments) {
+    // Items claimed since they were read stay with the reviewer who claimed them
+    const [count] = await InvoiceLine.update(
+      { assigned_to: userId, assigned_at: now, claimed_at: null },
+      { where: { id: lineIds, flagged: true, assigned_to: null } }
+    );
+    assigned += count;
+    await ReviewerProfile.upsert({ user_id: userId, last_assigned_at: now });
+  }
+
+  if (assigned > 0 || unassigned > 0) {
+    logger.info('Assigned flagged items to reviewers', {
+      strategy: REVIEW_ASSIGNMENT_STRATEGY,
+      assigned,
+      unassigned,
+      reviewers: assignments.size
+    });
+  }
+  return { released, assigned, unassigned };
+};
+
+/**
+ * Run assignPendingItems every REVIEW_ASSIGNMENT_INTERVAL_MS.
+ * Does nothing when the interval is 0.
+ */
+const startAssignment = () => {
+  if (assignmentTimer || REVIEW_ASSIGNMENT_INTERVAL_MS <= 0) {
+    return;
+  }
+
+  assignmentTimer = setInterval(async () => {
+    if (assigning) return;
+    assigning = true;
+    try {
+      await assignPendingItems();
+    } catch (error) {
+      logger.error('Error assigning flagged items', { error: error.message });
+    } finally {
+      assigning = false;
+    }
+  }, REVIEW_ASSIGNMENT_INTERVAL_MS);
+  assignmentTimer.unref();
+
+  logger.info('Review assignment started', {
+    strategy: REVIEW_ASSIGNMENT_STRATEGY,
+    intervalMs: REVIEW_ASSIGNMENT_INTERVAL_MS
+  });
+};
+
+/**
+ * Assignment fields of an item, as returned by claim and release
+ * @param {Object} line - Invoice line
+ * @returns {Object} { id, assigned_to, assigned_at, claimed_at }
+ */
+const toAssignment = (line) => ({
+  id: line.id,
+  assigned_to: line.assigned_to,
+  assigned_at: line.assigned_at,
+  claimed_at: line.claimed_at
+});
+
+/**
+ * Claim a flagged item so no other reviewer works on it. Claiming an item again restarts its timeout.
+ * @param {number} id - Invoice line ID
+ * @param {number} userId - Reviewer claiming the item
+ * @returns {Promise<Object>} Assignment
+ * @throws {Error} 404 when the item is not flagged, 409 when another reviewer has it
+ */
+const claimItem = async (id, userId) => {
+  const line = await InvoiceLine.findOne({ where: { id, flagged: true }, attributes: ['id', 'assigned_to'] });
+  if (!line) {
+    throw httpError(`Flagged item with ID ${id} not found`, 404);
+  }
+  if (line.assigned_to && line.assigned_to !== userId) {
+    throw httpError(`Flagged item with ID ${id} is assigned to another reviewer`, 409);
+  }
+
+  // Conditional, so two reviewers claiming at once cannot both get the item
+  const now = new Date();
+  const [claimed] = await InvoiceLine.update(
+    { assigned_to: userId, assigned_at: now, claimed_at: now },
+    { where: { id, flagged: true, [Op.or]: [{ assigned_to: null }, { assigned_to: userId }] } }
+  );
+  if (claimed === 0) {
+    throw httpError(`Flagged item with ID ${id} is assigned to another reviewer`, 409);
+  }
+
+  logger.info('Flagged item claimed', { id, userId });
+  return toAssignment({ id, assigned_to: userId, assigned_at: now, claimed_at: now });
+};
+
+/**
+ * Give a flagged item back to the unassigned pool
+ * @param {number} id - Invoice line ID
+ * @param {number} userId - Reviewer the item is assigned to
+ * @returns {Promise<Object>} Assignment
+ * @throws {Error} 404 when the item is not flagged, 409 when it is not assigned to the reviewer
+ */
+const releaseItem = async (id, userId) => {
+  const [released] = await InvoiceLine.update(
+    { assigned_to: null, assigned_at: null, claimed_at: null },
+    { where: { id, flagged: true, assigned_to: userId } }
+  );
+  if (released === 0) {
+    const exists = await InvoiceLine.count({ where: { id, flagged: true } });
+    if (!exists) {
+      throw httpError(`Flagged item with ID ${id} not found`, 404);
+    }
+    throw httpError(`Flagged item with ID ${id} is not assigned to you`, 409);
+  }
+
+  logger.info('Flagged item released', { id, userId });
+  return toAssignment({ id, assigned_to: null, assigned_at: null, claimed_at: null });
+};
+
+/**
+ * Assign flagged items to a reviewer, or back to the unassigned pool, whoever holds them now.
+ * Items no longer flagged are skipped.
+ * @param {Array<number>} itemIds - Invoice line IDs
+ * @param {number|null} userId - Reviewer to assign, or null to unassign
+ * @param {number} adminId - Admin making the change
+ * @returns {Promise<Object>} { reassigned } items changed
+ * @throws {Error} 422 when the user is not a reviewer
+ */
+const reassignItems = async (itemIds, userId, adminId) => {
+  if (userId) {
+    const [reviewer] = await findReviewerUsers({ id: userId });
+    if (!reviewer) {
+      throw httpError(`User with ID ${userId} is not a reviewer`, 422);
+    }
+  }
+
+  const [reassigned] = await InvoiceLine.update(
+    userId
+      ? { assigned_to: userId, assigned_at: new Date(), claimed_at: null }
+      : { assigned_to: null, assigned_at: null, claimed_at: null },
+    { where: { id: itemIds, flagged: true } }
+  );
+
+  logger.info('Flagged items reassigned', { items: itemIds.length, reassigned, userId, adminId });
+  return { reassigned };
+};
+
+/**
+ * Reviewers with their expertise, availability and current workload
+ * @returns {Promise<Array<Object>>} { user_id, full_name, email, hs_chapters, available, last_assigned_at, open_items, claimed_items }
+ */
+const listReviewers = async () => {
+  const users = await findReviewerUsers();
+  const openItems = await countOpenItems();
+
+  return users.map((user) => {
+    const profile = user.reviewer_profile;
+    const workload = openItems.get(user.id) || { open: 0, claimed: 0 };
+    return {
+      user_id: user.id,
+      full_name: user.full_name,
+      email: user.email,
+      hs_chapters: profile ? profile.hs_chapters : [],
+      available: profile ? profile.available : true,
+      last_assigned_at: profile ? profile.last_assigned_at : null,
+      open_items: workload.open,
+      claimed_items: workload.claimed
+    };
+  });
+};
+
+/**
+ * Set a reviewer's HS chapters or availability
+ * @param {number} userId - Reviewer
+ * @param {Object} data - { hs_chapters?, available? }
+ * @returns {Promise<Object>} Profile
+ * @throws {Error} 404 when the user is not a reviewer
+ */
+const updateReviewerProfile = async (userId, data) => {
+  const [reviewer] = await findReviewerUsers({ id: userId });
+  if (!reviewer) {
+    throw httpError(`Reviewer with ID ${userId} not found`, 404);
+  }
+
+  const fields = { user_id: userId };
+  if (data.hs_chapters !== undefined) {
+    fields.hs_chapters = normalizeChapters(data.hs_chapters);
+  }
+  if (data.available !== undefined) {
+    fields.available = data.available;
+  }
+
+  const [profile] = await ReviewerProfile.upsert(fields, { returning: true });
+  logger.info('Reviewer profile updated', { userId, hsChapters: profile.hs_chapters, available: profile.available });
+  return profile;
+};
+
+module.exports = {
+  hsChapter,
+  pickReviewer,
+  releaseExpiredAssignments,
+  assignPendingItems,
+  startAssignment,
+  claimItem,
+  releaseItem,
+  reassignItems,
+  listReviewers,
+  updateReviewerProfile
+};
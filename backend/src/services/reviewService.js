@@ -2,8 +2,14 @@
 
 const winston = require('winston');
 const db = require('../models');
-const { InvoiceLine, Invoice, ClassificationHistory, User, Notification } = db;
+const { InvoiceLine, Invoice, ClassificationHistory, ClassificationDetail, User, Notification } = db;
 const { Op } = require('sequelize');
+const hsNomenclatureService = require('./hsNomenclatureService');
+const classificationMemoryService = require('./classificationMemoryService');
+const restrictionService = require('./restrictionService');
+const rulingService = require('./rulingService');
+const tariffService = require('./tariffService');
+const { httpError } = require('../utils/httpError');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -19,6 +25,17 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Reject a review of an item another reviewer has been assigned or has claimed
+ * @param {Object} invoiceLine - Flagged invoice line
+ * @param {number} userId - Reviewer acting on it
+ */
+const assertAssignedToReviewer = (invoiceLine, userId) => {
+  if (invoiceLine.assigned_to && invoiceLine.assigned_to !== userId) {
+    throw httpError(`Flagged item with ID ${invoiceLine.id} is assigned to another reviewer`, 409);
+  }
+};
+
 /**
  * Get all flagged invoice lines that need review
  * @param {Object} options - Query options
@@ -26,26 +43,37 @@ const logger = winston.createLogger({
  * @param {number} options.offset - Offset for pagination
  * @param {string} options.sortBy - Field to sort by
  * @param {string} options.sortOrder - Sort order (asc/desc)
- * @returns {Promise<Object>} Flagged items with pagination info
+ * @param {number|null} [options.assignedTo] - Only items assigned to this reviewer, or with null only unassigned
+ *   items; every flagged item when left out
+ * @returns {Promise<Object>} Flagged items, with their assignee, and pagination info
  */
 const getFlaggedItems = async (options = {}) => {
   const {
     limit = 10,
     offset = 0,
     sortBy = 'created_at',
-    sortOrder = 'desc'
+    sortOrder = 'desc',
+    assignedTo
   } = options;
 
+  const where = { flagged: true };
+  if (assignedTo !== undefined) {
+    where.assigned_to = assignedTo;
+  }
+
   try {
     const { count, rows } = await InvoiceLine.findAndCountAll({
-      where: {
-        flagged: true
-      },
+      where,
       include: [
         {
           model: Invoice,
           as: 'invoice',
           attributes: ['id', 'supplier', 'invoice_date', 'status']
+        },
+        {
+          model: User,
+          as: 'assignee',
+          attributes: ['id', 'full_name', 'email']
         }
       ],
       order: [[sortBy, sortOrder]],
@@ -55,6 +83,7 @@ const getFlaggedItems = async (options = {}) => {
 
     logger.info('Retrieved flagged items for review', {
       count,
+      assignedTo,
       limit,
       offset
     });
@@ -81,7 +110,8 @@ const getFlaggedItems = async (options = {}) => {
 /**
  * Get a specific flagged invoice line by ID
  * @param {number} id - Invoice line ID
- * @returns {Promise<Object>} Invoice line with related data
+ * @returns {Promise<Object>} Invoice line with related data, classification_detail (rationale and alternative codes),
+ *   memory_suggestion (past reviewer decision, or null) and rulings (valid binding rulings covering the product)
  */
 const getFlaggedItemById = async (id) => {
   try {
@@ -96,6 +126,11 @@ const getFlaggedItemById = async (id) => {
           as: 'invoice',
           attributes: ['id', 'supplier', 'invoice_date', 'status', 'user_id']
         },
+        {
+          model: User,
+          as: 'assignee',
+          attributes: ['id', 'full_name', 'email']
+        },
         {
           model: ClassificationHistory,
           as: 'classification_history',
@@ -106,6 +141,10 @@ const getFlaggedItemById = async (id) => {
               attributes: ['id', 'full_name', 'email']
             }
           ]
+        },
+        {
+          model: ClassificationDetail,
+          as: 'classification_detail'
         }
       ]
     });
@@ -114,8 +153,17 @@ const getFlaggedItemById = async (id) => {
       throw new Error(`Flagged item with ID ${id} not found`);
     }
 
+    // What reviewers decided for this product before, so the reviewer can see where a suggestion came from
+    const memorySuggestion = await classificationMemoryService.findSuggestion({
+      supplier: invoiceLine.invoice && invoiceLine.invoice.supplier,
+      description: invoiceLine.description,
+      sku: invoiceLine.sku
+    });
+
+    const rulings = await rulingService.findRulingsForLine(id);
+
     logger.info('Retrieved flagged item by ID', { id });
-    return invoiceLine;
+    return { ...invoiceLine.toJSON(), memory_suggestion: memorySuggestion, rulings };
   } catch (error) {
     logger.error('Error retrieving flagged item by ID', {
       id,
@@ -132,6 +180,7 @@ const getFlaggedItemById = async (id) => {
  * @param {number} userId - User ID who approved
  * @param {string} comment - Optional comment for the approval
  * @returns {Promise<Object>} Updated invoice line
+ * @throws {Error} 409 when the item is assigned to another reviewer
  */
 const approveHsCode = async (id, userId, comment = '') => {
   const transaction = await db.sequelize.transaction();
@@ -149,10 +198,14 @@ const approveHsCode = async (id, userId, comment = '') => {
       await transaction.rollback();
       throw new Error(`Invoice line with ID ${id} is not flagged for review`);
     }
+    assertAssignedToReviewer(invoiceLine, userId);
 
-    // Update the invoice line to unflag it
+    // Update the invoice line to unflag it; the review is done, so is the assignment
     await invoiceLine.update({
-      flagged: false
+      flagged: false,
+      assigned_to: null,
+      assigned_at: null,
+      claimed_at: null
     }, { transaction });
 
     // Create a history record
@@ -167,6 +220,20 @@ const approveHsCode = async (id, userId, comment = '') => {
 
     // Get the invoice to notify the owner
     const invoice = await Invoice.findByPk(invoiceLine.invoice_id, { transaction });
+    if (previousHsCode !== newHsCode) {
+      await tariffService.refreshStoredEstimates([invoiceLine.invoice_id], { transaction });
+    }
+
+    // Approving confirms the code for the next invoice with this product
+    await classificationMemoryService.recordDecision({
+      supplier: invoice && invoice.supplier,
+      description: invoiceLine.description,
+      sku: invoiceLine.sku,
+      hsCode: invoiceLine.hs_code,
+      source: 'approved',
+      invoiceLineId: id,
+      userId
+    }, { transaction });
     
     // Create notification for the invoice owner
     if (invoice && invoice.user_id) {
@@ -220,12 +287,18 @@ const approveHsCode = async (id, userId, comment = '') => {
 /**
  * Adjust HS code for a flagged invoice line
  * @param {number} id - Invoice line ID
- * @param {string} newHsCode - New HS code
+ * @param {string} hsCode - New HS code; must be in the nomenclature (422 otherwise)
  * @param {number} userId - User ID who made the adjustment
  * @param {string} comment - Comment explaining the adjustment
- * @returns {Promise<Object>} Updated invoice line
+ * @returns {Promise<Object>} Updated invoice line, history, and ruling_conflicts: valid binding rulings for the
+ *   product whose code the new one contradicts. The adjustment is made regardless; the conflict is recorded
+ *   in the history comment.
+ * @throws {Error} 409 when the item is assigned to another reviewer
  */
-const adjustHsCode = async (id, newHsCode, userId, comment = '') => {
+const adjustHsCode = async (id, hsCode, userId, comment = '') => {
+  // Only codes in the nomenclature are accepted, stored in normalized form
+  const { code: newHsCode } = await hsNomenclatureService.validateHsCode(hsCode);
+  const rulingConflicts = rulingService.findConflicts(await rulingService.findRulingsForLine(id), newHsCode);
   const transaction = await db.sequelize.transaction();
 
   try {
@@ -235,28 +308,47 @@ const adjustHsCode = async (id, newHsCode, userId, comment = '') => {
       await transaction.rollback();
       throw new Error(`Invoice line with ID ${id} not found`);
     }
+    assertAssignedToReviewer(invoiceLine, userId);
 
     const previousHsCode = invoiceLine.hs_code;
 
-    // Update the invoice line with new HS code and unflag it
+    // Update the invoice line with new HS code and unflag it, ending its assignment
     await invoiceLine.update({
       hs_code: newHsCode,
       flagged: false,
-      classification_method: 'manual'
+      classification_method: 'manual',
+      assigned_to: null,
+      assigned_at: null,
+      claimed_at: null
     }, { transaction });
+    await restrictionService.screenLines([invoiceLine], { transaction });
 
-    // Create a history record
+    // Create a history record, noting any ruling the reviewer went against
+    const conflictNote = rulingConflicts.length > 0
+      ? ` [contradicts binding ruling ${rulingConflicts.map(match => `${match.ruling_number} (${match.hs_code})`).join(', ')}]`
+      : '';
     const history = await ClassificationHistory.create({
       invoice_line_id: id,
       previous_hs_code: previousHsCode,
       new_hs_code: newHsCode,
       changed_by: userId,
       changed_at: new Date(),
-      comment: comment || `Adjusted HS code from ${previousHsCode} to ${newHsCode}`
+      comment: (comment || `Adjusted HS code from ${previousHsCode} to ${newHsCode}`) + conflictNote
     }, { transaction });
 
     // Get the invoice to notify the owner
     const invoice = await Invoice.findByPk(invoiceLine.invoice_id, { transaction });
+
+    // Remember the correction so the same product is not misclassified again
+    await classificationMemoryService.recordDecision({
+      supplier: invoice && invoice.supplier,
+      description: invoiceLine.description,
+      sku: invoiceLine.sku,
+      hsCode: newHsCode,
+      source: 'adjusted',
+      invoiceLineId: id,
+      userId
+    }, { transaction });
     
     // Create notification for the invoice owner
     if (invoice && invoice.user_id) {
@@ -276,6 +368,14 @@ const adjustHsCode = async (id, newHsCode, userId, comment = '') => {
       previousHsCode,
       newHsCode
     });
+    if (rulingConflicts.length > 0) {
+      logger.warn('Adjusted HS code contradicts a binding ruling', {
+        id,
+        userId,
+        newHsCode,
+        rulings: rulingConflicts.map(match => match.ruling_number)
+      });
+    }
 
     // Return the updated invoice line with history
     return {
@@ -294,7 +394,8 @@ const adjustHsCode = async (id, newHsCode, userId, comment = '') => {
           }
         ]
       }),
-      history
+      history,
+      ruling_conflicts: rulingConflicts
     };
   } catch (error) {
     await transaction.rollback();
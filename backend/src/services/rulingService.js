@@ -0,0 +1,435 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { BindingRuling, Organization, InvoiceLine, Invoice, User } = db;
+const documentService = require('./documentService');
+const attachmentService = require('./attachmentService');
+const hsNomenclatureService = require('./hsNomenclatureService');
+const organizationService = require('./organizationService');
+const { normalizeSupplier, textSimilarity } = require('./duplicateService');
+const { normalizeSku } = require('./classificationMemoryService');
+const { httpError } = require('../utils/httpError');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'ruling-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/ruling.log' })
+  ]
+});
+
+// Description similarity (0-1) at which a ruling is taken to cover a product with no matching SKU
+const RULING_MATCH_THRESHOLD = parseFloat(process.env.RULING_MATCH_THRESHOLD) || 0.8;
+
+const RULING_FIELDS = [
+  'ruling_number',
+  'issuing_authority',
+  'organization_id',
+  'supplier',
+  'sku',
+  'product_description',
+  'hs_code',
+  'valid_from',
+  'valid_until',
+  'notes'
+];
+
+/**
+ * Digits of an HS code
+ * @param {string} value - HS code in any notation
+ * @returns {string} Digits only
+ */
+const hsDigits = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Date as stored in DATEONLY columns
+ * @param {Date|string} [date] - Date, today by default
+ * @returns {string} YYYY-MM-DD
+ */
+const toDay = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Whether a code chosen for a product contradicts the code of a ruling covering it. A more detailed code
+ * under the ruling's code (or the other way round) does not.
+ * @param {string} rulingCode - HS code of the ruling
+ * @param {string} hsCode - Code chosen for the product
+ * @returns {boolean} True when neither code falls under the other
+ */
+const codesConflict = (rulingCode, hsCode) => {
+  const ruling = hsDigits(rulingCode);
+  const chosen = hsDigits(hsCode);
+  if (!ruling || !chosen) return false;
+  return !ruling.startsWith(chosen) && !chosen.startsWith(ruling);
+};
+
+/**
+ * What reviewers and the classification record are shown of a matching ruling
+ * @param {Object} ruling - Plain ruling
+ * @param {string} matchedOn - sku or description
+ * @param {number} score - 1 for SKU matches, the description similarity otherwise
+ * @returns {Object} Match
+ */
+const toMatch = (ruling, matchedOn, score) => ({
+  ruling_id: ruling.id,
+  ruling_number: ruling.ruling_number,
+  issuing_authority: ruling.issuing_authority,
+  hs_code: ruling.hs_code,
+  product_description: ruling.product_description,
+  valid_from: ruling.valid_from,
+  valid_until: ruling.valid_until,
+  has_document: Boolean(ruling.document_path),
+  matched_on: matchedOn,
+  score: Math.round(score * 1000) / 1000
+});
+
+/**
+ * Rulings valid on a date that cover a supplier's product: same SKU, or a description similar enough.
+ * Rulings naming no supplier cover the product from any supplier.
+ * @param {Object} product
+ * @param {string} [product.supplier] - Invoice supplier
+ * @param {string} product.description - Line description
+ * @param {string} [product.sku] - Supplier article number
+ * @param {number|null} [product.organizationId] - Organization of the invoice owner; without one only
+ *   rulings for every organization apply
+ * @param {Date|string} [product.date] - Date the ruling must be valid on, today by default
+ * @returns {Promise<Array<Object>>} Matches, SKU matches first, then by similarity
+ */
+const findMatchingRulings = async ({ supplier, description, sku, organizationId = null, date }) => {
+  const supplierKey = normalizeSupplier(supplier);
+  const skuKey = normalizeSku(sku);
+  const day = toDay(date);
+
+  const rulings = await BindingRuling.findAll({
+    where: {
+      supplier_key: supplierKey ? { [Op.in]: ['', supplierKey] } : '',
+      organization_id: organizationId ? { [Op.or]: [null, organizationId] } : null,
+      valid_from: { [Op.lte]: day },
+      [Op.or]: [{ valid_until: null }, { valid_until: { [Op.gte]: day } }]
+    },
+    raw: true
+  });
+
+  const matches = [];
+  rulings.forEach((ruling) => {
+    if (skuKey && ruling.sku === skuKey) {
+      matches.push(toMatch(ruling, 'sku', 1));
+      return;
+    }
+    const similarity = textSimilarity(description, ruling.product_description);
+    if (similarity >= RULING_MATCH_THRESHOLD) {
+      matches.push(toMatch(ruling, 'description', similarity));
+    }
+  });
+
+  const skuFirst = (match) => (match.matched_on === 'sku' ? 0 : 1);
+  return matches.sort((a, b) => skuFirst(a) - skuFirst(b) || b.score - a.score
+    || a.ruling_number.localeCompare(b.ruling_number));
+};
+
+/**
+ * Rulings among the matches whose code the chosen code contradicts
+ * @param {Array<Object>} matches - From findMatchingRulings
+ * @param {string} hsCode - Code chosen for the product
+ * @returns {Array<Object>} Conflicting matches
+ */
+const findConflicts = (matches, hsCode) => matches.filter(match => codesConflict(match.hs_code, hsCode));
+
+/**
+ * Rulings covering the product of an invoice line, for its supplier and the organization of its owner
+ * @param {number} invoiceLineId - Invoice line ID
+ * @returns {Promise<Array<Object>>} Matches
+ */
+const findRulingsForLine = async (invoiceLineId) => {
+  const line = await InvoiceLine.findByPk(invoiceLineId, {
+    attributes: ['id', 'description', 'sku'],
+    include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'supplier', 'user_id'] }]
+  });
+  if (!line) {
+    throw httpError(`Invoice line with ID ${invoiceLineId} not found`, 404);
+  }
+
+  const organizationId = line.invoice ? await organizationService.getUserOrganizationId(line.invoice.user_id) : null;
+  return findMatchingRulings({
+    supplier: line.invoice && line.invoice.supplier,
+    description: line.description,
+    sku: line.sku,
+    organizationId
+  });
+};
+
+/**
+ * Check and clean ruling fields
+ * @param {Object} data - Ruling fields
+ * @returns {Promise<Object>} Fields to store
+ */
+const prepareRuling = async (data) => {
+  const fields = {};
+  for (const field of RULING_FIELDS.filter(name => data[name] !== undefined)) {
+    fields[field] = data[field];
+  }
+
+  if (fields.hs_code !== undefined) {
+    ({ code: fields.hs_code } = await hsNomenclatureService.validateHsCode(fields.hs_code));
+  }
+  if (fields.supplier !== undefined) {
+    fields.supplier = fields.supplier || null;
+    fields.supplier_key = normalizeSupplier(fields.supplier);
+  }
+  if (fields.sku !== undefined) {
+    fields.sku = normalizeSku(fields.sku);
+  }
+  if (fields.organization_id) {
+    const organization = await Organization.findByPk(fields.organization_id, { attributes: ['id'] });
+    if (!organization) {
+      throw httpError(`Organization with ID ${fields.organization_id} not found`, 422);
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Reject a validity period that ends before it starts
+ * @param {Object} ruling - Ruling fields after the change
+ */
+const assertValidity = (ruling) => {
+  if (ruling.valid_until && toDay(ruling.valid_until) < toDay(ruling.valid_from)) {
+    throw httpError('Valid until must not be before valid from', 422);
+  }
+};
+
+/**
+ * Check and store the ruling PDF
+ * @param {Object} file - { name, content (base64), mimeType? }
+ * @returns {Promise<Object>} Document fields of the ruling
+ * @throws {Error} With status 413, 415 or 422 for rejected files
+ */
+const storeRulingDocument = async (file) => {
+  const buffer = Buffer.from(file.content, 'base64');
+  const filename = path.basename(file.name);
+  if (path.extname(filename).toLowerCase() !== '.pdf') {
+    throw httpError('The ruling document must be a PDF', 415);
+  }
+  attachmentService.checkFile(filename, buffer, file.mimeType);
+
+  const safeName = filename.replace(/[^\w.-]/g, '_');
+  const storagePath = await documentService.storeDocument(buffer, path.join('rulings', `${Date.now()}_${safeName}`), 'pdf');
+  return {
+    document_filename: filename,
+    document_size_bytes: buffer.length,
+    document_sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    document_path: storagePath
+  };
+};
+
+/**
+ * Find a ruling
+ * @param {number} id - Ruling ID
+ * @returns {Promise<Object>} Ruling
+ */
+const findRuling = async (id) => {
+  const ruling = await BindingRuling.findByPk(id);
+  if (!ruling) {
+    throw httpError(`Binding ruling with ID ${id} not found`, 404);
+  }
+  return ruling;
+};
+
+/**
+ * Ruling as returned to clients: storage paths stay internal
+ * @param {Object} ruling - Ruling instance
+ * @returns {Object} Plain ruling with has_document
+ */
+const toPublic = (ruling) => {
+  const { document_path: documentPath, ...fields } = ruling.toJSON();
+  return { ...fields, has_document: Boolean(documentPath) };
+};
+
+/**
+ * List rulings
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Text in the ruling number, supplier or product description
+ * @param {string} [filters.hsCode] - Rulings for this code or codes under it
+ * @param {string} [filters.status] - valid, expired or upcoming, as of today
+ * @param {number} [filters.organizationId] - Only this organization's rulings and the shared ones
+ * @param {number} [filters.limit=20] - Page size
+ * @param {number} [filters.offset=0] - Rows to skip
+ * @returns {Promise<Object>} Rulings and pagination
+ */
+const listRulings = async ({ q, hsCode, status, organizationId, limit = 20, offset = 0 } = {}) => {
+  const today = toDay();
+  const conditions = [];
+  if (q) {
+    const pattern = `%${q}%`;
+    conditions.push({ [Op.or]: [
+      { ruling_number: { [Op.iLike]: pattern } },
+      { supplier: { [Op.iLike]: pattern } },
+      { product_description: { [Op.iLike]: pattern } }
+    ] });
+  }
+  if (hsCode) {
+    conditions.push({ hs_code: { [Op.startsWith]: hsCode } });
+  }
+  if (status === 'valid') {
+    conditions.push({ valid_from: { [Op.lte]: today } });
+    conditions.push({ [Op.or]: [{ valid_until: null }, { valid_until: { [Op.gte]: today } }] });
+  } else if (status === 'expired') {
+    conditions.push({ valid_until: { [Op.lt]: today } });
+  } else if (status === 'upcoming') {
+    conditions.push({ valid_from: { [Op.gt]: today } });
+  }
+  if (organizationId) {
+    conditions.push({ organization_id: { [Op.or]: [null, organizationId] } });
+  }
+
+  const { count, rows } = await BindingRuling.findAndCountAll({
+    where: { [Op.and]: conditions },
+    include: [{ model: Organization, as: 'organization', attributes: ['id', 'name'] }],
+    order: [['valid_from', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+  return {
+    rulings: rows.map(toPublic),
+    pagination: { total: count, limit, offset }
+  };
+};
+
+/**
+ * Get a ruling
+ * @param {number} id - Ruling ID
+ * @returns {Promise<Object>} Ruling
+ */
+const getRuling = async (id) => {
+  const ruling = await BindingRuling.findByPk(id, {
+    include: [
+      { model: Organization, as: 'organization', attributes: ['id', 'name'] },
+      { model: User, as: 'creator', attributes: ['id', 'full_name'] }
+    ]
+  });
+  if (!ruling) {
+    throw httpError(`Binding ruling with ID ${id} not found`, 404);
+  }
+  return toPublic(ruling);
+};
+
+/**
+ * Add a ruling to the library
+ * @param {Object} data - Ruling fields
+ * @param {Object} [file] - Ruling PDF as { name, content (base64), mimeType? }
+ * @param {number} userId - User adding the ruling
+ * @returns {Promise<Object>} Created ruling
+ */
+const createRuling = async (data, file, userId) => {
+  const fields = await prepareRuling(data);
+  assertValidity(fields);
+
+  const existing = await BindingRuling.count({ where: { ruling_number: fields.ruling_number } });
+  if (existing > 0) {
+    throw httpError(`Binding ruling ${fields.ruling_number} is already in the library`, 409);
+  }
+
+  const document = file ? await storeRulingDocument(file) : {};
+  try {
+    const ruling = await BindingRuling.create({ ...fields, ...document, created_by: userId });
+    logger.info('Binding ruling created', { rulingId: ruling.id, rulingNumber: ruling.ruling_number, hsCode: ruling.hs_code, userId });
+    return toPublic(ruling);
+  } catch (error) {
+    if (document.document_path) {
+      await documentService.removeDocument(document.document_path);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Update a ruling; a new PDF replaces the stored one
+ * @param {number} id - Ruling ID
+ * @param {Object} data - Fields to change
+ * @param {Object} [file] - New ruling PDF
+ * @param {number} userId - User making the change
+ * @returns {Promise<Object>} Updated ruling
+ */
+const updateRuling = async (id, data, file, userId) => {
+  const ruling = await findRuling(id);
+  const fields = await prepareRuling(data);
+  assertValidity({ ...ruling.get({ plain: true }), ...fields });
+
+  if (fields.ruling_number && fields.ruling_number !== ruling.ruling_number) {
+    const existing = await BindingRuling.count({ where: { ruling_number: fields.ruling_number } });
+    if (existing > 0) {
+      throw httpError(`Binding ruling ${fields.ruling_number} is already in the library`, 409);
+    }
+  }
+
+  const previousPath = ruling.document_path;
+  const document = file ? await storeRulingDocument(file) : {};
+  await ruling.update({ ...fields, ...document });
+  if (file && previousPath) {
+    await documentService.removeDocument(previousPath);
+  }
+
+  logger.info('Binding ruling updated', { rulingId: ruling.id, userId, fields: Object.keys(fields), document: Boolean(file) });
+  return toPublic(ruling);
+};
+
+/**
+ * Remove a ruling and its PDF from the library. Classifications that matched it keep their record of it.
+ * @param {number} id - Ruling ID
+ * @param {number} userId - User deleting the ruling
+ */
+const deleteRuling = async (id, userId) => {
+  const ruling = await findRuling(id);
+  await ruling.destroy();
+  if (ruling.document_path) {
+    await documentService.removeDocument(ruling.document_path);
+  }
+  logger.info('Binding ruling deleted', { rulingId: id, rulingNumber: ruling.ruling_number, userId });
+};
+
+/**
+ * Get the ruling PDF for download
+ * @param {number} id - Ruling ID
+ * @returns {Promise<Object>} { filePath, filename, mimeType }
+ */
+const getRulingDocument = async (id) => {
+  const ruling = await findRuling(id);
+  if (!ruling.document_path) {
+    throw httpError(`Binding ruling ${ruling.ruling_number} has no document`, 404);
+  }
+
+  try {
+    await fs.access(ruling.document_path);
+  } catch (error) {
+    logger.error('Ruling document missing from storage', { rulingId: id, path: ruling.document_path });
+    throw httpError('Ruling document not found', 404);
+  }
+
+  return { filePath: ruling.document_path, filename: ruling.document_filename, mimeType: 'application/pdf' };
+};
+
+module.exports = {
+  RULING_MATCH_THRESHOLD,
+  codesConflict,
+  findMatchingRulings,
+  findConflicts,
+  findRulingsForLine,
+  listRulings,
+  getRuling,
+  createRuling,
+  updateRuling,
+  deleteRuling,
+  getRulingDocument
+};
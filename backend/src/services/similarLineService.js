@@ -0,0 +1,224 @@
+'use strict';
+
+const crypto = require('crypto');
+const winston = require('winston');
+const db = require('../models');
+const { InvoiceLine, LineEmbedding } = db;
+const embeddingService = require('./embeddingService');
+const hsNomenclatureService = require('./hsNomenclatureService');
+const { httpError } = require('../utils/httpError');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'similar-line-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/similar-lines.log' })
+  ]
+});
+
+// Lines embedded per request to the embeddings API
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100;
+
+// How often newly classified or edited lines are added to the index (0 turns it off)
+const EMBEDDING_INDEX_INTERVAL_MS = Number.isNaN(parseInt(process.env.EMBEDDING_INDEX_INTERVAL_MS))
+  ? 300000
+  : parseInt(process.env.EMBEDDING_INDEX_INTERVAL_MS);
+
+let indexTimer = null;
+let indexing = false;
+
+/**
+ * Same digest as Postgres md5(description), to compare with the stored hash in SQL
+ * @param {string} description - Line description
+ * @returns {string} Hex digest
+ */
+const hashDescription = (description) => crypto.createHash('md5').update(description).digest('hex');
+
+/**
+ * Text sent to the embeddings API: the description without the HTML escapes added by request sanitization
+ * @param {string} description - Line description as stored
+ * @returns {string} Text to embed
+ */
+const embeddingText = (description) => String(description || '')
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, "'")
+  .replace(/&#x2F;/g, '/')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&#96;/g, '`')
+  .replace(/&#x5C;/g, '\\');
+
+/**
+ * Vector in the text form pgvector accepts
+ * @param {Array<number>} vector - Embedding
+ * @returns {string} '[0.1,0.2,...]'
+ */
+const toVectorLiteral = (vector) => `[${vector.join(',')}]`;
+
+/**
+ * Embed classified lines that are not in the index yet, or whose description changed since they were embedded
+ * @param {Object} [options]
+ * @param {number} [options.limit=EMBEDDING_BATCH_SIZE] - Most lines to embed in this call
+ * @returns {Promise<number>} Number of lines embedded
+ */
+const indexPendingLines = async ({ limit = EMBEDDING_BATCH_SIZE } = {}) => {
+  const pending = await db.sequelize.query(`
+    SELECT l.id, l.description
+    FROM invoice_lines l
+    LEFT JOIN line_embeddings e ON e.invoice_line_id = l.id
+    WHERE l.hs_code IS NOT NULL
+      AND COALESCE(l.description, '') <> ''
+      AND (e.invoice_line_id IS NULL OR e.description_hash <> md5(l.description) OR e.model <> :model)
+    ORDER BY l.id
+    LIMIT :limit
+  `, {
+    replacements: { model: embeddingService.EMBEDDING_MODEL, limit },
+    type: db.sequelize.QueryTypes.SELECT
+  });
+
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const vectors = await embeddingService.generateEmbeddings(pending.map(line => embeddingText(line.description)));
+  await LineEmbedding.bulkCreate(pending.map((line, index) => ({
+    invoice_line_id: line.id,
+    embedding: toVectorLiteral(vectors[index]),
+    model: embeddingService.EMBEDDING_MODEL,
+    description_hash: hashDescription(line.description)
+  })), {
+    updateOnDuplicate: ['embedding', 'model', 'description_hash', 'updated_at']
+  });
+
+  logger.info('Invoice lines added to the similarity index', { count: pending.length });
+  return pending.length;
+};
+
+/**
+ * Embed every pending line, one batch at a time
+ * @returns {Promise<number>} Number of lines embedded
+ */
+const indexAllPendingLines = async () => {
+  let total = 0;
+  let indexed;
+  do {
+    indexed = await indexPendingLines();
+    total += indexed;
+  } while (indexed === EMBEDDING_BATCH_SIZE);
+  return total;
+};
+
+/**
+ * Keep the index up to date in the background, every EMBEDDING_INDEX_INTERVAL_MS.
+ * Does nothing when embeddings are not configured or the interval is 0.
+ */
+const startIndexing = () => {
+  if (indexTimer || !embeddingService.isConfigured() || EMBEDDING_INDEX_INTERVAL_MS <= 0) {
+    return;
+  }
+
+  indexTimer = setInterval(async () => {
+    // Skip a tick while the previous run is still embedding a large backlog
+    if (indexing) return;
+    indexing = true;
+    try {
+      await indexAllPendingLines();
+    } catch (error) {
+      logger.error('Error updating the similarity index', { error: error.message });
+    } finally {
+      indexing = false;
+    }
+  }, EMBEDDING_INDEX_INTERVAL_MS);
+  indexTimer.unref();
+
+  logger.info('Similarity indexing started', { intervalMs: EMBEDDING_INDEX_INTERVAL_MS });
+};
+
+/**
+ * Find previously classified lines with the most similar descriptions.
+ * Lines still flagged for review are left out, as their codes are unconfirmed.
+ * @param {Object} query
+ * @param {number} [query.invoiceLineId] - Line to find neighbours for (excluded from the results)
+ * @param {string} [query.description] - Description to search with, when there is no line
+ * @param {number} [query.limit=10] - Most lines to return
+ * @returns {Promise<Array<Object>>} Nearest lines, most similar first, with their HS codes and similarity (0-1)
+ */
+const findSimilarLines = async ({ invoiceLineId, description, limit = 10 }) => {
+  if (!embeddingService.isConfigured()) {
+    throw httpError('Similarity search is not configured (OPENAI_API_KEY is not set)', 503);
+  }
+
+  let embedding;
+  if (invoiceLineId) {
+    const line = await InvoiceLine.findByPk(invoiceLineId, { attributes: ['id', 'description'] });
+    if (!line) {
+      throw httpError(`Invoice line with ID ${invoiceLineId} not found`, 404);
+    }
+    if (!line.description) {
+      return [];
+    }
+
+    const stored = await LineEmbedding.findByPk(invoiceLineId);
+    embedding = stored && stored.model === embeddingService.EMBEDDING_MODEL
+      && stored.description_hash === hashDescription(line.description)
+      ? stored.embedding
+      : toVectorLiteral(await embeddingService.generateEmbedding(embeddingText(line.description)));
+  } else {
+    embedding = toVectorLiteral(await embeddingService.generateEmbedding(embeddingText(description)));
+  }
+
+  const lines = await db.sequelize.query(`
+    SELECT
+      l.id AS invoice_line_id,
+      l.description,
+      l.sku,
+      l.hs_code,
+      l.classification_method,
+      i.id AS invoice_id,
+      i.supplier,
+      i.invoice_date,
+      1 - (e.embedding <=> CAST(:embedding AS vector)) AS similarity
+    FROM line_embeddings e
+    JOIN invoice_lines l ON l.id = e.invoice_line_id
+    JOIN invoices i ON i.id = l.invoice_id
+    WHERE l.hs_code IS NOT NULL
+      AND l.flagged IS NOT TRUE
+      AND l.id <> :excludeId
+      AND e.model = :model
+    ORDER BY e.embedding <=> CAST(:embedding AS vector)
+    LIMIT :limit
+  `, {
+    replacements: {
+      embedding,
+      excludeId: invoiceLineId || 0,
+      model: embeddingService.EMBEDDING_MODEL,
+      limit
+    },
+    type: db.sequelize.QueryTypes.SELECT
+  });
+
+  // Official description of each code, so reviewers can compare without looking them up
+  const entries = lines.length > 0
+    ? await hsNomenclatureService.lookupHsCodes(lines.map(line => line.hs_code))
+    : {};
+
+  return lines.map(line => ({
+    ...line,
+    hs_description: entries[line.hs_code] ? entries[line.hs_code].description : null,
+    similarity: Math.round(Number(line.similarity) * 1000) / 1000
+  }));
+};
+
+module.exports = {
+  indexPendingLines,
+  indexAllPendingLines,
+  startIndexing,
+  findSimilarLines
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const winston = require('winston');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { Invoice, InvoiceLine, InvoiceSnapshot, User } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'snapshot-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/snapshot.log' })
+  ]
+});
+
+// Invoice header fields frozen in a snapshot
+const INVOICE_FIELDS = [
+  'id', 'supplier', 'invoice_date', 'currency', 'total_amount',
+  'base_currency', 'total_amount_base', 'exchange_rate', 'exchange_rate_date'
+];
+
+// Invoice line fields frozen in a snapshot
+const LINE_FIELDS = [
+  'id', 'description', 'sku', 'quantity', 'unit_price', 'currency', 'hs_code', 'origin_country',
+  'gross_weight', 'net_weight', 'uom', 'package_count', 'package_type', 'classification_method'
+];
+
+const pick = (record, fields) => fields.reduce((picked, field) => {
+  picked[field] = record[field] === undefined ? null : record[field];
+  return picked;
+}, {});
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Read the generated documents so the snapshot keeps exactly what was sent
+ * @param {Object} documentPaths - Paths from documentService.generateDocuments
+ * @returns {Promise<Object>} XML content, file names/paths and SHA-256 hashes
+ */
+const freezeDocuments = async (documentPaths) => {
+  const xml = await fs.readFile(documentPaths.xmlPath, 'utf8');
+  const documents = {
+    xml,
+    xmlPath: documentPaths.xmlPath,
+    xmlFilename: documentPaths.xmlFilename,
+    xmlSha256: sha256(xml)
+  };
+
+  if (documentPaths.pdfPath) {
+    documents.pdfPath = documentPaths.pdfPath;
+    documents.pdfFilename = documentPaths.pdfFilename;
+    documents.pdfSha256 = sha256(await fs.readFile(documentPaths.pdfPath));
+  }
+
+  return documents;
+};
+
+/**
+ * Freeze the current invoice, its lines and the submitted documents as the next snapshot version
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} params - Snapshot parameters
+ * @param {number} [params.submissionId] - Submission the snapshot belongs to
+ * @param {Object} params.documentPaths - Paths from documentService.generateDocuments
+ * @param {number} [params.actor] - User who submitted
+ * @param {Object} [params.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object>} Created snapshot
+ */
+const createSnapshot = async (invoiceId, { submissionId = null, documentPaths, actor = null, transaction } = {}) => {
+  const invoice = await Invoice.findByPk(invoiceId, { transaction });
+  if (!invoice) {
+    throw httpError(`Invoice with ID ${invoiceId} not found`, 404);
+  }
+
+  const lines = await InvoiceLine.findAll({
+    where: { invoice_id: invoiceId },
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  const documents = await freezeDocuments(documentPaths);
+  const latestVersion = await InvoiceSnapshot.max('version', { where: { invoice_id: invoiceId }, transaction });
+
+  const snapshot = await InvoiceSnapshot.create({
+    invoice_id: invoiceId,
+    submission_id: submissionId,
+    version: (latestVersion || 0) + 1,
+    invoice_data: pick(invoice.get({ plain: true }), INVOICE_FIELDS),
+    lines: lines.map(line => pick(line.get({ plain: true }), LINE_FIELDS)),
+    documents,
+    created_by: actor
+  }, { transaction });
+
+  logger.info('Invoice snapshot created', { invoiceId, submissionId, version: snapshot.version });
+
+  return snapshot;
+};
+
+/**
+ * List the snapshots of an invoice without their payloads
+ * @param {number} invoiceId - Invoice ID
+ * @returns {Promise<Array<Object>>} Snapshots, oldest first
+ */
+const listSnapshots = async (invoiceId) => {
+  return InvoiceSnapshot.findAll({
+    where: { invoice_id: invoiceId },
+    attributes: ['id', 'invoice_id', 'submission_id', 'version', 'created_by', 'created_at'],
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'full_name', 'email']
+      }
+    ],
+    order: [['version', 'ASC']]
+  });
+};
+
+/**
+ * Get one snapshot of an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} version - Snapshot version
+ * @returns {Promise<Object>} Snapshot
+ * @throws {Error} With status 404 when the version does not exist
+ */
+const getSnapshot = async (invoiceId, version) => {
+  const snapshot = await InvoiceSnapshot.findOne({ where: { invoice_id: invoiceId, version } });
+  if (!snapshot) {
+    throw httpError(`Snapshot version ${version} of invoice ${invoiceId} not found`, 404);
+  }
+  return snapshot;
+};
+
+/**
+ * List the fields whose values differ between two records
+ * @param {Object} from - Older values
+ * @param {Object} to - Newer values
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<Object>} { field, from, to } for each changed field
+ */
+const diffFields = (from, to, fields) => fields
+  .filter(field => field !== 'id')
+  .filter(field => String(from[field] ?? '') !== String(to[field] ?? ''))
+  .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+/**
+ * Compare two snapshots. Lines are matched by their invoice line ID.
+ * @param {Object} from - Older snapshot (plain object)
+ * @param {Object} to - Newer snapshot (plain object)
+ * @returns {Object} Header changes, added/removed/changed lines and whether the documents differ
+ */
+const diffSnapshots = (from, to) => {
+  const fromLines = new Map(from.lines.map(line => [line.id, line]));
+  const toLines = new Map(to.lines.map(line => [line.id, line]));
+
+  const changedLines = [];
+  to.lines.forEach((line) => {
+    const previous = fromLines.get(line.id);
+    if (!previous) return;
+    const changes = diffFields(previous, line, LINE_FIELDS);
+    if (changes.length > 0) {
+      changedLines.push({ id: line.id, description: line.description, changes });
+    }
+  });
+
+  return {
+    from: { version: from.version, submissionId: from.submission_id, createdAt: from.created_at },
+    to: { version: to.version, submissionId: to.submission_id, createdAt: to.created_at },
+    invoice: diffFields(from.invoice_data, to.invoice_data, INVOICE_FIELDS),
+    lines: {
+      added: to.lines.filter(line => !fromLines.has(line.id)),
+      removed: from.lines.filter(line => !toLines.has(line.id)),
+      changed: changedLines
+    },
+    documents: {
+      xmlChanged: from.documents.xmlSha256 !== to.documents.xmlSha256,
+      from: { xmlSha256: from.documents.xmlSha256, pdfSha256: from.documents.pdfSha256 || null },
+      to: { xmlSha256: to.documents.xmlSha256, pdfSha256: to.documents.pdfSha256 || null }
+    }
+  };
+};
+
+/**
+ * Compare two snapshot versions of an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} fromVersion - Older version
+ * @param {number} toVersion - Newer version
+ * @returns {Promise<Object>} Diff (see diffSnapshots)
+ */
+const diffInvoiceSnapshots = async (invoiceId, fromVersion, toVersion) => {
+  const [from, to] = await Promise.all([
+    getSnapshot(invoiceId, fromVersion),
+    getSnapshot(invoiceId, toVersion)
+  ]);
+
+  return diffSnapshots(from.get({ plain: true }), to.get({ plain: true }));
+};
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffSnapshots,
+  diffInvoiceSnapshots
+};
@@ -6,6 +6,7 @@ const axios = require('axios');
 const { promisify } = require('util');
 const winston = require('winston');
 const SftpClient = require('ssh2-sftp-client');
+const { httpError } = require('../utils/httpError');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -99,9 +100,10 @@ const submitToAsycudaApi = async (xmlPath, invoiceId) => {
  * Submit document via SFTP
  * @param {String} xmlPath - Path to XML document
  * @param {Number} invoiceId - Invoice ID
+ * @param {Array<Object>} [attachments] - Supporting documents to upload next to the declaration
  * @returns {Object} Submission result
  */
-const submitViaSftp = async (xmlPath, invoiceId) => {
+const submitViaSftp = async (xmlPath, invoiceId, attachments = []) => {
   const sftp = new SftpClient();
   
   try {
@@ -132,10 +134,22 @@ const submitViaSftp = async (xmlPath, invoiceId) => {
     
     // Upload file
     await sftp.put(xmlPath, remotePath);
+
+    // Supporting documents share the declaration's prefix so customs can match them up
+    const attachmentPaths = [];
+    for (const attachment of attachments) {
+      const attachmentPath = path.join(
+        SFTP_REMOTE_PATH,
+        `invoice_${invoiceId}_${timestamp}_${attachment.category}_${attachment.id}${path.extname(attachment.filename).toLowerCase()}`
+      );
+      await sftp.put(attachment.storage_path, attachmentPath);
+      attachmentPaths.push({ id: attachment.id, category: attachment.category, remotePath: attachmentPath });
+    }
     
     logger.info('Document submitted via SFTP successfully', { 
       invoiceId,
-      remotePath
+      remotePath,
+      attachments: attachmentPaths.length
     });
     
     return {
@@ -143,6 +157,7 @@ const submitViaSftp = async (xmlPath, invoiceId) => {
       method: 'sftp',
       response: {
         remotePath,
+        attachments: attachmentPaths,
         timestamp
       },
       message: 'Document submitted via SFTP successfully'
@@ -167,9 +182,10 @@ const submitViaSftp = async (xmlPath, invoiceId) => {
  * Submit document with retry logic
  * @param {String} xmlPath - Path to XML document
  * @param {Number} invoiceId - Invoice ID
+ * @param {Array<Object>} [attachments] - Supporting documents, only sent with SFTP submissions
  * @returns {Object} Submission result
  */
-const submitWithRetry = async (xmlPath, invoiceId) => {
+const submitWithRetry = async (xmlPath, invoiceId, attachments = []) => {
   let lastError;
   
   // Try API submission first
@@ -201,7 +217,7 @@ const submitWithRetry = async (xmlPath, invoiceId) => {
   logger.info('Falling back to SFTP submission', { invoiceId });
   
   try {
-    const result = await submitViaSftp(xmlPath, invoiceId);
+    const result = await submitViaSftp(xmlPath, invoiceId, attachments);
     return result;
   } catch (error) {
     logger.error('Both API and SFTP submission methods failed', { 
@@ -218,9 +234,12 @@ const submitWithRetry = async (xmlPath, invoiceId) => {
  * Create submission record in database
  * @param {Number} invoiceId - Invoice ID
  * @param {Object} submissionResult - Result from submission attempt
+ * @param {Object} [options]
+ * @param {String} [options.status] - Record status; Submitted or Failed from the result by default
+ * @param {Object} [options.transaction] - Sequelize transaction
  * @returns {Object} Created submission record
  */
-const createSubmissionRecord = async (invoiceId, submissionResult) => {
+const createSubmissionRecord = async (invoiceId, submissionResult, { status, transaction } = {}) => {
   try {
     const db = require('../models');
     const { Submission } = db;
@@ -228,10 +247,10 @@ const createSubmissionRecord = async (invoiceId, submissionResult) => {
     const submission = await Submission.create({
       invoice_id: invoiceId,
       method: submissionResult.method,
-      status: submissionResult.success ? 'Submitted' : 'Failed',
+      status: status || (submissionResult.success ? 'Submitted' : 'Failed'),
       response_message: JSON.stringify(submissionResult.response),
       submitted_at: new Date()
-    });
+    }, { transaction });
     
     logger.info('Submission record created', { 
       invoiceId,
@@ -250,22 +269,17 @@ const createSubmissionRecord = async (invoiceId, submissionResult) => {
 };
 
 /**
- * Update invoice status after submission
+ * Update invoice status after submission, through the invoice lifecycle
  * @param {Number} invoiceId - Invoice ID
- * @param {String} status - New status
+ * @param {String} status - New status (Submitted, Accepted or Rejected)
+ * @param {Object} [options] - Actor and reason recorded on the invoice timeline, optional transaction
  * @returns {Object} Updated invoice
  */
-const updateInvoiceStatus = async (invoiceId, status) => {
+const updateInvoiceStatus = async (invoiceId, status, { actor = null, reason = null, transaction } = {}) => {
   try {
-    const db = require('../models');
-    const { Invoice } = db;
-    
-    const invoice = await Invoice.findByPk(invoiceId);
-    if (!invoice) {
-      throw new Error(`Invoice with ID ${invoiceId} not found`);
-    }
-    
-    await invoice.update({ status });
+    const invoiceStatusService = require('./invoiceStatusService');
+
+    const invoice = await invoiceStatusService.transitionInvoice(invoiceId, status, { actor, reason, transaction });
     
     logger.info('Invoice status updated', { 
       invoiceId,
@@ -279,57 +293,141 @@ const updateInvoiceStatus = async (invoiceId, status) => {
       invoiceId
     });
     
-    throw new Error(`Failed to update invoice status: ${error.message}`);
+    const wrapped = new Error(`Failed to update invoice status: ${error.message}`);
+    wrapped.status = error.status; // Keep 404/409 from the lifecycle check
+    throw wrapped;
   }
 };
 
 /**
- * Submit documents for an invoice
+ * Check the invoice lifecycle and duplicate flag allow submitting the invoice
+ * @param {Object} invoice - Invoice record
+ * @throws {Error} 409 when the invoice is not Ready or is a suspected or confirmed duplicate
+ */
+const assertSubmittable = (invoice) => {
+  const invoiceStatusService = require('./invoiceStatusService');
+  const duplicateService = require('./duplicateService');
+
+  if (!invoiceStatusService.canTransition(invoice.status, 'Submitted')) {
+    // Conflict with the invoice lifecycle
+    throw httpError(`Invoice in status '${invoice.status}' cannot be submitted. Move it to 'Ready' first.`, 409);
+  }
+  // Suspected duplicates must be resolved first; confirmed duplicates are never sent
+  duplicateService.assertNotDuplicate(invoice);
+};
+
+/**
+ * Submit documents for an invoice. The invoice stays locked from the lifecycle check until it is marked
+ * Submitted, so two submissions of the same invoice cannot both be filed.
  * @param {Number} invoiceId - Invoice ID
  * @param {Object} documentPaths - Paths to generated documents
+ * @param {Number} [userId] - User submitting the invoice, recorded on the timeline
  * @returns {Object} Submission result
+ * @throws {Error} 409 while the supplier or consignee may be a denied party, or when the invoice cannot move
+ *   to Submitted; nothing is filed or recorded
  */
-const submitDocuments = async (invoiceId, documentPaths) => {
+const submitDocuments = async (invoiceId, documentPaths, userId = null) => {
+  // Screened against the sanctions lists as loaded now, not as they were when the invoice was created
+  const deniedPartyService = require('./deniedPartyService');
+  await deniedPartyService.assertNoDeniedParties(invoiceId);
+
+  const db = require('../models');
+  const invoiceStatusService = require('./invoiceStatusService');
+  const snapshotService = require('./snapshotService');
+  // Set once customs has the declaration; from then on a failure cannot undo the filing
+  let submissionResult = null;
+
   try {
     if (!documentPaths || !documentPaths.xmlPath) {
       throw new Error('Document paths are required');
     }
-    
-    // Submit document
-    const submissionResult = await submitWithRetry(documentPaths.xmlPath, invoiceId);
-    
-    // Create submission record
-    const submission = await createSubmissionRecord(invoiceId, submissionResult);
-    
-    // Update invoice status
-    await updateInvoiceStatus(invoiceId, 'Submitted');
+
+    const { submission, snapshot } = await db.sequelize.transaction(async (transaction) => {
+      const invoice = await db.Invoice.findByPk(invoiceId, {
+        attributes: ['id', 'status'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!invoice) {
+        throw httpError(`Invoice with ID ${invoiceId} not found`, 404);
+      }
+      if (!invoiceStatusService.canTransition(invoice.status, 'Submitted')) {
+        throw httpError(`Invoice in status '${invoice.status}' cannot be submitted. Move it to 'Ready' first.`, 409);
+      }
+
+      // Supporting documents the user chose to send along with the declaration
+      const attachmentService = require('./attachmentService');
+      const attachments = await attachmentService.getSubmissionAttachments(invoiceId);
+
+      // Submit document
+      submissionResult = await submitWithRetry(documentPaths.xmlPath, invoiceId, attachments);
+      if (attachments.length > 0 && submissionResult.method !== 'sftp') {
+        logger.warn('Attachments not sent: the ASYCUDA API accepts the declaration only', {
+          invoiceId,
+          attachments: attachments.length
+        });
+      }
+
+      // Record the filing, freeze what was declared and mark the invoice Submitted together
+      const submission = await createSubmissionRecord(invoiceId, submissionResult, { transaction });
+      const created = await snapshotService.createSnapshot(invoiceId, {
+        submissionId: submission.id,
+        documentPaths,
+        actor: userId,
+        transaction
+      });
+      await updateInvoiceStatus(invoiceId, 'Submitted', {
+        actor: userId,
+        reason: `Submitted via ${submissionResult.method} (submission ${submission.id}, snapshot v${created.version})`,
+        transaction
+      });
+      return { submission, snapshot: created };
+    });
     
     logger.info('Document submission completed', { 
       invoiceId,
       submissionId: submission.id,
+      snapshotVersion: snapshot.version,
       method: submissionResult.method
     });
     
     return {
       success: true,
       submission,
+      snapshotVersion: snapshot.version,
       method: submissionResult.method,
       message: submissionResult.message
     };
   } catch (error) {
-    logger.error('Document submission failed', { 
-      error: error.message,
-      invoiceId
-    });
-    
-    // Create failed submission record
-    await createSubmissionRecord(invoiceId, {
-      method: 'failed',
-      success: false,
-      response: { error: error.message }
-    });
+    if (submissionResult) {
+      // Customs has the declaration but the invoice was not marked Submitted; keep the filing for reconciliation
+      logger.error('Declaration filed but not recorded on the invoice', {
+        error: error.message,
+        invoiceId,
+        method: submissionResult.method
+      });
+
+      await createSubmissionRecord(invoiceId, {
+        ...submissionResult,
+        response: { ...submissionResult.response, error: error.message }
+      }, { status: 'PendingReconciliation' });
+    } else if (error.status !== 404 && error.status !== 409) {
+      logger.error('Document submission failed', { 
+        error: error.message,
+        invoiceId
+      });
+
+      // Create failed submission record
+      await createSubmissionRecord(invoiceId, {
+        method: 'failed',
+        success: false,
+        response: { error: error.message }
+      });
+    }
     
-    throw new Error(`Document submission failed: ${error.message}`);
+    const wrapped = new Error(`Document submission failed: ${error.message}`);
+    wrapped.status = error.status; // Keep 404/409 from the lifecycle check
+    throw wrapped;
   }
 };
 
@@ -374,11 +472,17 @@ const checkSubmissionStatus = async (submissionId) => {
             response_message: JSON.stringify(response.data)
           });
           
-          // Update invoice status if needed
-          if (status === 'Approved') {
-            await updateInvoiceStatus(submission.invoice_id, 'Approved');
-          } else if (status === 'Rejected') {
-            await updateInvoiceStatus(submission.invoice_id, 'Rejected');
+          // Update invoice status if needed; customs reports approval as 'Approved'
+          const invoiceStatus = { Approved: 'Accepted', Rejected: 'Rejected' }[status];
+          if (invoiceStatus) {
+            const db = require('../models');
+            const invoice = await db.Invoice.findByPk(submission.invoice_id, { attributes: ['id', 'status'] });
+            // Only the first response moves the invoice; later checks see the same answer
+            if (invoice && invoice.status === 'Submitted') {
+              await updateInvoiceStatus(submission.invoice_id, invoiceStatus, {
+                reason: `Customs response for declaration ${declarationId}: ${status}`
+              });
+            }
           }
           
           logger.info('Submission status updated', { 
@@ -420,6 +524,7 @@ const checkSubmissionStatus = async (submissionId) => {
 module.exports = {
   submitToAsycudaApi,
   submitViaSftp,
+  assertSubmittable,
   submitDocuments,
   checkSubmissionStatus
 };
\ No newline at end of file
@@ -0,0 +1,411 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const currencyService = require('./currencyService');
+const { normalizeHsCode } = require('./hsNomenclatureService');
+const { EDITABLE_STATUSES } = require('./invoiceStatusService');
+const { TariffRate, Invoice, InvoiceLine } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'tariff-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/tariff.log' })
+  ]
+});
+
+// Accepted spellings of the columns in a tariff rate file (lower-case, punctuation stripped)
+const TARIFF_COLUMNS = {
+  tariff_line: ['tariff line', 'national tariff line', 'hs code', 'hs', 'code', 'commodity code', 'tariff code'],
+  origin_country: ['origin', 'origin country', 'country of origin'],
+  duty_rate: ['duty', 'duty rate', 'import duty', 'import duty rate'],
+  vat_rate: ['vat', 'vat rate', 'abst', 'abst rate', 'sales tax'],
+  excise_rate: ['excise', 'excise rate', 'excise duty'],
+  environmental_levy_rate: ['environmental levy', 'environmental levy rate', 'env levy', 'levy'],
+  effective_date: ['effective date', 'date', 'valid from']
+};
+
+// Tax components of a rate row, in the order they are applied
+const RATE_FIELDS = ['duty_rate', 'excise_rate', 'environmental_levy_rate', 'vat_rate'];
+
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+const toDateOnly = (date) => new Date(date || Date.now()).toISOString().split('T')[0];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The code and every shorter code it falls under, most specific first: 8471.30.10 -> 8471.30.10, 8471.30, 8471, 84
+ * @param {string} value - HS code as entered
+ * @returns {Array<string>} Normalized codes, empty when the code is invalid
+ */
+const codeAndParents = (value) => {
+  const code = normalizeHsCode(value);
+  if (!code || !/^\d/.test(code)) {
+    return [];
+  }
+  const digits = code.replace(/\./g, '');
+  const codes = [];
+  for (let length = digits.length; length >= 2; length -= 2) {
+    codes.push(normalizeHsCode(digits.slice(0, length)));
+  }
+  return codes;
+};
+
+/**
+ * Validate parsed tariff rate rows (see importService.parseSpreadsheet).
+ * Rates are percentages; a blank rate is 0 and a blank or * origin is the general rate.
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @returns {Object} { rates, errors }
+ */
+const parseTariffRows = (rows) => {
+  const rates = [];
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach(({ rowNumber, values }) => {
+    const normalized = {};
+    Object.keys(values).forEach((header) => {
+      const key = header.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+      const field = Object.keys(TARIFF_COLUMNS).find(name => TARIFF_COLUMNS[name].includes(key));
+      if (field) {
+        normalized[field] = values[header];
+      }
+    });
+
+    const tariffLine = normalizeHsCode(normalized.tariff_line);
+    const origin = String(normalized.origin_country ?? '').trim().toUpperCase();
+    const effectiveDate = normalized.effective_date ? new Date(normalized.effective_date) : null;
+
+    const rowErrors = [];
+    if (!tariffLine || !/^\d/.test(tariffLine)) rowErrors.push('tariff_line must be an HS code of 2, 4, 6, 8 or 10 digits');
+    if (origin && origin !== '*' && !COUNTRY_CODE.test(origin)) rowErrors.push('origin_country must be an ISO 3166 alpha-2 code');
+    if (!effectiveDate || Number.isNaN(effectiveDate.getTime())) rowErrors.push('effective_date must be a valid date');
+
+    const rate = {};
+    RATE_FIELDS.forEach((field) => {
+      const raw = String(normalized[field] ?? '').replace('%', '').trim();
+      const value = raw === '' ? 0 : Number(raw);
+      if (!Number.isFinite(value) || value < 0 || value > 1000) {
+        rowErrors.push(`${field} must be a percentage between 0 and 1000`);
+      }
+      rate[field] = value;
+    });
+
+    const originCountry = origin && origin !== '*' ? origin : null;
+    const key = `${tariffLine}|${originCountry || ''}|${effectiveDate && !Number.isNaN(effectiveDate.getTime()) ? toDateOnly(effectiveDate) : ''}`;
+    if (rowErrors.length === 0 && seen.has(key)) {
+      rowErrors.push(`${tariffLine} already has a rate for this origin and date`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    seen.add(key);
+    rates.push({
+      tariff_line: tariffLine,
+      origin_country: originCountry,
+      ...rate,
+      effective_date: toDateOnly(effectiveDate)
+    });
+  });
+
+  return { rates, errors };
+};
+
+/**
+ * Load tariff rates, replacing any rate already stored for the same line, origin and date.
+ * Nothing is loaded when any row is invalid.
+ * @param {Array<Object>} rows - Parsed rows ({ rowNumber, values })
+ * @param {Object} [options] - Options
+ * @param {string} [options.source] - Where the rates came from (e.g. the file name or tariff edition)
+ * @returns {Promise<Object>} { loaded, errors }
+ */
+const loadTariffRates = async (rows, { source } = {}) => {
+  const { rates, errors } = parseTariffRows(rows);
+
+  if (errors.length > 0) {
+    logger.warn('Tariff rate file rejected', { source, invalidRows: errors.length });
+    return { loaded: 0, errors };
+  }
+
+  // The general rate has a null origin, which a unique constraint cannot upsert on, so replace rows explicitly
+  await db.sequelize.transaction(async (transaction) => {
+    for (const rate of rates) {
+      await TariffRate.destroy({
+        where: { tariff_line: rate.tariff_line, origin_country: rate.origin_country, effective_date: rate.effective_date },
+        transaction
+      });
+    }
+    await TariffRate.bulkCreate(rates.map(rate => ({ ...rate, source })), { transaction });
+  });
+
+  logger.info('Tariff rates loaded', { source, count: rates.length });
+  return { loaded: rates.length, errors };
+};
+
+/**
+ * List stored tariff rates
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.tariffLine] - Code; rates of the code and the codes it falls under are listed
+ * @param {string} [filters.origin] - Origin country; general rates are listed too
+ * @param {number} [filters.limit=100] - Maximum number of rates
+ * @returns {Promise<Array<Object>>} Rates by line, newest first
+ */
+const listTariffRates = async ({ tariffLine, origin, limit = 100 } = {}) => {
+  const where = {};
+  if (tariffLine) where.tariff_line = { [Op.in]: codeAndParents(tariffLine) };
+  if (origin) where.origin_country = { [Op.or]: [origin.toUpperCase(), null] };
+
+  return TariffRate.findAll({
+    where,
+    order: [['tariff_line', 'ASC'], ['effective_date', 'DESC']],
+    limit
+  });
+};
+
+/**
+ * Find the rate applying to a line: the most specific tariff line first, then a preferential rate for the
+ * origin over the general rate, then the latest effective date on or before the date
+ * @param {string} hsCode - Line HS code
+ * @param {string} [origin] - ISO 3166 alpha-2 origin
+ * @param {Date|string} [date] - Date the rate must be effective on (defaults to today)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} Rate row, or null
+ */
+const findTariffRate = async (hsCode, origin, date, { transaction } = {}) => {
+  const codes = codeAndParents(hsCode);
+  if (codes.length === 0) {
+    return null;
+  }
+  const originCountry = origin ? String(origin).trim().toUpperCase() : null;
+
+  const candidates = await TariffRate.findAll({
+    where: {
+      tariff_line: { [Op.in]: codes },
+      origin_country: originCountry ? { [Op.or]: [originCountry, null] } : null,
+      effective_date: { [Op.lte]: toDateOnly(date) }
+    },
+    order: [['effective_date', 'DESC']],
+    transaction
+  });
+
+  const specificity = rate => [codes.indexOf(rate.tariff_line), rate.origin_country ? 0 : 1];
+  return candidates.sort((a, b) => {
+    const [lineA, originA] = specificity(a);
+    const [lineB, originB] = specificity(b);
+    return (lineA - lineB) || (originA - originB);
+  })[0] || null;
+};
+
+/**
+ * Duties and taxes on a customs value. Duty, the environmental levy and excise are charged on the customs
+ * value (excise also on the duty); VAT/ABST is charged on the customs value plus all of them.
+ * @param {Object} rate - Tariff rate row
+ * @param {number} customsValue - Customs value in the base currency
+ * @returns {Object} duty, excise, environmental_levy, vat and total
+ */
+const calculateDuties = (rate, customsValue) => {
+  const percent = field => (parseFloat(rate[field]) || 0) / 100;
+
+  const duty = round(customsValue * percent('duty_rate'));
+  const excise = round((customsValue + duty) * percent('excise_rate'));
+  const environmentalLevy = round(customsValue * percent('environmental_levy_rate'));
+  const vat = round((customsValue + duty + excise + environmentalLevy) * percent('vat_rate'));
+
+  return {
+    duty,
+    excise,
+    environmental_levy: environmentalLevy,
+    vat,
+    total: round(duty + excise + environmentalLevy + vat)
+  };
+};
+
+/**
+ * Estimate duties and taxes for lines given as HS code, customs value and origin
+ * @param {Array<Object>} items - { id, hs_code, customs_value, origin_country } per line; customs values in the base currency
+ * @param {Object} [options] - Options
+ * @param {Date|string} [options.date] - Date the rates must be effective on (defaults to today)
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @returns {Promise<Object>} { currency, date, lines, totals, lines_without_rate }
+ */
+const estimateDuties = async (items, { date, transaction } = {}) => {
+  const rateDate = toDateOnly(date);
+  const rates = new Map();
+
+  const lines = [];
+  for (const item of items) {
+    const customsValue = item.customs_value === null || item.customs_value === undefined
+      ? null
+      : round(parseFloat(item.customs_value) || 0);
+    const line = {
+      id: item.id ?? null,
+      hs_code: item.hs_code || null,
+      origin_country: item.origin_country || null,
+      customs_value: customsValue,
+      tariff_rate_id: null,
+      tariff_line: null,
+      rates: null,
+      duty: 0,
+      excise: 0,
+      environmental_levy: 0,
+      vat: 0,
+      total: 0,
+      error: item.error || null
+    };
+
+    if (!line.error && !line.hs_code) line.error = 'The line has no HS code';
+    if (!line.error && customsValue === null) line.error = 'The line has no customs value';
+    if (!line.error) {
+      const key = `${line.hs_code}|${line.origin_country || ''}`;
+      if (!rates.has(key)) {
+        rates.set(key, await findTariffRate(line.hs_code, line.origin_country, rateDate, { transaction }));
+      }
+      const rate = rates.get(key);
+
+      if (rate) {
+        Object.assign(line, {
+          tariff_rate_id: rate.id,
+          tariff_line: rate.tariff_line,
+          rates: {
+            duty: parseFloat(rate.duty_rate),
+            excise: parseFloat(rate.excise_rate),
+            environmental_levy: parseFloat(rate.environmental_levy_rate),
+            vat: parseFloat(rate.vat_rate),
+            effective_date: rate.effective_date
+          },
+          ...calculateDuties(rate, customsValue)
+        });
+      } else {
+        line.error = `No tariff rate for ${line.hs_code} effective on ${rateDate}`;
+      }
+    }
+    lines.push(line);
+  }
+
+  // Lines in error are left out of every total, their customs value included
+  const estimated = lines.filter(line => !line.error);
+  const sum = field => round(estimated.reduce((total, line) => total + (line[field] || 0), 0));
+  return {
+    currency: currencyService.BASE_CURRENCY,
+    date: rateDate,
+    lines,
+    totals: {
+      customs_value: sum('customs_value'),
+      duty: sum('duty'),
+      excise: sum('excise'),
+      environmental_levy: sum('environmental_levy'),
+      vat: sum('vat'),
+      total: sum('total')
+    },
+    // Lines left out of the totals; the estimate is incomplete while any remain
+    lines_without_rate: lines.filter(line => line.error).length
+  };
+};
+
+/**
+ * Estimate the duties and taxes of an invoice at the rates effective on its date.
+ * Each line's customs value is its total converted into the base currency at the invoice date rate.
+ * @param {Object} invoice - Invoice instance with its invoice_lines
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transaction] - Optional Sequelize transaction
+ * @param {boolean} [options.save=false] - Store the totals on the invoice (duty_estimate) for the PDF declaration
+ *   and reports; ignored once the invoice is no longer editable, so a submitted estimate stays as declared
+ * @returns {Promise<Object>} Estimate (see estimateDuties) with the invoice ID
+ */
+const estimateInvoiceDuties = async (invoice, { transaction, save = false } = {}) => {
+  const rateDate = invoice.invoice_date || new Date();
+
+  const items = [];
+  for (const line of invoice.invoice_lines || []) {
+    const item = { id: line.id, hs_code: line.hs_code, origin_country: line.origin_country, customs_value: null };
+    try {
+      const { amount } = await currencyService.convertAmount(
+        (parseFloat(line.quantity) || 0) * (parseFloat(line.unit_price) || 0),
+        line.currency || invoice.currency,
+        currencyService.BASE_CURRENCY,
+        rateDate,
+        { transaction }
+      );
+      item.customs_value = amount;
+    } catch (error) {
+      if (error.status !== 422) throw error;
+      item.error = error.message;
+    }
+    items.push(item);
+  }
+
+  const estimate = await estimateDuties(items, { date: rateDate, transaction });
+
+  if (save && EDITABLE_STATUSES.includes(invoice.status)) {
+    await invoice.update({
+      duty_estimate: {
+        currency: estimate.currency,
+        date: estimate.date,
+        ...estimate.totals,
+        lines_without_rate: estimate.lines_without_rate,
+        estimated_at: new Date().toISOString()
+      }
+    }, { transaction });
+
+    logger.info('Invoice duties estimated', {
+      invoiceId: invoice.id,
+      total: estimate.totals.total,
+      linesWithoutRate: estimate.lines_without_rate
+    });
+  }
+  return { invoice_id: invoice.id, ...estimate };
+};
+
+/**
+ * Estimate again the duties stored on editable invoices after their line codes changed, so documents and reports
+ * use the rates of the new codes. Invoices without a stored estimate are left alone.
+ * @param {Array<number>} invoiceIds - Invoices whose lines changed
+ * @param {Object} [options] - Options
+ * @param {Object} [options.transaction] - Sequelize transaction of the change
+ * @returns {Promise<number>} Number of estimates stored
+ */
+const refreshStoredEstimates = async (invoiceIds, { transaction } = {}) => {
+  const ids = [...new Set(invoiceIds)];
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const invoices = await Invoice.findAll({
+    where: {
+      id: { [Op.in]: ids },
+      status: { [Op.in]: EDITABLE_STATUSES },
+      duty_estimate: { [Op.ne]: null }
+    },
+    include: [{ model: InvoiceLine, as: 'invoice_lines' }],
+    order: [['id', 'ASC'], [{ model: InvoiceLine, as: 'invoice_lines' }, 'id', 'ASC']],
+    transaction
+  });
+  for (const invoice of invoices) {
+    await estimateInvoiceDuties(invoice, { transaction, save: true });
+  }
+  return invoices.length;
+};
+
+module.exports = {
+  parseTariffRows,
+  loadTariffRates,
+  listTariffRates,
+  findTariffRate,
+  calculateDuties,
+  estimateDuties,
+  estimateInvoiceDuties,
+  refreshStoredEstimates
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+const winston = require('winston');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { httpError } = require('../utils/httpError');
+const { ThresholdRule, Organization } = db;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'threshold-rule-service' },
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/threshold-rules.log' })
+  ]
+});
+
+// Threshold used when no rule matches
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.7;
+
+// Fields an admin may set on a rule
+const RULE_FIELDS = ['organization_id', 'hs_prefix', 'min_invoice_value', 'max_invoice_value', 'threshold', 'description', 'active'];
+
+/**
+ * HS code or prefix as bare digits ('84.71' -> '8471')
+ * @param {string} value - HS code or prefix
+ * @returns {string} Digits, or '' when there are none
+ */
+const hsDigits = (value) => String(value ?? '').replace(/\D/g, '');
+
+/**
+ * Numeric value of an optional decimal column
+ * @param {*} value - Column value
+ * @returns {number|null} Number, or null when unset
+ */
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Whether a rule applies to a classification
+ * @param {Object} rule - Threshold rule
+ * @param {Object} context
+ * @param {string} context.hsCode - Classified HS code
+ * @param {number|null} [context.invoiceValue] - Invoice customs value in the base currency
+ * @returns {boolean} True when every scope of the rule matches
+ */
+const ruleMatches = (rule, { hsCode, invoiceValue }) => {
+  if (rule.hs_prefix && !hsDigits(hsCode).startsWith(rule.hs_prefix)) {
+    return false;
+  }
+
+  const min = toNumber(rule.min_invoice_value);
+  const max = toNumber(rule.max_invoice_value);
+  if (min === null && max === null) {
+    return true;
+  }
+  // A value band cannot be checked without the invoice value
+  if (invoiceValue === null || invoiceValue === undefined || Number.isNaN(Number(invoiceValue))) {
+    return false;
+  }
+  return (min === null || Number(invoiceValue) >= min) && (max === null || Number(invoiceValue) < max);
+};
+
+/**
+ * How specific a rule is: its own organization first, then the longest HS prefix, then a value band
+ * @param {Object} rule - Threshold rule
+ * @returns {Array<number>} Sort key, compared element by element
+ */
+const specificity = (rule) => [
+  rule.organization_id ? 1 : 0,
+  rule.hs_prefix ? rule.hs_prefix.length : 0,
+  toNumber(rule.min_invoice_value) !== null || toNumber(rule.max_invoice_value) !== null ? 1 : 0,
+  rule.id || 0
+];
+
+/**
+ * Order rules from most to least specific
+ * @param {Object} a - Threshold rule
+ * @param {Object} b - Threshold rule
+ * @returns {number} Sort comparison
+ */
+const bySpecificity = (a, b) => {
+  const keyA = specificity(a);
+  const keyB = specificity(b);
+  const index = keyA.findIndex((value, position) => value !== keyB[position]);
+  return index === -1 ? 0 : keyB[index] - keyA[index];
+};
+
+/**
+ * Pick the most specific rule that applies. Ties go to the newest rule.
+ * @param {Array<Object>} rules - Active rules of the organization and global rules
+ * @param {Object} context - { hsCode, invoiceValue }
+ * @returns {Object|null} Matching rule, or null
+ */
+const pickRule = (rules, context) => rules
+  .filter(rule => ruleMatches(rule, context))
+  .sort(bySpecificity)[0] || null;
+
+/**
+ * Load the active rules that can apply to an organization's classifications
+ * @param {number|null} [organizationId] - Organization, or none for the global rules only
+ * @returns {Promise<Array<Object>>} Plain rule objects
+ */
+const loadRules = async (organizationId) => {
+  return ThresholdRule.findAll({
+    where: {
+      active: true,
+      organization_id: organizationId ? { [Op.or]: [null, organizationId] } : null
+    },
+    raw: true
+  });
+};
+
+/**
+ * Confidence a classification needs to skip review
+ * @param {Object} context
+ * @param {number|null} [context.organizationId] - Organization of the invoice owner
+ * @param {string} context.hsCode - Classified HS code
+ * @param {number|null} [context.invoiceValue] - Invoice customs value in the base currency
+ * @param {Array<Object>} [context.rules] - Rules from loadRules, to avoid reloading them per line
+ * @returns {Promise<Object>} { threshold, rule_id } where rule_id is null when CONFIDENCE_THRESHOLD applies
+ */
+const resolveThreshold = async ({ organizationId, hsCode, invoiceValue, rules }) => {
+  const rule = pickRule(rules || await loadRules(organizationId), { hsCode, invoiceValue });
+  return rule
+    ? { threshold: Number(rule.threshold), rule_id: rule.id }
+    : { threshold: CONFIDENCE_THRESHOLD, rule_id: null };
+};
+
+/**
+ * Check and clean rule fields from an admin
+ * @param {Object} data - Rule fields
+ * @returns {Promise<Object>} Fields to store
+ */
+const prepareRule = async (data) => {
+  const fields = {};
+  for (const field of RULE_FIELDS.filter(name => data[name] !== undefined)) {
+    fields[field] = data[field];
+  }
+
+  if (fields.hs_prefix !== undefined) {
+    fields.hs_prefix = hsDigits(fields.hs_prefix) || null;
+    if (fields.hs_prefix && ![2, 4, 6].includes(fields.hs_prefix.length)) {
+      throw httpError('HS prefix must be a chapter (2 digits), heading (4) or subheading (6)', 422);
+    }
+  }
+
+  if (fields.organization_id) {
+    const organization = await Organization.findByPk(fields.organization_id, { attributes: ['id'] });
+    if (!organization) {
+      throw httpError(`Organization with ID ${fields.organization_id} not found`, 422);
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Reject a value band whose lower bound is not below its upper bound
+ * @param {Object} rule - Rule fields after the change
+ */
+const assertValueBand = (rule) => {
+  const min = toNumber(rule.min_invoice_value);
+  const max = toNumber(rule.max_invoice_value);
+  if (min !== null && max !== null && min >= max) {
+    throw httpError('Minimum invoice value must be below the maximum', 422);
+  }
+};
+
+/**
+ * List threshold rules
+ * @param {Object} [filters]
+ * @param {number} [filters.organizationId] - Only this organization's rules and the global ones
+ * @returns {Promise<Array<Object>>} Rules, global ones first, then by organization and HS prefix
+ */
+const listRules = async ({ organizationId } = {}) => {
+  const where = organizationId ? { organization_id: { [Op.or]: [null, organizationId] } } : {};
+  return ThresholdRule.findAll({
+    where,
+    include: [{ model: Organization, as: 'organization', attributes: ['id', 'name'] }],
+    order: [['organization_id', 'ASC NULLS FIRST'], ['hs_prefix', 'ASC NULLS FIRST'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Create a threshold rule
+ * @param {Object} data - Rule fields
+ * @param {number} userId - Admin creating the rule
+ * @returns {Promise<Object>} Created rule
+ */
+const createRule = async (data, userId) => {
+  const fields = await prepareRule(data);
+  assertValueBand(fields);
+
+  const rule = await ThresholdRule.create({ ...fields, created_by: userId });
+  logger.info('Threshold rule created', { ruleId: rule.id, userId, ...fields });
+  return rule;
+};
+
+/**
+ * Update a threshold rule
+ * @param {number} id - Rule ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - Admin making the change
+ * @returns {Promise<Object>} Updated rule
+ */
+const updateRule = async (id, data, userId) => {
+  const rule = await ThresholdRule.findByPk(id);
+  if (!rule) {
+    throw httpError(`Threshold rule with ID ${id} not found`, 404);
+  }
+
+  const fields = await prepareRule(data);
+  assertValueBand({ ...rule.get({ plain: true }), ...fields });
+
+  await rule.update(fields);
+  logger.info('Threshold rule updated', { ruleId: rule.id, userId, ...fields });
+  return rule;
+};
+
+/**
+ * Delete a threshold rule. Lines it decided keep their recorded threshold.
+ * @param {number} id - Rule ID
+ * @param {number} userId - Admin deleting the rule
+ */
+const deleteRule = async (id, userId) => {
+  const rule = await ThresholdRule.findByPk(id);
+  if (!rule) {
+    throw httpError(`Threshold rule with ID ${id} not found`, 404);
+  }
+
+  await rule.destroy();
+  logger.info('Threshold rule deleted', { ruleId: id, userId });
+};
+
+module.exports = {
+  CONFIDENCE_THRESHOLD,
+  pickRule,
+  loadRules,
+  resolveThreshold,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
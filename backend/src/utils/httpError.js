@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Build an error carrying an HTTP status for the route handler
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  httpError
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const { body, validationResult } = require('express-validator');
+const { UNITS_OF_MEASURE, PACKAGE_TYPES } = require('../constants/customsCodes');
+const hsNomenclatureService = require('../services/hsNomenclatureService');
+
+/**
+ * Build the express-validator chains for invoice line fields.
+ * Shared by the invoice line routes and the spreadsheet importer so that
+ * a line is accepted or rejected by the same rules wherever it comes from.
+ * @param {Object} [options] - Chain options
+ * @param {string} [options.prefix=''] - Field path prefix (e.g. '*.' for array bodies)
+ * @param {boolean} [options.partial=false] - Make every field optional (bulk update semantics)
+ * @returns {Array<Function>} express-validator chains
+ */
+const invoiceLineRules = ({ prefix = '', partial = false } = {}) => {
+  const field = (name) => body(`${prefix}${name}`);
+
+  const description = partial
+    ? field('description').optional().trim().notEmpty().withMessage('Line description cannot be empty').escape()
+    : field('description').trim().notEmpty().withMessage('Description is required').escape();
+
+  const quantity = partial
+    ? field('quantity').optional().isInt({ gt: 0 }).withMessage('Line quantity must be a positive integer').toInt()
+    : field('quantity').isInt({ gt: 0 }).withMessage('Quantity must be a positive integer').toInt();
+
+  const unitPrice = partial
+    ? field('unit_price').optional().isFloat({ gt: 0 }).withMessage('Line unit price must be a positive number').toFloat()
+    : field('unit_price').isFloat({ gt: 0 }).withMessage('Unit price must be a positive number').toFloat();
+
+  return [
+    description,
+    field('sku').optional({ values: 'falsy' }).trim()
+      .isLength({ max: 100 }).withMessage('SKU must be at most 100 characters'),
+    quantity,
+    unitPrice,
+    field('currency').optional({ values: 'falsy' }).trim().toUpperCase()
+      .isISO4217().withMessage('Line currency must be an ISO 4217 code'),
+    // Optional HS code, checked against the nomenclature and stored in its normalized form
+    field('hs_code').optional({ values: 'falsy' }).trim()
+      .custom(hsCode => hsNomenclatureService.validateHsCode(hsCode))
+      .customSanitizer(hsCode => hsNomenclatureService.normalizeHsCode(hsCode)),
+    field('origin_country').optional({ values: 'falsy' }).trim().toUpperCase()
+      .isISO31661Alpha2().withMessage('Origin country must be an ISO 3166-1 alpha-2 code'),
+    field('gross_weight').optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Gross weight must be a non-negative number (kg)').toFloat(),
+    field('net_weight').optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Net weight must be a non-negative number (kg)').toFloat()
+      .custom((netWeight, { req, path }) => {
+        // Compare against the gross weight of the same line (path is e.g. '[2].net_weight')
+        const grossPath = path.replace(/net_weight$/, 'gross_weight');
+        const grossWeight = grossPath.split(/[.[\]]+/).filter(Boolean)
+          .reduce((value, key) => (value === undefined || value === null ? value : value[key]), req.body);
+        if (grossWeight !== undefined && grossWeight !== null && parseFloat(netWeight) > parseFloat(grossWeight)) {
+          throw new Error('Net weight cannot exceed gross weight');
+        }
+        return true;
+      }),
+    field('uom').optional({ values: 'falsy' }).trim().toUpperCase()
+      .isIn(Object.keys(UNITS_OF_MEASURE)).withMessage('Unit of measure must be a UN/ECE Rec 20 code (e.g. NAR, KGM, LTR)'),
+    field('package_count').optional({ values: 'null' })
+      .isInt({ min: 0 }).withMessage('Package count must be a non-negative integer').toInt(),
+    field('package_type').optional({ values: 'falsy' }).trim().toUpperCase()
+      .isIn(Object.keys(PACKAGE_TYPES)).withMessage('Package type must be a UN/ECE Rec 21 code (e.g. CT, PX, BX)')
+  ];
+};
+
+/**
+ * Validate a single invoice line object outside of a request, e.g. a spreadsheet row.
+ * @param {Object} line - Raw line data
+ * @returns {Promise<Object>} { valid, errors, line } where line holds the sanitized values
+ */
+const validateInvoiceLine = async (line) => {
+  // express-validator only needs an object exposing the validated location
+  const req = { body: { ...line } };
+
+  for (const chain of invoiceLineRules()) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map(err => ({
+    field: err.path,
+    message: err.msg,
+    value: err.value
+  }));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    line: req.body
+  };
+};
+
+module.exports = {
+  invoiceLineRules,
+  validateInvoiceLine
+};
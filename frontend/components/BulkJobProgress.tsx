@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import Link from 'next/link';
+
+interface BulkJobItem {
+  invoice_id: number;
+  status: 'Pending' | 'Succeeded' | 'Failed';
+  error: string | null;
+  attempts: number;
+}
+
+interface BulkJob {
+  id: number;
+  action: string;
+  status: string;
+  total: number;
+  processed: number;
+  succeeded: number;
+  failed: number;
+  items: BulkJobItem[];
+  error: string | null;
+}
+
+interface BulkJobProgressProps {
+  jobId: number;
+  onFinished?: () => void;
+  onDismiss: () => void;
+}
+
+const ACTION_LABELS: Record<string, string> = {
+  classify: 'Classifying',
+  generate: 'Generating documents for',
+  submit: 'Submitting',
+};
+
+const ACTIVE_STATUSES = ['Queued', 'Running'];
+const POLL_INTERVAL_MS = 2000;
+
+const BulkJobProgress: React.FC<BulkJobProgressProps> = ({ jobId, onFinished, onDismiss }) => {
+  const [job, setJob] = useState<BulkJob | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [resuming, setResuming] = useState<boolean>(false);
+  const [cancelling, setCancelling] = useState<boolean>(false);
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
+
+  const fetchJob = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/v1/bulk-jobs/${jobId}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch job progress');
+      }
+      setJob(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while loading job progress');
+    }
+  }, [jobId]);
+
+  useEffect(() => {
+    fetchJob();
+  }, [fetchJob]);
+
+  const active = !job || ACTIVE_STATUSES.includes(job.status);
+
+  // Poll while the job is queued or running, and refresh the list once it stops
+  useEffect(() => {
+    if (!active) {
+      onFinishedRef.current?.();
+      return undefined;
+    }
+    const timer = setInterval(fetchJob, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [active, fetchJob]);
+
+  const handleResume = async () => {
+    setResuming(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/v1/bulk-jobs/${jobId}/resume`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to resume job');
+      }
+      setJob(data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while resuming the job');
+    } finally {
+      setResuming(false);
+    }
+  };
+
+  // A running job stops after the invoice in progress; polling picks up the Cancelled status
+  const handleCancel = async () => {
+    setCancelling(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/v1/bulk-jobs/${jobId}/cancel`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to cancel job');
+      }
+      setJob(data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while cancelling the job');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const failedItems = job ? job.items.filter((item) => item.status === 'Failed') : [];
+  const canResume = job && !active && (failedItems.length > 0 || job.processed < job.total);
+  const percent = job && job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0;
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-4 mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="font-bold text-gray-800">
+          {job ? `${ACTION_LABELS[job.action] || job.action} ${job.total} invoices` : 'Loading job...'}
+        </h2>
+        {active ? (
+          job && (
+            <button
+              onClick={handleCancel}
+              disabled={cancelling}
+              className="text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+            >
+              {cancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          )
+        ) : (
+          <button onClick={onDismiss} className="text-sm text-gray-600 hover:text-gray-800">
+            Dismiss
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded mb-2 text-sm" role="alert">
+          {error}
+        </div>
+      )}
+
+      {job && (
+        <>
+          <div className="w-full bg-gray-200 rounded h-2 mb-2">
+            <div
+              className={`h-2 rounded ${job.failed > 0 ? 'bg-yellow-500' : 'bg-blue-500'}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <p className="text-sm text-gray-600 mb-2">
+            {job.status} &middot; {job.processed} of {job.total} processed, {job.succeeded} succeeded, {job.failed} failed
+          </p>
+          {job.error && <p className="text-sm text-red-700 mb-2">{job.error}</p>}
+
+          {failedItems.length > 0 && (
+            <ul className="text-sm text-red-700 mb-2 max-h-40 overflow-y-auto">
+              {failedItems.map((item) => (
+                <li key={item.invoice_id}>
+                  <Link href={`/invoices/${item.invoice_id}`} className="underline">
+                    Invoice {item.invoice_id}
+                  </Link>
+                  : {item.error}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canResume && (
+            <button
+              onClick={handleResume}
+              disabled={resuming}
+              className="bg-blue-500 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded disabled:opacity-50"
+            >
+              {resuming ? 'Resuming...' : failedItems.length > 0 ? 'Retry Failed Invoices' : 'Resume'}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BulkJobProgress;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+
+export interface DeniedPartyMatch {
+  role: 'supplier' | 'consignee';
+  screened_name: string;
+  party_id: number;
+  list: string;
+  list_entry_id: string;
+  listed_name: string;
+  matched_name: string;
+  entity_type: string | null;
+  programs: string[];
+  score: number;
+  status: 'open' | 'cleared' | 'confirmed';
+  review_reason?: string | null;
+}
+
+interface DeniedPartyWarningProps {
+  invoiceId: number;
+  status: string;
+  matches: DeniedPartyMatch[];
+  onResolved: (status: string, matches: DeniedPartyMatch[]) => void;
+}
+
+const LIST_NAMES: Record<string, string> = {
+  ofac_sdn: 'OFAC SDN',
+  un_consolidated: 'UN consolidated list',
+};
+
+const DeniedPartyWarning: React.FC<DeniedPartyWarningProps> = ({ invoiceId, status, matches, onResolved }) => {
+  const [updating, setUpdating] = useState<string | null>(null);
+  const [reasons, setReasons] = useState<Record<string, string>>({});
+  const [error, setError] = useState<string | null>(null);
+
+  const matchKey = (match: DeniedPartyMatch) => `${match.role}:${match.party_id}`;
+
+  const resolve = async (match: DeniedPartyMatch, action: 'clear' | 'confirm') => {
+    const key = matchKey(match);
+    setUpdating(key);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/denied-parties/reviews/${invoiceId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ role: match.role, party_id: match.party_id, action, reason: reasons[key] || null }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to review the denied-party match');
+      }
+
+      const data = await response.json();
+      onResolved(data.denied_party_status, data.denied_party_matches);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while reviewing the denied-party match');
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const openMatches = matches.filter((match) => match.status === 'open');
+
+  if (status === 'Confirmed') {
+    return (
+      <div className="bg-red-50 border border-red-300 text-red-800 px-4 py-3 rounded mb-6" role="alert">
+        {matches.filter((match) => match.status === 'confirmed').map((match) => (
+          <p key={matchKey(match)}>
+            The {match.role} {match.screened_name} was confirmed as {match.listed_name} on the{' '}
+            {LIST_NAMES[match.list] || match.list}. This invoice cannot be submitted.
+          </p>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-6" role="alert">
+      <p className="mb-2">
+        The parties on this invoice resemble entries on a denied-party list. It cannot be submitted until a compliance
+        reviewer clears or confirms each match.
+      </p>
+
+      {error && <p className="text-red-700 text-sm mb-2">{error}</p>}
+
+      <ul className="text-sm">
+        {openMatches.map((match) => {
+          const key = matchKey(match);
+          return (
+            <li key={key} className="mb-3">
+              <p>
+                <span className="font-medium capitalize">{match.role}</span> {match.screened_name} resembles{' '}
+                <span className="font-medium">{match.listed_name}</span>
+                {match.matched_name !== match.listed_name && <span> (as {match.matched_name})</span>} on the{' '}
+                {LIST_NAMES[match.list] || match.list}, entry {match.list_entry_id}
+                {match.programs.length > 0 && <span>, {match.programs.join(', ')}</span>} (similarity{' '}
+                {Math.round(Number(match.score) * 100)}%)
+              </p>
+              <div className="flex flex-wrap items-center gap-2 mt-1">
+                <input
+                  type="text"
+                  value={reasons[key] || ''}
+                  onChange={(e) => setReasons({ ...reasons, [key]: e.target.value })}
+                  placeholder="Reason"
+                  maxLength={500}
+                  className="border rounded px-2 py-1 text-gray-800"
+                />
+                <button
+                  onClick={() => resolve(match, 'confirm')}
+                  disabled={updating === key}
+                  className="bg-red-500 hover:bg-red-700 text-white font-bold py-1 px-3 rounded disabled:opacity-50"
+                >
+                  Confirm Match
+                </button>
+                <button
+                  onClick={() => resolve(match, 'clear')}
+                  disabled={updating === key}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded disabled:opacity-50"
+                >
+                  False Positive
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default DeniedPartyWarning;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import Link from 'next/link';
+
+interface DuplicateWarningProps {
+  invoiceId: number;
+  duplicateStatus: string;
+  duplicateOfId: number;
+  duplicateScore?: number | null;
+  onResolved: (duplicateStatus: string) => void;
+}
+
+const DuplicateWarning: React.FC<DuplicateWarningProps> = ({
+  invoiceId,
+  duplicateStatus,
+  duplicateOfId,
+  duplicateScore,
+  onResolved,
+}) => {
+  const [updating, setUpdating] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const resolve = async (action: 'confirm' | 'dismiss') => {
+    setUpdating(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/duplicate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ action }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to resolve the duplicate match');
+      }
+
+      const data = await response.json();
+      onResolved(data.duplicate_status);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while resolving the duplicate match');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const duplicateLink = (
+    <Link href={`/invoices/${duplicateOfId}`} className="underline font-medium">
+      invoice #{duplicateOfId}
+    </Link>
+  );
+
+  if (duplicateStatus === 'Confirmed') {
+    return (
+      <div className="bg-gray-100 border border-gray-300 text-gray-700 px-4 py-3 rounded mb-6" role="alert">
+        This invoice was confirmed as a duplicate of {duplicateLink} and cannot be submitted.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-6" role="alert">
+      <p className="mb-2">
+        This invoice looks like a duplicate of {duplicateLink}
+        {duplicateScore !== null && duplicateScore !== undefined && (
+          <span> (similarity {Math.round(Number(duplicateScore) * 100)}%)</span>
+        )}
+        . It cannot be submitted until the match is confirmed or dismissed.
+      </p>
+
+      {error && <p className="text-red-700 text-sm mb-2">{error}</p>}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={() => resolve('confirm')}
+          disabled={updating}
+          className="bg-red-500 hover:bg-red-700 text-white font-bold py-1 px-3 rounded disabled:opacity-50"
+        >
+          Confirm Duplicate
+        </button>
+        <button
+          onClick={() => resolve('dismiss')}
+          disabled={updating}
+          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded disabled:opacity-50"
+        >
+          Not a Duplicate
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateWarning;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatMoney } from '../utils/currency';
+
+interface DutyEstimateLine {
+  id: number | null;
+  hs_code: string | null;
+  origin_country: string | null;
+  customs_value: number | null;
+  tariff_line: string | null;
+  rates: { duty: number; excise: number; environmental_levy: number; vat: number; effective_date: string } | null;
+  duty: number;
+  excise: number;
+  environmental_levy: number;
+  vat: number;
+  total: number;
+  error: string | null;
+}
+
+interface DutyAmounts {
+  customs_value: number;
+  duty: number;
+  excise: number;
+  environmental_levy: number;
+  vat: number;
+  total: number;
+}
+
+interface DutyEstimateData {
+  currency: string;
+  date: string;
+  lines: DutyEstimateLine[];
+  totals: DutyAmounts;
+  lines_without_rate: number;
+}
+
+interface DutyEstimateProps {
+  invoiceId: number;
+  // Changes whenever the lines may have changed, so the estimate is refreshed
+  updatedAt: string;
+}
+
+const DutyEstimate: React.FC<DutyEstimateProps> = ({ invoiceId, updatedAt }) => {
+  const [estimate, setEstimate] = useState<DutyEstimateData | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchEstimate = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/duty-estimate`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to estimate duties');
+      }
+      setEstimate(data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while estimating duties');
+    } finally {
+      setLoading(false);
+    }
+  }, [invoiceId]);
+
+  useEffect(() => {
+    fetchEstimate();
+  }, [fetchEstimate, updatedAt]);
+
+  const money = (amount: number | null) => (amount === null ? '-' : formatMoney(amount, estimate?.currency));
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-800">Estimated Duties and Taxes</h2>
+        <button onClick={fetchEstimate} disabled={loading} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+          {loading ? 'Estimating...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded mb-4 text-sm" role="alert">
+          {error}
+        </div>
+      )}
+
+      {estimate && (
+        <>
+          <p className="text-sm text-gray-600 mb-2">
+            Rates effective {estimate.date}, amounts in {estimate.currency}.
+            {estimate.lines_without_rate > 0 && (
+              <span className="text-yellow-700"> {estimate.lines_without_rate} line(s) could not be estimated and are left out of the totals.</span>
+            )}
+          </p>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-2">HS Code</th>
+                <th className="py-2 pr-2">Origin</th>
+                <th className="py-2 pr-2 text-right">Customs Value</th>
+                <th className="py-2 pr-2 text-right">Duty</th>
+                <th className="py-2 pr-2 text-right">Excise</th>
+                <th className="py-2 pr-2 text-right">Env. Levy</th>
+                <th className="py-2 pr-2 text-right">VAT/ABST</th>
+                <th className="py-2 text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {estimate.lines.map((line, index) => (
+                <tr key={line.id ?? index} className="border-b">
+                  <td className="py-2 pr-2">{line.hs_code || '-'}</td>
+                  <td className="py-2 pr-2">{line.origin_country || '-'}</td>
+                  <td className="py-2 pr-2 text-right">{money(line.customs_value)}</td>
+                  {line.error ? (
+                    <td colSpan={5} className="py-2 text-yellow-700">{line.error}</td>
+                  ) : (
+                    <>
+                      <td className="py-2 pr-2 text-right" title={`${line.rates?.duty}%`}>{money(line.duty)}</td>
+                      <td className="py-2 pr-2 text-right" title={`${line.rates?.excise}%`}>{money(line.excise)}</td>
+                      <td className="py-2 pr-2 text-right" title={`${line.rates?.environmental_levy}%`}>{money(line.environmental_levy)}</td>
+                      <td className="py-2 pr-2 text-right" title={`${line.rates?.vat}%`}>{money(line.vat)}</td>
+                      <td className="py-2 text-right">{money(line.total)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-bold">
+                <td colSpan={2} className="py-2 pr-2 text-right">Totals</td>
+                <td className="py-2 pr-2 text-right">{money(estimate.totals.customs_value)}</td>
+                <td className="py-2 pr-2 text-right">{money(estimate.totals.duty)}</td>
+                <td className="py-2 pr-2 text-right">{money(estimate.totals.excise)}</td>
+                <td className="py-2 pr-2 text-right">{money(estimate.totals.environmental_levy)}</td>
+                <td className="py-2 pr-2 text-right">{money(estimate.totals.vat)}</td>
+                <td className="py-2 text-right">{money(estimate.totals.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DutyEstimate;
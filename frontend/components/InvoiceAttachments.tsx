@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { arrayBufferToBase64 } from '../utils/files';
+
+interface Attachment {
+  id: number;
+  category: string;
+  filename: string;
+  mime_type: string;
+  size_bytes: number;
+  description: string | null;
+  include_in_submission: boolean;
+  scan_status: string;
+  created_at: string;
+  user?: { id: number; full_name: string; email: string } | null;
+}
+
+interface InvoiceAttachmentsProps {
+  invoiceId: number;
+}
+
+// Keep in sync with ATTACHMENT_CATEGORIES in the backend attachmentService
+const ATTACHMENT_CATEGORIES: { value: string; label: string }[] = [
+  { value: 'PackingList', label: 'Packing List' },
+  { value: 'BillOfLading', label: 'Bill of Lading' },
+  { value: 'AirWaybill', label: 'Air Waybill' },
+  { value: 'CertificateOfOrigin', label: 'Certificate of Origin' },
+  { value: 'ImportLicence', label: 'Import Licence' },
+  { value: 'InsuranceCertificate', label: 'Insurance Certificate' },
+  { value: 'Other', label: 'Other' },
+];
+
+const ACCEPTED_EXTENSIONS = '.pdf,.png,.jpg,.jpeg,.tif,.tiff,.xlsx,.docx,.csv,.txt,.xml';
+
+const categoryLabel = (category: string) =>
+  ATTACHMENT_CATEGORIES.find((option) => option.value === category)?.label || category;
+
+const formatSize = (bytes: number) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+const InvoiceAttachments: React.FC<InvoiceAttachmentsProps> = ({ invoiceId }) => {
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [category, setCategory] = useState<string>('PackingList');
+  const [description, setDescription] = useState<string>('');
+  const [includeInSubmission, setIncludeInSubmission] = useState<boolean>(false);
+  const [uploading, setUploading] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/attachments`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch attachments');
+      }
+      setAttachments(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while loading attachments');
+    }
+  }, [invoiceId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const file = fileInputRef.current?.files?.[0];
+    if (!file) {
+      setError('Choose a file to attach');
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          category,
+          description: description || undefined,
+          include_in_submission: includeInSubmission,
+          file: { name: file.name, content: arrayBufferToBase64(await file.arrayBuffer()) },
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.details?.[0]?.message || errorData.message || 'Failed to upload attachment');
+      }
+
+      setDescription('');
+      setIncludeInSubmission(false);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+      fetchAttachments();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while uploading the attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (attachment: Attachment) => {
+    if (!window.confirm(`Delete ${attachment.filename}?`)) return;
+
+    setError(null);
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/attachments/${attachment.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to delete attachment');
+      }
+      setAttachments(attachments.filter((item) => item.id !== attachment.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while deleting the attachment');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Supporting Documents</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          {error}
+        </div>
+      )}
+
+      {attachments.length === 0 ? (
+        <p className="text-gray-600 mb-4">No supporting documents attached yet.</p>
+      ) : (
+        <table className="min-w-full mb-4 text-sm">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="py-2 px-3 text-left">Document</th>
+              <th className="py-2 px-3 text-left">Type</th>
+              <th className="py-2 px-3 text-left">Size</th>
+              <th className="py-2 px-3 text-left">Sent with declaration</th>
+              <th className="py-2 px-3 text-left">Virus scan</th>
+              <th className="py-2 px-3 text-left">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {attachments.map((attachment) => (
+              <tr key={attachment.id} className="border-t">
+                <td className="py-2 px-3">
+                  <a
+                    href={`/api/v1/invoices/${invoiceId}/attachments/${attachment.id}`}
+                    className="text-blue-600 hover:text-blue-800"
+                  >
+                    {attachment.filename}
+                  </a>
+                  {attachment.description && <p className="text-xs text-gray-500">{attachment.description}</p>}
+                </td>
+                <td className="py-2 px-3">{categoryLabel(attachment.category)}</td>
+                <td className="py-2 px-3">{formatSize(attachment.size_bytes)}</td>
+                <td className="py-2 px-3">{attachment.include_in_submission ? 'Yes (SFTP)' : 'No'}</td>
+                <td className="py-2 px-3">{attachment.scan_status === 'Clean' ? 'Clean' : 'Not scanned'}</td>
+                <td className="py-2 px-3">
+                  <button onClick={() => handleDelete(attachment)} className="text-red-600 hover:text-red-800">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-2 gap-4 border-t pt-4">
+        <div>
+          <label htmlFor="attachment-category" className="block text-gray-700 text-sm font-bold mb-1">Document type</label>
+          <select
+            id="attachment-category"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="shadow border rounded w-full py-2 px-3 text-gray-700"
+          >
+            {ATTACHMENT_CATEGORIES.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="attachment-file" className="block text-gray-700 text-sm font-bold mb-1">File</label>
+          <input id="attachment-file" type="file" accept={ACCEPTED_EXTENSIONS} ref={fileInputRef} className="block w-full text-sm text-gray-700" />
+        </div>
+        <div className="md:col-span-2">
+          <label htmlFor="attachment-description" className="block text-gray-700 text-sm font-bold mb-1">Note (optional)</label>
+          <input
+            id="attachment-description"
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className="shadow border rounded w-full py-2 px-3 text-gray-700"
+          />
+        </div>
+        <div className="md:col-span-2 flex justify-between items-center">
+          <label className="text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={includeInSubmission}
+              onChange={(e) => setIncludeInSubmission(e.target.checked)}
+              className="mr-2"
+            />
+            Send with the declaration (SFTP submissions)
+          </label>
+          <button
+            type="submit"
+            disabled={uploading}
+            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
+          >
+            {uploading ? 'Uploading...' : 'Attach Document'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default InvoiceAttachments;
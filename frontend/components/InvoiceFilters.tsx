@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { INVOICE_STATUSES, statusLabel } from '../utils/invoiceStatus';
+
+export interface InvoiceFilterValues {
+  q: string;
+  status: string;
+  supplier: string;
+  startDate: string;
+  endDate: string;
+  minAmount: string;
+  maxAmount: string;
+  hsChapter: string;
+  flagged: string;
+}
+
+export const EMPTY_INVOICE_FILTERS: InvoiceFilterValues = {
+  q: '',
+  status: '',
+  supplier: '',
+  startDate: '',
+  endDate: '',
+  minAmount: '',
+  maxAmount: '',
+  hsChapter: '',
+  flagged: '',
+};
+
+interface InvoiceFiltersProps {
+  initialValues?: InvoiceFilterValues;
+  onApply: (filters: InvoiceFilterValues) => void;
+}
+
+const inputClass = 'shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline';
+
+const InvoiceFilters: React.FC<InvoiceFiltersProps> = ({ initialValues = EMPTY_INVOICE_FILTERS, onApply }) => {
+  const [values, setValues] = useState<InvoiceFilterValues>(initialValues);
+
+  const setValue = (field: keyof InvoiceFilterValues) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => setValues({ ...values, [field]: e.target.value });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onApply(values);
+  };
+
+  const handleReset = () => {
+    setValues(EMPTY_INVOICE_FILTERS);
+    onApply(EMPTY_INVOICE_FILTERS);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow-md rounded-lg p-4 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <div className="md:col-span-2">
+          <label htmlFor="filter-q" className="block text-gray-700 text-sm font-bold mb-1">Search line descriptions</label>
+          <input id="filter-q" type="text" value={values.q} onChange={setValue('q')} className={inputClass} placeholder="e.g. cotton shirts" />
+        </div>
+        <div>
+          <label htmlFor="filter-supplier" className="block text-gray-700 text-sm font-bold mb-1">Supplier</label>
+          <input id="filter-supplier" type="text" value={values.supplier} onChange={setValue('supplier')} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="filter-status" className="block text-gray-700 text-sm font-bold mb-1">Status</label>
+          <select id="filter-status" value={values.status} onChange={setValue('status')} className={inputClass}>
+            <option value="">Any</option>
+            {INVOICE_STATUSES.map((status) => (
+              <option key={status} value={status}>{statusLabel(status)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="filter-start-date" className="block text-gray-700 text-sm font-bold mb-1">From date</label>
+          <input id="filter-start-date" type="date" value={values.startDate} onChange={setValue('startDate')} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="filter-end-date" className="block text-gray-700 text-sm font-bold mb-1">To date</label>
+          <input id="filter-end-date" type="date" value={values.endDate} onChange={setValue('endDate')} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="filter-min-amount" className="block text-gray-700 text-sm font-bold mb-1">Min amount</label>
+          <input id="filter-min-amount" type="number" min="0" step="0.01" value={values.minAmount} onChange={setValue('minAmount')} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="filter-max-amount" className="block text-gray-700 text-sm font-bold mb-1">Max amount</label>
+          <input id="filter-max-amount" type="number" min="0" step="0.01" value={values.maxAmount} onChange={setValue('maxAmount')} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="filter-hs-chapter" className="block text-gray-700 text-sm font-bold mb-1">HS chapter</label>
+          <input
+            id="filter-hs-chapter"
+            type="text"
+            inputMode="numeric"
+            pattern="[0-9]{2}"
+            maxLength={2}
+            value={values.hsChapter}
+            onChange={setValue('hsChapter')}
+            className={inputClass}
+            placeholder="e.g. 61"
+          />
+        </div>
+        <div>
+          <label htmlFor="filter-flagged" className="block text-gray-700 text-sm font-bold mb-1">Flagged lines</label>
+          <select id="filter-flagged" value={values.flagged} onChange={setValue('flagged')} className={inputClass}>
+            <option value="">Any</option>
+            <option value="true">Has flagged lines</option>
+            <option value="false">No flagged lines</option>
+          </select>
+        </div>
+      </div>
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={handleReset} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded">
+          Reset
+        </button>
+        <button type="submit" className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">
+          Apply Filters
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InvoiceFilters;
@@ -2,32 +2,165 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { AgGridReact } from 'ag-grid-react';
 import 'ag-grid-community/styles/ag-grid.css';
 import 'ag-grid-community/styles/ag-theme-alpine.css';
-import { ColDef, GridReadyEvent, CellEditingStoppedEvent, GridApi, CellClassParams } from 'ag-grid-community';
+import { ColDef, GridReadyEvent, CellEditingStoppedEvent, GridApi, CellClassParams, ITooltipParams } from 'ag-grid-community';
 import * as XLSX from 'xlsx';
+import { CURRENCIES, formatMoney } from '../utils/currency';
+import { UNITS_OF_MEASURE, PACKAGE_TYPES } from '../utils/customsCodes';
+import { arrayBufferToBase64 } from '../utils/files';
 
 interface InvoiceGridProps {
   invoiceId?: number;
+  supplier?: string;
+  currency?: string;
   readOnly?: boolean;
+  // Called after lines are saved or imported, when the invoice total and duplicate flag may have changed
+  onLinesChanged?: () => void;
 }
 
 interface InvoiceLine {
   id?: number;
   invoice_id?: number;
   description: string;
+  sku?: string | null;
   quantity: number;
   unit_price: number;
+  currency?: string | null;
   hs_code?: string;
   classification_method?: string;
   flagged?: boolean;
+  origin_country?: string;
+  gross_weight?: number | null;
+  net_weight?: number | null;
+  uom?: string | null;
+  package_count?: number | null;
+  package_type?: string | null;
+  field_confidence?: Record<string, number> | null;
 }
 
-const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }) => {
+interface HsCodeEntry {
+  code: string;
+  level: string;
+  description: string;
+  declarable: boolean;
+}
+
+interface ImportFilePayload {
+  name: string;
+  content: string;
+}
+
+interface ImportPreview {
+  headers: string[];
+  sampleRows: Record<string, unknown>[];
+  totalRows: number;
+  fields: string[];
+  requiredFields: string[];
+  mapping: Record<string, string>;
+  mappingSource: 'saved' | 'suggested';
+}
+
+interface ClassifyJobItem {
+  index: number;
+  status: 'Pending' | 'Succeeded' | 'Failed';
+  error: string | null;
+  result: { id?: number | null; hs_code: string | null; flagged?: boolean; classification_method?: string } | null;
+}
+
+interface ClassifyJobProgress {
+  id: number;
+  status: string;
+  total: number;
+  processed: number;
+  failed: number;
+  flagged: number;
+}
+
+interface ImportRowReport {
+  row: number;
+  valid: boolean;
+  errors: { field: string; message: string; value?: string }[];
+}
+
+const IMPORT_FIELD_LABELS: Record<string, string> = {
+  description: 'Description',
+  sku: 'SKU',
+  quantity: 'Quantity',
+  unit_price: 'Unit Price',
+  currency: 'Currency',
+  hs_code: 'HS Code',
+  origin_country: 'Country of Origin',
+  gross_weight: 'Gross Weight (kg)',
+  net_weight: 'Net Weight (kg)',
+  uom: 'Unit of Measure',
+  package_count: 'Packages',
+  package_type: 'Package Type'
+};
+
+// Cleared numeric cells are sent as null rather than an empty string
+const parseOptionalNumber = (params: { newValue: string }) => (
+  params.newValue === '' || params.newValue === null || params.newValue === undefined ? null : Number(params.newValue)
+);
+
+const ACTIVE_JOB_STATUSES = ['Queued', 'Running'];
+
+// Split a Server-Sent Events buffer into complete events, returning the unfinished remainder
+const parseEventStream = (buffer: string): { events: { event: string; data: any }[]; rest: string } => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop() || '';
+  const events = blocks
+    .map((block) => {
+      const lines = block.split('\n');
+      const event = lines.find((line) => line.startsWith('event: '))?.slice(7) || 'message';
+      const data = lines.filter((line) => line.startsWith('data: ')).map((line) => line.slice(6)).join('\n');
+      return data ? { event, data: JSON.parse(data) } : null;
+    })
+    .filter((entry): entry is { event: string; data: any } => entry !== null);
+  return { events, rest };
+};
+
+// OCR-extracted values below this confidence are highlighted for review
+const LOW_CONFIDENCE_THRESHOLD = 0.8;
+
+const getFieldConfidence = (params: CellClassParams | ITooltipParams): number | undefined => {
+  const field = (params.colDef as ColDef | undefined)?.field;
+  return field ? params.data?.field_confidence?.[field] : undefined;
+};
+
+const lowConfidenceStyle = (params: CellClassParams) => {
+  const confidence = getFieldConfidence(params);
+  return confidence !== undefined && confidence < LOW_CONFIDENCE_THRESHOLD
+    ? { backgroundColor: '#FFCDD2' }
+    : null;
+};
+
+const confidenceTooltip = (params: ITooltipParams) => {
+  const confidence = getFieldConfidence(params);
+  return confidence !== undefined && confidence < LOW_CONFIDENCE_THRESHOLD
+    ? `OCR confidence ${Math.round(confidence * 100)}% – please check against the original document`
+    : undefined;
+};
+
+const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, supplier, currency = 'USD', readOnly = false, onLinesChanged }) => {
   const [rowData, setRowData] = useState<InvoiceLine[]>([]);
   const [loading, setLoading] = useState<boolean>(false);
   const gridRef = useRef<AgGridReact>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const [gridApi, setGridApi] = useState<GridApi | null>(null);
   const [saveTimeout, setSaveTimeout] = useState<NodeJS.Timeout | null>(null);
+  const [importFilePayload, setImportFilePayload] = useState<ImportFilePayload | null>(null);
+  const [importPreview, setImportPreview] = useState<ImportPreview | null>(null);
+  const [columnMapping, setColumnMapping] = useState<Record<string, string>>({});
+  const [saveMapping, setSaveMapping] = useState<boolean>(true);
+  const [importReport, setImportReport] = useState<ImportRowReport[] | null>(null);
+  const [importing, setImporting] = useState<boolean>(false);
+  const [importError, setImportError] = useState<string | null>(null);
+  // Official nomenclature entry for each HS code on the invoice; null when the code is not in the nomenclature
+  const [hsEntries, setHsEntries] = useState<Record<string, HsCodeEntry | null>>({});
+  const [classifyJob, setClassifyJob] = useState<ClassifyJobProgress | null>(null);
+  const [classifyError, setClassifyError] = useState<string | null>(null);
+  // Grid row of each item of the classification job, by item index
+  const classifyRowsRef = useRef<number[]>([]);
+  const classifyStreamRef = useRef<AbortController | null>(null);
 
   // Column definitions
   const columnDefs: ColDef[] = [
@@ -37,7 +170,16 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
       editable: !readOnly,
       flex: 2,
       minWidth: 200,
-      cellStyle: { wordBreak: 'break-word' }
+      cellStyle: (params: CellClassParams) => ({ wordBreak: 'break-word', ...lowConfidenceStyle(params) }),
+      tooltipValueGetter: confidenceTooltip
+    },
+    {
+      field: 'sku',
+      headerName: 'SKU',
+      headerTooltip: 'Supplier article number',
+      editable: !readOnly,
+      flex: 1,
+      minWidth: 100
     },
     { 
       field: 'quantity', 
@@ -45,7 +187,9 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
       editable: !readOnly,
       type: 'numericColumn',
       flex: 1,
-      minWidth: 100
+      minWidth: 100,
+      cellStyle: lowConfidenceStyle,
+      tooltipValueGetter: confidenceTooltip
     },
     { 
       field: 'unit_price', 
@@ -53,10 +197,23 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
       editable: !readOnly,
       type: 'numericColumn',
       valueFormatter: (params) => {
-        return params.value ? `$${params.value.toFixed(2)}` : '';
+        return params.value ? formatMoney(params.value, params.data.currency || currency) : '';
       },
       flex: 1,
-      minWidth: 120
+      minWidth: 120,
+      cellStyle: lowConfidenceStyle,
+      tooltipValueGetter: confidenceTooltip
+    },
+    {
+      field: 'currency',
+      headerName: 'Currency',
+      editable: !readOnly,
+      cellEditor: 'agSelectCellEditor',
+      cellEditorParams: { values: ['', ...CURRENCIES] },
+      // Blank means the line is billed in the invoice currency
+      valueFormatter: (params) => params.value || currency,
+      flex: 1,
+      minWidth: 90
     },
     { 
       field: 'hs_code', 
@@ -66,7 +223,75 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
       minWidth: 120,
       cellStyle: (params: CellClassParams) => {
         return params.data.flagged ? { backgroundColor: '#FFECB3' } : null;
-      }
+      },
+      tooltipValueGetter: (params: ITooltipParams) => params.value ? hsEntries[params.value]?.description : undefined
+    },
+    {
+      colId: 'hs_description',
+      headerName: 'HS Description',
+      headerTooltip: 'Official description from the HS nomenclature',
+      editable: false,
+      valueGetter: (params) => {
+        const code = params.data?.hs_code;
+        if (!code || !(code in hsEntries)) return '';
+        return hsEntries[code]?.description ?? 'Not in the nomenclature';
+      },
+      tooltipValueGetter: (params: ITooltipParams) => params.value || undefined,
+      flex: 2,
+      minWidth: 200
+    },
+    {
+      field: 'origin_country',
+      headerName: 'Origin',
+      editable: !readOnly,
+      flex: 1,
+      minWidth: 90
+    },
+    {
+      field: 'uom',
+      headerName: 'UOM',
+      headerTooltip: 'Statistical unit of measure',
+      editable: !readOnly,
+      cellEditor: 'agSelectCellEditor',
+      cellEditorParams: { values: ['', ...UNITS_OF_MEASURE] },
+      flex: 1,
+      minWidth: 80
+    },
+    {
+      field: 'package_count',
+      headerName: 'Packages',
+      editable: !readOnly,
+      type: 'numericColumn',
+      valueParser: parseOptionalNumber,
+      flex: 1,
+      minWidth: 100
+    },
+    {
+      field: 'package_type',
+      headerName: 'Pkg Type',
+      editable: !readOnly,
+      cellEditor: 'agSelectCellEditor',
+      cellEditorParams: { values: ['', ...PACKAGE_TYPES] },
+      flex: 1,
+      minWidth: 90
+    },
+    {
+      field: 'gross_weight',
+      headerName: 'Gross kg',
+      editable: !readOnly,
+      type: 'numericColumn',
+      valueParser: parseOptionalNumber,
+      flex: 1,
+      minWidth: 100
+    },
+    {
+      field: 'net_weight',
+      headerName: 'Net kg',
+      editable: !readOnly,
+      type: 'numericColumn',
+      valueParser: parseOptionalNumber,
+      flex: 1,
+      minWidth: 100
     },
     { 
       field: 'classification_method', 
@@ -94,6 +319,27 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
     }
   }, [invoiceId]);
 
+  // Look up the official description of each HS code on the invoice
+  useEffect(() => {
+    const codes = Array.from(new Set(rowData.map((line) => line.hs_code).filter((code): code is string => !!code)));
+    if (codes.length === 0) return;
+
+    let cancelled = false;
+    fetch(`/api/v1/hs-codes/lookup?codes=${encodeURIComponent(codes.join(','))}`)
+      .then((response) => (response.ok ? response.json() : {}))
+      .then((entries: Record<string, HsCodeEntry | null>) => {
+        if (!cancelled) setHsEntries((current) => ({ ...current, ...entries }));
+      })
+      .catch((error) => console.error('Error looking up HS codes:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rowData]);
+
+  // Stop following the classification job when the grid goes away
+  useEffect(() => () => classifyStreamRef.current?.abort(), []);
+
   // Load invoice lines from the API
   const loadInvoiceLines = async () => {
     if (!invoiceId) return;
@@ -131,14 +377,22 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
       
       // Refresh data after save
       loadInvoiceLines();
+      onLinesChanged?.();
     } catch (error) {
       console.error('Error saving invoice lines:', error);
     }
-  }, [invoiceId]);
+  }, [invoiceId, onLinesChanged]);
 
   // Handle cell editing
   const onCellEditingStopped = (event: CellEditingStoppedEvent) => {
     if (readOnly) return;
+
+    // An edited OCR value has been checked by the reviewer, so stop highlighting it
+    const field = event.colDef.field;
+    if (field && event.data?.field_confidence?.[field] !== undefined && event.oldValue !== event.newValue) {
+      event.data.field_confidence = { ...event.data.field_confidence, [field]: 1 };
+      event.api.refreshCells({ rowNodes: [event.node], columns: [field], force: true });
+    }
     
     // Clear previous timeout
     if (saveTimeout) {
@@ -185,42 +439,45 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
     }, 100);
   };
 
-  // Handle file import
+  // Reset the import workflow
+  const resetImport = () => {
+    setImportFilePayload(null);
+    setImportPreview(null);
+    setColumnMapping({});
+    setImportReport(null);
+    setImportError(null);
+  };
+
+  // Handle file import: upload the file for a preview so the user can map its columns
   const handleFileImport = (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
     if (!file) return;
     
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
+      const payload: ImportFilePayload = {
+        name: file.name,
+        content: arrayBufferToBase64(e.target?.result as ArrayBuffer)
+      };
+
+      resetImport();
       try {
-        const data = new Uint8Array(e.target?.result as ArrayBuffer);
-        const workbook = XLSX.read(data, { type: 'array' });
-        
-        // Get first worksheet
-        const worksheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[worksheetName];
-        
-        // Convert to JSON
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-        
-        // Map to InvoiceLine structure
-        const importedData: InvoiceLine[] = jsonData.map((row: any) => ({
-          invoice_id: invoiceId,
-          description: row.Description || row.description || '',
-          quantity: Number(row.Quantity || row.quantity || 0),
-          unit_price: Number(row['Unit Price'] || row.unit_price || 0),
-          hs_code: row['HS Code'] || row.hs_code || ''
-        }));
-        
-        setRowData(importedData);
-        
-        // Save imported data
-        if (invoiceId) {
-          saveChanges(importedData);
-        }
-      } catch (error) {
+        const response = await fetch('/api/v1/invoices/import/preview', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ supplier, file: payload }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to read file');
+
+        setImportFilePayload(payload);
+        setImportPreview(data);
+        setColumnMapping(data.mapping || {});
+      } catch (error: any) {
         console.error('Error importing file:', error);
-        alert('Failed to import file. Please check the file format.');
+        setImportError(error.message || 'Failed to import file. Please check the file format.');
       }
     };
     reader.readAsArrayBuffer(file);
@@ -231,6 +488,181 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
     }
   };
 
+  // Send the file and confirmed column mapping to the import API
+  const confirmImport = async (skipInvalidRows = false) => {
+    if (!importFilePayload) return;
+
+    setImporting(true);
+    setImportError(null);
+    try {
+      const response = await fetch('/api/v1/invoices/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          invoice_id: invoiceId,
+          supplier,
+          mapping: columnMapping,
+          save_mapping: saveMapping,
+          skip_invalid_rows: skipInvalidRows,
+          file: importFilePayload
+        }),
+      });
+      const data = await response.json();
+
+      if (response.status === 422 && data.report) {
+        // Show the per-row validation report so the user can fix the file or skip bad rows
+        setImportReport(data.report);
+        return;
+      }
+      if (!response.ok) throw new Error(data.message || 'Failed to import file');
+
+      resetImport();
+      loadInvoiceLines();
+      onLinesChanged?.();
+    } catch (error: any) {
+      console.error('Error importing file:', error);
+      setImportError(error.message || 'Failed to import file.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Write finished classification job items into their grid rows
+  const applyClassifiedItems = (items: ClassifyJobItem[]) => {
+    setRowData((current) => {
+      const next = [...current];
+      items.forEach((item) => {
+        const rowIndex = classifyRowsRef.current[item.index];
+        if (rowIndex === undefined || !next[rowIndex] || item.status === 'Pending') return;
+        next[rowIndex] = item.status === 'Succeeded' && item.result
+          ? {
+              ...next[rowIndex],
+              hs_code: item.result.hs_code || undefined,
+              flagged: !!item.result.flagged,
+              classification_method: item.result.classification_method
+            }
+          : { ...next[rowIndex], classification_method: 'failed' };
+      });
+      return next;
+    });
+  };
+
+  // Follow the job's progress events until it finishes, updating rows as their batch completes
+  const followClassifyJob = async (jobId: number) => {
+    classifyStreamRef.current?.abort();
+    const controller = new AbortController();
+    classifyStreamRef.current = controller;
+
+    try {
+      const response = await fetch(`/api/v1/bulk-jobs/${jobId}/events`, { signal: controller.signal });
+      if (!response.ok || !response.body) throw new Error('Failed to follow classification progress');
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+        buffer = parsed.rest;
+
+        parsed.events.forEach(({ event, data }) => {
+          if (event === 'snapshot') {
+            applyClassifiedItems(data.items.map((item: ClassifyJobItem, index: number) => ({ ...item, index })));
+            setClassifyJob({
+              id: data.id,
+              status: data.status,
+              total: data.total,
+              processed: data.processed,
+              failed: data.failed,
+              flagged: data.items.filter((item: ClassifyJobItem) => item.result?.flagged).length
+            });
+          } else if (event === 'progress') {
+            applyClassifiedItems(data.items);
+            setClassifyJob((current) => current && { ...current, status: 'Running', ...data.counts });
+          } else if (event === 'finished') {
+            setClassifyJob((current) => current && { ...current, status: data.status, ...data.counts });
+            if (data.error) setClassifyError(data.error);
+            onLinesChanged?.();
+          }
+        });
+      }
+    } catch (error: any) {
+      if (error.name === 'AbortError') return;
+      console.error('Error following classification job:', error);
+      setClassifyError(error.message || 'Lost the classification progress stream');
+    }
+  };
+
+  // Classify every line with a description in the background
+  const classifyAll = async () => {
+    if (readOnly) return;
+
+    const rows = rowData
+      .map((line, rowIndex) => ({ line, rowIndex }))
+      .filter(({ line }) => line.description && line.description.trim() !== '');
+    if (rows.length === 0) return;
+
+    setClassifyError(null);
+    try {
+      const response = await fetch('/api/v1/classification/bulk', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          items: rows.map(({ line }) => ({
+            ...(line.id ? { id: line.id } : {}),
+            description: line.description,
+            ...(supplier ? { supplier } : {}),
+            ...(line.sku ? { sku: line.sku } : {})
+          }))
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to start classification');
+
+      classifyRowsRef.current = rows.map(({ rowIndex }) => rowIndex);
+      setClassifyJob({ id: data.id, status: data.status, total: data.total, processed: 0, failed: 0, flagged: 0 });
+      followClassifyJob(data.id);
+    } catch (error: any) {
+      console.error('Error starting classification:', error);
+      setClassifyError(error.message || 'Failed to start classification');
+    }
+  };
+
+  // Stop the job after the batch in progress
+  const cancelClassification = async () => {
+    if (!classifyJob) return;
+    try {
+      const response = await fetch(`/api/v1/bulk-jobs/${classifyJob.id}/cancel`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to cancel classification');
+    } catch (error: any) {
+      setClassifyError(error.message || 'Failed to cancel classification');
+    }
+  };
+
+  // Run the failed and unreached items of the job again
+  const retryClassification = async () => {
+    if (!classifyJob) return;
+    setClassifyError(null);
+    try {
+      const response = await fetch(`/api/v1/bulk-jobs/${classifyJob.id}/resume`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to retry classification');
+
+      setClassifyJob((current) => current && { ...current, status: data.status, processed: data.processed, failed: data.failed });
+      followClassifyJob(data.id);
+    } catch (error: any) {
+      setClassifyError(error.message || 'Failed to retry classification');
+    }
+  };
+
+  const classifying = !!classifyJob && ACTIVE_JOB_STATUSES.includes(classifyJob.status);
+
   // Trigger file input click
   const importFile = () => {
     if (readOnly) return;
@@ -271,15 +703,22 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
               </button>
               <button 
                 onClick={importFile}
-                className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded"
+                className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded mr-2"
               >
                 Import
               </button>
+              <button
+                onClick={classifyAll}
+                disabled={classifying}
+                className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
+              >
+                {classifying ? 'Classifying...' : 'Classify All'}
+              </button>
               <input
                 type="file"
                 ref={fileInputRef}
                 onChange={handleFileImport}
-                accept=".csv,.xlsx,.xls"
+                accept=".csv,.xlsx"
                 className="hidden"
                 aria-label="Import invoice data file"
               />
@@ -302,6 +741,135 @@ const InvoiceGrid: React.FC<InvoiceGridProps> = ({ invoiceId, readOnly = false }
         </div>
       </div>
       
+      {(classifyJob || classifyError) && (
+        <div className="bg-gray-50 border rounded px-4 py-3 mb-4 flex justify-between items-center">
+          <div className="text-sm text-gray-700">
+            {classifyJob && (
+              <span>
+                Classification {classifyJob.status.toLowerCase()}: {classifyJob.processed} of {classifyJob.total} done,
+                {' '}{classifyJob.flagged} flagged, {classifyJob.failed} failed
+              </span>
+            )}
+            {classifyError && <span className="text-red-700 ml-2">{classifyError}</span>}
+          </div>
+          <div>
+            {classifying && (
+              <button
+                onClick={cancelClassification}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-sm font-bold py-1 px-3 rounded"
+              >
+                Cancel
+              </button>
+            )}
+            {classifyJob && !classifying && classifyJob.processed - classifyJob.failed < classifyJob.total && (
+              <button
+                onClick={retryClassification}
+                className="bg-blue-500 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded mr-2"
+              >
+                Retry Failed Items
+              </button>
+            )}
+            {!classifying && (
+              <button
+                onClick={() => { setClassifyJob(null); setClassifyError(null); }}
+                className="text-sm text-gray-600 hover:text-gray-800"
+              >
+                Dismiss
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {importError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          {importError}
+        </div>
+      )}
+
+      {importPreview && (
+        <div className="bg-gray-50 border rounded p-4 mb-4">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-bold text-gray-800">
+              Map columns for {importFilePayload?.name} ({importPreview.totalRows} rows)
+            </h3>
+            <span className="text-xs text-gray-500">
+              {importPreview.mappingSource === 'saved' ? 'Using saved mapping for this supplier' : 'Suggested mapping'}
+            </span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+            {importPreview.fields.map((field) => (
+              <label key={field} className="text-sm text-gray-700">
+                {IMPORT_FIELD_LABELS[field] || field}
+                {importPreview.requiredFields.includes(field) && <span className="text-red-600"> *</span>}
+                <select
+                  value={columnMapping[field] || ''}
+                  onChange={(e) => setColumnMapping({ ...columnMapping, [field]: e.target.value })}
+                  className="mt-1 block w-full border rounded px-2 py-1"
+                >
+                  <option value="">Not mapped</option>
+                  {importPreview.headers.map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {importReport && (
+            <div className="mb-3 max-h-48 overflow-y-auto text-sm">
+              <p className="font-medium text-red-700 mb-1">
+                {importReport.filter((r) => !r.valid).length} of {importReport.length} rows failed validation
+              </p>
+              <ul className="list-disc pl-5 text-red-700">
+                {importReport.filter((r) => !r.valid).map((r) => (
+                  <li key={r.row}>
+                    Row {r.row}: {r.errors.map((err) => `${err.field} – ${err.message}`).join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <label className="text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={saveMapping}
+                onChange={(e) => setSaveMapping(e.target.checked)}
+                className="mr-2"
+                disabled={!supplier}
+              />
+              Remember this mapping for {supplier || 'this supplier'}
+            </label>
+            <div>
+              <button
+                onClick={resetImport}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded mr-2"
+              >
+                Cancel
+              </button>
+              {importReport && (
+                <button
+                  onClick={() => confirmImport(true)}
+                  disabled={importing}
+                  className="bg-yellow-500 hover:bg-yellow-700 text-white font-bold py-2 px-4 rounded mr-2 disabled:opacity-50"
+                >
+                  Import Valid Rows Only
+                </button>
+              )}
+              <button
+                onClick={() => confirmImport(false)}
+                disabled={importing}
+                className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50"
+              >
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      
       <div 
         className="ag-theme-alpine w-full h-[600px]"
         style={{ height: '600px', width: '100%' }}
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+
+interface Snapshot {
+  id: number;
+  version: number;
+  submission_id: number | null;
+  created_at: string;
+  user?: { id: number; full_name: string; email: string } | null;
+}
+
+interface FieldChange {
+  field: string;
+  from: unknown;
+  to: unknown;
+}
+
+interface SnapshotLine {
+  id: number;
+  description: string;
+}
+
+interface SnapshotDiff {
+  invoice: FieldChange[];
+  lines: {
+    added: SnapshotLine[];
+    removed: SnapshotLine[];
+    changed: { id: number; description: string; changes: FieldChange[] }[];
+  };
+  documents: { xmlChanged: boolean };
+}
+
+interface InvoiceSnapshotsProps {
+  invoiceId: number;
+}
+
+const formatValue = (value: unknown) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+const InvoiceSnapshots: React.FC<InvoiceSnapshotsProps> = ({ invoiceId }) => {
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const [fromVersion, setFromVersion] = useState<number | null>(null);
+  const [toVersion, setToVersion] = useState<number | null>(null);
+  const [diff, setDiff] = useState<SnapshotDiff | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchSnapshots = async () => {
+      try {
+        const response = await fetch(`/api/v1/invoices/${invoiceId}/snapshots`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch snapshots');
+        }
+        const data: Snapshot[] = await response.json();
+        setSnapshots(data);
+        // Default to comparing the last two submissions
+        if (data.length >= 2) {
+          setFromVersion(data[data.length - 2].version);
+          setToVersion(data[data.length - 1].version);
+        }
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'An error occurred while loading snapshots');
+      }
+    };
+
+    fetchSnapshots();
+  }, [invoiceId]);
+
+  const compare = async () => {
+    if (fromVersion === null || toVersion === null) return;
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/snapshots/diff?from=${fromVersion}&to=${toVersion}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to compare snapshots');
+      }
+      setDiff(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while comparing snapshots');
+    }
+  };
+
+  if (snapshots.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Submitted Versions</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          {error}
+        </div>
+      )}
+
+      <ul className="text-sm mb-4">
+        {snapshots.map((snapshot) => (
+          <li key={snapshot.id}>
+            v{snapshot.version} — {new Date(snapshot.created_at).toLocaleString()}
+            {snapshot.user && ` by ${snapshot.user.full_name || snapshot.user.email}`}
+            {snapshot.submission_id && ` (submission #${snapshot.submission_id})`}
+          </li>
+        ))}
+      </ul>
+
+      {snapshots.length >= 2 && (
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <span>Compare</span>
+          <select
+            value={fromVersion ?? ''}
+            onChange={(e) => setFromVersion(Number(e.target.value))}
+            className="border rounded py-1 px-2"
+          >
+            {snapshots.map((snapshot) => (
+              <option key={snapshot.id} value={snapshot.version}>v{snapshot.version}</option>
+            ))}
+          </select>
+          <span>with</span>
+          <select
+            value={toVersion ?? ''}
+            onChange={(e) => setToVersion(Number(e.target.value))}
+            className="border rounded py-1 px-2"
+          >
+            {snapshots.map((snapshot) => (
+              <option key={snapshot.id} value={snapshot.version}>v{snapshot.version}</option>
+            ))}
+          </select>
+          <button
+            onClick={compare}
+            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded"
+          >
+            Compare
+          </button>
+        </div>
+      )}
+
+      {diff && (
+        <div className="text-sm space-y-3">
+          {diff.invoice.length === 0 && diff.lines.added.length === 0 && diff.lines.removed.length === 0 && diff.lines.changed.length === 0 ? (
+            <p className="text-gray-600">No differences in the declared data.</p>
+          ) : (
+            <>
+              {diff.invoice.map((change) => (
+                <p key={change.field}>
+                  <span className="font-medium">{change.field}</span>: {formatValue(change.from)} &rarr; {formatValue(change.to)}
+                </p>
+              ))}
+              {diff.lines.added.map((line) => (
+                <p key={`added-${line.id}`} className="text-green-700">+ Added line: {line.description}</p>
+              ))}
+              {diff.lines.removed.map((line) => (
+                <p key={`removed-${line.id}`} className="text-red-700">− Removed line: {line.description}</p>
+              ))}
+              {diff.lines.changed.map((line) => (
+                <div key={`changed-${line.id}`}>
+                  <p className="font-medium">{line.description}</p>
+                  <ul className="list-disc pl-6">
+                    {line.changes.map((change) => (
+                      <li key={change.field}>
+                        {change.field}: {formatValue(change.from)} &rarr; {formatValue(change.to)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </>
+          )}
+          {diff.documents.xmlChanged && (
+            <p className="text-gray-600">The declared XML documents differ.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceSnapshots;
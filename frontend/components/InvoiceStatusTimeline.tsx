@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getStatusBadgeClass, statusLabel } from '../utils/invoiceStatus';
+
+interface StatusHistoryEntry {
+  id: number;
+  from_status: string | null;
+  to_status: string;
+  reason: string | null;
+  changed_at: string;
+  user?: { id: number; full_name: string; email: string } | null;
+}
+
+interface InvoiceStatusTimelineProps {
+  invoiceId: number;
+  status: string;
+  onStatusChange: (status: string) => void;
+}
+
+const InvoiceStatusTimeline: React.FC<InvoiceStatusTimelineProps> = ({ invoiceId, status, onStatusChange }) => {
+  const [history, setHistory] = useState<StatusHistoryEntry[]>([]);
+  const [allowedTransitions, setAllowedTransitions] = useState<string[]>([]);
+  const [reason, setReason] = useState<string>('');
+  const [loading, setLoading] = useState<boolean>(true);
+  const [updating, setUpdating] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/status-history`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch status history');
+      }
+      const data = await response.json();
+      setHistory(data.history);
+      setAllowedTransitions(data.allowedTransitions);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while loading the status history');
+    } finally {
+      setLoading(false);
+    }
+  }, [invoiceId]);
+
+  // Reload whenever the status changes, including after a submission
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory, status]);
+
+  const changeStatus = async (nextStatus: string) => {
+    setUpdating(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/status`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ status: nextStatus, reason: reason || undefined }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to change status');
+      }
+
+      setReason('');
+      onStatusChange(nextStatus);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while changing the status');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-4">Status</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+          {error}
+        </div>
+      )}
+
+      {allowedTransitions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (optional)"
+            className="border rounded py-2 px-3 text-sm flex-grow"
+          />
+          {allowedTransitions.map((nextStatus) => (
+            <button
+              key={nextStatus}
+              onClick={() => changeStatus(nextStatus)}
+              disabled={updating}
+              className="bg-blue-500 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded disabled:opacity-50"
+            >
+              Move to {statusLabel(nextStatus)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500 text-sm">Loading timeline...</p>
+      ) : history.length === 0 ? (
+        <p className="text-gray-500 text-sm">No status changes recorded.</p>
+      ) : (
+        <ol className="border-l-2 border-gray-200 pl-4 space-y-4">
+          {history.map((entry) => (
+            <li key={entry.id}>
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-1 rounded-full text-xs ${getStatusBadgeClass(entry.to_status)}`}>
+                  {statusLabel(entry.to_status)}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {new Date(entry.changed_at).toLocaleString()}
+                  {' by '}
+                  {entry.user ? entry.user.full_name || entry.user.email : 'System'}
+                </span>
+              </div>
+              {entry.reason && <p className="text-sm text-gray-700 mt-1">{entry.reason}</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceStatusTimeline;
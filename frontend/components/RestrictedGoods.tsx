@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+interface RestrictionHit {
+  rule_id: number;
+  restriction: 'licence' | 'prohibited';
+  licence_type: string | null;
+  authority: string | null;
+  reason: string;
+  permit_reference: string | null;
+}
+
+interface RestrictedLine {
+  id: number;
+  description: string | null;
+  hs_code: string | null;
+  restriction_hits: RestrictionHit[];
+}
+
+interface RestrictionScreening {
+  blocked: boolean;
+  lines: RestrictedLine[];
+}
+
+interface RestrictedGoodsProps {
+  invoiceId: number;
+  // Changes whenever the lines may have changed, so the screening is refreshed
+  updatedAt: string;
+  readOnly?: boolean;
+  onBlockedChange?: (blocked: boolean) => void;
+}
+
+const RestrictedGoods: React.FC<RestrictedGoodsProps> = ({ invoiceId, updatedAt, readOnly = false, onBlockedChange }) => {
+  const [screening, setScreening] = useState<RestrictionScreening | null>(null);
+  const [permits, setPermits] = useState<Record<string, string>>({});
+  const [saving, setSaving] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const permitKey = (lineId: number, ruleId: number) => `${lineId}:${ruleId}`;
+
+  const fetchScreening = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/restrictions`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to screen the invoice lines');
+      }
+      setScreening(data);
+      setPermits(Object.fromEntries(
+        data.lines.flatMap((line: RestrictedLine) => line.restriction_hits.map((hit) => [
+          permitKey(line.id, hit.rule_id),
+          hit.permit_reference || '',
+        ]))
+      ));
+      onBlockedChange?.(data.blocked);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while screening the invoice lines');
+    }
+  }, [invoiceId, onBlockedChange]);
+
+  useEffect(() => {
+    fetchScreening();
+  }, [fetchScreening, updatedAt]);
+
+  const savePermit = async (lineId: number, ruleId: number) => {
+    const key = permitKey(lineId, ruleId);
+    setSaving(key);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}/lines/${lineId}/permits`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ rule_id: ruleId, permit_reference: permits[key] || null }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to save the permit reference');
+      }
+
+      await fetchScreening();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred while saving the permit reference');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  // Nothing to show for invoices without restricted goods
+  if (!error && (!screening || screening.lines.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div
+      className={`border px-4 py-3 rounded mb-6 ${screening?.blocked ? 'bg-red-50 border-red-300 text-red-800' : 'bg-green-50 border-green-300 text-green-800'}`}
+      role="alert"
+    >
+      <h2 className="text-lg font-bold mb-2">Restricted Goods</h2>
+      {screening?.blocked ? (
+        <p className="mb-3">
+          This invoice cannot be submitted until every licensed line has its permit reference and prohibited goods are removed.
+        </p>
+      ) : (
+        <p className="mb-3">Every restricted line has its permit reference.</p>
+      )}
+
+      {error && <p className="text-red-700 text-sm mb-2">{error}</p>}
+
+      {screening?.lines.map((line) => (
+        <div key={line.id} className="mb-3">
+          <p className="font-medium">
+            {line.description || `Line ${line.id}`}
+            {line.hs_code && <span className="text-sm font-normal"> ({line.hs_code})</span>}
+          </p>
+          <ul className="text-sm">
+            {line.restriction_hits.map((hit) => {
+              const key = permitKey(line.id, hit.rule_id);
+              return (
+                <li key={hit.rule_id} className="flex flex-wrap items-center gap-2 mt-1">
+                  <span>
+                    {hit.restriction === 'prohibited' ? 'Prohibited' : hit.licence_type || 'Import licence'}
+                    {hit.authority && ` from ${hit.authority}`}: {hit.reason}
+                  </span>
+                  {hit.restriction === 'licence' && (
+                    readOnly ? (
+                      <span className="font-medium">{hit.permit_reference || 'No permit reference'}</span>
+                    ) : (
+                      <>
+                        <input
+                          type="text"
+                          value={permits[key] || ''}
+                          onChange={(e) => setPermits({ ...permits, [key]: e.target.value })}
+                          placeholder="Permit reference"
+                          maxLength={100}
+                          className="border rounded px-2 py-1 text-gray-800"
+                        />
+                        <button
+                          onClick={() => savePermit(line.id, hit.rule_id)}
+                          disabled={saving === key || (permits[key] || '') === (hit.permit_reference || '')}
+                          className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded disabled:opacity-50"
+                        >
+                          {saving === key ? 'Saving...' : 'Save'}
+                        </button>
+                      </>
+                    )
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RestrictedGoods;
@@ -1,6 +1,17 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 
+interface SimilarLine {
+  invoice_line_id: number;
+  description: string;
+  hs_code: string;
+  hs_description: string | null;
+  classification_method: string;
+  supplier: string;
+  invoice_date: string;
+  similarity: number;
+}
+
 interface ReviewItemProps {
   item: {
     id: number;
@@ -16,18 +27,44 @@ interface ReviewItemProps {
       invoice_date: string;
       status: string;
     };
+    assigned_to?: number | null;
+    claimed_at?: string | null;
+    assignee?: { id: number; full_name: string; email: string } | null;
   };
   onApprove: (id: number, comment: string) => Promise<void>;
   onAdjust: (id: number, hsCode: string, comment: string) => Promise<void>;
+  // Offered for unassigned items
+  onClaim?: (id: number) => Promise<void>;
+  // Offered for items in the reviewer's own queue
+  onRelease?: (id: number) => Promise<void>;
 }
 
-const ReviewItem: React.FC<ReviewItemProps> = ({ item, onApprove, onAdjust }) => {
+const ReviewItem: React.FC<ReviewItemProps> = ({ item, onApprove, onAdjust, onClaim, onRelease }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [newHsCode, setNewHsCode] = useState(item.hs_code || '');
   const [comment, setComment] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [similarLines, setSimilarLines] = useState<SimilarLine[] | null>(null);
+  const [similarError, setSimilarError] = useState<string | null>(null);
   const router = useRouter();
 
+  // Load how similar goods were classified the first time the item is opened
+  useEffect(() => {
+    if (!isExpanded || similarLines !== null) return;
+
+    fetch(`/api/v1/classification/similar?invoice_line_id=${item.id}&limit=5`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to load similar lines');
+        setSimilarLines(data);
+      })
+      .catch((error) => {
+        console.error('Error loading similar lines:', error);
+        setSimilarError(error.message);
+        setSimilarLines([]);
+      });
+  }, [isExpanded, item.id, similarLines]);
+
   const handleApprove = async () => {
     if (isSubmitting) return;
     
@@ -56,6 +93,19 @@ const ReviewItem: React.FC<ReviewItemProps> = ({ item, onApprove, onAdjust }) =>
     }
   };
 
+  const handleAssignment = async (action: (id: number) => Promise<void>) => {
+    if (isSubmitting) return;
+
+    setIsSubmitting(true);
+    try {
+      await action(item.id);
+    } catch (error) {
+      console.error('Error changing item assignment:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const viewInvoice = () => {
     router.push(`/invoices/${item.invoice.id}`);
   };
@@ -81,6 +131,11 @@ const ReviewItem: React.FC<ReviewItemProps> = ({ item, onApprove, onAdjust }) =>
           </div>
         </div>
         <div className="flex items-center">
+          <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700 mr-2">
+            {item.assignee
+              ? `${item.claimed_at ? 'Claimed by' : 'Assigned to'} ${item.assignee.full_name || item.assignee.email}`
+              : 'Unassigned'}
+          </span>
           <span className="px-2 py-1 text-xs rounded-full bg-yellow-100 text-yellow-800 mr-2">
             {item.classification_method}
           </span>
@@ -124,6 +179,24 @@ const ReviewItem: React.FC<ReviewItemProps> = ({ item, onApprove, onAdjust }) =>
                 >
                   View Full Details
                 </button>
+                {onClaim && !item.assigned_to && (
+                  <button
+                    onClick={() => handleAssignment(onClaim)}
+                    disabled={isSubmitting}
+                    className="px-3 py-1 text-sm bg-blue-100 hover:bg-blue-200 text-blue-800 rounded disabled:opacity-50"
+                  >
+                    Claim
+                  </button>
+                )}
+                {onRelease && (
+                  <button
+                    onClick={() => handleAssignment(onRelease)}
+                    disabled={isSubmitting}
+                    className="px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 rounded disabled:opacity-50"
+                  >
+                    Release
+                  </button>
+                )}
               </div>
             </div>
             
@@ -173,6 +246,52 @@ const ReviewItem: React.FC<ReviewItemProps> = ({ item, onApprove, onAdjust }) =>
               </div>
             </div>
           </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Similar Past Lines</h4>
+            <div className="bg-white p-3 rounded border">
+              {similarLines === null ? (
+                <p className="text-sm text-gray-500">Loading...</p>
+              ) : similarError ? (
+                <p className="text-sm text-gray-500">{similarError}</p>
+              ) : similarLines.length === 0 ? (
+                <p className="text-sm text-gray-500">No similar classified lines yet.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="pr-3 font-medium">Description</th>
+                      <th className="pr-3 font-medium">Supplier</th>
+                      <th className="pr-3 font-medium">HS Code</th>
+                      <th className="pr-3 font-medium">Similarity</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {similarLines.map((line) => (
+                      <tr key={line.invoice_line_id} className="border-t">
+                        <td className="pr-3 py-1">{line.description}</td>
+                        <td className="pr-3 py-1">{line.supplier}</td>
+                        <td className="pr-3 py-1" title={line.hs_description || undefined}>
+                          {line.hs_code}
+                          <span className="ml-1 text-xs text-gray-500">({line.classification_method})</span>
+                        </td>
+                        <td className="pr-3 py-1">{Math.round(line.similarity * 100)}%</td>
+                        <td className="py-1">
+                          <button
+                            onClick={() => setNewHsCode(line.hs_code)}
+                            className="px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 rounded"
+                          >
+                            Use code
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
         </div>
       )}
     </div>
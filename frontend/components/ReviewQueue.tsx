@@ -15,8 +15,20 @@ interface FlaggedItem {
     invoice_date: string;
     status: string;
   };
+  assigned_to: number | null;
+  claimed_at: string | null;
+  assignee: { id: number; full_name: string; email: string } | null;
 }
 
+// Items assigned to or claimed by the reviewer, items nobody has, or every flagged item
+type QueueView = 'mine' | 'unassigned' | 'all';
+
+const queueEndpoints: Record<QueueView, string> = {
+  mine: '/api/v1/reviews/queue/mine',
+  unassigned: '/api/v1/reviews/queue/unassigned',
+  all: '/api/v1/reviews/flagged',
+};
+
 interface PaginationInfo {
   total: number;
   limit: number;
@@ -40,6 +52,7 @@ const ReviewQueue: React.FC<ReviewQueueProps> = ({
   const [error, setError] = useState<string | null>(null);
   const [sortBy, setSortBy] = useState<string>('created_at');
   const [sortOrder, setSortOrder] = useState<string>('desc');
+  const [view, setView] = useState<QueueView>('mine');
 
   // Fetch flagged items
   const fetchFlaggedItems = async (page = 1, limit = 10) => {
@@ -49,7 +62,7 @@ const ReviewQueue: React.FC<ReviewQueueProps> = ({
     try {
       const offset = (page - 1) * limit;
       const response = await fetch(
-        `/api/v1/reviews/flagged?limit=${limit}&offset=${offset}&sortBy=${sortBy}&sortOrder=${sortOrder}`
+        `${queueEndpoints[view]}?limit=${limit}&offset=${offset}&sortBy=${sortBy}&sortOrder=${sortOrder}`
       );
       
       if (!response.ok) {
@@ -93,6 +106,13 @@ const ReviewQueue: React.FC<ReviewQueueProps> = ({
     }
   }, [sortBy, sortOrder]);
 
+  // Switching views starts from the first page
+  useEffect(() => {
+    if (initialItems.length === 0) {
+      fetchFlaggedItems(1, pagination.limit);
+    }
+  }, [view]);
+
   // Handle pagination
   const handlePageChange = (page: number) => {
     fetchFlaggedItems(page, pagination.limit);
@@ -144,6 +164,21 @@ const ReviewQueue: React.FC<ReviewQueueProps> = ({
     }
   };
 
+  // Claim or release an item, then refresh the queue
+  const changeAssignment = async (id: number, action: 'claim' | 'release') => {
+    const response = await fetch(`/api/v1/reviews/${action}/${id}`, { method: 'POST' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setError(data.message || `Failed to ${action} item`);
+      throw new Error(data.message || `Failed to ${action} item`);
+    }
+
+    fetchFlaggedItems(pagination.currentPage, pagination.limit);
+  };
+
+  const handleClaim = (id: number) => changeAssignment(id, 'claim');
+  const handleRelease = (id: number) => changeAssignment(id, 'release');
+
   // Render pagination controls
   const renderPagination = () => {
     const pages = [];
@@ -214,6 +249,16 @@ const ReviewQueue: React.FC<ReviewQueueProps> = ({
       <div className="flex justify-between items-center mb-6">
         <h2 className="text-xl font-semibold text-gray-800">Review Queue</h2>
         <div className="flex items-center">
+          <select
+            value={view}
+            onChange={(e) => setView(e.target.value as QueueView)}
+            className="border rounded px-2 py-1 text-sm mr-4"
+            aria-label="Queue view"
+          >
+            <option value="mine">My Queue</option>
+            <option value="unassigned">Unassigned</option>
+            <option value="all">All Flagged Items</option>
+          </select>
           <span className="text-sm text-gray-500 mr-2">Sort by:</span>
           <select
             value={`${sortBy}-${sortOrder}`}
@@ -273,6 +318,8 @@ const ReviewQueue: React.FC<ReviewQueueProps> = ({
                 item={item}
                 onApprove={handleApprove}
                 onAdjust={handleAdjust}
+                onClaim={view !== 'mine' ? handleClaim : undefined}
+                onRelease={view === 'mine' ? handleRelease : undefined}
               />
             ))}
           </div>
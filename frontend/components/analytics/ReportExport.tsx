@@ -7,6 +7,7 @@ interface ReportExportProps {
     endDate: string | null;
     brokerFeePerEntry?: number;
     hourlyRate?: number;
+    currency?: string;
   };
 }
 
@@ -25,6 +26,10 @@ const ReportExport: React.FC<ReportExportProps> = ({ reportType, filters }) => {
       if (filters.startDate) queryParams.append('startDate', filters.startDate);
       if (filters.endDate) queryParams.append('endDate', filters.endDate);
       
+      if (reportType === 'volume' && filters.currency) {
+        queryParams.append('currency', filters.currency);
+      }
+      
       if (reportType === 'savings') {
         if (filters.brokerFeePerEntry) {
           queryParams.append('brokerFeePerEntry', filters.brokerFeePerEntry.toString());
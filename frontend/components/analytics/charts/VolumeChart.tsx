@@ -11,6 +11,7 @@ import {
   Legend,
 } from 'chart.js';
 import { Bar, Line } from 'react-chartjs-2';
+import { formatMoney } from '../../../utils/currency';
 
 // Register ChartJS components
 ChartJS.register(
@@ -68,7 +69,7 @@ const VolumeChart: React.FC<VolumeChartProps> = ({ data }) => {
       },
       title: {
         display: true,
-        text: 'Monthly Invoice Value',
+        text: `Monthly Invoice Value (${data.currency || 'USD'})`,
       },
     },
     scales: {
@@ -76,7 +77,7 @@ const VolumeChart: React.FC<VolumeChartProps> = ({ data }) => {
         beginAtZero: true,
         ticks: {
           callback: function(value: any) {
-            return '$' + value.toLocaleString();
+            return formatMoney(value, data.currency || 'USD');
           }
         }
       }
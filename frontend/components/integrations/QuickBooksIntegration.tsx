@@ -50,7 +50,7 @@ const QuickBooksIntegration = () => {
     if (!session) return;
 
     try {
-      const response = await fetch('/api/v1/invoices?status=completed', {
+      const response = await fetch('/api/v1/invoices?status=Accepted&limit=100', {
         headers: {
           'Authorization': `Bearer ${session.accessToken}`
         }
@@ -1,49 +1,83 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import ProtectedRoute from '../../components/ProtectedRoute';
 import InvoiceGrid from '../../components/InvoiceGrid';
 import DocumentViewer from '../../components/DocumentViewer';
 import SubmissionForm from '../../components/SubmissionForm';
+import InvoiceStatusTimeline from '../../components/InvoiceStatusTimeline';
+import InvoiceSnapshots from '../../components/InvoiceSnapshots';
+import DuplicateWarning from '../../components/DuplicateWarning';
+import InvoiceAttachments from '../../components/InvoiceAttachments';
+import DutyEstimate from '../../components/DutyEstimate';
+import RestrictedGoods from '../../components/RestrictedGoods';
+import DeniedPartyWarning, { DeniedPartyMatch } from '../../components/DeniedPartyWarning';
+import { formatMoney } from '../../utils/currency';
+import { EDITABLE_STATUSES, getStatusBadgeClass, statusLabel } from '../../utils/invoiceStatus';
 
 interface Invoice {
   id: number;
   supplier: string;
   invoice_date: string;
-  total_amount: number;
+  total_amount: number | null;
+  currency: string;
+  base_currency?: string | null;
+  total_amount_base?: number | null;
+  exchange_rate?: number | null;
+  exchange_rate_date?: string | null;
   status: string;
+  duplicate_status?: string | null;
+  duplicate_of_id?: number | null;
+  duplicate_score?: number | null;
+  denied_party_status?: string | null;
+  denied_party_matches?: DeniedPartyMatch[];
+  source_document_name?: string | null;
+  extracted_data?: { warnings?: string[] } | null;
+  field_confidence?: Record<string, number> | null;
   created_at: string;
   updated_at: string;
 }
 
+// Keep in sync with the threshold used by InvoiceGrid
+const LOW_CONFIDENCE_THRESHOLD = 0.8;
+
 const InvoiceDetailPage: React.FC = () => {
   const router = useRouter();
   const { id } = router.query;
   const [invoice, setInvoice] = useState<Invoice | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
+  const [restrictionsBlocked, setRestrictionsBlocked] = useState<boolean>(false);
 
-  useEffect(() => {
+  const fetchInvoice = useCallback(async () => {
     if (!id) return;
 
-    const fetchInvoice = async () => {
-      try {
-        const response = await fetch(`/api/v1/invoices/${id}`);
-        if (!response.ok) {
-          throw new Error('Failed to fetch invoice');
-        }
-        const data = await response.json();
-        setInvoice(data);
-        setLoading(false);
-      } catch (err) {
-        setError('Error loading invoice. Please try again later.');
-        setLoading(false);
-        console.error('Error fetching invoice:', err);
+    try {
+      const response = await fetch(`/api/v1/invoices/${id}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch invoice');
       }
-    };
+      const data = await response.json();
+      setInvoice(data);
+      setLoading(false);
+    } catch (err) {
+      setError('Error loading invoice. Please try again later.');
+      setLoading(false);
+      console.error('Error fetching invoice:', err);
+    }
+  }, [id]);
 
+  useEffect(() => {
     fetchInvoice();
-  }, [id]);
+  }, [fetchInvoice]);
+
+  // Highlight header values that OCR was unsure about
+  const confidenceClass = (field: string) => {
+    const confidence = invoice?.field_confidence?.[field];
+    return confidence !== undefined && confidence < LOW_CONFIDENCE_THRESHOLD
+      ? 'font-medium bg-red-100 px-1 rounded'
+      : 'font-medium';
+  };
 
   const formatDate = (dateString: string) => {
     if (!dateString) return 'N/A';
@@ -51,29 +85,6 @@ const InvoiceDetailPage: React.FC = () => {
     return date.toLocaleDateString();
   };
 
-  const formatCurrency = (amount: number) => {
-    if (!amount && amount !== 0) return 'N/A';
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-    }).format(amount);
-  };
-
-  const getStatusBadgeClass = (status: string) => {
-    switch (status.toLowerCase()) {
-      case 'draft':
-        return 'bg-gray-200 text-gray-800';
-      case 'submitted':
-        return 'bg-blue-200 text-blue-800';
-      case 'approved':
-        return 'bg-green-200 text-green-800';
-      case 'rejected':
-        return 'bg-red-200 text-red-800';
-      default:
-        return 'bg-gray-200 text-gray-800';
-    }
-  };
-
   return (
     <ProtectedRoute>
       <div className="container mx-auto px-4 py-8">
@@ -97,22 +108,41 @@ const InvoiceDetailPage: React.FC = () => {
               <div className="flex justify-between items-center mb-4">
                 <h1 className="text-2xl font-bold text-gray-800">Invoice #{invoice.id}</h1>
                 <span className={`px-3 py-1 rounded-full text-sm ${getStatusBadgeClass(invoice.status)}`}>
-                  {invoice.status}
+                  {statusLabel(invoice.status)}
                 </span>
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
                 <div>
                   <p className="text-sm text-gray-600">Supplier</p>
-                  <p className="font-medium">{invoice.supplier || 'N/A'}</p>
+                  <p className={confidenceClass('supplier')}>{invoice.supplier || 'N/A'}</p>
                 </div>
                 <div>
                   <p className="text-sm text-gray-600">Invoice Date</p>
-                  <p className="font-medium">{formatDate(invoice.invoice_date)}</p>
+                  <p className={confidenceClass('invoice_date')}>{formatDate(invoice.invoice_date)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-gray-600">Total Amount</p>
-                  <p className="font-medium">{formatCurrency(invoice.total_amount)}</p>
+                  <p className={confidenceClass('total_amount')}>{formatMoney(invoice.total_amount, invoice.currency)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Customs Value</p>
+                  {invoice.total_amount_base !== null && invoice.total_amount_base !== undefined ? (
+                    <p className="font-medium">
+                      {formatMoney(invoice.total_amount_base, invoice.base_currency || undefined)}
+                      {invoice.currency !== invoice.base_currency && (
+                        <span className="text-xs text-gray-500 ml-2">
+                          at {Number(invoice.exchange_rate)} ({formatDate(invoice.exchange_rate_date || '')})
+                        </span>
+                      )}
+                    </p>
+                  ) : (
+                    <p className="font-medium text-red-700">
+                      {invoice.total_amount === null
+                        ? `A line currency has no exchange rate into ${invoice.currency} on the invoice date`
+                        : `No exchange rate for ${invoice.currency} on the invoice date`}
+                    </p>
+                  )}
                 </div>
                 <div>
                   <p className="text-sm text-gray-600">Last Updated</p>
@@ -120,27 +150,107 @@ const InvoiceDetailPage: React.FC = () => {
                 </div>
               </div>
 
-              <div className="flex space-x-2">
-                <Link
-                  href={`/invoices/${invoice.id}/edit`}
-                  className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
-                >
-                  Edit Invoice
-                </Link>
-                {/* Edit button is the only action in the header now */}
-              </div>
+              {EDITABLE_STATUSES.includes(invoice.status) && (
+                <div className="flex space-x-2">
+                  <Link
+                    href={`/invoices/${invoice.id}/edit`}
+                    className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                  >
+                    Edit Invoice
+                  </Link>
+                  {/* Edit button is the only action in the header now */}
+                </div>
+              )}
             </div>
 
+            {invoice.duplicate_of_id && (invoice.duplicate_status === 'Suspected' || invoice.duplicate_status === 'Confirmed') && (
+              <DuplicateWarning
+                invoiceId={invoice.id}
+                duplicateStatus={invoice.duplicate_status}
+                duplicateOfId={invoice.duplicate_of_id}
+                duplicateScore={invoice.duplicate_score}
+                onResolved={(duplicateStatus) => setInvoice({ ...invoice, duplicate_status: duplicateStatus })}
+              />
+            )}
+
+            {(invoice.denied_party_status === 'PotentialMatch' || invoice.denied_party_status === 'Confirmed') && (
+              <DeniedPartyWarning
+                invoiceId={invoice.id}
+                status={invoice.denied_party_status}
+                matches={invoice.denied_party_matches || []}
+                onResolved={(status, matches) => setInvoice({ ...invoice, denied_party_status: status, denied_party_matches: matches })}
+              />
+            )}
+
+            {invoice.source_document_name && (
+              <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-bold text-gray-800">Original Document</h2>
+                  <a
+                    href={`/api/v1/invoices/${invoice.id}/source-document`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:text-blue-800"
+                  >
+                    Open {invoice.source_document_name}
+                  </a>
+                </div>
+                {invoice.extracted_data?.warnings && invoice.extracted_data.warnings.length > 0 && (
+                  <ul className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm rounded px-4 py-2 mb-4 list-disc pl-8">
+                    {invoice.extracted_data.warnings.map((warning) => (
+                      <li key={warning}>{warning}</li>
+                    ))}
+                  </ul>
+                )}
+                <p className="text-sm text-gray-600 mb-2">
+                  Fields highlighted in red were read with low confidence. Compare them with the original before submitting.
+                </p>
+                <iframe
+                  src={`/api/v1/invoices/${invoice.id}/source-document`}
+                  title="Original invoice document"
+                  className="w-full border rounded"
+                  style={{ height: '600px' }}
+                />
+              </div>
+            )}
+
             <div className="bg-white shadow-md rounded-lg p-6 mb-6">
               <h2 className="text-xl font-bold text-gray-800 mb-4">Invoice Items</h2>
-              <InvoiceGrid invoiceId={Number(id)} readOnly={invoice.status !== 'Draft'} />
+              <InvoiceGrid
+                invoiceId={Number(id)}
+                supplier={invoice.supplier}
+                currency={invoice.currency}
+                readOnly={!EDITABLE_STATUSES.includes(invoice.status)}
+                onLinesChanged={fetchInvoice}
+              />
             </div>
 
+            {/* Permits can still be attached once the invoice is Ready */}
+            <RestrictedGoods
+              invoiceId={invoice.id}
+              updatedAt={invoice.updated_at}
+              readOnly={!EDITABLE_STATUSES.includes(invoice.status) && invoice.status !== 'Ready'}
+              onBlockedChange={setRestrictionsBlocked}
+            />
+
+            <DutyEstimate invoiceId={invoice.id} updatedAt={invoice.updated_at} />
+
+            <InvoiceStatusTimeline
+              invoiceId={invoice.id}
+              status={invoice.status}
+              onStatusChange={(status) => setInvoice({ ...invoice, status })}
+            />
+
+            <InvoiceAttachments invoiceId={invoice.id} />
+
+            <InvoiceSnapshots invoiceId={invoice.id} />
+
             {/* Document Generation Section */}
             <DocumentViewer invoiceId={Number(id)} />
 
-            {/* Submission Section - Only show for Draft or Failed status */}
-            {(invoice.status === 'Draft' || invoice.status === 'Failed') && (
+            {/* Submission Section - Only invoices marked Ready, clear of duplicate matches, restricted goods and denied parties can be submitted */}
+            {invoice.status === 'Ready' && invoice.duplicate_status !== 'Suspected' && invoice.duplicate_status !== 'Confirmed' && !restrictionsBlocked
+              && invoice.denied_party_status !== 'PotentialMatch' && invoice.denied_party_status !== 'Confirmed' && (
               <SubmissionForm
                 invoiceId={Number(id)}
                 onSubmissionComplete={(success) => {
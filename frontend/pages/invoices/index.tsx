@@ -1,44 +1,152 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import { useSession } from 'next-auth/react';
 import ProtectedRoute from '../../components/ProtectedRoute';
+import InvoiceFilters, { EMPTY_INVOICE_FILTERS, InvoiceFilterValues } from '../../components/InvoiceFilters';
+import BulkJobProgress from '../../components/BulkJobProgress';
+import { formatMoney } from '../../utils/currency';
+import { getStatusBadgeClass, statusLabel } from '../../utils/invoiceStatus';
 
 interface Invoice {
   id: number;
   supplier: string;
   invoice_date: string;
   total_amount: number;
+  currency: string;
   status: string;
+  duplicate_status?: string | null;
   created_at: string;
 }
 
+interface Pagination {
+  total: number;
+  limit: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+}
+
+// Columns the list can be sorted by, keyed by the API sort field
+const SORTABLE_COLUMNS: { field: string; label: string }[] = [
+  { field: 'id', label: 'ID' },
+  { field: 'supplier', label: 'Supplier' },
+  { field: 'invoice_date', label: 'Date' },
+  { field: 'total_amount', label: 'Amount' },
+  { field: 'status', label: 'Status' },
+];
+
+const PAGE_SIZE = 25;
+
+// Pipeline actions that can be run over the selected invoices as a background job
+const BULK_ACTIONS: { action: string; label: string }[] = [
+  { action: 'classify', label: 'Classify' },
+  { action: 'generate', label: 'Generate Documents' },
+  { action: 'submit', label: 'Submit' },
+];
+
 const InvoiceListPage: React.FC = () => {
   const [invoices, setInvoices] = useState<Invoice[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [filters, setFilters] = useState<InvoiceFilterValues>(EMPTY_INVOICE_FILTERS);
+  const [sortBy, setSortBy] = useState<string>('created_at');
+  const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
   const [loading, setLoading] = useState<boolean>(true);
+  const [loadingMore, setLoadingMore] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [bulkJobId, setBulkJobId] = useState<number | null>(null);
+  const [bulkError, setBulkError] = useState<string | null>(null);
+  const [startingBulkJob, setStartingBulkJob] = useState<boolean>(false);
   const router = useRouter();
   const { data: session } = useSession();
 
+  // Filtering, sorting and paging all happen on the server
+  const fetchInvoices = useCallback(async (cursor?: string) => {
+    const params = new URLSearchParams({ sortBy, sortOrder, limit: String(PAGE_SIZE) });
+    (Object.keys(filters) as (keyof InvoiceFilterValues)[]).forEach((field) => {
+      if (filters[field]) params.set(field, filters[field]);
+    });
+    if (cursor) params.set('cursor', cursor);
+
+    if (cursor) {
+      setLoadingMore(true);
+    } else {
+      setLoading(true);
+    }
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/v1/invoices?${params.toString()}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.message || 'Failed to fetch invoices');
+      }
+      setInvoices((current) => (cursor ? [...current, ...data.invoices] : data.invoices));
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error loading invoices. Please try again later.');
+      console.error('Error fetching invoices:', err);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [filters, sortBy, sortOrder]);
+
   useEffect(() => {
-    const fetchInvoices = async () => {
-      try {
-        const response = await fetch('/api/v1/invoices');
-        if (!response.ok) {
-          throw new Error('Failed to fetch invoices');
-        }
-        const data = await response.json();
-        setInvoices(data);
-        setLoading(false);
-      } catch (err) {
-        setError('Error loading invoices. Please try again later.');
-        setLoading(false);
-        console.error('Error fetching invoices:', err);
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const handleSort = (field: string) => {
+    if (field === sortBy) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setSortOrder(field === 'supplier' ? 'asc' : 'desc');
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  const allSelected = invoices.length > 0 && invoices.every((invoice) => selectedIds.includes(invoice.id));
+
+  const toggleSelected = (invoiceId: number) => {
+    setSelectedIds((current) => (current.includes(invoiceId)
+      ? current.filter((id) => id !== invoiceId)
+      : [...current, invoiceId]));
+  };
+
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? [] : invoices.map((invoice) => invoice.id));
+  };
+
+  const handleBulkAction = async (action: string) => {
+    setStartingBulkJob(true);
+    setBulkError(null);
+    try {
+      const response = await fetch('/api/v1/bulk-jobs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ action, invoice_ids: selectedIds }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.message || 'Failed to start bulk job');
       }
-    };
+      setBulkJobId(data.id);
+      setSelectedIds([]);
+    } catch (err) {
+      setBulkError(err instanceof Error ? err.message : 'An error occurred while starting the bulk job');
+    } finally {
+      setStartingBulkJob(false);
+    }
+  };
 
+  // Statuses change as the job runs, so reload the list once it stops
+  const handleBulkJobFinished = useCallback(() => {
     fetchInvoices();
-  }, []);
+  }, [fetchInvoices]);
 
   const handleCreateInvoice = () => {
     router.push('/invoices/new');
@@ -49,28 +157,6 @@ const InvoiceListPage: React.FC = () => {
     return date.toLocaleDateString();
   };
 
-  const formatCurrency = (amount: number) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-    }).format(amount);
-  };
-
-  const getStatusBadgeClass = (status: string) => {
-    switch (status.toLowerCase()) {
-      case 'draft':
-        return 'bg-gray-200 text-gray-800';
-      case 'submitted':
-        return 'bg-blue-200 text-blue-800';
-      case 'approved':
-        return 'bg-green-200 text-green-800';
-      case 'rejected':
-        return 'bg-red-200 text-red-800';
-      default:
-        return 'bg-gray-200 text-gray-800';
-    }
-  };
-
   return (
     <ProtectedRoute>
       <div className="container mx-auto px-4 py-8">
@@ -84,6 +170,42 @@ const InvoiceListPage: React.FC = () => {
           </button>
         </div>
 
+        <InvoiceFilters initialValues={filters} onApply={setFilters} />
+
+        {bulkJobId && (
+          <BulkJobProgress
+            key={bulkJobId}
+            jobId={bulkJobId}
+            onFinished={handleBulkJobFinished}
+            onDismiss={() => setBulkJobId(null)}
+          />
+        )}
+
+        {selectedIds.length > 0 && (
+          <div className="flex items-center gap-3 bg-blue-50 border border-blue-200 rounded p-3 mb-4">
+            <span className="text-sm text-gray-700">{selectedIds.length} selected</span>
+            {BULK_ACTIONS.map(({ action, label }) => (
+              <button
+                key={action}
+                onClick={() => handleBulkAction(action)}
+                disabled={startingBulkJob}
+                className="bg-blue-500 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded disabled:opacity-50"
+              >
+                {label}
+              </button>
+            ))}
+            <button onClick={() => setSelectedIds([])} className="text-sm text-gray-600 hover:text-gray-800">
+              Clear
+            </button>
+          </div>
+        )}
+
+        {bulkError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+            {bulkError}
+          </div>
+        )}
+
         {loading ? (
           <div className="flex justify-center items-center h-64">
             <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
@@ -92,6 +214,10 @@ const InvoiceListPage: React.FC = () => {
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
             <span className="block sm:inline">{error}</span>
           </div>
+        ) : invoices.length === 0 && hasFilters ? (
+          <div className="bg-white shadow-md rounded-lg p-6 text-center">
+            <p className="text-gray-600">No invoices match the filters.</p>
+          </div>
         ) : invoices.length === 0 ? (
           <div className="bg-white shadow-md rounded-lg p-6 text-center">
             <p className="text-gray-600 mb-4">No invoices found.</p>
@@ -107,25 +233,49 @@ const InvoiceListPage: React.FC = () => {
             <table className="min-w-full bg-white shadow-md rounded-lg overflow-hidden">
               <thead className="bg-gray-100">
                 <tr>
-                  <th className="py-3 px-4 text-left">ID</th>
-                  <th className="py-3 px-4 text-left">Supplier</th>
-                  <th className="py-3 px-4 text-left">Date</th>
-                  <th className="py-3 px-4 text-left">Amount</th>
-                  <th className="py-3 px-4 text-left">Status</th>
+                  <th className="py-3 px-4 text-left">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={toggleAllSelected}
+                      aria-label="Select all loaded invoices"
+                    />
+                  </th>
+                  {SORTABLE_COLUMNS.map(({ field, label }) => (
+                    <th key={field} className="py-3 px-4 text-left">
+                      <button type="button" onClick={() => handleSort(field)} className="font-bold hover:text-blue-700">
+                        {label}
+                        {sortBy === field && (sortOrder === 'asc' ? ' \u25B2' : ' \u25BC')}
+                      </button>
+                    </th>
+                  ))}
                   <th className="py-3 px-4 text-left">Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {invoices.map((invoice) => (
                   <tr key={invoice.id} className="border-t hover:bg-gray-50">
+                    <td className="py-3 px-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(invoice.id)}
+                        onChange={() => toggleSelected(invoice.id)}
+                        aria-label={`Select invoice ${invoice.id}`}
+                      />
+                    </td>
                     <td className="py-3 px-4">{invoice.id}</td>
                     <td className="py-3 px-4">{invoice.supplier || 'N/A'}</td>
                     <td className="py-3 px-4">{invoice.invoice_date ? formatDate(invoice.invoice_date) : 'N/A'}</td>
-                    <td className="py-3 px-4">{invoice.total_amount ? formatCurrency(invoice.total_amount) : 'N/A'}</td>
+                    <td className="py-3 px-4">{invoice.total_amount ? formatMoney(invoice.total_amount, invoice.currency) : 'N/A'}</td>
                     <td className="py-3 px-4">
                       <span className={`px-2 py-1 rounded-full text-xs ${getStatusBadgeClass(invoice.status)}`}>
-                        {invoice.status}
+                        {statusLabel(invoice.status)}
                       </span>
+                      {invoice.duplicate_status === 'Suspected' && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs bg-yellow-100 text-yellow-800">
+                          Possible duplicate
+                        </span>
+                      )}
                     </td>
                     <td className="py-3 px-4">
                       <Link href={`/invoices/${invoice.id}`} className="text-blue-600 hover:text-blue-800 mr-3">
@@ -139,6 +289,23 @@ const InvoiceListPage: React.FC = () => {
                 ))}
               </tbody>
             </table>
+
+            {pagination && (
+              <div className="flex justify-between items-center mt-4">
+                <p className="text-sm text-gray-600">
+                  Showing {invoices.length} of {pagination.total} invoices
+                </p>
+                {pagination.hasMore && pagination.nextCursor && (
+                  <button
+                    onClick={() => fetchInvoices(pagination.nextCursor || undefined)}
+                    disabled={loadingMore}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded disabled:opacity-50"
+                  >
+                    {loadingMore ? 'Loading...' : 'Load More'}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
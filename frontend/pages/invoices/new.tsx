@@ -1,16 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import ProtectedRoute from '../../components/ProtectedRoute';
 import InvoiceGrid from '../../components/InvoiceGrid';
+import { CURRENCIES } from '../../utils/currency';
 
 const NewInvoicePage: React.FC = () => {
   const router = useRouter();
   const [supplier, setSupplier] = useState<string>('');
   const [invoiceDate, setInvoiceDate] = useState<string>('');
+  const [currency, setCurrency] = useState<string>(CURRENCIES[0]);
   const [loading, setLoading] = useState<boolean>(false);
   const [error, setError] = useState<string | null>(null);
   const [invoiceId, setInvoiceId] = useState<number | null>(null);
+  const [scanning, setScanning] = useState<boolean>(false);
+  const [duplicateOfId, setDuplicateOfId] = useState<number | null>(null);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -26,6 +30,7 @@ const NewInvoicePage: React.FC = () => {
         body: JSON.stringify({
           supplier,
           invoice_date: invoiceDate,
+          currency,
           status: 'Draft',
         }),
       });
@@ -36,6 +41,7 @@ const NewInvoicePage: React.FC = () => {
 
       const data = await response.json();
       setInvoiceId(data.id);
+      setDuplicateOfId(data.duplicate_warning?.duplicateOf ?? null);
     } catch (err) {
       setError('Error creating invoice. Please try again.');
       console.error('Error creating invoice:', err);
@@ -43,6 +49,60 @@ const NewInvoicePage: React.FC = () => {
     }
   };
 
+  // Create a draft invoice from a scanned PDF and open it for review
+  const handleScanUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setScanning(true);
+    setError(null);
+
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+      }
+
+      const response = await fetch('/api/v1/invoices/ocr', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          file: { name: file.name, content: window.btoa(binary) },
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to read scanned invoice');
+      }
+
+      router.push(`/invoices/${data.invoice.id}`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Error reading scanned invoice. Please try again.');
+      console.error('Error uploading scanned invoice:', err);
+      setScanning(false);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  // Lines are checked for duplicates on save, so refresh the flag after each change
+  const refreshDuplicateFlag = useCallback(async () => {
+    if (!invoiceId) return;
+
+    try {
+      const response = await fetch(`/api/v1/invoices/${invoiceId}`);
+      if (!response.ok) return;
+      const data = await response.json();
+      setDuplicateOfId(data.duplicate_status === 'Suspected' ? data.duplicate_of_id : null);
+    } catch (err) {
+      console.error('Error checking for duplicates:', err);
+    }
+  }, [invoiceId]);
+
   const handleSaveAndExit = () => {
     router.push('/invoices');
   };
@@ -94,6 +154,22 @@ const NewInvoicePage: React.FC = () => {
                 />
               </div>
 
+              <div className="mb-6">
+                <label htmlFor="currency" className="block text-gray-700 text-sm font-bold mb-2">
+                  Invoice Currency
+                </label>
+                <select
+                  id="currency"
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                >
+                  {CURRENCIES.map((code) => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+              </div>
+
               <div className="flex items-center justify-end">
                 <button
                   type="submit"
@@ -104,6 +180,23 @@ const NewInvoicePage: React.FC = () => {
                 </button>
               </div>
             </form>
+
+            <div className="border-t mt-6 pt-6">
+              <label htmlFor="scannedInvoice" className="block text-gray-700 text-sm font-bold mb-2">
+                Or create a draft from a scanned PDF invoice
+              </label>
+              <input
+                type="file"
+                id="scannedInvoice"
+                accept=".pdf,application/pdf"
+                onChange={handleScanUpload}
+                disabled={scanning}
+                className="block w-full text-sm text-gray-700"
+              />
+              {scanning && (
+                <p className="text-sm text-gray-600 mt-2">Reading scanned invoice, this can take a minute...</p>
+              )}
+            </div>
           </div>
         ) : (
           <>
@@ -111,9 +204,24 @@ const NewInvoicePage: React.FC = () => {
               <span className="block sm:inline">Invoice created successfully! You can now add items to your invoice.</span>
             </div>
 
+            {duplicateOfId && (
+              <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-4" role="alert">
+                This invoice looks like a duplicate of{' '}
+                <Link href={`/invoices/${duplicateOfId}`} className="underline font-medium">
+                  invoice #{duplicateOfId}
+                </Link>
+                . Confirm or dismiss the match on the invoice page before submitting.
+              </div>
+            )}
+
             <div className="bg-white shadow-md rounded-lg p-6 mb-6">
               <h2 className="text-xl font-bold text-gray-800 mb-4">Invoice Items</h2>
-              <InvoiceGrid invoiceId={invoiceId} />
+              <InvoiceGrid
+                invoiceId={invoiceId}
+                supplier={supplier}
+                currency={currency}
+                onLinesChanged={refreshDuplicateFlag}
+              />
 
               <div className="mt-6 flex justify-end">
                 <button
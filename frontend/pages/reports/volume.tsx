@@ -6,6 +6,7 @@ import { Card, CardContent } from '../../components/ui/Card';
 import ReportConfig from '../../components/analytics/ReportConfig';
 import ReportExport from '../../components/analytics/ReportExport';
 import VolumeChart from '../../components/analytics/charts/VolumeChart';
+import { CURRENCIES, formatMoney } from '../../utils/currency';
 
 const VolumeReportPage: React.FC = () => {
   const { data: session } = useSession();
@@ -15,7 +16,8 @@ const VolumeReportPage: React.FC = () => {
   const [reportData, setReportData] = useState<any>(null);
   const [filters, setFilters] = useState({
     startDate: new Date(new Date().setMonth(new Date().getMonth() - 3)).toISOString().split('T')[0],
-    endDate: new Date().toISOString().split('T')[0]
+    endDate: new Date().toISOString().split('T')[0],
+    currency: CURRENCIES[0]
   });
 
   useEffect(() => {
@@ -27,6 +29,7 @@ const VolumeReportPage: React.FC = () => {
         const queryParams = new URLSearchParams();
         if (filters.startDate) queryParams.append('startDate', filters.startDate);
         if (filters.endDate) queryParams.append('endDate', filters.endDate);
+        if (filters.currency) queryParams.append('currency', filters.currency);
         
         const response = await fetch(`/api/v1/reports/volume?${queryParams.toString()}`);
         
@@ -45,11 +48,11 @@ const VolumeReportPage: React.FC = () => {
     };
     
     fetchReportData();
-  }, [filters.startDate, filters.endDate]);
+  }, [filters.startDate, filters.endDate, filters.currency]);
 
   // Handle filter changes
   const handleFilterChange = (newFilters: any) => {
-    setFilters(newFilters);
+    setFilters({ ...filters, ...newFilters });
   };
 
   return (
@@ -63,6 +66,16 @@ const VolumeReportPage: React.FC = () => {
             </p>
           </div>
           <div className="flex flex-col md:flex-row space-y-2 md:space-y-0 md:space-x-2 mt-4 md:mt-0">
+            <select
+              value={filters.currency}
+              onChange={(e) => setFilters({ ...filters, currency: e.target.value })}
+              className="border rounded px-3 py-2 text-gray-700"
+              aria-label="Reporting currency"
+            >
+              {CURRENCIES.map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
             <ReportConfig filters={filters} onFilterChange={handleFilterChange} />
             <ReportExport reportType="volume" filters={filters} />
           </div>
@@ -80,7 +93,7 @@ const VolumeReportPage: React.FC = () => {
           <div>
             <Card className="mb-8">
               <CardContent className="p-6">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
                   <div className="bg-blue-50 rounded-lg p-4 text-center">
                     <p className="text-sm text-blue-600 font-medium">Total Invoices</p>
                     <p className="text-3xl font-bold text-blue-800">{reportData?.totalInvoices || 0}</p>
@@ -93,7 +106,16 @@ const VolumeReportPage: React.FC = () => {
                     <p className="text-sm text-purple-600 font-medium">Avg. Lines Per Invoice</p>
                     <p className="text-3xl font-bold text-purple-800">{reportData?.averageLinesPerInvoice || 0}</p>
                   </div>
+                  <div className="bg-yellow-50 rounded-lg p-4 text-center">
+                    <p className="text-sm text-yellow-600 font-medium">Total Value ({reportData?.currency || filters.currency})</p>
+                    <p className="text-3xl font-bold text-yellow-800">{formatMoney(reportData?.totalValue || 0, reportData?.currency || filters.currency)}</p>
+                  </div>
                 </div>
+                {reportData?.unconvertedInvoices > 0 && (
+                  <p className="text-sm text-red-700 mt-4">
+                    {reportData.unconvertedInvoices} invoices are not included in the value because no exchange rate was loaded for their date.
+                  </p>
+                )}
               </CardContent>
             </Card>
 
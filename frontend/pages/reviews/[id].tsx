@@ -19,6 +19,49 @@ interface ClassificationHistoryItem {
   };
 }
 
+interface MemorySuggestion {
+  hs_code: string;
+  confidence: number;
+  memory: {
+    matched_on: 'sku' | 'description';
+    source: 'approved' | 'adjusted' | 'manual';
+    confirmations: number;
+    contradictions: number;
+    decided_at: string;
+    decided_by: { id: number; full_name: string } | null;
+  };
+}
+
+interface RulingMatch {
+  ruling_id: number;
+  ruling_number: string;
+  issuing_authority: string | null;
+  hs_code: string;
+  product_description: string;
+  valid_from: string;
+  valid_until: string | null;
+  has_document: boolean;
+  matched_on: 'sku' | 'description';
+  score: number;
+}
+
+interface ClassificationCandidate {
+  hs_code: string;
+  confidence: number;
+  description: string | null;
+}
+
+interface ClassificationDetail {
+  provider: string | null;
+  hs_code: string | null;
+  confidence: number | null;
+  rationale: string | null;
+  candidates: ClassificationCandidate[];
+  threshold: number | null;
+  threshold_rule_id: number | null;
+  classified_at: string;
+}
+
 interface ReviewItemDetail {
   id: number;
   description: string;
@@ -37,8 +80,20 @@ interface ReviewItemDetail {
     user_id: number;
   };
   classification_history: ClassificationHistoryItem[];
+  sku?: string | null;
+  memory_suggestion?: MemorySuggestion | null;
+  classification_detail?: ClassificationDetail | null;
+  rulings?: RulingMatch[];
 }
 
+// Same rule as the backend: codes agree when one's digits start the other's
+const hsDigits = (code: string) => code.replace(/\D/g, '');
+const codesConflict = (rulingCode: string, hsCode: string) => {
+  const a = hsDigits(rulingCode);
+  const b = hsDigits(hsCode);
+  return a !== '' && b !== '' && !a.startsWith(b) && !b.startsWith(a);
+};
+
 interface ReviewDetailProps {
   initialData?: ReviewItemDetail;
 }
@@ -112,9 +167,9 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
     }
   };
 
-  // Handle adjust action
-  const handleAdjust = async () => {
-    if (!id || isSubmitting || !newHsCode.trim()) return;
+  // Handle adjust action, with the entered code or a candidate picked from the classification
+  const handleAdjust = async (hsCode: string = newHsCode) => {
+    if (!id || isSubmitting || !hsCode.trim()) return;
     
     setIsSubmitting(true);
     try {
@@ -123,7 +178,7 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ hs_code: newHsCode, comment }),
+        body: JSON.stringify({ hs_code: hsCode, comment }),
       });
       
       if (!response.ok) {
@@ -139,6 +194,10 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
     }
   };
 
+  const conflictingRulings = (item?.rulings || []).filter(
+    (ruling) => newHsCode.trim() !== '' && codesConflict(ruling.hs_code, newHsCode)
+  );
+
   // Format date
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleString();
@@ -212,6 +271,27 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
                       <h3 className="text-sm font-medium text-gray-500">Classification Method</h3>
                       <p className="mt-1 text-lg text-gray-900">{item.classification_method}</p>
                     </div>
+                    {item.memory_suggestion && (
+                      <div className="mb-4">
+                        <h3 className="text-sm font-medium text-gray-500">Past Reviewer Decision</h3>
+                        <p className="mt-1 text-lg text-gray-900">
+                          {item.memory_suggestion.hs_code}{' '}
+                          <span className="text-sm text-gray-500">
+                            ({Math.round(item.memory_suggestion.confidence * 100)}% confidence)
+                          </span>
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {item.memory_suggestion.memory.source} by{' '}
+                          {item.memory_suggestion.memory.decided_by?.full_name || 'a reviewer'} on{' '}
+                          {new Date(item.memory_suggestion.memory.decided_at).toLocaleDateString()}, matched on{' '}
+                          {item.memory_suggestion.memory.matched_on === 'sku' ? 'SKU' : 'description'}
+                          {item.memory_suggestion.memory.confirmations > 1 &&
+                            `, confirmed ${item.memory_suggestion.memory.confirmations} times`}
+                          {item.memory_suggestion.memory.contradictions > 0 &&
+                            `, changed ${item.memory_suggestion.memory.contradictions} times before`}
+                        </p>
+                      </div>
+                    )}
                     <div className="mb-4">
                       <h3 className="text-sm font-medium text-gray-500">Invoice</h3>
                       <p className="mt-1 text-lg text-gray-900">
@@ -228,6 +308,106 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
                 </div>
               </div>
 
+              {/* Classification Rationale */}
+              {item.classification_detail && (
+                <div className="p-6 border-b">
+                  <h2 className="text-xl font-semibold text-gray-800 mb-4">Classification Rationale</h2>
+                  <p className="text-sm text-gray-500">
+                    {item.classification_detail.hs_code} suggested by {item.classification_detail.provider || 'unknown provider'}
+                    {item.classification_detail.confidence !== null &&
+                      ` (${Math.round(Number(item.classification_detail.confidence) * 100)}% confidence)`}{' '}
+                    on {formatDate(item.classification_detail.classified_at)}
+                    {item.classification_detail.threshold !== null &&
+                      `; review required below ${Math.round(Number(item.classification_detail.threshold) * 100)}%`}
+                    {item.classification_detail.threshold !== null &&
+                      (item.classification_detail.threshold_rule_id
+                        ? ` (threshold rule #${item.classification_detail.threshold_rule_id})`
+                        : ' (default threshold)')}
+                  </p>
+                  <p className="mt-2 text-gray-900 whitespace-pre-line">
+                    {item.classification_detail.rationale || 'The provider gave no rationale.'}
+                  </p>
+                  {item.classification_detail.candidates.length > 0 && (
+                    <div className="mt-4 overflow-x-auto">
+                      <h3 className="text-sm font-medium text-gray-500 mb-2">Alternative HS Codes</h3>
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {item.classification_detail.candidates.map((candidate) => (
+                            <tr key={candidate.hs_code}>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                                {candidate.hs_code}
+                              </td>
+                              <td className="px-6 py-3 text-sm text-gray-500">{candidate.description || '-'}</td>
+                              <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                {Math.round(candidate.confidence * 100)}%
+                              </td>
+                              <td className="px-6 py-3 whitespace-nowrap text-right">
+                                <button
+                                  onClick={() => handleAdjust(candidate.hs_code)}
+                                  disabled={isSubmitting || candidate.hs_code === item.hs_code}
+                                  className="px-3 py-1 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50"
+                                >
+                                  Use this code
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Binding Rulings */}
+              {item.rulings && item.rulings.length > 0 && (
+                <div className="p-6 border-b">
+                  <h2 className="text-xl font-semibold text-gray-800 mb-4">Binding Rulings</h2>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {item.rulings.map((ruling) => (
+                          <tr key={ruling.ruling_id}>
+                            <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                              {ruling.has_document ? (
+                                <a
+                                  href={`/api/v1/rulings/${ruling.ruling_id}/document`}
+                                  className="text-blue-600 hover:underline"
+                                >
+                                  {ruling.ruling_number}
+                                </a>
+                              ) : (
+                                ruling.ruling_number
+                              )}
+                            </td>
+                            <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{ruling.hs_code}</td>
+                            <td className="px-6 py-3 text-sm text-gray-500">
+                              {ruling.product_description}
+                              <span className="block text-xs">
+                                Matched on {ruling.matched_on === 'sku' ? 'SKU' : `description (${Math.round(ruling.score * 100)}%)`}
+                                {ruling.issuing_authority && `, issued by ${ruling.issuing_authority}`}, valid{' '}
+                                {ruling.valid_until
+                                  ? `until ${new Date(ruling.valid_until).toLocaleDateString()}`
+                                  : 'until revoked'}
+                              </span>
+                            </td>
+                            <td className="px-6 py-3 whitespace-nowrap text-right">
+                              <button
+                                onClick={() => handleAdjust(ruling.hs_code)}
+                                disabled={isSubmitting || ruling.hs_code === item.hs_code}
+                                className="px-3 py-1 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50"
+                              >
+                                Use this code
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
               {/* Review Actions */}
               <div className="p-6 border-b bg-gray-50">
                 <h2 className="text-xl font-semibold text-gray-800 mb-4">Review Actions</h2>
@@ -245,6 +425,13 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
                         className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                         placeholder="Enter HS code"
                       />
+                      {conflictingRulings.length > 0 && (
+                        <p className="mt-2 text-sm text-yellow-700" role="alert">
+                          This code contradicts binding ruling{' '}
+                          {conflictingRulings.map((ruling) => `${ruling.ruling_number} (${ruling.hs_code})`).join(', ')}.
+                          The adjustment will be recorded with the conflict.
+                        </p>
+                      )}
                     </div>
                     <div className="mb-4">
                       <label htmlFor="comment" className="block text-sm font-medium text-gray-700">
@@ -278,7 +465,7 @@ const ReviewDetail: React.FC<ReviewDetailProps> = ({ initialData }) => {
                         {isSubmitting ? 'Processing...' : 'Approve Current HS Code'}
                       </button>
                       <button
-                        onClick={handleAdjust}
+                        onClick={() => handleAdjust()}
                         disabled={isSubmitting || !newHsCode.trim()}
                         className="flex-1 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
                       >
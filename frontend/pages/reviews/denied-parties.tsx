@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import ProtectedRoute from '../../components/ProtectedRoute';
+import { DeniedPartyMatch } from '../../components/DeniedPartyWarning';
+
+interface PendingInvoice {
+  id: number;
+  supplier: string;
+  invoice_date: string;
+  status: string;
+  denied_party_matches: DeniedPartyMatch[];
+  denied_party_screened_at: string;
+}
+
+const DeniedPartyReviewPage: React.FC = () => {
+  const [invoices, setInvoices] = useState<PendingInvoice[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchPending = async () => {
+      try {
+        const response = await fetch('/api/v1/denied-parties/reviews');
+        if (!response.ok) {
+          throw new Error('Failed to fetch denied-party matches');
+        }
+        setInvoices(await response.json());
+      } catch (err) {
+        console.error('Error fetching denied-party matches:', err);
+        setError('Failed to load denied-party matches. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPending();
+  }, []);
+
+  return (
+    <ProtectedRoute requiredRoles={['Admin', 'Reviewer']}>
+      <div>
+        <Head>
+          <title>Denied-Party Matches | Customs Documentation Platform</title>
+        </Head>
+
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="mb-8">
+            <h1 className="text-3xl font-bold text-gray-900">Denied-Party Matches</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              Invoices whose supplier or consignee resembles a sanctioned party. Open an invoice to clear or confirm its matches.
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6" role="alert">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : invoices.length === 0 ? (
+            <p className="text-gray-500">No matches are waiting for review.</p>
+          ) : (
+            <div className="bg-white shadow rounded-lg overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Open Matches</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Screened</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {invoices.map((invoice) => (
+                    <tr key={invoice.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <Link href={`/invoices/${invoice.id}`} className="text-blue-600 hover:underline">
+                          #{invoice.id}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{invoice.supplier}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {invoice.denied_party_matches
+                          .filter((match) => match.status === 'open')
+                          .map((match) => `${match.screened_name} / ${match.listed_name} (${Math.round(Number(match.score) * 100)}%)`)
+                          .join('; ')}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(invoice.denied_party_screened_at).toLocaleString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </ProtectedRoute>
+  );
+};
+
+export default DeniedPartyReviewPage;
@@ -3,6 +3,7 @@ import { GetServerSideProps } from 'next';
 // @ts-ignore
 import { getSession } from 'next-auth/react';
 import Head from 'next/head';
+import Link from 'next/link';
 import ProtectedRoute from '../../components/ProtectedRoute';
 import ReviewQueue from '../../components/ReviewQueue';
 
@@ -122,6 +123,16 @@ const ReviewDashboard: React.FC<ReviewDashboardProps> = ({ initialStats }) => {
             </div>
           </div>
 
+          <p className="mb-4 text-sm">
+            <Link href="/reviews/denied-parties" className="text-blue-600 hover:underline">
+              Denied-party matches awaiting compliance review
+            </Link>
+            {' · '}
+            <Link href="/reviews/rulings" className="text-blue-600 hover:underline">
+              Binding ruling library
+            </Link>
+          </p>
+
           {/* Review Queue */}
           <ReviewQueue />
 
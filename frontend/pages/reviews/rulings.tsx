@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import ProtectedRoute from '../../components/ProtectedRoute';
+import { arrayBufferToBase64 } from '../../utils/files';
+
+interface BindingRuling {
+  id: number;
+  ruling_number: string;
+  issuing_authority: string | null;
+  supplier: string | null;
+  sku: string;
+  product_description: string;
+  hs_code: string;
+  valid_from: string;
+  valid_until: string | null;
+  document_filename: string | null;
+  has_document: boolean;
+}
+
+const emptyForm = {
+  ruling_number: '',
+  issuing_authority: '',
+  supplier: '',
+  sku: '',
+  product_description: '',
+  hs_code: '',
+  valid_from: '',
+  valid_until: ''
+};
+
+const inputClass =
+  'mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const RulingLibraryPage: React.FC = () => {
+  const [rulings, setRulings] = useState<BindingRuling[]>([]);
+  const [search, setSearch] = useState<string>('');
+  const [status, setStatus] = useState<string>('valid');
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+  const [form, setForm] = useState(emptyForm);
+  const [rulingFile, setRulingFile] = useState<File | null>(null);
+  const [saving, setSaving] = useState<boolean>(false);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const fetchRulings = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: '100' });
+      if (search.trim()) params.set('q', search.trim());
+      if (status) params.set('status', status);
+
+      const response = await fetch(`/api/v1/rulings?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch binding rulings');
+      }
+      const data = await response.json();
+      setRulings(data.rulings);
+    } catch (err) {
+      console.error('Error fetching binding rulings:', err);
+      setError('Failed to load binding rulings. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRulings();
+  }, [status]);
+
+  const handleSearch = (event: React.FormEvent) => {
+    event.preventDefault();
+    fetchRulings();
+  };
+
+  const handleChange = (event: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+    setForm({ ...form, [event.target.name]: event.target.value });
+  };
+
+  // Add a ruling with its PDF, sent base64-encoded like other uploads
+  const handleCreate = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSaving(true);
+    setFormError(null);
+    try {
+      const payload: Record<string, unknown> = Object.fromEntries(
+        Object.entries(form).filter(([, value]) => value.trim() !== '')
+      );
+      if (rulingFile) {
+        payload.file = {
+          name: rulingFile.name,
+          content: arrayBufferToBase64(await rulingFile.arrayBuffer()),
+          mimeType: rulingFile.type || undefined
+        };
+      }
+
+      const response = await fetch('/api/v1/rulings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to add binding ruling');
+      }
+
+      setForm(emptyForm);
+      setRulingFile(null);
+      fetchRulings();
+    } catch (err: any) {
+      console.error('Error adding binding ruling:', err);
+      setFormError(err.message || 'Failed to add binding ruling.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <ProtectedRoute requiredRoles={['Admin', 'Reviewer']}>
+      <div>
+        <Head>
+          <title>Binding Rulings | Customs Documentation Platform</title>
+        </Head>
+
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="mb-8">
+            <h1 className="text-3xl font-bold text-gray-900">Binding Rulings</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              Advance rulings held for products. Classification and review show the rulings covering a line, and adjusting
+              a line to a code that contradicts one is flagged.
+            </p>
+          </div>
+
+          <form onSubmit={handleSearch} className="mb-6 flex flex-wrap gap-4 items-end">
+            <div>
+              <label htmlFor="ruling-search" className="block text-sm font-medium text-gray-700">Search</label>
+              <input
+                id="ruling-search"
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className={inputClass}
+                placeholder="Ruling number, supplier or product"
+              />
+            </div>
+            <div>
+              <label htmlFor="ruling-status" className="block text-sm font-medium text-gray-700">Validity</label>
+              <select
+                id="ruling-status"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All</option>
+                <option value="valid">Valid</option>
+                <option value="upcoming">Upcoming</option>
+                <option value="expired">Expired</option>
+              </select>
+            </div>
+            <button type="submit" className="py-2 px-4 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700">
+              Search
+            </button>
+          </form>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6" role="alert">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : rulings.length === 0 ? (
+            <p className="text-gray-500">No binding rulings found.</p>
+          ) : (
+            <div className="bg-white shadow rounded-lg overflow-x-auto mb-8">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ruling</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">HS Code</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Valid</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rulings.map((ruling) => (
+                    <tr key={ruling.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        {ruling.has_document ? (
+                          <a href={`/api/v1/rulings/${ruling.id}/document`} className="text-blue-600 hover:underline">
+                            {ruling.ruling_number}
+                          </a>
+                        ) : (
+                          ruling.ruling_number
+                        )}
+                        {ruling.issuing_authority && (
+                          <span className="block text-xs text-gray-500">{ruling.issuing_authority}</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{ruling.hs_code}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {ruling.product_description}
+                        {ruling.sku && <span className="block text-xs">SKU {ruling.sku}</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{ruling.supplier || 'Any'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(ruling.valid_from).toLocaleDateString()} -{' '}
+                        {ruling.valid_until ? new Date(ruling.valid_until).toLocaleDateString() : 'until revoked'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="bg-white shadow rounded-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Add Ruling</h2>
+            {formError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">
+                {formError}
+              </div>
+            )}
+            <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="ruling_number" className="block text-sm font-medium text-gray-700">Ruling Number</label>
+                <input id="ruling_number" name="ruling_number" value={form.ruling_number} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="issuing_authority" className="block text-sm font-medium text-gray-700">Issuing Authority</label>
+                <input id="issuing_authority" name="issuing_authority" value={form.issuing_authority} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="hs_code" className="block text-sm font-medium text-gray-700">HS Code</label>
+                <input id="hs_code" name="hs_code" value={form.hs_code} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="supplier" className="block text-sm font-medium text-gray-700">Supplier (blank for any)</label>
+                <input id="supplier" name="supplier" value={form.supplier} onChange={handleChange} className={inputClass} />
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="product_description" className="block text-sm font-medium text-gray-700">Product Description</label>
+                <textarea
+                  id="product_description"
+                  name="product_description"
+                  value={form.product_description}
+                  onChange={handleChange}
+                  rows={3}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="sku" className="block text-sm font-medium text-gray-700">SKU</label>
+                <input id="sku" name="sku" value={form.sku} onChange={handleChange} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="ruling-document" className="block text-sm font-medium text-gray-700">Ruling PDF</label>
+                <input
+                  id="ruling-document"
+                  type="file"
+                  accept="application/pdf"
+                  onChange={(e) => setRulingFile(e.target.files?.[0] || null)}
+                  className="mt-1 block w-full text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="valid_from" className="block text-sm font-medium text-gray-700">Valid From</label>
+                <input id="valid_from" name="valid_from" type="date" value={form.valid_from} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="valid_until" className="block text-sm font-medium text-gray-700">Valid Until</label>
+                <input id="valid_until" name="valid_until" type="date" value={form.valid_until} onChange={handleChange} className={inputClass} />
+              </div>
+              <div className="md:col-span-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="py-2 px-4 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Add Ruling'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </ProtectedRoute>
+  );
+};
+
+export default RulingLibraryPage;
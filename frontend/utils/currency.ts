@@ -0,0 +1,18 @@
+/**
+ * Currencies offered in invoice and report forms. The backend accepts any ISO 4217 code.
+ */
+export const CURRENCIES = ['USD', 'EUR', 'CNY', 'GBP', 'JPY', 'HKD', 'CAD', 'AUD'];
+
+/**
+ * Format an amount in the given currency
+ * @param amount Amount (numbers and DECIMAL strings are accepted)
+ * @param currency ISO 4217 currency code
+ * @returns Formatted amount, or 'N/A' when there is no amount
+ */
+export const formatMoney = (amount: number | string | null | undefined, currency: string = 'USD') => {
+  if (amount === null || amount === undefined || amount === '') return 'N/A';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).format(Number(amount));
+};
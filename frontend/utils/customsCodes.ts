@@ -0,0 +1,7 @@
+/**
+ * Statistical units of measure (UN/ECE Rec 20) and package kinds (UN/ECE Rec 21) accepted on invoice lines.
+ * Keep in sync with backend/src/constants/customsCodes.js.
+ */
+export const UNITS_OF_MEASURE = ['NAR', 'NPR', 'DZN', 'SET', 'KGM', 'GRM', 'TNE', 'CTM', 'LTR', 'MLT', 'MTR', 'MTK', 'MTQ', 'KWH', 'TPR', 'CEN'];
+
+export const PACKAGE_TYPES = ['BX', 'CT', 'CS', 'CR', 'PK', 'PX', 'BG', 'SA', 'BL', 'BE', 'RO', 'DR', 'BA', 'CN', 'EN', 'TU', 'NE'];
@@ -0,0 +1,13 @@
+/**
+ * Encode file content as base64 for the JSON upload APIs (imports, attachments)
+ * @param buffer File content, e.g. from FileReader or File.arrayBuffer()
+ * @returns Base64 string
+ */
+export const arrayBufferToBase64 = (buffer: ArrayBuffer): string => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return window.btoa(binary);
+};
@@ -0,0 +1,44 @@
+/**
+ * All invoice lifecycle statuses, in lifecycle order.
+ * Keep in sync with INVOICE_STATUSES in the backend invoiceStatusService.
+ */
+export const INVOICE_STATUSES = ['Draft', 'Classified', 'InReview', 'Ready', 'Submitted', 'Accepted', 'Rejected', 'Amended'];
+
+/**
+ * Statuses in which the invoice header and lines can still be edited.
+ * Keep in sync with EDITABLE_STATUSES in the backend invoiceStatusService.
+ */
+export const EDITABLE_STATUSES = ['Draft', 'Classified', 'InReview', 'Amended'];
+
+/**
+ * Human-readable label for a lifecycle status
+ * @param status Invoice status
+ * @returns Label, e.g. 'In Review' for 'InReview'
+ */
+export const statusLabel = (status: string) => (status === 'InReview' ? 'In Review' : status);
+
+/**
+ * Tailwind classes for an invoice status badge
+ * @param status Invoice status
+ * @returns Background and text colour classes
+ */
+export const getStatusBadgeClass = (status: string) => {
+  switch (status.toLowerCase()) {
+    case 'classified':
+      return 'bg-indigo-200 text-indigo-800';
+    case 'inreview':
+      return 'bg-yellow-200 text-yellow-800';
+    case 'ready':
+      return 'bg-teal-200 text-teal-800';
+    case 'submitted':
+      return 'bg-blue-200 text-blue-800';
+    case 'accepted':
+      return 'bg-green-200 text-green-800';
+    case 'rejected':
+      return 'bg-red-200 text-red-800';
+    case 'amended':
+      return 'bg-orange-200 text-orange-800';
+    default:
+      return 'bg-gray-200 text-gray-800';
+  }
+};